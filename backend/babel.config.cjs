@@ -0,0 +1,4 @@
+// Jest 通过 babel-jest 转换 ES 模块
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+};
@@ -27,13 +27,26 @@ CREATE TABLE users (
     
     -- 目标设置
     daily_water_goal INT DEFAULT 2000 COMMENT '每日饮水目标(ml)',
+    auto_adjust_goal BOOLEAN DEFAULT FALSE COMMENT '资料变更时自动应用推荐目标',
     wake_up_time TIME DEFAULT '07:00:00',
     sleep_time TIME DEFAULT '23:00:00',
     
+    -- 摄入限制
+    daily_caffeine_limit_mg INT DEFAULT 400 COMMENT '每日咖啡因上限(mg)',
+    daily_alcohol_limit_units DECIMAL(4,1) DEFAULT 2.0 COMMENT '每日酒精上限(标准单位，1单位=10ml纯酒精)',
+    caffeine_cutoff_hours DECIMAL(3,1) DEFAULT 6.0 COMMENT '睡前多少小时内不建议摄入咖啡因',
+    limit_warnings_enabled BOOLEAN DEFAULT TRUE COMMENT '超出限制时推送提醒',
+    
     -- 时区和本地化
     timezone VARCHAR(50) DEFAULT 'Asia/Shanghai',
+    timezone_auto_detect BOOLEAN DEFAULT TRUE COMMENT '根据设备上报的时区自动切换',
     locale VARCHAR(10) DEFAULT 'zh_CN',
     
+    -- 所在地（用于按天气调整目标和提醒）
+    latitude DECIMAL(9,6) NULL COMMENT '纬度',
+    longitude DECIMAL(9,6) NULL COMMENT '经度',
+    location_name VARCHAR(100) NULL COMMENT '所在地名称，如城市',
+    
     -- 账户状态
     email_verified BOOLEAN DEFAULT FALSE,
     is_active BOOLEAN DEFAULT TRUE,
@@ -55,6 +68,10 @@ CREATE TABLE users (
     last_login_at TIMESTAMP NULL,
     deleted_at TIMESTAMP NULL,
     
+    -- 账户删除（宽限期内登录可取消，到期后彻底删除所有数据）
+    deletion_requested_at TIMESTAMP NULL COMMENT '申请删除账户的时间',
+    deletion_scheduled_for DATETIME NULL COMMENT '宽限期结束、彻底删除数据的时间',
+    
     -- 索引
     INDEX idx_email (email),
     INDEX idx_username (username),
@@ -62,7 +79,8 @@ CREATE TABLE users (
     INDEX idx_is_active (is_active),
     INDEX idx_google_id (google_id),
     INDEX idx_apple_id (apple_id),
-    INDEX idx_wechat_openid (wechat_openid)
+    INDEX idx_wechat_openid (wechat_openid),
+    INDEX idx_deletion_scheduled (deletion_scheduled_for)
 );
 
 -- 2. 饮水记录表
@@ -74,9 +92,18 @@ CREATE TABLE hydration_records (
     amount INT NOT NULL COMMENT '饮水量(ml)',
     drink_type ENUM('water', 'tea', 'coffee', 'juice', 'sports_drink', 'soda', 'alcohol', 'other') DEFAULT 'water',
     drink_name VARCHAR(100) NULL COMMENT '具体饮品名称',
+    drink_id BIGINT NULL COMMENT '使用的饮品目录条目(user_drinks.id)',
+    
+    -- 营养信息（记录时按饮品目录和饮水量折算保存）
+    caffeine_mg DECIMAL(7,1) DEFAULT 0 COMMENT '咖啡因(mg)',
+    sugar_g DECIMAL(6,1) DEFAULT 0 COMMENT '糖(g)',
+    calories INT DEFAULT 0 COMMENT '热量(kcal)',
+    alcohol_units DECIMAL(5,2) DEFAULT 0 COMMENT '酒精标准单位',
     
     -- 时间信息
     recorded_at DATETIME NOT NULL COMMENT '记录的饮水时间',
+    local_recorded_at DATETIME NULL COMMENT '记录时所在时区的当地时间，按用户当地日期统计',
+    timezone VARCHAR(50) NULL COMMENT '记录时所在的时区',
     
     -- 上下文信息
     location VARCHAR(100) NULL COMMENT '地点标签',
@@ -87,9 +114,13 @@ CREATE TABLE hydration_records (
     source ENUM('manual', 'quick_add', 'reminder_response', 'smart_cup', 'api_import') DEFAULT 'manual',
     device_id VARCHAR(100) NULL COMMENT '设备标识',
     
-    -- 时间戳
+    -- 离线同步
+    client_id CHAR(36) NULL COMMENT '客户端生成的记录UUID',
+    field_versions JSON NULL COMMENT '各字段最后修改的客户端时间(毫秒)，用于同步冲突合并',
+    
+    -- 时间戳（updated_at 精确到毫秒，用作同步游标）
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
     deleted_at TIMESTAMP NULL,
     
     -- 外键约束
@@ -97,10 +128,14 @@ CREATE TABLE hydration_records (
     
     -- 索引
     INDEX idx_user_recorded (user_id, recorded_at),
+    INDEX idx_user_local_recorded (user_id, local_recorded_at),
     INDEX idx_user_created (user_id, created_at),
     INDEX idx_drink_type (drink_type),
+    INDEX idx_drink_id (drink_id),
     INDEX idx_source (source),
-    INDEX idx_recorded_at (recorded_at)
+    INDEX idx_recorded_at (recorded_at),
+    INDEX idx_user_updated (user_id, updated_at),
+    UNIQUE KEY uk_user_client (user_id, client_id)
 );
 
 -- 3. 用户目标表
@@ -167,20 +202,31 @@ CREATE TABLE reminder_settings (
     weekend_enabled BOOLEAN DEFAULT TRUE,
     weekend_start_time TIME DEFAULT '09:00:00',
     weekend_end_time TIME DEFAULT '23:00:00',
+    weekly_schedule JSON NULL COMMENT '按星期设置的提醒时间段，如 {"wednesday": {"enabled": true, "start_time": "10:00:00", "end_time": "20:00:00"}}',
+    date_exceptions JSON NULL COMMENT '节假日等日期例外，如 [{"date": "2024-10-01", "enabled": false, "name": "国庆节"}]',
     
     -- 智能设置
-    consider_weather BOOLEAN DEFAULT FALSE,
+    consider_weather BOOLEAN DEFAULT FALSE COMMENT '高温高湿天气提高当天目标并缩短提醒间隔（需要设置所在地）',
     consider_activity BOOLEAN DEFAULT TRUE,
     consider_previous_intake BOOLEAN DEFAULT TRUE,
+    consider_calendar BOOLEAN DEFAULT TRUE COMMENT '避开日历中的会议',
     
     -- 免打扰设置
     do_not_disturb_enabled BOOLEAN DEFAULT FALSE,
     dnd_start_time TIME NULL,
     dnd_end_time TIME NULL,
+    dnd_windows JSON NULL COMMENT '其他免打扰时间段，如 [{"start_time": "12:30:00", "end_time": "13:30:00"}]',
+    paused_until DATETIME NULL COMMENT '暂停提醒到该时间',
+    
+    -- 跨时区调整
+    jet_lag_mode BOOLEAN DEFAULT FALSE COMMENT '切换时区后逐日调整提醒时间段（倒时差）',
+    previous_timezone VARCHAR(50) NULL COMMENT '切换前的时区',
+    timezone_changed_at DATETIME NULL COMMENT '最近一次切换时区的时间',
     
     -- 提醒方式
     notification_type SET('push', 'sound', 'vibration') DEFAULT 'push,sound',
     notification_sound VARCHAR(50) DEFAULT 'default',
+    delivery_target ENUM('all_devices', 'primary_only') DEFAULT 'all_devices' COMMENT '推送到所有设备或只推送到主设备',
     
     -- 自定义消息
     custom_messages JSON NULL COMMENT '自定义提醒消息列表',
@@ -215,12 +261,20 @@ CREATE TABLE reminder_logs (
     notification_type VARCHAR(20) NOT NULL,
     
     -- 响应情况
-    status ENUM('scheduled', 'sent', 'delivered', 'opened', 'responded', 'ignored', 'failed') DEFAULT 'scheduled',
+    status ENUM('scheduled', 'processing', 'sent', 'delivered', 'opened', 'responded', 'ignored', 'failed') DEFAULT 'scheduled',
     response_type ENUM('drink_logged', 'snooze_5min', 'snooze_15min', 'dismiss', 'none') NULL,
     responded_at DATETIME NULL,
     
     -- 上下文信息
     context JSON NULL COMMENT '发送时的上下文信息',
+    activity_id BIGINT NULL COMMENT '运动前、中、后的补水提醒对应的运动(user_activities.id)，不参与常规提醒的排期',
+    
+    -- 派发控制
+    attempts INT DEFAULT 0 COMMENT '已尝试派发次数',
+    next_attempt_at DATETIME NULL COMMENT '下次重试时间',
+    locked_by VARCHAR(100) NULL COMMENT '认领该提醒的派发进程',
+    locked_at DATETIME NULL COMMENT '认领时间',
+    last_error VARCHAR(255) NULL COMMENT '最近一次派发错误',
     
     -- 时间戳
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -232,7 +286,10 @@ CREATE TABLE reminder_logs (
     
     -- 索引
     INDEX idx_user_scheduled (user_id, scheduled_at),
+    INDEX idx_activity (activity_id),
     INDEX idx_status (status),
+    INDEX idx_dispatch (status, scheduled_at, next_attempt_at),
+    INDEX idx_locked_by (locked_by),
     INDEX idx_sent_at (sent_at),
     INDEX idx_response_type (response_type)
 );
@@ -248,6 +305,7 @@ CREATE TABLE user_statistics (
     
     -- 饮水统计
     total_intake INT DEFAULT 0 COMMENT '总饮水量(ml)',
+    effective_intake INT DEFAULT 0 COMMENT '按补水系数折算的有效补水量(ml)',
     goal_achievement_rate DECIMAL(5,2) DEFAULT 0 COMMENT '目标完成率(%)',
     record_count INT DEFAULT 0 COMMENT '记录次数',
     
@@ -378,8 +436,17 @@ CREATE TABLE user_devices (
     is_active BOOLEAN DEFAULT TRUE,
     last_sync_at DATETIME NULL,
     
+    -- 智能设备认证和上报状态（通过配对码配对的 IoT 设备）
+    secret_hash CHAR(64) NULL COMMENT '设备密钥的 SHA-256，密钥只在配对时返回一次',
+    paired_at DATETIME NULL,
+    firmware_version VARCHAR(50) NULL,
+    battery_level TINYINT UNSIGNED NULL COMMENT '电量(%)',
+    battery_charging BOOLEAN NULL,
+    last_reading_at DATETIME NULL COMMENT '已处理的最后一条读数时间，更早的读数视为重复',
+    last_weight_g INT NULL COMMENT '智能杯最近一次称重(g)，用于计算跨批次的重量变化',
+    
     -- 设备配置
-    settings JSON NULL COMMENT '设备特定配置',
+    settings JSON NULL COMMENT '设备特定配置，如 {"quiet_mode": true} 不向该设备推送提醒',
     
     -- 时间戳
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -497,6 +564,301 @@ CREATE TABLE app_logs (
     INDEX idx_created_at (created_at)
 );
 
+-- 13. 用户饮品补水系数表
+CREATE TABLE user_hydration_coefficients (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    drink_type ENUM('water', 'tea', 'coffee', 'juice', 'sports_drink', 'soda', 'alcohol', 'other') NOT NULL,
+    coefficient DECIMAL(4,2) NOT NULL COMMENT '补水系数，覆盖系统默认值',
+    
+    -- 时间戳
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    -- 外键约束
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- 唯一约束
+    UNIQUE KEY uk_user_drink_type (user_id, drink_type)
+);
+
+-- 14. 用户饮品目录表
+CREATE TABLE user_drinks (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    
+    -- 饮品信息
+    name VARCHAR(100) NOT NULL COMMENT '饮品名称',
+    drink_type ENUM('water', 'tea', 'coffee', 'juice', 'sports_drink', 'soda', 'alcohol', 'other') DEFAULT 'water' COMMENT '基础饮品类型',
+    default_volume INT NOT NULL COMMENT '默认容量(ml)',
+    icon VARCHAR(100) NULL COMMENT '图标标识或图片地址',
+    
+    -- 营养信息（按默认容量）
+    caffeine_mg DECIMAL(7,1) DEFAULT 0 COMMENT '咖啡因(mg)',
+    sugar_g DECIMAL(6,1) DEFAULT 0 COMMENT '糖(g)',
+    calories INT DEFAULT 0 COMMENT '热量(kcal)',
+    alcohol_abv DECIMAL(4,1) DEFAULT 0 COMMENT '酒精度(%)',
+    
+    -- 使用情况
+    usage_count INT DEFAULT 0,
+    last_used_at DATETIME NULL,
+    
+    -- 时间戳
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP NULL,
+    
+    -- 外键约束
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- 索引
+    INDEX idx_user_deleted (user_id, deleted_at),
+    INDEX idx_user_usage (user_id, usage_count)
+);
+
+-- 15. 幂等键表（Redis 不可用时保存创建记录请求的首次响应）
+CREATE TABLE idempotency_keys (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL COMMENT '客户端提供的 Idempotency-Key',
+    
+    -- 请求信息
+    request_method VARCHAR(10) NOT NULL,
+    request_path VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL COMMENT '请求体的SHA-256，用于识别同一个键被用于不同请求',
+    
+    -- 首次响应
+    status ENUM('processing', 'completed') DEFAULT 'processing',
+    response_status INT NULL,
+    response_body JSON NULL,
+    
+    -- 时间戳
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    
+    -- 外键约束
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- 唯一约束和索引
+    UNIQUE KEY uk_user_key (user_id, idempotency_key),
+    INDEX idx_expires_at (expires_at)
+);
+
+-- 16. 导入任务表（饮水记录文件和健康平台导出文件）
+CREATE TABLE import_jobs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    import_type ENUM('hydration', 'health') DEFAULT 'hydration' COMMENT 'health 为运动和体重数据',
+    
+    -- 文件信息
+    file_name VARCHAR(255) NOT NULL,
+    file_format ENUM('csv', 'json', 'xml', 'zip', 'tcx', 'fit') NOT NULL,
+    options JSON NULL COMMENT '列映射、单位和时区等导入选项',
+    
+    -- 任务状态
+    status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+    total_rows INT DEFAULT 0,
+    processed_rows INT DEFAULT 0,
+    imported_rows INT DEFAULT 0,
+    duplicate_rows INT DEFAULT 0,
+    failed_rows INT DEFAULT 0,
+    row_errors JSON NULL COMMENT '逐行错误（最多保存前若干条）',
+    summary JSON NULL COMMENT '导入结果摘要（健康数据按运动和体重分别统计）',
+    error_message VARCHAR(500) NULL COMMENT '任务失败原因',
+    
+    -- 时间戳
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    
+    -- 外键约束
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- 索引
+    INDEX idx_user_type_created (user_id, import_type, created_at),
+    INDEX idx_status (status)
+);
+
+-- 17. 用户数据导出任务表
+CREATE TABLE export_jobs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    
+    -- 任务状态
+    status ENUM('pending', 'processing', 'completed', 'failed', 'expired') DEFAULT 'pending',
+    datasets JSON NULL COMMENT '各数据集导出的行数',
+    error_message VARCHAR(500) NULL COMMENT '任务失败原因',
+    
+    -- 导出文件
+    file_path VARCHAR(500) NULL COMMENT '服务器上的ZIP文件路径',
+    file_size BIGINT NULL,
+    download_count INT DEFAULT 0,
+    
+    -- 时间戳
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    expires_at DATETIME NULL COMMENT '下载链接和文件的过期时间',
+    
+    -- 外键约束
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- 索引
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_status_expires (status, expires_at)
+);
+
+-- 18. 饮水记录修改历史表
+CREATE TABLE hydration_record_revisions (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    record_id BIGINT NOT NULL,
+    user_id BIGINT NOT NULL,
+    
+    -- 变更内容（记录字段快照，新增时 before_values 为空，删除时 after_values 为空）
+    action ENUM('create', 'update', 'delete', 'restore') NOT NULL,
+    before_values JSON NULL,
+    after_values JSON NULL,
+    
+    -- 操作来源
+    actor_type ENUM('user', 'device', 'import') NOT NULL DEFAULT 'user',
+    actor_id VARCHAR(100) NULL COMMENT '设备标识或导入任务ID',
+    
+    -- 撤销
+    reverted_by BIGINT NULL COMMENT '撤销该变更的修订ID',
+    
+    -- 时间戳
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    -- 外键约束
+    FOREIGN KEY (record_id) REFERENCES hydration_records(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- 索引
+    INDEX idx_record (record_id, id),
+    INDEX idx_user_created (user_id, created_at)
+);
+
+-- 19. 用户日历表（上传或订阅的 iCalendar）
+CREATE TABLE user_calendars (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    
+    -- 日历来源
+    name VARCHAR(100) NOT NULL,
+    source_type ENUM('upload', 'url') NOT NULL,
+    source_url VARCHAR(1000) NULL COMMENT '订阅地址',
+    content MEDIUMTEXT NULL COMMENT '上传的 .ics 内容，用于定期重新展开重复事件',
+    
+    -- 同步状态
+    is_active BOOLEAN DEFAULT TRUE,
+    busy_block_count INT DEFAULT 0,
+    last_synced_at DATETIME NULL,
+    sync_error VARCHAR(500) NULL,
+    
+    -- 时间戳
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    -- 外键约束
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- 索引
+    INDEX idx_user (user_id),
+    INDEX idx_active_synced (is_active, last_synced_at)
+);
+
+-- 20. 日历忙碌时间段表（由日历事件展开，只保存未来一段时间）
+CREATE TABLE calendar_busy_blocks (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    calendar_id BIGINT NOT NULL,
+    user_id BIGINT NOT NULL,
+    
+    start_at DATETIME NOT NULL,
+    end_at DATETIME NOT NULL,
+    summary VARCHAR(200) NULL COMMENT '事件标题',
+    
+    -- 外键约束
+    FOREIGN KEY (calendar_id) REFERENCES user_calendars(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- 索引
+    INDEX idx_user_time (user_id, start_at, end_at),
+    INDEX idx_calendar (calendar_id)
+);
+
+-- 21. 运动记录表（手动记录或从健康应用导入）
+CREATE TABLE user_activities (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    
+    -- 运动信息
+    activity_type ENUM('running', 'cycling', 'swimming', 'walking', 'hiking', 'strength', 'yoga', 'hiit', 'team_sports', 'other') NOT NULL,
+    intensity ENUM('low', 'moderate', 'high') DEFAULT 'moderate',
+    started_at DATETIME NOT NULL COMMENT '开始时间',
+    local_started_at DATETIME NULL COMMENT '开始时所在时区的当地时间，按用户当地日期统计',
+    timezone VARCHAR(50) NULL COMMENT '运动时所在的时区',
+    duration_minutes INT NOT NULL COMMENT '时长(分钟)',
+    
+    -- 补水估算
+    estimated_sweat_loss_ml INT DEFAULT 0 COMMENT '估算的出汗量(ml)',
+    goal_bonus_ml INT DEFAULT 0 COMMENT '运动当天目标的增加量(ml)',
+    
+    -- 来源
+    source ENUM('manual', 'apple_health', 'google_fit', 'garmin', 'fitness_tracker', 'other') DEFAULT 'manual',
+    external_id VARCHAR(100) NULL COMMENT '来源中的运动ID，用于导入去重',
+    notes VARCHAR(255) NULL,
+    
+    -- 时间戳
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    -- 外键约束
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- 索引
+    INDEX idx_user_started (user_id, started_at),
+    INDEX idx_user_local_started (user_id, local_started_at),
+    UNIQUE KEY uk_user_source_external (user_id, source, external_id)
+);
+
+-- 22. 体重记录表（资料中修改或从健康应用、智能体重秤导入）
+CREATE TABLE user_weight_logs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    weight DECIMAL(5,2) NOT NULL COMMENT '体重(kg)',
+    measured_at DATETIME NOT NULL COMMENT '测量时间',
+    source ENUM('manual', 'apple_health', 'google_fit', 'garmin', 'smart_scale', 'other') DEFAULT 'manual',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    -- 外键约束
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- 索引
+    UNIQUE KEY uk_user_source_measured (user_id, source, measured_at),
+    INDEX idx_user_measured (user_id, measured_at)
+);
+
+-- 23. 设备配对码表（用户在应用中生成，智能设备用配对码换取设备密钥）
+CREATE TABLE device_pairing_codes (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    code_hash CHAR(64) NOT NULL COMMENT '配对码的 SHA-256',
+    device_type ENUM('smart_cup', 'smart_scale', 'fitness_tracker', 'other') NOT NULL DEFAULT 'smart_cup',
+    device_name VARCHAR(100) NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    device_id BIGINT NULL COMMENT '配对成功的设备(user_devices.id)',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    -- 外键约束
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (device_id) REFERENCES user_devices(id) ON DELETE SET NULL,
+    
+    -- 索引
+    UNIQUE KEY uk_code_hash (code_hash),
+    INDEX idx_user_created (user_id, created_at)
+);
+
 -- 插入基础系统配置
 INSERT INTO system_configs (config_key, config_value, config_type, description, category) VALUES
 ('daily_water_default', '2000', 'number', '默认每日饮水目标(ml)', 'user_defaults'),
@@ -508,7 +870,8 @@ INSERT INTO system_configs (config_key, config_value, config_type, description,
 ('max_file_size_mb', '5', 'number', '最大文件上传大小(MB)', 'file_upload'),
 ('rate_limit_per_minute', '100', 'number', 'API调用频率限制(每分钟)', 'api'),
 ('maintenance_mode', 'false', 'boolean', '维护模式开关', 'system'),
-('registration_enabled', 'true', 'boolean', '是否允许新用户注册', 'system');
+('registration_enabled', 'true', 'boolean', '是否允许新用户注册', 'system'),
+('hydration_coefficients', '{"water": 1.0, "tea": 0.9, "coffee": 0.8, "juice": 0.9, "sports_drink": 1.0, "soda": 0.85, "alcohol": 0.3, "other": 0.9}', 'json', '各饮品类型的补水系数，有效补水量 = 饮水量 × 系数', 'hydration');
 
 -- 插入基础成就
 INSERT INTO achievements (name, description, category, criteria, difficulty, points, unlock_message) VALUES
@@ -516,4 +879,17 @@ INSERT INTO achievements (name, description, category, criteria, difficulty, poi
 ('坚持7天', '连续7天达成饮水目标', 'consistency', '{"consecutive_days": 7}', 'silver', 50, '一周的坚持，习惯正在养成！'),
 ('饮水达人', '单日饮水超过3升', 'volume', '{"daily_amount": 3000}', 'gold', 30, '今天你真是个饮水小能手！'),
 ('多样品味', '一天内记录5种不同饮品', 'diversity', '{"drink_types_per_day": 5}', 'silver', 25, '丰富的口感，健康的选择！'),
-('月度冠军', '一个月内30天都达成目标', 'consistency', '{"monthly_achievement": 30}', 'gold', 100, '一个月的坚持，你是真正的冠军！');
\ No newline at end of file
+('月度冠军', '一个月内30天都达成目标', 'consistency', '{"monthly_achievement": 30}', 'gold', 100, '一个月的坚持，你是真正的冠军！');
+
+-- 更多成就定义（规则说明见 src/utils/achievementEngine.js）
+INSERT INTO achievements (name, description, category, criteria, difficulty, points, is_hidden, is_repeatable, cooldown_days, unlock_message) VALUES
+('三天热身', '连续3天达成饮水目标', 'consistency', '{"consecutive_days": 3}', 'bronze', 15, FALSE, FALSE, 0, '好的开始是成功的一半！'),
+('百日坚持', '连续100天达成饮水目标', 'consistency', '{"consecutive_days": 100}', 'diamond', 500, FALSE, FALSE, 0, '一百天的坚持，饮水已成为你的习惯！'),
+('百次记录', '累计记录100次饮水', 'milestone', '{"total_records": 100}', 'silver', 30, FALSE, FALSE, 0, '记录100次，数据见证你的努力！'),
+('百升之旅', '累计饮水100升', 'volume', '{"total_amount": 100000}', 'gold', 80, FALSE, FALSE, 0, '100升水，相当于半个浴缸！'),
+('千升传奇', '累计饮水1000升', 'volume', '{"total_amount": 1000000}', 'platinum', 300, TRUE, FALSE, 0, '1000升水，你是真正的饮水传奇！'),
+('饮品鉴赏家', '累计记录8种不同饮品', 'diversity', '{"distinct_drink_types": 8}', 'gold', 40, FALSE, FALSE, 0, '你尝遍了各种饮品！'),
+('晨间一杯', '在早上5点到8点之间饮水累计7天', 'consistency', '{"time_of_day": {"start_hour": 5, "end_hour": 8, "days": 7}}', 'silver', 30, FALSE, FALSE, 0, '清晨一杯水，唤醒一整天！'),
+('夏日补水', '夏季(6-8月)单日饮水达到2.5升', 'seasonal', '{"season": {"months": [6, 7, 8]}, "daily_amount": 2500}', 'silver', 25, FALSE, TRUE, 365, '炎炎夏日，补水及时！'),
+('冬日暖饮', '冬季(12-2月)累计10天达成目标', 'seasonal', '{"season": {"months": [12, 1, 2]}, "achieved_days": 10}', 'silver', 25, FALSE, TRUE, 365, '寒冬里也不忘喝水！'),
+('完美一周', '连续7天达成饮水目标，每30天可再次获得', 'consistency', '{"consecutive_days": 7}', 'bronze', 20, FALSE, TRUE, 30, '又一个完美的一周！');
\ No newline at end of file
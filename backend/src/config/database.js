@@ -276,6 +276,21 @@ class DatabaseConnection {
     }
   }
 
+  // 键不存在时才写入（SET NX EX，原子操作）；返回 true 已写入，false 键已存在，null Redis 不可用
+  async setCacheIfAbsent(key, value, ttl = 3600) {
+    try {
+      const serializedValue = JSON.stringify(value);
+      const result = await this.redis.set(key, serializedValue, {
+        NX: true,
+        EX: ttl,
+      });
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Redis缓存设置失败:', { key, error: error.message });
+      return null;
+    }
+  }
+
   async getCache(key) {
     try {
       const value = await this.redis.get(key);
@@ -7,6 +7,7 @@ const config = {
     port: parseInt(process.env.PORT, 10) || 3000,
     env: process.env.NODE_ENV || 'development',
     apiVersion: process.env.API_VERSION || 'v1',
+    baseUrl: process.env.BASE_URL,
     trustProxy: process.env.TRUST_PROXY === 'true',
   },
 
@@ -47,6 +48,8 @@ const config = {
   upload: {
     maxSize: parseInt(process.env.UPLOAD_MAX_SIZE, 10) || 5242880, // 5MB
     path: process.env.UPLOAD_PATH || './uploads',
+    // 数据导出文件目录（不能位于静态文件目录下，只能通过签名链接下载）
+    exportPath: process.env.EXPORT_PATH || './exports',
     allowedTypes: (process.env.ALLOWED_FILE_TYPES || 'jpg,jpeg,png,gif').split(
       ','
     ),
@@ -90,6 +93,19 @@ const config = {
     databaseURL: process.env.FIREBASE_DATABASE_URL,
   },
 
+  // 天气服务配置（fixture 使用本地固定数据，用于开发和测试）
+  weather: {
+    provider:
+      process.env.WEATHER_PROVIDER ||
+      (process.env.NODE_ENV === 'production' ? 'http' : 'fixture'), // fixture, http
+    apiUrl:
+      process.env.WEATHER_API_URL || 'https://api.open-meteo.com/v1/forecast',
+    apiKey: process.env.WEATHER_API_KEY,
+    fixturePath: process.env.WEATHER_FIXTURE_PATH,
+    timeout: parseInt(process.env.WEATHER_TIMEOUT, 10) || 5000,
+    cacheTTL: parseInt(process.env.WEATHER_CACHE_TTL, 10) || 1800, // 30分钟
+  },
+
   // 第三方登录配置
   oauth: {
     google: {
@@ -144,6 +160,12 @@ const config = {
   security: {
     helmetEnabled: process.env.HELMET_ENABLED !== 'false',
     sessionSecret: process.env.SESSION_SECRET || 'your-session-secret',
+    // 下载链接签名密钥（生产环境必须设置，见 validateConfig）
+    downloadSecret:
+      process.env.DOWNLOAD_SIGNING_SECRET ||
+      (process.env.NODE_ENV === 'production'
+        ? ''
+        : 'your-download-signing-secret'),
   },
 
   // 定时任务配置
@@ -151,16 +173,75 @@ const config = {
     statisticsUpdate: process.env.CRON_STATISTICS_UPDATE || '0 1 * * *',
     reminderCleanup: process.env.CRON_REMINDER_CLEANUP || '0 2 * * *',
     sessionCleanup: process.env.CRON_SESSION_CLEANUP || '0 3 * * *',
+    reminderDispatch: process.env.CRON_REMINDER_DISPATCH || '* * * * *',
+    reminderSeed: process.env.CRON_REMINDER_SEED || '*/15 * * * *',
+    goalExpiry: process.env.CRON_GOAL_EXPIRY || '5 * * * *',
+    accountPurge: process.env.CRON_ACCOUNT_PURGE || '30 4 * * *',
+    calendarRefresh: process.env.CRON_CALENDAR_REFRESH || '20 * * * *',
+  },
+
+  // 提醒派发配置
+  reminderDispatch: {
+    batchSize: parseInt(process.env.REMINDER_DISPATCH_BATCH_SIZE, 10) || 100,
+    maxAttempts: parseInt(process.env.REMINDER_DISPATCH_MAX_ATTEMPTS, 10) || 3,
+    retryBaseSeconds:
+      parseInt(process.env.REMINDER_DISPATCH_RETRY_BASE_SECONDS, 10) || 60,
+    lockTimeoutMinutes:
+      parseInt(process.env.REMINDER_DISPATCH_LOCK_TIMEOUT_MINUTES, 10) || 10,
   },
 
   // 业务配置
   business: {
     defaultDailyGoal: parseInt(process.env.DEFAULT_DAILY_GOAL, 10) || 2000,
+    minDailyGoal: parseInt(process.env.MIN_DAILY_GOAL, 10) || 500,
+    maxDailyGoal: parseInt(process.env.MAX_DAILY_GOAL, 10) || 8000,
     maxDailyRecords: parseInt(process.env.MAX_DAILY_RECORDS, 10) || 50,
     minRecordAmount: parseInt(process.env.MIN_RECORD_AMOUNT, 10) || 50,
     maxRecordAmount: parseInt(process.env.MAX_RECORD_AMOUNT, 10) || 2000,
     reminderMinInterval: parseInt(process.env.REMINDER_MIN_INTERVAL, 10) || 15,
     reminderMaxInterval: parseInt(process.env.REMINDER_MAX_INTERVAL, 10) || 240,
+    // 幂等键保留时间(秒)，期间重复请求返回首次响应
+    idempotencyKeyTtl: parseInt(process.env.IDEMPOTENCY_KEY_TTL, 10) || 86400,
+    // 请求处理中占用幂等键的时间(秒)，进程崩溃未释放的键到期后可以重试
+    idempotencyProcessingLease:
+      parseInt(process.env.IDEMPOTENCY_PROCESSING_LEASE, 10) || 60,
+    // 同一设备在该时间(秒)内提交相同饮水量、类型和时间的记录视为重复
+    duplicateRecordWindow:
+      parseInt(process.env.DUPLICATE_RECORD_WINDOW, 10) || 10,
+    // 单个导入文件的最大大小(字节)和最大行数
+    maxImportFileSize:
+      parseInt(process.env.MAX_IMPORT_FILE_SIZE, 10) || 10 * 1024 * 1024,
+    maxImportRows: parseInt(process.env.MAX_IMPORT_ROWS, 10) || 50000,
+    // 超过该时间(分钟)仍未完成的导入任务视为中断（如服务重启），标记为失败
+    importJobTimeout: parseInt(process.env.IMPORT_JOB_TIMEOUT, 10) || 60,
+    // 健康平台导出文件（如 Apple 健康的 export.zip）通常较大
+    maxHealthImportFileSize:
+      parseInt(process.env.MAX_HEALTH_IMPORT_FILE_SIZE, 10) || 50 * 1024 * 1024,
+    // 压缩包中的导出文件解压后的最大大小(字节)
+    maxHealthImportUnzippedSize:
+      parseInt(process.env.MAX_HEALTH_IMPORT_UNZIPPED_SIZE, 10) ||
+      256 * 1024 * 1024,
+    // 数据导出文件和下载链接的有效期(秒)
+    dataExportTtl: parseInt(process.env.DATA_EXPORT_TTL, 10) || 72 * 3600,
+    // 超过该时间(分钟)仍未完成的导出任务视为中断（如服务重启），标记为失败
+    dataExportJobTimeout:
+      parseInt(process.env.DATA_EXPORT_JOB_TIMEOUT, 10) || 30,
+    // 申请删除账户后的宽限期(天)，期间登录可取消删除
+    accountDeletionGraceDays:
+      parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14,
+    // 饮水记录修改后可撤销的时间(秒)
+    recordUndoWindow: parseInt(process.env.RECORD_UNDO_WINDOW, 10) || 600,
+    // 倒时差模式下提醒时间段每天调整的分钟数
+    jetLagShiftPerDay: parseInt(process.env.JET_LAG_SHIFT_PER_DAY, 10) || 60,
+    // 日历：文件大小(字节)、每个用户的日历数、展开未来多少天的忙碌时间、刷新间隔(分钟)
+    maxCalendarFileSize:
+      parseInt(process.env.MAX_CALENDAR_FILE_SIZE, 10) || 1024 * 1024,
+    maxCalendarsPerUser: parseInt(process.env.MAX_CALENDARS_PER_USER, 10) || 5,
+    calendarHorizonDays: parseInt(process.env.CALENDAR_HORIZON_DAYS, 10) || 14,
+    calendarRefreshMinutes:
+      parseInt(process.env.CALENDAR_REFRESH_MINUTES, 10) || 60,
+    // 会议前提前多少分钟提醒
+    calendarNudgeMinutes: parseInt(process.env.CALENDAR_NUDGE_MINUTES, 10) || 5,
   },
 
   // 维护模式
@@ -189,6 +270,11 @@ const validateConfig = () => {
     'db.database',
   ];
 
+  // 生产环境不能使用公开的默认签名密钥
+  if (config.server.env === 'production') {
+    requiredFields.push('security.downloadSecret');
+  }
+
   const missing = requiredFields.filter(field => {
     const keys = field.split('.');
     let value = config;
@@ -206,8 +292,8 @@ const validateConfig = () => {
   }
 };
 
-// 开发环境下验证配置
-if (config.server.env === 'development') {
+// 开发和生产环境下验证配置
+if (['development', 'production'].includes(config.server.env)) {
   try {
     validateConfig();
   } catch (error) {
@@ -0,0 +1,269 @@
+import { validationResult } from 'express-validator';
+import * as HydrationModel from '../models/hydration.model.js';
+import * as ImportJobModel from '../models/importJob.model.js';
+import activityService from '../utils/activityService.js';
+import healthImport from '../utils/healthImport.js';
+import { errorLogger } from '../utils/logger.js';
+import config from '../config/index.js';
+
+// 运动相关错误码对应的状态码
+const ACTIVITY_ERROR_STATUS = {
+  ACTIVITY_NOT_FOUND: 404,
+  DUPLICATE_ACTIVITY: 409,
+};
+
+// 记录运动，按出汗量提高当天目标并安排运动前、中、后的补水提醒
+export const createActivity = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const {
+      type,
+      startedAt,
+      durationMinutes,
+      intensity,
+      source,
+      externalId,
+      notes,
+      timezone,
+    } = req.body;
+
+    const result = await activityService.logActivity(userId, {
+      activity_type: type,
+      started_at: startedAt,
+      duration_minutes: parseInt(durationMinutes, 10),
+      intensity,
+      source,
+      external_id: externalId,
+      notes,
+      timezone,
+    });
+
+    if (result.error) {
+      return res.status(ACTIVITY_ERROR_STATUS[result.error] || 400).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+        activity_id: result.activity_id,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: '运动记录成功',
+      data: {
+        ...result,
+        today_progress: await HydrationModel.getTodayHydrationProgress(
+          userId,
+          timezone
+        ),
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Create activity failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'CREATE_ACTIVITY_FAILED',
+      message: '记录运动失败',
+    });
+  }
+};
+
+// 获取运动记录列表
+export const getActivities = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      startDate,
+      endDate,
+      type,
+      source,
+    } = req.query;
+
+    const result = await activityService.listActivities(
+      req.user.id,
+      { startDate, endDate, activityType: type, source },
+      { page: parseInt(page, 10), limit: Math.min(parseInt(limit, 10), 100) }
+    );
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    errorLogger.api('Get activities failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_ACTIVITIES_FAILED',
+      message: '获取运动记录失败',
+    });
+  }
+};
+
+// 删除运动记录
+export const deleteActivity = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const result = await activityService.removeActivity(
+      req.user.id,
+      parseInt(req.params.activityId, 10)
+    );
+
+    if (result.error) {
+      return res.status(ACTIVITY_ERROR_STATUS[result.error] || 400).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '运动记录已删除',
+      data: result,
+    });
+  } catch (error) {
+    errorLogger.api('Delete activity failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'DELETE_ACTIVITY_FAILED',
+      message: '删除运动记录失败',
+    });
+  }
+};
+
+// 导入健康平台导出文件（Apple 健康、Google Fit、Garmin）中的运动和体重
+export const importHealthData = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+
+    // 与饮水记录导入共用限制，同一用户同时只能有一个导入任务（中断的任务不计算在内）
+    await ImportJobModel.failStaleImportJobs(
+      config.business.importJobTimeout,
+      userId
+    );
+    const activeJobs = await ImportJobModel.countActiveImportJobs(userId);
+    if (activeJobs > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'IMPORT_IN_PROGRESS',
+        message: '已有导入任务正在进行，请稍后再试',
+      });
+    }
+
+    const result = await healthImport.start(userId, req.file, {
+      timezone: req.body.timezone,
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+      });
+    }
+
+    const job = await ImportJobModel.getImportJob(
+      result.jobId,
+      userId,
+      'health'
+    );
+
+    res.status(202).json({
+      success: true,
+      message: '导入任务已创建',
+      data: {
+        job: { ...job, total_rows: result.totalRows },
+        provider: result.provider,
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Import health data failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'IMPORT_FAILED',
+      message: '导入健康数据失败',
+    });
+  }
+};
+
+// 获取健康数据导入任务状态
+export const getHealthImportJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const job = await ImportJobModel.getImportJob(
+      req.params.jobId,
+      req.user.id,
+      'health'
+    );
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'IMPORT_JOB_NOT_FOUND',
+        message: '导入任务不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '获取导入任务成功',
+      data: { job },
+    });
+  } catch (error) {
+    errorLogger.api('Get health import job failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_IMPORT_JOB_FAILED',
+      message: '获取导入任务失败',
+    });
+  }
+};
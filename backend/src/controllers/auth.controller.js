@@ -1,8 +1,10 @@
 import { validationResult } from 'express-validator';
 import * as AuthModel from '../models/auth.model.js';
 import * as UserModel from '../models/user.model.js';
+import * as ReminderModel from '../models/reminder.model.js';
 import AuthService from '../utils/auth.js';
 import EmailService from '../utils/email.js';
+import accountDeletion from '../utils/accountDeletion.js';
 import config from '../config/index.js';
 import { businessLogger, errorLogger } from '../utils/logger.js';
 import moment from 'moment-timezone';
@@ -95,6 +97,11 @@ export const register = async (req, res) => {
 
     await AuthModel.createSession(sessionData);
 
+    // 按默认提醒设置安排第一次提醒，之后由提醒派发器接续安排（异步）
+    ReminderModel.scheduleNextReminder(userId).catch(error => {
+      errorLogger.database(error, 'schedule_first_reminder', { userId });
+    });
+
     // 发送欢迎邮件（异步）
     if (config.email.enabled) {
       EmailService.sendWelcomeEmail(email, fullName || username).catch(
@@ -148,11 +155,12 @@ export const login = async (req, res) => {
 
     const { login, password, rememberMe } = req.body;
 
-    // 加密密码进行验证
-    const passwordHash = await AuthService.hashPassword(password);
-    const user = await AuthModel.validateUserCredentials(login, passwordHash);
+    // bcrypt 哈希带随机盐，只能用 compare 验证
+    const user = await AuthModel.findUserForLogin(login);
+    const isPasswordValid =
+      user && (await AuthService.verifyPassword(password, user.password_hash));
 
-    if (!user) {
+    if (!isPasswordValid) {
       return res.status(401).json({
         success: false,
         error: 'INVALID_CREDENTIALS',
@@ -160,6 +168,12 @@ export const login = async (req, res) => {
       });
     }
 
+    // 宽限期内登录即取消删除账户
+    const deletionCancelled = !!user.deletion_scheduled_for;
+    if (deletionCancelled) {
+      await accountDeletion.cancel(user.id, req);
+    }
+
     // 更新最后登录时间
     await AuthModel.updateLastLoginTime(user.id);
 
@@ -200,7 +214,7 @@ export const login = async (req, res) => {
 
     res.json({
       success: true,
-      message: '登录成功',
+      message: deletionCancelled ? '登录成功，账户删除已取消' : '登录成功',
       data: {
         user: {
           id: user.id,
@@ -211,6 +225,7 @@ export const login = async (req, res) => {
           ...userStats,
         },
         tokens,
+        deletionCancelled,
       },
     });
   } catch (error) {
@@ -0,0 +1,297 @@
+import { validationResult } from 'express-validator';
+import * as HydrationModel from '../models/hydration.model.js';
+import * as DeviceModel from '../models/device.model.js';
+import AuthService from '../utils/auth.js';
+import deviceService from '../utils/deviceService.js';
+import { businessLogger, errorLogger } from '../utils/logger.js';
+
+// 设备相关错误码对应的状态码
+const DEVICE_ERROR_STATUS = {
+  INVALID_PAIRING_CODE: 400,
+  DEVICE_ALREADY_PAIRED: 409,
+  DEVICE_ID_CONFLICT: 409,
+};
+
+// 生成设备配对码（在应用中显示给用户，输入到设备上完成配对）
+export const createPairingCode = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const result = await deviceService.createPairingCode(req.user.id, {
+      deviceType: req.body.deviceType,
+      deviceName: req.body.deviceName,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: '配对码已生成',
+      data: result,
+    });
+  } catch (error) {
+    errorLogger.api('Create pairing code failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'CREATE_PAIRING_CODE_FAILED',
+      message: '生成配对码失败',
+    });
+  }
+};
+
+// 设备使用配对码配对，返回设备密钥
+export const pairDevice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const { pairingCode, deviceId, deviceName, firmwareVersion } = req.body;
+    const result = await deviceService.pair({
+      pairingCode,
+      deviceId,
+      deviceName,
+      firmwareVersion,
+    });
+
+    if (result.error) {
+      return res.status(DEVICE_ERROR_STATUS[result.error] || 400).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: '设备配对成功',
+      data: result,
+    });
+  } catch (error) {
+    errorLogger.api('Pair device failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'PAIR_DEVICE_FAILED',
+      message: '设备配对失败',
+    });
+  }
+};
+
+// 设备批量上报读数，转换为饮水记录并更新设备电量和固件版本
+export const uploadReadings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const { readings, battery = {}, firmwareVersion } = req.body;
+
+    const result = await deviceService.ingestReadings(req.device, {
+      readings: readings.map(reading => ({
+        type: reading.type,
+        amount_ml: reading.amountMl,
+        weight_g: reading.weightG,
+        recorded_at: reading.recordedAt,
+      })),
+      status: {
+        battery_level:
+          battery.level === undefined ? undefined : parseInt(battery.level, 10),
+        battery_charging:
+          battery.charging === undefined
+            ? undefined
+            : [true, 'true', 1, '1'].includes(battery.charging),
+        firmware_version: firmwareVersion,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: `成功添加${result.added_count}条饮水记录`,
+      data: {
+        ...result,
+        today_progress: await HydrationModel.getTodayHydrationProgress(
+          req.device.user_id
+        ),
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Upload device readings failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'UPLOAD_READINGS_FAILED',
+      message: '上报读数失败',
+    });
+  }
+};
+
+// 设备响应格式，标记当前会话所在的设备
+const formatDevice = (device, session) => ({
+  ...device,
+  has_push_token: Boolean(device.has_push_token),
+  push_enabled: Boolean(device.push_enabled),
+  is_primary: Boolean(device.is_primary),
+  is_active: Boolean(device.is_active),
+  battery_charging:
+    device.battery_charging === null ? null : Boolean(device.battery_charging),
+  settings: device.settings || {},
+  is_current: Boolean(session && session.device_id === device.id),
+});
+
+// 获取用户的设备列表
+export const getDevices = async (req, res) => {
+  try {
+    const devices = await DeviceModel.getUserDevices(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        devices: devices.map(device => formatDevice(device, req.session)),
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Get devices failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_DEVICES_FAILED',
+      message: '获取设备列表失败',
+    });
+  }
+};
+
+// 更新设备名称、主设备、推送开关和设备配置
+export const updateDevice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const id = parseInt(req.params.id, 10);
+    const { deviceName, isPrimary, pushEnabled, settings } = req.body;
+
+    const device = await DeviceModel.getDeviceById(id, userId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'DEVICE_NOT_FOUND',
+        message: '设备不存在',
+      });
+    }
+
+    const affectedRows = await DeviceModel.updateDevice(id, userId, {
+      device_name: deviceName,
+      is_primary: isPrimary,
+      push_enabled: pushEnabled,
+      settings,
+    });
+
+    if (affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'NO_CHANGES',
+        message: '没有可更新的数据',
+      });
+    }
+
+    businessLogger.userAction(userId, 'update_device', {
+      deviceId: id,
+      fields: Object.keys(req.body),
+    });
+
+    res.json({
+      success: true,
+      message: '设备设置更新成功',
+      data: {
+        device: formatDevice(
+          await DeviceModel.getDeviceById(id, userId),
+          req.session
+        ),
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Update device failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'UPDATE_DEVICE_FAILED',
+      message: '更新设备设置失败',
+    });
+  }
+};
+
+// 删除设备，同时移除在该设备上登录的会话；智能设备删除后需要重新配对
+export const deleteDevice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const id = parseInt(req.params.id, 10);
+
+    const device = await DeviceModel.getDeviceById(id, userId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'DEVICE_NOT_FOUND',
+        message: '设备不存在',
+      });
+    }
+
+    const revokedSessions = await AuthService.removeDeviceSessions(userId, id);
+    await DeviceModel.deleteDevice(id, userId);
+
+    businessLogger.userAction(userId, 'delete_device', {
+      deviceId: id,
+      deviceType: device.device_type,
+      revokedSessions,
+    });
+
+    res.json({
+      success: true,
+      message: '设备已删除',
+      data: {
+        revoked_sessions: revokedSessions,
+        current_session_revoked: Boolean(
+          req.session && req.session.device_id === id
+        ),
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Delete device failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'DELETE_DEVICE_FAILED',
+      message: '删除设备失败',
+    });
+  }
+};
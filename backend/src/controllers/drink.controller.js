@@ -0,0 +1,262 @@
+import { validationResult } from 'express-validator';
+import * as DrinkModel from '../models/drink.model.js';
+import { businessLogger, errorLogger } from '../utils/logger.js';
+
+/**
+ * 饮品目录控制器 - 函数式风格
+ */
+
+// 请求字段与数据库字段的对应关系
+const DRINK_FIELD_MAP = {
+  name: 'name',
+  drinkType: 'drink_type',
+  defaultVolume: 'default_volume',
+  icon: 'icon',
+  caffeineMg: 'caffeine_mg',
+  sugarG: 'sugar_g',
+  calories: 'calories',
+  alcoholAbv: 'alcohol_abv',
+};
+
+// 将请求体转换为数据库字段
+const toDrinkData = body =>
+  Object.entries(DRINK_FIELD_MAP).reduce((data, [field, column]) => {
+    if (body[field] !== undefined) {
+      data[column] = body[field];
+    }
+    return data;
+  }, {});
+
+// 名称重复时的响应
+const sendNameConflict = (res, name) =>
+  res.status(409).json({
+    success: false,
+    error: 'DRINK_NAME_EXISTS',
+    message: `饮品"${name}"已存在`,
+  });
+
+// 获取饮品目录
+export const getDrinks = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const drinks = await DrinkModel.getUserDrinks(
+      userId,
+      req.query.drinkType || null
+    );
+
+    res.json({
+      success: true,
+      data: { drinks },
+    });
+  } catch (error) {
+    errorLogger.api('Get drinks failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_DRINKS_FAILED',
+      message: '获取饮品目录失败',
+    });
+  }
+};
+
+// 获取单个饮品
+export const getDrink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const drink = await DrinkModel.getDrinkById(
+      req.params.drinkId,
+      req.user.id
+    );
+    if (!drink) {
+      return res.status(404).json({
+        success: false,
+        error: 'DRINK_NOT_FOUND',
+        message: '饮品不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { drink },
+    });
+  } catch (error) {
+    errorLogger.api('Get drink failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_DRINK_FAILED',
+      message: '获取饮品失败',
+    });
+  }
+};
+
+// 创建饮品
+export const createDrink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const drinkData = toDrinkData(req.body);
+
+    if (await DrinkModel.findDrinkByName(userId, drinkData.name)) {
+      return sendNameConflict(res, drinkData.name);
+    }
+
+    const drinkId = await DrinkModel.createDrink(userId, drinkData);
+    const drink = await DrinkModel.getDrinkById(drinkId, userId);
+
+    businessLogger.userAction(userId, 'create_drink', {
+      drinkId,
+      name: drink.name,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: '饮品创建成功',
+      data: { drink },
+    });
+  } catch (error) {
+    errorLogger.api('Create drink failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'CREATE_DRINK_FAILED',
+      message: '创建饮品失败',
+    });
+  }
+};
+
+// 更新饮品（只影响之后的记录，已有记录保留原营养信息）
+export const updateDrink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const { drinkId } = req.params;
+
+    const existing = await DrinkModel.getDrinkById(drinkId, userId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'DRINK_NOT_FOUND',
+        message: '饮品不存在',
+      });
+    }
+
+    const drinkData = toDrinkData(req.body);
+    if (
+      drinkData.name &&
+      (await DrinkModel.findDrinkByName(userId, drinkData.name, drinkId))
+    ) {
+      return sendNameConflict(res, drinkData.name);
+    }
+
+    const affectedRows = await DrinkModel.updateDrink(
+      drinkId,
+      userId,
+      drinkData
+    );
+    if (affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'NO_CHANGES',
+        message: '没有可更新的数据',
+      });
+    }
+
+    const drink = await DrinkModel.getDrinkById(drinkId, userId);
+
+    businessLogger.userAction(userId, 'update_drink', {
+      drinkId,
+      changes: Object.keys(drinkData),
+    });
+
+    res.json({
+      success: true,
+      message: '饮品更新成功',
+      data: { drink },
+    });
+  } catch (error) {
+    errorLogger.api('Update drink failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'UPDATE_DRINK_FAILED',
+      message: '更新饮品失败',
+    });
+  }
+};
+
+// 删除饮品
+export const deleteDrink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const { drinkId } = req.params;
+
+    const drink = await DrinkModel.getDrinkById(drinkId, userId);
+    if (!drink) {
+      return res.status(404).json({
+        success: false,
+        error: 'DRINK_NOT_FOUND',
+        message: '饮品不存在',
+      });
+    }
+
+    await DrinkModel.deleteDrink(drinkId, userId);
+
+    businessLogger.userAction(userId, 'delete_drink', { drinkId });
+
+    res.json({
+      success: true,
+      message: '饮品删除成功',
+    });
+  } catch (error) {
+    errorLogger.api('Delete drink failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'DELETE_DRINK_FAILED',
+      message: '删除饮品失败',
+    });
+  }
+};
@@ -0,0 +1,466 @@
+import { validationResult } from 'express-validator';
+import moment from 'moment-timezone';
+import * as GoalModel from '../models/goal.model.js';
+import streakService, {
+  summarizeGoalProgress,
+} from '../utils/streakService.js';
+import { businessLogger, errorLogger } from '../utils/logger.js';
+
+/**
+ * 用户目标控制器 - 函数式风格
+ */
+
+// 获取目标连续达成情况（含逐日历史）
+export const getGoalStreak = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const days = parseInt(req.query.days, 10) || 30;
+
+    const results = await streakService.recomputeUser(userId);
+
+    const goals = results.map(({ goal, streak }) => ({
+      goal_id: goal.id,
+      goal_type: goal.goal_type,
+      target_value: goal.target_value,
+      target_unit: goal.target_unit,
+      start_date: goal.start_date,
+      end_date: goal.end_date,
+      unit: streak.unit,
+      current_streak: streak.current_streak,
+      best_streak: streak.best_streak,
+      total_achieved_days: streak.total_achieved_days,
+      is_achieved: streak.is_achieved,
+      history: streak.history.slice(-days),
+      periods: streak.unit === 'day' ? undefined : streak.periods,
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        timezone: results[0]?.timezone || req.user.timezone,
+        today: results[0]?.today || null,
+        goals,
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Get goal streak failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_STREAK_FAILED',
+      message: '获取连续达成记录失败',
+    });
+  }
+};
+
+// 目标类型对应的默认单位
+const DEFAULT_UNITS = {
+  daily_water: 'ml',
+  weekly_consistency: 'days',
+  monthly_average: 'ml',
+  custom: 'ml',
+};
+
+// 为目标附加当前进度
+const attachProgress = async (userId, goals) => {
+  const { results } = await streakService.evaluateGoals(userId, goals);
+
+  return results.map(({ goal, streak }) => ({
+    ...goal,
+    progress: summarizeGoalProgress(goal, streak),
+  }));
+};
+
+// 用户时区的今天
+const getUserToday = req =>
+  moment.tz(req.user.timezone || 'Asia/Shanghai').format('YYYY-MM-DD');
+
+// 获取目标列表（先停用已到期的目标）
+export const getGoals = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const { status = 'active' } = req.query;
+
+    await streakService.expireEndedGoals(userId);
+
+    const goals = await GoalModel.getUserGoals(userId, status);
+    const goalsWithProgress = await attachProgress(userId, goals);
+
+    res.json({
+      success: true,
+      data: { goals: goalsWithProgress },
+    });
+  } catch (error) {
+    errorLogger.api('Get goals failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_GOALS_FAILED',
+      message: '获取目标列表失败',
+    });
+  }
+};
+
+// 获取目标历史（已结束或已停用的目标及最终统计）
+export const getGoalHistory = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    await streakService.expireEndedGoals(userId);
+
+    const goals = await GoalModel.getUserGoals(userId, 'history');
+    const goalsWithProgress = await attachProgress(userId, goals);
+
+    res.json({
+      success: true,
+      data: { goals: goalsWithProgress },
+    });
+  } catch (error) {
+    errorLogger.api('Get goal history failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_GOAL_HISTORY_FAILED',
+      message: '获取目标历史失败',
+    });
+  }
+};
+
+// 获取单个目标
+export const getGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const { goalId } = req.params;
+
+    const goal = await GoalModel.getGoalById(goalId, userId);
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: 'GOAL_NOT_FOUND',
+        message: '目标不存在',
+      });
+    }
+
+    const [goalWithProgress] = await attachProgress(userId, [goal]);
+
+    res.json({
+      success: true,
+      data: { goal: goalWithProgress },
+    });
+  } catch (error) {
+    errorLogger.api('Get goal failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_GOAL_FAILED',
+      message: '获取目标失败',
+    });
+  }
+};
+
+// 创建目标
+export const createGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const today = getUserToday(req);
+    const {
+      goalType,
+      targetValue,
+      targetUnit,
+      startDate = today,
+      endDate = null,
+      reminderEnabled,
+      celebrationEnabled,
+    } = req.body;
+
+    if (startDate < today) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_START_DATE',
+        message: '开始日期不能早于今天',
+      });
+    }
+
+    // 检查同类型目标是否冲突
+    const conflicts = await GoalModel.findOverlappingGoals(userId, {
+      goalType,
+      startDate,
+      endDate,
+    });
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'GOAL_OVERLAP',
+        message: endDate
+          ? '该时间段内已有同类型的挑战目标'
+          : '已有同类型的长期目标，请修改现有目标',
+        conflicts: conflicts.map(goal => goal.id),
+      });
+    }
+
+    const goalId = await GoalModel.createGoal(userId, {
+      goal_type: goalType,
+      target_value: targetValue,
+      target_unit: targetUnit || DEFAULT_UNITS[goalType],
+      start_date: startDate,
+      end_date: endDate,
+      reminder_enabled: reminderEnabled,
+      celebration_enabled: celebrationEnabled,
+    });
+
+    // 长期每日目标同步到用户资料
+    if (goalType === 'daily_water' && !endDate) {
+      await GoalModel.setPrimaryDailyGoal(userId, targetValue);
+    }
+
+    await streakService.refresh(userId);
+
+    const goal = await GoalModel.getGoalById(goalId, userId);
+    const [goalWithProgress] = await attachProgress(userId, [goal]);
+
+    businessLogger.userAction(userId, 'create_goal', {
+      goalId,
+      goalType,
+      targetValue,
+      endDate,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: '目标创建成功',
+      data: { goal: goalWithProgress },
+    });
+  } catch (error) {
+    errorLogger.api('Create goal failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'CREATE_GOAL_FAILED',
+      message: '创建目标失败',
+    });
+  }
+};
+
+// 更新目标
+export const updateGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const { goalId } = req.params;
+    const today = getUserToday(req);
+    const {
+      targetValue,
+      targetUnit,
+      startDate,
+      endDate,
+      isActive,
+      reminderEnabled,
+      celebrationEnabled,
+    } = req.body;
+
+    const goal = await GoalModel.getGoalById(goalId, userId);
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: 'GOAL_NOT_FOUND',
+        message: '目标不存在',
+      });
+    }
+
+    // 已开始的目标不能修改开始日期
+    if (startDate !== undefined && startDate !== goal.start_date) {
+      if (goal.start_date <= today || startDate < today) {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_START_DATE',
+          message: '已开始的目标不能修改开始日期，且开始日期不能早于今天',
+        });
+      }
+    }
+
+    const nextStartDate = startDate ?? goal.start_date;
+    const nextEndDate = endDate === undefined ? goal.end_date : endDate;
+    const nextIsActive = isActive ?? Boolean(goal.is_active);
+
+    if (nextEndDate && nextEndDate < nextStartDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_END_DATE',
+        message: '结束日期不能早于开始日期',
+      });
+    }
+
+    // 已结束的目标不能重新启用
+    if (nextIsActive && nextEndDate && nextEndDate < today) {
+      return res.status(400).json({
+        success: false,
+        error: 'GOAL_ENDED',
+        message: '目标已结束，不能重新启用',
+      });
+    }
+
+    if (nextIsActive) {
+      const conflicts = await GoalModel.findOverlappingGoals(userId, {
+        goalType: goal.goal_type,
+        startDate: nextStartDate,
+        endDate: nextEndDate,
+        excludeId: goal.id,
+      });
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'GOAL_OVERLAP',
+          message: '与同类型的其他目标时间冲突',
+          conflicts: conflicts.map(item => item.id),
+        });
+      }
+    }
+
+    const affectedRows = await GoalModel.updateGoal(goalId, userId, {
+      target_value: targetValue,
+      target_unit: targetUnit,
+      start_date: startDate,
+      end_date: endDate,
+      is_active: isActive,
+      reminder_enabled: reminderEnabled,
+      celebration_enabled: celebrationEnabled,
+    });
+
+    if (affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'NO_CHANGES',
+        message: '没有可更新的数据',
+      });
+    }
+
+    // 长期每日目标同步到用户资料
+    if (
+      goal.goal_type === 'daily_water' &&
+      !nextEndDate &&
+      nextIsActive &&
+      targetValue !== undefined
+    ) {
+      await GoalModel.setPrimaryDailyGoal(userId, targetValue);
+    }
+
+    await streakService.refresh(userId);
+
+    const updatedGoal = await GoalModel.getGoalById(goalId, userId);
+    const [goalWithProgress] = await attachProgress(userId, [updatedGoal]);
+
+    businessLogger.userAction(userId, 'update_goal', {
+      goalId,
+      updatedFields: Object.keys(req.body),
+    });
+
+    res.json({
+      success: true,
+      message: '目标更新成功',
+      data: { goal: goalWithProgress },
+    });
+  } catch (error) {
+    errorLogger.api('Update goal failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'UPDATE_GOAL_FAILED',
+      message: '更新目标失败',
+    });
+  }
+};
+
+// 删除目标
+export const deleteGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const { goalId } = req.params;
+
+    const goal = await GoalModel.getGoalById(goalId, userId);
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: 'GOAL_NOT_FOUND',
+        message: '目标不存在',
+      });
+    }
+
+    // 长期每日目标是提醒和统计的基础，不能删除
+    if (goal.goal_type === 'daily_water' && !goal.end_date && goal.is_active) {
+      return res.status(400).json({
+        success: false,
+        error: 'PRIMARY_GOAL_REQUIRED',
+        message: '长期每日饮水目标不能删除，可以修改目标值',
+      });
+    }
+
+    await GoalModel.deleteGoal(goalId, userId);
+
+    businessLogger.userAction(userId, 'delete_goal', { goalId });
+
+    res.json({
+      success: true,
+      message: '目标删除成功',
+    });
+  } catch (error) {
+    errorLogger.api('Delete goal failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'DELETE_GOAL_FAILED',
+      message: '删除目标失败',
+    });
+  }
+};
@@ -1,9 +1,20 @@
 import { validationResult } from 'express-validator';
 import * as HydrationModel from '../models/hydration.model.js';
 import * as UserModel from '../models/user.model.js';
+import * as DrinkModel from '../models/drink.model.js';
+import * as ImportJobModel from '../models/importJob.model.js';
 import { businessLogger, errorLogger } from '../utils/logger.js';
+import achievementEngine from '../utils/achievementEngine.js';
+import streakService from '../utils/streakService.js';
+import hydrationCoefficients from '../utils/hydrationCoefficients.js';
+import { scaleDrinkNutrition } from '../utils/drinkNutrition.js';
+import intakeLimits from '../utils/intakeLimits.js';
+import hydrationSync from '../utils/hydrationSync.js';
+import hydrationImport from '../utils/hydrationImport.js';
+import recordHistory from '../utils/recordHistory.js';
 import config from '../config/index.js';
 import moment from 'moment-timezone';
+import { resolveTimezone, getLocalDate } from '../utils/userTime.js';
 
 /**
  * 饮水记录控制器 - 函数式风格
@@ -24,31 +35,32 @@ export const addRecord = async (req, res) => {
 
     const userId = req.user.id;
     const {
-      amount,
-      drinkType = 'water',
-      drinkName,
+      drinkId,
       recordedAt,
       location,
       activityContext,
       temperature = 'room',
       source = 'manual',
       deviceId,
+      timezone,
     } = req.body;
+    let { amount, drinkType = 'water', drinkName } = req.body;
+
+    // 使用饮品目录中的预设：饮品类型、名称和默认容量来自目录
+    let drink = null;
+    if (drinkId) {
+      drink = await DrinkModel.getDrinkById(drinkId, userId);
+      if (!drink) {
+        return res.status(404).json({
+          success: false,
+          error: 'DRINK_NOT_FOUND',
+          message: '饮品不存在',
+        });
+      }
 
-    // 检查每日记录数量限制
-    const limitCheck = await HydrationModel.checkDailyRecordLimit(
-      userId,
-      config.business.maxDailyRecords
-    );
-
-    if (!limitCheck.can_add) {
-      return res.status(400).json({
-        success: false,
-        error: 'DAILY_LIMIT_EXCEEDED',
-        message: `每日最多只能记录${config.business.maxDailyRecords}次`,
-        current_count: limitCheck.current_count,
-        limit: config.business.maxDailyRecords,
-      });
+      amount = amount ?? drink.default_volume;
+      drinkType = drink.drink_type;
+      drinkName = drink.name;
     }
 
     // 验证饮水量范围
@@ -94,20 +106,104 @@ export const addRecord = async (req, res) => {
       temperature,
       source,
       device_id: deviceId,
+      drink_id: drink ? drink.id : null,
+      timezone,
+      ...(drink ? scaleDrinkNutrition(drink, amount) : {}),
     };
 
+    // 同一设备短时间内提交完全相同的记录视为重试造成的重复，直接返回已有记录
+    if (deviceId) {
+      const duplicate = await HydrationModel.findRecentDuplicateRecord(
+        userId,
+        { ...recordData, recorded_at: recordTime.toDate() },
+        config.business.duplicateRecordWindow
+      );
+
+      if (duplicate) {
+        businessLogger.userAction(userId, 'duplicate_record_skipped', {
+          recordId: duplicate.id,
+          deviceId,
+        });
+
+        return res.json({
+          success: true,
+          message: '检测到重复提交，已返回已有记录',
+          data: {
+            record: {
+              ...duplicate,
+              caffeine_mg: Number(duplicate.caffeine_mg),
+              sugar_g: Number(duplicate.sugar_g),
+              alcohol_units: Number(duplicate.alcohol_units),
+              recorded_at: moment(duplicate.recorded_at).format(
+                'YYYY-MM-DD HH:mm:ss'
+              ),
+            },
+            duplicate: true,
+            today_progress: await HydrationModel.getTodayHydrationProgress(
+              userId,
+              timezone
+            ),
+          },
+        });
+      }
+    }
+
+    // 检查每日记录数量限制
+    const limitCheck = await HydrationModel.checkDailyRecordLimit(
+      userId,
+      config.business.maxDailyRecords
+    );
+
+    if (!limitCheck.can_add) {
+      return res.status(400).json({
+        success: false,
+        error: 'DAILY_LIMIT_EXCEEDED',
+        message: `每日最多只能记录${config.business.maxDailyRecords}次`,
+        current_count: limitCheck.current_count,
+        limit: config.business.maxDailyRecords,
+      });
+    }
+
     // 添加饮水记录
     const recordId = await HydrationModel.createHydrationRecord(
       userId,
       recordData
     );
 
-    // 更新用户统计信息
-    await HydrationModel.updateUserStatistics(userId);
+    await recordHistory.log(userId, recordId, {
+      action: 'create',
+      after: { ...recordData, recorded_at: recordTime.toDate() },
+    });
+
+    if (drink) {
+      await DrinkModel.markDrinkUsed(drink.id);
+    }
+
+    // 检查咖啡因和酒精摄入限制
+    const limitWarnings = await intakeLimits.checkRecords(userId, [
+      { ...recordData, recorded_at: recordTime.toDate() },
+    ]);
+
+    // 更新记录所在当地日期的统计信息
+    const createdRecord = await HydrationModel.getHydrationRecordById(
+      recordId,
+      userId
+    );
+    await HydrationModel.updateUserStatistics(userId, createdRecord.local_date);
+
+    // 重新计算目标连续达成情况
+    await streakService.refresh(userId);
+
+    // 重新评估成就
+    const achievements = await achievementEngine.evaluateUser(userId, {
+      added: true,
+    });
 
     // 获取今日进度
-    const todayProgress =
-      await HydrationModel.getTodayHydrationProgress(userId);
+    const todayProgress = await HydrationModel.getTodayHydrationProgress(
+      userId,
+      timezone
+    );
 
     businessLogger.info('Hydration record added', {
       userId,
@@ -125,9 +221,16 @@ export const addRecord = async (req, res) => {
           amount,
           drink_type: drinkType,
           drink_name: drinkName,
+          drink_id: recordData.drink_id,
+          caffeine_mg: recordData.caffeine_mg || 0,
+          sugar_g: recordData.sugar_g || 0,
+          calories: recordData.calories || 0,
+          alcohol_units: recordData.alcohol_units || 0,
           recorded_at: recordTime.format('YYYY-MM-DD HH:mm:ss'),
         },
         today_progress: todayProgress,
+        achievements,
+        limit_warnings: limitWarnings,
       },
     });
   } catch (error) {
@@ -323,18 +426,32 @@ export const updateRecord = async (req, res) => {
       });
     }
 
-    // 重新计算统计信息
-    await HydrationModel.updateUserStatistics(
-      userId,
-      recordDate.format('YYYY-MM-DD')
-    );
-
     // 获取更新后的记录
     const updatedRecord = await HydrationModel.getHydrationRecordById(
       recordId,
       userId
     );
 
+    // 重新计算修改前后所在当地日期的统计信息
+    for (const date of new Set([
+      existingRecord.local_date,
+      updatedRecord.local_date,
+    ])) {
+      await HydrationModel.updateUserStatistics(userId, date);
+    }
+
+    // 重新计算目标连续达成情况
+    await streakService.refresh(userId);
+
+    // 记录修改后重新评估成就（可能撤销）
+    const achievements = await achievementEngine.evaluateUser(userId);
+
+    await recordHistory.log(userId, recordId, {
+      action: 'update',
+      before: existingRecord,
+      after: updatedRecord,
+    });
+
     businessLogger.info('Hydration record updated', {
       userId,
       recordId,
@@ -344,7 +461,7 @@ export const updateRecord = async (req, res) => {
     res.json({
       success: true,
       message: '饮水记录更新成功',
-      data: { record: updatedRecord },
+      data: { record: updatedRecord, achievements },
     });
   } catch (error) {
     errorLogger.api('Update hydration record failed:', error);
@@ -398,18 +515,29 @@ export const deleteRecord = async (req, res) => {
       });
     }
 
-    // 重新计算统计信息
-    const recordDate = moment(existingRecord.recorded_at);
+    await recordHistory.log(userId, recordId, {
+      action: 'delete',
+      before: existingRecord,
+    });
+
+    // 重新计算记录所在当地日期的统计信息
     await HydrationModel.updateUserStatistics(
       userId,
-      recordDate.format('YYYY-MM-DD')
+      existingRecord.local_date
     );
 
+    // 重新计算目标连续达成情况
+    await streakService.refresh(userId);
+
+    // 记录删除后重新评估成就（可能撤销）
+    const achievements = await achievementEngine.evaluateUser(userId);
+
     businessLogger.info('Hydration record deleted', { userId, recordId });
 
     res.json({
       success: true,
       message: '饮水记录删除成功',
+      data: { achievements },
     });
   } catch (error) {
     errorLogger.api('Delete hydration record failed:', error);
@@ -421,6 +549,130 @@ export const deleteRecord = async (req, res) => {
   }
 };
 
+// 撤销和恢复的错误码对应的状态码
+const REVERT_ERROR_STATUS = {
+  RECORD_NOT_FOUND: 404,
+  REVISION_NOT_FOUND: 404,
+  NOTHING_TO_RESTORE: 400,
+  NOTHING_TO_UNDO: 400,
+  REVISION_ALREADY_REVERTED: 409,
+};
+
+// 获取饮水记录修改历史
+export const getRecordHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const result = await recordHistory.getHistory(userId, req.params.recordId);
+
+    if (result.error) {
+      return res.status(404).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '获取修改历史成功',
+      data: result,
+    });
+  } catch (error) {
+    errorLogger.api('Get hydration record history failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_RECORD_HISTORY_FAILED',
+      message: '获取修改历史失败',
+    });
+  }
+};
+
+// 恢复饮水记录（撤销该记录最近一次或指定的修改）
+export const restoreRecord = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const result = await recordHistory.restore(userId, req.params.recordId, {
+      revisionId: req.body.revisionId,
+    });
+
+    if (result.error) {
+      return res.status(REVERT_ERROR_STATUS[result.error] || 400).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '饮水记录已恢复',
+      data: {
+        ...result,
+        today_progress: await HydrationModel.getTodayHydrationProgress(userId),
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Restore hydration record failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'RESTORE_RECORD_FAILED',
+      message: '恢复饮水记录失败',
+    });
+  }
+};
+
+// 撤销最近一次饮水记录修改
+export const undoLastChange = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const result = await recordHistory.undo(userId);
+
+    if (result.error) {
+      return res.status(REVERT_ERROR_STATUS[result.error] || 400).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '已撤销最近一次修改',
+      data: {
+        ...result,
+        today_progress: await HydrationModel.getTodayHydrationProgress(userId),
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Undo hydration record change failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'UNDO_FAILED',
+      message: '撤销失败',
+    });
+  }
+};
+
 // 批量添加饮水记录
 export const addBatchRecords = async (req, res) => {
   try {
@@ -471,10 +723,39 @@ export const addBatchRecords = async (req, res) => {
       }
     }
 
+    // 跳过同一设备短时间内重复提交的记录
+    const newRecords = [];
+    for (const record of records) {
+      const duplicate =
+        record.device_id &&
+        (await HydrationModel.findRecentDuplicateRecord(
+          userId,
+          { ...record, recorded_at: record.recorded_at || new Date() },
+          config.business.duplicateRecordWindow
+        ));
+      if (!duplicate) {
+        newRecords.push(record);
+      }
+    }
+    const skippedDuplicates = records.length - newRecords.length;
+
+    if (newRecords.length === 0) {
+      return res.json({
+        success: true,
+        message: '检测到重复提交，没有新增记录',
+        data: {
+          added_count: 0,
+          skipped_duplicates: skippedDuplicates,
+          today_progress:
+            await HydrationModel.getTodayHydrationProgress(userId),
+        },
+      });
+    }
+
     // 检查每日记录总数限制
     const limitCheck = await HydrationModel.checkDailyRecordLimit(userId);
     if (
-      limitCheck.current_count + records.length >
+      limitCheck.current_count + newRecords.length >
       config.business.maxDailyRecords
     ) {
       return res.status(400).json({
@@ -482,7 +763,7 @@ export const addBatchRecords = async (req, res) => {
         error: 'DAILY_LIMIT_EXCEEDED',
         message: `今日记录数量将超过限制（${config.business.maxDailyRecords}条）`,
         current_count: limitCheck.current_count,
-        new_records: records.length,
+        new_records: newRecords.length,
         limit: config.business.maxDailyRecords,
       });
     }
@@ -490,11 +771,42 @@ export const addBatchRecords = async (req, res) => {
     // 批量添加记录
     const result = await HydrationModel.createBatchHydrationRecords(
       userId,
-      records
+      newRecords
     );
 
-    // 更新用户统计信息
-    await HydrationModel.updateUserStatistics(userId);
+    await recordHistory.logInserted(userId, result, { actorType: 'user' });
+
+    // 检查咖啡因和酒精摄入限制
+    const limitWarnings = await intakeLimits.checkRecords(
+      userId,
+      newRecords.map(record => ({
+        ...record,
+        drink_type: record.drink_type || 'water',
+        recorded_at: record.recorded_at || new Date(),
+      }))
+    );
+
+    // 更新记录所在当地日期的统计信息
+    const userTimezone = await UserModel.getUserTimezone(userId);
+    const affectedDates = new Set(
+      newRecords.map(record =>
+        getLocalDate(
+          record.recorded_at || new Date(),
+          resolveTimezone(record.timezone, userTimezone)
+        )
+      )
+    );
+    for (const date of [...affectedDates].sort()) {
+      await HydrationModel.updateUserStatistics(userId, date);
+    }
+
+    // 重新计算目标连续达成情况
+    await streakService.refresh(userId);
+
+    // 重新评估成就
+    const achievements = await achievementEngine.evaluateUser(userId, {
+      added: true,
+    });
 
     // 获取今日进度
     const todayProgress =
@@ -502,17 +814,21 @@ export const addBatchRecords = async (req, res) => {
 
     businessLogger.info('Batch hydration records added', {
       userId,
-      recordCount: records.length,
-      totalAmount: records.reduce((sum, r) => sum + r.amount, 0),
+      recordCount: newRecords.length,
+      skippedDuplicates,
+      totalAmount: newRecords.reduce((sum, r) => sum + r.amount, 0),
     });
 
     res.status(201).json({
       success: true,
-      message: `成功添加${records.length}条饮水记录`,
+      message: `成功添加${newRecords.length}条饮水记录`,
       data: {
-        added_count: records.length,
+        added_count: newRecords.length,
+        skipped_duplicates: skippedDuplicates,
         affected_rows: result.affectedRows,
         today_progress: todayProgress,
+        achievements,
+        limit_warnings: limitWarnings,
       },
     });
   } catch (error) {
@@ -525,16 +841,210 @@ export const addBatchRecords = async (req, res) => {
   }
 };
 
+// 离线同步：提交客户端变更日志并拉取服务端变更
+export const syncRecords = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const {
+      since = null,
+      changes = [],
+      deviceId = null,
+      timezone = null,
+    } = req.body;
+
+    const result = await hydrationSync.sync(userId, {
+      since,
+      changes,
+      deviceId,
+      timezone,
+    });
+
+    let achievements = [];
+    let limitWarnings = [];
+
+    if (result.affectedDates.length > 0) {
+      // 检查咖啡因和酒精摄入限制
+      limitWarnings = await intakeLimits.checkRecords(
+        userId,
+        result.createdRecords
+      );
+
+      // 更新受影响日期的统计信息
+      for (const date of result.affectedDates) {
+        await HydrationModel.updateUserStatistics(userId, date);
+      }
+
+      // 重新计算目标连续达成情况
+      await streakService.refresh(userId);
+
+      // 重新评估成就
+      achievements = await achievementEngine.evaluateUser(userId);
+    }
+
+    businessLogger.userAction(userId, 'sync_hydration_records', {
+      deviceId,
+      submitted: changes.length,
+      applied: result.results.filter(item =>
+        ['created', 'updated', 'deleted'].includes(item.status)
+      ).length,
+      pulled: result.changes.length,
+    });
+
+    res.json({
+      success: true,
+      message: '同步成功',
+      data: {
+        results: result.results,
+        changes: result.changes,
+        cursor: result.cursor,
+        has_more: result.has_more,
+        achievements,
+        limit_warnings: limitWarnings,
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Sync hydration records failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'SYNC_FAILED',
+      message: '同步饮水记录失败',
+    });
+  }
+};
+
+// 导入历史饮水记录（CSV/JSON 文件，后台执行）
+export const importRecords = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const { format, unit, timezone } = req.body;
+    const mapping =
+      typeof req.body.mapping === 'string'
+        ? JSON.parse(req.body.mapping)
+        : req.body.mapping;
+
+    // 同一用户同时只能有一个导入任务，避免重复导入（中断的任务不计算在内）
+    await ImportJobModel.failStaleImportJobs(
+      config.business.importJobTimeout,
+      userId
+    );
+    const activeJobs = await ImportJobModel.countActiveImportJobs(userId);
+    if (activeJobs > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'IMPORT_IN_PROGRESS',
+        message: '已有导入任务正在进行，请稍后再试',
+      });
+    }
+
+    const result = await hydrationImport.start(userId, req.file, {
+      format,
+      unit,
+      timezone,
+      mapping,
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+      });
+    }
+
+    const job = await ImportJobModel.getImportJob(result.jobId, userId);
+
+    res.status(202).json({
+      success: true,
+      message: '导入任务已创建',
+      data: {
+        job: { ...job, total_rows: result.totalRows },
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Import hydration records failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'IMPORT_FAILED',
+      message: '导入饮水记录失败',
+    });
+  }
+};
+
+// 获取导入任务状态
+export const getImportJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const job = await ImportJobModel.getImportJob(req.params.jobId, userId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'IMPORT_JOB_NOT_FOUND',
+        message: '导入任务不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '获取导入任务成功',
+      data: { job },
+    });
+  } catch (error) {
+    errorLogger.api('Get import job failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_IMPORT_JOB_FAILED',
+      message: '获取导入任务失败',
+    });
+  }
+};
+
 // 获取今日饮水进度
 export const getTodayProgress = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { timezone = 'UTC' } = req.query;
+    // 不传时区时使用用户设置的时区
+    const { timezone } = req.query;
 
     const progress = await HydrationModel.getTodayHydrationProgress(
       userId,
       timezone
     );
+    progress.limits = await intakeLimits.getTodayLimits(
+      userId,
+      new Date(),
+      timezone
+    );
 
     res.json({
       success: true,
@@ -554,7 +1064,7 @@ export const getTodayProgress = async (req, res) => {
 export const getStatistics = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { period = '7d', timezone = 'UTC' } = req.query;
+    const { period = '7d', timezone } = req.query;
 
     // 验证period参数
     const validPeriods = ['7d', '30d', '3m'];
@@ -591,3 +1101,163 @@ export const getStatistics = async (req, res) => {
     });
   }
 };
+
+// 获取饮品补水系数（系统默认值、个人覆盖值和最终生效值）
+export const getCoefficients = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const coefficients =
+      await hydrationCoefficients.getUserCoefficients(userId);
+
+    res.json({
+      success: true,
+      data: coefficients,
+    });
+  } catch (error) {
+    errorLogger.api('Get hydration coefficients failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_COEFFICIENTS_FAILED',
+      message: '获取补水系数失败',
+    });
+  }
+};
+
+// 更新个人饮品补水系数
+export const updateCoefficients = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const coefficients = await hydrationCoefficients.updateUserOverrides(
+      userId,
+      req.body.coefficients
+    );
+
+    // 系数变化会影响目标完成情况，重新计算统计和连续达成
+    await HydrationModel.updateUserStatistics(userId);
+    await streakService.refresh(userId);
+
+    const todayProgress =
+      await HydrationModel.getTodayHydrationProgress(userId);
+
+    res.json({
+      success: true,
+      message: '补水系数更新成功',
+      data: {
+        ...coefficients,
+        today_progress: todayProgress,
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Update hydration coefficients failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'UPDATE_COEFFICIENTS_FAILED',
+      message: '更新补水系数失败',
+    });
+  }
+};
+
+// 限制设置请求字段与数据库字段的对应关系
+const LIMIT_FIELD_MAP = {
+  dailyCaffeineLimitMg: 'daily_caffeine_limit_mg',
+  dailyAlcoholLimitUnits: 'daily_alcohol_limit_units',
+  caffeineCutoffHours: 'caffeine_cutoff_hours',
+  limitWarningsEnabled: 'limit_warnings_enabled',
+};
+
+// 获取咖啡因和酒精摄入限制（设置和今日使用情况）
+export const getIntakeLimits = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const [settings, today] = await Promise.all([
+      UserModel.getIntakeLimitSettings(userId),
+      intakeLimits.getTodayLimits(userId),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        settings: {
+          daily_caffeine_limit_mg: settings.daily_caffeine_limit_mg,
+          daily_alcohol_limit_units: settings.daily_alcohol_limit_units,
+          caffeine_cutoff_hours: settings.caffeine_cutoff_hours,
+          limit_warnings_enabled: settings.limit_warnings_enabled,
+        },
+        today,
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Get intake limits failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_LIMITS_FAILED',
+      message: '获取摄入限制失败',
+    });
+  }
+};
+
+// 更新咖啡因和酒精摄入限制
+export const updateIntakeLimits = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const settings = Object.entries(LIMIT_FIELD_MAP).reduce(
+      (data, [field, column]) => {
+        if (req.body[field] !== undefined) {
+          data[column] = req.body[field];
+        }
+        return data;
+      },
+      {}
+    );
+
+    const affectedRows = await UserModel.updateIntakeLimitSettings(
+      userId,
+      settings
+    );
+    if (affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'NO_CHANGES',
+        message: '没有可更新的数据',
+      });
+    }
+
+    businessLogger.userAction(userId, 'update_intake_limits', settings);
+
+    const today = await intakeLimits.getTodayLimits(userId);
+
+    res.json({
+      success: true,
+      message: '摄入限制更新成功',
+      data: { today },
+    });
+  } catch (error) {
+    errorLogger.api('Update intake limits failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'UPDATE_LIMITS_FAILED',
+      message: '更新摄入限制失败',
+    });
+  }
+};
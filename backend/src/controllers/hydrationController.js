@@ -3,6 +3,10 @@ import db from '../config/database.js';
 import config from '../config/index.js';
 import { businessLogger, errorLogger } from '../utils/logger.js';
 import moment from 'moment-timezone';
+import { planAdaptiveReminder } from '../models/reminder.model.js';
+import * as HydrationModel from '../models/hydration.model.js';
+import achievementEngine from '../utils/achievementEngine.js';
+import streakService from '../utils/streakService.js';
 
 class HydrationController {
   // 添加饮水记录
@@ -468,6 +472,7 @@ class HydrationController {
               await this.updateUserStatistics(userId, newDate);
             }
             await this.checkAndUpdateGoalProgress(userId, newDate);
+            await this.checkAchievements(userId, recordId);
           } catch (error) {
             errorLogger.database(error, 'post_update_statistics', {
               userId,
@@ -555,6 +560,7 @@ class HydrationController {
         try {
           await this.updateUserStatistics(userId, recordDate);
           await this.checkAndUpdateGoalProgress(userId, recordDate);
+          await this.checkAchievements(userId, recordId);
         } catch (error) {
           errorLogger.database(error, 'post_delete_statistics', {
             userId,
@@ -736,6 +742,7 @@ class HydrationController {
             await this.updateUserStatistics(userId, date);
             await this.checkAndUpdateGoalProgress(userId, date);
           }
+          await this.checkAchievements(userId, null);
         } catch (error) {
           errorLogger.database(error, 'post_batch_insert_updates', { userId });
         }
@@ -892,20 +899,8 @@ class HydrationController {
   // 辅助方法：更新用户统计
   static async updateUserStatistics(userId, date) {
     try {
-      const statsQuery = `
-        SELECT 
-          COALESCE(SUM(amount), 0) as total_intake,
-          COUNT(*) as record_count,
-          AVG(amount) as avg_amount,
-          AVG(TIMESTAMPDIFF(MINUTE, LAG(recorded_at) OVER (ORDER BY recorded_at), recorded_at)) as avg_interval,
-          HOUR(recorded_at) as hour,
-          COUNT(*) as hour_count
-        FROM hydration_records
-        WHERE user_id = ? AND DATE(recorded_at) = ? AND deleted_at IS NULL
-      `;
-
-      const { rows: stats } = await db.query(statsQuery, [userId, date]);
-      // 这里可以实现更复杂的统计更新逻辑
+      // 原始饮水量和按补水系数折算的有效补水量一起更新
+      return await HydrationModel.updateUserStatistics(userId, date);
     } catch (error) {
       errorLogger.database(error, 'update_user_statistics', { userId, date });
     }
@@ -914,43 +909,8 @@ class HydrationController {
   // 辅助方法：检查并更新目标进度
   static async checkAndUpdateGoalProgress(userId, date) {
     try {
-      // 获取当日总摄入量和目标
-      const progressQuery = `
-        SELECT 
-          COALESCE(SUM(hr.amount), 0) as daily_total,
-          ug.target_value,
-          ug.id as goal_id,
-          ug.current_streak,
-          ug.best_streak
-        FROM user_goals ug
-        LEFT JOIN hydration_records hr ON hr.user_id = ug.user_id 
-          AND DATE(hr.recorded_at) = ? 
-          AND hr.deleted_at IS NULL
-        WHERE ug.user_id = ? AND ug.is_active = true
-        ORDER BY ug.created_at DESC
-        LIMIT 1
-      `;
-
-      const { rows: progressData } = await db.query(progressQuery, [
-        date,
-        userId,
-      ]);
-
-      if (progressData.length > 0) {
-        const progress = progressData[0];
-        const isGoalAchieved = progress.daily_total >= progress.target_value;
-
-        if (isGoalAchieved) {
-          // 更新连续达成天数
-          const newStreak = progress.current_streak + 1;
-          const newBestStreak = Math.max(newStreak, progress.best_streak);
-
-          await db.query(
-            'UPDATE user_goals SET current_streak = ?, best_streak = ?, updated_at = NOW() WHERE id = ?',
-            [newStreak, newBestStreak, progress.goal_id]
-          );
-        }
-      }
+      // 从记录完整重算，补录和删除历史记录也能正确更新连续天数
+      return await streakService.recomputeUser(userId);
     } catch (error) {
       errorLogger.database(error, 'check_goal_progress', { userId, date });
     }
@@ -959,8 +919,7 @@ class HydrationController {
   // 辅助方法：检查成就
   static async checkAchievements(userId, recordId) {
     try {
-      // 这里实现成就检查逻辑
-      // 例如：第一次记录、连续记录、达成目标等
+      return await achievementEngine.evaluateUser(userId);
     } catch (error) {
       errorLogger.database(error, 'check_achievements', { userId, recordId });
     }
@@ -989,9 +948,14 @@ class HydrationController {
         return now.add(setting.fixed_interval_minutes, 'minutes').format();
       }
 
-      // 智能提醒逻辑（简化版）
-      const defaultInterval = 60; // 默认60分钟
-      return now.add(defaultInterval, 'minutes').format();
+      if (setting.strategy_type === 'smart_adaptive') {
+        const plan = await planAdaptiveReminder(userId, now);
+        if (plan) {
+          return moment(plan.next_reminder_at).format();
+        }
+      }
+
+      return now.add(setting.fixed_interval_minutes || 60, 'minutes').format();
     } catch (error) {
       errorLogger.database(error, 'calculate_reminder_time', { userId });
       return null;
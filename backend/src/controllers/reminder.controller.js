@@ -1,6 +1,9 @@
 import { validationResult } from 'express-validator';
 import * as ReminderModel from '../models/reminder.model.js';
 import { businessLogger, errorLogger } from '../utils/logger.js';
+import timezoneChange from '../utils/timezoneChange.js';
+import calendarSync from '../utils/calendarSync.js';
+import weatherService from '../utils/weatherService.js';
 import config from '../config/index.js';
 import moment from 'moment-timezone';
 
@@ -8,6 +11,26 @@ import moment from 'moment-timezone';
  * 提醒管理控制器 - 函数式风格
  */
 
+// 影响提醒时间段的设置
+const SCHEDULE_FIELDS = [
+  'is_enabled',
+  'strategy_type',
+  'start_time',
+  'end_time',
+  'weekday_enabled',
+  'weekend_enabled',
+  'weekend_start_time',
+  'weekend_end_time',
+  'weekly_schedule',
+  'date_exceptions',
+  'do_not_disturb_enabled',
+  'dnd_start_time',
+  'dnd_end_time',
+  'dnd_windows',
+  'consider_calendar',
+  'consider_weather',
+];
+
 // 获取提醒设置
 export const getReminderSettings = async (req, res) => {
   try {
@@ -67,8 +90,10 @@ export const updateReminderSettings = async (req, res) => {
     const timeFields = [
       'start_time',
       'end_time',
-      'quiet_hours_start',
-      'quiet_hours_end',
+      'dnd_start_time',
+      'dnd_end_time',
+      'weekend_start_time',
+      'weekend_end_time',
     ];
     for (const field of timeFields) {
       if (settingsData[field]) {
@@ -127,6 +152,11 @@ export const updateReminderSettings = async (req, res) => {
       });
     }
 
+    // 提醒时间段变化后按新的设置重新安排待发送的提醒
+    const reminders = SCHEDULE_FIELDS.some(field => field in settingsData)
+      ? await ReminderModel.rescheduleReminders(userId)
+      : null;
+
     // 获取更新后的设置
     const updatedSettings = await ReminderModel.getUserReminderSettings(userId);
     if (
@@ -143,7 +173,7 @@ export const updateReminderSettings = async (req, res) => {
     res.json({
       success: true,
       message: '提醒设置更新成功',
-      data: { settings: updatedSettings },
+      data: { settings: updatedSettings, reminders },
     });
   } catch (error) {
     errorLogger.api('Update reminder settings failed:', error);
@@ -259,6 +289,97 @@ export const triggerReminder = async (req, res) => {
   }
 };
 
+// 暂停提醒 N 小时，暂停期间不安排也不发送提醒
+export const pauseReminders = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const hours = parseFloat(req.body.hours);
+    const pausedUntil = moment().add(Math.round(hours * 60), 'minutes');
+
+    const affectedRows = await ReminderModel.setRemindersPausedUntil(
+      userId,
+      pausedUntil
+    );
+    if (affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'SETTINGS_NOT_FOUND',
+        message: '提醒设置不存在',
+      });
+    }
+
+    // 暂停结束后再安排下一次提醒
+    const reminders = await ReminderModel.rescheduleReminders(userId);
+
+    businessLogger.userAction(userId, 'reminders_paused', {
+      hours,
+      paused_until: pausedUntil.format('YYYY-MM-DD HH:mm:ss'),
+    });
+
+    res.json({
+      success: true,
+      message: `提醒已暂停${hours}小时`,
+      data: {
+        paused_until: pausedUntil.toISOString(),
+        reminders,
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Pause reminders failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'PAUSE_REMINDERS_FAILED',
+      message: '暂停提醒失败',
+    });
+  }
+};
+
+// 提前恢复暂停的提醒
+export const resumeReminders = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const affectedRows = await ReminderModel.setRemindersPausedUntil(
+      userId,
+      null
+    );
+    if (affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'SETTINGS_NOT_FOUND',
+        message: '提醒设置不存在',
+      });
+    }
+
+    const reminders = await ReminderModel.rescheduleReminders(userId);
+
+    businessLogger.userAction(userId, 'reminders_resumed', {});
+
+    res.json({
+      success: true,
+      message: '提醒已恢复',
+      data: { reminders },
+    });
+  } catch (error) {
+    errorLogger.api('Resume reminders failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'RESUME_REMINDERS_FAILED',
+      message: '恢复提醒失败',
+    });
+  }
+};
+
 // 响应提醒（用户点击提醒后的反馈）
 export const respondToReminder = async (req, res) => {
   try {
@@ -366,9 +487,17 @@ export const getSmartReminderSuggestions = async (req, res) => {
 
     const suggestions = await ReminderModel.getSmartReminderTimes(userId, date);
 
+    // 下一次智能提醒时间及计算依据（炎热天气按提高后的目标计算）
+    const weather = await weatherService.getUserAdjustment(userId);
+    const nextReminder = await ReminderModel.planAdaptiveReminder(
+      userId,
+      null,
+      weather?.goal_bonus_ml || 0
+    );
+
     res.json({
       success: true,
-      data: { suggestions },
+      data: { suggestions, next_reminder: nextReminder, weather },
     });
   } catch (error) {
     errorLogger.api('Get smart reminder suggestions failed:', error);
@@ -429,7 +558,14 @@ export const updateDeviceToken = async (req, res) => {
     }
 
     const userId = req.user.id;
-    const { deviceToken, deviceType = 'mobile' } = req.body;
+    const {
+      deviceToken,
+      deviceType = 'mobile',
+      deviceId,
+      deviceName,
+      platform,
+      timezone,
+    } = req.body;
 
     // 验证设备类型
     const validDeviceTypes = ['mobile', 'web', 'tablet'];
@@ -442,13 +578,37 @@ export const updateDeviceToken = async (req, res) => {
     }
 
     // 更新设备令牌
-    await ReminderModel.updateDeviceToken(userId, deviceToken, deviceType);
+    const id = await ReminderModel.updateDeviceToken(
+      userId,
+      deviceToken,
+      deviceType,
+      { deviceId, deviceName, platform }
+    );
+    if (!id) {
+      return res.status(409).json({
+        success: false,
+        error: 'DEVICE_ID_CONFLICT',
+        message: '设备已绑定到其他账户，请先在原账户中移除设备',
+      });
+    }
 
-    businessLogger.info('Device token updated', { userId, deviceType });
+    // 设备所在时区与用户设置不同且开启了自动检测时切换时区
+    const timezoneResult = timezone
+      ? await timezoneChange.detect(userId, timezone, 'device')
+      : null;
+
+    businessLogger.userAction(userId, 'device_token_updated', {
+      deviceId: id,
+      deviceType,
+    });
 
     res.json({
       success: true,
       message: '设备令牌更新成功',
+      data: {
+        device_id: id,
+        timezone_change: timezoneResult,
+      },
     });
   } catch (error) {
     errorLogger.api('Update device token failed:', error);
@@ -492,6 +652,127 @@ export const disableDevice = async (req, res) => {
   }
 };
 
+// 日历相关错误码对应的状态码
+const CALENDAR_ERROR_STATUS = {
+  CALENDAR_NOT_FOUND: 404,
+  CALENDAR_LIMIT_EXCEEDED: 409,
+  CALENDAR_FETCH_FAILED: 422,
+};
+
+// 添加日历（上传 .ics 文件或填写订阅地址），提醒将避开日历中的会议
+export const addCalendar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const { url, name } = req.body;
+
+    if (!req.file && !url) {
+      return res.status(400).json({
+        success: false,
+        error: 'CALENDAR_SOURCE_REQUIRED',
+        message: '请上传 .ics 文件（字段名 file）或填写日历订阅地址 url',
+      });
+    }
+
+    const result = await calendarSync.addCalendar(userId, {
+      content: req.file ? req.file.buffer.toString('utf8') : null,
+      url: req.file ? null : url,
+      name,
+      fileName: req.file?.originalname.replace(/\.ics$/i, ''),
+    });
+
+    if (result.error) {
+      return res.status(CALENDAR_ERROR_STATUS[result.error] || 400).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: '日历已添加，提醒将避开日历中的会议',
+      data: result,
+    });
+  } catch (error) {
+    errorLogger.api('Add calendar failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ADD_CALENDAR_FAILED',
+      message: '添加日历失败',
+    });
+  }
+};
+
+// 获取日历列表
+export const getCalendars = async (req, res) => {
+  try {
+    const calendars = await calendarSync.listCalendars(req.user.id);
+
+    res.json({
+      success: true,
+      data: { calendars },
+    });
+  } catch (error) {
+    errorLogger.api('Get calendars failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_CALENDARS_FAILED',
+      message: '获取日历失败',
+    });
+  }
+};
+
+// 删除日历
+export const deleteCalendar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const result = await calendarSync.removeCalendar(
+      req.user.id,
+      parseInt(req.params.calendarId, 10)
+    );
+
+    if (result.error) {
+      return res.status(CALENDAR_ERROR_STATUS[result.error] || 400).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '日历已删除',
+      data: result,
+    });
+  } catch (error) {
+    errorLogger.api('Delete calendar failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'DELETE_CALENDAR_FAILED',
+      message: '删除日历失败',
+    });
+  }
+};
+
 // 测试提醒推送
 export const testReminder = async (req, res) => {
   try {
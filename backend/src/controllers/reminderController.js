@@ -2,6 +2,7 @@ import { body, query, validationResult } from 'express-validator';
 import db from '../config/database.js';
 import { businessLogger, errorLogger } from '../utils/logger.js';
 import PushNotificationService from '../utils/pushNotification.js';
+import * as ReminderModel from '../models/reminder.model.js';
 import moment from 'moment-timezone';
 
 class ReminderController {
@@ -868,48 +869,8 @@ class ReminderController {
   // 辅助方法：安排下一次提醒
   static async scheduleNextReminder(userId) {
     try {
-      // 这里实现智能提醒调度逻辑
-      // 可以基于用户习惯、当前摄入量、时间等因素
-      // 简化实现，实际应用中会更复杂
-
-      const settingsQuery = `
-        SELECT strategy_type, fixed_interval_minutes, start_time, end_time, is_enabled
-        FROM reminder_settings
-        WHERE user_id = ? AND is_enabled = true
-      `;
-
-      const { rows: settings } = await db.query(settingsQuery, [userId]);
-
-      if (settings.length === 0) {
-        return;
-      }
-
-      const setting = settings[0];
-      const now = moment();
-      let nextReminderTime;
-
-      if (setting.strategy_type === 'fixed_interval') {
-        nextReminderTime = now.add(setting.fixed_interval_minutes, 'minutes');
-      } else {
-        // 智能提醒算法（简化版）
-        // 实际应用中会考虑更多因素
-        nextReminderTime = now.add(60, 'minutes'); // 默认60分钟后
-      }
-
-      // 检查是否在允许的时间范围内
-      const nextHour = nextReminderTime.hour();
-      const startHour = parseInt(setting.start_time.split(':')[0]);
-      const endHour = parseInt(setting.end_time.split(':')[0]);
-
-      if (nextHour < startHour) {
-        nextReminderTime.hour(startHour).minute(0).second(0);
-      } else if (nextHour > endHour) {
-        // 调整到第二天的开始时间
-        nextReminderTime.add(1, 'day').hour(startHour).minute(0).second(0);
-      }
-
-      // 这里应该将提醒加入到调度队列中
-      // 实际实现会使用 node-cron 或类似的调度器
+      // 写入 scheduled 状态的提醒日志，到期后由提醒派发器负责发送
+      return await ReminderModel.scheduleNextReminder(userId);
     } catch (error) {
       errorLogger.database(error, 'schedule_next_reminder', { userId });
     }
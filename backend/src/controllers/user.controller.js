@@ -1,9 +1,20 @@
 import { validationResult } from 'express-validator';
 import * as UserModel from '../models/user.model.js';
 import * as AuthModel from '../models/auth.model.js';
+import * as AchievementModel from '../models/achievement.model.js';
+import * as ExportJobModel from '../models/exportJob.model.js';
+import { getActivityTotals } from '../models/activity.model.js';
+import achievementEngine from '../utils/achievementEngine.js';
+import { calculateRecommendedGoal } from '../utils/goalCalculator.js';
+import { refreshGoalRecommendation } from '../utils/goalRecommendation.js';
 import AuthService from '../utils/auth.js';
+import dataExport from '../utils/dataExport.js';
+import accountDeletion from '../utils/accountDeletion.js';
+import timezoneChange from '../utils/timezoneChange.js';
+import { getLocalToday, addDays } from '../utils/userTime.js';
 import { businessLogger, errorLogger } from '../utils/logger.js';
 import config from '../config/index.js';
+import moment from 'moment-timezone';
 
 /**
  * 用户管理控制器 - 函数式风格
@@ -40,6 +51,16 @@ export const getUserProfile = async (req, res) => {
   }
 };
 
+// 资料请求字段与数据库字段的对应关系
+const PROFILE_FIELD_MAP = {
+  fullName: 'full_name',
+  dateOfBirth: 'date_of_birth',
+  activityLevel: 'activity_level',
+  language: 'locale',
+  autoAdjustGoal: 'auto_adjust_goal',
+  locationName: 'location_name',
+};
+
 // 更新用户资料
 export const updateUserProfile = async (req, res) => {
   try {
@@ -54,32 +75,23 @@ export const updateUserProfile = async (req, res) => {
     }
 
     const userId = req.user.id;
-    const updateData = req.body;
+    const { timezone, ...updateData } = req.body;
 
-    // 如果更新了影响饮水目标的字段，重新计算默认目标
-    if (
-      updateData.weight ||
-      updateData.height ||
-      updateData.activity_level ||
-      updateData.gender
-    ) {
-      const currentProfile = await UserModel.getUserProfile(userId);
-      if (currentProfile) {
-        const newGoal = AuthModel.calculateDefaultGoal(
-          updateData.weight || currentProfile.weight,
-          updateData.height || currentProfile.height,
-          updateData.activity_level || currentProfile.activity_level,
-          updateData.gender || currentProfile.gender
-        );
-
-        // 询问用户是否要更新目标
-        updateData.suggested_daily_goal = newGoal;
+    // 验证器使用驼峰字段名，转换为数据库字段
+    Object.entries(PROFILE_FIELD_MAP).forEach(([bodyField, column]) => {
+      if (updateData[bodyField] !== undefined) {
+        updateData[column] = updateData[bodyField];
       }
-    }
+    });
 
     const affectedRows = await UserModel.updateUserProfile(userId, updateData);
 
-    if (affectedRows === 0) {
+    // 时区变化需要重新安排提醒
+    const timezoneResult = timezone
+      ? await timezoneChange.change(userId, timezone, { source: 'manual' })
+      : null;
+
+    if (affectedRows === 0 && !timezoneResult?.changed) {
       return res.status(400).json({
         success: false,
         error: 'NO_CHANGES',
@@ -87,6 +99,24 @@ export const updateUserProfile = async (req, res) => {
       });
     }
 
+    // 体重变化记录到体重历史
+    if (updateData.weight !== undefined && updateData.weight !== null) {
+      await UserModel.addWeightLogs(userId, [
+        {
+          weight: updateData.weight,
+          measured_at: new Date(),
+          source: 'manual',
+        },
+      ]);
+    }
+
+    // 更新了影响饮水目标的字段时重新计算推荐目标，用户开启自动调整时直接应用
+    let goalRecommendation = null;
+    const goalFields = ['weight', 'date_of_birth', 'activity_level', 'gender'];
+    if (goalFields.some(field => updateData[field] !== undefined)) {
+      goalRecommendation = await refreshGoalRecommendation(userId);
+    }
+
     // 获取更新后的资料
     const updatedProfile = await UserModel.getUserProfile(userId);
 
@@ -97,7 +127,9 @@ export const updateUserProfile = async (req, res) => {
       message: '资料更新成功',
       data: {
         user: updatedProfile,
-        suggested_daily_goal: updateData.suggested_daily_goal || null,
+        suggested_daily_goal: goalRecommendation?.recommended_goal || null,
+        goal_recommendation: goalRecommendation,
+        timezone_change: timezoneResult,
       },
     });
   } catch (error) {
@@ -110,11 +142,58 @@ export const updateUserProfile = async (req, res) => {
   }
 };
 
+// 切换时区
+export const updateTimezone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const { timezone, jetLagMode, autoDetect } = req.body;
+
+    const result = await timezoneChange.change(userId, timezone, {
+      source: 'manual',
+      jetLagMode,
+      autoDetect,
+    });
+
+    if (result.error) {
+      return res.status(404).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.changed
+        ? '时区已切换，提醒已按新时区重新安排'
+        : '时区未变化',
+      data: result,
+    });
+  } catch (error) {
+    errorLogger.api('Update timezone failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'UPDATE_TIMEZONE_FAILED',
+      message: '切换时区失败',
+    });
+  }
+};
+
 // 获取用户统计信息
 export const getUserStatistics = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { period = '7d', timezone = 'UTC' } = req.query;
+    const { period = '7d', timezone } = req.query;
 
     // 验证period参数
     const validPeriods = ['7d', '30d', '3m'];
@@ -353,8 +432,259 @@ export const getUserPreferences = async (req, res) => {
   }
 };
 
-// 导出用户数据
+// 获取推荐的每日饮水目标
+export const getGoalRecommendation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+
+    const profile = await UserModel.getGoalProfile(userId);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'USER_NOT_FOUND',
+        message: '用户不存在',
+      });
+    }
+
+    // 不传运动分钟数时使用今天记录或导入的运动
+    let exerciseMinutes = parseInt(req.query.exerciseMinutes, 10);
+    if (Number.isNaN(exerciseMinutes)) {
+      const today = getLocalToday(await UserModel.resolveUserTimezone(userId));
+      const [activity] = await getActivityTotals(userId, today, today);
+      exerciseMinutes = activity?.duration_minutes || 0;
+    }
+
+    const recommendation = calculateRecommendedGoal({
+      weight: profile.weight,
+      dateOfBirth: profile.date_of_birth,
+      gender: profile.gender,
+      activityLevel: profile.activity_level,
+      exerciseMinutes,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        recommendation: {
+          ...recommendation,
+          current_goal: profile.daily_water_goal,
+          difference:
+            recommendation.recommended_goal - profile.daily_water_goal,
+        },
+        auto_adjust_goal: Boolean(profile.auto_adjust_goal),
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Get goal recommendation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_RECOMMENDATION_FAILED',
+      message: '获取推荐目标失败',
+    });
+  }
+};
+
+// 获取体重历史，默认最近90天
+export const getWeightHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const endDate =
+      req.query.endDate ||
+      getLocalToday(await UserModel.resolveUserTimezone(userId));
+    const startDate = req.query.startDate || addDays(endDate, -90);
+
+    const history = await UserModel.getWeightHistory(
+      userId,
+      startDate,
+      endDate
+    );
+
+    res.json({
+      success: true,
+      data: {
+        start_date: startDate,
+        end_date: endDate,
+        history,
+        latest: await UserModel.getLatestWeightLog(userId),
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Get weight history failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_WEIGHT_HISTORY_FAILED',
+      message: '获取体重历史失败',
+    });
+  }
+};
+
+// 获取用户成就（已获得和未获得的进度）
+export const getAchievements = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const earned = await AchievementModel.getUserAchievements(userId);
+    const locked = await achievementEngine.getProgress(userId);
+    const totalPoints = earned.reduce(
+      (sum, achievement) => sum + achievement.points,
+      0
+    );
+
+    res.json({
+      success: true,
+      data: {
+        earned,
+        locked,
+        total_points: totalPoints,
+      },
+    });
+  } catch (error) {
+    errorLogger.api('Get user achievements failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_ACHIEVEMENTS_FAILED',
+      message: '获取成就失败',
+    });
+  }
+};
+
+// 更新成就展示设置
+export const updateAchievement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { isDisplayed, isFavorite } = req.body;
+
+    const userAchievement = await AchievementModel.getUserAchievementById(
+      id,
+      userId
+    );
+    if (!userAchievement) {
+      return res.status(404).json({
+        success: false,
+        error: 'ACHIEVEMENT_NOT_FOUND',
+        message: '成就不存在',
+      });
+    }
+
+    const affectedRows = await AchievementModel.updateUserAchievementDisplay(
+      id,
+      userId,
+      {
+        is_displayed: isDisplayed,
+        is_favorite: isFavorite,
+      }
+    );
+
+    if (affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'NO_CHANGES',
+        message: '没有可更新的数据',
+      });
+    }
+
+    const achievement = await AchievementModel.getUserAchievementById(
+      id,
+      userId
+    );
+
+    res.json({
+      success: true,
+      message: '成就设置更新成功',
+      data: { achievement },
+    });
+  } catch (error) {
+    errorLogger.api('Update user achievement failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'UPDATE_ACHIEVEMENT_FAILED',
+      message: '更新成就设置失败',
+    });
+  }
+};
+
+// 导出任务响应格式，完成后附带签名下载链接
+const formatExportJob = job => ({
+  id: job.id,
+  status: job.status,
+  datasets: job.datasets,
+  file_size: job.file_size,
+  error_message: job.error_message,
+  created_at: job.created_at,
+  completed_at: job.completed_at,
+  expires_at: job.expires_at,
+  download_url:
+    job.status === 'completed' ? dataExport.getDownloadUrl(job) : null,
+});
+
+// 申请导出用户数据（后台生成 ZIP，完成后发送邮件）
 export const exportUserData = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    // 中断的导出任务不再阻止用户重新发起导出
+    await dataExport.failStaleJobs(userId);
+
+    const activeJobs = await ExportJobModel.countActiveExportJobs(userId);
+    if (activeJobs > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'EXPORT_IN_PROGRESS',
+        message: '已有数据导出任务正在进行，完成后会通过邮件通知您',
+      });
+    }
+
+    const jobId = await dataExport.start(userId);
+    const job = await ExportJobModel.getExportJob(jobId, userId);
+
+    res.status(202).json({
+      success: true,
+      message: '数据导出任务已创建，完成后会通过邮件发送下载链接',
+      data: { job: formatExportJob(job) },
+    });
+  } catch (error) {
+    errorLogger.api('Export user data failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'EXPORT_DATA_FAILED',
+      message: '数据导出失败',
+    });
+  }
+};
+
+// 导出用户数据快照（旧接口，直接返回 JSON；完整导出请使用 POST /users/export）
+export const exportUserDataSnapshot = async (req, res) => {
   try {
     const userId = req.user.id;
     const exportData = await UserModel.exportUserData(userId);
@@ -363,6 +693,11 @@ export const exportUserData = async (req, res) => {
     const filename = `user_data_export_${userId}_${Date.now()}.json`;
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Deprecation', 'true');
+    res.setHeader(
+      'Link',
+      `</api/${config.server.apiVersion}/users/export>; rel="successor-version"`
+    );
 
     businessLogger.info('User data exported', { userId });
 
@@ -381,6 +716,98 @@ export const exportUserData = async (req, res) => {
   }
 };
 
+// 获取数据导出任务状态
+export const getExportJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: '输入数据验证失败',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const job = await ExportJobModel.getExportJob(req.params.jobId, userId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'EXPORT_JOB_NOT_FOUND',
+        message: '导出任务不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '获取导出任务成功',
+      data: { job: formatExportJob(job) },
+    });
+  } catch (error) {
+    errorLogger.api('Get export job failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GET_EXPORT_JOB_FAILED',
+      message: '获取导出任务失败',
+    });
+  }
+};
+
+// 通过签名链接下载导出文件（无需登录）
+export const downloadExport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const { jobId } = req.params;
+    const { expires, signature } = req.query;
+
+    if (
+      !errors.isEmpty() ||
+      !dataExport.verifySignature(jobId, expires, signature)
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: 'INVALID_DOWNLOAD_LINK',
+        message: '下载链接无效或已过期',
+      });
+    }
+
+    const job = await ExportJobModel.getExportJob(jobId);
+    if (!job || job.status !== 'completed' || !job.file_path) {
+      return res.status(404).json({
+        success: false,
+        error: 'EXPORT_FILE_NOT_FOUND',
+        message: '导出文件不存在或已过期',
+      });
+    }
+
+    await ExportJobModel.incrementDownloadCount(job.id);
+    businessLogger.userAction(job.user_id, 'download_data_export', {
+      jobId: job.id,
+    });
+
+    const filename = `hydration_data_export_${moment(job.completed_at).format('YYYYMMDD')}.zip`;
+    res.download(job.file_path, filename, error => {
+      if (error && !res.headersSent) {
+        errorLogger.api('Download export file failed:', error);
+        res.status(404).json({
+          success: false,
+          error: 'EXPORT_FILE_NOT_FOUND',
+          message: '导出文件不存在或已过期',
+        });
+      }
+    });
+  } catch (error) {
+    errorLogger.api('Download export failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'DOWNLOAD_EXPORT_FAILED',
+      message: '下载导出文件失败',
+    });
+  }
+};
+
 // 删除用户账户
 export const deleteAccount = async (req, res) => {
   try {
@@ -395,7 +822,7 @@ export const deleteAccount = async (req, res) => {
     }
 
     const userId = req.user.id;
-    const { password, confirmText } = req.body;
+    const { password, confirmText, deleteReason, feedback } = req.body;
 
     // 验证确认文本
     if (confirmText !== '删除我的账户') {
@@ -416,8 +843,11 @@ export const deleteAccount = async (req, res) => {
       });
     }
 
-    const passwordHash = await AuthService.hashPassword(password);
-    if (passwordHash !== user.password_hash) {
+    const isPasswordValid = await AuthService.verifyPassword(
+      password,
+      user.password_hash
+    );
+    if (!isPasswordValid) {
       return res.status(400).json({
         success: false,
         error: 'INVALID_PASSWORD',
@@ -425,14 +855,22 @@ export const deleteAccount = async (req, res) => {
       });
     }
 
-    // 执行软删除
-    await UserModel.deleteUserAccount(userId);
-
-    businessLogger.info('User account deleted', { userId, email: user.email });
+    // 进入宽限期，到期后彻底删除
+    const scheduledFor = await accountDeletion.schedule(userId, {
+      reason: deleteReason,
+      feedback,
+      req,
+    });
 
     res.json({
       success: true,
-      message: '账户删除成功',
+      message: `账户将在${config.business.accountDeletionGraceDays}天后彻底删除，在此之前重新登录即可取消删除`,
+      data: {
+        deletion_scheduled_for: moment(scheduledFor).format(
+          'YYYY-MM-DD HH:mm:ss'
+        ),
+        grace_period_days: config.business.accountDeletionGraceDays,
+      },
     });
   } catch (error) {
     errorLogger.api('Delete account failed:', error);
@@ -0,0 +1,361 @@
+/**
+ * 运动记录相关API文档定义 - JavaScript版本
+ */
+
+export const activityDocs = {
+  components: {
+    schemas: {
+      Activity: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', example: 12 },
+          activity_type: {
+            type: 'string',
+            enum: [
+              'running',
+              'cycling',
+              'swimming',
+              'walking',
+              'hiking',
+              'strength',
+              'yoga',
+              'hiit',
+              'team_sports',
+              'other',
+            ],
+            example: 'running',
+          },
+          intensity: { type: 'string', enum: ['low', 'moderate', 'high'], example: 'moderate' },
+          started_at: { type: 'string', format: 'date-time' },
+          local_started_at: {
+            type: 'string',
+            description: '运动时所在时区的当地开始时间',
+            example: '2024-06-01 07:30:00',
+          },
+          timezone: { type: 'string', example: 'Asia/Shanghai' },
+          duration_minutes: { type: 'integer', example: 60 },
+          estimated_sweat_loss_ml: {
+            type: 'integer',
+            description: '按运动类型、强度、时长和体重估算的出汗量(毫升)',
+            example: 700,
+          },
+          goal_bonus_ml: {
+            type: 'integer',
+            description: '当天目标的增加量(毫升)，未开启 consider_activity 时为 0',
+            example: 900,
+          },
+          source: {
+            type: 'string',
+            enum: ['manual', 'apple_health', 'google_fit', 'garmin', 'fitness_tracker', 'other'],
+            example: 'manual',
+          },
+          external_id: { type: 'string', nullable: true, description: '来源中的运动ID，用于去重' },
+          notes: { type: 'string', nullable: true },
+          created_at: { type: 'string', format: 'date-time' },
+        },
+      },
+
+      CreateActivityRequest: {
+        type: 'object',
+        required: ['type', 'startedAt', 'durationMinutes'],
+        properties: {
+          type: { type: 'string', description: '运动类型', example: 'running' },
+          startedAt: {
+            type: 'string',
+            format: 'date-time',
+            description: '开始时间，可以提前最多7天记录计划中的运动',
+            example: '2024-06-01T07:30:00+08:00',
+          },
+          durationMinutes: { type: 'integer', minimum: 1, maximum: 1440, example: 60 },
+          intensity: {
+            type: 'string',
+            enum: ['low', 'moderate', 'high'],
+            default: 'moderate',
+          },
+          source: { type: 'string', default: 'manual', example: 'garmin' },
+          externalId: {
+            type: 'string',
+            maxLength: 100,
+            description: '来源中的运动ID，同一来源重复提交时返回 409',
+          },
+          notes: { type: 'string', maxLength: 255 },
+          timezone: {
+            type: 'string',
+            description: '运动时所在时区，不传时使用用户设置的时区',
+            example: 'Asia/Shanghai',
+          },
+        },
+      },
+
+      WorkoutPrompt: {
+        type: 'object',
+        description: '运动补水提醒',
+        properties: {
+          phase: {
+            type: 'string',
+            enum: ['pre', 'mid', 'post'],
+            description: 'pre 运动前30分钟，mid 运动45分钟以上时每20分钟，post 运动结束时',
+          },
+          scheduled_at: { type: 'string', format: 'date-time' },
+          amount_ml: { type: 'integer', description: '建议饮水量(毫升)', example: 250 },
+        },
+      },
+    },
+  },
+
+  paths: {
+    '/api/v1/activities': {
+      post: {
+        tags: ['Activities'],
+        summary: '记录运动',
+        description:
+          '记录一次运动并估算出汗量。开启 consider_activity 或使用 activity_based 策略时提高当天目标，并在提醒开启时安排运动前、运动中和运动后的补水提醒',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/CreateActivityRequest' },
+            },
+          },
+        },
+        responses: {
+          '201': {
+            description: '记录成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '运动记录成功' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        activity: { $ref: '#/components/schemas/Activity' },
+                        prompts: {
+                          type: 'array',
+                          items: { $ref: '#/components/schemas/WorkoutPrompt' },
+                        },
+                        today_progress: { $ref: '#/components/schemas/TodayProgress' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '409': { description: '同一来源的运动已经记录过（DUPLICATE_ACTIVITY），返回 activity_id' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+
+      get: {
+        tags: ['Activities'],
+        summary: '获取运动记录列表',
+        parameters: [
+          { $ref: '#/components/parameters/PageParam' },
+          { $ref: '#/components/parameters/LimitParam' },
+          {
+            name: 'startDate',
+            in: 'query',
+            description: '开始日期（运动时的当地日期）',
+            schema: { type: 'string', format: 'date' },
+          },
+          {
+            name: 'endDate',
+            in: 'query',
+            description: '结束日期（运动时的当地日期）',
+            schema: { type: 'string', format: 'date' },
+          },
+          { name: 'type', in: 'query', description: '运动类型', schema: { type: 'string' } },
+          { name: 'source', in: 'query', description: '运动来源', schema: { type: 'string' } },
+        ],
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'array',
+                          items: { $ref: '#/components/schemas/Activity' },
+                        },
+                        pagination: {
+                          type: 'object',
+                          properties: {
+                            page: { type: 'integer', example: 1 },
+                            limit: { type: 'integer', example: 20 },
+                            total: { type: 'integer', example: 35 },
+                            pages: { type: 'integer', example: 2 },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/activities/import': {
+      post: {
+        tags: ['Activities'],
+        summary: '导入健康数据',
+        description:
+          '上传健康平台的导出文件，在后台导入运动和体重：Apple 健康 export.zip / export.xml，Google Fit Takeout 或接口返回的 JSON，Garmin FIT / TCX。导入的运动不安排补水提醒，同一来源已导入的运动和体重会跳过；最新体重比已有记录新时更新资料中的体重并重新计算推荐目标（开启自动调整时直接应用）',
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['file'],
+                properties: {
+                  file: { type: 'string', format: 'binary', description: '默认最大50MB' },
+                  timezone: {
+                    type: 'string',
+                    description: '运动所在时区，用于按当地日期统计，默认使用用户时区',
+                    example: 'Asia/Shanghai',
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '202': {
+            description: '导入任务已创建',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '导入任务已创建' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        job: { $ref: '#/components/schemas/ImportJob' },
+                        provider: { type: 'string', enum: ['apple_health', 'google_fit', 'garmin'] },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': {
+            description: '文件无法识别或没有可导入的记录（UNSUPPORTED_FORMAT、INVALID_FILE、EMPTY_FILE、TOO_MANY_ROWS）',
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '409': { description: '已有导入任务正在进行（IMPORT_IN_PROGRESS），超过60分钟仍未完成的任务视为中断，不计算在内' },
+          '413': { description: '文件过大（FILE_TOO_LARGE）' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/activities/import/{jobId}': {
+      get: {
+        tags: ['Activities'],
+        summary: '获取健康数据导入任务状态',
+        parameters: [
+          {
+            name: 'jobId',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' },
+          },
+        ],
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        job: { $ref: '#/components/schemas/ImportJob' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/activities/{activityId}': {
+      delete: {
+        tags: ['Activities'],
+        summary: '删除运动记录',
+        description: '删除运动记录并取消尚未发送的运动补水提醒',
+        parameters: [
+          {
+            name: 'activityId',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' },
+          },
+        ],
+        responses: {
+          '200': {
+            description: '删除成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '运动记录已删除' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        cancelled_prompts: { type: 'integer', example: 2 },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+  },
+};
+
+export default activityDocs;
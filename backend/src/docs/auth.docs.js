@@ -178,7 +178,7 @@ export const authDocs = {
       post: {
         tags: ['Authentication'],
         summary: '用户登录',
-        description: '用户账户登录',
+        description: '用户账户登录。账户处于删除宽限期时，登录会取消删除',
         requestBody: {
           required: true,
           content: {
@@ -202,6 +202,7 @@ export const authDocs = {
                       properties: {
                         user: { $ref: '#/components/schemas/UserProfile' },
                         tokens: { $ref: '#/components/schemas/AuthTokens' },
+                        deletionCancelled: { type: 'boolean', description: '是否取消了账户删除' },
                       },
                     },
                   },
@@ -0,0 +1,419 @@
+/**
+ * 设备相关API文档定义 - JavaScript版本
+ */
+
+export const deviceDocs = {
+  components: {
+    schemas: {
+      Device: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', example: 5 },
+          device_id: { type: 'string', example: 'CUP-8F3A21C0' },
+          device_name: { type: 'string', example: '办公室水杯' },
+          device_type: {
+            type: 'string',
+            enum: ['mobile_app', 'smart_cup', 'fitness_tracker', 'smart_scale', 'other'],
+          },
+          platform: { type: 'string', enum: ['ios', 'android', 'web', 'iot', 'other'], nullable: true },
+          has_push_token: { type: 'boolean' },
+          push_enabled: { type: 'boolean' },
+          is_primary: { type: 'boolean', description: '主设备，每个用户最多一个' },
+          is_active: { type: 'boolean' },
+          is_current: { type: 'boolean', description: '当前登录会话所在的设备' },
+          paired_at: { type: 'string', format: 'date-time', nullable: true },
+          firmware_version: { type: 'string', nullable: true },
+          battery_level: { type: 'integer', nullable: true },
+          battery_charging: { type: 'boolean', nullable: true },
+          settings: {
+            type: 'object',
+            description: '设备配置，quiet_mode 为 true 时不向该设备推送提醒',
+            example: { quiet_mode: true },
+          },
+          last_sync_at: { type: 'string', format: 'date-time', nullable: true },
+          last_active_at: { type: 'string', format: 'date-time' },
+          created_at: { type: 'string', format: 'date-time' },
+          updated_at: { type: 'string', format: 'date-time' },
+        },
+      },
+
+      DeviceStatus: {
+        type: 'object',
+        properties: {
+          device_id: { type: 'string', example: 'CUP-8F3A21C0' },
+          device_name: { type: 'string', example: '智能水杯' },
+          device_type: {
+            type: 'string',
+            enum: ['smart_cup', 'smart_scale', 'fitness_tracker', 'other'],
+            example: 'smart_cup',
+          },
+          firmware_version: { type: 'string', nullable: true, example: '1.4.2' },
+          battery_level: { type: 'integer', nullable: true, minimum: 0, maximum: 100, example: 18 },
+          battery_charging: { type: 'boolean', nullable: true, example: false },
+          battery_low: {
+            type: 'boolean',
+            description: '电量低于20%且未在充电',
+            example: true,
+          },
+          last_sync_at: { type: 'string', format: 'date-time', nullable: true },
+        },
+      },
+
+      DeviceReading: {
+        type: 'object',
+        required: ['type', 'recordedAt'],
+        properties: {
+          type: {
+            type: 'string',
+            enum: ['sip', 'weight'],
+            description: 'sip 为设备检测到的一口饮水量，weight 为杯子当前称重',
+          },
+          recordedAt: { type: 'string', format: 'date-time', example: '2024-06-01T09:15:30Z' },
+          amountMl: { type: 'number', description: 'sip 读数的饮水量(ml)', example: 35 },
+          weightG: { type: 'number', description: 'weight 读数的当前称重(g)', example: 512 },
+        },
+      },
+    },
+  },
+
+  paths: {
+    '/api/v1/users/devices': {
+      get: {
+        tags: ['Devices'],
+        summary: '获取设备列表',
+        description: '返回推送设备和已配对的智能设备，主设备在前',
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        devices: { type: 'array', items: { $ref: '#/components/schemas/Device' } },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/users/devices/{id}': {
+      put: {
+        tags: ['Devices'],
+        summary: '更新设备',
+        description:
+          '修改设备名称、推送开关和设备配置，或设为主设备（同时取消其他设备的主设备标记）。提醒设置 delivery_target 为 primary_only 时提醒只推送到主设备，没有主设备或主设备开启安静模式时不推送',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  deviceName: { type: 'string', maxLength: 100, example: '我的手机' },
+                  isPrimary: { type: 'boolean', example: true },
+                  pushEnabled: { type: 'boolean', example: true },
+                  settings: {
+                    type: 'object',
+                    nullable: true,
+                    description: '整体替换设备配置，null 表示清空',
+                    example: { quiet_mode: true },
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '200': {
+            description: '更新成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '设备设置更新成功' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        device: { $ref: '#/components/schemas/Device' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+
+      delete: {
+        tags: ['Devices'],
+        summary: '删除设备',
+        description: '删除设备并移除在该设备上登录的会话。智能设备删除后密钥失效，需要重新配对',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: {
+          '200': {
+            description: '删除成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '设备已删除' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        revoked_sessions: { type: 'integer', example: 1 },
+                        current_session_revoked: {
+                          type: 'boolean',
+                          description: '删除的是当前登录的设备，需要重新登录',
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+    '/api/v1/devices/pairing-codes': {
+      post: {
+        tags: ['Devices'],
+        summary: '生成设备配对码',
+        description: '生成10分钟内有效的一次性配对码，在设备上输入后完成配对。生成新配对码时之前未使用的配对码失效',
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  deviceType: {
+                    type: 'string',
+                    enum: ['smart_cup', 'smart_scale', 'fitness_tracker', 'other'],
+                    default: 'smart_cup',
+                  },
+                  deviceName: { type: 'string', maxLength: 100, example: '办公室水杯' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '201': {
+            description: '配对码已生成',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '配对码已生成' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        pairing_code: { type: 'string', example: 'K7M2QX9P' },
+                        device_type: { type: 'string', example: 'smart_cup' },
+                        expires_at: { type: 'string', format: 'date-time' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/devices/pair': {
+      post: {
+        tags: ['Devices'],
+        summary: '设备配对',
+        description:
+          '设备使用配对码换取设备密钥，密钥只在此时返回一次，之后通过 X-Device-Secret 请求头认证。同一账户重新配对时更换密钥；已配对到其他账户的设备需要原账户先移除',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['pairingCode', 'deviceId'],
+                properties: {
+                  pairingCode: { type: 'string', description: '不区分大小写，可以包含分隔符', example: 'K7M2-QX9P' },
+                  deviceId: {
+                    type: 'string',
+                    description: '设备的硬件标识（序列号、MAC 等），只能包含字母、数字和 . _ : -',
+                    example: 'CUP-8F3A21C0',
+                  },
+                  deviceName: { type: 'string', maxLength: 100 },
+                  firmwareVersion: { type: 'string', maxLength: 50, example: '1.4.2' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '201': {
+            description: '配对成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '设备配对成功' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        device: { $ref: '#/components/schemas/DeviceStatus' },
+                        device_secret: { type: 'string', description: '设备密钥，请保存在设备上' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { description: '参数错误或配对码无效、已过期（INVALID_PAIRING_CODE）' },
+          '409': {
+            description: '设备已配对到其他账户（DEVICE_ALREADY_PAIRED）或设备ID已被其他类型的设备使用（DEVICE_ID_CONFLICT）',
+          },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+      },
+    },
+
+    '/api/v1/devices/{deviceId}/readings': {
+      post: {
+        tags: ['Devices'],
+        summary: '上报设备读数',
+        description:
+          '批量上报饮水读数和设备状态。称重下降视为饮水、上升视为续杯，间隔不超过10分钟的饮水合并为一条饮水记录（来源 smart_cup）。不晚于上次上报的读数和已保存过的饮水会跳过，重复上报不会重复记录',
+        parameters: [
+          {
+            name: 'deviceId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['readings'],
+                properties: {
+                  readings: {
+                    type: 'array',
+                    maxItems: 500,
+                    items: { $ref: '#/components/schemas/DeviceReading' },
+                  },
+                  battery: {
+                    type: 'object',
+                    properties: {
+                      level: { type: 'integer', minimum: 0, maximum: 100, example: 18 },
+                      charging: { type: 'boolean', example: false },
+                    },
+                  },
+                  firmwareVersion: { type: 'string', maxLength: 50, example: '1.4.2' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '200': {
+            description: '上报成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '成功添加2条饮水记录' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        accepted_readings: { type: 'integer', example: 14 },
+                        skipped_readings: {
+                          type: 'integer',
+                          description: '不晚于上次上报的读数（重复上报）',
+                          example: 0,
+                        },
+                        ignored_readings: {
+                          type: 'integer',
+                          description: '饮水量超过单次上限或时间过早的读数',
+                          example: 1,
+                        },
+                        added_count: { type: 'integer', example: 2 },
+                        skipped_duplicates: { type: 'integer', example: 0 },
+                        records: {
+                          type: 'array',
+                          items: {
+                            type: 'object',
+                            properties: {
+                              client_id: { type: 'string', format: 'uuid' },
+                              amount: { type: 'integer', example: 180 },
+                              recorded_at: { type: 'string', example: '2024-06-01 09:15:30' },
+                            },
+                          },
+                        },
+                        achievements: { type: 'array', items: { type: 'object' } },
+                        device: { $ref: '#/components/schemas/DeviceStatus' },
+                        today_progress: { $ref: '#/components/schemas/TodayProgress' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { description: '缺少设备密钥、设备未配对或密钥无效' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ deviceSecret: [] }],
+      },
+    },
+  },
+};
+
+export default deviceDocs;
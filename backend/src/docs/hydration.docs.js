@@ -77,6 +77,12 @@ export const hydrationDocs = {
             enum: ['water', 'tea', 'coffee', 'juice', 'other'],
             default: 'water',
           },
+          drinkId: {
+            type: 'integer',
+            description:
+              '饮品目录ID(可选)，使用时饮品类型和名称取自目录，未填写饮水量时使用默认容量，咖啡因、糖和热量按饮水量折算',
+            example: 3,
+          },
           temperature: {
             type: 'string',
             description: '温度',
@@ -90,10 +96,50 @@ export const hydrationDocs = {
             description: '记录时间(可选，默认为当前时间)',
             example: '2024-01-15T08:30:00.000Z',
           },
+          timezone: {
+            type: 'string',
+            description:
+              '设备当前所在时区(可选，默认为用户设置的时区)，记录按该时区的当地日期统计，之后切换时区不会改变已有记录的日期',
+            example: 'Asia/Shanghai',
+          },
         },
         required: ['volume'],
       },
 
+      Drink: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', example: 3 },
+          name: { type: 'string', example: '美式咖啡(中杯)' },
+          drink_type: { type: 'string', example: 'coffee' },
+          default_volume: { type: 'integer', description: '默认容量(ml)', example: 350 },
+          icon: { type: 'string', nullable: true, example: 'coffee-cup' },
+          caffeine_mg: { type: 'number', description: '默认容量的咖啡因(mg)', example: 150 },
+          sugar_g: { type: 'number', description: '默认容量的糖(g)', example: 0 },
+          calories: { type: 'integer', description: '默认容量的热量(kcal)', example: 10 },
+          usage_count: { type: 'integer', example: 12 },
+          last_used_at: { type: 'string', format: 'date-time', nullable: true },
+        },
+      },
+
+      DrinkRequest: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', maxLength: 100, example: '美式咖啡(中杯)' },
+          drinkType: {
+            type: 'string',
+            enum: ['water', 'tea', 'coffee', 'juice', 'sports_drink', 'soda', 'alcohol', 'other'],
+            example: 'coffee',
+          },
+          defaultVolume: { type: 'integer', description: '默认容量(ml)', example: 350 },
+          icon: { type: 'string', maxLength: 100, example: 'coffee-cup' },
+          caffeineMg: { type: 'number', minimum: 0, maximum: 1000, example: 150 },
+          sugarG: { type: 'number', minimum: 0, maximum: 500, example: 0 },
+          calories: { type: 'integer', minimum: 0, maximum: 5000, example: 10 },
+          alcoholAbv: { type: 'number', description: '酒精度(%)', minimum: 0, maximum: 100, example: 0 },
+        },
+      },
+
       UpdateRecordRequest: {
         type: 'object',
         properties: {
@@ -125,19 +171,83 @@ export const hydrationDocs = {
         },
       },
 
+      WeatherAdjustment: {
+        type: 'object',
+        description: '按体感温度调整当天的目标和提醒间隔',
+        properties: {
+          weather: {
+            type: 'object',
+            properties: {
+              temperature: { type: 'number', description: '当前气温(℃)', example: 31.5 },
+              temperature_max: { type: 'number', description: '今日最高气温(℃)', example: 34 },
+              humidity: { type: 'number', description: '相对湿度(%)', example: 68 },
+              observed_at: { type: 'string', format: 'date-time' },
+              provider: { type: 'string', enum: ['fixture', 'http'] },
+            },
+          },
+          level: {
+            type: 'string',
+            enum: ['normal', 'warm', 'hot', 'very_hot', 'extreme_heat'],
+            example: 'very_hot',
+          },
+          feels_like: { type: 'number', description: '体感温度(℃)', example: 39.5 },
+          goal_bonus_ml: { type: 'integer', description: '今日目标增加量(ml)', example: 500 },
+          interval_factor: {
+            type: 'number',
+            description: '提醒间隔系数，1 表示不调整',
+            example: 0.7,
+          },
+          description: { type: 'string' },
+        },
+      },
+
       TodayProgress: {
         type: 'object',
         properties: {
+          date: {
+            type: 'string',
+            format: 'date',
+            description: '时区内的今天',
+            example: '2024-01-15',
+          },
+          timezone: { type: 'string', example: 'Asia/Shanghai' },
           totalVolume: {
             type: 'integer',
             description: '今日总饮水量(毫升)',
             example: 1500,
           },
+          effectiveVolume: {
+            type: 'integer',
+            description: '按补水系数折算的有效补水量(毫升)，目标完成进度按此计算',
+            example: 1380,
+          },
+          nutrition: {
+            type: 'object',
+            description: '今日咖啡因(mg)、糖(g)和热量(kcal)合计',
+            example: { caffeine_mg: 150, alcohol_units: 0, sugar_g: 12.5, calories: 80 },
+          },
+          limits: { $ref: '#/components/schemas/IntakeLimits' },
           dailyGoal: {
             type: 'integer',
-            description: '每日目标(毫升)',
+            description: '今日有效目标(毫升)，包含天气和运动调整',
+            example: 2300,
+          },
+          base_daily_goal: {
+            type: 'integer',
+            description: '用户设置的每日目标(毫升)',
             example: 2000,
           },
+          weather_adjustment: {
+            nullable: true,
+            description: '天气调整，未开启 consider_weather 或未设置所在地时为 null',
+            allOf: [{ $ref: '#/components/schemas/WeatherAdjustment' }],
+          },
+          activity_adjustment: {
+            type: 'object',
+            nullable: true,
+            description: '今天运动带来的目标增加，没有运动时为 null',
+            example: { activity_count: 1, duration_minutes: 60, sweat_loss_ml: 700, goal_bonus_ml: 900 },
+          },
           progress: {
             type: 'number',
             description: '完成进度(百分比)',
@@ -178,6 +288,11 @@ export const hydrationDocs = {
             description: '总饮水量(毫升)',
             example: 51800,
           },
+          effectiveVolume: {
+            type: 'integer',
+            description: '按补水系数折算的有效补水量(毫升)',
+            example: 48600,
+          },
           goalAchievementRate: {
             type: 'number',
             description: '目标达成率(%)',
@@ -190,6 +305,139 @@ export const hydrationDocs = {
           },
         },
       },
+
+      IntakeLimits: {
+        type: 'object',
+        description: '今日咖啡因和酒精摄入限制使用情况',
+        properties: {
+          caffeine: {
+            type: 'object',
+            example: {
+              consumed_mg: 320,
+              limit_mg: 400,
+              remaining_mg: 80,
+              percentage: 80,
+              exceeded: false,
+            },
+          },
+          alcohol: {
+            type: 'object',
+            example: {
+              consumed_units: 2.5,
+              limit_units: 2,
+              remaining_units: 0,
+              percentage: 125,
+              exceeded: true,
+            },
+          },
+          caffeine_cutoff: {
+            type: 'object',
+            description: '睡前不宜摄入咖啡因的时段，in_window 表示当前是否处于该时段',
+            example: { sleep_time: '23:00', cutoff_time: '17:00', cutoff_hours: 6, in_window: false },
+          },
+          warnings_enabled: { type: 'boolean', example: true },
+        },
+      },
+
+      ImportJob: {
+        type: 'object',
+        description: '导入任务（饮水记录或健康数据）',
+        properties: {
+          id: { type: 'integer', example: 12 },
+          import_type: { type: 'string', enum: ['hydration', 'health'] },
+          file_name: { type: 'string', example: 'history.csv' },
+          file_format: { type: 'string', enum: ['csv', 'json', 'xml', 'zip', 'tcx', 'fit'] },
+          options: {
+            type: 'object',
+            description: '实际使用的列映射、单位和时区',
+            example: {
+              mapping: { amount: 'Amount (ml)', recordedAt: 'Date' },
+              unit: 'ml',
+              timezone: 'Asia/Shanghai',
+            },
+          },
+          status: { type: 'string', enum: ['pending', 'processing', 'completed', 'failed'] },
+          total_rows: { type: 'integer', example: 1200 },
+          processed_rows: { type: 'integer', example: 1200 },
+          imported_rows: { type: 'integer', example: 1150 },
+          duplicate_rows: { type: 'integer', example: 42 },
+          failed_rows: { type: 'integer', example: 8 },
+          row_errors: {
+            type: 'array',
+            description: '验证失败的行（最多保留100条），CSV 行号包含表头行',
+            items: {
+              type: 'object',
+              example: {
+                row: 15,
+                errors: [{ field: 'amount', message: 'amount必须在10-5000之间' }],
+              },
+            },
+          },
+          summary: {
+            type: 'object',
+            nullable: true,
+            description: '健康数据导入结果，按运动和体重分别统计；体重更新后包含重新计算的推荐目标',
+            example: {
+              provider: 'apple_health',
+              activities: { total: 120, imported: 118, duplicate: 2 },
+              weights: { total: 30, imported: 30, duplicate: 0 },
+              latest_weight: { weight: 71.8, measured_at: '2024-06-01T23:10:00.000Z', source: 'apple_health' },
+              goal_recommendation: { recommended_goal: 2500, previous_goal: 2400, applied: true },
+            },
+          },
+          error_message: { type: 'string', nullable: true },
+          created_at: { type: 'string', format: 'date-time' },
+          started_at: { type: 'string', format: 'date-time', nullable: true },
+          completed_at: { type: 'string', format: 'date-time', nullable: true },
+        },
+      },
+
+      RecordRevision: {
+        type: 'object',
+        description: '饮水记录的一次变更，before/after 为记录字段快照（新增时 before 为空，删除时 after 为空）',
+        properties: {
+          id: { type: 'integer', example: 305 },
+          record_id: { type: 'integer', example: 1024 },
+          action: { type: 'string', enum: ['create', 'update', 'delete', 'restore'] },
+          before: { type: 'object', nullable: true, example: { amount: 250, drink_type: 'water', recorded_at: '2025-03-02 09:05:00' } },
+          after: { type: 'object', nullable: true, example: { amount: 350, drink_type: 'water', recorded_at: '2025-03-02 09:05:00' } },
+          changed_fields: { type: 'array', items: { type: 'string' }, example: ['amount'] },
+          actor: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['user', 'device', 'import'] },
+              id: { type: 'string', nullable: true, description: '设备标识或导入任务ID' },
+            },
+          },
+          reverted: { type: 'boolean', example: false },
+          reverted_by: { type: 'integer', nullable: true, description: '撤销该变更的修订ID' },
+          created_at: { type: 'string', format: 'date-time' },
+        },
+      },
+
+      HydrationCoefficients: {
+        type: 'object',
+        properties: {
+          defaults: {
+            type: 'object',
+            description: '系统默认补水系数',
+            additionalProperties: { type: 'number' },
+            example: { water: 1.0, coffee: 0.8, alcohol: 0.3 },
+          },
+          overrides: {
+            type: 'object',
+            description: '用户自定义的补水系数',
+            additionalProperties: { type: 'number' },
+            example: { coffee: 0.9 },
+          },
+          coefficients: {
+            type: 'object',
+            description: '最终生效的补水系数',
+            additionalProperties: { type: 'number' },
+            example: { water: 1.0, coffee: 0.9, alcohol: 0.3 },
+          },
+        },
+      },
     },
   },
 
@@ -268,7 +516,9 @@ export const hydrationDocs = {
       post: {
         tags: ['Hydration Records'],
         summary: '添加饮水记录',
-        description: '创建新的饮水记录',
+        description:
+          '创建新的饮水记录。提供 deviceId 时，同一设备在10秒内提交饮水量、类型和时间都相同的记录会被视为重复提交，返回已有记录(duplicate=true)而不会新建',
+        parameters: [{ $ref: '#/components/parameters/IdempotencyKeyHeader' }],
         requestBody: {
           required: true,
           content: {
@@ -298,8 +548,11 @@ export const hydrationDocs = {
               },
             },
           },
+          '200': { description: '检测到重复提交，返回已有记录' },
           '400': { $ref: '#/components/responses/BadRequest' },
           '401': { $ref: '#/components/responses/Unauthorized' },
+          '409': { description: '使用相同 Idempotency-Key 的请求正在处理中' },
+          '422': { description: 'Idempotency-Key 已用于其他请求' },
           '429': { $ref: '#/components/responses/RateLimit' },
           '500': { $ref: '#/components/responses/InternalServerError' },
         },
@@ -307,14 +560,71 @@ export const hydrationDocs = {
       },
     },
 
-    '/api/v1/hydration/today-progress': {
-      get: {
+    '/api/v1/hydration/sync': {
+      post: {
         tags: ['Hydration Records'],
-        summary: '获取今日饮水进度',
-        description: '获取当前用户今日的饮水进度信息',
+        summary: '离线同步饮水记录',
+        description:
+          '提交客户端离线期间的变更日志（记录使用客户端生成的UUID标识），并返回 since 游标之后服务端的变更。' +
+          '冲突按字段以客户端时间"后写入者胜"合并，时间相同时结果与提交顺序无关；删除的记录保留删除标记(deleted=true)，之后的修改会被忽略。' +
+          '通过其他接口创建的记录会自动分配 client_id。has_more 为 true 时使用返回的 cursor 继续拉取。',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  since: {
+                    type: 'string',
+                    nullable: true,
+                    description: '上次同步返回的游标，首次同步时为空（不返回已删除的记录）',
+                    example: '1760860800000_0',
+                  },
+                  deviceId: { type: 'string', example: 'iphone-15' },
+                  timezone: {
+                    type: 'string',
+                    description: '设备当前所在时区，新建记录按该时区计算当地日期(默认为用户设置的时区)',
+                    example: 'Asia/Shanghai',
+                  },
+                  changes: {
+                    type: 'array',
+                    maxItems: 500,
+                    items: {
+                      type: 'object',
+                      required: ['op', 'clientId', 'clientTimestamp'],
+                      properties: {
+                        op: { type: 'string', enum: ['create', 'update', 'delete'] },
+                        clientId: { type: 'string', format: 'uuid' },
+                        clientTimestamp: {
+                          oneOf: [{ type: 'integer' }, { type: 'string', format: 'date-time' }],
+                          description: '客户端修改时间（毫秒时间戳或ISO8601），晚于服务器时间时按服务器时间计算',
+                          example: 1760864400000,
+                        },
+                        data: {
+                          type: 'object',
+                          description: 'create 时为完整记录，update 时只包含修改的字段',
+                          properties: {
+                            amount: { type: 'integer', example: 250 },
+                            drinkType: { type: 'string', example: 'water' },
+                            drinkName: { type: 'string' },
+                            recordedAt: { type: 'string', format: 'date-time' },
+                            location: { type: 'string' },
+                            activityContext: { type: 'string' },
+                            temperature: { type: 'string' },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
         responses: {
           '200': {
-            description: '获取成功',
+            description: '同步成功',
             content: {
               'application/json': {
                 schema: {
@@ -324,7 +634,28 @@ export const hydrationDocs = {
                     data: {
                       type: 'object',
                       properties: {
-                        progress: { $ref: '#/components/schemas/TodayProgress' },
+                        results: {
+                          type: 'array',
+                          description: '与提交的变更一一对应；ignored 表示被更新的修改或删除标记覆盖，重复提交也会返回 ignored',
+                          items: {
+                            type: 'object',
+                            example: {
+                              client_id: '5f0c8a52-3a0e-4c1e-9d1a-1b2c3d4e5f60',
+                              op: 'create',
+                              status: 'created',
+                              record_id: 123,
+                            },
+                          },
+                        },
+                        changes: {
+                          type: 'array',
+                          description: '服务端变更后的记录（包含本次提交合并后的结果）',
+                          items: { type: 'object' },
+                        },
+                        cursor: { type: 'string', example: '1760864401000_0' },
+                        has_more: { type: 'boolean', example: false },
+                        achievements: { type: 'array', items: { type: 'object' } },
+                        limit_warnings: { type: 'array', items: { type: 'object' } },
                       },
                     },
                   },
@@ -332,6 +663,7 @@ export const hydrationDocs = {
               },
             },
           },
+          '400': { $ref: '#/components/responses/BadRequest' },
           '401': { $ref: '#/components/responses/Unauthorized' },
           '500': { $ref: '#/components/responses/InternalServerError' },
         },
@@ -339,24 +671,169 @@ export const hydrationDocs = {
       },
     },
 
-    '/api/v1/hydration/statistics': {
+    '/api/v1/hydration/import': {
+      post: {
+        tags: ['Hydration Records'],
+        summary: '导入历史饮水记录',
+        description:
+          '上传 CSV 或 JSON 文件导入历史饮水记录，导入在后台执行，返回的任务可通过 GET /api/v1/hydration/import/{jobId} 查询进度。' +
+          '列名按常见名称自动识别（如 amount、date、drink_type），也可以通过 mapping 指定；amount 和 recordedAt 为必需列。' +
+          '每一行都按添加记录的规则验证，失败的行会在任务的 row_errors 中列出；与已有记录饮水时间、饮水量和类型都相同的行视为重复跳过。' +
+          '同一用户同时只能有一个导入任务，超过60分钟仍未完成的任务视为中断并标记为失败。',
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['file'],
+                properties: {
+                  file: {
+                    type: 'string',
+                    format: 'binary',
+                    description: 'CSV（首行为表头）或 JSON（记录数组，或包含 records 数组的对象）文件，最大10MB',
+                  },
+                  format: {
+                    type: 'string',
+                    enum: ['csv', 'json'],
+                    description: '文件格式，默认按扩展名判断',
+                  },
+                  mapping: {
+                    type: 'string',
+                    description:
+                      '列映射 JSON，键为 amount、recordedAt、drinkType、drinkName、location、activityContext、temperature',
+                    example: '{"amount":"Amount (ml)","recordedAt":"Date"}',
+                  },
+                  unit: {
+                    type: 'string',
+                    enum: ['ml', 'l', 'oz'],
+                    default: 'ml',
+                    description: '饮水量单位',
+                  },
+                  timezone: {
+                    type: 'string',
+                    description: '不带时区的时间按此时区解析，默认使用用户时区',
+                    example: 'Asia/Shanghai',
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '202': {
+            description: '导入任务已创建',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        job: { $ref: '#/components/schemas/ImportJob' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '409': {
+            description: '已有导入任务正在进行 (IMPORT_IN_PROGRESS)',
+          },
+          '413': {
+            description: '文件过大 (FILE_TOO_LARGE)',
+          },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/hydration/import/{jobId}': {
       get: {
         tags: ['Hydration Records'],
-        summary: '获取饮水统计信息',
-        description: '获取用户的饮水统计数据',
+        summary: '获取导入任务状态',
         parameters: [
-          {
-            name: 'period',
-            in: 'query',
-            description: '统计周期',
-            required: false,
-            schema: {
-              type: 'string',
-              enum: ['7days', '30days', '90days', '1year'],
-              default: '7days',
+          { name: 'jobId', in: 'path', required: true, schema: { type: 'integer' } },
+        ],
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        job: { $ref: '#/components/schemas/ImportJob' },
+                      },
+                    },
+                  },
+                },
+              },
             },
           },
-        ],
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/hydration/undo': {
+      post: {
+        tags: ['Hydration Records'],
+        summary: '撤销最近一次修改',
+        description: '撤销当前用户在时间窗口（默认10分钟）内最近一次新增、修改或删除记录的操作。连续调用依次撤销更早的操作，导入的记录不参与撤销。',
+        responses: {
+          '200': {
+            description: '恢复成功，已重新计算统计、连续达成和成就',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        record: { type: 'object', description: '恢复后的记录，deleted 表示记录是否处于删除状态' },
+                        reverted: { $ref: '#/components/schemas/RecordRevision' },
+                        revision_id: { type: 'integer', description: '本次恢复产生的修订ID' },
+                        achievements: { type: 'object' },
+                        today_progress: { type: 'object' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { description: '没有可撤销的修改 (NOTHING_TO_UNDO)' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/hydration/{recordId}/history': {
+      get: {
+        tags: ['Hydration Records'],
+        summary: '获取饮水记录修改历史',
+        description: '返回记录的所有变更（最新的在前），已删除的记录也可以查询',
+        parameters: [{ $ref: '#/components/parameters/RecordIdParam' }],
         responses: {
           '200': {
             description: '获取成功',
@@ -369,7 +846,11 @@ export const hydrationDocs = {
                     data: {
                       type: 'object',
                       properties: {
-                        statistics: { $ref: '#/components/schemas/HydrationStatistics' },
+                        record: { type: 'object' },
+                        revisions: {
+                          type: 'array',
+                          items: { $ref: '#/components/schemas/RecordRevision' },
+                        },
                       },
                     },
                   },
@@ -378,6 +859,439 @@ export const hydrationDocs = {
             },
           },
           '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/hydration/{recordId}/restore': {
+      post: {
+        tags: ['Hydration Records'],
+        summary: '恢复饮水记录',
+        description: '将记录恢复到指定变更之前的状态；不指定 revisionId 时撤销该记录最近一次变更。删除的记录会被恢复，新增的记录会被删除。',
+        parameters: [{ $ref: '#/components/parameters/RecordIdParam' }],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  revisionId: { type: 'integer', description: '要撤销的修订ID' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '200': {
+            description: '恢复成功，已重新计算统计、连续达成和成就',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        record: { type: 'object', description: '恢复后的记录，deleted 表示记录是否处于删除状态' },
+                        reverted: { $ref: '#/components/schemas/RecordRevision' },
+                        revision_id: { type: 'integer', description: '本次恢复产生的修订ID' },
+                        achievements: { type: 'object' },
+                        today_progress: { type: 'object' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { description: '该记录没有可恢复的修改 (NOTHING_TO_RESTORE)' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { description: '记录或修订不存在 (RECORD_NOT_FOUND / REVISION_NOT_FOUND)' },
+          '409': { description: '该修改已被撤销 (REVISION_ALREADY_REVERTED)' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/hydration/today-progress': {
+      get: {
+        tags: ['Hydration Records'],
+        summary: '获取今日饮水进度',
+        description:
+          '获取当前用户今日的饮水进度信息。"今日"按指定时区(默认为用户设置的时区)的当地日期计算，每条记录按记录时所在时区的当地时间归属日期',
+        parameters: [
+          {
+            name: 'timezone',
+            in: 'query',
+            description: '设备当前所在时区(可选)',
+            required: false,
+            schema: { type: 'string', example: 'America/New_York' },
+          },
+        ],
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        progress: { $ref: '#/components/schemas/TodayProgress' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/hydration/statistics': {
+      get: {
+        tags: ['Hydration Records'],
+        summary: '获取饮水统计信息',
+        description:
+          '获取用户的饮水统计数据，按记录时的当地日期汇总，统计范围按指定时区(默认为用户设置的时区)的今天往前计算',
+        parameters: [
+          {
+            name: 'timezone',
+            in: 'query',
+            description: '设备当前所在时区(可选)',
+            required: false,
+            schema: { type: 'string', example: 'Asia/Shanghai' },
+          },
+          {
+            name: 'period',
+            in: 'query',
+            description: '统计周期',
+            required: false,
+            schema: {
+              type: 'string',
+              enum: ['7days', '30days', '90days', '1year'],
+              default: '7days',
+            },
+          },
+        ],
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        statistics: { $ref: '#/components/schemas/HydrationStatistics' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/hydration/coefficients': {
+      get: {
+        tags: ['Hydration Records'],
+        summary: '获取饮品补水系数',
+        description: '有效补水量 = 饮水量 × 饮品类型的补水系数，返回系统默认值、个人覆盖值和最终生效值',
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: { $ref: '#/components/schemas/HydrationCoefficients' },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+
+      put: {
+        tags: ['Hydration Records'],
+        summary: '更新个人饮品补水系数',
+        description: '按饮品类型覆盖系统默认系数，值为null时恢复默认；更新后重新计算今日进度和目标连续达成',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['coefficients'],
+                properties: {
+                  coefficients: {
+                    type: 'object',
+                    additionalProperties: {
+                      type: 'number',
+                      nullable: true,
+                      minimum: 0,
+                      maximum: 1.5,
+                    },
+                    example: { coffee: 0.9, tea: null },
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '200': {
+            description: '更新成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '补水系数更新成功' },
+                    data: {
+                      allOf: [
+                        { $ref: '#/components/schemas/HydrationCoefficients' },
+                        {
+                          type: 'object',
+                          properties: {
+                            today_progress: { $ref: '#/components/schemas/TodayProgress' },
+                          },
+                        },
+                      ],
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/hydration/limits': {
+      get: {
+        tags: ['Hydration Records'],
+        summary: '获取咖啡因和酒精摄入限制',
+        description:
+          '返回限制设置和今日使用情况；未使用饮品目录的记录按饮品类型估算咖啡因(咖啡0.4mg/ml、茶0.2mg/ml、汽水0.1mg/ml)和酒精(按5%酒精度)',
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        settings: {
+                          type: 'object',
+                          example: {
+                            daily_caffeine_limit_mg: 400,
+                            daily_alcohol_limit_units: 2,
+                            caffeine_cutoff_hours: 6,
+                            limit_warnings_enabled: true,
+                          },
+                        },
+                        today: { $ref: '#/components/schemas/IntakeLimits' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+
+      put: {
+        tags: ['Hydration Records'],
+        summary: '更新咖啡因和酒精摄入限制',
+        description: '记录使当日摄入超过上限，或在睡前时段内记录含咖啡因饮品时会推送提醒',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  dailyCaffeineLimitMg: { type: 'integer', minimum: 0, maximum: 2000, example: 400 },
+                  dailyAlcoholLimitUnits: { type: 'number', minimum: 0, maximum: 50, example: 2 },
+                  caffeineCutoffHours: { type: 'number', minimum: 0, maximum: 12, example: 6 },
+                  limitWarningsEnabled: { type: 'boolean', example: true },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '200': { description: '更新成功' },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/hydration/drinks': {
+      get: {
+        tags: ['Hydration Records'],
+        summary: '获取饮品目录',
+        description: '获取用户自定义的饮品目录，按使用次数排序，可作为添加记录时的一键预设',
+        parameters: [
+          {
+            name: 'drinkType',
+            in: 'query',
+            description: '按基础饮品类型筛选',
+            required: false,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        drinks: { type: 'array', items: { $ref: '#/components/schemas/Drink' } },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+
+      post: {
+        tags: ['Hydration Records'],
+        summary: '创建饮品',
+        description: '添加饮品到个人目录，名称不能重复',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                allOf: [
+                  { $ref: '#/components/schemas/DrinkRequest' },
+                  { required: ['name', 'defaultVolume'] },
+                ],
+              },
+            },
+          },
+        },
+        responses: {
+          '201': { description: '创建成功' },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '409': { description: '饮品名称已存在' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/hydration/drinks/{drinkId}': {
+      get: {
+        tags: ['Hydration Records'],
+        summary: '获取单个饮品',
+        parameters: [
+          { name: 'drinkId', in: 'path', required: true, schema: { type: 'integer' } },
+        ],
+        responses: {
+          '200': { description: '获取成功' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+
+      put: {
+        tags: ['Hydration Records'],
+        summary: '更新饮品',
+        description: '修改只影响之后的记录，已有记录保留记录时的营养信息',
+        parameters: [
+          { name: 'drinkId', in: 'path', required: true, schema: { type: 'integer' } },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/DrinkRequest' },
+            },
+          },
+        },
+        responses: {
+          '200': { description: '更新成功' },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '409': { description: '饮品名称已存在' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+
+      delete: {
+        tags: ['Hydration Records'],
+        summary: '删除饮品',
+        parameters: [
+          { name: 'drinkId', in: 'path', required: true, schema: { type: 'integer' } },
+        ],
+        responses: {
+          '200': { description: '删除成功' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
           '500': { $ref: '#/components/responses/InternalServerError' },
         },
         security: [{ bearerAuth: [] }],
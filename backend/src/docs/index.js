@@ -3,6 +3,8 @@ import { authDocs } from './auth.docs.js';
 import { userDocs } from './user.docs.js';
 import { hydrationDocs } from './hydration.docs.js';
 import { reminderDocs } from './reminder.docs.js';
+import { activityDocs } from './activity.docs.js';
+import { deviceDocs } from './device.docs.js';
 
 // 基础Swagger配置
 const baseConfig = {
@@ -44,6 +46,12 @@ const baseConfig = {
         bearerFormat: 'JWT',
         description: '刷新令牌',
       },
+      deviceSecret: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Device-Secret',
+        description: '智能设备配对时获得的设备密钥',
+      },
     },
     parameters: {
       // 通用分页参数
@@ -70,6 +78,30 @@ const baseConfig = {
           default: 20,
         },
       },
+      // 幂等键请求头
+      IdempotencyKeyHeader: {
+        name: 'Idempotency-Key',
+        in: 'header',
+        description:
+          '幂等键（建议使用UUID）。保留期内（默认24小时）使用同一个键重复请求时返回首次成功的响应，并带有 Idempotent-Replayed: true 响应头',
+        required: false,
+        schema: {
+          type: 'string',
+          maxLength: 255,
+        },
+      },
+      // 设备时区请求头
+      TimezoneHeader: {
+        name: 'X-Timezone',
+        in: 'header',
+        description:
+          '设备当前时区（IANA 名称）。用户开启时区自动检测且与当前设置不同时自动切换时区，并按新时区重新安排提醒',
+        required: false,
+        schema: {
+          type: 'string',
+          example: 'America/New_York',
+        },
+      },
       // 通用ID参数
       UserIdParam: {
         name: 'userId',
@@ -228,6 +260,14 @@ const baseConfig = {
       name: 'Reminders',
       description: '提醒设置和管理接口',
     },
+    {
+      name: 'Activities',
+      description: '运动记录和运动补水接口',
+    },
+    {
+      name: 'Devices',
+      description: '设备管理、智能设备配对和读数上报接口',
+    },
   ],
 };
 
@@ -264,6 +304,8 @@ export const swaggerSpec = deepMerge(
       ...userDocs.paths,
       ...hydrationDocs.paths,
       ...reminderDocs.paths,
+      ...activityDocs.paths,
+      ...deviceDocs.paths,
     },
     components: {
       ...baseConfig.components,
@@ -272,6 +314,8 @@ export const swaggerSpec = deepMerge(
         ...userDocs.components?.schemas,
         ...hydrationDocs.components?.schemas,
         ...reminderDocs.components?.schemas,
+        ...activityDocs.components?.schemas,
+        ...deviceDocs.components?.schemas,
       },
     },
   }
@@ -52,10 +52,101 @@ export const reminderDocs = {
             description: '是否推送通知',
             example: true,
           },
+          weekday_enabled: { type: 'boolean', description: '工作日是否提醒', example: true },
+          weekend_enabled: { type: 'boolean', description: '周末是否提醒', example: true },
+          weekend_start_time: { type: 'string', description: '周末开始时间', example: '09:00:00' },
+          weekend_end_time: { type: 'string', description: '周末结束时间', example: '23:00:00' },
+          weekly_schedule: {
+            type: 'object',
+            nullable: true,
+            description: '按星期设置的时间段，优先于工作日/周末设置，键为 monday ~ sunday',
+            additionalProperties: { $ref: '#/components/schemas/DaySchedule' },
+            example: { wednesday: { start_time: '10:00', end_time: '18:00' } },
+          },
+          date_exceptions: {
+            type: 'array',
+            nullable: true,
+            maxItems: 100,
+            description: '节假日等日期例外，优先级最高',
+            items: { $ref: '#/components/schemas/DateException' },
+          },
+          consider_calendar: {
+            type: 'boolean',
+            description: '是否避开已添加日历中的会议，提醒改到会议前或会议后',
+            example: true,
+          },
+          consider_weather: {
+            type: 'boolean',
+            description:
+              '炎热或闷热天气提高当天目标并缩短提醒间隔（需要在资料中设置所在地），天气快照记录在提醒记录的 context.weather 中',
+            example: false,
+          },
+          delivery_target: {
+            type: 'string',
+            enum: ['all_devices', 'primary_only'],
+            description: '提醒推送到所有设备，或只推送到主设备（主设备不能接收推送时不发送）。开启安静模式的设备不接收提醒',
+            example: 'all_devices',
+          },
+          strategy_type: {
+            type: 'string',
+            enum: ['fixed_interval', 'smart_adaptive', 'activity_based', 'custom'],
+            description: '提醒策略。activity_based 在运动结束后2小时内缩短提醒间隔',
+            example: 'smart_adaptive',
+          },
+          consider_activity: {
+            type: 'boolean',
+            description:
+              '记录运动时按出汗量提高当天目标，并安排运动前、运动中和运动后的补水提醒（提醒记录带有 activity_id）',
+            example: true,
+          },
+          do_not_disturb_enabled: { type: 'boolean', description: '是否开启免打扰', example: true },
+          dnd_start_time: {
+            type: 'string',
+            description: '免打扰开始时间，结束时间早于开始时间表示跨午夜',
+            example: '22:00:00',
+          },
+          dnd_end_time: { type: 'string', description: '免打扰结束时间', example: '07:00:00' },
+          dnd_windows: {
+            type: 'array',
+            nullable: true,
+            maxItems: 10,
+            description: '其他免打扰时间段',
+            items: {
+              type: 'object',
+              properties: {
+                start_time: { type: 'string', example: '12:30' },
+                end_time: { type: 'string', example: '13:30' },
+              },
+              required: ['start_time', 'end_time'],
+            },
+          },
         },
         required: ['enabled', 'interval', 'startTime', 'endTime'],
       },
 
+      DaySchedule: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean', description: '当天是否提醒', example: true },
+          start_time: { type: 'string', example: '10:00' },
+          end_time: { type: 'string', example: '18:00' },
+        },
+      },
+
+      DateException: {
+        type: 'object',
+        description:
+          'enabled 为 false 时当天不提醒；设置 start_time 和 end_time 时使用自定义时间段；都未设置时按周末时间段提醒',
+        properties: {
+          date: { type: 'string', format: 'date', example: '2024-10-01' },
+          enabled: { type: 'boolean', example: false },
+          start_time: { type: 'string', example: '10:00' },
+          end_time: { type: 'string', example: '16:00' },
+          name: { type: 'string', maxLength: 50, example: '国庆节' },
+        },
+        required: ['date'],
+      },
+
       ReminderSettingsUpdate: {
         type: 'object',
         properties: {
@@ -103,6 +194,74 @@ export const reminderDocs = {
             description: '是否推送通知',
             example: true,
           },
+          weekday_enabled: { type: 'boolean', description: '工作日是否提醒', example: true },
+          weekend_enabled: { type: 'boolean', description: '周末是否提醒', example: true },
+          weekend_start_time: { type: 'string', description: '周末开始时间', example: '09:00:00' },
+          weekend_end_time: { type: 'string', description: '周末结束时间', example: '23:00:00' },
+          weekly_schedule: {
+            type: 'object',
+            nullable: true,
+            description: '按星期设置的时间段，优先于工作日/周末设置，键为 monday ~ sunday',
+            additionalProperties: { $ref: '#/components/schemas/DaySchedule' },
+            example: { wednesday: { start_time: '10:00', end_time: '18:00' } },
+          },
+          date_exceptions: {
+            type: 'array',
+            nullable: true,
+            maxItems: 100,
+            description: '节假日等日期例外，优先级最高',
+            items: { $ref: '#/components/schemas/DateException' },
+          },
+          consider_calendar: {
+            type: 'boolean',
+            description: '是否避开已添加日历中的会议，提醒改到会议前或会议后',
+            example: true,
+          },
+          consider_weather: {
+            type: 'boolean',
+            description:
+              '炎热或闷热天气提高当天目标并缩短提醒间隔（需要在资料中设置所在地），天气快照记录在提醒记录的 context.weather 中',
+            example: false,
+          },
+          delivery_target: {
+            type: 'string',
+            enum: ['all_devices', 'primary_only'],
+            description: '提醒推送到所有设备，或只推送到主设备（主设备不能接收推送时不发送）。开启安静模式的设备不接收提醒',
+            example: 'all_devices',
+          },
+          strategy_type: {
+            type: 'string',
+            enum: ['fixed_interval', 'smart_adaptive', 'activity_based', 'custom'],
+            description: '提醒策略。activity_based 在运动结束后2小时内缩短提醒间隔',
+            example: 'smart_adaptive',
+          },
+          consider_activity: {
+            type: 'boolean',
+            description:
+              '记录运动时按出汗量提高当天目标，并安排运动前、运动中和运动后的补水提醒（提醒记录带有 activity_id）',
+            example: true,
+          },
+          do_not_disturb_enabled: { type: 'boolean', description: '是否开启免打扰', example: true },
+          dnd_start_time: {
+            type: 'string',
+            description: '免打扰开始时间，结束时间早于开始时间表示跨午夜',
+            example: '22:00:00',
+          },
+          dnd_end_time: { type: 'string', description: '免打扰结束时间', example: '07:00:00' },
+          dnd_windows: {
+            type: 'array',
+            nullable: true,
+            maxItems: 10,
+            description: '其他免打扰时间段',
+            items: {
+              type: 'object',
+              properties: {
+                start_time: { type: 'string', example: '12:30' },
+                end_time: { type: 'string', example: '13:30' },
+              },
+              required: ['start_time', 'end_time'],
+            },
+          },
         },
       },
 
@@ -204,19 +363,50 @@ export const reminderDocs = {
       DeviceToken: {
         type: 'object',
         properties: {
-          token: {
+          deviceToken: {
             type: 'string',
             description: '设备推送令牌',
             example: 'cXKz9wR5SomeFCMTokenExample123',
           },
+          deviceType: {
+            type: 'string',
+            enum: ['mobile', 'web', 'tablet'],
+            default: 'mobile',
+          },
           platform: {
             type: 'string',
-            enum: ['ios', 'android', 'web'],
+            enum: ['ios', 'android', 'web', 'windows', 'macos'],
             description: '设备平台',
             example: 'ios',
           },
+          deviceId: {
+            type: 'string',
+            description: '设备唯一标识，未提供时按推送令牌生成',
+          },
+          deviceName: { type: 'string', example: 'iPhone 15' },
+          timezone: {
+            type: 'string',
+            description: '设备当前时区，与用户设置不同且开启自动检测时切换用户时区',
+            example: 'Europe/London',
+          },
+        },
+        required: ['deviceToken'],
+      },
+
+      Calendar: {
+        type: 'object',
+        description: '用于避开会议的日历，忙碌时间段按未来14天展开',
+        properties: {
+          id: { type: 'integer', example: 3 },
+          name: { type: 'string', example: '工作日历' },
+          source_type: { type: 'string', enum: ['upload', 'url'] },
+          source_url: { type: 'string', nullable: true, description: '订阅地址，定时重新下载' },
+          is_active: { type: 'boolean' },
+          busy_block_count: { type: 'integer', description: '已展开的忙碌时间段数', example: 18 },
+          last_synced_at: { type: 'string', format: 'date-time', nullable: true },
+          sync_error: { type: 'string', nullable: true, description: '最近一次同步失败的原因' },
+          created_at: { type: 'string', format: 'date-time' },
         },
-        required: ['token', 'platform'],
       },
 
       ReminderStatistics: {
@@ -320,6 +510,15 @@ export const reminderDocs = {
                       type: 'object',
                       properties: {
                         settings: { $ref: '#/components/schemas/ReminderSettings' },
+                        reminders: {
+                          type: 'object',
+                          nullable: true,
+                          description: '提醒时间段变化时按新设置重新安排的结果',
+                          properties: {
+                            cancelled: { type: 'integer' },
+                            next_reminder_id: { type: 'integer', nullable: true },
+                          },
+                        },
                       },
                     },
                   },
@@ -500,6 +699,230 @@ export const reminderDocs = {
       },
     },
 
+    '/api/v1/reminders/pause': {
+      post: {
+        tags: ['Reminders'],
+        summary: '暂停提醒',
+        description:
+          '暂停提醒 N 小时，暂停期间不安排也不发送提醒，已安排的提醒顺延到暂停结束后。免打扰时间段内到期的提醒同样会被推迟而不是发送。',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['hours'],
+                properties: {
+                  hours: { type: 'number', minimum: 0.25, maximum: 72, example: 2 },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '200': {
+            description: '暂停成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '提醒已暂停2小时' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        paused_until: { type: 'string', format: 'date-time' },
+                        reminders: {
+                          type: 'object',
+                          properties: {
+                            cancelled: { type: 'integer' },
+                            next_reminder_id: { type: 'integer', nullable: true },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+
+      delete: {
+        tags: ['Reminders'],
+        summary: '恢复提醒',
+        description: '提前结束暂停，并重新安排下一次提醒',
+        responses: {
+          '200': {
+            description: '恢复成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '提醒已恢复' },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/reminders/calendar': {
+      post: {
+        tags: ['Reminders'],
+        summary: '添加日历',
+        description:
+          '上传 .ics 文件或填写日历订阅地址（http、https、webcal），提醒将避开日历中的忙碌时间：优先改到会议开始前几分钟，来不及时改到会议结束后。调整原因记录在提醒记录的 context.calendar 中。',
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: {
+                  file: { type: 'string', format: 'binary', description: '.ics 文件，最大1MB' },
+                  name: { type: 'string', maxLength: 100 },
+                },
+                required: ['file'],
+              },
+            },
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  url: { type: 'string', example: 'webcal://calendar.example.com/work.ics' },
+                  name: { type: 'string', maxLength: 100 },
+                },
+                required: ['url'],
+              },
+            },
+          },
+        },
+        responses: {
+          '201': {
+            description: '添加成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '日历已添加，提醒将避开日历中的会议' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        calendar: { $ref: '#/components/schemas/Calendar' },
+                        events: { type: 'integer', description: '日历中的事件数' },
+                        reminders: {
+                          type: 'object',
+                          properties: {
+                            cancelled: { type: 'integer' },
+                            next_reminder_id: { type: 'integer', nullable: true },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': {
+            description: '日历格式错误或订阅地址无效（INVALID_CALENDAR、INVALID_CALENDAR_URL）',
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '409': { description: '日历数量已达上限（CALENDAR_LIMIT_EXCEEDED）' },
+          '422': { description: '下载订阅日历失败（CALENDAR_FETCH_FAILED）' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+
+      get: {
+        tags: ['Reminders'],
+        summary: '获取日历列表',
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        calendars: {
+                          type: 'array',
+                          items: { $ref: '#/components/schemas/Calendar' },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/reminders/calendar/{calendarId}': {
+      delete: {
+        tags: ['Reminders'],
+        summary: '删除日历',
+        description: '删除日历及其忙碌时间段，并重新安排下一次提醒',
+        parameters: [
+          {
+            name: 'calendarId',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' },
+          },
+        ],
+        responses: {
+          '200': {
+            description: '删除成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '日历已删除' },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
     '/api/v1/reminders/device-token': {
       post: {
         tags: ['Reminders'],
@@ -523,6 +946,16 @@ export const reminderDocs = {
                   properties: {
                     success: { type: 'boolean', example: true },
                     message: { type: 'string', example: '设备令牌更新成功' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        device_id: { type: 'integer' },
+                        timezone_change: {
+                          nullable: true,
+                          allOf: [{ $ref: '#/components/schemas/TimezoneChange' }],
+                        },
+                      },
+                    },
                   },
                 },
               },
@@ -530,6 +963,7 @@ export const reminderDocs = {
           },
           '400': { $ref: '#/components/responses/BadRequest' },
           '401': { $ref: '#/components/responses/Unauthorized' },
+          '409': { description: '设备ID已绑定到其他账户（DEVICE_ID_CONFLICT）' },
           '429': { $ref: '#/components/responses/RateLimit' },
           '500': { $ref: '#/components/responses/InternalServerError' },
         },
@@ -537,6 +971,89 @@ export const reminderDocs = {
       },
     },
 
+    '/api/v1/reminders/smart-suggestions': {
+      get: {
+        tags: ['Reminders'],
+        summary: '获取智能提醒建议',
+        description:
+          '根据最近30天的饮水时间给出当天的提醒时间建议（没有足够历史时按提醒间隔生成，去掉免打扰时间段），并返回智能自适应策略下一次提醒的时间和计算依据',
+        parameters: [
+          {
+            name: 'date',
+            in: 'query',
+            description: '目标日期，默认当天（用户时区）',
+            required: false,
+            schema: { type: 'string', format: 'date' },
+          },
+        ],
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        suggestions: {
+                          type: 'array',
+                          items: {
+                            type: 'object',
+                            properties: {
+                              time: { type: 'string', example: '09:30:00' },
+                              confidence: { type: 'number', example: 0.5 },
+                              reason: {
+                                type: 'string',
+                                enum: ['historical_pattern', 'default_interval'],
+                              },
+                            },
+                          },
+                        },
+                        next_reminder: {
+                          type: 'object',
+                          nullable: true,
+                          description: '下一次智能提醒时间及计算依据',
+                          properties: {
+                            next_reminder_at: { type: 'string', format: 'date-time' },
+                            interval_minutes: { type: 'integer', example: 75 },
+                            reasoning: {
+                              type: 'array',
+                              items: {
+                                type: 'object',
+                                properties: {
+                                  factor: {
+                                    type: 'string',
+                                    enum: ['remaining_goal', 'sleep_window', 'hourly_pattern', 'response_rate', 'last_drink'],
+                                  },
+                                  value: { type: 'number' },
+                                  effect: { type: 'string' },
+                                  description: { type: 'string' },
+                                },
+                              },
+                            },
+                          },
+                        },
+                        weather: {
+                          nullable: true,
+                          allOf: [{ $ref: '#/components/schemas/WeatherAdjustment' }],
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
     '/api/v1/reminders/statistics': {
       get: {
         tags: ['Reminders'],
@@ -39,6 +39,84 @@ export const userDocs = {
             minimum: 100,
             maximum: 250,
           },
+          activityLevel: {
+            type: 'string',
+            enum: [
+              'sedentary',
+              'lightly_active',
+              'moderately_active',
+              'very_active',
+              'extremely_active',
+            ],
+            description: '活动水平',
+            example: 'moderately_active',
+          },
+          autoAdjustGoal: {
+            type: 'boolean',
+            description: '体重、年龄、性别或活动水平变更时自动应用推荐目标',
+            example: true,
+          },
+          latitude: {
+            type: 'number',
+            nullable: true,
+            description: '所在地纬度，需要与经度同时设置，传 null 清除。开启 consider_weather 后按当地天气调整目标和提醒',
+            example: 31.23,
+          },
+          longitude: { type: 'number', nullable: true, description: '所在地经度', example: 121.47 },
+          locationName: { type: 'string', nullable: true, maxLength: 100, example: '上海' },
+        },
+      },
+
+      WeightLog: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', example: 31 },
+          weight: { type: 'number', description: '体重(kg)', example: 71.8 },
+          measured_at: { type: 'string', format: 'date-time' },
+          source: {
+            type: 'string',
+            enum: ['manual', 'apple_health', 'google_fit', 'garmin', 'smart_scale', 'other'],
+          },
+        },
+      },
+      GoalRecommendation: {
+        type: 'object',
+        properties: {
+          recommended_goal: {
+            type: 'integer',
+            description: '推荐的每日饮水目标(ml)，取整到50ml',
+            example: 2750,
+          },
+          raw_total: {
+            type: 'integer',
+            description: '限制范围和取整前的合计值',
+            example: 2730,
+          },
+          components: {
+            type: 'array',
+            description: '推荐目标的组成部分',
+            items: {
+              type: 'object',
+              properties: {
+                factor: {
+                  type: 'string',
+                  enum: [
+                    'body_weight',
+                    'default',
+                    'activity_level',
+                    'gender',
+                    'exercise',
+                  ],
+                },
+                value: { description: '该因素的输入值' },
+                amount_ml: { type: 'integer', example: 2450 },
+                description: {
+                  type: 'string',
+                  example: '体重70kg × 35ml/kg（30-55岁）',
+                },
+              },
+            },
+          },
         },
       },
 
@@ -98,6 +176,122 @@ export const userDocs = {
           },
         },
       },
+      GoalCreate: {
+        type: 'object',
+        required: ['goalType', 'targetValue'],
+        properties: {
+          goalType: {
+            type: 'string',
+            enum: ['daily_water', 'weekly_consistency', 'monthly_average', 'custom'],
+            description: '目标类型',
+          },
+          targetValue: {
+            type: 'integer',
+            description: '目标值（每周坚持类目标为每周达标天数，其余为ml）',
+            example: 2500,
+          },
+          targetUnit: { type: 'string', example: 'ml' },
+          startDate: { type: 'string', format: 'date', description: '开始日期，默认今天' },
+          endDate: {
+            type: 'string',
+            format: 'date',
+            nullable: true,
+            description: '结束日期，为空表示长期目标；有期限的挑战目标可与长期目标并行',
+          },
+          reminderEnabled: { type: 'boolean' },
+          celebrationEnabled: { type: 'boolean' },
+        },
+      },
+      Goal: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          goal_type: { type: 'string' },
+          target_value: { type: 'integer' },
+          target_unit: { type: 'string' },
+          start_date: { type: 'string', format: 'date' },
+          end_date: { type: 'string', format: 'date', nullable: true },
+          is_active: { type: 'boolean' },
+          is_achieved: { type: 'boolean' },
+          current_streak: { type: 'integer' },
+          best_streak: { type: 'integer' },
+          total_achieved_days: { type: 'integer' },
+          progress: {
+            type: 'object',
+            nullable: true,
+            description: '当前周期进度，自定义目标为空',
+            properties: {
+              period: { type: 'string', example: '2024-W03' },
+              current: { type: 'integer' },
+              target: { type: 'integer' },
+              percentage: { type: 'number' },
+              achieved: { type: 'boolean' },
+              challenge: { type: 'object', description: '有期限目标的整体完成情况' },
+            },
+          },
+        },
+      },
+
+      ExportJob: {
+        type: 'object',
+        description: '用户数据导出任务',
+        properties: {
+          id: { type: 'integer', example: 8 },
+          status: { type: 'string', enum: ['pending', 'processing', 'completed', 'failed', 'expired'] },
+          datasets: {
+            type: 'object',
+            nullable: true,
+            description: '各数据集导出的行数',
+            example: { profile: 1, hydration_records: 5230, goals: 3, reminder_logs: 812 },
+          },
+          file_size: { type: 'integer', nullable: true, example: 482113 },
+          error_message: { type: 'string', nullable: true },
+          created_at: { type: 'string', format: 'date-time' },
+          completed_at: { type: 'string', format: 'date-time', nullable: true },
+          expires_at: { type: 'string', format: 'date-time', nullable: true },
+          download_url: {
+            type: 'string',
+            nullable: true,
+            description: '带签名的下载链接，任务完成后提供，到 expires_at 失效',
+          },
+        },
+      },
+
+      TimezoneChange: {
+        type: 'object',
+        description: '时区切换结果',
+        properties: {
+          changed: { type: 'boolean', description: '时区是否发生变化' },
+          timezone: { type: 'string', example: 'America/New_York' },
+          previous_timezone: { type: 'string', nullable: true, example: 'Asia/Shanghai' },
+          source: {
+            type: 'string',
+            enum: ['manual', 'header', 'device'],
+            description: '手动设置、请求头 X-Timezone 或注册推送设备时上报',
+          },
+          reminders: {
+            type: 'object',
+            properties: {
+              cancelled: { type: 'integer', description: '取消的待发送提醒数' },
+              next_reminder_id: { type: 'integer', nullable: true, description: '按新时区安排的下一次提醒' },
+            },
+          },
+          jet_lag: {
+            type: 'object',
+            nullable: true,
+            description: '倒时差模式下提醒时间段的调整计划，未开启时为 null',
+            properties: {
+              from: { type: 'string', example: 'Asia/Shanghai' },
+              to: { type: 'string', example: 'America/New_York' },
+              offset_minutes: { type: 'integer', example: -720 },
+              shift_per_day: { type: 'integer', example: 60 },
+              adjust_days: { type: 'integer', example: 12 },
+              start_date: { type: 'string', format: 'date' },
+              end_date: { type: 'string', format: 'date' },
+            },
+          },
+        },
+      },
     },
   },
 
@@ -159,6 +353,32 @@ export const userDocs = {
                       type: 'object',
                       properties: {
                         user: { $ref: '#/components/schemas/UserProfile' },
+                        timezone_change: {
+                          nullable: true,
+                          allOf: [{ $ref: '#/components/schemas/TimezoneChange' }],
+                          description: '修改 timezone 时的切换结果，待发送的提醒按新时区重新安排',
+                        },
+                        suggested_daily_goal: {
+                          type: 'integer',
+                          nullable: true,
+                          description: '影响目标的字段变更时的推荐目标',
+                        },
+                        goal_recommendation: {
+                          nullable: true,
+                          allOf: [
+                            { $ref: '#/components/schemas/GoalRecommendation' },
+                            {
+                              type: 'object',
+                              properties: {
+                                previous_goal: { type: 'integer' },
+                                applied: {
+                                  type: 'boolean',
+                                  description: '是否已自动应用为每日目标',
+                                },
+                              },
+                            },
+                          ],
+                        },
                       },
                     },
                   },
@@ -218,29 +438,176 @@ export const userDocs = {
       },
     },
 
-    '/api/v1/users/password': {
-      put: {
+    '/api/v1/users/goal/recommendation': {
+      get: {
         tags: ['User Management'],
-        summary: '修改密码',
-        description: '修改用户登录密码',
+        summary: '获取推荐饮水目标',
+        description:
+          '根据体重、年龄、性别、活动水平和今日运动时长计算推荐的每日饮水目标，并说明各组成部分',
+        parameters: [
+          {
+            name: 'exerciseMinutes',
+            in: 'query',
+            description: '今日运动分钟数，不传时使用今天记录或导入的运动时长',
+            schema: { type: 'integer', minimum: 0, maximum: 600 },
+          },
+        ],
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        recommendation: {
+                          allOf: [
+                            { $ref: '#/components/schemas/GoalRecommendation' },
+                            {
+                              type: 'object',
+                              properties: {
+                                current_goal: { type: 'integer', example: 2000 },
+                                difference: { type: 'integer', example: 750 },
+                              },
+                            },
+                          ],
+                        },
+                        auto_adjust_goal: { type: 'boolean' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/users/weight/history': {
+      get: {
+        tags: ['User Management'],
+        summary: '获取体重历史',
+        description: '资料中修改体重和从健康应用导入的体重记录，默认最近90天',
+        parameters: [
+          { name: 'startDate', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'endDate', in: 'query', schema: { type: 'string', format: 'date' } },
+        ],
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        start_date: { type: 'string', format: 'date' },
+                        end_date: { type: 'string', format: 'date' },
+                        history: {
+                          type: 'array',
+                          items: { $ref: '#/components/schemas/WeightLog' },
+                        },
+                        latest: {
+                          nullable: true,
+                          allOf: [{ $ref: '#/components/schemas/WeightLog' }],
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/users/goals': {
+      get: {
+        tags: ['User Management'],
+        summary: '获取目标列表',
+        description: '获取目标及当前进度，已过结束日期的目标会先被自动停用',
+        parameters: [
+          {
+            name: 'status',
+            in: 'query',
+            schema: { type: 'string', enum: ['active', 'history', 'all'], default: 'active' },
+          },
+        ],
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        goals: {
+                          type: 'array',
+                          items: { $ref: '#/components/schemas/Goal' },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+      post: {
+        tags: ['User Management'],
+        summary: '创建目标',
+        description:
+          '同类型的长期目标只能有一个，同类型的挑战目标时间不能重叠，挑战目标可以与长期目标并行',
         requestBody: {
           required: true,
           content: {
             'application/json': {
-              schema: { $ref: '#/components/schemas/PasswordChange' },
+              schema: { $ref: '#/components/schemas/GoalCreate' },
             },
           },
         },
         responses: {
-          '200': {
-            description: '密码修改成功',
+          '201': {
+            description: '目标创建成功',
             content: {
               'application/json': {
                 schema: {
                   type: 'object',
                   properties: {
                     success: { type: 'boolean', example: true },
-                    message: { type: 'string', example: '密码修改成功' },
+                    message: { type: 'string', example: '目标创建成功' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        goal: { $ref: '#/components/schemas/Goal' },
+                      },
+                    },
                   },
                 },
               },
@@ -248,18 +615,18 @@ export const userDocs = {
           },
           '400': { $ref: '#/components/responses/BadRequest' },
           '401': { $ref: '#/components/responses/Unauthorized' },
-          '429': { $ref: '#/components/responses/RateLimit' },
+          '409': { description: '与已有目标冲突 (GOAL_OVERLAP)' },
           '500': { $ref: '#/components/responses/InternalServerError' },
         },
         security: [{ bearerAuth: [] }],
       },
     },
 
-    '/api/v1/users/statistics': {
+    '/api/v1/users/goals/history': {
       get: {
         tags: ['User Management'],
-        summary: '获取用户统计信息',
-        description: '获取用户的饮水统计数据',
+        summary: '获取目标历史',
+        description: '获取已结束或已停用的目标及其最终统计',
         responses: {
           '200': {
             description: '获取成功',
@@ -272,7 +639,107 @@ export const userDocs = {
                     data: {
                       type: 'object',
                       properties: {
-                        statistics: { $ref: '#/components/schemas/UserStatistics' },
+                        goals: {
+                          type: 'array',
+                          items: { $ref: '#/components/schemas/Goal' },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/users/goals/{goalId}': {
+      get: {
+        tags: ['User Management'],
+        summary: '获取单个目标',
+        parameters: [
+          {
+            name: 'goalId',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' },
+          },
+        ],
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        goal: { $ref: '#/components/schemas/Goal' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+      put: {
+        tags: ['User Management'],
+        summary: '更新目标',
+        description: '目标类型不可修改；已开始的目标不能修改开始日期，已结束的目标不能重新启用',
+        parameters: [
+          {
+            name: 'goalId',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' },
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  targetValue: { type: 'integer' },
+                  targetUnit: { type: 'string' },
+                  startDate: { type: 'string', format: 'date' },
+                  endDate: { type: 'string', format: 'date', nullable: true },
+                  isActive: { type: 'boolean' },
+                  reminderEnabled: { type: 'boolean' },
+                  celebrationEnabled: { type: 'boolean' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '200': {
+            description: '目标更新成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '目标更新成功' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        goal: { $ref: '#/components/schemas/Goal' },
                       },
                     },
                   },
@@ -280,12 +747,506 @@ export const userDocs = {
               },
             },
           },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '409': { description: '与已有目标冲突 (GOAL_OVERLAP)' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+      delete: {
+        tags: ['User Management'],
+        summary: '删除目标',
+        description: '长期每日饮水目标不能删除',
+        parameters: [
+          {
+            name: 'goalId',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer' },
+          },
+        ],
+        responses: {
+          '200': { description: '目标删除成功' },
+          '400': { $ref: '#/components/responses/BadRequest' },
           '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
           '500': { $ref: '#/components/responses/InternalServerError' },
         },
         security: [{ bearerAuth: [] }],
       },
     },
+
+    '/api/v1/users/goals/streak': {
+      get: {
+        tags: ['User Management'],
+        summary: '获取目标连续达成情况',
+        description:
+          '按用户时区重新计算所有启用目标的连续达成天数，返回逐日历史；每周坚持和月均目标同时返回按周/月汇总的周期',
+        parameters: [
+          {
+            name: 'days',
+            in: 'query',
+            description: '返回的历史天数（默认30）',
+            schema: { type: 'integer', minimum: 1, maximum: 365 },
+          },
+        ],
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        timezone: { type: 'string', example: 'Asia/Shanghai' },
+                        today: { type: 'string', format: 'date' },
+                        goals: {
+                          type: 'array',
+                          items: {
+                            type: 'object',
+                            properties: {
+                              goal_id: { type: 'integer' },
+                              goal_type: { type: 'string' },
+                              unit: { type: 'string', enum: ['day', 'week', 'month'] },
+                              current_streak: { type: 'integer' },
+                              best_streak: { type: 'integer' },
+                              total_achieved_days: { type: 'integer' },
+                              is_achieved: { type: 'boolean' },
+                              history: {
+                                type: 'array',
+                                items: {
+                                  type: 'object',
+                                  properties: {
+                                    date: { type: 'string', format: 'date' },
+                                    total: { type: 'integer' },
+                                    target: { type: 'integer' },
+                                    achieved: { type: 'boolean' },
+                                  },
+                                },
+                              },
+                              periods: { type: 'array', items: { type: 'object' } },
+                            },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/users/timezone': {
+      put: {
+        tags: ['User Management'],
+        summary: '切换时区',
+        description:
+          '切换用户时区，取消尚未发送的提醒并按新时区重新安排。开启倒时差模式(jetLagMode)时提醒时间段先保持原时区的作息，之后每天向新时区调整（默认60分钟）。开启自动检测(autoDetect)时，请求头 X-Timezone 或注册推送设备时上报的时区与当前设置不同会自动切换。',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['timezone'],
+                properties: {
+                  timezone: { type: 'string', example: 'America/New_York' },
+                  jetLagMode: { type: 'boolean', description: '倒时差模式' },
+                  autoDetect: { type: 'boolean', description: '根据设备时区自动切换' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '200': {
+            description: '切换成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '时区已切换，提醒已按新时区重新安排' },
+                    data: { $ref: '#/components/schemas/TimezoneChange' },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/users/password': {
+      put: {
+        tags: ['User Management'],
+        summary: '修改密码',
+        description: '修改用户登录密码',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/PasswordChange' },
+            },
+          },
+        },
+        responses: {
+          '200': {
+            description: '密码修改成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '密码修改成功' },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/users/account': {
+      delete: {
+        tags: ['User Management'],
+        summary: '删除账户',
+        description:
+          '申请删除账户。所有会话立即失效，宽限期（默认14天）内重新登录即可取消删除；宽限期结束后彻底删除所有数据、头像和导出文件。',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['password', 'confirmText'],
+                properties: {
+                  password: { type: 'string' },
+                  confirmText: { type: 'string', example: '删除我的账户' },
+                  deleteReason: {
+                    type: 'string',
+                    enum: ['not_useful', 'too_complicated', 'privacy_concerns', 'switching_apps', 'temporary_break', 'other'],
+                  },
+                  feedback: { type: 'string', maxLength: 500 },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '200': {
+            description: '已进入删除宽限期',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        deletion_scheduled_for: { type: 'string', example: '2025-03-15 10:00:00' },
+                        grace_period_days: { type: 'integer', example: 14 },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { description: '验证失败、确认文本错误或密码错误' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/users/statistics': {
+      get: {
+        tags: ['User Management'],
+        summary: '获取用户统计信息',
+        description: '获取用户的饮水统计数据',
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        statistics: { $ref: '#/components/schemas/UserStatistics' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/users/achievements': {
+      get: {
+        tags: ['User Management'],
+        summary: '获取用户成就',
+        description: '获取已获得的成就及未获得成就的进度（不含隐藏成就）',
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        earned: { type: 'array', items: { type: 'object' } },
+                        locked: { type: 'array', items: { type: 'object' } },
+                        total_points: { type: 'integer', example: 60 },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/users/achievements/{id}': {
+      put: {
+        tags: ['User Management'],
+        summary: '更新成就展示设置',
+        description: '设置成就是否展示、是否收藏',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            description: '用户成就ID',
+            schema: { type: 'integer' },
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  isDisplayed: { type: 'boolean', example: true },
+                  isFavorite: { type: 'boolean', example: false },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          '200': {
+            description: '更新成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string', example: '成就设置更新成功' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        achievement: { type: 'object' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+    '/api/v1/users/export': {
+      get: {
+        tags: ['User Management'],
+        summary: '导出用户数据快照（已弃用）',
+        description:
+          '旧版导出接口，直接返回资料、近30天统计、饮水偏好和近90天的饮水记录（JSON）。' +
+          '保留给已发布的客户端，响应带有 Deprecation 头；完整导出请使用 POST /api/v1/users/export。',
+        deprecated: true,
+        responses: {
+          '200': {
+            description: '导出成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        profile: { type: 'object' },
+                        statistics: { type: 'array', items: { type: 'object' } },
+                        preferences: { type: 'object' },
+                        recent_records: { type: 'array', items: { type: 'object' } },
+                        export_date: { type: 'string', example: '2024-01-15 10:30:00' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+      post: {
+        tags: ['User Management'],
+        summary: '申请导出用户数据',
+        description:
+          '在后台导出与账户关联的全部数据（资料、饮水记录、目标、提醒设置和日志、统计、成就、设备、会话、操作日志、自定义饮品等），' +
+          '每类数据生成 CSV 和 JSON 两个文件并打包为 ZIP。完成后向账户邮箱发送带签名的下载链接，链接和文件在有效期（默认72小时）后失效。' +
+          '密码哈希、会话令牌和推送令牌等凭证不会被导出。同一用户同时只能有一个导出任务，超过30分钟仍未完成的任务视为中断并标记为失败。',
+        responses: {
+          '202': {
+            description: '导出任务已创建',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        job: { $ref: '#/components/schemas/ExportJob' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '409': { description: '已有导出任务正在进行 (EXPORT_IN_PROGRESS)' },
+          '429': { $ref: '#/components/responses/RateLimit' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/users/export/{jobId}': {
+      get: {
+        tags: ['User Management'],
+        summary: '获取数据导出任务状态',
+        parameters: [
+          { name: 'jobId', in: 'path', required: true, schema: { type: 'integer' } },
+        ],
+        responses: {
+          '200': {
+            description: '获取成功',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        job: { $ref: '#/components/schemas/ExportJob' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          '401': { $ref: '#/components/responses/Unauthorized' },
+          '404': { $ref: '#/components/responses/NotFound' },
+          '500': { $ref: '#/components/responses/InternalServerError' },
+        },
+        security: [{ bearerAuth: [] }],
+      },
+    },
+
+    '/api/v1/users/export/{jobId}/download': {
+      get: {
+        tags: ['User Management'],
+        summary: '下载数据导出文件',
+        description: '邮件或任务状态中的签名链接，无需登录。签名无效或已过期时返回403。',
+        parameters: [
+          { name: 'jobId', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'expires', in: 'query', required: true, schema: { type: 'integer' }, description: '过期时间（Unix秒）' },
+          { name: 'signature', in: 'query', required: true, schema: { type: 'string' } },
+        ],
+        responses: {
+          '200': {
+            description: 'ZIP文件',
+            content: {
+              'application/zip': {
+                schema: { type: 'string', format: 'binary' },
+              },
+            },
+          },
+          '403': { description: '下载链接无效或已过期 (INVALID_DOWNLOAD_LINK)' },
+          '404': { $ref: '#/components/responses/NotFound' },
+        },
+      },
+    },
   },
 };
 
@@ -1,6 +1,8 @@
+import crypto from 'crypto';
 import AuthService from '../utils/auth.js';
 import db from '../config/database.js';
 import { errorLogger, businessLogger } from '../utils/logger.js';
+import timezoneChange from '../utils/timezoneChange.js';
 
 // 认证中间件
 const authenticate = async (req, res, next) => {
@@ -49,7 +51,7 @@ const authenticate = async (req, res, next) => {
       const query = `
         SELECT 
           id, email, username, full_name, avatar_url, is_active, 
-          is_premium, premium_expires_at, timezone, locale,
+          is_premium, premium_expires_at, timezone, timezone_auto_detect, locale,
           created_at, updated_at, last_login_at
         FROM users 
         WHERE id = ? AND is_active = true AND deleted_at IS NULL
@@ -116,6 +118,18 @@ const authenticate = async (req, res, next) => {
       }
     });
 
+    // 设备上报的时区与用户设置不同时自动切换时区（异步执行，不阻塞请求）
+    const deviceTimezone = req.headers['x-timezone'];
+    if (
+      deviceTimezone &&
+      user.timezone_auto_detect &&
+      deviceTimezone !== user.timezone
+    ) {
+      setImmediate(() => {
+        timezoneChange.detect(user.id, deviceTimezone, 'header');
+      });
+    }
+
     next();
   } catch (error) {
     errorLogger.api(error, req);
@@ -378,6 +392,74 @@ const authenticateApiKey = async (req, res, next) => {
   }
 };
 
+// 智能设备认证中间件（设备使用配对时获得的密钥访问 /devices/:deviceId 下的接口）
+const authenticateDevice = async (req, res, next) => {
+  try {
+    const secret = req.headers['x-device-secret'];
+    const { deviceId } = req.params;
+
+    if (!secret) {
+      return res.status(401).json({
+        success: false,
+        error: 'MISSING_DEVICE_SECRET',
+        message: '缺少设备密钥',
+      });
+    }
+
+    const query = `
+      SELECT
+        d.id, d.user_id, d.device_id, d.device_name, d.device_type, d.platform,
+        d.secret_hash, d.firmware_version, d.battery_level, d.battery_charging,
+        d.last_reading_at, d.last_weight_g, d.last_sync_at
+      FROM user_devices d
+      JOIN users u ON u.id = d.user_id
+      WHERE d.device_id = ? AND d.is_active = true AND d.secret_hash IS NOT NULL
+        AND u.is_active = true AND u.deleted_at IS NULL
+    `;
+    const { rows: devices } = await db.query(query, [deviceId]);
+
+    // 只保存密钥哈希，使用固定时间比较
+    const secretHash = crypto
+      .createHash('sha256')
+      .update(String(secret))
+      .digest('hex');
+    const device = devices[0];
+    const valid =
+      device &&
+      crypto.timingSafeEqual(
+        Buffer.from(secretHash),
+        Buffer.from(device.secret_hash)
+      );
+
+    if (!valid) {
+      businessLogger.securityEvent(
+        'invalid_device_secret',
+        device ? device.user_id : null,
+        req.ip,
+        { deviceId }
+      );
+
+      return res.status(401).json({
+        success: false,
+        error: 'INVALID_DEVICE_CREDENTIALS',
+        message: '设备未配对或密钥无效',
+      });
+    }
+
+    req.device = device;
+    req.user = { id: device.user_id };
+    next();
+  } catch (error) {
+    errorLogger.api(error, req);
+
+    return res.status(500).json({
+      success: false,
+      error: 'DEVICE_AUTHENTICATION_ERROR',
+      message: '设备认证失败',
+    });
+  }
+};
+
 export {
   authenticate,
   optionalAuth,
@@ -388,4 +470,5 @@ export {
   requireEmailVerification,
   checkAccountStatus,
   authenticateApiKey,
+  authenticateDevice,
 };
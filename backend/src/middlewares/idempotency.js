@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import db from '../config/database.js';
+import config from '../config/index.js';
+import * as IdempotencyModel from '../models/idempotency.model.js';
+import { businessLogger, errorLogger } from '../utils/logger.js';
+
+// 幂等键最大长度
+const MAX_KEY_LENGTH = 255;
+
+const getCacheKey = (userId, key) => `idempotency:${userId}:${key}`;
+
+// 请求指纹：同一个幂等键只能用于相同的请求
+const hashRequest = req =>
+  crypto
+    .createHash('sha256')
+    .update(
+      `${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`
+    )
+    .digest('hex');
+
+// 查找已保存的幂等键：先查 Redis，再查 MySQL 后备存储
+const findEntry = async (userId, key) => {
+  const cached = await db.getCache(getCacheKey(userId, key));
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    return await IdempotencyModel.findKey(userId, key);
+  } catch (error) {
+    errorLogger.database(error, 'find_idempotency_key', { userId, key });
+    return null;
+  }
+};
+
+// 占用幂等键，Redis 不可用时保存到 MySQL；返回保存位置，已被占用时返回 null
+// Redis 使用 SET NX 原子占用，与 MySQL 的 INSERT IGNORE 一样，并发请求只有一个能占用成功
+// 占用只持续 lease 秒，进程崩溃没有释放的键不会在整个保留期内拒绝重试
+const reserveEntry = async (userId, key, entry, lease) => {
+  const cached = await db.setCacheIfAbsent(
+    getCacheKey(userId, key),
+    { ...entry, status: 'processing' },
+    lease
+  );
+  if (cached === true) {
+    return 'redis';
+  }
+  if (cached === false) {
+    return null;
+  }
+
+  const reserved = await IdempotencyModel.reserveKey(userId, key, entry, lease);
+  return reserved ? 'mysql' : null;
+};
+
+// 保存首次响应
+const completeEntry = async (store, userId, key, entry, response, ttl) => {
+  if (store === 'redis') {
+    await db.setCache(
+      getCacheKey(userId, key),
+      { ...entry, status: 'completed', ...response },
+      ttl
+    );
+  } else {
+    await IdempotencyModel.completeKey(
+      userId,
+      key,
+      response.responseStatus,
+      response.responseBody,
+      ttl
+    );
+  }
+};
+
+// 释放幂等键，允许客户端使用同一个键重试
+const releaseEntry = async (store, userId, key) => {
+  if (store === 'redis') {
+    await db.deleteCache(getCacheKey(userId, key));
+  } else {
+    await IdempotencyModel.releaseKey(userId, key);
+  }
+};
+
+// 已有相同幂等键时的响应
+const respondWithExisting = (req, res, entry, hash) => {
+  if (entry.hash !== hash) {
+    return res.status(422).json({
+      success: false,
+      error: 'IDEMPOTENCY_KEY_MISMATCH',
+      message: 'Idempotency-Key 已用于其他请求',
+    });
+  }
+
+  if (entry.status !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      error: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+      message: '相同的请求正在处理中，请稍后重试',
+    });
+  }
+
+  businessLogger.userAction(req.user.id, 'idempotent_replay', {
+    path: entry.path,
+  });
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(entry.responseStatus).json(entry.responseBody);
+};
+
+/**
+ * 幂等键中间件
+ *
+ * 客户端在创建记录的请求中携带 Idempotency-Key 请求头，保留期内使用同一个键的重复请求
+ * 直接返回首次成功的响应，不会重复创建记录。只保存成功的响应，失败时释放键以便重试。
+ * 需要放在 authenticate 之后。
+ */
+export const idempotency = (options = {}) => {
+  const ttl = options.ttl || config.business.idempotencyKeyTtl;
+  const lease = options.lease || config.business.idempotencyProcessingLease;
+
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_IDEMPOTENCY_KEY',
+        message: `Idempotency-Key 长度必须在1-${MAX_KEY_LENGTH}字符之间`,
+      });
+    }
+
+    const userId = req.user.id;
+    const hash = hashRequest(req);
+    const entry = { method: req.method, path: req.originalUrl, hash };
+
+    try {
+      const existing = await findEntry(userId, key);
+      if (existing) {
+        return respondWithExisting(req, res, existing, hash);
+      }
+
+      const store = await reserveEntry(userId, key, entry, lease);
+      if (!store) {
+        // 并发请求已占用该键
+        const reserved = await findEntry(userId, key);
+        return respondWithExisting(
+          req,
+          res,
+          reserved || { ...entry, status: 'processing' },
+          hash
+        );
+      }
+
+      // 拦截响应，保存首次成功的响应
+      const originalJson = res.json.bind(res);
+      res.json = body => {
+        res.json = originalJson;
+
+        const persist =
+          res.statusCode < 400
+            ? completeEntry(
+                store,
+                userId,
+                key,
+                entry,
+                { responseStatus: res.statusCode, responseBody: body },
+                ttl
+              )
+            : releaseEntry(store, userId, key);
+
+        persist.catch(error => {
+          errorLogger.database(error, 'save_idempotency_key', {
+            userId,
+            key,
+          });
+        });
+
+        return originalJson(body);
+      };
+
+      next();
+    } catch (error) {
+      // 幂等键存储失败时不影响正常请求
+      errorLogger.database(error, 'check_idempotency_key', { userId, key });
+      next();
+    }
+  };
+};
+
+export default idempotency;
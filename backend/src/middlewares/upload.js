@@ -0,0 +1,63 @@
+import multer from 'multer';
+import path from 'path';
+import config from '../config/index.js';
+
+/**
+ * 单文件上传中间件（文件保存在内存中，由控制器处理 req.file.buffer）
+ *
+ * @param {string} fieldName 表单字段名
+ * @param {Object} options { maxSize: 最大字节数, extensions: 允许的扩展名, required: 是否必须上传文件 }
+ */
+export const uploadSingle = (fieldName, options = {}) => {
+  const maxSize = options.maxSize || config.upload.maxSize;
+  const extensions = options.extensions || config.upload.allowedTypes;
+  const required = options.required !== false;
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, callback) => {
+      const extension = path.extname(file.originalname).slice(1).toLowerCase();
+      if (!extensions.includes(extension)) {
+        const error = new multer.MulterError(
+          'LIMIT_UNEXPECTED_FILE',
+          fieldName
+        );
+        error.message = `只支持以下文件类型: ${extensions.join(', ')}`;
+        return callback(error);
+      }
+      callback(null, true);
+    },
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, error => {
+      if (!error) {
+        if (!req.file && required) {
+          return res.status(400).json({
+            success: false,
+            error: 'FILE_REQUIRED',
+            message: `请上传文件（字段名 ${fieldName}）`,
+          });
+        }
+        return next();
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          error: 'FILE_TOO_LARGE',
+          message: `文件大小不能超过${Math.round(maxSize / 1024 / 1024)}MB`,
+        });
+      }
+
+      res.status(400).json({
+        success: false,
+        error: 'INVALID_FILE',
+        message: error.message || '文件上传失败',
+      });
+    });
+  };
+};
+
+export default uploadSingle;
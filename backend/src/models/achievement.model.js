@@ -0,0 +1,185 @@
+import { executeQuery, findOne, update } from './base.model.js';
+import { businessLogger } from '../utils/logger.js';
+import moment from 'moment-timezone';
+
+/**
+ * 成就相关数据模型
+ */
+
+// 获取所有启用的成就定义
+export const getActiveAchievements = async () => {
+  const query = `
+    SELECT
+      id, name, description, icon_url, category, criteria,
+      difficulty, points, is_hidden, unlock_message,
+      is_repeatable, cooldown_days
+    FROM achievements
+    WHERE is_active = true
+    ORDER BY id ASC
+  `;
+
+  const { rows } = await executeQuery(query);
+  return rows;
+};
+
+// 获取用户已获得的成就记录（按获得时间倒序）
+export const getUserAchievementRecords = async userId => {
+  const query = `
+    SELECT id, achievement_id, earned_at, progress_data
+    FROM user_achievements
+    WHERE user_id = ?
+    ORDER BY earned_at DESC, id DESC
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return rows;
+};
+
+// 获取用户按当地日期、小时、饮品类型聚合的饮水数据（since 为空时返回全部历史）
+export const getUserDailyActivity = async (userId, since = null) => {
+  const query = `
+    SELECT
+      DATE_FORMAT(local_recorded_at, '%Y-%m-%d') as date,
+      HOUR(local_recorded_at) as hour,
+      drink_type,
+      COUNT(*) as record_count,
+      SUM(amount) as total_amount
+    FROM hydration_records
+    WHERE user_id = ? AND deleted_at IS NULL
+      ${since ? 'AND local_recorded_at >= ?' : ''}
+    GROUP BY
+      DATE_FORMAT(local_recorded_at, '%Y-%m-%d'),
+      HOUR(local_recorded_at),
+      drink_type
+    ORDER BY date ASC, hour ASC
+  `;
+
+  const params = since ? [userId, `${since} 00:00:00`] : [userId];
+  const { rows } = await executeQuery(query, params);
+  return rows.map(row => ({
+    date: row.date,
+    hour: row.hour,
+    drink_type: row.drink_type,
+    record_count: Number(row.record_count),
+    total_amount: Number(row.total_amount),
+  }));
+};
+
+// 获取用户每日目标
+export const getUserDailyGoal = async userId => {
+  const user = await findOne(
+    'users',
+    { id: userId },
+    'daily_water_goal, timezone'
+  );
+  return user;
+};
+
+// 授予成就；冷却期内或不可重复的成就已获得时不会重复插入
+export const awardAchievement = async (userId, achievement, progressData) => {
+  const cooldownCondition = achievement.is_repeatable
+    ? 'AND earned_at > DATE_SUB(?, INTERVAL ? DAY)'
+    : '';
+  const now = moment().format('YYYY-MM-DD HH:mm:ss');
+
+  const query = `
+    INSERT INTO user_achievements (user_id, achievement_id, earned_at, progress_data)
+    SELECT ?, ?, ?, ?
+    FROM DUAL
+    WHERE NOT EXISTS (
+      SELECT 1 FROM user_achievements
+      WHERE user_id = ? AND achievement_id = ? ${cooldownCondition}
+    )
+  `;
+
+  const params = [
+    userId,
+    achievement.id,
+    now,
+    JSON.stringify(progressData),
+    userId,
+    achievement.id,
+  ];
+  if (achievement.is_repeatable) {
+    params.push(now, achievement.cooldown_days || 0);
+  }
+
+  const { rows } = await executeQuery(query, params);
+  if (rows.affectedRows === 0) {
+    return null;
+  }
+
+  businessLogger.userAction(userId, 'achievement_unlocked', {
+    achievementId: achievement.id,
+    userAchievementId: rows.insertId,
+  });
+
+  return rows.insertId;
+};
+
+// 撤销成就（记录修改或删除后条件不再满足）
+export const revokeAchievement = async (userId, userAchievementId) => {
+  const query = 'DELETE FROM user_achievements WHERE id = ? AND user_id = ?';
+  const { rows } = await executeQuery(query, [userAchievementId, userId]);
+
+  if (rows.affectedRows > 0) {
+    businessLogger.userAction(userId, 'achievement_revoked', {
+      userAchievementId,
+    });
+  }
+
+  return rows.affectedRows;
+};
+
+// 获取用户已获得的成就（含成就详情）
+export const getUserAchievements = async userId => {
+  const query = `
+    SELECT
+      ua.id, ua.achievement_id, ua.earned_at, ua.progress_data,
+      ua.is_displayed, ua.is_favorite,
+      a.name, a.description, a.icon_url, a.category,
+      a.difficulty, a.points, a.unlock_message, a.is_repeatable
+    FROM user_achievements ua
+    JOIN achievements a ON ua.achievement_id = a.id
+    WHERE ua.user_id = ?
+    ORDER BY ua.is_favorite DESC, ua.earned_at DESC
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return rows;
+};
+
+// 获取单条用户成就
+export const getUserAchievementById = async (userAchievementId, userId) => {
+  return await findOne('user_achievements', {
+    id: userAchievementId,
+    user_id: userId,
+  });
+};
+
+// 更新成就展示设置
+export const updateUserAchievementDisplay = async (
+  userAchievementId,
+  userId,
+  displayData
+) => {
+  const allowedFields = ['is_displayed', 'is_favorite'];
+
+  const filteredData = Object.keys(displayData)
+    .filter(
+      key => allowedFields.includes(key) && displayData[key] !== undefined
+    )
+    .reduce((obj, key) => {
+      obj[key] = displayData[key];
+      return obj;
+    }, {});
+
+  if (Object.keys(filteredData).length === 0) {
+    return 0;
+  }
+
+  return await update('user_achievements', filteredData, {
+    id: userAchievementId,
+    user_id: userId,
+  });
+};
@@ -0,0 +1,204 @@
+import { executeQuery, create, findOne } from './base.model.js';
+import moment from 'moment-timezone';
+import { resolveUserTimezone } from './user.model.js';
+import { toLocalTime, getLocalDayRange } from '../utils/userTime.js';
+
+/**
+ * 运动记录相关数据模型
+ */
+
+const ACTIVITY_FIELDS = `
+  id, activity_type, intensity, started_at, local_started_at, timezone,
+  duration_minutes, estimated_sweat_loss_ml, goal_bonus_ml, source,
+  external_id, notes, created_at, updated_at
+`;
+
+// 运动的当地日期
+const localStartedDateSql = "DATE_FORMAT(local_started_at, '%Y-%m-%d')";
+
+// 添加运动记录，开始时间按运动时所在时区保存当地时间
+export const createActivity = async (userId, activityData) => {
+  const timezone = await resolveUserTimezone(userId, activityData.timezone);
+  const startedAt = moment(activityData.started_at);
+
+  const result = await create('user_activities', {
+    user_id: userId,
+    activity_type: activityData.activity_type,
+    intensity: activityData.intensity || 'moderate',
+    started_at: startedAt.format('YYYY-MM-DD HH:mm:ss'),
+    local_started_at: toLocalTime(startedAt, timezone),
+    timezone,
+    duration_minutes: activityData.duration_minutes,
+    estimated_sweat_loss_ml: activityData.estimated_sweat_loss_ml || 0,
+    goal_bonus_ml: activityData.goal_bonus_ml || 0,
+    source: activityData.source || 'manual',
+    external_id: activityData.external_id || null,
+    notes: activityData.notes || null,
+    created_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+  });
+
+  return result.insertId;
+};
+
+// 获取单条运动记录
+export const getActivityById = async (activityId, userId) => {
+  return await findOne(
+    'user_activities',
+    { id: activityId, user_id: userId },
+    ACTIVITY_FIELDS
+  );
+};
+
+// 按来源中的运动ID查找（导入去重）
+export const findActivityByExternalId = async (userId, source, externalId) => {
+  return await findOne(
+    'user_activities',
+    { user_id: userId, source, external_id: externalId },
+    'id'
+  );
+};
+
+// 获取运动记录列表（日期为运动时的当地日期）
+export const getActivities = async (userId, filters = {}, pagination = {}) => {
+  const { startDate, endDate, activityType, source } = filters;
+  const page = parseInt(pagination.page, 10) || 1;
+  const limit = parseInt(pagination.limit, 10) || 20;
+
+  const whereConditions = ['user_id = ?'];
+  const params = [userId];
+
+  if (startDate) {
+    whereConditions.push('local_started_at >= ?');
+    params.push(getLocalDayRange(startDate)[0]);
+  }
+
+  if (endDate) {
+    whereConditions.push('local_started_at < ?');
+    params.push(getLocalDayRange(endDate)[1]);
+  }
+
+  if (activityType) {
+    whereConditions.push('activity_type = ?');
+    params.push(activityType);
+  }
+
+  if (source) {
+    whereConditions.push('source = ?');
+    params.push(source);
+  }
+
+  const whereClause = whereConditions.join(' AND ');
+
+  const { rows: data } = await executeQuery(
+    `
+    SELECT ${ACTIVITY_FIELDS}
+    FROM user_activities
+    WHERE ${whereClause}
+    ORDER BY started_at DESC, id DESC
+    LIMIT ${limit} OFFSET ${(page - 1) * limit}
+  `,
+    params
+  );
+
+  const { rows: countResult } = await executeQuery(
+    `SELECT COUNT(*) as total FROM user_activities WHERE ${whereClause}`,
+    params
+  );
+  const total = Number(countResult[0].total);
+
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+// 删除运动记录
+export const deleteActivity = async (activityId, userId) => {
+  const { rows } = await executeQuery(
+    'DELETE FROM user_activities WHERE id = ? AND user_id = ?',
+    [activityId, userId]
+  );
+  return rows.affectedRows;
+};
+
+/**
+ * 按当地日期或周汇总运动
+ *
+ * @param {number} userId
+ * @param {string} startDate 当地日期 YYYY-MM-DD
+ * @param {string} endDate
+ * @param {boolean} byWeek 按周汇总（period 为周数，与饮水统计一致）
+ * @returns {Promise<Array<{ period, activity_count, duration_minutes, sweat_loss_ml, goal_bonus_ml }>>}
+ */
+export const getActivityTotals = async (
+  userId,
+  startDate,
+  endDate,
+  byWeek = false
+) => {
+  const groupBy = byWeek ? 'WEEK(local_started_at)' : localStartedDateSql;
+  const query = `
+    SELECT
+      ${groupBy} as period,
+      COUNT(*) as activity_count,
+      SUM(duration_minutes) as duration_minutes,
+      SUM(estimated_sweat_loss_ml) as sweat_loss_ml,
+      SUM(goal_bonus_ml) as goal_bonus_ml
+    FROM user_activities
+    WHERE user_id = ?
+      AND local_started_at >= ? AND local_started_at < ?
+    GROUP BY ${groupBy}
+    ORDER BY period ASC
+  `;
+
+  const { rows } = await executeQuery(query, [
+    userId,
+    ...getLocalDayRange(startDate, endDate),
+  ]);
+  return rows.map(row => ({
+    period: row.period,
+    activity_count: Number(row.activity_count),
+    duration_minutes: Number(row.duration_minutes || 0),
+    sweat_loss_ml: Number(row.sweat_loss_ml || 0),
+    goal_bonus_ml: Number(row.goal_bonus_ml || 0),
+  }));
+};
+
+// 获取当地某天的运动记录
+export const getActivitiesOnDate = async (userId, date) => {
+  const query = `
+    SELECT ${ACTIVITY_FIELDS}
+    FROM user_activities
+    WHERE user_id = ?
+      AND local_started_at >= ? AND local_started_at < ?
+    ORDER BY started_at ASC
+  `;
+
+  const { rows } = await executeQuery(query, [
+    userId,
+    ...getLocalDayRange(date),
+  ]);
+  return rows;
+};
+
+// 最近一次已结束的运动（用于运动后缩短提醒间隔）
+export const getLastFinishedActivity = async (userId, at = new Date()) => {
+  const query = `
+    SELECT ${ACTIVITY_FIELDS}
+    FROM user_activities
+    WHERE user_id = ?
+      AND DATE_ADD(started_at, INTERVAL duration_minutes MINUTE) <= ?
+      AND started_at >= DATE_SUB(?, INTERVAL 1 DAY)
+    ORDER BY DATE_ADD(started_at, INTERVAL duration_minutes MINUTE) DESC
+    LIMIT 1
+  `;
+
+  const time = moment(at).format('YYYY-MM-DD HH:mm:ss');
+  const { rows } = await executeQuery(query, [userId, time, time]);
+  return rows[0] || null;
+};
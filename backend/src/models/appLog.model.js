@@ -0,0 +1,27 @@
+import { create } from './base.model.js';
+
+/**
+ * 应用日志相关数据模型
+ */
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
+
+// 写入审计日志
+export const createAuditLog = async ({
+  userId = null,
+  action,
+  metadata = {},
+  req = null,
+}) => {
+  const result = await create('app_logs', {
+    level: 'INFO',
+    message: `audit:${action}`,
+    user_id: userId,
+    api_endpoint: req ? req.originalUrl.slice(0, 200) : null,
+    http_method: req && HTTP_METHODS.includes(req.method) ? req.method : null,
+    ip_address: req ? req.ip : null,
+    metadata: JSON.stringify({ type: 'audit', action, ...metadata }),
+  });
+
+  return result.insertId;
+};
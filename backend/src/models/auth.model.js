@@ -9,6 +9,10 @@ import {
 } from './base.model.js';
 import { businessLogger, errorLogger } from '../utils/logger.js';
 import moment from 'moment-timezone';
+import { calculateRecommendedGoal } from '../utils/goalCalculator.js';
+import hydrationCoefficients, {
+  effectiveAmountSql,
+} from '../utils/hydrationCoefficients.js';
 
 /**
  * 认证相关数据模型
@@ -76,29 +80,9 @@ export const createUser = async userData => {
 };
 
 // 计算默认饮水目标
-export const calculateDefaultGoal = (weight, height, activityLevel, gender) => {
-  // 基础需水量计算 (ml)
-  let baseWater = weight * 35;
-
-  // 根据活动水平调整
-  const activityMultipliers = {
-    sedentary: 1.0,
-    lightly_active: 1.1,
-    moderately_active: 1.2,
-    very_active: 1.4,
-    extremely_active: 1.6,
-  };
-
-  baseWater *= activityMultipliers[activityLevel] || 1.0;
-
-  // 根据性别微调
-  if (gender === 'male') {
-    baseWater *= 1.05;
-  }
-
-  // 四舍五入到最近的100ml
-  return Math.round(baseWater / 100) * 100;
-};
+// 身高暂不参与计算
+export const calculateDefaultGoal = (weight, _height, activityLevel, gender) =>
+  calculateRecommendedGoal({ weight, activityLevel, gender }).recommended_goal;
 
 // 创建默认饮水目标
 export const createDefaultGoal = async (userId, goalValue) => {
@@ -130,20 +114,19 @@ export const createDefaultReminderSettings = async userId => {
   return await create('reminder_settings', settingsData);
 };
 
-// 验证用户凭据
-export const validateUserCredentials = async (login, passwordHash) => {
+// 根据邮箱或用户名获取登录所需信息（密码在服务层验证）
+export const findUserForLogin = async login => {
   const query = `
     SELECT 
       id, email, username, full_name, password_hash,
-      email_verified, is_active, last_login_at
+      email_verified, is_active, last_login_at, deletion_scheduled_for
     FROM users 
     WHERE (email = ? OR username = ?) 
-      AND password_hash = ? 
       AND deleted_at IS NULL
       AND is_active = true
   `;
 
-  const { rows } = await executeQuery(query, [login, login, passwordHash]);
+  const { rows } = await executeQuery(query, [login, login]);
   return rows[0] || null;
 };
 
@@ -335,11 +318,14 @@ export const registerUserWithDefaults = async userData => {
 
 // 获取用户统计摘要
 export const getUserStatsSummary = async userId => {
+  const coefficients = await hydrationCoefficients.getForUser(userId);
+
   const query = `
     SELECT 
       COUNT(hr.id) as total_records,
       COALESCE(SUM(hr.amount), 0) as total_intake,
-      COUNT(DISTINCT DATE(hr.recorded_at)) as active_days,
+      COALESCE(ROUND(SUM(${effectiveAmountSql(coefficients, 'hr')})), 0) as total_effective_intake,
+      COUNT(DISTINCT DATE(hr.local_recorded_at)) as active_days,
       AVG(hr.amount) as avg_intake_per_record
     FROM hydration_records hr
     WHERE hr.user_id = ? 
@@ -65,7 +65,7 @@ export const create = async (table, data) => {
   const values = Object.values(data);
 
   const query = `INSERT INTO ${table} (${fields.join(', ')}) VALUES (${placeholders})`;
-  const result = await executeQuery(query, values);
+  const { rows: result } = await executeQuery(query, values);
 
   return {
     insertId: result.insertId,
@@ -86,7 +86,7 @@ export const update = async (table, data, conditions) => {
   const query = `UPDATE ${table} SET ${setClause} WHERE ${whereClause}`;
   const params = [...Object.values(data), ...Object.values(conditions)];
 
-  const result = await executeQuery(query, params);
+  const { rows: result } = await executeQuery(query, params);
   return result.affectedRows;
 };
 
@@ -100,7 +100,7 @@ export const remove = async (table, conditions) => {
   const query = `DELETE FROM ${table} WHERE ${whereClause}`;
   const params = Object.values(conditions);
 
-  const result = await executeQuery(query, params);
+  const { rows: result } = await executeQuery(query, params);
   return result.affectedRows;
 };
 
@@ -136,7 +136,7 @@ export const batchCreate = async (table, dataArray) => {
   const query = `INSERT INTO ${table} (${fields.join(', ')}) VALUES ${valuesPlaceholder}`;
   const params = dataArray.flatMap(item => Object.values(item));
 
-  const result = await executeQuery(query, params);
+  const { rows: result } = await executeQuery(query, params);
   return result;
 };
 
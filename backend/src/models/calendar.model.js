@@ -0,0 +1,173 @@
+import { executeQuery, create, update, transaction } from './base.model.js';
+import moment from 'moment-timezone';
+
+/**
+ * 用户日历和忙碌时间段相关数据模型
+ */
+
+const CALENDAR_FIELDS = `
+  id, user_id, name, source_type, source_url, is_active, busy_block_count,
+  last_synced_at, sync_error, created_at, updated_at
+`;
+
+const toStorageTime = time => moment(time).format('YYYY-MM-DD HH:mm:ss');
+
+// 添加日历
+export const createCalendar = async (userId, calendarData) => {
+  const result = await create('user_calendars', {
+    user_id: userId,
+    name: calendarData.name,
+    source_type: calendarData.source_type,
+    source_url: calendarData.source_url || null,
+    content: calendarData.content || null,
+    is_active: true,
+    created_at: toStorageTime(new Date()),
+  });
+
+  return result.insertId;
+};
+
+// 获取用户的日历列表（不包含上传的文件内容）
+export const getUserCalendars = async userId => {
+  const query = `
+    SELECT ${CALENDAR_FIELDS}
+    FROM user_calendars
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return rows;
+};
+
+// 获取单个日历（包含上传的文件内容，用于重新展开）
+export const getCalendarById = async (calendarId, userId = null) => {
+  const query = `
+    SELECT ${CALENDAR_FIELDS}, content
+    FROM user_calendars
+    WHERE id = ? ${userId ? 'AND user_id = ?' : ''}
+  `;
+
+  const params = userId ? [calendarId, userId] : [calendarId];
+  const { rows } = await executeQuery(query, params);
+  return rows[0] || null;
+};
+
+// 统计用户的日历数
+export const countUserCalendars = async userId => {
+  const { rows } = await executeQuery(
+    'SELECT COUNT(*) as count FROM user_calendars WHERE user_id = ?',
+    [userId]
+  );
+  return Number(rows[0].count);
+};
+
+// 更新日历同步状态
+export const updateCalendarSync = async (calendarId, syncData) => {
+  const allowedFields = [
+    'name',
+    'content',
+    'busy_block_count',
+    'last_synced_at',
+    'sync_error',
+  ];
+
+  const data = Object.keys(syncData)
+    .filter(key => allowedFields.includes(key))
+    .reduce((obj, key) => {
+      obj[key] = syncData[key];
+      return obj;
+    }, {});
+
+  if (Object.keys(data).length === 0) {
+    return 0;
+  }
+
+  return await update('user_calendars', data, { id: calendarId });
+};
+
+// 删除日历（忙碌时间段随外键级联删除）
+export const deleteCalendar = async (calendarId, userId) => {
+  const { rows } = await executeQuery(
+    'DELETE FROM user_calendars WHERE id = ? AND user_id = ?',
+    [calendarId, userId]
+  );
+  return rows.affectedRows;
+};
+
+/**
+ * 用新展开的忙碌时间段替换日历原有的时间段
+ *
+ * @param {number} calendarId
+ * @param {number} userId
+ * @param {Array<{ start: Date, end: Date, summary: string|null }>} blocks
+ * @returns {Promise<number>} 保存的时间段数
+ */
+export const replaceBusyBlocks = async (calendarId, userId, blocks) => {
+  return await transaction(async connection => {
+    await connection.execute(
+      'DELETE FROM calendar_busy_blocks WHERE calendar_id = ?',
+      [calendarId]
+    );
+
+    // 分批插入，避免单条语句过大
+    for (let i = 0; i < blocks.length; i += 500) {
+      const chunk = blocks.slice(i, i + 500);
+      await connection.query(
+        `INSERT INTO calendar_busy_blocks
+          (calendar_id, user_id, start_at, end_at, summary)
+        VALUES ?`,
+        [
+          chunk.map(block => [
+            calendarId,
+            userId,
+            toStorageTime(block.start),
+            toStorageTime(block.end),
+            block.summary ? block.summary.substring(0, 200) : null,
+          ]),
+        ]
+      );
+    }
+
+    return blocks.length;
+  });
+};
+
+// 获取时间范围内与之重叠的忙碌时间段
+export const getBusyBlocks = async (userId, from, to) => {
+  const query = `
+    SELECT b.start_at, b.end_at, b.summary
+    FROM calendar_busy_blocks b
+    JOIN user_calendars c ON b.calendar_id = c.id
+    WHERE b.user_id = ? AND c.is_active = TRUE
+      AND b.end_at > ? AND b.start_at < ?
+    ORDER BY b.start_at ASC
+  `;
+
+  const { rows } = await executeQuery(query, [
+    userId,
+    toStorageTime(from),
+    toStorageTime(to),
+  ]);
+  return rows.map(row => ({
+    start: row.start_at,
+    end: row.end_at,
+    summary: row.summary,
+  }));
+};
+
+// 获取需要刷新的日历（订阅的日历重新下载，上传的日历向后展开）
+export const getCalendarsDueForRefresh = async (refreshMinutes, limit = 50) => {
+  const query = `
+    SELECT id, user_id
+    FROM user_calendars
+    WHERE is_active = TRUE
+      AND (last_synced_at IS NULL
+        OR last_synced_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))
+    ORDER BY last_synced_at ASC
+    LIMIT ${parseInt(limit, 10) || 50}
+  `;
+
+  const { rows } = await executeQuery(query, [refreshMinutes]);
+  return rows;
+};
@@ -0,0 +1,222 @@
+import {
+  executeQuery,
+  create,
+  update,
+  findOne,
+  remove,
+  transaction,
+} from './base.model.js';
+import moment from 'moment-timezone';
+
+/**
+ * 用户设备（推送设备和智能水杯等 IoT 设备）相关数据模型
+ */
+
+// 设备管理接口返回的字段（不包含推送令牌和设备密钥）
+const DEVICE_FIELDS = `
+  id, device_id, device_name, device_type, platform,
+  push_token IS NOT NULL as has_push_token, push_enabled, is_primary, is_active,
+  paired_at, firmware_version, battery_level, battery_charging, settings,
+  last_sync_at, last_active_at, created_at, updated_at
+`;
+
+const parseDevice = device => {
+  if (device && typeof device.settings === 'string') {
+    device.settings = JSON.parse(device.settings);
+  }
+  return device;
+};
+
+const PAIRED_DEVICE_FIELDS = `
+  id, user_id, device_id, device_name, device_type, platform, is_active,
+  secret_hash, paired_at, firmware_version, battery_level, battery_charging,
+  last_reading_at, last_weight_g, last_sync_at, settings
+`;
+
+// 创建配对码，同一用户之前未使用的配对码立即失效
+export const createPairingCode = async (userId, codeData) => {
+  await executeQuery(
+    `
+      UPDATE device_pairing_codes
+      SET expires_at = NOW()
+      WHERE user_id = ? AND used_at IS NULL AND expires_at > NOW()
+    `,
+    [userId]
+  );
+
+  const result = await create('device_pairing_codes', {
+    user_id: userId,
+    code_hash: codeData.code_hash,
+    device_type: codeData.device_type,
+    device_name: codeData.device_name || null,
+    expires_at: codeData.expires_at,
+    created_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+  });
+
+  return result.insertId;
+};
+
+// 查找未使用且未过期的配对码
+export const findValidPairingCode = async codeHash => {
+  const query = `
+    SELECT id, user_id, device_type, device_name, expires_at
+    FROM device_pairing_codes
+    WHERE code_hash = ? AND used_at IS NULL AND expires_at > NOW()
+  `;
+
+  const { rows } = await executeQuery(query, [codeHash]);
+  return rows[0] || null;
+};
+
+// 认领配对码（单条UPDATE原子认领，同一配对码只能配对一次）
+export const claimPairingCode = async codeId => {
+  const { rows } = await executeQuery(
+    `
+      UPDATE device_pairing_codes
+      SET used_at = NOW()
+      WHERE id = ? AND used_at IS NULL AND expires_at > NOW()
+    `,
+    [codeId]
+  );
+
+  return rows.affectedRows > 0;
+};
+
+// 记录配对码配对的设备
+export const setPairingCodeDevice = async (codeId, deviceRecordId) => {
+  return await update(
+    'device_pairing_codes',
+    { device_id: deviceRecordId },
+    { id: codeId }
+  );
+};
+
+// 按设备ID查找设备（包含密钥哈希，仅用于配对和设备认证）
+export const findDeviceByDeviceId = async deviceId => {
+  return await findOne(
+    'user_devices',
+    { device_id: deviceId },
+    PAIRED_DEVICE_FIELDS
+  );
+};
+
+/**
+ * 保存配对的设备
+ *
+ * 同一用户重新配对时更新原设备记录并更换密钥，重量基线清空，避免把配对前的称重当作饮水。
+ *
+ * @param {number} userId
+ * @param {Object} deviceData { device_id, device_name, device_type, secret_hash, firmware_version }
+ * @param {number|null} existingId 已有设备记录ID
+ * @returns {Promise<number>} 设备记录ID
+ */
+export const savePairedDevice = async (
+  userId,
+  deviceData,
+  existingId = null
+) => {
+  const now = moment().format('YYYY-MM-DD HH:mm:ss');
+  const data = {
+    user_id: userId,
+    device_name: deviceData.device_name,
+    device_type: deviceData.device_type,
+    platform: 'iot',
+    is_active: true,
+    secret_hash: deviceData.secret_hash,
+    paired_at: now,
+    firmware_version: deviceData.firmware_version || null,
+    last_reading_at: null,
+    last_weight_g: null,
+    last_active_at: now,
+  };
+
+  if (existingId) {
+    await update('user_devices', data, { id: existingId });
+    return existingId;
+  }
+
+  const result = await create('user_devices', {
+    ...data,
+    device_id: deviceData.device_id,
+    push_enabled: false,
+    created_at: now,
+  });
+
+  return result.insertId;
+};
+
+// 更新设备上报的状态和读数处理进度
+export const updateDeviceStatus = async (deviceRecordId, status) => {
+  const now = moment().format('YYYY-MM-DD HH:mm:ss');
+
+  return await update(
+    'user_devices',
+    { ...status, last_sync_at: now, last_active_at: now },
+    { id: deviceRecordId }
+  );
+};
+
+// 获取用户的所有设备，主设备在前
+export const getUserDevices = async userId => {
+  const query = `
+    SELECT ${DEVICE_FIELDS}
+    FROM user_devices
+    WHERE user_id = ?
+    ORDER BY is_primary DESC, last_active_at DESC, id ASC
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return rows.map(parseDevice);
+};
+
+// 获取单个设备
+export const getDeviceById = async (id, userId) => {
+  return parseDevice(
+    await findOne('user_devices', { id, user_id: userId }, DEVICE_FIELDS)
+  );
+};
+
+/**
+ * 更新设备名称、推送开关、主设备和设备配置
+ *
+ * 设为主设备时取消用户其他设备的主设备标记，每个用户最多一个主设备。
+ *
+ * @param {number} id 设备记录ID
+ * @param {number} userId
+ * @param {Object} data { device_name, push_enabled, is_primary, settings }
+ * @returns {Promise<number>} 影响的行数
+ */
+export const updateDevice = async (id, userId, data) => {
+  const fields = Object.entries(data).filter(
+    ([, value]) => value !== undefined
+  );
+  if (fields.length === 0) {
+    return 0;
+  }
+
+  const values = fields.map(([field, value]) =>
+    field === 'settings' && value !== null ? JSON.stringify(value) : value
+  );
+
+  return await transaction(async connection => {
+    if (data.is_primary) {
+      await connection.execute(
+        'UPDATE user_devices SET is_primary = false WHERE user_id = ? AND id <> ?',
+        [userId, id]
+      );
+    }
+
+    const [result] = await connection.execute(
+      `UPDATE user_devices SET ${fields
+        .map(([field]) => `${field} = ?`)
+        .join(', ')} WHERE id = ? AND user_id = ?`,
+      [...values, id, userId]
+    );
+    return result.affectedRows;
+  });
+};
+
+// 删除设备（设备上的登录会话需要先移除）
+export const deleteDevice = async (id, userId) => {
+  return await remove('user_devices', { id, user_id: userId });
+};
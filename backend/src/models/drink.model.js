@@ -0,0 +1,139 @@
+import { executeQuery, create, update } from './base.model.js';
+import moment from 'moment-timezone';
+
+/**
+ * 用户饮品目录相关数据模型
+ */
+
+// 饮品查询字段
+const DRINK_FIELDS = `
+  id, user_id, name, drink_type, default_volume, icon,
+  caffeine_mg, sugar_g, calories, alcohol_abv,
+  usage_count, last_used_at, created_at, updated_at
+`;
+
+// 数值字段统一转换为数字（DECIMAL 会以字符串返回）
+const normalizeDrink = drink =>
+  drink && {
+    ...drink,
+    caffeine_mg: Number(drink.caffeine_mg),
+    sugar_g: Number(drink.sugar_g),
+    calories: Number(drink.calories),
+    alcohol_abv: Number(drink.alcohol_abv),
+  };
+
+// 获取用户饮品目录（常用的排在前面）
+export const getUserDrinks = async (userId, drinkType = null) => {
+  const query = `
+    SELECT ${DRINK_FIELDS}
+    FROM user_drinks
+    WHERE user_id = ? AND deleted_at IS NULL
+      ${drinkType ? 'AND drink_type = ?' : ''}
+    ORDER BY usage_count DESC, name ASC
+  `;
+
+  const params = drinkType ? [userId, drinkType] : [userId];
+  const { rows } = await executeQuery(query, params);
+  return rows.map(normalizeDrink);
+};
+
+// 获取单个饮品
+export const getDrinkById = async (drinkId, userId) => {
+  const query = `
+    SELECT ${DRINK_FIELDS}
+    FROM user_drinks
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `;
+
+  const { rows } = await executeQuery(query, [drinkId, userId]);
+  return normalizeDrink(rows[0]) || null;
+};
+
+// 按名称查找饮品（同一用户的饮品名称不能重复）
+export const findDrinkByName = async (userId, name, excludeId = null) => {
+  const query = `
+    SELECT id, name
+    FROM user_drinks
+    WHERE user_id = ? AND name = ? AND id <> ? AND deleted_at IS NULL
+  `;
+
+  const { rows } = await executeQuery(query, [userId, name, excludeId || 0]);
+  return rows[0] || null;
+};
+
+// 创建饮品
+export const createDrink = async (userId, drinkData) => {
+  const now = moment().format('YYYY-MM-DD HH:mm:ss');
+
+  const result = await create('user_drinks', {
+    user_id: userId,
+    name: drinkData.name,
+    drink_type: drinkData.drink_type || 'water',
+    default_volume: drinkData.default_volume,
+    icon: drinkData.icon || null,
+    caffeine_mg: drinkData.caffeine_mg || 0,
+    sugar_g: drinkData.sugar_g || 0,
+    calories: drinkData.calories || 0,
+    alcohol_abv: drinkData.alcohol_abv || 0,
+    created_at: now,
+    updated_at: now,
+  });
+
+  return result.insertId;
+};
+
+// 更新饮品
+export const updateDrink = async (drinkId, userId, updateData) => {
+  const allowedFields = [
+    'name',
+    'drink_type',
+    'default_volume',
+    'icon',
+    'caffeine_mg',
+    'sugar_g',
+    'calories',
+    'alcohol_abv',
+  ];
+
+  const filteredData = Object.keys(updateData)
+    .filter(key => allowedFields.includes(key) && updateData[key] !== undefined)
+    .reduce((obj, key) => {
+      obj[key] = updateData[key];
+      return obj;
+    }, {});
+
+  if (Object.keys(filteredData).length === 0) {
+    return 0;
+  }
+
+  filteredData.updated_at = moment().format('YYYY-MM-DD HH:mm:ss');
+
+  return await update('user_drinks', filteredData, {
+    id: drinkId,
+    user_id: userId,
+  });
+};
+
+// 删除饮品（软删除，已有记录保留饮品名称和营养信息）
+export const deleteDrink = async (drinkId, userId) => {
+  return await update(
+    'user_drinks',
+    { deleted_at: moment().format('YYYY-MM-DD HH:mm:ss') },
+    { id: drinkId, user_id: userId }
+  );
+};
+
+// 记录饮品使用次数
+export const markDrinkUsed = async drinkId => {
+  const query = `
+    UPDATE user_drinks
+    SET usage_count = usage_count + 1, last_used_at = ?
+    WHERE id = ?
+  `;
+
+  const { rows } = await executeQuery(query, [
+    moment().format('YYYY-MM-DD HH:mm:ss'),
+    drinkId,
+  ]);
+  return rows.affectedRows;
+};
@@ -0,0 +1,143 @@
+import { executeQuery, create, update } from './base.model.js';
+import moment from 'moment-timezone';
+
+/**
+ * 用户数据导出任务相关数据模型
+ */
+
+const JOB_FIELDS = `
+  id, user_id, status, datasets, error_message, file_path, file_size,
+  download_count, created_at, started_at, completed_at, expires_at
+`;
+
+// JSON 字段可能以字符串返回
+const normalizeJob = job =>
+  job && {
+    ...job,
+    datasets:
+      typeof job.datasets === 'string'
+        ? JSON.parse(job.datasets)
+        : job.datasets,
+  };
+
+// 创建导出任务
+export const createExportJob = async userId => {
+  const result = await create('export_jobs', {
+    user_id: userId,
+    status: 'pending',
+    created_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+  });
+
+  return result.insertId;
+};
+
+// 获取导出任务（不传 userId 时用于签名链接下载）
+export const getExportJob = async (jobId, userId = null) => {
+  const query = `
+    SELECT ${JOB_FIELDS}
+    FROM export_jobs
+    WHERE id = ? ${userId ? 'AND user_id = ?' : ''}
+  `;
+
+  const params = userId ? [jobId, userId] : [jobId];
+  const { rows } = await executeQuery(query, params);
+  return normalizeJob(rows[0]) || null;
+};
+
+// 更新导出任务
+export const updateExportJob = async (jobId, updateData) => {
+  const allowedFields = [
+    'status',
+    'datasets',
+    'error_message',
+    'file_path',
+    'file_size',
+    'started_at',
+    'completed_at',
+    'expires_at',
+  ];
+
+  const filteredData = Object.keys(updateData)
+    .filter(key => allowedFields.includes(key) && updateData[key] !== undefined)
+    .reduce((obj, key) => {
+      obj[key] =
+        key === 'datasets' ? JSON.stringify(updateData[key]) : updateData[key];
+      return obj;
+    }, {});
+
+  if (Object.keys(filteredData).length === 0) {
+    return 0;
+  }
+
+  return await update('export_jobs', filteredData, { id: jobId });
+};
+
+// 记录一次下载
+export const incrementDownloadCount = async jobId => {
+  const { rows } = await executeQuery(
+    'UPDATE export_jobs SET download_count = download_count + 1 WHERE id = ?',
+    [jobId]
+  );
+  return rows.affectedRows;
+};
+
+// 统计用户正在进行的导出任务
+export const countActiveExportJobs = async userId => {
+  const query = `
+    SELECT COUNT(*) as count
+    FROM export_jobs
+    WHERE user_id = ? AND status IN ('pending', 'processing')
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return Number(rows[0].count);
+};
+
+/**
+ * 将超时未完成的导出任务标记为失败
+ *
+ * 后台导出在服务重启时会中断，任务停留在 pending/processing，用户无法再发起导出。
+ *
+ * @param {number} timeoutMinutes 创建（或开始）后超过该时间视为中断
+ * @param {number|null} userId 只处理该用户的任务，不传时处理所有用户
+ * @returns {Promise<number>} 标记为失败的任务数
+ */
+export const failStaleExportJobs = async (timeoutMinutes, userId = null) => {
+  const query = `
+    UPDATE export_jobs
+    SET status = 'failed',
+      error_message = '导出任务已中断，请重新发起导出',
+      completed_at = NOW()
+    WHERE status IN ('pending', 'processing')
+      AND COALESCE(started_at, created_at) < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+      ${userId ? 'AND user_id = ?' : ''}
+  `;
+
+  const params = userId ? [timeoutMinutes, userId] : [timeoutMinutes];
+  const { rows } = await executeQuery(query, params);
+  return rows.affectedRows;
+};
+
+// 获取已过期但文件尚未清理的导出任务
+export const getExpiredExportJobs = async () => {
+  const query = `
+    SELECT id, user_id, file_path
+    FROM export_jobs
+    WHERE status = 'completed' AND expires_at <= NOW()
+  `;
+
+  const { rows } = await executeQuery(query);
+  return rows;
+};
+
+// 获取用户所有尚未删除的导出文件
+export const getUserExportFiles = async userId => {
+  const query = `
+    SELECT id, file_path
+    FROM export_jobs
+    WHERE user_id = ? AND file_path IS NOT NULL AND status = 'completed'
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return rows.map(row => row.file_path);
+};
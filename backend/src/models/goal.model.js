@@ -0,0 +1,267 @@
+import { executeQuery, create, update } from './base.model.js';
+import moment from 'moment-timezone';
+
+/**
+ * 用户目标相关数据模型
+ */
+
+// 目标查询字段（日期统一格式化为字符串，避免时区转换造成日期偏移）
+const GOAL_FIELDS = `
+  id, user_id, goal_type, target_value, target_unit,
+  DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+  DATE_FORMAT(end_date, '%Y-%m-%d') as end_date,
+  is_active, is_achieved, achieved_at,
+  current_streak, best_streak, total_achieved_days,
+  reminder_enabled, celebration_enabled,
+  created_at, updated_at
+`;
+
+// 获取用户所有启用的目标
+export const getActiveGoals = async userId => {
+  const query = `
+    SELECT ${GOAL_FIELDS}
+    FROM user_goals
+    WHERE user_id = ? AND is_active = true AND deleted_at IS NULL
+    ORDER BY created_at ASC
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return rows;
+};
+
+// 获取用户的时区和每日目标
+export const getUserGoalContext = async userId => {
+  const query = `
+    SELECT id, timezone, daily_water_goal
+    FROM users
+    WHERE id = ? AND deleted_at IS NULL
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return rows[0] || null;
+};
+
+// 获取当地时间范围内的原始饮水记录（按当地日期分组在服务层完成）
+export const getRecordsInRange = async (userId, startAt, endAt) => {
+  const query = `
+    SELECT recorded_at, amount, drink_type,
+      DATE_FORMAT(local_recorded_at, '%Y-%m-%d') as local_date
+    FROM hydration_records
+    WHERE user_id = ?
+      AND local_recorded_at >= ?
+      AND local_recorded_at < ?
+      AND deleted_at IS NULL
+    ORDER BY recorded_at ASC
+  `;
+
+  const { rows } = await executeQuery(query, [userId, startAt, endAt]);
+  return rows;
+};
+
+// 保存重新计算后的目标进度
+export const updateGoalProgress = async (goalId, progress) => {
+  return await update(
+    'user_goals',
+    {
+      current_streak: progress.current_streak,
+      best_streak: progress.best_streak,
+      total_achieved_days: progress.total_achieved_days,
+      is_achieved: progress.is_achieved,
+      achieved_at: progress.achieved_at,
+      updated_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+    },
+    { id: goalId }
+  );
+};
+
+// 获取用户目标列表；status: active 进行中，history 已结束或已停用，all 全部
+export const getUserGoals = async (userId, status = 'active') => {
+  const statusConditions = {
+    active: 'AND is_active = true',
+    history: 'AND is_active = false',
+    all: '',
+  };
+
+  const query = `
+    SELECT ${GOAL_FIELDS}
+    FROM user_goals
+    WHERE user_id = ? AND deleted_at IS NULL ${statusConditions[status] || ''}
+    ORDER BY is_active DESC, start_date DESC, id DESC
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return rows;
+};
+
+// 获取单个目标
+export const getGoalById = async (goalId, userId) => {
+  const query = `
+    SELECT ${GOAL_FIELDS}
+    FROM user_goals
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `;
+
+  const { rows } = await executeQuery(query, [goalId, userId]);
+  return rows[0] || null;
+};
+
+// 查找与给定时间范围冲突的同类型进行中目标
+// 长期目标(end_date 为空)之间互相冲突，有期限的挑战目标之间按日期重叠判断，
+// 挑战目标可以与长期目标并行
+export const findOverlappingGoals = async (
+  userId,
+  { goalType, startDate, endDate = null, excludeId = null }
+) => {
+  const query = `
+    SELECT ${GOAL_FIELDS}
+    FROM user_goals
+    WHERE user_id = ?
+      AND goal_type = ?
+      AND is_active = true
+      AND deleted_at IS NULL
+      AND id <> ?
+      AND (
+        (? IS NULL AND end_date IS NULL)
+        OR (? IS NOT NULL AND end_date IS NOT NULL AND start_date <= ? AND end_date >= ?)
+      )
+  `;
+
+  const { rows } = await executeQuery(query, [
+    userId,
+    goalType,
+    excludeId || 0,
+    endDate,
+    endDate,
+    endDate,
+    startDate,
+  ]);
+  return rows;
+};
+
+// 创建目标
+export const createGoal = async (userId, goalData) => {
+  const now = moment().format('YYYY-MM-DD HH:mm:ss');
+
+  const result = await create('user_goals', {
+    user_id: userId,
+    goal_type: goalData.goal_type,
+    target_value: goalData.target_value,
+    target_unit: goalData.target_unit || 'ml',
+    start_date: goalData.start_date,
+    end_date: goalData.end_date || null,
+    reminder_enabled: goalData.reminder_enabled ?? true,
+    celebration_enabled: goalData.celebration_enabled ?? true,
+    created_at: now,
+    updated_at: now,
+  });
+
+  return result.insertId;
+};
+
+// 更新目标
+export const updateGoal = async (goalId, userId, updateData) => {
+  const allowedFields = [
+    'target_value',
+    'target_unit',
+    'start_date',
+    'end_date',
+    'is_active',
+    'reminder_enabled',
+    'celebration_enabled',
+  ];
+
+  const filteredData = Object.keys(updateData)
+    .filter(key => allowedFields.includes(key) && updateData[key] !== undefined)
+    .reduce((obj, key) => {
+      obj[key] = updateData[key];
+      return obj;
+    }, {});
+
+  if (Object.keys(filteredData).length === 0) {
+    return 0;
+  }
+
+  filteredData.updated_at = moment().format('YYYY-MM-DD HH:mm:ss');
+
+  return await update('user_goals', filteredData, {
+    id: goalId,
+    user_id: userId,
+  });
+};
+
+// 删除目标（软删除）
+export const deleteGoal = async (goalId, userId) => {
+  return await update(
+    'user_goals',
+    {
+      is_active: false,
+      deleted_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+    },
+    { id: goalId, user_id: userId }
+  );
+};
+
+// 获取可能已到期的目标（按服务器日期粗筛，再由服务层按用户时区判断）
+export const getExpiringGoals = async (userId = null) => {
+  const query = `
+    SELECT
+      g.id, g.user_id,
+      DATE_FORMAT(g.end_date, '%Y-%m-%d') as end_date,
+      u.timezone
+    FROM user_goals g
+    JOIN users u ON g.user_id = u.id
+    WHERE g.is_active = true
+      AND g.deleted_at IS NULL
+      AND g.end_date IS NOT NULL
+      AND g.end_date <= CURDATE()
+      ${userId ? 'AND g.user_id = ?' : ''}
+  `;
+
+  const { rows } = await executeQuery(query, userId ? [userId] : []);
+  return rows;
+};
+
+// 停用已到期的目标
+export const deactivateGoal = async goalId => {
+  return await update(
+    'user_goals',
+    {
+      is_active: false,
+      updated_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+    },
+    { id: goalId }
+  );
+};
+
+// 设置长期每日饮水目标，同时同步 users.daily_water_goal
+export const setPrimaryDailyGoal = async (userId, targetValue) => {
+  const now = moment().format('YYYY-MM-DD HH:mm:ss');
+
+  await update(
+    'users',
+    { daily_water_goal: targetValue, updated_at: now },
+    { id: userId }
+  );
+
+  const query = `
+    UPDATE user_goals
+    SET target_value = ?, updated_at = ?
+    WHERE user_id = ?
+      AND goal_type = 'daily_water'
+      AND end_date IS NULL
+      AND is_active = true
+      AND deleted_at IS NULL
+  `;
+
+  const { rows } = await executeQuery(query, [targetValue, now, userId]);
+  if (rows.affectedRows > 0) {
+    return rows.affectedRows;
+  }
+
+  // 没有长期每日目标时补建一个
+  return await createGoal(userId, {
+    goal_type: 'daily_water',
+    target_value: targetValue,
+    start_date: moment().format('YYYY-MM-DD'),
+  });
+};
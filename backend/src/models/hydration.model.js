@@ -1,22 +1,76 @@
 import { 
   executeQuery, 
-  findOne, 
   findMany, 
   create, 
   update, 
   softDelete,
   count,
   batchCreate,
-  paginate,
-  transaction
+  paginate
 } from './base.model.js';
 import { businessLogger, errorLogger } from '../utils/logger.js';
 import moment from 'moment-timezone';
+import hydrationCoefficients, {
+  effectiveAmountSql,
+  calculateEffectiveAmount,
+} from '../utils/hydrationCoefficients.js';
+import {
+  caffeineSql,
+  alcoholUnitsSql,
+  getRecordIntake,
+} from '../utils/drinkNutrition.js';
+import weatherService from '../utils/weatherService.js';
+import { getUserTimezone, resolveUserTimezone } from './user.model.js';
+import { getActivityTotals } from './activity.model.js';
+import {
+  resolveTimezone,
+  toLocalTime,
+  getLocalToday,
+  getLocalDayRange,
+  getRecentDates,
+  localRangeSql,
+  localDateSql,
+} from '../utils/userTime.js';
 
 /**
  * 饮水记录相关数据模型
  */
 
+// 记录所在时区的当地时间：指定了有效时区（设备当前时区）时使用指定的时区，否则使用用户设置的时区
+const getLocalTimeFields = async (userId, recordedAt, timezone = null) => {
+  const recordTimezone = await resolveUserTimezone(userId, timezone);
+  return {
+    local_recorded_at: toLocalTime(recordedAt, recordTimezone),
+    timezone: recordTimezone,
+  };
+};
+
+// 已有记录的时区（旧记录没有保存时区时使用用户设置的时区）
+const getRecordTimezone = async (recordId, userId) => {
+  const query = `
+    SELECT COALESCE(hr.timezone, u.timezone) as timezone
+    FROM hydration_records hr
+    JOIN users u ON hr.user_id = u.id
+    WHERE hr.id = ? AND hr.user_id = ?
+  `;
+
+  const { rows } = await executeQuery(query, [recordId, userId]);
+  return rows[0]?.timezone || null;
+};
+
+// 修改记录时间时按记录原来的时区重新计算当地时间
+const withLocalTime = async (recordId, userId, data) => {
+  if (!data.recorded_at) {
+    return data;
+  }
+
+  const timezone = await getRecordTimezone(recordId, userId);
+  return {
+    ...data,
+    ...(await getLocalTimeFields(userId, data.recorded_at, timezone)),
+  };
+};
+
 // 添加饮水记录
 export const createHydrationRecord = async (userId, recordData) => {
   const {
@@ -29,14 +83,27 @@ export const createHydrationRecord = async (userId, recordData) => {
     temperature = 'room',
     source = 'manual',
     device_id,
+    drink_id = null,
+    caffeine_mg = 0,
+    sugar_g = 0,
+    calories = 0,
+    alcohol_units = 0,
+    timezone = null,
   } = recordData;
+  const recordedAt = recorded_at || moment().format('YYYY-MM-DD HH:mm:ss');
 
   const insertData = {
     user_id: userId,
     amount,
     drink_type,
     drink_name,
-    recorded_at: recorded_at || moment().format('YYYY-MM-DD HH:mm:ss'),
+    drink_id,
+    caffeine_mg,
+    sugar_g,
+    calories,
+    alcohol_units,
+    recorded_at: recordedAt,
+    ...(await getLocalTimeFields(userId, recordedAt, timezone)),
     location,
     activity_context,
     temperature,
@@ -78,15 +145,15 @@ export const getUserHydrationRecords = async (userId, filters = {}, pagination =
   let whereConditions = ['hr.user_id = ?', 'hr.deleted_at IS NULL'];
   let params = [userId];
 
-  // 构建查询条件
+  // 构建查询条件（日期为记录时的当地日期）
   if (startDate) {
-    whereConditions.push('DATE(hr.recorded_at) >= ?');
-    params.push(startDate);
+    whereConditions.push('hr.local_recorded_at >= ?');
+    params.push(getLocalDayRange(startDate)[0]);
   }
   
   if (endDate) {
-    whereConditions.push('DATE(hr.recorded_at) <= ?');
-    params.push(endDate);
+    whereConditions.push('hr.local_recorded_at < ?');
+    params.push(getLocalDayRange(endDate)[1]);
   }
   
   if (drinkType) {
@@ -150,7 +217,8 @@ export const getUserHydrationRecords = async (userId, filters = {}, pagination =
 // 获取单条饮水记录
 export const getHydrationRecordById = async (recordId, userId) => {
   const query = `
-    SELECT hr.*, u.timezone
+    SELECT hr.*, COALESCE(hr.timezone, u.timezone) as timezone,
+      ${localDateSql('hr')} as local_date
     FROM hydration_records hr
     JOIN users u ON hr.user_id = u.id
     WHERE hr.id = ? AND hr.user_id = ? AND hr.deleted_at IS NULL
@@ -160,6 +228,9 @@ export const getHydrationRecordById = async (recordId, userId) => {
   return rows[0] || null;
 };
 
+// 记录的修改时间精确到毫秒，同一秒内的修改也能按同步游标 (updated_at, id) 正确分页
+const changedAt = () => moment().format('YYYY-MM-DD HH:mm:ss.SSS');
+
 // 更新饮水记录
 export const updateHydrationRecord = async (recordId, userId, updateData) => {
   const allowedFields = [
@@ -179,12 +250,29 @@ export const updateHydrationRecord = async (recordId, userId, updateData) => {
     return 0;
   }
   
-  filteredData.updated_at = moment().format('YYYY-MM-DD HH:mm:ss');
+  // 同时记录字段修改时间，离线同步时按字段合并
+  const fields = Object.keys(filteredData);
+  const data = await withLocalTime(recordId, userId, filteredData);
+  const versionTime = Date.now();
+  const query = `
+    UPDATE hydration_records
+    SET ${Object.keys(data).map(field => `${field} = ?`).join(', ')},
+      updated_at = ?,
+      field_versions = JSON_SET(
+        COALESCE(field_versions, JSON_OBJECT()),
+        ${fields.map(field => `'$.${field}', ?`).join(', ')}
+      )
+    WHERE id = ? AND user_id = ?
+  `;
   
-  const affectedRows = await update('hydration_records', filteredData, { 
-    id: recordId, 
-    user_id: userId 
-  });
+  const { rows } = await executeQuery(query, [
+    ...Object.values(data),
+    changedAt(),
+    ...fields.map(() => versionTime),
+    recordId,
+    userId,
+  ]);
+  const affectedRows = rows.affectedRows;
   
   if (affectedRows > 0) {
     businessLogger.info('Hydration record updated', { recordId, userId, updateData });
@@ -207,20 +295,138 @@ export const deleteHydrationRecord = async (recordId, userId) => {
   return affectedRows;
 };
 
+// 获取单条饮水记录（包含已删除的记录，用于修改历史和恢复）
+export const getHydrationRecordWithDeleted = async (recordId, userId) => {
+  const query = `
+    SELECT *, ${localDateSql()} as local_date
+    FROM hydration_records
+    WHERE id = ? AND user_id = ?
+  `;
+
+  const { rows } = await executeQuery(query, [recordId, userId]);
+  return rows[0] || null;
+};
+
+/**
+ * 将记录恢复到修改历史中的状态
+ *
+ * values 为空表示恢复为已删除；否则写入字段并取消删除。
+ * 同时更新字段修改时间，离线同步的客户端会拉取到恢复后的记录
+ *
+ * @param {number} recordId
+ * @param {number} userId
+ * @param {Object|null} values 记录字段快照
+ * @returns {Promise<number>} 影响的行数
+ */
+export const restoreHydrationRecord = async (recordId, userId, values) => {
+  const now = moment().format('YYYY-MM-DD HH:mm:ss');
+  const versionTime = Date.now();
+
+  if (!values) {
+    const query = `
+      UPDATE hydration_records
+      SET deleted_at = ?, updated_at = ?,
+        field_versions = JSON_SET(COALESCE(field_versions, JSON_OBJECT()), '$._deleted', ?)
+      WHERE id = ? AND user_id = ?
+    `;
+
+    const { rows } = await executeQuery(query, [now, changedAt(), versionTime, recordId, userId]);
+    return rows.affectedRows;
+  }
+
+  const fields = Object.keys(values);
+  const data = await withLocalTime(recordId, userId, values);
+  const query = `
+    UPDATE hydration_records
+    SET ${Object.keys(data).map(field => `${field} = ?`).join(', ')},
+      deleted_at = NULL,
+      updated_at = ?,
+      field_versions = JSON_REMOVE(
+        JSON_SET(
+          COALESCE(field_versions, JSON_OBJECT()),
+          ${fields.map(field => `'$.${field}', ?`).join(', ')}
+        ),
+        '$._deleted'
+      )
+    WHERE id = ? AND user_id = ?
+  `;
+
+  const { rows } = await executeQuery(query, [
+    ...Object.values(data),
+    changedAt(),
+    ...fields.map(() => versionTime),
+    recordId,
+    userId,
+  ]);
+  return rows.affectedRows;
+};
+
+// 查找同一设备在时间窗口内提交的相同记录（网络重试造成的重复提交）
+export const findRecentDuplicateRecord = async (userId, recordData, windowSeconds) => {
+  const recordedAt = moment(recordData.recorded_at);
+  const query = `
+    SELECT id, amount, drink_type, drink_name, drink_id,
+      caffeine_mg, sugar_g, calories, alcohol_units, recorded_at
+    FROM hydration_records
+    WHERE user_id = ?
+      AND device_id = ?
+      AND amount = ?
+      AND drink_type = ?
+      AND recorded_at BETWEEN ? AND ?
+      AND deleted_at IS NULL
+    ORDER BY id DESC
+    LIMIT 1
+  `;
+
+  const { rows } = await executeQuery(query, [
+    userId,
+    recordData.device_id,
+    recordData.amount,
+    recordData.drink_type || 'water',
+    recordedAt.clone().subtract(windowSeconds, 'seconds').format('YYYY-MM-DD HH:mm:ss'),
+    recordedAt.clone().add(windowSeconds, 'seconds').format('YYYY-MM-DD HH:mm:ss'),
+  ]);
+  return rows[0] || null;
+};
+
+// 获取时间范围内已有记录的饮水时间、饮水量和类型（导入时去重）
+export const getRecordFingerprints = async (userId, startAt, endAt) => {
+  const query = `
+    SELECT recorded_at, amount, drink_type
+    FROM hydration_records
+    WHERE user_id = ?
+      AND recorded_at BETWEEN ? AND ?
+      AND deleted_at IS NULL
+  `;
+
+  const { rows } = await executeQuery(query, [userId, startAt, endAt]);
+  return rows;
+};
+
 // 批量添加饮水记录
 export const createBatchHydrationRecords = async (userId, records) => {
-  const recordsWithUserId = records.map(record => ({
-    user_id: userId,
-    amount: record.amount,
-    drink_type: record.drink_type || 'water',
-    drink_name: record.drink_name,
-    recorded_at: record.recorded_at || moment().format('YYYY-MM-DD HH:mm:ss'),
-    location: record.location,
-    activity_context: record.activity_context,
-    temperature: record.temperature || 'room',
-    source: record.source || 'batch_import',
-    created_at: moment().format('YYYY-MM-DD HH:mm:ss'),
-  }));
+  const userTimezone = await getUserTimezone(userId);
+  const recordsWithUserId = records.map(record => {
+    const recordedAt = record.recorded_at || moment().format('YYYY-MM-DD HH:mm:ss');
+    const timezone = resolveTimezone(record.timezone, userTimezone);
+
+    return {
+      user_id: userId,
+      client_id: record.client_id || null,
+      amount: record.amount,
+      drink_type: record.drink_type || 'water',
+      drink_name: record.drink_name,
+      recorded_at: recordedAt,
+      local_recorded_at: toLocalTime(recordedAt, timezone),
+      timezone,
+      location: record.location,
+      activity_context: record.activity_context,
+      temperature: record.temperature || 'room',
+      source: record.source || 'batch_import',
+      device_id: record.device_id || null,
+      created_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+    };
+  });
 
   const result = await batchCreate('hydration_records', recordsWithUserId);
   
@@ -232,127 +438,364 @@ export const createBatchHydrationRecords = async (userId, records) => {
   return result;
 };
 
-// 获取今日饮水进度
-export const getTodayHydrationProgress = async (userId, timezone = 'UTC') => {
+// 同步接口返回的记录字段（包含已删除的记录，作为删除标记）
+const SYNC_RECORD_FIELDS = `
+  id, client_id, amount, drink_type, drink_name, drink_id,
+  caffeine_mg, sugar_g, calories, alcohol_units,
+  recorded_at, location, activity_context, temperature, source, device_id,
+  timezone, DATE_FORMAT(local_recorded_at, '%Y-%m-%d') as local_date,
+  field_versions, created_at, updated_at, deleted_at
+`;
+
+// 为没有客户端UUID的记录（如通过普通接口创建的记录）补充UUID，不改变更新时间
+export const assignMissingClientIds = async userId => {
+  const query = `
+    UPDATE hydration_records
+    SET client_id = UUID(), updated_at = updated_at
+    WHERE user_id = ? AND client_id IS NULL
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return rows.affectedRows;
+};
+
+// 按客户端UUID获取记录（包含已删除的记录）
+export const getRecordsByClientIds = async (userId, clientIds) => {
+  if (clientIds.length === 0) {
+    return [];
+  }
+
+  const query = `
+    SELECT ${SYNC_RECORD_FIELDS}
+    FROM hydration_records
+    WHERE user_id = ? AND client_id IN (${clientIds.map(() => '?').join(', ')})
+  `;
+
+  const { rows } = await executeQuery(query, [userId, ...clientIds]);
+  return rows;
+};
+
+// 获取游标之后变更的记录，按 (updated_at, id) 排序分页
+export const getRecordsChangedSince = async (userId, cursor, limit) => {
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+
+  if (cursor) {
+    conditions.push('(updated_at > ? OR (updated_at = ? AND id > ?))');
+    params.push(cursor.updatedAt, cursor.updatedAt, cursor.id);
+  } else {
+    // 首次同步不需要返回删除标记
+    conditions.push('deleted_at IS NULL');
+  }
+
+  const query = `
+    SELECT ${SYNC_RECORD_FIELDS}
+    FROM hydration_records
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY updated_at ASC, id ASC
+    LIMIT ?
+  `;
+
+  const { rows } = await executeQuery(query, [...params, String(limit)]);
+  return rows;
+};
+
+// 创建客户端同步的记录
+export const createSyncedRecord = async (userId, recordData) => {
+  const now = moment().format('YYYY-MM-DD HH:mm:ss');
+  const recordedAt = recordData.recorded_at || now;
+
+  const result = await create('hydration_records', {
+    user_id: userId,
+    client_id: recordData.client_id,
+    amount: recordData.amount,
+    drink_type: recordData.drink_type || 'water',
+    drink_name: recordData.drink_name || null,
+    recorded_at: recordedAt,
+    ...(await getLocalTimeFields(userId, recordedAt, recordData.timezone)),
+    location: recordData.location || null,
+    activity_context: recordData.activity_context || null,
+    temperature: recordData.temperature || 'room',
+    source: 'manual',
+    device_id: recordData.device_id || null,
+    field_versions: JSON.stringify(recordData.field_versions),
+    created_at: now,
+    updated_at: changedAt(),
+  });
+
+  return result.insertId;
+};
+
+// 更新客户端同步的记录（字段合并结果和删除标记）
+export const updateSyncedRecord = async (recordId, userId, changes) => {
+  const data = {
+    ...(await withLocalTime(recordId, userId, changes.values)),
+    field_versions: JSON.stringify(changes.field_versions),
+    updated_at: changedAt(),
+  };
+
+  if (changes.deleted) {
+    data.deleted_at = moment().format('YYYY-MM-DD HH:mm:ss');
+  }
+
+  return await update('hydration_records', data, {
+    id: recordId,
+    user_id: userId,
+  });
+};
+
+// 获取今日饮水进度（目标完成度按有效补水量计算）
+export const getTodayHydrationProgress = async (userId, timezone = null) => {
+  const userTimezone = await resolveUserTimezone(userId, timezone);
+  const today = getLocalToday(userTimezone);
+  const todayRange = getLocalDayRange(today);
+  const coefficients = await hydrationCoefficients.getForUser(userId);
+  const effectiveAmount = effectiveAmountSql(coefficients, 'hr');
+
   const query = `
     SELECT 
       COALESCE(SUM(hr.amount), 0) as today_intake,
+      COALESCE(ROUND(SUM(${effectiveAmount})), 0) as effective_intake,
+      COALESCE(ROUND(SUM(${caffeineSql('hr')}), 1), 0) as caffeine_mg,
+      COALESCE(ROUND(SUM(${alcoholUnitsSql('hr')}), 2), 0) as alcohol_units,
+      COALESCE(SUM(hr.sugar_g), 0) as sugar_g,
+      COALESCE(SUM(hr.calories), 0) as calories,
       COUNT(hr.id) as today_records,
-      hg.daily_goal,
-      ROUND((COALESCE(SUM(hr.amount), 0) / hg.daily_goal) * 100, 1) as progress_percentage,
-      CASE 
-        WHEN COALESCE(SUM(hr.amount), 0) >= hg.daily_goal THEN true 
-        ELSE false 
-      END as goal_achieved
+      u.daily_water_goal as daily_goal
     FROM users u
     LEFT JOIN hydration_records hr ON u.id = hr.user_id 
-      AND DATE(hr.recorded_at) = CURDATE()
+      AND ${localRangeSql('hr')}
       AND hr.deleted_at IS NULL
-    LEFT JOIN hydration_goals hg ON u.id = hg.user_id AND hg.is_active = true
     WHERE u.id = ? AND u.deleted_at IS NULL
+    GROUP BY u.id, u.daily_water_goal
   `;
   
-  const { rows } = await executeQuery(query, [userId]);
+  const { rows } = await executeQuery(query, [...todayRange, userId]);
   const progress = rows[0] || {};
+  const todayIntake = Number(progress.today_intake || 0);
+  const effectiveIntake = Number(progress.effective_intake || 0);
+  const baseGoal = progress.daily_goal || 0;
+  
+  // 炎热天气和运动出汗提高当天的有效目标
+  const weather = await weatherService.getUserAdjustment(userId);
+  const [activity] = await getActivityTotals(userId, today, today);
+  const activityBonus = activity?.goal_bonus_ml || 0;
+  const dailyGoal = baseGoal
+    ? baseGoal + (weather?.goal_bonus_ml || 0) + activityBonus
+    : 0;
   
   // 获取今日记录详情
   const recordsQuery = `
-    SELECT amount, drink_type, recorded_at
+    SELECT amount, drink_type, drink_name, drink_id, caffeine_mg, sugar_g, calories, alcohol_units,
+      recorded_at, local_recorded_at, timezone
     FROM hydration_records
     WHERE user_id = ? 
-      AND DATE(recorded_at) = CURDATE()
+      AND ${localRangeSql()}
       AND deleted_at IS NULL
     ORDER BY recorded_at ASC
   `;
   
-  const { rows: todayRecords } = await executeQuery(recordsQuery, [userId]);
+  const { rows: todayRecords } = await executeQuery(recordsQuery, [userId, ...todayRange]);
   
   return {
-    ...progress,
-    today_records_detail: todayRecords,
+    date: today,
+    timezone: userTimezone,
+    today_intake: todayIntake,
+    effective_intake: effectiveIntake,
+    today_records: Number(progress.today_records || 0),
+    daily_goal: dailyGoal,
+    base_daily_goal: baseGoal,
+    weather_adjustment: weather,
+    activity_adjustment: activity
+      ? {
+          activity_count: activity.activity_count,
+          duration_minutes: activity.duration_minutes,
+          sweat_loss_ml: activity.sweat_loss_ml,
+          goal_bonus_ml: activityBonus,
+        }
+      : null,
+    progress_percentage: dailyGoal
+      ? Math.round((effectiveIntake / dailyGoal) * 1000) / 10
+      : 0,
+    raw_progress_percentage: dailyGoal
+      ? Math.round((todayIntake / dailyGoal) * 1000) / 10
+      : 0,
+    goal_achieved: dailyGoal > 0 && effectiveIntake >= dailyGoal,
+    nutrition: {
+      caffeine_mg: Number(progress.caffeine_mg || 0),
+      alcohol_units: Number(progress.alcohol_units || 0),
+      sugar_g: Number(progress.sugar_g || 0),
+      calories: Number(progress.calories || 0),
+    },
+    today_records_detail: todayRecords.map(record => ({
+      ...record,
+      ...getRecordIntake(record),
+      sugar_g: Number(record.sugar_g),
+      coefficient: coefficients[record.drink_type] ?? coefficients.other,
+      effective_amount: calculateEffectiveAmount(
+        record.amount,
+        record.drink_type,
+        coefficients
+      ),
+    })),
+  };
+};
+
+// 获取今日咖啡因和酒精摄入合计
+export const getTodayIntakeTotals = async (userId, timezone = null) => {
+  const today = getLocalToday(await resolveUserTimezone(userId, timezone));
+  const query = `
+    SELECT 
+      COALESCE(SUM(${caffeineSql()}), 0) as caffeine_mg,
+      COALESCE(SUM(${alcoholUnitsSql()}), 0) as alcohol_units
+    FROM hydration_records
+    WHERE user_id = ? 
+      AND ${localRangeSql()}
+      AND deleted_at IS NULL
+  `;
+  
+  const { rows } = await executeQuery(query, [userId, ...getLocalDayRange(today)]);
+  return {
+    caffeine_mg: Math.round(Number(rows[0].caffeine_mg) * 10) / 10,
+    alcohol_units: Math.round(Number(rows[0].alcohol_units) * 100) / 100,
   };
 };
 
 // 获取饮水统计信息
-export const getHydrationStatistics = async (userId, period = '7d', timezone = 'UTC') => {
-  let dateCondition = '';
+export const getHydrationStatistics = async (userId, period = '7d', timezone = null) => {
   let groupBy = '';
   let days = 7;
   
+  // 按记录时的当地日期统计
   switch (period) {
     case '7d':
       days = 7;
-      dateCondition = "DATE(hr.recorded_at) >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)";
-      groupBy = "DATE(hr.recorded_at)";
+      groupBy = localDateSql('hr');
       break;
     case '30d':
       days = 30;
-      dateCondition = "DATE(hr.recorded_at) >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)";
-      groupBy = "DATE(hr.recorded_at)";
+      groupBy = localDateSql('hr');
       break;
     case '3m':
       days = 90;
-      dateCondition = "DATE(hr.recorded_at) >= DATE_SUB(CURDATE(), INTERVAL 3 MONTH)";
-      groupBy = "YEAR(hr.recorded_at), WEEK(hr.recorded_at)";
+      groupBy = "YEAR(hr.local_recorded_at), WEEK(hr.local_recorded_at)";
       break;
     default:
       days = 7;
-      dateCondition = "DATE(hr.recorded_at) >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)";
-      groupBy = "DATE(hr.recorded_at)";
+      groupBy = localDateSql('hr');
   }
 
+  const userTimezone = await resolveUserTimezone(userId, timezone);
+  const { startDate, endDate } = getRecentDates(userTimezone, days);
+
+  const coefficients = await hydrationCoefficients.getForUser(userId);
+  const effectiveAmount = effectiveAmountSql(coefficients, 'hr');
+
   const query = `
     SELECT 
       ${groupBy} as period,
       SUM(hr.amount) as total_intake,
+      ROUND(SUM(${effectiveAmount})) as effective_intake,
+      ROUND(SUM(${caffeineSql('hr')}), 1) as caffeine_mg,
+      ROUND(SUM(${alcoholUnitsSql('hr')}), 2) as alcohol_units,
+      SUM(hr.sugar_g) as sugar_g,
+      SUM(hr.calories) as calories,
       COUNT(hr.id) as record_count,
       AVG(hr.amount) as avg_per_record,
-      hg.daily_goal,
+      u.daily_water_goal as daily_goal,
       CASE 
-        WHEN SUM(hr.amount) >= hg.daily_goal THEN 1 
+        WHEN SUM(${effectiveAmount}) >= u.daily_water_goal THEN 1 
         ELSE 0 
       END as goal_achieved
     FROM hydration_records hr
-    LEFT JOIN hydration_goals hg ON hr.user_id = hg.user_id AND hg.is_active = true
+    JOIN users u ON hr.user_id = u.id
     WHERE hr.user_id = ? 
-      AND ${dateCondition}
+      AND ${localRangeSql('hr')}
       AND hr.deleted_at IS NULL
-    GROUP BY ${groupBy}, hg.daily_goal
+    GROUP BY ${groupBy}, u.daily_water_goal
     ORDER BY period ASC
   `;
   
-  const { rows: dailyStats } = await executeQuery(query, [userId]);
+  const { rows } = await executeQuery(query, [
+    userId,
+    ...getLocalDayRange(startDate, endDate),
+  ]);
+
+  // 同一时间段内的运动，与饮水量并列展示
+  const activityTotals = await getActivityTotals(userId, startDate, endDate, period === '3m');
+  const activityByPeriod = new Map(activityTotals.map(item => [String(item.period), item]));
+
+  const dailyStats = rows.map(row => ({
+    ...row,
+    activity_count: activityByPeriod.get(String(row.period))?.activity_count || 0,
+    activity_minutes: activityByPeriod.get(String(row.period))?.duration_minutes || 0,
+    sweat_loss_ml: activityByPeriod.get(String(row.period))?.sweat_loss_ml || 0,
+    total_intake: Number(row.total_intake || 0),
+    effective_intake: Number(row.effective_intake || 0),
+    caffeine_mg: Number(row.caffeine_mg || 0),
+    alcohol_units: Number(row.alcohol_units || 0),
+    sugar_g: Number(row.sugar_g || 0),
+    calories: Number(row.calories || 0),
+    goal_achieved: Number(row.goal_achieved),
+  }));
   
   // 计算汇总统计
-  const totalIntake = dailyStats.reduce((sum, day) => sum + (day.total_intake || 0), 0);
+  const totalIntake = dailyStats.reduce((sum, day) => sum + day.total_intake, 0);
+  const totalEffectiveIntake = dailyStats.reduce((sum, day) => sum + day.effective_intake, 0);
   const totalRecords = dailyStats.reduce((sum, day) => sum + day.record_count, 0);
   const achievedDays = dailyStats.filter(day => day.goal_achieved === 1).length;
   const avgDailyIntake = dailyStats.length > 0 ? totalIntake / days : 0;
+  const avgDailyEffectiveIntake = dailyStats.length > 0 ? totalEffectiveIntake / days : 0;
   const achievementRate = dailyStats.length > 0 ? (achievedDays / dailyStats.length) * 100 : 0;
   
+  // 咖啡因、糖和热量的合计与日均值
+  const nutrition = ['caffeine_mg', 'alcohol_units', 'sugar_g', 'calories'].reduce((obj, key) => {
+    const total = dailyStats.reduce((sum, day) => sum + day[key], 0);
+    obj[key] = {
+      total: Math.round(total * 10) / 10,
+      avg_daily: dailyStats.length > 0 ? Math.round((total / days) * 10) / 10 : 0,
+      max_per_period: Math.max(0, ...dailyStats.map(day => day[key])),
+    };
+    return obj;
+  }, {});
+  
   return {
     period,
+    timezone: userTimezone,
+    start_date: startDate,
+    end_date: endDate,
     summary: {
       total_intake: totalIntake,
+      total_effective_intake: totalEffectiveIntake,
       total_records: totalRecords,
       achieved_days: achievedDays,
       total_days: dailyStats.length,
       avg_daily_intake: Math.round(avgDailyIntake),
+      avg_daily_effective_intake: Math.round(avgDailyEffectiveIntake),
       achievement_rate: Math.round(achievementRate * 10) / 10,
     },
+    nutrition,
+    activity_summary: {
+      total_activities: activityTotals.reduce((sum, item) => sum + item.activity_count, 0),
+      total_minutes: activityTotals.reduce((sum, item) => sum + item.duration_minutes, 0),
+      total_sweat_loss_ml: activityTotals.reduce((sum, item) => sum + item.sweat_loss_ml, 0),
+      active_periods: activityTotals.length,
+    },
+    coefficients,
     daily_stats: dailyStats,
   };
 };
 
 // 检查每日记录数量限制
 export const checkDailyRecordLimit = async (userId, maxRecords = 50) => {
+  const today = getLocalToday(await getUserTimezone(userId));
   const query = `
     SELECT COUNT(*) as count
     FROM hydration_records
-    WHERE user_id = ? AND DATE(recorded_at) = CURDATE() AND deleted_at IS NULL
+    WHERE user_id = ? AND ${localRangeSql()} AND deleted_at IS NULL
   `;
   
-  const { rows } = await executeQuery(query, [userId]);
+  const { rows } = await executeQuery(query, [userId, ...getLocalDayRange(today)]);
   const currentCount = rows[0].count;
   
   return {
@@ -365,48 +808,61 @@ export const checkDailyRecordLimit = async (userId, maxRecords = 50) => {
 
 // 获取饮品类型统计
 export const getDrinkTypeStatistics = async (userId, days = 30) => {
+  const coefficients = await hydrationCoefficients.getForUser(userId);
+  const { startDate, endDate } = getRecentDates(await getUserTimezone(userId), days);
+  const range = getLocalDayRange(startDate, endDate);
+
   const query = `
     SELECT 
       drink_type,
       COUNT(*) as record_count,
       SUM(amount) as total_amount,
+      ROUND(SUM(${effectiveAmountSql(coefficients)})) as effective_amount,
       AVG(amount) as avg_amount,
       ROUND((COUNT(*) * 100.0 / (
         SELECT COUNT(*)
         FROM hydration_records
         WHERE user_id = ? 
-          AND recorded_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+          AND ${localRangeSql()}
           AND deleted_at IS NULL
       )), 1) as percentage
     FROM hydration_records
     WHERE user_id = ? 
-      AND recorded_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+      AND ${localRangeSql()}
       AND deleted_at IS NULL
     GROUP BY drink_type
     ORDER BY total_amount DESC
   `;
   
-  const { rows } = await executeQuery(query, [userId, days, userId, days]);
-  return rows;
+  const { rows } = await executeQuery(query, [userId, ...range, userId, ...range]);
+  return rows.map(row => ({
+    ...row,
+    effective_amount: Number(row.effective_amount || 0),
+    coefficient: coefficients[row.drink_type] ?? coefficients.other,
+  }));
 };
 
-// 获取时间段分析
+// 获取时间段分析（按记录时的当地时间）
 export const getHourlyPattern = async (userId, days = 30) => {
+  const { startDate, endDate } = getRecentDates(await getUserTimezone(userId), days);
   const query = `
     SELECT 
-      HOUR(recorded_at) as hour,
+      HOUR(local_recorded_at) as hour,
       COUNT(*) as record_count,
       AVG(amount) as avg_amount,
       SUM(amount) as total_amount
     FROM hydration_records
     WHERE user_id = ? 
-      AND recorded_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+      AND ${localRangeSql()}
       AND deleted_at IS NULL
-    GROUP BY HOUR(recorded_at)
+    GROUP BY HOUR(local_recorded_at)
     ORDER BY hour ASC
   `;
   
-  const { rows } = await executeQuery(query, [userId, days]);
+  const { rows } = await executeQuery(query, [
+    userId,
+    ...getLocalDayRange(startDate, endDate),
+  ]);
   
   // 填充没有记录的小时
   const completePattern = [];
@@ -423,66 +879,97 @@ export const getHourlyPattern = async (userId, days = 30) => {
   return completePattern;
 };
 
-// 更新用户统计数据（通常在添加记录后调用）
+// 更新用户当日统计数据（通常在添加记录后调用），date 为当地日期，默认为用户时区的今天
 export const updateUserStatistics = async (userId, date = null) => {
-  const targetDate = date || moment().format('YYYY-MM-DD');
-  
-  return await transaction(async () => {
-    // 计算当日统计
-    const dailyQuery = `
-      SELECT 
-        SUM(amount) as daily_intake,
-        COUNT(*) as daily_records
-      FROM hydration_records
-      WHERE user_id = ? 
-        AND DATE(recorded_at) = ?
-        AND deleted_at IS NULL
-    `;
-    
-    const { rows: dailyResult } = await executeQuery(dailyQuery, [userId, targetDate]);
-    const dailyIntake = dailyResult[0].daily_intake || 0;
-    
-    // 计算连续天数
-    const streakQuery = `
-      SELECT COUNT(*) as streak_days
-      FROM (
-        SELECT DATE(recorded_at) as record_date
-        FROM hydration_records hr
-        LEFT JOIN hydration_goals hg ON hr.user_id = hg.user_id AND hg.is_active = true
-        WHERE hr.user_id = ? 
-          AND hr.deleted_at IS NULL
-          AND DATE(recorded_at) <= ?
-        GROUP BY DATE(recorded_at)
-        HAVING SUM(hr.amount) >= hg.daily_goal
-        ORDER BY record_date DESC
-      ) as achieved_days
-    `;
-    
-    const { rows: streakResult } = await executeQuery(streakQuery, [userId, targetDate]);
-    const streakDays = streakResult[0].streak_days || 0;
-    
-    // 更新或插入统计记录
-    const existingStats = await findOne('user_statistics', { user_id: userId });
-    
-    const statsData = {
-      user_id: userId,
-      streak_days: streakDays,
-      last_updated: moment().format('YYYY-MM-DD HH:mm:ss'),
-    };
-    
-    if (existingStats) {
-      await update('user_statistics', statsData, { user_id: userId });
-    } else {
-      await create('user_statistics', statsData);
-    }
-    
-    businessLogger.info('User statistics updated', { 
-      userId, 
-      date: targetDate, 
-      dailyIntake, 
-      streakDays 
-    });
-    
-    return { dailyIntake, streakDays };
+  const targetDate = date || getLocalToday(await getUserTimezone(userId));
+  const coefficients = await hydrationCoefficients.getForUser(userId);
+
+  // 计算当日统计
+  const dailyQuery = `
+    SELECT 
+      COALESCE(SUM(hr.amount), 0) as daily_intake,
+      COALESCE(ROUND(SUM(${effectiveAmountSql(coefficients, 'hr')})), 0) as effective_intake,
+      COUNT(hr.id) as daily_records,
+      u.daily_water_goal
+    FROM users u
+    LEFT JOIN hydration_records hr ON u.id = hr.user_id
+      AND ${localRangeSql('hr')}
+      AND hr.deleted_at IS NULL
+    WHERE u.id = ?
+    GROUP BY u.id, u.daily_water_goal
+  `;
+  
+  const { rows } = await executeQuery(dailyQuery, [
+    ...getLocalDayRange(targetDate),
+    userId,
+  ]);
+  const daily = rows[0] || {};
+  const dailyIntake = Number(daily.daily_intake || 0);
+  const effectiveIntake = Number(daily.effective_intake || 0);
+  const achievementRate = daily.daily_water_goal
+    ? Math.min(100, Math.round((effectiveIntake / daily.daily_water_goal) * 10000) / 100)
+    : 0;
+  
+  // 更新或插入当日统计记录
+  const upsertQuery = `
+    INSERT INTO user_statistics
+      (user_id, stat_date, stat_type, total_intake, effective_intake, goal_achievement_rate, record_count)
+    VALUES (?, ?, 'daily', ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      total_intake = VALUES(total_intake),
+      effective_intake = VALUES(effective_intake),
+      goal_achievement_rate = VALUES(goal_achievement_rate),
+      record_count = VALUES(record_count)
+  `;
+  
+  await executeQuery(upsertQuery, [
+    userId,
+    targetDate,
+    dailyIntake,
+    effectiveIntake,
+    achievementRate,
+    Number(daily.daily_records || 0),
+  ]);
+  
+  businessLogger.info('User statistics updated', { 
+    userId, 
+    date: targetDate, 
+    dailyIntake, 
+    effectiveIntake 
   });
-};
\ No newline at end of file
+  
+  return { dailyIntake, effectiveIntake, achievementRate };
+};
+
+/**
+ * 为没有当地时间的历史记录补充时区和当地时间
+ *
+ * 旧记录没有保存记录时的时区，按用户当前设置的时区计算
+ *
+ * @param {number} limit 每批处理的记录数
+ * @returns {Promise<number>} 本批补充的记录数
+ */
+export const backfillLocalRecordedAt = async (limit = 500) => {
+  const query = `
+    SELECT hr.id, hr.recorded_at, u.timezone
+    FROM hydration_records hr
+    JOIN users u ON hr.user_id = u.id
+    WHERE hr.local_recorded_at IS NULL
+    LIMIT ?
+  `;
+
+  const { rows } = await executeQuery(query, [String(limit)]);
+
+  // 不改变更新时间，避免客户端同步时重新拉取所有旧记录
+  for (const record of rows) {
+    const timezone = resolveTimezone(record.timezone);
+    await executeQuery(
+      `UPDATE hydration_records
+       SET local_recorded_at = ?, timezone = ?, updated_at = updated_at
+       WHERE id = ?`,
+      [toLocalTime(record.recorded_at, timezone), timezone, record.id]
+    );
+  }
+
+  return rows.length;
+};
@@ -0,0 +1,50 @@
+import { executeQuery } from './base.model.js';
+import moment from 'moment-timezone';
+
+/**
+ * 用户饮品补水系数相关数据模型
+ */
+
+// 获取用户的系数覆盖值
+export const getUserOverrides = async userId => {
+  const query = `
+    SELECT drink_type, coefficient, updated_at
+    FROM user_hydration_coefficients
+    WHERE user_id = ?
+    ORDER BY drink_type ASC
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return rows;
+};
+
+// 设置用户某类饮品的系数
+export const upsertUserOverride = async (userId, drinkType, coefficient) => {
+  const now = moment().format('YYYY-MM-DD HH:mm:ss');
+  const query = `
+    INSERT INTO user_hydration_coefficients
+      (user_id, drink_type, coefficient, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE coefficient = VALUES(coefficient), updated_at = VALUES(updated_at)
+  `;
+
+  const { rows } = await executeQuery(query, [
+    userId,
+    drinkType,
+    coefficient,
+    now,
+    now,
+  ]);
+  return rows.affectedRows;
+};
+
+// 删除用户某类饮品的系数（恢复系统默认）
+export const deleteUserOverride = async (userId, drinkType) => {
+  const query = `
+    DELETE FROM user_hydration_coefficients
+    WHERE user_id = ? AND drink_type = ?
+  `;
+
+  const { rows } = await executeQuery(query, [userId, drinkType]);
+  return rows.affectedRows;
+};
@@ -0,0 +1,103 @@
+import { executeQuery } from './base.model.js';
+import moment from 'moment-timezone';
+
+/**
+ * 幂等键相关数据模型（Redis 不可用时的后备存储）
+ */
+
+// 获取未过期的幂等键
+export const findKey = async (userId, key) => {
+  const query = `
+    SELECT request_method, request_path, request_hash, status,
+      response_status, response_body, expires_at
+    FROM idempotency_keys
+    WHERE user_id = ? AND idempotency_key = ? AND expires_at > NOW()
+  `;
+
+  const { rows } = await executeQuery(query, [userId, key]);
+  const row = rows[0];
+  if (!row) {
+    return null;
+  }
+
+  return {
+    method: row.request_method,
+    path: row.request_path,
+    hash: row.request_hash,
+    status: row.status,
+    responseStatus: row.response_status,
+    responseBody:
+      typeof row.response_body === 'string'
+        ? JSON.parse(row.response_body)
+        : row.response_body,
+  };
+};
+
+// 占用幂等键，已被占用时返回 false（唯一约束保证并发请求只有一个成功）
+export const reserveKey = async (userId, key, entry, ttlSeconds) => {
+  // 先清理同一个键已过期的记录
+  await executeQuery(
+    `DELETE FROM idempotency_keys
+     WHERE user_id = ? AND idempotency_key = ? AND expires_at <= NOW()`,
+    [userId, key]
+  );
+
+  const query = `
+    INSERT IGNORE INTO idempotency_keys
+      (user_id, idempotency_key, request_method, request_path, request_hash, status, expires_at)
+    VALUES (?, ?, ?, ?, ?, 'processing', ?)
+  `;
+
+  const { rows } = await executeQuery(query, [
+    userId,
+    key,
+    entry.method,
+    entry.path,
+    entry.hash,
+    moment().add(ttlSeconds, 'seconds').format('YYYY-MM-DD HH:mm:ss'),
+  ]);
+  return rows.affectedRows > 0;
+};
+
+// 保存首次响应，保留期从完成时开始计算
+export const completeKey = async (
+  userId,
+  key,
+  responseStatus,
+  responseBody,
+  ttlSeconds
+) => {
+  const query = `
+    UPDATE idempotency_keys
+    SET status = 'completed', response_status = ?, response_body = ?, expires_at = ?
+    WHERE user_id = ? AND idempotency_key = ?
+  `;
+
+  const { rows } = await executeQuery(query, [
+    responseStatus,
+    JSON.stringify(responseBody),
+    moment().add(ttlSeconds, 'seconds').format('YYYY-MM-DD HH:mm:ss'),
+    userId,
+    key,
+  ]);
+  return rows.affectedRows;
+};
+
+// 释放幂等键（请求失败时允许客户端重试）
+export const releaseKey = async (userId, key) => {
+  const query = `
+    DELETE FROM idempotency_keys
+    WHERE user_id = ? AND idempotency_key = ?
+  `;
+
+  const { rows } = await executeQuery(query, [userId, key]);
+  return rows.affectedRows;
+};
+
+// 清理过期的幂等键
+export const deleteExpiredKeys = async () => {
+  const { rows } = await executeQuery(
+    'DELETE FROM idempotency_keys WHERE expires_at <= NOW()'
+  );
+  return rows.affectedRows;
+};
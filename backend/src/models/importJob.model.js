@@ -0,0 +1,120 @@
+import { executeQuery, create, update } from './base.model.js';
+import moment from 'moment-timezone';
+
+/**
+ * 导入任务相关数据模型（饮水记录和健康数据）
+ */
+
+// JSON 字段可能以字符串返回
+const parseJson = value =>
+  typeof value === 'string' ? JSON.parse(value) : value;
+
+const normalizeJob = job =>
+  job && {
+    ...job,
+    options: parseJson(job.options),
+    row_errors: parseJson(job.row_errors) || [],
+    summary: parseJson(job.summary),
+  };
+
+// 需要序列化为 JSON 保存的字段
+const JSON_FIELDS = ['row_errors', 'summary'];
+
+// 创建导入任务
+export const createImportJob = async (userId, jobData) => {
+  const result = await create('import_jobs', {
+    user_id: userId,
+    import_type: jobData.import_type || 'hydration',
+    file_name: jobData.file_name,
+    file_format: jobData.file_format,
+    options: JSON.stringify(jobData.options || {}),
+    status: 'pending',
+    created_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+  });
+
+  return result.insertId;
+};
+
+// 获取导入任务
+export const getImportJob = async (jobId, userId, importType = 'hydration') => {
+  const query = `
+    SELECT id, user_id, import_type, file_name, file_format, options, status,
+      total_rows, processed_rows, imported_rows, duplicate_rows, failed_rows,
+      row_errors, summary, error_message, created_at, started_at, completed_at
+    FROM import_jobs
+    WHERE id = ? AND user_id = ? AND import_type = ?
+  `;
+
+  const { rows } = await executeQuery(query, [jobId, userId, importType]);
+  return normalizeJob(rows[0]) || null;
+};
+
+// 更新导入任务进度
+export const updateImportJob = async (jobId, updateData) => {
+  const allowedFields = [
+    'status',
+    'total_rows',
+    'processed_rows',
+    'imported_rows',
+    'duplicate_rows',
+    'failed_rows',
+    'row_errors',
+    'summary',
+    'error_message',
+    'started_at',
+    'completed_at',
+  ];
+
+  const filteredData = Object.keys(updateData)
+    .filter(key => allowedFields.includes(key) && updateData[key] !== undefined)
+    .reduce((obj, key) => {
+      obj[key] = JSON_FIELDS.includes(key)
+        ? JSON.stringify(updateData[key])
+        : updateData[key];
+      return obj;
+    }, {});
+
+  if (Object.keys(filteredData).length === 0) {
+    return 0;
+  }
+
+  return await update('import_jobs', filteredData, { id: jobId });
+};
+
+// 统计用户正在进行的导入任务
+export const countActiveImportJobs = async userId => {
+  const query = `
+    SELECT COUNT(*) as count
+    FROM import_jobs
+    WHERE user_id = ? AND status IN ('pending', 'processing')
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return Number(rows[0].count);
+};
+
+/**
+ * 将超时未完成的导入任务标记为失败
+ *
+ * 后台导入在服务重启时会中断，任务停留在 pending/processing，用户无法再发起导入。
+ * 中断前已导入的记录会保留，重新导入时与已有记录相同的行视为重复跳过。
+ *
+ * @param {number} timeoutMinutes 创建（或开始）后超过该时间视为中断
+ * @param {number|null} userId 只处理该用户的任务，不传时处理所有用户
+ * @returns {Promise<number>} 标记为失败的任务数
+ */
+export const failStaleImportJobs = async (timeoutMinutes, userId = null) => {
+  const query = `
+    UPDATE import_jobs
+    SET status = 'failed',
+      error_message = '导入任务已中断，已导入的记录会保留，请重新导入',
+      completed_at = NOW()
+    WHERE status IN ('pending', 'processing')
+      AND COALESCE(started_at, created_at) < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+      ${userId ? 'AND user_id = ?' : ''}
+  `;
+
+  const params = userId ? [timeoutMinutes, userId] : [timeoutMinutes];
+  const { rows } = await executeQuery(query, params);
+  return rows.affectedRows;
+};
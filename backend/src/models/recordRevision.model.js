@@ -0,0 +1,178 @@
+import { executeQuery, create, update } from './base.model.js';
+import moment from 'moment-timezone';
+
+/**
+ * 饮水记录修改历史相关数据模型
+ */
+
+const REVISION_FIELDS = `
+  id, record_id, user_id, action, before_values, after_values,
+  actor_type, actor_id, reverted_by, created_at
+`;
+
+// JSON 字段可能以字符串返回
+const parseJson = value =>
+  typeof value === 'string' ? JSON.parse(value) : value;
+
+const normalizeRevision = revision =>
+  revision && {
+    ...revision,
+    before_values: parseJson(revision.before_values),
+    after_values: parseJson(revision.after_values),
+  };
+
+// 添加修改记录
+export const createRevision = async ({
+  recordId,
+  userId,
+  action,
+  before = null,
+  after = null,
+  actorType = 'user',
+  actorId = null,
+}) => {
+  const result = await create('hydration_record_revisions', {
+    record_id: recordId,
+    user_id: userId,
+    action,
+    before_values: before && JSON.stringify(before),
+    after_values: after && JSON.stringify(after),
+    actor_type: actorType,
+    actor_id: actorId === null ? null : String(actorId),
+    created_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+  });
+
+  return result.insertId;
+};
+
+/**
+ * 为批量插入的记录添加新增记录
+ *
+ * 单条 INSERT 语句插入的记录ID连续，按用户和来源过滤避免包含其他请求插入的记录
+ *
+ * @param {number} userId
+ * @param {number} firstRecordId 批量插入返回的 insertId
+ * @param {number} count 插入的记录数
+ * @param {Object} actor { actorType, actorId, source }
+ * @returns {Promise<number>} 添加的修改记录数
+ */
+export const createRevisionsForInsertedRecords = async (
+  userId,
+  firstRecordId,
+  count,
+  { actorType, actorId = null, source = null }
+) => {
+  if (!firstRecordId || !count) {
+    return 0;
+  }
+
+  const query = `
+    INSERT INTO hydration_record_revisions
+      (record_id, user_id, action, after_values, actor_type, actor_id, created_at)
+    SELECT id, user_id, 'create',
+      JSON_OBJECT(
+        'amount', amount, 'drink_type', drink_type, 'drink_name', drink_name,
+        'drink_id', drink_id, 'caffeine_mg', caffeine_mg, 'sugar_g', sugar_g,
+        'calories', calories, 'alcohol_units', alcohol_units,
+        'recorded_at', DATE_FORMAT(recorded_at, '%Y-%m-%d %H:%i:%s'),
+        'location', location, 'activity_context', activity_context,
+        'temperature', temperature
+      ),
+      ?, ?, ?
+    FROM hydration_records
+    WHERE user_id = ? AND id BETWEEN ? AND ? ${source ? 'AND source = ?' : ''}
+  `;
+
+  const params = [
+    actorType,
+    actorId === null ? null : String(actorId),
+    moment().format('YYYY-MM-DD HH:mm:ss'),
+    userId,
+    firstRecordId,
+    firstRecordId + count - 1,
+  ];
+  if (source) {
+    params.push(source);
+  }
+
+  const { rows } = await executeQuery(query, params);
+  return rows.affectedRows;
+};
+
+// 获取记录的修改历史（最新的在前）
+export const getRecordRevisions = async (recordId, userId) => {
+  const query = `
+    SELECT ${REVISION_FIELDS}
+    FROM hydration_record_revisions
+    WHERE record_id = ? AND user_id = ?
+    ORDER BY id DESC
+  `;
+
+  const { rows } = await executeQuery(query, [recordId, userId]);
+  return rows.map(normalizeRevision);
+};
+
+// 获取单条修改记录
+export const getRevisionById = async (revisionId, userId) => {
+  const query = `
+    SELECT ${REVISION_FIELDS}
+    FROM hydration_record_revisions
+    WHERE id = ? AND user_id = ?
+  `;
+
+  const { rows } = await executeQuery(query, [revisionId, userId]);
+  return normalizeRevision(rows[0]) || null;
+};
+
+// 获取记录最近一次尚未撤销的变更
+export const getLatestRecordRevision = async (recordId, userId) => {
+  const query = `
+    SELECT ${REVISION_FIELDS}
+    FROM hydration_record_revisions
+    WHERE record_id = ? AND user_id = ?
+      AND reverted_by IS NULL AND action != 'restore'
+    ORDER BY id DESC
+    LIMIT 1
+  `;
+
+  const { rows } = await executeQuery(query, [recordId, userId]);
+  return normalizeRevision(rows[0]) || null;
+};
+
+/**
+ * 获取用户在时间窗口内最近一次可撤销的变更
+ *
+ * 撤销产生的修改和导入的记录不参与撤销，连续撤销时依次回退更早的变更
+ *
+ * @param {number} userId
+ * @param {number} windowSeconds
+ * @returns {Promise<Object|null>}
+ */
+export const getLatestUndoableRevision = async (userId, windowSeconds) => {
+  const query = `
+    SELECT ${REVISION_FIELDS}
+    FROM hydration_record_revisions
+    WHERE user_id = ?
+      AND reverted_by IS NULL
+      AND action != 'restore'
+      AND actor_type != 'import'
+      AND created_at >= ?
+    ORDER BY id DESC
+    LIMIT 1
+  `;
+
+  const { rows } = await executeQuery(query, [
+    userId,
+    moment().subtract(windowSeconds, 'seconds').format('YYYY-MM-DD HH:mm:ss'),
+  ]);
+  return normalizeRevision(rows[0]) || null;
+};
+
+// 标记变更已被撤销
+export const markRevisionReverted = async (revisionId, revertedBy) => {
+  return await update(
+    'hydration_record_revisions',
+    { reverted_by: revertedBy },
+    { id: revisionId }
+  );
+};
@@ -4,30 +4,74 @@ import {
   findMany, 
   create, 
   update, 
+  batchCreate,
   softDelete,
   count,
   paginate
 } from './base.model.js';
 import { businessLogger, errorLogger } from '../utils/logger.js';
 import moment from 'moment-timezone';
+import crypto from 'crypto';
+import { calculateAdaptiveReminder } from '../utils/smartScheduler.js';
+import { fitReminderTime, getDaySchedule } from '../utils/reminderWindow.js';
+import { getDndResumeTime } from '../utils/doNotDisturb.js';
+import { planAroundMeetings } from '../utils/calendarBusy.js';
+import { getBusyBlocks } from './calendar.model.js';
+import { getActivityTotals, getLastFinishedActivity } from './activity.model.js';
+import weatherService, { adjustReminderInterval } from '../utils/weatherService.js';
+import { isActivityAware } from '../utils/activityHydration.js';
+import config from '../config/index.js';
+import { getHourlyPattern } from './hydration.model.js';
+import { getUserTimezone } from './user.model.js';
+import {
+  resolveTimezone,
+  getLocalToday,
+  getLocalDayRange,
+  getRecentDates,
+  atLocalTime,
+  localRangeSql,
+} from '../utils/userTime.js';
+import hydrationCoefficients, {
+  effectiveAmountSql,
+} from '../utils/hydrationCoefficients.js';
 
 /**
  * 提醒相关数据模型
  */
 
-// 获取用户提醒设置
+// 提醒时间按服务器时区保存
+const toStorageTime = time =>
+  moment(time).local().format('YYYY-MM-DD HH:mm:ss');
+
+// 提醒设置中的 JSON 字段
+const SETTINGS_JSON_FIELDS = ['weekly_schedule', 'date_exceptions', 'dnd_windows'];
+
+// JSON 字段可能以字符串返回
+const parseSettingsFields = settings => {
+  for (const field of SETTINGS_JSON_FIELDS) {
+    if (typeof settings[field] === 'string') {
+      settings[field] = JSON.parse(settings[field]);
+    }
+  }
+  return settings;
+};
+
+// 获取用户提醒设置（申请删除账户的用户不再安排提醒）
 export const getUserReminderSettings = async (userId) => {
   const query = `
     SELECT 
       rs.*,
-      u.timezone
+      u.timezone,
+      u.latitude,
+      u.longitude
     FROM reminder_settings rs
     JOIN users u ON rs.user_id = u.id
     WHERE rs.user_id = ? AND u.deleted_at IS NULL
+      AND u.deletion_scheduled_for IS NULL
   `;
   
   const { rows } = await executeQuery(query, [userId]);
-  return rows[0] || null;
+  return rows[0] ? parseSettingsFields(rows[0]) : null;
 };
 
 // 更新用户提醒设置
@@ -35,14 +79,19 @@ export const updateReminderSettings = async (userId, settings) => {
   const allowedFields = [
     'is_enabled', 'start_time', 'end_time', 'interval_minutes',
     'smart_reminders', 'weekend_enabled', 'reminder_types',
-    'quiet_hours_start', 'quiet_hours_end', 'intensity_level'
+    'do_not_disturb_enabled', 'dnd_start_time', 'dnd_end_time',
+    'intensity_level', 'jet_lag_mode', 'consider_calendar', 'consider_weather',
+    'strategy_type', 'consider_activity', 'delivery_target',
+    'weekday_enabled', 'weekend_start_time', 'weekend_end_time',
+    ...SETTINGS_JSON_FIELDS
   ];
   
   // 过滤允许更新的字段
   const filteredSettings = Object.keys(settings)
     .filter(key => allowedFields.includes(key))
     .reduce((obj, key) => {
-      obj[key] = key === 'reminder_types' && Array.isArray(settings[key]) 
+      const isJson = key === 'reminder_types' || SETTINGS_JSON_FIELDS.includes(key);
+      obj[key] = isJson && settings[key] !== null && typeof settings[key] === 'object'
         ? JSON.stringify(settings[key]) 
         : settings[key];
       return obj;
@@ -74,8 +123,8 @@ export const createDefaultReminderSettings = async (userId) => {
     smart_reminders: true,
     weekend_enabled: true,
     reminder_types: JSON.stringify(['push', 'sound']),
-    quiet_hours_start: '22:00:00',
-    quiet_hours_end: '08:00:00',
+    dnd_start_time: '22:00:00',
+    dnd_end_time: '08:00:00',
     intensity_level: 'medium',
     created_at: moment().format('YYYY-MM-DD HH:mm:ss'),
   };
@@ -288,34 +337,46 @@ export const getReminderStatistics = async (userId, period = '30d') => {
 
 // 获取智能提醒建议时间
 export const getSmartReminderTimes = async (userId, date = null) => {
-  const targetDate = date || moment().format('YYYY-MM-DD');
+  // 获取用户提醒设置
+  const settings = await getUserReminderSettings(userId);
+  if (!settings) {
+    return [];
+  }
   
-  // 获取用户的历史饮水模式
+  // 获取用户的历史饮水模式（按记录时的当地时间）
+  const { startDate, endDate } = getRecentDates(resolveTimezone(settings.timezone), 30);
   const patternQuery = `
     SELECT 
-      HOUR(recorded_at) as hour,
+      HOUR(local_recorded_at) as hour,
       COUNT(*) as frequency,
       AVG(amount) as avg_amount
     FROM hydration_records
     WHERE user_id = ? 
-      AND recorded_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
+      AND ${localRangeSql()}
       AND deleted_at IS NULL
-    GROUP BY HOUR(recorded_at)
+    GROUP BY HOUR(local_recorded_at)
     HAVING frequency >= 3  -- 至少出现3次的时间点
     ORDER BY frequency DESC, hour ASC
   `;
   
-  const { rows: patterns } = await executeQuery(patternQuery, [userId]);
+  const { rows: patterns } = await executeQuery(patternQuery, [
+    userId,
+    ...getLocalDayRange(startDate, endDate),
+  ]);
   
-  // 获取用户提醒设置
-  const settings = await getUserReminderSettings(userId);
-  if (!settings) {
+  // 按当天的提醒时间段（周末、按星期设置、节假日）计算
+  const timezone = resolveTimezone(settings.timezone);
+  const day = date
+    ? moment.tz(date, 'YYYY-MM-DD', timezone)
+    : moment.tz(timezone).startOf('day');
+  const schedule = getDaySchedule(settings, day);
+  if (!schedule.enabled) {
     return [];
   }
   
-  const startHour = parseInt(settings.start_time.split(':')[0]);
-  const endHour = parseInt(settings.end_time.split(':')[0]);
-  const intervalMinutes = settings.interval_minutes;
+  const startHour = parseInt(schedule.start_time.split(':')[0]);
+  const endHour = parseInt(schedule.end_time.split(':')[0]);
+  const intervalMinutes = settings.fixed_interval_minutes || 60;
   
   // 基于用户历史模式和设置计算建议时间
   const suggestedTimes = [];
@@ -332,19 +393,131 @@ export const getSmartReminderTimes = async (userId, date = null) => {
       }
     }
   } else {
-    // 使用默认间隔
-    let currentHour = startHour;
-    while (currentHour <= endHour) {
+    // 使用默认间隔（按分钟推进，间隔可以小于1小时）
+    const cursor = moment(schedule.start_time, 'HH:mm:ss');
+    const end = moment(schedule.end_time, 'HH:mm:ss');
+    while (cursor.isSameOrBefore(end)) {
       suggestedTimes.push({
-        time: `${String(currentHour).padStart(2, '0')}:00:00`,
+        time: cursor.format('HH:mm:00'),
         confidence: 0.5,
         reason: 'default_interval',
       });
-      currentHour += Math.floor(intervalMinutes / 60);
+      cursor.add(intervalMinutes, 'minutes');
+    }
+  }
+  
+  // 去掉免打扰时间段内的建议（暂停提醒是临时的，不影响建议时间）
+  const dndSettings = { ...settings, paused_until: null };
+  return suggestedTimes.filter(({ time }) =>
+    !getDndResumeTime(dndSettings, atLocalTime(day, time))
+  );
+};
+
+// 获取智能自适应调度所需的用户数据
+export const getAdaptiveReminderContext = async (userId) => {
+  const coefficients = await hydrationCoefficients.getForUser(userId);
+  const today = getLocalToday(await getUserTimezone(userId));
+
+  // 今日饮水量按有效补水量计算
+  const userQuery = `
+    SELECT 
+      u.daily_water_goal,
+      u.wake_up_time,
+      u.sleep_time,
+      u.timezone,
+      COALESCE(SUM(${effectiveAmountSql(coefficients, 'hr')}), 0) as today_intake,
+      MAX(hr.recorded_at) as last_drink_at
+    FROM users u
+    LEFT JOIN hydration_records hr ON hr.user_id = u.id
+      AND ${localRangeSql('hr')}
+      AND hr.deleted_at IS NULL
+    WHERE u.id = ? AND u.deleted_at IS NULL
+    GROUP BY u.id
+  `;
+  
+  const { rows } = await executeQuery(userQuery, [...getLocalDayRange(today), userId]);
+  const user = rows[0];
+  if (!user) {
+    return null;
+  }
+  
+  // 最近7天提醒的响应情况
+  const responseQuery = `
+    SELECT 
+      COUNT(*) as sent,
+      COUNT(CASE WHEN status = 'responded' THEN 1 END) as responded
+    FROM reminder_logs
+    WHERE user_id = ? 
+      AND status IN ('sent', 'delivered', 'opened', 'responded', 'ignored')
+      AND scheduled_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
+  `;
+  
+  const { rows: responseRows } = await executeQuery(responseQuery, [userId]);
+  const hourlyPattern = await getHourlyPattern(userId, 30);
+  
+  return {
+    timezone: resolveTimezone(user.timezone),
+    dailyGoal: user.daily_water_goal,
+    todayIntake: Number(user.today_intake),
+    wakeUpTime: user.wake_up_time,
+    sleepTime: user.sleep_time,
+    lastDrinkAt: user.last_drink_at,
+    hourlyPattern,
+    responseStats: {
+      sent: Number(responseRows[0].sent),
+      responded: Number(responseRows[0].responded),
+    },
+  };
+};
+
+// 计算智能自适应提醒时间（含计算依据），goalBonus 为天气等因素增加的当天目标
+export const planAdaptiveReminder = async (userId, baseTime = null, goalBonus = 0) => {
+  const context = await getAdaptiveReminderContext(userId);
+  if (!context) {
+    return null;
+  }
+  
+  return calculateAdaptiveReminder({
+    ...context,
+    dailyGoal: context.dailyGoal + goalBonus,
+    now: baseTime ? moment(baseTime).toDate() : new Date(),
+  });
+};
+
+// 运动结束后缩短提醒间隔的时长(分钟)，仅 activity_based 策略
+const POST_WORKOUT_RECOVERY_MINUTES = 120;
+
+// 当天运动增加的目标和运动后的恢复期，没有运动时返回 null
+const getActivityContext = async (userId, settings, currentTime) => {
+  const today = currentTime.format('YYYY-MM-DD');
+  const [totals] = await getActivityTotals(userId, today, today);
+  
+  let recovery = null;
+  if (settings.strategy_type === 'activity_based') {
+    const last = await getLastFinishedActivity(userId, currentTime);
+    const endedAt = last
+      ? moment(last.started_at).add(last.duration_minutes, 'minutes')
+      : null;
+    if (endedAt && currentTime.diff(endedAt, 'minutes') < POST_WORKOUT_RECOVERY_MINUTES) {
+      recovery = {
+        activity_id: last.id,
+        recovery_until: endedAt.clone()
+          .add(POST_WORKOUT_RECOVERY_MINUTES, 'minutes')
+          .toISOString(),
+      };
     }
   }
   
-  return suggestedTimes;
+  if (!totals && !recovery) {
+    return null;
+  }
+  
+  return {
+    activity_count: totals?.activity_count || 0,
+    sweat_loss_ml: totals?.sweat_loss_ml || 0,
+    goal_bonus_ml: totals?.goal_bonus_ml || 0,
+    ...recovery,
+  };
 };
 
 // 安排下一个提醒
@@ -354,79 +527,134 @@ export const scheduleNextReminder = async (userId, baseTime = null) => {
     return null;
   }
   
-  const now = moment();
-  const currentTime = baseTime ? moment(baseTime) : now;
+  // 提醒时间段按用户当地时间计算
+  const timezone = resolveTimezone(settings.timezone);
+  const currentTime = moment.tz(baseTime || new Date(), timezone);
   
-  // 检查是否在安静时间
-  const quietStart = moment(settings.quiet_hours_start, 'HH:mm:ss');
-  const quietEnd = moment(settings.quiet_hours_end, 'HH:mm:ss');
+  // 炎热天气提高当天目标并缩短提醒间隔，天气快照保存在提醒的 context 中
+  const weather = await weatherService.getAdjustment(settings);
+  let intervalMinutes = adjustReminderInterval(
+    settings.fixed_interval_minutes || 60,
+    weather
+  );
+  let context = weather ? { weather } : null;
   
-  if (currentTime.isBetween(quietStart, quietEnd)) {
-    // 安排到安静时间结束后
-    const nextReminderTime = quietEnd.clone().add(settings.interval_minutes, 'minutes');
-    return scheduleReminder(userId, nextReminderTime.format('YYYY-MM-DD HH:mm:ss'));
+  // 当天运动增加的目标，按运动提醒的用户运动结束后一段时间内缩短提醒间隔
+  const activity = isActivityAware(settings)
+    ? await getActivityContext(userId, settings, currentTime)
+    : null;
+  if (activity) {
+    context = { ...context, activity };
+    if (activity.recovery_until) {
+      intervalMinutes = Math.max(
+        Math.min(config.business.reminderMinInterval, intervalMinutes),
+        Math.round(intervalMinutes / 2)
+      );
+    }
   }
+  const goalBonus = (weather?.goal_bonus_ml || 0) + (activity?.goal_bonus_ml || 0);
   
   // 计算下一个提醒时间
-  let nextReminderTime = currentTime.clone().add(settings.interval_minutes, 'minutes');
+  let nextReminderTime = currentTime.clone().add(intervalMinutes, 'minutes');
   
-  // 检查是否超出活跃时间范围
-  const endTime = moment(settings.end_time, 'HH:mm:ss');
-  if (nextReminderTime.isAfter(endTime)) {
-    // 安排到第二天的开始时间
-    nextReminderTime = moment().add(1, 'day')
-      .set('hour', parseInt(settings.start_time.split(':')[0]))
-      .set('minute', parseInt(settings.start_time.split(':')[1]))
-      .set('second', 0);
+  if (settings.strategy_type === 'smart_adaptive') {
+    const plan = await planAdaptiveReminder(userId, currentTime, goalBonus);
+    if (plan) {
+      nextReminderTime = moment.tz(plan.next_reminder_at, timezone);
+      context = {
+        ...context,
+        strategy: 'smart_adaptive',
+        interval_minutes: plan.interval_minutes,
+        reasoning: plan.reasoning,
+      };
+    }
+  }
+  
+  // 调整到当天的提醒时间段内（倒时差模式下时间段逐日平移），并避开免打扰和暂停期间
+  nextReminderTime = fitReminderTime(settings, nextReminderTime);
+  if (!nextReminderTime) {
+    // 所有日期都关闭了提醒
+    return null;
+  }
+  
+  // 避开日历中的会议，调整原因保存在提醒的 context 中
+  if (settings.consider_calendar !== false && settings.consider_calendar !== 0) {
+    const blocks = await getBusyBlocks(
+      userId,
+      currentTime,
+      nextReminderTime.clone().add(2, 'days')
+    );
+    
+    if (blocks.length > 0) {
+      const planned = planAroundMeetings(settings, nextReminderTime, blocks, {
+        now: currentTime,
+      });
+      if (!planned) {
+        return null;
+      }
+      
+      nextReminderTime = planned.at;
+      if (planned.calendar) {
+        context = { ...context, calendar: planned.calendar };
+      }
+    }
   }
   
-  return scheduleReminder(userId, nextReminderTime.format('YYYY-MM-DD HH:mm:ss'));
+  return scheduleReminder(userId, toStorageTime(nextReminderTime), settings.id, context);
 };
 
-// 创建提醒任务
-const scheduleReminder = async (userId, scheduledTime) => {
-  // 获取个性化消息
-  const message = await generateReminderMessage(userId);
+// 创建提醒任务（由提醒派发器在到期后发送）
+const scheduleReminder = async (userId, scheduledTime, settingId = null, context = null) => {
+  // 获取个性化消息（按天气和运动调整后的目标计算进度）
+  const message = await generateReminderMessage(
+    userId,
+    (context?.weather?.goal_bonus_ml || 0) + (context?.activity?.goal_bonus_ml || 0)
+  );
   
   const reminderData = {
     user_id: userId,
-    scheduled_time: scheduledTime,
-    reminder_type: 'push',
-    message_content: message,
+    reminder_setting_id: settingId,
+    scheduled_at: scheduledTime,
+    notification_type: 'push',
+    message,
     status: 'scheduled',
+    context: context ? JSON.stringify(context) : null,
     created_at: moment().format('YYYY-MM-DD HH:mm:ss'),
   };
   
   const result = await create('reminder_logs', reminderData);
   
-  businessLogger.info('Reminder scheduled', { 
-    userId, 
+  businessLogger.userAction(userId, 'reminder_scheduled', { 
     reminderId: result.insertId,
-    scheduled_time: scheduledTime 
+    scheduled_at: scheduledTime,
+    strategy: context?.strategy || 'fixed_interval',
   });
   
   return result.insertId;
 };
 
 // 生成个性化提醒消息
-const generateReminderMessage = async (userId) => {
-  // 获取今日进度
+const generateReminderMessage = async (userId, goalBonus = 0) => {
+  // 获取今日进度（按有效补水量，用户当地的今天）
+  const coefficients = await hydrationCoefficients.getForUser(userId);
+  const today = getLocalToday(await getUserTimezone(userId));
   const todayQuery = `
     SELECT 
-      COALESCE(SUM(hr.amount), 0) as today_intake,
-      hg.daily_goal
+      COALESCE(SUM(${effectiveAmountSql(coefficients, 'hr')}), 0) as today_intake,
+      u.daily_water_goal as daily_goal
     FROM users u
     LEFT JOIN hydration_records hr ON u.id = hr.user_id 
-      AND DATE(hr.recorded_at) = CURDATE()
+      AND ${localRangeSql('hr')}
       AND hr.deleted_at IS NULL
-    LEFT JOIN hydration_goals hg ON u.id = hg.user_id AND hg.is_active = true
     WHERE u.id = ?
+    GROUP BY u.id, u.daily_water_goal
   `;
   
-  const { rows } = await executeQuery(todayQuery, [userId]);
+  const { rows } = await executeQuery(todayQuery, [...getLocalDayRange(today), userId]);
   const progress = rows[0] || { today_intake: 0, daily_goal: 2000 };
   
-  const progressPercentage = (progress.today_intake / progress.daily_goal) * 100;
+  const progressPercentage =
+    (progress.today_intake / (progress.daily_goal + goalBonus)) * 100;
   
   // 根据进度生成不同的消息
   const messages = {
@@ -470,51 +698,333 @@ const generateReminderMessage = async (userId) => {
 // 获取用户设备信息（用于推送）
 export const getUserDevices = async (userId) => {
   const query = `
-    SELECT device_token, device_type, is_active
+    SELECT id, device_id, device_name, device_type, platform, push_token, is_primary, settings
     FROM user_devices
-    WHERE user_id = ? AND is_active = true AND deleted_at IS NULL
+    WHERE user_id = ? 
+      AND is_active = true 
+      AND push_enabled = true 
+      AND push_token IS NOT NULL
   `;
   
   const { rows } = await executeQuery(query, [userId]);
   return rows;
 };
 
-// 更新设备令牌
-export const updateDeviceToken = async (userId, deviceToken, deviceType) => {
-  // 先检查是否存在
-  const existing = await findOne('user_devices', { 
-    user_id: userId, 
-    device_token: deviceToken 
+// 关闭失效推送令牌所在设备的推送
+export const disableDevicePush = async (deviceId) => {
+  return await update('user_devices', 
+    { push_enabled: false, push_token: null }, 
+    { id: deviceId }
+  );
+};
+
+// 认领到期的待发送提醒（单条UPDATE原子认领，多进程并发时不会重复发送）
+export const claimDueReminders = async (workerId, limit = 50) => {
+  const claimToken = `${workerId}:${Date.now()}`;
+  const batchSize = parseInt(limit, 10) || 50;
+  
+  const claimQuery = `
+    UPDATE reminder_logs
+    SET status = 'processing', locked_by = ?, locked_at = NOW()
+    WHERE status = 'scheduled'
+      AND scheduled_at <= NOW()
+      AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+    ORDER BY scheduled_at ASC
+    LIMIT ${batchSize}
+  `;
+  
+  const { rows: claimResult } = await executeQuery(claimQuery, [claimToken]);
+  if (!claimResult.affectedRows) {
+    return [];
+  }
+  
+  const query = `
+    SELECT rl.id, rl.user_id, rl.reminder_setting_id, rl.scheduled_at,
+      rl.message, rl.notification_type, rl.attempts, rl.context
+    FROM reminder_logs rl
+    WHERE rl.locked_by = ? AND rl.status = 'processing'
+    ORDER BY rl.scheduled_at ASC
+  `;
+  
+  const { rows } = await executeQuery(query, [claimToken]);
+  return rows;
+};
+
+// 释放认领超时的提醒（派发进程崩溃时，提醒会重新回到待发送队列）
+export const releaseStaleReminderClaims = async (timeoutMinutes = 10) => {
+  const query = `
+    UPDATE reminder_logs
+    SET status = 'scheduled', locked_by = NULL, locked_at = NULL
+    WHERE status = 'processing'
+      AND locked_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+  `;
+  
+  const { rows } = await executeQuery(query, [timeoutMinutes]);
+  return rows.affectedRows || 0;
+};
+
+// 标记提醒发送成功
+export const markReminderSent = async (reminderId, attempts, context = null) => {
+  const updateData = {
+    status: 'sent',
+    sent_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+    attempts,
+    locked_by: null,
+    locked_at: null,
+    last_error: null,
+  };
+  
+  if (context) {
+    updateData.context = JSON.stringify(context);
+  }
+  
+  return await update('reminder_logs', updateData, { id: reminderId, status: 'processing' });
+};
+
+// 发送失败后重新排队等待重试
+export const markReminderRetry = async (reminderId, attempts, nextAttemptAt, errorMessage) => {
+  return await update('reminder_logs', 
+    {
+      status: 'scheduled',
+      attempts,
+      next_attempt_at: nextAttemptAt,
+      locked_by: null,
+      locked_at: null,
+      last_error: errorMessage?.substring(0, 255) || null,
+    }, 
+    { id: reminderId, status: 'processing' }
+  );
+};
+
+// 派发时处于免打扰或暂停期间，推迟到可以提醒的时间
+export const deferReminder = async (reminderId, scheduledAt) => {
+  return await update('reminder_logs', 
+    {
+      status: 'scheduled',
+      scheduled_at: toStorageTime(scheduledAt),
+      next_attempt_at: null,
+      locked_by: null,
+      locked_at: null,
+    }, 
+    { id: reminderId, status: 'processing' }
+  );
+};
+
+// 标记提醒最终发送失败
+export const markReminderFailed = async (reminderId, attempts, errorMessage) => {
+  return await update('reminder_logs', 
+    {
+      status: 'failed',
+      attempts,
+      locked_by: null,
+      locked_at: null,
+      last_error: errorMessage?.substring(0, 255) || null,
+    }, 
+    { id: reminderId, status: 'processing' }
+  );
+};
+
+// 取消尚未开始派发的提醒（时区或提醒时间段变化后重新安排），运动补水提醒按运动时间发送，不取消
+export const cancelScheduledReminders = async (userId) => {
+  const { rows } = await executeQuery(
+    "DELETE FROM reminder_logs WHERE user_id = ? AND status = 'scheduled' AND activity_id IS NULL",
+    [userId]
+  );
+  return rows.affectedRows;
+};
+
+/**
+ * 安排运动前、运动中和运动后的补水提醒
+ *
+ * @param {number} userId
+ * @param {Object} activity user_activities 记录
+ * @param {Array} prompts planWorkoutPrompts 的结果
+ * @param {number|null} settingId
+ * @returns {Promise<number>} 安排的提醒数
+ */
+export const scheduleActivityPrompts = async (userId, activity, prompts, settingId = null) => {
+  if (prompts.length === 0) {
+    return 0;
+  }
+  
+  const createdAt = moment().format('YYYY-MM-DD HH:mm:ss');
+  const result = await batchCreate('reminder_logs', prompts.map(prompt => ({
+    user_id: userId,
+    reminder_setting_id: settingId,
+    scheduled_at: toStorageTime(prompt.at),
+    notification_type: 'push',
+    message: prompt.message,
+    status: 'scheduled',
+    context: JSON.stringify({
+      strategy: 'activity_based',
+      phase: prompt.phase,
+      amount_ml: prompt.amount_ml,
+      activity_id: activity.id,
+      activity_type: activity.activity_type,
+      sweat_loss_ml: activity.estimated_sweat_loss_ml,
+    }),
+    activity_id: activity.id,
+    created_at: createdAt,
+  })));
+  
+  businessLogger.userAction(userId, 'activity_prompts_scheduled', {
+    activityId: activity.id,
+    phases: prompts.map(prompt => prompt.phase),
   });
   
+  return result.affectedRows;
+};
+
+// 取消运动尚未发送的补水提醒
+export const cancelActivityPrompts = async (activityId) => {
+  const { rows } = await executeQuery(
+    "DELETE FROM reminder_logs WHERE activity_id = ? AND status = 'scheduled'",
+    [activityId]
+  );
+  return rows.affectedRows;
+};
+
+// 提醒时间变化（切换时区、修改时间段）后取消尚未派发的提醒并重新安排
+export const rescheduleReminders = async (userId) => {
+  const cancelled = await cancelScheduledReminders(userId);
+  
+  // 正在派发的提醒完成后由派发器安排下一次提醒
+  if (await hasPendingReminder(userId)) {
+    return { cancelled, next_reminder_id: null };
+  }
+  
+  const nextReminderId = await scheduleNextReminder(userId);
+  return { cancelled, next_reminder_id: nextReminderId };
+};
+
+// 暂停提醒到指定时间，传入 null 时恢复提醒
+export const setRemindersPausedUntil = async (userId, pausedUntil) => {
+  return await update('reminder_settings', 
+    { paused_until: pausedUntil ? toStorageTime(pausedUntil) : null }, 
+    { user_id: userId }
+  );
+};
+
+// 记录时区切换，用于倒时差模式逐日调整提醒时间段
+export const recordTimezoneChange = async (userId, { previousTimezone, jetLagMode }) => {
+  const data = {};
+  if (previousTimezone) {
+    data.previous_timezone = previousTimezone;
+    data.timezone_changed_at = moment().format('YYYY-MM-DD HH:mm:ss');
+  }
+  if (jetLagMode !== undefined) {
+    data.jet_lag_mode = jetLagMode;
+  }
+  
+  if (Object.keys(data).length === 0) {
+    return 0;
+  }
+  
+  return await update('reminder_settings', data, { user_id: userId });
+};
+
+// 检查用户是否已有待发送的常规提醒（不包括运动补水提醒）
+export const hasPendingReminder = async (userId) => {
+  const query = `
+    SELECT COUNT(*) as count
+    FROM reminder_logs
+    WHERE user_id = ? AND status IN ('scheduled', 'processing')
+      AND activity_id IS NULL
+  `;
+  
+  const { rows } = await executeQuery(query, [userId]);
+  return rows[0].count > 0;
+};
+
+// 获取开启了提醒但没有待发送常规提醒的用户（按用户ID分页）
+export const getUsersWithoutPendingReminder = async (afterUserId = 0, limit = 100) => {
+  const batchSize = parseInt(limit, 10) || 100;
+  const query = `
+    SELECT rs.user_id
+    FROM reminder_settings rs
+    JOIN users u ON rs.user_id = u.id
+    WHERE rs.is_enabled = true AND rs.user_id > ?
+      AND u.deleted_at IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM reminder_logs rl
+        WHERE rl.user_id = rs.user_id AND rl.status IN ('scheduled', 'processing')
+          AND rl.activity_id IS NULL
+      )
+    ORDER BY rs.user_id ASC
+    LIMIT ${batchSize}
+  `;
+  
+  const { rows } = await executeQuery(query, [afterUserId]);
+  return rows.map(row => row.user_id);
+};
+
+// 推送设备类型对应 user_devices.device_type
+const PUSH_DEVICE_TYPES = {
+  mobile: 'mobile_app',
+  tablet: 'mobile_app',
+  web: 'other',
+};
+
+const PUSH_PLATFORMS = ['ios', 'android', 'web'];
+
+/**
+ * 注册或更新推送设备
+ *
+ * 客户端未提供设备ID时按推送令牌生成，同一令牌重复注册只更新活跃时间。
+ * 设备ID已属于其他用户时不更新，设备需要先在原账户中移除。
+ *
+ * @param {number} userId
+ * @param {string} deviceToken 推送令牌
+ * @param {string} deviceType mobile、web、tablet
+ * @param {Object} device { deviceId, deviceName, platform }
+ * @returns {Promise<number|null>} 设备记录ID，设备ID属于其他用户时返回 null
+ */
+export const updateDeviceToken = async (userId, deviceToken, deviceType, device = {}) => {
+  const deviceId = device.deviceId ||
+    `push_${crypto.createHash('sha256').update(deviceToken).digest('hex').slice(0, 32)}`;
+  const now = moment().format('YYYY-MM-DD HH:mm:ss');
+
+  const owned = await findOne('user_devices', { device_id: deviceId }, 'id, user_id');
+  if (owned && owned.user_id !== userId) {
+    return null;
+  }
+
+  const existing = owned
+    || await findOne('user_devices', { user_id: userId, push_token: deviceToken }, 'id');
+
+  const deviceData = {
+    user_id: userId,
+    push_token: deviceToken,
+    push_enabled: true,
+    is_active: true,
+    last_active_at: now,
+  };
+  if (device.deviceName) {
+    deviceData.device_name = device.deviceName;
+  }
+  if (device.platform) {
+    deviceData.platform = PUSH_PLATFORMS.includes(device.platform) ? device.platform : 'other';
+  }
+
   if (existing) {
-    // 更新现有记录
-    return await update('user_devices', 
-      { 
-        is_active: true,
-        last_active: moment().format('YYYY-MM-DD HH:mm:ss')
-      }, 
-      { id: existing.id }
-    );
-  } else {
-    // 创建新记录
-    const deviceData = {
-      user_id: userId,
-      device_token: deviceToken,
-      device_type: deviceType,
-      is_active: true,
-      created_at: moment().format('YYYY-MM-DD HH:mm:ss'),
-      last_active: moment().format('YYYY-MM-DD HH:mm:ss'),
-    };
-    
-    return await create('user_devices', deviceData);
+    await update('user_devices', deviceData, { id: existing.id });
+    return existing.id;
   }
+
+  const result = await create('user_devices', {
+    device_id: deviceId,
+    device_name: `${deviceType} device`,
+    device_type: PUSH_DEVICE_TYPES[deviceType] || 'other',
+    ...deviceData,
+    created_at: now,
+  });
+  return result.insertId;
 };
 
 // 禁用设备令牌
 export const deactivateDevice = async (userId, deviceToken) => {
   return await update('user_devices', 
-    { is_active: false }, 
-    { user_id: userId, device_token: deviceToken }
+    { is_active: false, push_enabled: false }, 
+    { user_id: userId, push_token: deviceToken }
   );
 };
\ No newline at end of file
@@ -0,0 +1,35 @@
+import { executeQuery } from './base.model.js';
+
+/**
+ * 系统配置相关数据模型
+ */
+
+// 按配置类型转换配置值
+const parseConfigValue = (value, type) => {
+  switch (type) {
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value === 'true' || value === '1';
+    case 'json':
+      return JSON.parse(value);
+    default:
+      return value;
+  }
+};
+
+// 获取启用的系统配置，不存在时返回 null
+export const getSystemConfig = async configKey => {
+  const query = `
+    SELECT config_value, config_type
+    FROM system_configs
+    WHERE config_key = ? AND is_active = true
+  `;
+
+  const { rows } = await executeQuery(query, [configKey]);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return parseConfigValue(rows[0].config_value, rows[0].config_type);
+};
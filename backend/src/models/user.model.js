@@ -2,13 +2,26 @@ import {
   executeQuery,
   findOne,
   findMany,
-  create,
   update,
-  softDelete,
   count,
+  transaction,
 } from './base.model.js';
-import { businessLogger, errorLogger } from '../utils/logger.js';
+import { setPrimaryDailyGoal } from './goal.model.js';
+import { errorLogger } from '../utils/logger.js';
 import moment from 'moment-timezone';
+import hydrationCoefficients, {
+  effectiveAmountSql,
+} from '../utils/hydrationCoefficients.js';
+import { caffeineSql, alcoholUnitsSql } from '../utils/drinkNutrition.js';
+import {
+  isValidTimezone,
+  resolveTimezone,
+  getLocalToday,
+  getLocalDayRange,
+  getRecentDates,
+  localRangeSql,
+  localDateSql,
+} from '../utils/userTime.js';
 
 /**
  * 用户相关数据模型
@@ -22,11 +35,11 @@ export const getUserProfile = async userId => {
       u.date_of_birth, u.height, u.weight, u.activity_level,
       u.avatar_url, u.timezone, u.locale, u.email_verified,
       u.is_active, u.created_at, u.updated_at,
-      hg.daily_goal,
-      rs.is_enabled as reminders_enabled,
+      u.daily_water_goal as daily_goal, u.auto_adjust_goal,
+      u.latitude, u.longitude, u.location_name,
+      rs.is_enabled as reminders_enabled, rs.consider_weather,
       us.streak_days, us.total_intake, us.goal_achievement_rate
     FROM users u
-    LEFT JOIN hydration_goals hg ON u.id = hg.user_id AND hg.is_active = true
     LEFT JOIN reminder_settings rs ON u.id = rs.user_id
     LEFT JOIN user_statistics us ON u.id = us.user_id
     WHERE u.id = ? AND u.deleted_at IS NULL
@@ -36,6 +49,57 @@ export const getUserProfile = async userId => {
   return rows[0] || null;
 };
 
+// 获取用户时区
+export const getUserTimezone = async userId => {
+  const user = await findOne('users', { id: userId }, 'timezone');
+  return resolveTimezone(user?.timezone);
+};
+
+// 请求指定了有效时区时使用请求的时区（设备当前所在时区），否则使用用户设置的时区
+export const resolveUserTimezone = async (userId, timezone = null) =>
+  isValidTimezone(timezone) ? timezone : await getUserTimezone(userId);
+
+// 获取用户时区和跨时区提醒设置
+export const getTimezoneSettings = async userId => {
+  const query = `
+    SELECT
+      u.timezone, u.timezone_auto_detect,
+      rs.jet_lag_mode, rs.previous_timezone, rs.timezone_changed_at
+    FROM users u
+    LEFT JOIN reminder_settings rs ON rs.user_id = u.id
+    WHERE u.id = ? AND u.deleted_at IS NULL
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return rows[0] || null;
+};
+
+// 获取用户所在地和天气调整设置
+export const getWeatherProfile = async userId => {
+  const query = `
+    SELECT u.latitude, u.longitude, u.location_name, rs.consider_weather
+    FROM users u
+    LEFT JOIN reminder_settings rs ON rs.user_id = u.id
+    WHERE u.id = ? AND u.deleted_at IS NULL
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return rows[0] || null;
+};
+
+// 更新用户时区
+export const updateUserTimezone = async (userId, timezone, autoDetect) => {
+  const data = {
+    timezone,
+    updated_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+  };
+  if (autoDetect !== undefined) {
+    data.timezone_auto_detect = autoDetect;
+  }
+
+  return await update('users', data, { id: userId });
+};
+
 // 更新用户基本信息
 export const updateUserProfile = async (userId, updateData) => {
   const allowedFields = [
@@ -48,6 +112,10 @@ export const updateUserProfile = async (userId, updateData) => {
     'timezone',
     'locale',
     'avatar_url',
+    'auto_adjust_goal',
+    'latitude',
+    'longitude',
+    'location_name',
   ];
 
   // 过滤允许更新的字段
@@ -71,94 +139,215 @@ export const updateUserProfile = async (userId, updateData) => {
 export const getUserStatistics = async (
   userId,
   period = '7d',
-  timezone = 'UTC'
+  timezone = null
 ) => {
-  let dateCondition = '';
-  let groupBy = '';
-
-  switch (period) {
-    case '7d':
-      dateCondition =
-        'DATE(hr.recorded_at) >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)';
-      groupBy = 'DATE(hr.recorded_at)';
-      break;
-    case '30d':
-      dateCondition =
-        'DATE(hr.recorded_at) >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)';
-      groupBy = 'DATE(hr.recorded_at)';
-      break;
-    case '3m':
-      dateCondition =
-        'DATE(hr.recorded_at) >= DATE_SUB(CURDATE(), INTERVAL 3 MONTH)';
-      groupBy = 'YEAR(hr.recorded_at), MONTH(hr.recorded_at)';
-      break;
-    default:
-      dateCondition =
-        'DATE(hr.recorded_at) >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)';
-      groupBy = 'DATE(hr.recorded_at)';
-  }
+  const userTimezone = await resolveUserTimezone(userId, timezone);
+  const days = { '7d': 7, '30d': 30, '3m': 90 }[period] || 7;
+  const { startDate, endDate } = getRecentDates(userTimezone, days);
+
+  // 3个月按当地月份汇总，其余按当地日期汇总
+  const groupBy =
+    period === '3m'
+      ? "DATE_FORMAT(hr.local_recorded_at, '%Y-%m')"
+      : localDateSql('hr');
+
+  const coefficients = await hydrationCoefficients.getForUser(userId);
 
   const query = `
     SELECT 
       ${groupBy} as period,
       SUM(hr.amount) as total_intake,
+      ROUND(SUM(${effectiveAmountSql(coefficients, 'hr')})) as effective_intake,
+      ROUND(SUM(${caffeineSql('hr')}), 1) as caffeine_mg,
+      ROUND(SUM(${alcoholUnitsSql('hr')}), 2) as alcohol_units,
+      SUM(hr.sugar_g) as sugar_g,
+      SUM(hr.calories) as calories,
       COUNT(hr.id) as record_count,
       AVG(hr.amount) as avg_intake,
       MIN(hr.recorded_at) as first_record,
       MAX(hr.recorded_at) as last_record,
-      hg.daily_goal
+      u.daily_water_goal as daily_goal
     FROM hydration_records hr
-    LEFT JOIN hydration_goals hg ON hr.user_id = hg.user_id AND hg.is_active = true
+    JOIN users u ON hr.user_id = u.id
     WHERE hr.user_id = ? 
-      AND ${dateCondition}
+      AND ${localRangeSql('hr')}
       AND hr.deleted_at IS NULL
-    GROUP BY ${groupBy}, hg.daily_goal
+    GROUP BY ${groupBy}, u.daily_water_goal
     ORDER BY period ASC
   `;
 
-  const { rows } = await executeQuery(query, [userId]);
-  return rows;
+  const { rows } = await executeQuery(query, [
+    userId,
+    ...getLocalDayRange(startDate, endDate),
+  ]);
+  return rows.map(row => ({
+    ...row,
+    total_intake: Number(row.total_intake || 0),
+    effective_intake: Number(row.effective_intake || 0),
+    caffeine_mg: Number(row.caffeine_mg || 0),
+    alcohol_units: Number(row.alcohol_units || 0),
+    sugar_g: Number(row.sugar_g || 0),
+    calories: Number(row.calories || 0),
+  }));
 };
 
 // 获取今日统计
-export const getTodayStatistics = async (userId, timezone = 'UTC') => {
+// 目标完成度按有效补水量计算
+export const getTodayStatistics = async (userId, timezone = null) => {
+  const today = getLocalToday(await resolveUserTimezone(userId, timezone));
+  const coefficients = await hydrationCoefficients.getForUser(userId);
+  const effectiveAmount = effectiveAmountSql(coefficients, 'hr');
+
   const query = `
     SELECT 
       COALESCE(SUM(hr.amount), 0) as today_intake,
+      COALESCE(ROUND(SUM(${effectiveAmount})), 0) as effective_intake,
+      COALESCE(ROUND(SUM(${caffeineSql('hr')}), 1), 0) as caffeine_mg,
+      COALESCE(ROUND(SUM(${alcoholUnitsSql('hr')}), 2), 0) as alcohol_units,
+      COALESCE(SUM(hr.sugar_g), 0) as sugar_g,
+      COALESCE(SUM(hr.calories), 0) as calories,
       COUNT(hr.id) as today_records,
-      hg.daily_goal,
-      ROUND((COALESCE(SUM(hr.amount), 0) / hg.daily_goal) * 100, 1) as progress_percentage
+      u.daily_water_goal as daily_goal,
+      ROUND((COALESCE(SUM(${effectiveAmount}), 0) / u.daily_water_goal) * 100, 1) as progress_percentage,
+      ROUND((COALESCE(SUM(hr.amount), 0) / u.daily_water_goal) * 100, 1) as raw_progress_percentage
     FROM users u
     LEFT JOIN hydration_records hr ON u.id = hr.user_id 
-      AND DATE(hr.recorded_at) = CURDATE()
+      AND ${localRangeSql('hr')}
       AND hr.deleted_at IS NULL
-    LEFT JOIN hydration_goals hg ON u.id = hg.user_id AND hg.is_active = true
     WHERE u.id = ? AND u.deleted_at IS NULL
+    GROUP BY u.id, u.daily_water_goal
+  `;
+
+  const { rows } = await executeQuery(query, [
+    ...getLocalDayRange(today),
+    userId,
+  ]);
+  return rows[0] ? { ...rows[0], date: today } : {};
+};
+
+// 获取计算推荐目标所需的用户资料
+export const getGoalProfile = async userId => {
+  const query = `
+    SELECT
+      id, gender, date_of_birth, height, weight, activity_level,
+      daily_water_goal, auto_adjust_goal
+    FROM users
+    WHERE id = ? AND deleted_at IS NULL
   `;
 
   const { rows } = await executeQuery(query, [userId]);
-  return rows[0] || {};
+  return rows[0] || null;
 };
 
-// 更新用户饮水目标
-export const updateUserGoal = async (userId, goalValue, goalType = 'daily') => {
-  // 先停用旧目标
-  await update(
-    'hydration_goals',
-    { is_active: false },
-    { user_id: userId, is_active: true }
+// 保存体重记录，同一来源同一测量时间的记录只保存一次，返回新增的条数
+export const addWeightLogs = async (userId, logs) => {
+  if (logs.length === 0) {
+    return 0;
+  }
+
+  const now = moment().format('YYYY-MM-DD HH:mm:ss');
+  const params = logs.flatMap(log => [
+    userId,
+    log.weight,
+    moment(log.measured_at).format('YYYY-MM-DD HH:mm:ss'),
+    log.source || 'manual',
+    now,
+  ]);
+
+  const { rows } = await executeQuery(
+    `
+    INSERT IGNORE INTO user_weight_logs
+      (user_id, weight, measured_at, source, created_at)
+    VALUES ${logs.map(() => '(?, ?, ?, ?, ?)').join(', ')}
+  `,
+    params
   );
+  return rows.affectedRows;
+};
+
+// 获取最近一次体重记录
+export const getLatestWeightLog = async userId => {
+  const query = `
+    SELECT id, weight, measured_at, source
+    FROM user_weight_logs
+    WHERE user_id = ?
+    ORDER BY measured_at DESC, id DESC
+    LIMIT 1
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  return rows[0] || null;
+};
+
+// 获取体重历史
+export const getWeightHistory = async (userId, startDate, endDate) => {
+  const query = `
+    SELECT id, weight, measured_at, source
+    FROM user_weight_logs
+    WHERE user_id = ? AND measured_at >= ? AND measured_at < ?
+    ORDER BY measured_at ASC, id ASC
+  `;
+
+  const { rows } = await executeQuery(query, [
+    userId,
+    ...getLocalDayRange(startDate, endDate),
+  ]);
+  return rows.map(row => ({ ...row, weight: Number(row.weight) }));
+};
 
-  // 创建新目标
-  const goalData = {
-    user_id: userId,
-    daily_goal: goalValue,
-    goal_type: goalType,
-    is_active: true,
-    created_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+// 获取咖啡因和酒精摄入限制设置
+export const getIntakeLimitSettings = async userId => {
+  const query = `
+    SELECT
+      daily_caffeine_limit_mg, daily_alcohol_limit_units,
+      caffeine_cutoff_hours, limit_warnings_enabled,
+      wake_up_time, sleep_time, timezone
+    FROM users
+    WHERE id = ? AND deleted_at IS NULL
+  `;
+
+  const { rows } = await executeQuery(query, [userId]);
+  const settings = rows[0];
+  if (!settings) {
+    return null;
+  }
+
+  return {
+    ...settings,
+    daily_alcohol_limit_units: Number(settings.daily_alcohol_limit_units),
+    caffeine_cutoff_hours: Number(settings.caffeine_cutoff_hours),
+    limit_warnings_enabled: Boolean(settings.limit_warnings_enabled),
   };
+};
+
+// 更新咖啡因和酒精摄入限制设置
+export const updateIntakeLimitSettings = async (userId, settings) => {
+  const allowedFields = [
+    'daily_caffeine_limit_mg',
+    'daily_alcohol_limit_units',
+    'caffeine_cutoff_hours',
+    'limit_warnings_enabled',
+  ];
 
-  return await create('hydration_goals', goalData);
+  const filteredData = Object.keys(settings)
+    .filter(key => allowedFields.includes(key) && settings[key] !== undefined)
+    .reduce((obj, key) => {
+      obj[key] = settings[key];
+      return obj;
+    }, {});
+
+  if (Object.keys(filteredData).length === 0) {
+    return 0;
+  }
+
+  filteredData.updated_at = moment().format('YYYY-MM-DD HH:mm:ss');
+
+  return await update('users', filteredData, { id: userId });
+};
+
+// 更新用户饮水目标（长期每日目标）
+export const updateUserGoal = async (userId, goalValue) => {
+  return await setPrimaryDailyGoal(userId, goalValue);
 };
 
 // 修改密码
@@ -196,26 +385,44 @@ export const removeUserAvatar = async userId => {
 };
 
 // 获取目标达成率统计
+// 是否达成按有效补水量判断
 export const getGoalAchievementStats = async (userId, days = 30) => {
+  const coefficients = await hydrationCoefficients.getForUser(userId);
+  const effectiveAmount = effectiveAmountSql(coefficients, 'hr');
+  const { startDate, endDate } = getRecentDates(
+    await getUserTimezone(userId),
+    days
+  );
+
   const query = `
     SELECT 
-      DATE(hr.recorded_at) as date,
+      ${localDateSql('hr')} as date,
       SUM(hr.amount) as daily_intake,
-      hg.daily_goal,
+      ROUND(SUM(${effectiveAmount})) as effective_intake,
+      u.daily_water_goal as daily_goal,
       CASE 
-        WHEN SUM(hr.amount) >= hg.daily_goal THEN 1 
+        WHEN SUM(${effectiveAmount}) >= u.daily_water_goal THEN 1 
         ELSE 0 
       END as goal_achieved
     FROM hydration_records hr
-    LEFT JOIN hydration_goals hg ON hr.user_id = hg.user_id AND hg.is_active = true
+    JOIN users u ON hr.user_id = u.id
     WHERE hr.user_id = ? 
-      AND hr.recorded_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+      AND ${localRangeSql('hr')}
       AND hr.deleted_at IS NULL
-    GROUP BY DATE(hr.recorded_at), hg.daily_goal
+    GROUP BY ${localDateSql('hr')}, u.daily_water_goal
     ORDER BY date DESC
   `;
 
-  const { rows } = await executeQuery(query, [userId, days]);
+  const { rows: results } = await executeQuery(query, [
+    userId,
+    ...getLocalDayRange(startDate, endDate),
+  ]);
+  const rows = results.map(row => ({
+    ...row,
+    daily_intake: Number(row.daily_intake || 0),
+    effective_intake: Number(row.effective_intake || 0),
+    goal_achieved: Number(row.goal_achieved),
+  }));
 
   const totalDays = rows.length;
   const achievedDays = rows.filter(row => row.goal_achieved === 1).length;
@@ -232,27 +439,40 @@ export const getGoalAchievementStats = async (userId, days = 30) => {
 // 获取用户活跃度统计
 export const getUserActivityStats = async (userId, period = '30d') => {
   const days = period === '7d' ? 7 : period === '30d' ? 30 : 90;
+  const coefficients = await hydrationCoefficients.getForUser(userId);
+  const { startDate, endDate } = getRecentDates(
+    await getUserTimezone(userId),
+    days
+  );
 
   const query = `
     SELECT 
-      DATE(hr.recorded_at) as date,
+      ${localDateSql('hr')} as date,
       COUNT(hr.id) as record_count,
       SUM(hr.amount) as total_intake,
-      COUNT(DISTINCT HOUR(hr.recorded_at)) as active_hours
+      ROUND(SUM(${effectiveAmountSql(coefficients, 'hr')})) as effective_intake,
+      COUNT(DISTINCT HOUR(hr.local_recorded_at)) as active_hours
     FROM hydration_records hr
     WHERE hr.user_id = ? 
-      AND hr.recorded_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+      AND ${localRangeSql('hr')}
       AND hr.deleted_at IS NULL
-    GROUP BY DATE(hr.recorded_at)
+    GROUP BY ${localDateSql('hr')}
     ORDER BY date ASC
   `;
 
-  const { rows } = await executeQuery(query, [userId, days]);
+  const { rows } = await executeQuery(query, [
+    userId,
+    ...getLocalDayRange(startDate, endDate),
+  ]);
 
   return {
     period,
     total_days_with_records: rows.length,
-    daily_activity: rows,
+    daily_activity: rows.map(row => ({
+      ...row,
+      total_intake: Number(row.total_intake || 0),
+      effective_intake: Number(row.effective_intake || 0),
+    })),
     avg_records_per_day:
       rows.length > 0
         ? Math.round(
@@ -266,6 +486,10 @@ export const getUserActivityStats = async (userId, period = '30d') => {
 
 // 获取用户偏好统计（饮品类型、时间段等）
 export const getUserPreferences = async userId => {
+  const range = getLocalDayRange(
+    ...Object.values(getRecentDates(await getUserTimezone(userId), 30))
+  );
+
   // 饮品类型偏好
   const drinkTypesQuery = `
     SELECT 
@@ -275,29 +499,35 @@ export const getUserPreferences = async userId => {
       ROUND(AVG(amount), 0) as avg_amount
     FROM hydration_records
     WHERE user_id = ? 
-      AND recorded_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
+      AND ${localRangeSql()}
       AND deleted_at IS NULL
     GROUP BY drink_type
     ORDER BY count DESC
   `;
 
-  const { rows: drinkTypes } = await executeQuery(drinkTypesQuery, [userId]);
+  const { rows: drinkTypes } = await executeQuery(drinkTypesQuery, [
+    userId,
+    ...range,
+  ]);
 
-  // 时间段偏好
+  // 时间段偏好（按当地时间的小时）
   const timePatternQuery = `
     SELECT 
-      HOUR(recorded_at) as hour,
+      HOUR(local_recorded_at) as hour,
       COUNT(*) as count,
       AVG(amount) as avg_amount
     FROM hydration_records
     WHERE user_id = ? 
-      AND recorded_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
+      AND ${localRangeSql()}
       AND deleted_at IS NULL
-    GROUP BY HOUR(recorded_at)
+    GROUP BY HOUR(local_recorded_at)
     ORDER BY hour ASC
   `;
 
-  const { rows: timePattern } = await executeQuery(timePatternQuery, [userId]);
+  const { rows: timePattern } = await executeQuery(timePatternQuery, [
+    userId,
+    ...range,
+  ]);
 
   return {
     drink_types: drinkTypes,
@@ -305,39 +535,104 @@ export const getUserPreferences = async userId => {
   };
 };
 
-// 软删除用户账户
-export const deleteUserAccount = async userId => {
-  // 同时软删除相关数据
-  const tables = [
-    'hydration_records',
-    'reminder_settings',
-    'hydration_goals',
-    'user_statistics',
-  ];
-
-  // 更新用户状态
-  await update(
+// 申请删除账户，宽限期结束后彻底删除
+export const scheduleAccountDeletion = async (userId, scheduledFor) => {
+  return await update(
     'users',
     {
-      is_active: false,
-      deleted_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+      deletion_requested_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+      deletion_scheduled_for: moment(scheduledFor).format(
+        'YYYY-MM-DD HH:mm:ss'
+      ),
     },
     { id: userId }
   );
+};
 
-  // 软删除相关数据
-  for (const table of tables) {
-    await softDelete(table, { user_id: userId });
-  }
+// 取消删除账户
+export const cancelAccountDeletion = async userId => {
+  return await update(
+    'users',
+    { deletion_requested_at: null, deletion_scheduled_for: null },
+    { id: userId }
+  );
+};
 
-  // 注销所有会话
-  await update('user_sessions', { is_active: false }, { user_id: userId });
+// 为以前软删除、数据从未清理的账户安排删除（从现在开始重新计算宽限期）
+export const scheduleLegacyDeletions = async scheduledFor => {
+  const { rows } = await executeQuery(
+    `
+    UPDATE users
+    SET deletion_requested_at = deleted_at, deletion_scheduled_for = ?
+    WHERE deleted_at IS NOT NULL AND deletion_scheduled_for IS NULL
+  `,
+    [moment(scheduledFor).format('YYYY-MM-DD HH:mm:ss')]
+  );
+  return rows.affectedRows;
+};
 
-  businessLogger.info('User account deleted', { userId });
-  return true;
+// 获取宽限期已结束的账户
+export const getAccountsDueForPurge = async (limit = 50) => {
+  const query = `
+    SELECT id, avatar_url, deletion_requested_at, deletion_scheduled_for
+    FROM users
+    WHERE deletion_scheduled_for <= NOW()
+    ORDER BY deletion_scheduled_for ASC
+    LIMIT ${parseInt(limit, 10) || 50}
+  `;
+
+  const { rows } = await executeQuery(query);
+  return rows;
 };
 
-// 获取用户数据导出
+// 与用户关联的表，按依赖顺序删除
+const USER_DATA_TABLES = [
+  'reminder_logs',
+  'reminder_settings',
+  'calendar_busy_blocks',
+  'user_calendars',
+  'user_activities',
+  'user_weight_logs',
+  'hydration_record_revisions',
+  'hydration_records',
+  'user_drinks',
+  'user_hydration_coefficients',
+  'user_goals',
+  'user_statistics',
+  'user_achievements',
+  'user_sessions',
+  'device_pairing_codes',
+  'user_devices',
+  'idempotency_keys',
+  'import_jobs',
+  'export_jobs',
+  'app_logs',
+];
+
+// 彻底删除用户及其所有数据，返回各表删除的行数
+export const purgeUserData = async userId => {
+  return await transaction(async connection => {
+    const deleted = {};
+
+    for (const table of USER_DATA_TABLES) {
+      const [result] = await connection.execute(
+        `DELETE FROM ${table} WHERE user_id = ?`,
+        [userId]
+      );
+      deleted[table] = result.affectedRows;
+    }
+
+    const [result] = await connection.execute(
+      'DELETE FROM users WHERE id = ?',
+      [userId]
+    );
+    deleted.users = result.affectedRows;
+
+    return deleted;
+  });
+};
+
+// 获取用户数据快照（旧版 GET /users/export 直接返回，完整导出见 EXPORT_DATASETS）
 export const exportUserData = async userId => {
   const profile = await getUserProfile(userId);
   const statistics = await getUserStatistics(userId, '30d');
@@ -347,7 +642,7 @@ export const exportUserData = async userId => {
   const recordsQuery = `
     SELECT id, amount, drink_type, drink_name, recorded_at, location
     FROM hydration_records
-    WHERE user_id = ? 
+    WHERE user_id = ?
       AND deleted_at IS NULL
       AND recorded_at >= DATE_SUB(NOW(), INTERVAL 90 DAY)
     ORDER BY recorded_at DESC
@@ -363,3 +658,170 @@ export const exportUserData = async userId => {
     export_date: moment().format('YYYY-MM-DD HH:mm:ss'),
   };
 };
+
+// 数据导出包含的数据集：与用户关联的所有表（不导出密码哈希、会话令牌等凭证）
+export const EXPORT_DATASETS = {
+  profile: `
+    SELECT id, email, username, full_name, avatar_url, gender, date_of_birth,
+      height, weight, activity_level, daily_water_goal, auto_adjust_goal,
+      wake_up_time, sleep_time, daily_caffeine_limit_mg, daily_alcohol_limit_units,
+      caffeine_cutoff_hours, limit_warnings_enabled, timezone, locale,
+      latitude, longitude, location_name,
+      email_verified, is_active, is_premium, premium_expires_at,
+      google_id IS NOT NULL as google_linked, apple_id IS NOT NULL as apple_linked,
+      wechat_openid IS NOT NULL as wechat_linked,
+      data_sharing_enabled, analytics_enabled, created_at, updated_at, last_login_at
+    FROM users
+    WHERE id = ?
+  `,
+  hydration_records: `
+    SELECT id, amount, drink_type, drink_name, drink_id, caffeine_mg, sugar_g,
+      calories, alcohol_units, recorded_at, location, activity_context,
+      temperature, source, device_id, client_id, created_at, updated_at, deleted_at
+    FROM hydration_records
+    WHERE user_id = ?
+    ORDER BY recorded_at ASC, id ASC
+  `,
+  hydration_record_revisions: `
+    SELECT id, record_id, action, before_values, after_values, actor_type,
+      actor_id, reverted_by, created_at
+    FROM hydration_record_revisions
+    WHERE user_id = ?
+    ORDER BY id ASC
+  `,
+  goals: `
+    SELECT id, goal_type, target_value, target_unit, start_date, end_date,
+      is_active, is_achieved, achieved_at, current_streak, best_streak,
+      total_achieved_days, reminder_enabled, celebration_enabled,
+      created_at, updated_at, deleted_at
+    FROM user_goals
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `,
+  reminder_settings: `
+    SELECT id, strategy_type, is_enabled, fixed_interval_minutes, start_time,
+      end_time, weekday_enabled, weekend_enabled, weekend_start_time,
+      weekend_end_time, consider_weather, consider_activity,
+      consider_previous_intake, consider_calendar, do_not_disturb_enabled,
+      dnd_start_time, dnd_end_time, dnd_windows, paused_until, weekly_schedule,
+      date_exceptions, jet_lag_mode, previous_timezone, timezone_changed_at,
+      notification_type, notification_sound, delivery_target, custom_messages,
+      created_at, updated_at
+    FROM reminder_settings
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `,
+  calendars: `
+    SELECT id, name, source_type, source_url, is_active, busy_block_count,
+      last_synced_at, sync_error, created_at, updated_at
+    FROM user_calendars
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `,
+  activities: `
+    SELECT id, activity_type, intensity, started_at, local_started_at, timezone,
+      duration_minutes, estimated_sweat_loss_ml, goal_bonus_ml, source,
+      external_id, notes, created_at, updated_at
+    FROM user_activities
+    WHERE user_id = ?
+    ORDER BY started_at ASC, id ASC
+  `,
+  weight_history: `
+    SELECT id, weight, measured_at, source, created_at
+    FROM user_weight_logs
+    WHERE user_id = ?
+    ORDER BY measured_at ASC, id ASC
+  `,
+  reminder_logs: `
+    SELECT id, reminder_setting_id, scheduled_at, sent_at, message,
+      notification_type, status, response_type, responded_at, context,
+      attempts, activity_id, created_at
+    FROM reminder_logs
+    WHERE user_id = ?
+    ORDER BY scheduled_at ASC, id ASC
+  `,
+  statistics: `
+    SELECT stat_date, stat_type, total_intake, effective_intake,
+      goal_achievement_rate, record_count, water_percentage, tea_percentage,
+      coffee_percentage, other_percentage, morning_intake, afternoon_intake,
+      evening_intake, avg_interval_minutes, most_common_amount, peak_hour,
+      reminder_count, reminder_response_rate, consistency_score, health_score,
+      updated_at
+    FROM user_statistics
+    WHERE user_id = ?
+    ORDER BY stat_date ASC, stat_type ASC
+  `,
+  achievements: `
+    SELECT ua.achievement_id, a.name, a.description, a.category, a.points,
+      ua.earned_at, ua.progress_data, ua.is_displayed, ua.is_favorite
+    FROM user_achievements ua
+    JOIN achievements a ON ua.achievement_id = a.id
+    WHERE ua.user_id = ?
+    ORDER BY ua.earned_at ASC
+  `,
+  devices: `
+    SELECT id, device_id, device_name, device_type, platform,
+      push_token IS NOT NULL as has_push_token, push_enabled, is_primary,
+      is_active, last_sync_at, paired_at, firmware_version, battery_level,
+      battery_charging, last_reading_at, settings, created_at, updated_at,
+      last_active_at
+    FROM user_devices
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `,
+  sessions: `
+    SELECT id, device_id, is_active, expires_at, ip_address, user_agent,
+      location_info, created_at, last_used_at
+    FROM user_sessions
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `,
+  activity_logs: `
+    SELECT id, level, message, api_endpoint, http_method, ip_address,
+      error_code, metadata, created_at
+    FROM app_logs
+    WHERE user_id = ?
+    ORDER BY created_at ASC, id ASC
+  `,
+  hydration_coefficients: `
+    SELECT drink_type, coefficient, created_at, updated_at
+    FROM user_hydration_coefficients
+    WHERE user_id = ?
+    ORDER BY drink_type ASC
+  `,
+  drinks: `
+    SELECT id, name, drink_type, default_volume, icon, caffeine_mg, sugar_g,
+      calories, alcohol_abv, usage_count, last_used_at, created_at,
+      updated_at, deleted_at
+    FROM user_drinks
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `,
+  import_jobs: `
+    SELECT id, import_type, file_name, file_format, options, status,
+      total_rows, imported_rows, duplicate_rows, failed_rows, summary,
+      created_at, completed_at
+    FROM import_jobs
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `,
+  export_jobs: `
+    SELECT id, status, created_at, completed_at, expires_at, download_count
+    FROM export_jobs
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `,
+  idempotency_keys: `
+    SELECT idempotency_key, request_method, request_path, status,
+      response_status, created_at, expires_at
+    FROM idempotency_keys
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `,
+};
+
+// 获取用户单个数据集的完整数据
+export const exportUserDataset = async (userId, dataset) => {
+  const { rows } = await executeQuery(EXPORT_DATASETS[dataset], [userId]);
+  return rows;
+};
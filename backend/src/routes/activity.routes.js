@@ -0,0 +1,78 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import {
+  createActivity,
+  getActivities,
+  deleteActivity,
+  importHealthData,
+  getHealthImportJob,
+} from '../controllers/activity.controller.js';
+import { authenticate, checkAccountStatus } from '../middlewares/auth.js';
+import { uploadSingle } from '../middlewares/upload.js';
+import {
+  createActivityValidation,
+  getActivitiesValidation,
+  activityIdValidation,
+  importHealthDataValidation,
+  healthImportJobIdValidation,
+} from '../validators/activity.validators.js';
+import { HEALTH_IMPORT_EXTENSIONS } from '../utils/healthImportAdapters.js';
+import config from '../config/index.js';
+
+const router = express.Router();
+
+// 记录运动限流配置
+const activityLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15分钟
+  max: 60, // 最多60次记录
+  message: {
+    success: false,
+    error: 'RATE_LIMIT_EXCEEDED',
+    message: '请求过于频繁，请稍后再试',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// 导入限流配置
+const importLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1小时
+  max: 10, // 最多10次导入
+  message: {
+    success: false,
+    error: 'RATE_LIMIT_EXCEEDED',
+    message: '导入过于频繁，请稍后再试',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// 所有运动路由都需要认证
+router.use(authenticate);
+router.use(checkAccountStatus);
+
+// 记录运动
+router.post('/', activityLimiter, createActivityValidation, createActivity);
+
+// 获取运动记录列表
+router.get('/', getActivitiesValidation, getActivities);
+
+// 导入健康平台导出文件中的运动和体重
+router.post(
+  '/import',
+  importLimiter,
+  uploadSingle('file', {
+    maxSize: config.business.maxHealthImportFileSize,
+    extensions: HEALTH_IMPORT_EXTENSIONS,
+  }),
+  importHealthDataValidation,
+  importHealthData
+);
+
+// 获取导入任务状态
+router.get('/import/:jobId', healthImportJobIdValidation, getHealthImportJob);
+
+// 删除运动记录
+router.delete('/:activityId', activityIdValidation, deleteActivity);
+
+export default router;
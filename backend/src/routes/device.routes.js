@@ -0,0 +1,70 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import {
+  createPairingCode,
+  pairDevice,
+  uploadReadings,
+} from '../controllers/device.controller.js';
+import {
+  authenticate,
+  checkAccountStatus,
+  authenticateDevice,
+} from '../middlewares/auth.js';
+import {
+  createPairingCodeValidation,
+  pairDeviceValidation,
+  deviceReadingsValidation,
+} from '../validators/device.validators.js';
+
+const router = express.Router();
+
+// 配对限流配置（防止猜测配对码）
+const pairingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15分钟
+  max: 10, // 最多10次配对
+  message: {
+    success: false,
+    error: 'RATE_LIMIT_EXCEEDED',
+    message: '配对过于频繁，请稍后再试',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// 读数上报限流配置，按设备计数（多个设备可能共用同一个出口IP）
+const readingsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15分钟
+  max: 120, // 每个设备最多120次上报
+  keyGenerator: req => `device:${req.params.deviceId}`,
+  message: {
+    success: false,
+    error: 'RATE_LIMIT_EXCEEDED',
+    message: '上报过于频繁，请稍后再试',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// 生成配对码（用户登录后在应用中操作）
+router.post(
+  '/pairing-codes',
+  authenticate,
+  checkAccountStatus,
+  pairingLimiter,
+  createPairingCodeValidation,
+  createPairingCode
+);
+
+// 设备使用配对码换取设备密钥（设备尚无凭证，不需要用户登录）
+router.post('/pair', pairingLimiter, pairDeviceValidation, pairDevice);
+
+// 设备上报读数（使用 X-Device-Secret 认证）
+router.post(
+  '/:deviceId/readings',
+  readingsLimiter,
+  authenticateDevice,
+  deviceReadingsValidation,
+  uploadReadings
+);
+
+export default router;
@@ -9,22 +9,52 @@ import {
   addBatchRecords,
   getTodayProgress,
   getStatistics,
+  getCoefficients,
+  updateCoefficients,
+  getIntakeLimits,
+  updateIntakeLimits,
+  syncRecords,
+  importRecords,
+  getImportJob,
+  getRecordHistory,
+  restoreRecord,
+  undoLastChange,
 } from '../controllers/hydration.controller.js';
+import {
+  getDrinks,
+  getDrink,
+  createDrink,
+  updateDrink,
+  deleteDrink,
+} from '../controllers/drink.controller.js';
 import {
   authenticate,
   checkAccountStatus,
   requirePermission,
 } from '../middlewares/auth.js';
+import { idempotency } from '../middlewares/idempotency.js';
+import { uploadSingle } from '../middlewares/upload.js';
 import {
   addRecordValidation,
   addBatchRecordsValidation,
   updateRecordValidation,
   getRecordsValidation,
+  updateCoefficientsValidation,
+  drinkIdValidation,
+  getDrinksValidation,
+  createDrinkValidation,
+  updateDrinkValidation,
+  updateIntakeLimitsValidation,
+  syncRecordsValidation,
+  importRecordsValidation,
+  importJobIdValidation,
+  restoreRecordValidation,
 } from '../validators/hydration.validators.js';
 import { 
   paginationValidation, 
   recordIdValidation 
 } from '../validators/common.validators.js';
+import config from '../config/index.js';
 
 const router = express.Router();
 
@@ -71,17 +101,38 @@ const batchLimiter = rateLimit({
 router.use(authenticate);
 router.use(checkAccountStatus);
 
-// 添加饮水记录
-router.post('/', recordCreateLimiter, addRecordValidation, addRecord);
+// 添加饮水记录（支持 Idempotency-Key 请求头）
+router.post('/', recordCreateLimiter, idempotency(), addRecordValidation, addRecord);
 
-// 批量添加饮水记录
+// 批量添加饮水记录（支持 Idempotency-Key 请求头）
 router.post('/batch', 
   batchLimiter, 
   requirePermission('batch_operations'),
+  idempotency(),
   addBatchRecordsValidation, 
   addBatchRecords
 );
 
+// 离线同步饮水记录
+router.post('/sync', generalLimiter, syncRecordsValidation, syncRecords);
+
+// 导入历史饮水记录（CSV/JSON 文件）
+router.post('/import',
+  batchLimiter,
+  uploadSingle('file', {
+    maxSize: config.business.maxImportFileSize,
+    extensions: ['csv', 'json'],
+  }),
+  importRecordsValidation,
+  importRecords
+);
+
+// 获取导入任务状态
+router.get('/import/:jobId', importJobIdValidation, getImportJob);
+
+// 撤销最近一次饮水记录修改
+router.post('/undo', generalLimiter, undoLastChange);
+
 // 获取饮水记录列表
 router.get('/', generalLimiter, paginationValidation, getRecordsValidation, getRecords);
 
@@ -91,9 +142,42 @@ router.get('/today-progress', getTodayProgress);
 // 获取饮水统计信息
 router.get('/statistics', getStatistics);
 
+// 获取饮品补水系数
+router.get('/coefficients', getCoefficients);
+
+// 更新个人饮品补水系数
+router.put('/coefficients', generalLimiter, updateCoefficientsValidation, updateCoefficients);
+
+// 获取咖啡因和酒精摄入限制
+router.get('/limits', getIntakeLimits);
+
+// 更新咖啡因和酒精摄入限制
+router.put('/limits', generalLimiter, updateIntakeLimitsValidation, updateIntakeLimits);
+
+// 获取饮品目录
+router.get('/drinks', getDrinksValidation, getDrinks);
+
+// 创建饮品
+router.post('/drinks', generalLimiter, createDrinkValidation, createDrink);
+
+// 获取单个饮品
+router.get('/drinks/:drinkId', drinkIdValidation, getDrink);
+
+// 更新饮品
+router.put('/drinks/:drinkId', generalLimiter, updateDrinkValidation, updateDrink);
+
+// 删除饮品
+router.delete('/drinks/:drinkId', drinkIdValidation, deleteDrink);
+
 // 获取单条饮水记录
 router.get('/:recordId', recordIdValidation, getRecord);
 
+// 获取饮水记录修改历史
+router.get('/:recordId/history', recordIdValidation, getRecordHistory);
+
+// 恢复饮水记录（撤销该记录最近一次或指定的修改）
+router.post('/:recordId/restore', generalLimiter, restoreRecordValidation, restoreRecord);
+
 // 更新饮水记录
 router.put('/:recordId', generalLimiter, recordIdValidation, updateRecordValidation, updateRecord);
 
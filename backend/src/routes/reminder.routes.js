@@ -5,11 +5,16 @@ import {
   updateReminderSettings,
   getReminderHistory,
   triggerReminder,
+  pauseReminders,
+  resumeReminders,
   respondToReminder,
   getSmartReminderSuggestions,
   getReminderStatistics,
   updateDeviceToken,
   disableDevice,
+  addCalendar,
+  getCalendars,
+  deleteCalendar,
   testReminder,
 } from '../controllers/reminder.controller.js';
 import {
@@ -22,7 +27,12 @@ import {
   testReminderValidation,
   respondToReminderValidation,
   updateDeviceTokenValidation,
+  pauseRemindersValidation,
+  addCalendarValidation,
+  calendarIdValidation,
 } from '../validators/reminder.validators.js';
+import { uploadSingle } from '../middlewares/upload.js';
+import config from '../config/index.js';
 import { 
   paginationValidation,
   reminderIdValidation 
@@ -85,6 +95,12 @@ router.get('/history', paginationValidation, getReminderHistory);
 // 手动触发提醒
 router.post('/trigger', reminderLimiter, testReminderValidation, triggerReminder);
 
+// 暂停提醒 N 小时
+router.post('/pause', generalLimiter, pauseRemindersValidation, pauseReminders);
+
+// 恢复暂停的提醒
+router.delete('/pause', generalLimiter, resumeReminders);
+
 // 响应提醒（用户点击提醒后的反馈）
 router.post('/:reminderId/respond', reminderIdValidation, respondToReminderValidation, respondToReminder);
 
@@ -100,6 +116,24 @@ router.post('/device-token', deviceLimiter, updateDeviceTokenValidation, updateD
 // 禁用设备推送
 router.post('/device/disable', disableDevice);
 
+// 添加日历（上传 .ics 文件或填写订阅地址）
+router.post('/calendar',
+  generalLimiter,
+  uploadSingle('file', {
+    maxSize: config.business.maxCalendarFileSize,
+    extensions: ['ics'],
+    required: false,
+  }),
+  addCalendarValidation,
+  addCalendar
+);
+
+// 获取日历列表
+router.get('/calendar', getCalendars);
+
+// 删除日历
+router.delete('/calendar/:calendarId', generalLimiter, calendarIdValidation, deleteCalendar);
+
 // 测试提醒推送
 router.post('/test', 
   reminderLimiter, 
@@ -10,8 +10,30 @@ import {
   removeAvatar,
   getUserPreferences,
   exportUserData,
+  exportUserDataSnapshot,
+  getExportJob,
+  downloadExport,
   deleteAccount,
+  getAchievements,
+  updateAchievement,
+  getGoalRecommendation,
+  getWeightHistory,
+  updateTimezone,
 } from '../controllers/user.controller.js';
+import {
+  getGoals,
+  getGoalHistory,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  getGoalStreak,
+} from '../controllers/goal.controller.js';
+import {
+  getDevices,
+  updateDevice,
+  deleteDevice,
+} from '../controllers/device.controller.js';
 import {
   authenticate,
   checkAccountStatus,
@@ -22,7 +44,23 @@ import {
   updateWaterGoalValidation,
   changePasswordValidation,
   avatarUploadValidation,
+  updateAchievementValidation,
+  goalStreakValidation,
+  goalIdValidation,
+  goalListValidation,
+  createGoalValidation,
+  updateGoalValidation,
+  goalRecommendationValidation,
+  weightHistoryValidation,
+  exportJobIdValidation,
+  exportDownloadValidation,
+  deleteAccountValidation,
+  updateTimezoneValidation,
 } from '../validators/user.validators.js';
+import {
+  updateDeviceValidation,
+  deviceRecordIdValidation,
+} from '../validators/device.validators.js';
 
 const router = express.Router();
 
@@ -52,6 +90,9 @@ const sensitiveLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// 下载数据导出文件（邮件中的签名链接，无需登录）
+router.get('/export/:jobId/download', generalLimiter, exportDownloadValidation, downloadExport);
+
 // 所有用户路由都需要认证
 router.use(authenticate);
 router.use(checkAccountStatus);
@@ -62,12 +103,51 @@ router.get('/profile', getUserProfile);
 // 更新用户资料
 router.put('/profile', generalLimiter, updateProfileValidation, updateUserProfile);
 
+// 切换时区（重新安排提醒）
+router.put('/timezone', generalLimiter, updateTimezoneValidation, updateTimezone);
+
 // 获取用户统计信息
 router.get('/statistics', getUserStatistics);
 
 // 更新饮水目标
 router.put('/goal', generalLimiter, updateWaterGoalValidation, updateWaterGoal);
 
+// 获取推荐饮水目标
+router.get('/goal/recommendation', goalRecommendationValidation, getGoalRecommendation);
+
+// 获取体重历史（资料修改和健康数据导入）
+router.get('/weight/history', weightHistoryValidation, getWeightHistory);
+
+// 获取目标列表
+router.get('/goals', goalListValidation, getGoals);
+
+// 获取目标连续达成情况
+router.get('/goals/streak', goalStreakValidation, getGoalStreak);
+
+// 获取目标历史
+router.get('/goals/history', getGoalHistory);
+
+// 创建目标
+router.post('/goals', generalLimiter, createGoalValidation, createGoal);
+
+// 获取单个目标
+router.get('/goals/:goalId', goalIdValidation, getGoal);
+
+// 更新目标
+router.put('/goals/:goalId', generalLimiter, updateGoalValidation, updateGoal);
+
+// 删除目标
+router.delete('/goals/:goalId', generalLimiter, goalIdValidation, deleteGoal);
+
+// 获取设备列表
+router.get('/devices', getDevices);
+
+// 更新设备（名称、主设备、推送开关、设备配置）
+router.put('/devices/:id', generalLimiter, updateDeviceValidation, updateDevice);
+
+// 删除设备（同时移除在该设备上登录的会话）
+router.delete('/devices/:id', generalLimiter, deviceRecordIdValidation, deleteDevice);
+
 // 修改密码
 router.put('/password', sensitiveLimiter, changePasswordValidation, changePassword);
 
@@ -80,13 +160,26 @@ router.delete('/avatar', removeAvatar);
 // 获取用户偏好分析
 router.get('/preferences', getUserPreferences);
 
-// 导出用户数据
-router.get('/export', generalLimiter, exportUserData);
+// 获取用户成就
+router.get('/achievements', getAchievements);
+
+// 更新成就展示设置
+router.put('/achievements/:id', generalLimiter, updateAchievementValidation, updateAchievement);
+
+// 导出用户数据快照（旧接口，保留给已发布的客户端）
+router.get('/export', generalLimiter, exportUserDataSnapshot);
+
+// 申请导出用户数据（后台生成，完成后邮件通知）
+router.post('/export', sensitiveLimiter, exportUserData);
+
+// 获取数据导出任务状态
+router.get('/export/:jobId', exportJobIdValidation, getExportJob);
 
 // 删除用户账户
 router.delete('/account', 
   sensitiveLimiter, 
   requirePermission('delete_account'), 
+  deleteAccountValidation,
   deleteAccount
 );
 
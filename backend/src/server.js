@@ -26,6 +26,8 @@ import authRoutes from './routes/auth.routes.js';
 import userRoutes from './routes/user.routes.js';
 import hydrationRoutes from './routes/hydration.routes.js';
 import reminderRoutes from './routes/reminder.routes.js';
+import activityRoutes from './routes/activity.routes.js';
+import deviceRoutes from './routes/device.routes.js';
 
 // 工具类
 import HealthCheck from './utils/healthCheck.js';
@@ -97,8 +99,17 @@ class Server {
         origin: config.cors.origin,
         credentials: config.cors.credentials,
         methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-        allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
-        exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining'],
+        allowedHeaders: [
+          'Content-Type',
+          'Authorization',
+          'X-Request-ID',
+          'Idempotency-Key',
+        ],
+        exposedHeaders: [
+          'X-RateLimit-Limit',
+          'X-RateLimit-Remaining',
+          'Idempotent-Replayed',
+        ],
       })
     );
 
@@ -169,6 +180,8 @@ class Server {
     this.app.use(`${apiPrefix}/users`, userRoutes);
     this.app.use(`${apiPrefix}/hydration`, hydrationRoutes);
     this.app.use(`${apiPrefix}/reminders`, reminderRoutes);
+    this.app.use(`${apiPrefix}/activities`, activityRoutes);
+    this.app.use(`${apiPrefix}/devices`, deviceRoutes);
 
     // 根路径信息
     this.app.get('/', (req, res) => {
@@ -0,0 +1,180 @@
+import path from 'path';
+import fs from 'fs/promises';
+import moment from 'moment-timezone';
+import * as UserModel from '../models/user.model.js';
+import * as ExportJobModel from '../models/exportJob.model.js';
+import * as AppLogModel from '../models/appLog.model.js';
+import AuthService from './auth.js';
+import { logger, businessLogger, errorLogger } from './logger.js';
+import config from '../config/index.js';
+
+/**
+ * 账户删除
+ *
+ * 用户申请删除后进入宽限期，所有会话立即失效；宽限期内重新登录即取消删除。
+ * 宽限期结束后由定时任务彻底删除用户的所有数据库数据、头像和导出文件，
+ * 申请、取消和删除都会在 app_logs 中留下审计记录（删除后的记录不包含个人信息）。
+ */
+
+// 每次定时任务最多处理的账户数
+const PURGE_BATCH_SIZE = 50;
+
+class AccountDeletionService {
+  constructor(options = {}) {
+    this.userModel = options.userModel || UserModel;
+    this.exportJobModel = options.exportJobModel || ExportJobModel;
+    this.appLogModel = options.appLogModel || AppLogModel;
+    this.graceDays =
+      options.graceDays || config.business.accountDeletionGraceDays;
+  }
+
+  /**
+   * 申请删除账户
+   *
+   * @param {number} userId
+   * @param {Object} options { reason, feedback, req }
+   * @returns {Promise<Date>} 计划彻底删除的时间
+   */
+  async schedule(userId, { reason = null, feedback = null, req = null } = {}) {
+    const scheduledFor = moment().add(this.graceDays, 'days').toDate();
+
+    await this.userModel.scheduleAccountDeletion(userId, scheduledFor);
+    await AuthService.removeAllUserSessions(userId);
+
+    await this.appLogModel.createAuditLog({
+      userId,
+      action: 'account_deletion_requested',
+      metadata: { scheduled_for: scheduledFor, reason, feedback },
+      req,
+    });
+
+    businessLogger.userAction(userId, 'request_account_deletion', {
+      scheduledFor,
+    });
+
+    return scheduledFor;
+  }
+
+  // 取消删除账户（宽限期内登录时调用）
+  async cancel(userId, req = null) {
+    await this.userModel.cancelAccountDeletion(userId);
+
+    await this.appLogModel.createAuditLog({
+      userId,
+      action: 'account_deletion_cancelled',
+      req,
+    });
+
+    businessLogger.userAction(userId, 'cancel_account_deletion');
+  }
+
+  // 删除宽限期已结束的账户
+  async purgeDueAccounts() {
+    // 以前软删除的账户没有经过宽限期，先安排删除，到期后再清理
+    const scheduledFor = moment().add(this.graceDays, 'days').toDate();
+    const legacy = await this.userModel.scheduleLegacyDeletions(scheduledFor);
+    if (legacy > 0) {
+      businessLogger.systemEvent('legacy_account_deletions_scheduled', {
+        count: legacy,
+        scheduledFor,
+      });
+    }
+
+    const users = await this.userModel.getAccountsDueForPurge(PURGE_BATCH_SIZE);
+
+    let purged = 0;
+    for (const user of users) {
+      try {
+        await this.purgeAccount(user);
+        purged++;
+      } catch (error) {
+        errorLogger.database(error, 'purge_account', { userId: user.id });
+      }
+    }
+
+    return purged;
+  }
+
+  // 彻底删除单个账户
+  async purgeAccount(user) {
+    const exportFiles = await this.exportJobModel.getUserExportFiles(user.id);
+
+    // 先清除 Redis 中的会话，再删除数据库数据
+    await AuthService.removeAllUserSessions(user.id);
+    const deleted = await this.userModel.purgeUserData(user.id);
+
+    // 数据库数据已删除，文件删除失败只记录日志
+    const avatarRemoved = await this.removeAvatar(user.avatar_url).catch(
+      error => {
+        errorLogger.external('storage', error, { userId: user.id });
+        return false;
+      }
+    );
+    await Promise.all(exportFiles.map(file => fs.rm(file, { force: true })));
+
+    // 用户已删除，审计记录不再关联用户
+    await this.appLogModel.createAuditLog({
+      action: 'account_purged',
+      metadata: {
+        user_id: user.id,
+        requested_at: user.deletion_requested_at,
+        scheduled_for: user.deletion_scheduled_for,
+        deleted_rows: deleted,
+        deleted_files: exportFiles.length,
+        avatar_removed: avatarRemoved,
+      },
+    });
+
+    businessLogger.systemEvent('account_purged', { userId: user.id });
+  }
+
+  /**
+   * 删除头像文件（本地上传目录或 GCP 存储桶）
+   *
+   * @param {string|null} avatarUrl
+   * @returns {Promise<boolean|null>} 是否已删除，null 表示头像不是本应用保存的
+   */
+  async removeAvatar(avatarUrl) {
+    if (!avatarUrl) {
+      return null;
+    }
+
+    if (avatarUrl.startsWith('/uploads/')) {
+      const filePath = path.join(
+        config.upload.path,
+        avatarUrl.slice('/uploads/'.length)
+      );
+      await fs.rm(filePath, { force: true });
+      return true;
+    }
+
+    const { provider, gcp } = config.storage;
+    const gcpPrefix = `https://storage.googleapis.com/${gcp.bucket}/`;
+    if (provider === 'gcp' && gcp.bucket && avatarUrl.startsWith(gcpPrefix)) {
+      const { Storage } = await import('@google-cloud/storage');
+      const storage = new Storage({
+        projectId: gcp.projectId,
+        keyFilename: gcp.keyFilename,
+      });
+      await storage
+        .bucket(gcp.bucket)
+        .file(decodeURIComponent(avatarUrl.slice(gcpPrefix.length)))
+        .delete({ ignoreNotFound: true });
+      return true;
+    }
+
+    if (provider === 'aws') {
+      logger.warn('未配置S3客户端，头像需要手动删除', { avatarUrl });
+      return false;
+    }
+
+    // 第三方登录的头像链接，不属于本应用的存储
+    return null;
+  }
+}
+
+// 创建单例实例
+const accountDeletion = new AccountDeletionService();
+
+export { AccountDeletionService };
+export default accountDeletion;
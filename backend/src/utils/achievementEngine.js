@@ -0,0 +1,477 @@
+import moment from 'moment-timezone';
+import db from '../config/database.js';
+import config from '../config/index.js';
+import * as AchievementModel from '../models/achievement.model.js';
+import { getUserDevices } from '../models/reminder.model.js';
+import pushNotificationService from './pushNotification.js';
+import { errorLogger } from './logger.js';
+
+/**
+ * 成就规则引擎
+ *
+ * achievements.criteria 中的每个键是一条规则，所有规则同时满足才算达成，例如：
+ *   {"total_records": 1}                                  第一次记录
+ *   {"consecutive_days": 7}                               连续7天达成目标
+ *   {"total_amount": 100000}                              累计饮水量
+ *   {"daily_amount": 3000}                                单日饮水量
+ *   {"drink_types_per_day": 5}                            单日饮品种类
+ *   {"distinct_drink_types": 8}                           累计饮品种类
+ *   {"monthly_achievement": 30}                           单月达标天数
+ *   {"achieved_days": 10}                                 累计达标天数
+ *   {"time_of_day": {"start_hour": 5, "end_hour": 8, "days": 7}}  在某时段饮水的天数
+ *   {"season": {"months": [6, 7, 8]}, "daily_amount": 2500}       最近一个季节（可以跨年，如 [12, 1, 2]）内的统计
+ *
+ * 规则按"历史最佳"计算，因此只有修改或删除记录导致条件不再成立时才会撤销成就；
+ * 重新校验时使用获得成就时的每日目标，之后调整目标不会撤销已获得的成就。
+ * 可重复成就只统计上次获得之后的数据，并受 cooldown_days 限制。
+ */
+
+// 成就定义很少变化，缓存10分钟
+const DEFINITIONS_CACHE_KEY = 'achievements:active';
+const DEFINITIONS_CACHE_TTL = 600;
+
+const parseCriteria = criteria =>
+  typeof criteria === 'string' ? JSON.parse(criteria) : criteria;
+
+// 获得成就时的每日目标（早期的记录没有保存时返回 null）
+const getAwardedGoal = record => {
+  try {
+    const data =
+      typeof record.progress_data === 'string'
+        ? JSON.parse(record.progress_data)
+        : record.progress_data;
+    return data?.daily_goal ?? null;
+  } catch {
+    return null;
+  }
+};
+
+// 记录时间对应的日期，用于可重复成就只统计上次获得之后的数据
+const sinceOf = record =>
+  record ? moment(record.earned_at).format('YYYY-MM-DD') : null;
+
+// 评估成就需要的最早日期（季节成就只需要最近一个季节），null 表示需要全部历史数据
+const getDataStart = (criteria, since, now) => {
+  const rules = parseCriteria(criteria);
+  const season = rules.season
+    ? getSeasonWindow(rules.season.months || [], moment(now))
+    : null;
+
+  if (!season) {
+    return since;
+  }
+  return since && since > season.start ? since : season.start;
+};
+
+// 将聚合数据整理为按日期索引的每日汇总
+export const buildDailySummaries = activity => {
+  const days = new Map();
+
+  for (const row of activity) {
+    if (!days.has(row.date)) {
+      days.set(row.date, {
+        date: row.date,
+        amount: 0,
+        records: 0,
+        drinkTypes: new Set(),
+        hours: new Set(),
+      });
+    }
+
+    const day = days.get(row.date);
+    day.amount += row.total_amount;
+    day.records += row.record_count;
+    day.drinkTypes.add(row.drink_type);
+    day.hours.add(row.hour);
+  }
+
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// 计算最长连续达标天数
+const getLongestStreak = (days, dailyGoal) => {
+  let longest = 0;
+  let current = 0;
+  let previous = null;
+
+  for (const day of days) {
+    if (day.amount < dailyGoal) {
+      current = 0;
+      previous = null;
+      continue;
+    }
+
+    const isConsecutive =
+      previous && moment(day.date).diff(moment(previous), 'days') === 1;
+    current = isConsecutive ? current + 1 : 1;
+    previous = day.date;
+    longest = Math.max(longest, current);
+  }
+
+  return longest;
+};
+
+// 计算单月最多达标天数
+const getBestMonth = (days, dailyGoal) => {
+  const months = new Map();
+
+  for (const day of days) {
+    if (day.amount >= dailyGoal) {
+      const month = day.date.slice(0, 7);
+      months.set(month, (months.get(month) || 0) + 1);
+    }
+  }
+
+  return Math.max(0, ...months.values());
+};
+
+/**
+ * 计算最近一个季节的日期范围（当前所在的季节，不在季节内时为上一个季节）
+ *
+ * 季节月份连续，可以跨年，例如冬季 [12, 1, 2] 从12月1日开始到次年3月1日结束。
+ *
+ * @param {number[]} months 季节包含的月份
+ * @param {moment.Moment} now
+ * @returns {{ start: string, end: string }|null} 开始日期（含）和结束日期（不含）
+ */
+export const getSeasonWindow = (months, now) => {
+  const inSeason = date => months.includes(date.month() + 1);
+  const start = now.clone().startOf('month');
+
+  // 找到最近一个季节月份，再向前找到季节开始的月份
+  for (let i = 0; i < 12 && !inSeason(start); i++) {
+    start.subtract(1, 'month');
+  }
+  if (!inSeason(start)) {
+    return null;
+  }
+  for (let i = 0; i < 11 && inSeason(start.clone().subtract(1, 'month')); i++) {
+    start.subtract(1, 'month');
+  }
+
+  const end = start.clone();
+  for (let i = 0; i < 12 && inSeason(end); i++) {
+    end.add(1, 'month');
+  }
+
+  return { start: start.format('YYYY-MM-DD'), end: end.format('YYYY-MM-DD') };
+};
+
+// 各规则的当前值计算
+const metricCalculators = {
+  total_records: days => days.reduce((sum, day) => sum + day.records, 0),
+  total_amount: days => days.reduce((sum, day) => sum + day.amount, 0),
+  daily_amount: days => Math.max(0, ...days.map(day => day.amount)),
+  consecutive_days: (days, context) =>
+    getLongestStreak(days, context.dailyGoal),
+  monthly_achievement: (days, context) => getBestMonth(days, context.dailyGoal),
+  achieved_days: (days, context) =>
+    days.filter(day => day.amount >= context.dailyGoal).length,
+  drink_types_per_day: days =>
+    Math.max(0, ...days.map(day => day.drinkTypes.size)),
+  distinct_drink_types: days =>
+    new Set(days.flatMap(day => [...day.drinkTypes])).size,
+  time_of_day: (days, context, rule) =>
+    days.filter(day =>
+      [...day.hours].some(
+        hour => hour >= rule.start_hour && hour < rule.end_hour
+      )
+    ).length,
+};
+
+// 规则的目标值（time_of_day 的目标在 days 字段中）
+const getTarget = (key, rule) => (key === 'time_of_day' ? rule.days : rule);
+
+/**
+ * 评估一条成就的达成情况
+ *
+ * @param {Object|string} criteria 成就条件
+ * @param {Array} days buildDailySummaries 的结果
+ * @param {Object} context { dailyGoal, now, since }
+ * @returns {{ met: boolean, available: boolean, progress: number, rules: Array }}
+ */
+export const evaluateCriteria = (criteria, days, context) => {
+  const rules = parseCriteria(criteria);
+  const now = moment(context.now);
+  let window = context.since
+    ? days.filter(day => day.date > context.since)
+    : days;
+
+  // 季节窗口：只在指定月份内可获得，并且只统计最近一个季节的数据
+  let available = true;
+  if (rules.season) {
+    const months = rules.season.months || [];
+    const season = getSeasonWindow(months, now);
+    available = months.includes(now.month() + 1);
+    window = season
+      ? window.filter(day => day.date >= season.start && day.date < season.end)
+      : [];
+  }
+
+  const results = Object.keys(rules)
+    .filter(key => key !== 'season')
+    .map(key => {
+      const calculator = metricCalculators[key];
+      if (!calculator) {
+        return { rule: key, current: 0, target: null, met: false };
+      }
+
+      const target = getTarget(key, rules[key]);
+      const current = calculator(window, context, rules[key]);
+      return { rule: key, current, target, met: current >= target };
+    });
+
+  const progress =
+    results.length === 0
+      ? 0
+      : Math.min(
+          ...results.map(result =>
+            result.target ? Math.min(1, result.current / result.target) : 0
+          )
+        );
+
+  return {
+    met: available && results.length > 0 && results.every(r => r.met),
+    available,
+    progress: Math.round(progress * 100) / 100,
+    rules: results,
+  };
+};
+
+class AchievementEngine {
+  constructor(options = {}) {
+    this.model = options.model || AchievementModel;
+    this.transport = options.transport || pushNotificationService;
+    this.cache = options.cache || db;
+  }
+
+  // 获取启用的成就定义（缓存10分钟）
+  async getDefinitions() {
+    const cached = await this.cache.getCache(DEFINITIONS_CACHE_KEY);
+    if (cached) {
+      return cached;
+    }
+
+    const achievements = await this.model.getActiveAchievements();
+    await this.cache.setCache(
+      DEFINITIONS_CACHE_KEY,
+      achievements,
+      DEFINITIONS_CACHE_TTL
+    );
+    return achievements;
+  }
+
+  // 加载评估用户所需的每日汇总和每日目标，since 之前的数据不加载
+  async loadActivity(userId, since = null) {
+    const [activity, user] = await Promise.all([
+      this.model.getUserDailyActivity(userId, since),
+      this.model.getUserDailyGoal(userId),
+    ]);
+
+    return {
+      days: buildDailySummaries(activity),
+      dailyGoal: user?.daily_water_goal || config.business.defaultDailyGoal,
+    };
+  }
+
+  // 加载计算全部成就进度所需的数据
+  async loadUserContext(userId) {
+    const [achievements, earned, activity] = await Promise.all([
+      this.getDefinitions(),
+      this.model.getUserAchievementRecords(userId),
+      this.loadActivity(userId),
+    ]);
+
+    return { achievements, earned, ...activity };
+  }
+
+  /**
+   * 重新评估用户的成就，返回本次解锁和撤销的成就
+   *
+   * 只评估结果可能变化的成就，并且只加载这些成就用到的数据：
+   * 新增记录（added）只会让"历史最佳"变大，已获得的成就不需要重新校验，
+   * 不可重复的已获得成就直接跳过；可重复成就和季节成就只加载上次获得或季节开始之后的数据。
+   *
+   * @param {number} userId
+   * @param {Object} options { added } 本次只新增了记录（没有修改或删除）
+   * @returns {Promise<{ unlocked: Array, revoked: Array }>}
+   */
+  async evaluateUser(userId, { added = false } = {}) {
+    const result = { unlocked: [], revoked: [] };
+
+    try {
+      const [achievements, earned] = await Promise.all([
+        this.getDefinitions(),
+        this.model.getUserAchievementRecords(userId),
+      ]);
+      const now = moment();
+
+      const checks = [];
+      for (const achievement of achievements) {
+        const [latest, previous] = earned.filter(
+          item => item.achievement_id === achievement.id
+        );
+        const recheck = Boolean(latest) && !added;
+        if (latest && !achievement.is_repeatable && !recheck) {
+          continue;
+        }
+
+        const starts = [];
+        if (recheck) {
+          starts.push(
+            getDataStart(
+              achievement.criteria,
+              achievement.is_repeatable ? sinceOf(previous) : null,
+              latest.earned_at
+            )
+          );
+        }
+        if (!latest || achievement.is_repeatable) {
+          starts.push(
+            getDataStart(
+              achievement.criteria,
+              achievement.is_repeatable ? sinceOf(latest) : null,
+              now
+            )
+          );
+        }
+        checks.push({ achievement, latest, previous, recheck, starts });
+      }
+
+      if (checks.length === 0) {
+        return result;
+      }
+
+      const starts = checks.flatMap(check => check.starts);
+      const since = starts.includes(null) ? null : starts.sort()[0];
+      const { days, dailyGoal } = await this.loadActivity(userId, since);
+
+      for (const { achievement, latest, previous, recheck } of checks) {
+        // 已获得的成就：按获得时的目标重新校验最近一次获得是否仍然成立
+        if (recheck) {
+          const check = evaluateCriteria(achievement.criteria, days, {
+            dailyGoal: getAwardedGoal(latest) ?? dailyGoal,
+            now: latest.earned_at,
+            since: achievement.is_repeatable ? sinceOf(previous) : null,
+          });
+
+          if (!check.met) {
+            await this.model.revokeAchievement(userId, latest.id);
+            result.revoked.push({ id: achievement.id, name: achievement.name });
+            continue;
+          }
+
+          if (!achievement.is_repeatable) {
+            continue;
+          }
+        }
+
+        const evaluation = evaluateCriteria(achievement.criteria, days, {
+          dailyGoal,
+          now,
+          since: achievement.is_repeatable ? sinceOf(latest) : null,
+        });
+
+        if (!evaluation.met) {
+          continue;
+        }
+
+        const userAchievementId = await this.model.awardAchievement(
+          userId,
+          achievement,
+          { rules: evaluation.rules, daily_goal: dailyGoal }
+        );
+
+        if (userAchievementId) {
+          result.unlocked.push({
+            id: achievement.id,
+            user_achievement_id: userAchievementId,
+            name: achievement.name,
+            description: achievement.description,
+            difficulty: achievement.difficulty,
+            points: achievement.points,
+            unlock_message: achievement.unlock_message,
+          });
+        }
+      }
+
+      for (const achievement of result.unlocked) {
+        await this.notifyUnlock(userId, achievement);
+      }
+    } catch (error) {
+      errorLogger.database(error, 'evaluate_achievements', { userId });
+    }
+
+    return result;
+  }
+
+  // 计算未获得成就的进度（隐藏成就不返回）
+  async getProgress(userId) {
+    const { achievements, earned, days, dailyGoal } =
+      await this.loadUserContext(userId);
+    const earnedIds = new Set(earned.map(item => item.achievement_id));
+
+    return achievements
+      .filter(
+        achievement =>
+          !achievement.is_hidden &&
+          (!earnedIds.has(achievement.id) || achievement.is_repeatable)
+      )
+      .map(achievement => {
+        const latest = earned.find(
+          item => item.achievement_id === achievement.id
+        );
+        const evaluation = evaluateCriteria(achievement.criteria, days, {
+          dailyGoal,
+          now: moment(),
+          since: achievement.is_repeatable ? sinceOf(latest) : null,
+        });
+
+        return {
+          id: achievement.id,
+          name: achievement.name,
+          description: achievement.description,
+          icon_url: achievement.icon_url,
+          category: achievement.category,
+          difficulty: achievement.difficulty,
+          points: achievement.points,
+          is_repeatable: Boolean(achievement.is_repeatable),
+          available: evaluation.available,
+          progress: evaluation.progress,
+          rules: evaluation.rules,
+        };
+      });
+  }
+
+  // 成就解锁推送
+  async notifyUnlock(userId, achievement) {
+    try {
+      const devices = await getUserDevices(userId);
+
+      for (const device of devices) {
+        await this.transport.sendGoalAchievementNotification(
+          device.push_token,
+          {
+            userId,
+            achievementId: achievement.id,
+            name: achievement.name,
+            message: achievement.unlock_message || achievement.description,
+            points: achievement.points,
+          },
+          device.platform || 'android'
+        );
+      }
+    } catch (error) {
+      errorLogger.external('achievement_notification', error, {
+        userId,
+        achievementId: achievement.id,
+      });
+    }
+  }
+}
+
+// 创建单例实例
+const achievementEngine = new AchievementEngine();
+
+export { AchievementEngine };
+export default achievementEngine;
@@ -0,0 +1,183 @@
+import moment from 'moment-timezone';
+
+/**
+ * 运动补水
+ *
+ * 按运动类型、强度、时长和体重估算出汗量，运动当天的目标增加出汗量的 GOAL_BONUS_RATIO 倍，
+ * 并为每次运动安排运动前、运动中和运动后的补水提醒。
+ *
+ * 纯函数实现，数据库读写由 activity.model.js 和 reminder.model.js 负责。
+ */
+
+// 运动类型、名称和出汗系数（相对于同强度的一般运动）
+export const ACTIVITY_TYPES = {
+  running: { label: '跑步', sweat_factor: 1.2 },
+  cycling: { label: '骑行', sweat_factor: 1.0 },
+  swimming: { label: '游泳', sweat_factor: 0.6 },
+  walking: { label: '步行', sweat_factor: 0.5 },
+  hiking: { label: '徒步', sweat_factor: 0.8 },
+  strength: { label: '力量训练', sweat_factor: 0.7 },
+  yoga: { label: '瑜伽', sweat_factor: 0.4 },
+  hiit: { label: '高强度间歇训练', sweat_factor: 1.2 },
+  team_sports: { label: '球类运动', sweat_factor: 1.1 },
+  other: { label: '运动', sweat_factor: 0.8 },
+};
+
+// 各强度下体重70kg时每小时的出汗量(ml)
+export const SWEAT_RATE_BY_INTENSITY = {
+  low: 400,
+  moderate: 700,
+  high: 1000,
+};
+
+export const ACTIVITY_INTENSITIES = Object.keys(SWEAT_RATE_BY_INTENSITY);
+
+export const ACTIVITY_SOURCES = [
+  'manual',
+  'apple_health',
+  'google_fit',
+  'garmin',
+  'fitness_tracker',
+  'other',
+];
+
+// 出汗量按体重换算的参考体重(kg)和系数范围
+const REFERENCE_WEIGHT = 70;
+const MIN_WEIGHT_FACTOR = 0.6;
+const MAX_WEIGHT_FACTOR = 1.6;
+
+// 运动后补充出汗量的比例（补水量需要略多于流失量）
+export const GOAL_BONUS_RATIO = 1.25;
+
+// 运动前提醒：提前多少分钟、各强度建议的饮水量(ml)
+const PRE_WORKOUT_MINUTES = 30;
+const PRE_WORKOUT_ML = { low: 250, moderate: 400, high: 500 };
+
+// 运动中提醒：时长达到多少分钟才提醒、提醒间隔和单次上限
+const MID_WORKOUT_MIN_DURATION = 45;
+const MID_WORKOUT_INTERVAL = 20;
+const MID_WORKOUT_MAX_ML = 250;
+
+// 运动结束后多久内补记录仍然发送运动后提醒(分钟)
+const POST_WORKOUT_WINDOW = 120;
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+/**
+ * 估算运动出汗量(ml)
+ *
+ * @param {Object} activity
+ * @param {string} activity.activityType
+ * @param {number} activity.durationMinutes
+ * @param {string} activity.intensity low、moderate、high
+ * @param {number|null} activity.weight 体重(kg)，未填写时按70kg计算
+ * @returns {number} 取整到10ml
+ */
+export const estimateSweatLoss = ({
+  activityType,
+  durationMinutes,
+  intensity = 'moderate',
+  weight = null,
+}) => {
+  const typeFactor = (ACTIVITY_TYPES[activityType] || ACTIVITY_TYPES.other)
+    .sweat_factor;
+  const rate =
+    SWEAT_RATE_BY_INTENSITY[intensity] || SWEAT_RATE_BY_INTENSITY.moderate;
+  const weightFactor = weight
+    ? Math.min(
+        MAX_WEIGHT_FACTOR,
+        Math.max(MIN_WEIGHT_FACTOR, Number(weight) / REFERENCE_WEIGHT)
+      )
+    : 1;
+
+  return roundTo(
+    (rate * typeFactor * weightFactor * Number(durationMinutes)) / 60,
+    10
+  );
+};
+
+// 运动当天目标的增加量(ml)，取整到50ml
+export const calculateGoalBonus = sweatLossMl =>
+  roundTo(sweatLossMl * GOAL_BONUS_RATIO, 50);
+
+// 是否按运动调整目标和安排运动提醒
+export const isActivityAware = settings =>
+  Boolean(settings) &&
+  (settings.strategy_type === 'activity_based' ||
+    (settings.consider_activity !== false && settings.consider_activity !== 0));
+
+/**
+ * 安排运动前、运动中和运动后的补水提醒
+ *
+ * 已经过去的提醒不再安排；运动结束后 POST_WORKOUT_WINDOW 分钟内补记录的运动立即发送运动后提醒。
+ *
+ * @param {Object} activity { activity_type, intensity, started_at, duration_minutes, estimated_sweat_loss_ml }
+ * @param {Object} options { now }
+ * @returns {Array<{ phase: string, at: moment.Moment, amount_ml: number, message: string }>}
+ */
+export const planWorkoutPrompts = (activity, { now = new Date() } = {}) => {
+  const current = moment(now);
+  const start = moment(activity.started_at);
+  const end = start.clone().add(activity.duration_minutes, 'minutes');
+  const label = (ACTIVITY_TYPES[activity.activity_type] || ACTIVITY_TYPES.other)
+    .label;
+  const sweatLoss = Number(activity.estimated_sweat_loss_ml) || 0;
+  const prompts = [];
+
+  // 运动前
+  const preAt = start.clone().subtract(PRE_WORKOUT_MINUTES, 'minutes');
+  if (!preAt.isBefore(current)) {
+    const amount =
+      PRE_WORKOUT_ML[activity.intensity] || PRE_WORKOUT_ML.moderate;
+    prompts.push({
+      phase: 'pre',
+      at: preAt,
+      amount_ml: amount,
+      message: `🏃 ${PRE_WORKOUT_MINUTES}分钟后开始${label}，先喝${amount}ml水吧`,
+    });
+  }
+
+  // 运动中，按出汗速度少量多次补水
+  let midTotal = 0;
+  if (activity.duration_minutes >= MID_WORKOUT_MIN_DURATION) {
+    const amount = Math.min(
+      MID_WORKOUT_MAX_ML,
+      roundTo(
+        (sweatLoss / activity.duration_minutes) * MID_WORKOUT_INTERVAL,
+        10
+      )
+    );
+
+    for (
+      let at = start.clone().add(MID_WORKOUT_INTERVAL, 'minutes');
+      at.isBefore(end.clone().subtract(10, 'minutes'));
+      at = at.clone().add(MID_WORKOUT_INTERVAL, 'minutes')
+    ) {
+      midTotal += amount;
+      if (!at.isBefore(current) && amount > 0) {
+        prompts.push({
+          phase: 'mid',
+          at,
+          amount_ml: amount,
+          message: `💧 ${label}中记得补水，现在喝${amount}ml左右`,
+        });
+      }
+    }
+  }
+
+  // 运动后，补充剩余的流失量
+  if (current.diff(end, 'minutes') <= POST_WORKOUT_WINDOW) {
+    const amount = Math.max(
+      200,
+      roundTo(sweatLoss * GOAL_BONUS_RATIO - midTotal, 50)
+    );
+    prompts.push({
+      phase: 'post',
+      at: end.isBefore(current) ? current.clone() : end,
+      amount_ml: amount,
+      message: `✅ ${label}结束，估计出汗约${sweatLoss}ml，接下来1-2小时内补充${amount}ml水吧`,
+    });
+  }
+
+  return prompts;
+};
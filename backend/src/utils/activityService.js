@@ -0,0 +1,131 @@
+import * as ActivityModel from '../models/activity.model.js';
+import * as ReminderModel from '../models/reminder.model.js';
+import * as UserModel from '../models/user.model.js';
+import {
+  estimateSweatLoss,
+  calculateGoalBonus,
+  isActivityAware,
+  planWorkoutPrompts,
+} from './activityHydration.js';
+import { businessLogger } from './logger.js';
+
+/**
+ * 运动记录
+ *
+ * 记录运动时估算出汗量；开启了 consider_activity 或使用 activity_based 策略的用户，
+ * 运动当天的目标增加（增加量在记录时确定并保存），并安排运动前、中、后的补水提醒。
+ */
+
+class ActivityService {
+  constructor(options = {}) {
+    this.model = options.model || ActivityModel;
+    this.reminderModel = options.reminderModel || ReminderModel;
+    this.userModel = options.userModel || UserModel;
+  }
+
+  /**
+   * 记录一次运动
+   *
+   * @param {number} userId
+   * @param {Object} data { activity_type, intensity, started_at, duration_minutes, source, external_id, notes, timezone }
+   * @param {Object} options { schedulePrompts } 导入历史运动时可以不安排提醒
+   * @returns {Promise<Object>} { activity, prompts } 或 { error, message }
+   */
+  async logActivity(userId, data, { schedulePrompts = true } = {}) {
+    const source = data.source || 'manual';
+    if (data.external_id) {
+      const existing = await this.model.findActivityByExternalId(
+        userId,
+        source,
+        data.external_id
+      );
+      if (existing) {
+        return {
+          error: 'DUPLICATE_ACTIVITY',
+          message: '该运动已经记录过',
+          activity_id: existing.id,
+        };
+      }
+    }
+
+    const [profile, settings] = await Promise.all([
+      this.userModel.getGoalProfile(userId),
+      this.reminderModel.getUserReminderSettings(userId),
+    ]);
+
+    const sweatLoss = estimateSweatLoss({
+      activityType: data.activity_type,
+      durationMinutes: data.duration_minutes,
+      intensity: data.intensity,
+      weight: profile?.weight,
+    });
+    const activityAware = isActivityAware(settings);
+
+    const activityId = await this.model.createActivity(userId, {
+      ...data,
+      source,
+      estimated_sweat_loss_ml: sweatLoss,
+      goal_bonus_ml: activityAware ? calculateGoalBonus(sweatLoss) : 0,
+    });
+    const activity = await this.model.getActivityById(activityId, userId);
+
+    // 提醒关闭或不按运动提醒时只记录
+    let prompts = [];
+    if (schedulePrompts && activityAware && settings.is_enabled) {
+      prompts = planWorkoutPrompts(activity);
+      await this.reminderModel.scheduleActivityPrompts(
+        userId,
+        activity,
+        prompts,
+        settings.id
+      );
+    }
+
+    businessLogger.userAction(userId, 'activity_logged', {
+      activityId,
+      activityType: activity.activity_type,
+      durationMinutes: activity.duration_minutes,
+      sweatLoss,
+      source,
+    });
+
+    return {
+      activity,
+      prompts: prompts.map(prompt => ({
+        phase: prompt.phase,
+        scheduled_at: prompt.at.toISOString(),
+        amount_ml: prompt.amount_ml,
+      })),
+    };
+  }
+
+  // 获取运动记录列表
+  async listActivities(userId, filters = {}, pagination = {}) {
+    return await this.model.getActivities(userId, filters, pagination);
+  }
+
+  // 删除运动记录及尚未发送的补水提醒
+  async removeActivity(userId, activityId) {
+    const activity = await this.model.getActivityById(activityId, userId);
+    if (!activity) {
+      return { error: 'ACTIVITY_NOT_FOUND', message: '运动记录不存在' };
+    }
+
+    const cancelledPrompts =
+      await this.reminderModel.cancelActivityPrompts(activityId);
+    await this.model.deleteActivity(activityId, userId);
+
+    businessLogger.userAction(userId, 'activity_deleted', {
+      activityId,
+      cancelledPrompts,
+    });
+
+    return { cancelled_prompts: cancelledPrompts };
+  }
+}
+
+// 创建单例实例
+const activityService = new ActivityService();
+
+export { ActivityService };
+export default activityService;
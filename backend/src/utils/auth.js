@@ -332,6 +332,30 @@ class AuthService {
     }
   }
 
+  // 移除在某个设备上登录的会话（删除设备时），返回移除的会话数
+  static async removeDeviceSessions(userId, deviceId) {
+    const query =
+      'SELECT session_token FROM user_sessions WHERE user_id = ? AND device_id = ? AND is_active = true';
+    const { rows: sessions } = await db.query(query, [userId, deviceId]);
+
+    if (sessions.length === 0) {
+      return 0;
+    }
+
+    await db.query(
+      'UPDATE user_sessions SET is_active = false WHERE user_id = ? AND device_id = ?',
+      [userId, deviceId]
+    );
+
+    await Promise.all(
+      sessions.map(session =>
+        db.deleteCache(`session:${session.session_token}`)
+      )
+    );
+
+    return sessions.length;
+  }
+
   // 清理过期会话
   static async cleanupExpiredSessions() {
     try {
@@ -0,0 +1,106 @@
+import moment from 'moment-timezone';
+import config from '../config/index.js';
+import { fitReminderTime } from './reminderWindow.js';
+
+/**
+ * 提醒避开日历中的会议
+ *
+ * 计划的提醒时间落在忙碌时间段内时，优先改为会议开始前 calendarNudgeMinutes 分钟提醒；
+ * 会议前来不及（距离现在太近）或不在提醒时间段内时，改为会议结束后立即提醒。
+ *
+ * 纯函数实现，忙碌时间段由 calendar.model.js 查询。
+ */
+
+// 合并重叠或首尾相接的忙碌时间段
+export const mergeBusyBlocks = blocks => {
+  const sorted = [...blocks]
+    .map(block => ({
+      start: moment(block.start),
+      end: moment(block.end),
+      summaries: block.summary ? [block.summary] : [],
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  return sorted.reduce((merged, block) => {
+    const last = merged[merged.length - 1];
+    if (last && !block.start.isAfter(last.end)) {
+      if (block.end.isAfter(last.end)) {
+        last.end = block.end;
+      }
+      last.summaries.push(...block.summaries);
+    } else {
+      merged.push(block);
+    }
+    return merged;
+  }, []);
+};
+
+// at 所在的忙碌时间段
+export const findBusyBlock = (mergedBlocks, at) =>
+  mergedBlocks.find(
+    block => !at.isBefore(block.start) && at.isBefore(block.end)
+  ) || null;
+
+// 保存在 reminder_logs.context 中的调整原因
+const describe = (reason, block, originalAt) => ({
+  reason,
+  meeting: block.summaries.join(', ').substring(0, 200) || null,
+  busy_start: block.start.toISOString(),
+  busy_end: block.end.toISOString(),
+  original_time: originalAt.toISOString(),
+});
+
+/**
+ * 调整提醒时间避开会议
+ *
+ * @param {Object} settings 提醒设置
+ * @param {moment.Moment} at 已经调整到提醒时间段内的计划提醒时间
+ * @param {Array} blocks 忙碌时间段 { start, end, summary }
+ * @param {Object} options { now, nudgeMinutes, minLeadMinutes }
+ * @returns {{ at: moment.Moment, calendar: Object|null }|null} 找不到可以提醒的时间时返回 null
+ */
+export const planAroundMeetings = (
+  settings,
+  at,
+  blocks,
+  {
+    now = new Date(),
+    nudgeMinutes = config.business.calendarNudgeMinutes,
+    minLeadMinutes = config.business.reminderMinInterval,
+  } = {}
+) => {
+  const merged = mergeBusyBlocks(blocks);
+  let block = findBusyBlock(merged, at);
+  if (!block) {
+    return { at, calendar: null };
+  }
+
+  // 会议开始前提醒
+  const before = block.start.clone().subtract(nudgeMinutes, 'minutes');
+  const earliest = moment(now).add(minLeadMinutes, 'minutes');
+  if (!before.isBefore(earliest) && !findBusyBlock(merged, before)) {
+    const fitted = fitReminderTime(settings, before);
+    if (fitted && fitted.isSame(before)) {
+      return {
+        at: fitted,
+        calendar: describe('before_meeting', block, at),
+      };
+    }
+  }
+
+  // 会议结束后提醒（结束后紧接着的会议继续顺延）
+  for (let i = 0; i < merged.length; i++) {
+    const next = fitReminderTime(settings, block.end);
+    if (!next) {
+      return null;
+    }
+
+    const nextBlock = findBusyBlock(merged, next);
+    if (!nextBlock) {
+      return { at: next, calendar: describe('after_meeting', block, at) };
+    }
+    block = nextBlock;
+  }
+
+  return null;
+};
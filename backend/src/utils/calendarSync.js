@@ -0,0 +1,310 @@
+import axios from 'axios';
+import dns from 'node:dns';
+import net from 'node:net';
+import moment from 'moment-timezone';
+import * as CalendarModel from '../models/calendar.model.js';
+import * as ReminderModel from '../models/reminder.model.js';
+import { getUserTimezone } from '../models/user.model.js';
+import { parseCalendar, expandBusyBlocks } from './icalendar.js';
+import { businessLogger, errorLogger } from './logger.js';
+import config from '../config/index.js';
+
+/**
+ * 日历同步
+ *
+ * 用户上传 .ics 文件或填写订阅地址，服务端解析后把未来 calendarHorizonDays 天的
+ * 忙碌时间展开保存到 calendar_busy_blocks，提醒调度时避开这些时间段。
+ * 定时任务定期重新下载订阅的日历，上传的日历按保存的内容向后展开重复事件。
+ */
+
+// 下载订阅日历的超时时间(毫秒)
+const FETCH_TIMEOUT = 10000;
+
+// 内网和本机地址，订阅地址不允许指向这些地址
+const isPrivateAddress = address => {
+  if (net.isIPv6(address)) {
+    const normalized = address.toLowerCase();
+    if (normalized.startsWith('::ffff:')) {
+      return isPrivateAddress(normalized.slice(7));
+    }
+    return (
+      normalized === '::1' ||
+      normalized === '::' ||
+      /^f[cd]/.test(normalized) ||
+      /^fe[89ab]/.test(normalized)
+    );
+  }
+
+  const [a, b] = address.split('.').map(Number);
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168)
+  );
+};
+
+// DNS 解析时拒绝内网地址（重定向后的地址同样检查）
+const publicLookup = async (hostname, options) => {
+  const { address, family } = await dns.promises.lookup(hostname, {
+    family: options?.family || 0,
+  });
+  if (isPrivateAddress(address)) {
+    throw new Error('不允许访问内网地址');
+  }
+  return [address, family];
+};
+
+/**
+ * 规范化订阅地址，webcal:// 按 https:// 处理
+ *
+ * @param {string} url
+ * @returns {string|null} 无效的地址返回 null
+ */
+export const normalizeCalendarUrl = url => {
+  let parsed;
+  try {
+    parsed = new URL(
+      String(url)
+        .trim()
+        .replace(/^webcals?:\/\//i, 'https://')
+    );
+  } catch {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return null;
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (
+    hostname === 'localhost' ||
+    (net.isIP(hostname) && isPrivateAddress(hostname))
+  ) {
+    return null;
+  }
+
+  return parsed.toString();
+};
+
+// 接口返回的日历格式（不包含上传的文件内容）
+const formatCalendar = calendar => {
+  if (!calendar) {
+    return null;
+  }
+
+  const formatted = { ...calendar };
+  delete formatted.content;
+  return formatted;
+};
+
+class CalendarSyncService {
+  constructor(options = {}) {
+    this.model = options.model || CalendarModel;
+    this.reminderModel = options.reminderModel || ReminderModel;
+    this.httpClient = options.httpClient || axios;
+    this.horizonDays =
+      options.horizonDays || config.business.calendarHorizonDays;
+    this.maxFileSize =
+      options.maxFileSize || config.business.maxCalendarFileSize;
+    this.maxCalendars =
+      options.maxCalendars || config.business.maxCalendarsPerUser;
+    this.refreshMinutes =
+      options.refreshMinutes || config.business.calendarRefreshMinutes;
+  }
+
+  /**
+   * 添加日历并按新的忙碌时间重新安排提醒
+   *
+   * @param {number} userId
+   * @param {Object} source { content, url, name, fileName }，content 和 url 二选一
+   * @returns {Promise<Object>} { calendar, reminders } 或 { error, message }
+   */
+  async addCalendar(
+    userId,
+    { content = null, url = null, name = null, fileName = null }
+  ) {
+    if ((await this.model.countUserCalendars(userId)) >= this.maxCalendars) {
+      return {
+        error: 'CALENDAR_LIMIT_EXCEEDED',
+        message: `最多只能添加${this.maxCalendars}个日历`,
+      };
+    }
+
+    let sourceUrl = null;
+    let text = content;
+    if (url) {
+      sourceUrl = normalizeCalendarUrl(url);
+      if (!sourceUrl) {
+        return { error: 'INVALID_CALENDAR_URL', message: '日历订阅地址无效' };
+      }
+
+      try {
+        text = await this.download(sourceUrl);
+      } catch (error) {
+        return {
+          error: 'CALENDAR_FETCH_FAILED',
+          message: `下载日历失败: ${error.message}`,
+        };
+      }
+    }
+
+    const timezone = await getUserTimezone(userId);
+    let parsed;
+    try {
+      parsed = parseCalendar(text, { timezone });
+    } catch (error) {
+      return { error: 'INVALID_CALENDAR', message: error.message };
+    }
+
+    const calendarId = await this.model.createCalendar(userId, {
+      name: (name || parsed.name || fileName || '日历').substring(0, 100),
+      source_type: sourceUrl ? 'url' : 'upload',
+      source_url: sourceUrl,
+      content: sourceUrl ? null : text,
+    });
+    const blockCount = await this.storeBusyBlocks(
+      calendarId,
+      userId,
+      parsed.events
+    );
+
+    // 已安排的提醒可能落在会议中
+    const reminders = await this.reminderModel.rescheduleReminders(userId);
+
+    businessLogger.userAction(userId, 'calendar_added', {
+      calendarId,
+      sourceType: sourceUrl ? 'url' : 'upload',
+      events: parsed.events.length,
+      busyBlocks: blockCount,
+    });
+
+    return {
+      calendar: formatCalendar(await this.model.getCalendarById(calendarId)),
+      events: parsed.events.length,
+      reminders,
+    };
+  }
+
+  // 获取用户的日历列表
+  async listCalendars(userId) {
+    return await this.model.getUserCalendars(userId);
+  }
+
+  // 删除日历并重新安排提醒
+  async removeCalendar(userId, calendarId) {
+    const deleted = await this.model.deleteCalendar(calendarId, userId);
+    if (!deleted) {
+      return { error: 'CALENDAR_NOT_FOUND', message: '日历不存在' };
+    }
+
+    const reminders = await this.reminderModel.rescheduleReminders(userId);
+    businessLogger.userAction(userId, 'calendar_removed', { calendarId });
+
+    return { reminders };
+  }
+
+  // 下载订阅的日历
+  async download(url) {
+    const response = await this.httpClient.get(url, {
+      responseType: 'text',
+      timeout: FETCH_TIMEOUT,
+      maxContentLength: this.maxFileSize,
+      maxRedirects: 3,
+      lookup: publicLookup,
+      headers: { Accept: 'text/calendar, text/plain;q=0.9' },
+    });
+
+    return typeof response.data === 'string'
+      ? response.data
+      : String(response.data);
+  }
+
+  // 展开未来一段时间的忙碌时间段并保存
+  async storeBusyBlocks(calendarId, userId, events) {
+    const now = moment();
+    const blocks = expandBusyBlocks(events, {
+      from: now.toDate(),
+      to: now.clone().add(this.horizonDays, 'days').toDate(),
+    });
+
+    const count = await this.model.replaceBusyBlocks(
+      calendarId,
+      userId,
+      blocks
+    );
+    await this.model.updateCalendarSync(calendarId, {
+      busy_block_count: count,
+      last_synced_at: now.format('YYYY-MM-DD HH:mm:ss'),
+      sync_error: null,
+    });
+
+    return count;
+  }
+
+  /**
+   * 重新同步单个日历
+   *
+   * 下载或解析失败时保留原有的忙碌时间段，只记录错误
+   *
+   * @param {number} calendarId
+   * @returns {Promise<boolean>} 是否同步成功
+   */
+  async refresh(calendarId) {
+    const calendar = await this.model.getCalendarById(calendarId);
+    if (!calendar) {
+      return false;
+    }
+
+    try {
+      const text =
+        calendar.source_type === 'url'
+          ? await this.download(calendar.source_url)
+          : calendar.content;
+      const timezone = await getUserTimezone(calendar.user_id);
+      const { events } = parseCalendar(text, { timezone });
+
+      await this.storeBusyBlocks(calendar.id, calendar.user_id, events);
+      return true;
+    } catch (error) {
+      errorLogger.external('calendar_sync', error, {
+        calendarId: calendar.id,
+        userId: calendar.user_id,
+      });
+      await this.model.updateCalendarSync(calendar.id, {
+        last_synced_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+        sync_error: String(error.message).substring(0, 500),
+      });
+      return false;
+    }
+  }
+
+  // 刷新到期的日历，返回 { refreshed, failed }
+  async refreshDue(limit = 50) {
+    const calendars = await this.model.getCalendarsDueForRefresh(
+      this.refreshMinutes,
+      limit
+    );
+    const summary = { refreshed: 0, failed: 0 };
+
+    for (const calendar of calendars) {
+      if (await this.refresh(calendar.id)) {
+        summary.refreshed += 1;
+      } else {
+        summary.failed += 1;
+      }
+    }
+
+    return summary;
+  }
+}
+
+// 创建单例实例
+const calendarSync = new CalendarSyncService();
+
+export { CalendarSyncService };
+export default calendarSync;
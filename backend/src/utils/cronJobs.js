@@ -2,6 +2,14 @@ import cron from 'node-cron';
 import config from '../config/index.js';
 import { logger } from './logger.js';
 import db from '../config/database.js';
+import reminderDispatcher from './reminderDispatcher.js';
+import streakService from './streakService.js';
+import * as IdempotencyModel from '../models/idempotency.model.js';
+import * as ImportJobModel from '../models/importJob.model.js';
+import dataExport from './dataExport.js';
+import accountDeletion from './accountDeletion.js';
+import calendarSync from './calendarSync.js';
+import * as HydrationModel from '../models/hydration.model.js';
 
 class CronJobs {
   constructor() {
@@ -23,6 +31,16 @@ class CronJobs {
     this.startReminderCleanup();
     this.startSessionCleanup();
     this.startDatabaseHealthCheck();
+    this.startReminderDispatch();
+    this.startReminderSeed();
+    this.startGoalExpiry();
+    this.startAccountPurge();
+    this.startCalendarRefresh();
+
+    // 为旧的饮水记录补充当地时间，不阻塞启动
+    this.backfillRecordLocalTime().catch(error => {
+      logger.error('补充饮水记录当地时间失败:', error);
+    });
 
     this.isStarted = true;
     logger.info('所有定时任务启动完成');
@@ -55,6 +73,9 @@ class CronJobs {
         try {
           logger.info('开始执行统计数据更新任务');
 
+          // 补充缺少当地时间的饮水记录
+          await this.backfillRecordLocalTime();
+
           // 更新用户统计数据
           await this.updateUserStatistics();
 
@@ -117,6 +138,18 @@ class CronJobs {
           // 清理过期的刷新token
           await this.cleanupExpiredRefreshTokens();
 
+          // 清理过期的幂等键
+          await this.cleanupExpiredIdempotencyKeys();
+
+          // 删除过期的数据导出文件
+          await this.cleanupExpiredDataExports();
+
+          // 将中断的数据导出任务标记为失败
+          await this.failStaleDataExports();
+
+          // 将中断的导入任务标记为失败
+          await this.failStaleImportJobs();
+
           logger.info('会话清理任务执行完成');
         } catch (error) {
           logger.error('会话清理任务执行失败:', error);
@@ -160,6 +193,133 @@ class CronJobs {
     logger.info('数据库健康检查任务已启动');
   }
 
+  // 提醒派发任务 - 默认每分钟执行一次
+  startReminderDispatch() {
+    const job = cron.schedule(
+      config.cron.reminderDispatch,
+      async () => {
+        try {
+          await reminderDispatcher.dispatchDue();
+        } catch (error) {
+          logger.error('提醒派发任务执行失败:', error);
+        }
+      },
+      {
+        timezone: 'Asia/Shanghai',
+      }
+    );
+
+    this.jobs.set('reminderDispatch', job);
+    logger.info('提醒派发任务已启动');
+  }
+
+  // 提醒补充任务 - 默认每15分钟为没有待发送提醒的用户安排提醒
+  startReminderSeed() {
+    const job = cron.schedule(
+      config.cron.reminderSeed,
+      async () => {
+        try {
+          await reminderDispatcher.seedMissingReminders();
+        } catch (error) {
+          logger.error('提醒补充任务执行失败:', error);
+        }
+      },
+      {
+        timezone: 'Asia/Shanghai',
+      }
+    );
+
+    this.jobs.set('reminderSeed', job);
+    logger.info('提醒补充任务已启动');
+  }
+
+  // 目标到期检查任务 - 默认每小时执行，按用户时区停用已结束的目标
+  startGoalExpiry() {
+    const job = cron.schedule(
+      config.cron.goalExpiry,
+      async () => {
+        try {
+          const expired = await streakService.expireEndedGoals();
+          if (expired > 0) {
+            logger.info(`停用了 ${expired} 个已到期的目标`);
+          }
+        } catch (error) {
+          logger.error('目标到期检查任务执行失败:', error);
+        }
+      },
+      {
+        timezone: 'Asia/Shanghai',
+      }
+    );
+
+    this.jobs.set('goalExpiry', job);
+    logger.info('目标到期检查任务已启动');
+  }
+
+  // 账户彻底删除任务 - 默认每天凌晨4:30执行，删除宽限期已结束的账户
+  startAccountPurge() {
+    const job = cron.schedule(
+      config.cron.accountPurge,
+      async () => {
+        try {
+          const purged = await accountDeletion.purgeDueAccounts();
+          if (purged > 0) {
+            logger.info(`彻底删除了 ${purged} 个账户`);
+          }
+        } catch (error) {
+          logger.error('账户删除任务执行失败:', error);
+        }
+      },
+      {
+        timezone: 'Asia/Shanghai',
+      }
+    );
+
+    this.jobs.set('accountPurge', job);
+    logger.info('账户删除任务已启动');
+  }
+
+  // 日历刷新任务 - 默认每小时执行，重新下载订阅的日历并向后展开忙碌时间段
+  startCalendarRefresh() {
+    const job = cron.schedule(
+      config.cron.calendarRefresh,
+      async () => {
+        try {
+          const { refreshed, failed } = await calendarSync.refreshDue();
+          if (refreshed > 0 || failed > 0) {
+            logger.info(
+              `日历刷新完成: 成功 ${refreshed} 个，失败 ${failed} 个`
+            );
+          }
+        } catch (error) {
+          logger.error('日历刷新任务执行失败:', error);
+        }
+      },
+      {
+        timezone: 'Asia/Shanghai',
+      }
+    );
+
+    this.jobs.set('calendarRefresh', job);
+    logger.info('日历刷新任务已启动');
+  }
+
+  // 为没有当地时间的饮水记录补充时区和当地时间
+  async backfillRecordLocalTime() {
+    let total = 0;
+    let count;
+
+    do {
+      count = await HydrationModel.backfillLocalRecordedAt();
+      total += count;
+    } while (count > 0);
+
+    if (total > 0) {
+      logger.info(`已补充 ${total} 条饮水记录的当地时间`);
+    }
+    return total;
+  }
+
   // 更新用户统计数据
   async updateUserStatistics() {
     const yesterday = new Date();
@@ -262,6 +422,32 @@ class CronJobs {
     logger.info(`清理了 ${rows.affectedRows || 0} 个过期刷新token`);
   }
 
+  // 清理过期的幂等键（MySQL 后备存储，Redis 中的键自动过期）
+  async cleanupExpiredIdempotencyKeys() {
+    const deleted = await IdempotencyModel.deleteExpiredKeys();
+    logger.info(`清理了 ${deleted || 0} 个过期幂等键`);
+  }
+
+  // 删除过期的数据导出文件
+  async cleanupExpiredDataExports() {
+    const expired = await dataExport.cleanupExpired();
+    logger.info(`清理了 ${expired} 个过期的数据导出文件`);
+  }
+
+  // 服务重启等原因中断的数据导出任务标记为失败，用户可以重新发起导出
+  async failStaleDataExports() {
+    const failed = await dataExport.failStaleJobs();
+    logger.info(`标记了 ${failed} 个中断的数据导出任务`);
+  }
+
+  // 服务重启等原因中断的导入任务标记为失败，用户可以重新导入
+  async failStaleImportJobs() {
+    const failed = await ImportJobModel.failStaleImportJobs(
+      config.business.importJobTimeout
+    );
+    logger.info(`标记了 ${failed} 个中断的导入任务`);
+  }
+
   // 获取定时任务状态
   getStatus() {
     return {
@@ -0,0 +1,258 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+import moment from 'moment-timezone';
+import * as UserModel from '../models/user.model.js';
+import * as ExportJobModel from '../models/exportJob.model.js';
+import emailService from './email.js';
+import { writeZip } from './zip.js';
+import { businessLogger, errorLogger } from './logger.js';
+import config from '../config/index.js';
+
+/**
+ * 用户数据导出
+ *
+ * 导出与用户关联的所有数据，每个数据集生成 CSV 和 JSON 两个文件并打包为 ZIP。
+ * 导出在后台执行，完成后通过邮件发送带签名的下载链接，链接和文件在有效期后失效。
+ */
+
+// 数据库时间统一格式化
+const formatValue = value => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return moment(value).format('YYYY-MM-DD HH:mm:ss');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+const escapeCsv = value => {
+  const text = formatValue(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * 将查询结果转换为 CSV（带 BOM，便于 Excel 识别 UTF-8）
+ *
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+export const toCsv = rows => {
+  if (rows.length === 0) {
+    return '\uFEFF';
+  }
+
+  const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [
+    headers.join(','),
+    ...rows.map(row => headers.map(header => escapeCsv(row[header])).join(',')),
+  ];
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+// 下载链接签名
+const sign = (jobId, expires) =>
+  crypto
+    .createHmac('sha256', config.security.downloadSecret)
+    .update(`export:${jobId}:${expires}`)
+    .digest('hex');
+
+class DataExportService {
+  constructor(options = {}) {
+    this.userModel = options.userModel || UserModel;
+    this.jobModel = options.jobModel || ExportJobModel;
+    this.emailService = options.emailService || emailService;
+    this.exportPath = options.exportPath || config.upload.exportPath;
+  }
+
+  /**
+   * 创建导出任务并在后台执行
+   *
+   * @param {number} userId
+   * @returns {Promise<number>} 任务ID
+   */
+  async start(userId) {
+    const jobId = await this.jobModel.createExportJob(userId);
+
+    businessLogger.userAction(userId, 'start_data_export', { jobId });
+
+    // 在后台执行导出，进度通过任务状态查询
+    setImmediate(() => {
+      this.run(jobId, userId).catch(error => {
+        errorLogger.database(error, 'run_export_job', { jobId, userId });
+      });
+    });
+
+    return jobId;
+  }
+
+  // 执行导出任务
+  async run(jobId, userId) {
+    await this.jobModel.updateExportJob(jobId, {
+      status: 'processing',
+      started_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+    });
+
+    // 文件名包含随机部分，避免被猜测
+    const fileName = `export_${userId}_${jobId}_${crypto.randomBytes(8).toString('hex')}.zip`;
+    const filePath = path.join(this.exportPath, fileName);
+
+    try {
+      const exportedAt = moment();
+      const datasets = {};
+
+      await fs.mkdir(this.exportPath, { recursive: true });
+      const fileSize = await writeZip(
+        filePath,
+        this.exportEntries(userId, datasets, exportedAt),
+        exportedAt.toDate()
+      );
+
+      const expiresAt = moment().add(config.business.dataExportTtl, 'seconds');
+      await this.jobModel.updateExportJob(jobId, {
+        status: 'completed',
+        datasets,
+        file_path: filePath,
+        file_size: fileSize,
+        completed_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+        expires_at: expiresAt.format('YYYY-MM-DD HH:mm:ss'),
+      });
+
+      businessLogger.userAction(userId, 'complete_data_export', {
+        jobId,
+        size: fileSize,
+      });
+
+      await this.notifyUser(userId, {
+        id: jobId,
+        expires_at: expiresAt.toDate(),
+      });
+    } catch (error) {
+      errorLogger.database(error, 'export_user_data', { jobId, userId });
+      await fs.rm(filePath, { force: true }).catch(() => {});
+      await this.jobModel.updateExportJob(jobId, {
+        status: 'failed',
+        error_message: '导出过程中发生错误，请重新发起导出',
+        completed_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+      });
+    }
+  }
+
+  /**
+   * 逐个数据集查询并生成 ZIP 中的文件，内存中只保留当前数据集
+   *
+   * @param {number} userId
+   * @param {Object} datasets 收集各数据集的行数，写入 manifest.json
+   * @param {moment.Moment} exportedAt
+   */
+  async *exportEntries(userId, datasets, exportedAt) {
+    for (const name of Object.keys(this.userModel.EXPORT_DATASETS)) {
+      const rows = await this.userModel.exportUserDataset(userId, name);
+      datasets[name] = rows.length;
+      yield { name: `json/${name}.json`, data: JSON.stringify(rows, null, 2) };
+      yield { name: `csv/${name}.csv`, data: toCsv(rows) };
+    }
+
+    yield {
+      name: 'manifest.json',
+      data: JSON.stringify(
+        { user_id: userId, exported_at: exportedAt.toISOString(), datasets },
+        null,
+        2
+      ),
+    };
+  }
+
+  /**
+   * 将中断的导出任务标记为失败（服务重启后后台任务不会继续执行）
+   *
+   * @param {number|null} userId 只处理该用户的任务
+   * @returns {Promise<number>}
+   */
+  async failStaleJobs(userId = null) {
+    const failed = await this.jobModel.failStaleExportJobs(
+      config.business.dataExportJobTimeout,
+      userId
+    );
+    if (failed > 0) {
+      businessLogger.systemEvent('stale_export_jobs_failed', {
+        userId,
+        failed,
+      });
+    }
+    return failed;
+  }
+
+  // 发送导出完成邮件，发送失败不影响导出结果
+  async notifyUser(userId, job) {
+    try {
+      const user = await this.userModel.getUserProfile(userId);
+      if (!user?.email) {
+        return;
+      }
+
+      await this.emailService.sendDataExportEmail(
+        user.email,
+        user.full_name || user.username,
+        {
+          downloadUrl: this.getDownloadUrl(job),
+          expiresAt: moment(job.expires_at)
+            .tz(user.timezone || 'Asia/Shanghai')
+            .format('YYYY-MM-DD HH:mm'),
+        }
+      );
+    } catch (error) {
+      errorLogger.external('email_service', error, { userId, jobId: job.id });
+    }
+  }
+
+  /**
+   * 生成带签名的下载链接，有效期与导出文件相同
+   *
+   * @param {Object} job { id, expires_at }
+   * @returns {string}
+   */
+  getDownloadUrl(job) {
+    const expires = moment(job.expires_at).unix();
+    const baseUrl = config.server.baseUrl || 'http://localhost:3000';
+
+    return `${baseUrl}/api/${config.server.apiVersion}/users/export/${job.id}/download?expires=${expires}&signature=${sign(job.id, expires)}`;
+  }
+
+  // 验证下载链接签名和有效期
+  verifySignature(jobId, expires, signature) {
+    const expected = Buffer.from(sign(Number(jobId), Number(expires)));
+    const actual = Buffer.from(String(signature || ''));
+
+    return (
+      actual.length === expected.length &&
+      crypto.timingSafeEqual(actual, expected) &&
+      Number(expires) > moment().unix()
+    );
+  }
+
+  // 删除过期的导出文件
+  async cleanupExpired() {
+    const jobs = await this.jobModel.getExpiredExportJobs();
+
+    for (const job of jobs) {
+      if (job.file_path) {
+        await fs.rm(job.file_path, { force: true });
+      }
+      await this.jobModel.updateExportJob(job.id, { status: 'expired' });
+    }
+
+    return jobs.length;
+  }
+}
+
+// 创建单例实例
+const dataExport = new DataExportService();
+
+export { DataExportService };
+export default dataExport;
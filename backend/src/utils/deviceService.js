@@ -0,0 +1,316 @@
+import crypto from 'crypto';
+import moment from 'moment-timezone';
+import * as DeviceModel from '../models/device.model.js';
+import * as HydrationModel from '../models/hydration.model.js';
+import * as UserModel from '../models/user.model.js';
+import recordHistory from './recordHistory.js';
+import streakService from './streakService.js';
+import achievementEngine from './achievementEngine.js';
+import {
+  extractIntakeEvents,
+  groupDrinkingSessions,
+  sessionClientId,
+} from './smartCupReadings.js';
+import { getLocalDate } from './userTime.js';
+import { businessLogger } from './logger.js';
+import config from '../config/index.js';
+
+/**
+ * 智能设备配对和读数上报
+ *
+ * 用户在应用中生成一次性配对码，设备用配对码换取设备密钥（只返回一次，服务端只保存哈希），
+ * 之后通过 X-Device-Secret 请求头上报读数。读数转换为饮水记录的规则见 smartCupReadings.js。
+ */
+
+// 配对码有效期（分钟）和字符集（去掉容易混淆的 0/O、1/I/L）
+const PAIRING_CODE_TTL_MINUTES = 10;
+const PAIRING_CODE_LENGTH = 8;
+const PAIRING_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+// 电量低于该值时提示用户充电(%)
+const LOW_BATTERY_LEVEL = 20;
+
+// 可以通过配对码配对的设备类型
+export const PAIRABLE_DEVICE_TYPES = [
+  'smart_cup',
+  'smart_scale',
+  'fitness_tracker',
+  'other',
+];
+
+const DEFAULT_DEVICE_NAMES = {
+  smart_cup: '智能水杯',
+  smart_scale: '智能秤',
+  fitness_tracker: '运动手环',
+  other: '智能设备',
+};
+
+const hashDeviceSecret = value =>
+  crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// 配对码不区分大小写，忽略分隔符
+const normalizePairingCode = code =>
+  String(code)
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, '');
+
+const generatePairingCode = () =>
+  Array.from(
+    { length: PAIRING_CODE_LENGTH },
+    () => PAIRING_CODE_ALPHABET[crypto.randomInt(PAIRING_CODE_ALPHABET.length)]
+  ).join('');
+
+// 设备状态（不包含密钥哈希）
+const formatDeviceStatus = device => ({
+  device_id: device.device_id,
+  device_name: device.device_name,
+  device_type: device.device_type,
+  firmware_version: device.firmware_version ?? null,
+  battery_level: device.battery_level ?? null,
+  battery_charging:
+    device.battery_charging === null || device.battery_charging === undefined
+      ? null
+      : Boolean(device.battery_charging),
+  battery_low:
+    device.battery_level !== null &&
+    device.battery_level !== undefined &&
+    device.battery_level < LOW_BATTERY_LEVEL &&
+    !device.battery_charging,
+  last_sync_at: device.last_sync_at ?? null,
+});
+
+class DeviceService {
+  constructor(options = {}) {
+    this.deviceModel = options.deviceModel || DeviceModel;
+    this.hydrationModel = options.hydrationModel || HydrationModel;
+    this.userModel = options.userModel || UserModel;
+    this.recordHistory = options.recordHistory || recordHistory;
+    this.streakService = options.streakService || streakService;
+    this.achievementEngine = options.achievementEngine || achievementEngine;
+  }
+
+  /**
+   * 生成配对码，用户之前未使用的配对码失效
+   *
+   * @param {number} userId
+   * @param {Object} options { deviceType, deviceName }
+   * @returns {Promise<{ pairing_code: string, device_type: string, expires_at: Date }>}
+   */
+  async createPairingCode(
+    userId,
+    { deviceType = 'smart_cup', deviceName } = {}
+  ) {
+    const code = generatePairingCode();
+    const expiresAt = moment().add(PAIRING_CODE_TTL_MINUTES, 'minutes');
+
+    await this.deviceModel.createPairingCode(userId, {
+      code_hash: hashDeviceSecret(code),
+      device_type: deviceType,
+      device_name: deviceName,
+      expires_at: expiresAt.format('YYYY-MM-DD HH:mm:ss'),
+    });
+
+    businessLogger.userAction(userId, 'create_device_pairing_code', {
+      deviceType,
+    });
+
+    return {
+      pairing_code: code,
+      device_type: deviceType,
+      expires_at: expiresAt.toDate(),
+    };
+  }
+
+  /**
+   * 设备使用配对码配对，返回设备密钥
+   *
+   * 已配对到其他用户的设备需要原用户先移除；同一用户重新配对时更换密钥。
+   *
+   * @param {Object} data { pairingCode, deviceId, deviceName, firmwareVersion }
+   * @returns {Promise<Object>} 设备状态和 device_secret，失败时返回 { error, message }
+   */
+  async pair({ pairingCode, deviceId, deviceName, firmwareVersion }) {
+    const pairing = await this.deviceModel.findValidPairingCode(
+      hashDeviceSecret(normalizePairingCode(pairingCode))
+    );
+    if (!pairing) {
+      return {
+        error: 'INVALID_PAIRING_CODE',
+        message: '配对码无效或已过期',
+      };
+    }
+
+    const existing = await this.deviceModel.findDeviceByDeviceId(deviceId);
+    if (existing && existing.user_id !== pairing.user_id) {
+      return {
+        error: 'DEVICE_ALREADY_PAIRED',
+        message: '设备已配对到其他账户，请先在原账户中移除设备',
+      };
+    }
+    if (existing && existing.platform !== 'iot') {
+      return {
+        error: 'DEVICE_ID_CONFLICT',
+        message: '设备ID已被其他类型的设备使用',
+      };
+    }
+
+    // 先认领配对码，并发使用同一配对码时只有一个设备能配对成功
+    if (!(await this.deviceModel.claimPairingCode(pairing.id))) {
+      return {
+        error: 'INVALID_PAIRING_CODE',
+        message: '配对码无效或已过期',
+      };
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const device = {
+      device_id: deviceId,
+      device_name:
+        deviceName ||
+        pairing.device_name ||
+        DEFAULT_DEVICE_NAMES[pairing.device_type],
+      device_type: pairing.device_type,
+      secret_hash: hashDeviceSecret(secret),
+      firmware_version: firmwareVersion,
+    };
+    const deviceRecordId = await this.deviceModel.savePairedDevice(
+      pairing.user_id,
+      device,
+      existing ? existing.id : null
+    );
+    await this.deviceModel.setPairingCodeDevice(pairing.id, deviceRecordId);
+
+    businessLogger.userAction(pairing.user_id, 'pair_device', {
+      deviceId,
+      deviceType: device.device_type,
+      repaired: Boolean(existing),
+    });
+
+    return {
+      device: formatDeviceStatus(device),
+      device_secret: secret,
+    };
+  }
+
+  /**
+   * 处理设备上报的读数，保存饮水记录并更新设备状态
+   *
+   * @param {Object} device 已认证的设备（findDeviceByDeviceId 的结果）
+   * @param {Object} data { readings, status: { battery_level, battery_charging, firmware_version } }
+   * @returns {Promise<Object>} 新增记录、跳过的读数和设备状态
+   */
+  async ingestReadings(device, { readings = [], status = {} }) {
+    const userId = device.user_id;
+    const maxAmount = config.business.maxRecordAmount;
+
+    const extracted = extractIntakeEvents(readings, {
+      lastReadingAt: device.last_reading_at,
+      lastWeightG: device.last_weight_g,
+      maxAmount,
+    });
+    const sessions = groupDrinkingSessions(extracted.events, maxAmount);
+
+    const candidates = sessions.map(session => ({
+      client_id: sessionClientId(device.device_id, session.started_at),
+      amount: session.amount,
+      drink_type: 'water',
+      recorded_at: moment(session.started_at).format('YYYY-MM-DD HH:mm:ss'),
+      source: 'smart_cup',
+      device_id: device.device_id,
+    }));
+
+    // 之前已经保存过的饮水（设备重传或并发上报）
+    const existing = await this.hydrationModel.getRecordsByClientIds(
+      userId,
+      candidates.map(record => record.client_id)
+    );
+    const existingIds = new Set(
+      existing.map(record => record.client_id.toLowerCase())
+    );
+    const newRecords = candidates.filter(
+      record => !existingIds.has(record.client_id)
+    );
+
+    let achievements = [];
+    if (newRecords.length > 0) {
+      const result = await this.hydrationModel.createBatchHydrationRecords(
+        userId,
+        newRecords
+      );
+      await this.recordHistory.logInserted(userId, result, {
+        actorType: 'device',
+        actorId: device.device_id,
+        source: 'smart_cup',
+      });
+
+      // 设备记录按用户设置的时区计算当地日期
+      const timezone = await this.userModel.getUserTimezone(userId);
+      const affectedDates = new Set(
+        newRecords.map(record => getLocalDate(record.recorded_at, timezone))
+      );
+      for (const date of [...affectedDates].sort()) {
+        await this.hydrationModel.updateUserStatistics(userId, date);
+      }
+
+      await this.streakService.refresh(userId);
+      achievements = await this.achievementEngine.evaluateUser(userId, {
+        added: true,
+      });
+    }
+
+    const deviceStatus = {
+      ...(extracted.lastReadingAt && {
+        last_reading_at: moment(extracted.lastReadingAt).format(
+          'YYYY-MM-DD HH:mm:ss'
+        ),
+      }),
+      ...(extracted.lastWeightG !== null && {
+        last_weight_g: extracted.lastWeightG,
+      }),
+      ...(status.battery_level !== undefined && {
+        battery_level: status.battery_level,
+      }),
+      ...(status.battery_charging !== undefined && {
+        battery_charging: status.battery_charging,
+      }),
+      ...(status.firmware_version !== undefined && {
+        firmware_version: status.firmware_version,
+      }),
+    };
+    await this.deviceModel.updateDeviceStatus(device.id, deviceStatus);
+
+    businessLogger.userAction(userId, 'device_readings_ingested', {
+      deviceId: device.device_id,
+      readings: readings.length,
+      added: newRecords.length,
+      skipped: extracted.skipped,
+      ignored: extracted.ignored,
+    });
+
+    return {
+      accepted_readings:
+        readings.length - extracted.skipped - extracted.ignored,
+      skipped_readings: extracted.skipped,
+      ignored_readings: extracted.ignored,
+      added_count: newRecords.length,
+      skipped_duplicates: candidates.length - newRecords.length,
+      records: newRecords.map(record => ({
+        client_id: record.client_id,
+        amount: record.amount,
+        recorded_at: record.recorded_at,
+      })),
+      achievements,
+      device: formatDeviceStatus({
+        ...device,
+        ...deviceStatus,
+        last_sync_at: new Date(),
+      }),
+    };
+  }
+}
+
+// 创建单例实例
+const deviceService = new DeviceService();
+
+export { DeviceService };
+export default deviceService;
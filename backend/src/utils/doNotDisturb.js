@@ -0,0 +1,102 @@
+import moment from 'moment-timezone';
+import { resolveTimezone, atLocalTime } from './userTime.js';
+
+/**
+ * 免打扰
+ *
+ * 免打扰时间段包括 dnd_start_time ~ dnd_end_time 和 dnd_windows 中的多个时间段，
+ * 按用户当地时间计算，结束时间早于开始时间时跨午夜（如 22:00 ~ 07:00）。
+ * 暂停提醒(paused_until)到期前同样不发送提醒。
+ *
+ * 纯函数实现，数据库查询由 reminder.model.js 负责。
+ */
+
+// 相邻的免打扰时间段可能首尾相接，最多连续顺延的次数
+const MAX_CHAINED_PERIODS = 10;
+
+/**
+ * 用户设置的免打扰时间段
+ *
+ * @param {Object} settings 提醒设置
+ * @returns {Array<{ start_time: string, end_time: string }>} 未开启免打扰时为空
+ */
+export const getDndWindows = settings => {
+  if (!settings?.do_not_disturb_enabled) {
+    return [];
+  }
+
+  const windows = [];
+  if (settings.dnd_start_time && settings.dnd_end_time) {
+    windows.push({
+      start_time: settings.dnd_start_time,
+      end_time: settings.dnd_end_time,
+    });
+  }
+
+  for (const window of settings.dnd_windows || []) {
+    if (window?.start_time && window?.end_time) {
+      windows.push({
+        start_time: window.start_time,
+        end_time: window.end_time,
+      });
+    }
+  }
+
+  // 开始和结束时间相同的时间段没有意义
+  return windows.filter(window => window.start_time !== window.end_time);
+};
+
+// at 所在的免打扰时间段（包含前一天开始、跨午夜的时间段）
+const findDndPeriod = (windows, at) => {
+  for (const window of windows) {
+    for (const offset of [-1, 0]) {
+      const day = at.clone().startOf('day').add(offset, 'days');
+      const start = atLocalTime(day, window.start_time);
+      const end = atLocalTime(day, window.end_time);
+      if (!end.isAfter(start)) {
+        end.add(1, 'day');
+      }
+
+      if (!at.isBefore(start) && at.isBefore(end)) {
+        return { start, end };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * 免打扰或暂停结束、可以发送提醒的时间
+ *
+ * @param {Object} settings 提醒设置，包含免打扰字段、paused_until 和 timezone
+ * @param {moment.Moment|Date|string} at
+ * @returns {{ resume_at: moment.Moment, reason: string }|null} at 不在免打扰或暂停期间时返回 null
+ */
+export const getDndResumeTime = (settings, at) => {
+  const timezone = resolveTimezone(settings?.timezone);
+  const windows = getDndWindows(settings);
+  let current = moment.tz(at, timezone);
+  let reason = null;
+
+  for (let i = 0; i < MAX_CHAINED_PERIODS; i++) {
+    if (settings?.paused_until && current.isBefore(settings.paused_until)) {
+      current = moment.tz(settings.paused_until, timezone);
+      reason = reason || 'paused';
+      continue;
+    }
+
+    const period = findDndPeriod(windows, current);
+    if (!period) {
+      break;
+    }
+
+    current = period.end;
+    reason = reason || 'do_not_disturb';
+  }
+
+  return reason ? { resume_at: current, reason } : null;
+};
+
+// 当前是否处于免打扰或暂停期间
+export const isInDoNotDisturb = (settings, at = new Date()) =>
+  getDndResumeTime(settings, at) !== null;
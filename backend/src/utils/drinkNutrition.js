@@ -0,0 +1,86 @@
+/**
+ * 饮品营养信息计算
+ *
+ * 饮品目录中的咖啡因、糖和热量按默认容量填写，记录时按实际饮水量等比例折算，
+ * 并保存到饮水记录中，之后修改或删除饮品不会影响历史统计。
+ * 没有使用饮品目录的记录按饮品类型估算咖啡因和酒精摄入。
+ */
+
+// 各饮品类型每毫升的估算咖啡因含量(mg)
+export const CAFFEINE_MG_PER_ML = {
+  coffee: 0.4,
+  tea: 0.2,
+  soda: 0.1,
+};
+
+// 未指定酒精度时的估算酒精度(%)，按啤酒计算
+export const DEFAULT_ALCOHOL_ABV = 5;
+
+// 保留一位小数
+const roundOne = value => Math.round(value * 10) / 10;
+
+// 酒精标准单位：1单位 = 10ml 纯酒精
+const toAlcoholUnits = (amount, abv) =>
+  Math.round(((amount * abv) / 1000) * 100) / 100;
+
+/**
+ * 按饮水量折算饮品营养信息
+ *
+ * @param {Object} drink user_drinks 记录
+ * @param {number} amount 实际饮水量(ml)
+ * @returns {{ caffeine_mg: number, sugar_g: number, calories: number, alcohol_units: number }}
+ */
+export const scaleDrinkNutrition = (drink, amount) => {
+  const ratio = drink.default_volume ? amount / drink.default_volume : 0;
+
+  return {
+    caffeine_mg: roundOne(Number(drink.caffeine_mg || 0) * ratio),
+    sugar_g: roundOne(Number(drink.sugar_g || 0) * ratio),
+    calories: Math.round(Number(drink.calories || 0) * ratio),
+    alcohol_units: toAlcoholUnits(
+      Number(amount),
+      Number(drink.alcohol_abv || 0)
+    ),
+  };
+};
+
+// 计算一条饮水记录的咖啡因和酒精摄入（使用饮品目录的记录取保存的值）
+export const getRecordIntake = record => {
+  if (record.drink_id) {
+    return {
+      caffeine_mg: Number(record.caffeine_mg || 0),
+      alcohol_units: Number(record.alcohol_units || 0),
+    };
+  }
+
+  const amount = Number(record.amount);
+  return {
+    caffeine_mg: roundOne(
+      amount * (CAFFEINE_MG_PER_ML[record.drink_type] || 0)
+    ),
+    alcohol_units:
+      record.drink_type === 'alcohol'
+        ? toAlcoholUnits(amount, DEFAULT_ALCOHOL_ABV)
+        : 0,
+  };
+};
+
+// 计算咖啡因摄入的 SQL 表达式，规则与 getRecordIntake 一致
+export const caffeineSql = (alias = '') => {
+  const prefix = alias ? `${alias}.` : '';
+  const cases = Object.entries(CAFFEINE_MG_PER_ML)
+    .map(([drinkType, mgPerMl]) => `WHEN '${drinkType}' THEN ${mgPerMl}`)
+    .join(' ');
+
+  return `(CASE WHEN ${prefix}drink_id IS NOT NULL THEN ${prefix}caffeine_mg
+    ELSE ${prefix}amount * CASE ${prefix}drink_type ${cases} ELSE 0 END END)`;
+};
+
+// 计算酒精标准单位的 SQL 表达式，规则与 getRecordIntake 一致
+export const alcoholUnitsSql = (alias = '') => {
+  const prefix = alias ? `${alias}.` : '';
+
+  return `(CASE WHEN ${prefix}drink_id IS NOT NULL THEN ${prefix}alcohol_units
+    WHEN ${prefix}drink_type = 'alcohol' THEN ${prefix}amount * ${DEFAULT_ALCOHOL_ABV} / 1000
+    ELSE 0 END)`;
+};
@@ -152,6 +152,18 @@ class EmailService {
     });
   }
 
+  // 发送数据导出完成邮件
+  async sendDataExportEmail(email, name, exportData) {
+    const emailTemplate = this.generateDataExportTemplate(name, exportData);
+
+    return await this.sendMail({
+      to: email,
+      subject: '📦 您的数据导出已完成 - 喝水记录APP',
+      html: emailTemplate,
+      text: `您好 ${name}，您申请的数据导出已完成，请在 ${exportData.expiresAt} 前访问以下链接下载：${exportData.downloadUrl}`,
+    });
+  }
+
   // 生成邮箱验证模板
   generateVerificationTemplate(name, verificationUrl) {
     return `
@@ -251,6 +263,59 @@ class EmailService {
     `;
   }
 
+  // 生成数据导出完成模板
+  generateDataExportTemplate(name, exportData) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>数据导出完成</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>📦 喝水记录APP</h1>
+                <h2>您的数据导出已完成</h2>
+            </div>
+            <div class="content">
+                <p>您好 <strong>${name}</strong>，</p>
+                <p>您申请导出的账户数据已准备好。压缩包中包含您的全部饮水记录、目标、提醒、成就、设备和登录会话等数据，每类数据都提供 CSV 和 JSON 两种格式。</p>
+                <p style="text-align: center;">
+                    <a href="${exportData.downloadUrl}" class="button">下载数据</a>
+                </p>
+                <p>如果按钮无法点击，请复制以下链接到浏览器中打开：</p>
+                <p style="word-break: break-all; background: #eee; padding: 10px; border-radius: 5px;">
+                    ${exportData.downloadUrl}
+                </p>
+                <div class="warning">
+                    <strong>安全提示：</strong>
+                    <ul>
+                        <li>此链接将在 ${exportData.expiresAt} 失效，届时导出文件也会被删除</li>
+                        <li>导出文件包含您的个人数据，请妥善保管，不要转发此邮件</li>
+                        <li>如果您没有申请导出数据，请立即修改密码</li>
+                    </ul>
+                </div>
+            </div>
+            <div class="footer">
+                <p>© 2025 喝水记录APP. 您的数据由您掌控</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
   // 生成欢迎邮件模板
   generateWelcomeTemplate(name) {
     return `
@@ -0,0 +1,137 @@
+import moment from 'moment-timezone';
+import config from '../config/index.js';
+
+/**
+ * 每日饮水目标计算
+ *
+ * 推荐目标 = 体重 × 年龄段系数 + 活动水平加成 + 性别加成 + 今日运动补充，
+ * 结果限制在允许的目标范围内并取整到50ml。每一项都会在 components 中说明。
+ */
+
+// 各年龄段每公斤体重需水量(ml)
+const ML_PER_KG_BY_AGE = [
+  { maxAge: 30, mlPerKg: 40, label: '30岁以下' },
+  { maxAge: 55, mlPerKg: 35, label: '30-55岁' },
+  { maxAge: Infinity, mlPerKg: 30, label: '55岁以上' },
+];
+
+// 没有年龄信息时使用的系数
+const DEFAULT_ML_PER_KG = 35;
+
+// 活动水平加成比例
+const ACTIVITY_BONUS = {
+  sedentary: 0,
+  lightly_active: 0.1,
+  moderately_active: 0.2,
+  very_active: 0.4,
+  extremely_active: 0.6,
+};
+
+// 男性加成比例
+const MALE_BONUS = 0.05;
+
+// 每分钟运动需要额外补充的水量(ml)，约每小时500ml
+export const EXERCISE_ML_PER_MINUTE = 8;
+
+// 计算年龄
+const getAge = (dateOfBirth, now) => {
+  if (!dateOfBirth) {
+    return null;
+  }
+  return moment(now).diff(moment(dateOfBirth), 'years');
+};
+
+/**
+ * 计算推荐的每日饮水目标
+ *
+ * @param {Object} profile
+ * @param {number} profile.weight 体重(kg)
+ * @param {string|Date} profile.dateOfBirth 出生日期
+ * @param {string} profile.gender 性别
+ * @param {string} profile.activityLevel 活动水平
+ * @param {number} profile.exerciseMinutes 今日运动分钟数（可选）
+ * @param {string|Date} profile.now 计算年龄使用的当前时间
+ * @returns {{ recommended_goal: number, components: Array }}
+ */
+export const calculateRecommendedGoal = profile => {
+  const {
+    weight,
+    dateOfBirth,
+    gender,
+    activityLevel,
+    exerciseMinutes = 0,
+    now = new Date(),
+  } = profile;
+  const components = [];
+
+  // 基础需水量：体重 × 年龄段系数，没有体重时使用系统默认目标
+  let base;
+  if (weight) {
+    const age = getAge(dateOfBirth, now);
+    const band =
+      age === null ? null : ML_PER_KG_BY_AGE.find(item => age < item.maxAge);
+    const mlPerKg = band ? band.mlPerKg : DEFAULT_ML_PER_KG;
+
+    base = Math.round(Number(weight) * mlPerKg);
+    components.push({
+      factor: 'body_weight',
+      value: Number(weight),
+      amount_ml: base,
+      description: band
+        ? `体重${weight}kg × ${mlPerKg}ml/kg（${band.label}）`
+        : `体重${weight}kg × ${mlPerKg}ml/kg（未填写出生日期）`,
+    });
+  } else {
+    base = config.business.defaultDailyGoal;
+    components.push({
+      factor: 'default',
+      value: null,
+      amount_ml: base,
+      description: `未填写体重，使用默认目标${base}ml`,
+    });
+  }
+
+  // 活动水平加成
+  const activityBonus = ACTIVITY_BONUS[activityLevel] || 0;
+  if (activityBonus > 0) {
+    components.push({
+      factor: 'activity_level',
+      value: activityLevel,
+      amount_ml: Math.round(base * activityBonus),
+      description: `活动水平加成 ${Math.round(activityBonus * 100)}%`,
+    });
+  }
+
+  // 性别加成
+  if (gender === 'male') {
+    components.push({
+      factor: 'gender',
+      value: gender,
+      amount_ml: Math.round(base * MALE_BONUS),
+      description: `男性加成 ${MALE_BONUS * 100}%`,
+    });
+  }
+
+  // 今日运动补充
+  if (exerciseMinutes > 0) {
+    components.push({
+      factor: 'exercise',
+      value: exerciseMinutes,
+      amount_ml: Math.round(exerciseMinutes * EXERCISE_ML_PER_MINUTE),
+      description: `今日运动${exerciseMinutes}分钟，每分钟补充${EXERCISE_ML_PER_MINUTE}ml`,
+    });
+  }
+
+  const total = components.reduce((sum, item) => sum + item.amount_ml, 0);
+  const clamped = Math.min(
+    config.business.maxDailyGoal,
+    Math.max(config.business.minDailyGoal, total)
+  );
+  const recommended = Math.round(clamped / 50) * 50;
+
+  return {
+    recommended_goal: recommended,
+    raw_total: total,
+    components,
+  };
+};
@@ -0,0 +1,49 @@
+import * as UserModel from '../models/user.model.js';
+import { calculateRecommendedGoal } from './goalCalculator.js';
+import { businessLogger } from './logger.js';
+
+/**
+ * 体重、年龄、性别或活动水平变化后重新计算推荐目标
+ *
+ * 用户开启 auto_adjust_goal 时直接应用新的目标。资料修改和健康数据导入都会调用。
+ *
+ * @param {number} userId
+ * @param {Object} options { source } 记录在日志中的触发来源
+ * @returns {Promise<Object|null>} 推荐结果及 previous_goal、applied，用户不存在时为 null
+ */
+export const refreshGoalRecommendation = async (
+  userId,
+  { source = 'profile' } = {}
+) => {
+  const profile = await UserModel.getGoalProfile(userId);
+  if (!profile) {
+    return null;
+  }
+
+  const recommendation = calculateRecommendedGoal({
+    weight: profile.weight,
+    dateOfBirth: profile.date_of_birth,
+    gender: profile.gender,
+    activityLevel: profile.activity_level,
+  });
+
+  const shouldApply =
+    Boolean(profile.auto_adjust_goal) &&
+    recommendation.recommended_goal !== profile.daily_water_goal;
+  if (shouldApply) {
+    await UserModel.updateUserGoal(userId, recommendation.recommended_goal);
+    businessLogger.userAction(userId, 'goal_auto_adjusted', {
+      from: profile.daily_water_goal,
+      to: recommendation.recommended_goal,
+      source,
+    });
+  }
+
+  return {
+    ...recommendation,
+    previous_goal: profile.daily_water_goal,
+    applied: shouldApply,
+  };
+};
+
+export default refreshGoalRecommendation;
@@ -0,0 +1,224 @@
+import moment from 'moment-timezone';
+import * as ImportJobModel from '../models/importJob.model.js';
+import * as UserModel from '../models/user.model.js';
+import activityService from './activityService.js';
+import { parseHealthFile } from './healthImportAdapters.js';
+import { refreshGoalRecommendation } from './goalRecommendation.js';
+import { businessLogger, errorLogger } from './logger.js';
+import config from '../config/index.js';
+
+/**
+ * 健康数据导入
+ *
+ * 解析 Apple 健康、Google Fit 和 Garmin 的导出文件（见 healthImportAdapters.js），
+ * 运动保存为运动记录（不安排补水提醒），体重保存到体重历史。导入的最新体重比已有记录新时
+ * 更新资料中的体重并重新计算推荐目标。导入在后台执行，进度保存在 import_jobs 表中。
+ */
+
+// 每处理多少条保存一次进度
+const PROGRESS_INTERVAL = 200;
+
+// 任务中最多保存的逐条错误数
+const MAX_ROW_ERRORS = 100;
+
+// 每批保存的体重记录数
+const WEIGHT_CHUNK_SIZE = 500;
+
+class HealthImportService {
+  constructor(options = {}) {
+    this.jobModel = options.jobModel || ImportJobModel;
+    this.userModel = options.userModel || UserModel;
+    this.activityService = options.activityService || activityService;
+    this.refreshGoal = options.refreshGoal || refreshGoalRecommendation;
+  }
+
+  /**
+   * 创建导入任务并在后台执行
+   *
+   * @param {number} userId
+   * @param {Object} file multer 上传的文件
+   * @param {Object} options { timezone } 运动按该时区计算当地日期，默认使用用户时区
+   * @returns {Promise<{ jobId: number, totalRows: number, provider: string } | { error: string, message: string }>}
+   */
+  async start(userId, file, options = {}) {
+    const parsed = parseHealthFile(file);
+    if (parsed.error) {
+      return parsed;
+    }
+
+    const totalRows = parsed.activities.length + parsed.weights.length;
+    if (totalRows === 0) {
+      return {
+        error: 'EMPTY_FILE',
+        message: '文件中没有可导入的运动或体重记录',
+      };
+    }
+
+    if (totalRows > config.business.maxImportRows) {
+      return {
+        error: 'TOO_MANY_ROWS',
+        message: `单个文件最多导入${config.business.maxImportRows}条记录`,
+      };
+    }
+
+    const jobOptions = {
+      provider: parsed.provider,
+      timezone: await this.userModel.resolveUserTimezone(
+        userId,
+        options.timezone
+      ),
+    };
+
+    const jobId = await this.jobModel.createImportJob(userId, {
+      import_type: 'health',
+      file_name: file.originalname,
+      file_format: parsed.format,
+      options: jobOptions,
+    });
+
+    businessLogger.userAction(userId, 'start_health_import', {
+      jobId,
+      provider: parsed.provider,
+      activities: parsed.activities.length,
+      weights: parsed.weights.length,
+    });
+
+    // 在后台执行导入，进度通过任务状态查询
+    setImmediate(() => {
+      this.run(jobId, userId, parsed, jobOptions).catch(error => {
+        errorLogger.database(error, 'run_health_import_job', {
+          jobId,
+          userId,
+        });
+      });
+    });
+
+    return { jobId, totalRows, provider: parsed.provider };
+  }
+
+  // 执行导入任务
+  async run(jobId, userId, parsed, options) {
+    const { activities, weights } = parsed;
+    const progress = {
+      processed_rows: 0,
+      imported_rows: 0,
+      duplicate_rows: 0,
+      failed_rows: 0,
+    };
+    const summary = {
+      provider: options.provider,
+      activities: { total: activities.length, imported: 0, duplicate: 0 },
+      weights: { total: weights.length, imported: 0, duplicate: 0 },
+      latest_weight: null,
+      goal_recommendation: null,
+    };
+    const rowErrors = [];
+
+    await this.jobModel.updateImportJob(jobId, {
+      status: 'processing',
+      total_rows: activities.length + weights.length,
+      started_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+    });
+
+    try {
+      for (const [index, activity] of activities.entries()) {
+        const result = await this.activityService.logActivity(
+          userId,
+          { ...activity, timezone: options.timezone },
+          { schedulePrompts: false }
+        );
+
+        if (result.error === 'DUPLICATE_ACTIVITY') {
+          summary.activities.duplicate++;
+          progress.duplicate_rows++;
+        } else if (result.error) {
+          progress.failed_rows++;
+          if (rowErrors.length < MAX_ROW_ERRORS) {
+            rowErrors.push({
+              row: index + 1,
+              errors: [{ field: 'activity', message: result.message }],
+            });
+          }
+        } else {
+          summary.activities.imported++;
+          progress.imported_rows++;
+        }
+
+        progress.processed_rows++;
+        if (progress.processed_rows % PROGRESS_INTERVAL === 0) {
+          await this.jobModel.updateImportJob(jobId, {
+            ...progress,
+            row_errors: rowErrors,
+          });
+        }
+      }
+
+      await this.importWeights(userId, weights, summary, progress);
+
+      await this.jobModel.updateImportJob(jobId, {
+        ...progress,
+        row_errors: rowErrors,
+        summary,
+        status: 'completed',
+        completed_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+      });
+
+      businessLogger.userAction(userId, 'complete_health_import', {
+        jobId,
+        ...progress,
+      });
+    } catch (error) {
+      errorLogger.database(error, 'import_health_data', { jobId, userId });
+      await this.jobModel.updateImportJob(jobId, {
+        ...progress,
+        row_errors: rowErrors,
+        summary,
+        status: 'failed',
+        error_message: '导入过程中发生错误，已导入的记录会保留',
+        completed_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+      });
+    }
+  }
+
+  // 保存体重历史，最新体重比已有记录新时更新资料并重新计算推荐目标
+  async importWeights(userId, weights, summary, progress) {
+    if (weights.length === 0) {
+      return;
+    }
+
+    const previous = await this.userModel.getLatestWeightLog(userId);
+
+    for (let start = 0; start < weights.length; start += WEIGHT_CHUNK_SIZE) {
+      const chunk = weights.slice(start, start + WEIGHT_CHUNK_SIZE);
+      const imported = await this.userModel.addWeightLogs(userId, chunk);
+
+      summary.weights.imported += imported;
+      summary.weights.duplicate += chunk.length - imported;
+      progress.imported_rows += imported;
+      progress.duplicate_rows += chunk.length - imported;
+      progress.processed_rows += chunk.length;
+    }
+
+    const latest = weights.reduce((newest, log) =>
+      moment(log.measured_at).isAfter(newest.measured_at) ? log : newest
+    );
+    if (
+      previous &&
+      !moment(latest.measured_at).isAfter(moment(previous.measured_at))
+    ) {
+      return;
+    }
+
+    await this.userModel.updateUserProfile(userId, { weight: latest.weight });
+    summary.latest_weight = latest;
+    summary.goal_recommendation = await this.refreshGoal(userId, {
+      source: 'health_import',
+    });
+  }
+}
+
+// 创建单例实例
+const healthImport = new HealthImportService();
+
+export { HealthImportService };
+export default healthImport;
@@ -0,0 +1,661 @@
+import path from 'path';
+import moment from 'moment-timezone';
+import { readZipEntry } from './zip.js';
+import config from '../config/index.js';
+
+/**
+ * 健康平台导出文件解析
+ *
+ * 在本地解析用户上传的导出文件，不调用各平台的接口：
+ * - Apple 健康：导出的 export.zip 或其中的 export.xml（Workout 和 BodyMass 记录）
+ * - Google Fit：Takeout 中的会话和体重 JSON，也支持 REST 接口返回的 session / point 格式
+ * - Garmin：FIT（session 和 weight_scale 消息）和 TCX 文件
+ *
+ * 解析结果统一为 { activities, weights }，运动时间使用 ISO 字符串，
+ * 同一来源中没有运动ID时使用"运动类型@开始时间"作为 external_id 去重。
+ */
+
+export const HEALTH_IMPORT_PROVIDERS = ['apple_health', 'google_fit', 'garmin'];
+
+export const HEALTH_IMPORT_EXTENSIONS = ['xml', 'zip', 'json', 'tcx', 'fit'];
+
+const LB_TO_KG = 0.45359237;
+
+// 体重的合理范围(kg)，与资料验证一致
+const MIN_WEIGHT = 20;
+const MAX_WEIGHT = 500;
+
+// 单次运动最长时长(分钟)
+const MAX_DURATION_MINUTES = 1440;
+
+// Apple 健康运动类型（去掉 HKWorkoutActivityType 前缀）
+const APPLE_ACTIVITY_TYPES = {
+  Running: 'running',
+  Cycling: 'cycling',
+  HandCycling: 'cycling',
+  Swimming: 'swimming',
+  Walking: 'walking',
+  Hiking: 'hiking',
+  TraditionalStrengthTraining: 'strength',
+  FunctionalStrengthTraining: 'strength',
+  CoreTraining: 'strength',
+  Yoga: 'yoga',
+  Pilates: 'yoga',
+  HighIntensityIntervalTraining: 'hiit',
+  CrossTraining: 'hiit',
+  Soccer: 'team_sports',
+  Basketball: 'team_sports',
+  Volleyball: 'team_sports',
+  AmericanFootball: 'team_sports',
+  Rugby: 'team_sports',
+  Hockey: 'team_sports',
+  Handball: 'team_sports',
+  Baseball: 'team_sports',
+  Softball: 'team_sports',
+  Cricket: 'team_sports',
+  Lacrosse: 'team_sports',
+};
+
+// Google Fit 运动类型（Takeout 中的名称取第一段，如 biking.road）
+const GOOGLE_FIT_ACTIVITY_TYPES = {
+  running: 'running',
+  jogging: 'running',
+  biking: 'cycling',
+  spinning: 'cycling',
+  swimming: 'swimming',
+  walking: 'walking',
+  hiking: 'hiking',
+  strength_training: 'strength',
+  weightlifting: 'strength',
+  yoga: 'yoga',
+  pilates: 'yoga',
+  high_intensity_interval_training: 'hiit',
+  interval_training: 'hiit',
+  crossfit: 'hiit',
+  football: 'team_sports',
+  basketball: 'team_sports',
+  volleyball: 'team_sports',
+  handball: 'team_sports',
+  rugby: 'team_sports',
+  hockey: 'team_sports',
+  baseball: 'team_sports',
+  softball: 'team_sports',
+  cricket: 'team_sports',
+};
+
+// Google Fit REST 接口中的数字运动类型
+const GOOGLE_FIT_ACTIVITY_CODES = {
+  1: 'cycling',
+  7: 'walking',
+  8: 'running',
+  35: 'hiking',
+  80: 'strength',
+  82: 'swimming',
+  100: 'yoga',
+};
+
+// Garmin TCX 的 Sport 属性
+const TCX_SPORTS = {
+  running: 'running',
+  biking: 'cycling',
+};
+
+// FIT sport 枚举
+const FIT_SPORTS = {
+  1: 'running',
+  2: 'cycling',
+  5: 'swimming',
+  6: 'team_sports',
+  7: 'team_sports',
+  9: 'team_sports',
+  10: 'strength',
+  11: 'walking',
+  16: 'hiking',
+  17: 'hiking',
+};
+
+// FIT 时间戳从 1989-12-31T00:00:00Z 开始计秒
+const FIT_EPOCH = 631065600;
+
+// FIT 全局消息号和字段号
+const FIT_MESSAGES = { session: 18, weightScale: 30 };
+const FIT_TIMESTAMP_FIELD = 253;
+
+// XML 属性中的实体
+const XML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+};
+
+// 解析 XML 元素的属性
+const parseAttributes = text => {
+  const attributes = {};
+  for (const match of text.matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[match[1]] = match[2].replace(
+      /&(amp|lt|gt|quot|apos);/g,
+      entity => XML_ENTITIES[entity]
+    );
+  }
+  return attributes;
+};
+
+// 取 XML 片段中第一个元素的文本
+const elementText = (xml, tag) =>
+  xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`))?.[1]?.trim() ?? null;
+
+// 统一运动记录格式，时间无效或时长超出范围时返回 null
+const toActivity = ({
+  activityType = 'other',
+  startedAt,
+  durationMinutes,
+  externalId,
+  source,
+}) => {
+  const start = moment(startedAt);
+  const minutes = Math.round(durationMinutes);
+  if (!start.isValid() || !(minutes >= 1) || minutes > MAX_DURATION_MINUTES) {
+    return null;
+  }
+
+  return {
+    activity_type: activityType,
+    started_at: start.toISOString(),
+    duration_minutes: minutes,
+    source,
+    external_id: String(
+      externalId || `${activityType}@${start.toISOString()}`
+    ).slice(0, 100),
+  };
+};
+
+// 统一体重记录格式，单位换算为 kg
+const toWeight = ({ value, unit = 'kg', measuredAt, source }) => {
+  const measured = moment(measuredAt);
+  const kg =
+    Number(value) *
+    (String(unit).toLowerCase().startsWith('lb') ? LB_TO_KG : 1);
+  if (!measured.isValid() || !(kg >= MIN_WEIGHT && kg <= MAX_WEIGHT)) {
+    return null;
+  }
+
+  return {
+    weight: Math.round(kg * 100) / 100,
+    measured_at: measured.toISOString(),
+    source,
+  };
+};
+
+// Apple 健康的时间格式，如 2024-05-01 07:00:00 +0800
+const parseAppleDate = value =>
+  moment(value, ['YYYY-MM-DD HH:mm:ss Z', moment.ISO_8601], true);
+
+// Apple 健康 durationUnit 换算为分钟
+const APPLE_DURATION_UNITS = { s: 1 / 60, min: 1, hr: 60, h: 60 };
+
+/**
+ * 解析 Apple 健康的 export.xml
+ *
+ * @param {string} xml
+ * @returns {{ activities: Array, weights: Array }}
+ */
+export const parseAppleHealthExport = xml => {
+  const activities = [];
+  const weights = [];
+
+  for (const match of xml.matchAll(/<(Workout|Record)\s([^>]*?)\/?>/g)) {
+    const attributes = parseAttributes(match[2]);
+
+    if (match[1] === 'Record') {
+      if (attributes.type === 'HKQuantityTypeIdentifierBodyMass') {
+        const weight = toWeight({
+          value: attributes.value,
+          unit: attributes.unit,
+          measuredAt: parseAppleDate(attributes.startDate),
+          source: 'apple_health',
+        });
+        if (weight) {
+          weights.push(weight);
+        }
+      }
+      continue;
+    }
+
+    const start = parseAppleDate(attributes.startDate);
+    const end = parseAppleDate(attributes.endDate);
+    const durationMinutes = attributes.duration
+      ? Number(attributes.duration) *
+        (APPLE_DURATION_UNITS[attributes.durationUnit] ?? 1)
+      : end.diff(start, 'minutes', true);
+    const appleType = String(attributes.workoutActivityType || '').replace(
+      'HKWorkoutActivityType',
+      ''
+    );
+
+    const activity = toActivity({
+      activityType: APPLE_ACTIVITY_TYPES[appleType],
+      startedAt: start,
+      durationMinutes,
+      source: 'apple_health',
+    });
+    if (activity) {
+      activities.push(activity);
+    }
+  }
+
+  return { activities, weights };
+};
+
+// Google Fit 的纳秒时间戳
+const fromNanos = value => moment(Math.floor(Number(value) / 1e6));
+
+// Google Fit 运动类型
+const googleFitActivityType = value =>
+  typeof value === 'number' || /^\d+$/.test(String(value))
+    ? GOOGLE_FIT_ACTIVITY_CODES[Number(value)]
+    : GOOGLE_FIT_ACTIVITY_TYPES[String(value).toLowerCase().split('.')[0]];
+
+/**
+ * 解析 Google Fit 数据（Takeout 导出或 REST 接口返回的 JSON）
+ *
+ * @param {Object|Array} data
+ * @returns {{ activities: Array, weights: Array }}
+ */
+export const parseGoogleFitData = data => {
+  const activities = [];
+  const weights = [];
+  const items = Array.isArray(data) ? data : [data];
+
+  const addWeight = (point, values) => {
+    if (point?.dataTypeName !== 'com.google.weight') {
+      return;
+    }
+    const weight = toWeight({
+      value: values?.[0]?.fpVal ?? values?.[0]?.value?.fpVal,
+      measuredAt: fromNanos(point.startTimeNanos),
+      source: 'google_fit',
+    });
+    if (weight) {
+      weights.push(weight);
+    }
+  };
+
+  for (const item of items) {
+    if (!item || typeof item !== 'object') {
+      continue;
+    }
+
+    // Takeout 会话文件
+    if (item.fitnessActivity && item.startTime) {
+      const start = moment(item.startTime);
+      const durationMinutes = item.duration
+        ? parseFloat(item.duration) / 60
+        : moment(item.endTime).diff(start, 'minutes', true);
+      const activity = toActivity({
+        activityType: googleFitActivityType(item.fitnessActivity),
+        startedAt: start,
+        durationMinutes,
+        source: 'google_fit',
+      });
+      if (activity) {
+        activities.push(activity);
+      }
+    }
+
+    // REST 接口的会话列表
+    for (const session of item.session || []) {
+      const start = moment(Number(session.startTimeMillis));
+      const activity = toActivity({
+        activityType: googleFitActivityType(session.activityType),
+        startedAt: start,
+        durationMinutes: moment(Number(session.endTimeMillis)).diff(
+          start,
+          'minutes',
+          true
+        ),
+        externalId: session.id,
+        source: 'google_fit',
+      });
+      if (activity) {
+        activities.push(activity);
+      }
+    }
+
+    // Takeout 的 Data Points 和 REST 接口的 point
+    for (const point of item['Data Points'] || []) {
+      addWeight(point, point.fitValue);
+    }
+    for (const point of item.point || []) {
+      addWeight(point, point.value);
+    }
+  }
+
+  return { activities, weights };
+};
+
+/**
+ * 解析 Garmin TCX 文件
+ *
+ * @param {string} xml
+ * @returns {{ activities: Array, weights: Array }}
+ */
+export const parseTcx = xml => {
+  const activities = [];
+
+  for (const match of xml.matchAll(
+    /<Activity\s([^>]*)>([\s\S]*?)<\/Activity>/g
+  )) {
+    const sport = parseAttributes(match[1]).Sport;
+    const body = match[2];
+    const laps = [...body.matchAll(/<Lap\s([^>]*)>([\s\S]*?)<\/Lap>/g)];
+    const seconds = laps.reduce(
+      (sum, lap) =>
+        sum + (Number(elementText(lap[2], 'TotalTimeSeconds')) || 0),
+      0
+    );
+    const startedAt =
+      elementText(body, 'Id') || parseAttributes(laps[0]?.[1] || '').StartTime;
+
+    const activity = toActivity({
+      activityType: TCX_SPORTS[String(sport).toLowerCase()],
+      startedAt: moment(startedAt, moment.ISO_8601),
+      durationMinutes: seconds / 60,
+      source: 'garmin',
+    });
+    if (activity) {
+      activities.push(activity);
+    }
+  }
+
+  return { activities, weights: [] };
+};
+
+// 读取 FIT 字段值，只处理 1、2、4 字节的整数，无效值返回 null
+const readFitValue = (buffer, offset, size, baseType, littleEndian) => {
+  const type = baseType & 0x1f;
+  const signed = [1, 3, 5].includes(type);
+
+  let value;
+  if (size === 1) {
+    value = signed ? buffer.readInt8(offset) : buffer.readUInt8(offset);
+  } else if (size === 2) {
+    value = signed
+      ? littleEndian
+        ? buffer.readInt16LE(offset)
+        : buffer.readInt16BE(offset)
+      : littleEndian
+        ? buffer.readUInt16LE(offset)
+        : buffer.readUInt16BE(offset);
+  } else if (size === 4) {
+    value = signed
+      ? littleEndian
+        ? buffer.readInt32LE(offset)
+        : buffer.readInt32BE(offset)
+      : littleEndian
+        ? buffer.readUInt32LE(offset)
+        : buffer.readUInt32BE(offset);
+  } else {
+    return null;
+  }
+
+  const invalid = signed
+    ? [0x7f, 0x7fff, 0x7fffffff][size >> 1]
+    : [0xff, 0xffff, 0xffffffff][size >> 1];
+  // uint8z、uint16z、uint32z 以 0 表示无效
+  if (value === invalid || ([10, 11, 12].includes(type) && value === 0)) {
+    return null;
+  }
+  return value;
+};
+
+/**
+ * 解析 FIT 文件中的 session（运动）和 weight_scale（体重）消息
+ *
+ * @param {Buffer} buffer
+ * @returns {{ activities: Array, weights: Array } | { error: string, message: string }}
+ */
+export const parseFit = buffer => {
+  if (buffer.length < 12 || buffer.toString('ascii', 8, 12) !== '.FIT') {
+    return { error: 'INVALID_FILE', message: 'FIT文件格式无效' };
+  }
+
+  const headerSize = buffer.readUInt8(0);
+  const end = Math.min(buffer.length, headerSize + buffer.readUInt32LE(4));
+  const definitions = {};
+  const activities = [];
+  const weights = [];
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  const toMoment = fitTime => moment.unix(fitTime + FIT_EPOCH);
+
+  // 文件被截断或定义不完整时读取会越界
+  try {
+    while (offset < end) {
+      const header = buffer.readUInt8(offset++);
+      let localType;
+      let timestamp = null;
+
+      if (header & 0x80) {
+        // 压缩时间戳消息头：低5位是相对上一个时间戳的秒数
+        localType = (header >> 5) & 0x03;
+        if (lastTimestamp !== null) {
+          const timeOffset = header & 0x1f;
+          timestamp =
+            (lastTimestamp & ~0x1f) +
+            timeOffset +
+            (timeOffset < (lastTimestamp & 0x1f) ? 0x20 : 0);
+          lastTimestamp = timestamp;
+        }
+      } else if (header & 0x40) {
+        // 定义消息
+        const littleEndian = buffer.readUInt8(offset + 1) === 0;
+        const globalNumber = littleEndian
+          ? buffer.readUInt16LE(offset + 2)
+          : buffer.readUInt16BE(offset + 2);
+        const fieldCount = buffer.readUInt8(offset + 4);
+        offset += 5;
+
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++, offset += 3) {
+          fields.push({
+            number: buffer.readUInt8(offset),
+            size: buffer.readUInt8(offset + 1),
+            baseType: buffer.readUInt8(offset + 2),
+          });
+        }
+
+        // 开发者字段只需要跳过
+        let developerSize = 0;
+        if (header & 0x20) {
+          const developerCount = buffer.readUInt8(offset++);
+          for (let i = 0; i < developerCount; i++, offset += 3) {
+            developerSize += buffer.readUInt8(offset + 1);
+          }
+        }
+
+        definitions[header & 0x0f] = {
+          globalNumber,
+          littleEndian,
+          fields,
+          developerSize,
+        };
+        continue;
+      } else {
+        localType = header & 0x0f;
+      }
+
+      const definition = definitions[localType];
+      if (!definition) {
+        return { error: 'INVALID_FILE', message: 'FIT文件格式无效' };
+      }
+
+      const values = {};
+      for (const field of definition.fields) {
+        values[field.number] = readFitValue(
+          buffer,
+          offset,
+          field.size,
+          field.baseType,
+          definition.littleEndian
+        );
+        offset += field.size;
+      }
+      offset += definition.developerSize;
+
+      if (
+        values[FIT_TIMESTAMP_FIELD] !== undefined &&
+        values[FIT_TIMESTAMP_FIELD] !== null
+      ) {
+        timestamp = values[FIT_TIMESTAMP_FIELD];
+        lastTimestamp = timestamp;
+      }
+
+      if (definition.globalNumber === FIT_MESSAGES.session) {
+        // start_time(2)，total_timer_time(8) 和 total_elapsed_time(7) 的单位是毫秒
+        const startTime = values[2] ?? timestamp;
+        const durationMs = values[8] ?? values[7];
+        if (startTime !== null && durationMs !== null) {
+          const activity = toActivity({
+            activityType: FIT_SPORTS[values[5]],
+            startedAt: toMoment(startTime),
+            durationMinutes: durationMs / 1000 / 60,
+            source: 'garmin',
+          });
+          if (activity) {
+            activities.push(activity);
+          }
+        }
+      } else if (
+        definition.globalNumber === FIT_MESSAGES.weightScale &&
+        timestamp !== null &&
+        values[0] !== null
+      ) {
+        // weight(0) 的单位是 0.01kg
+        const weight = toWeight({
+          value: values[0] / 100,
+          measuredAt: toMoment(timestamp),
+          source: 'garmin',
+        });
+        if (weight) {
+          weights.push(weight);
+        }
+      }
+    }
+  } catch {
+    return { error: 'INVALID_FILE', message: 'FIT文件格式无效' };
+  }
+
+  return { activities, weights };
+};
+
+/**
+ * 读取 Apple 健康导出压缩包中的 export.xml
+ *
+ * @param {Buffer} buffer
+ * @param {number} maxSize 解压后的最大大小(字节)
+ * @returns {{ data: Buffer } | { error: string, message: string }}
+ */
+const readAppleHealthZip = (buffer, maxSize) => {
+  let entry;
+  try {
+    // Apple 健康导出为 apple_health_export/export.xml
+    entry = readZipEntry(buffer, name => /(^|\/)export\.xml$/i.test(name), {
+      maxSize,
+    });
+  } catch (error) {
+    return {
+      error: 'INVALID_FILE',
+      message:
+        error.name === 'RangeError'
+          ? `export.xml 解压后超过${Math.floor(maxSize / 1024 / 1024)}MB`
+          : 'ZIP文件已损坏',
+    };
+  }
+
+  if (!entry) {
+    return {
+      error: 'INVALID_FILE',
+      message: 'ZIP文件中没有找到 Apple 健康的 export.xml',
+    };
+  }
+  return entry;
+};
+
+/**
+ * 识别文件格式并解析
+ *
+ * @param {Object} file multer 上传的文件 { originalname, buffer }
+ * @param {Object} options { maxUnzippedSize } 压缩包中的文件解压后的最大大小(字节)
+ * @returns {{ provider: string, format: string, activities: Array, weights: Array } | { error: string, message: string }}
+ */
+export const parseHealthFile = (
+  file,
+  { maxUnzippedSize = config.business.maxHealthImportUnzippedSize } = {}
+) => {
+  const format = path.extname(file.originalname).slice(1).toLowerCase();
+
+  if (format === 'fit') {
+    const result = parseFit(file.buffer);
+    return result.error ? result : { provider: 'garmin', format, ...result };
+  }
+
+  if (format === 'tcx') {
+    return {
+      provider: 'garmin',
+      format,
+      ...parseTcx(file.buffer.toString('utf8')),
+    };
+  }
+
+  if (format === 'zip') {
+    const entry = readAppleHealthZip(file.buffer, maxUnzippedSize);
+    if (entry.error) {
+      return entry;
+    }
+    return {
+      provider: 'apple_health',
+      format,
+      ...parseAppleHealthExport(entry.data.toString('utf8')),
+    };
+  }
+
+  const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (format === 'xml') {
+    if (/<HealthData[\s>]/.test(text)) {
+      return {
+        provider: 'apple_health',
+        format,
+        ...parseAppleHealthExport(text),
+      };
+    }
+    if (/<TrainingCenterDatabase[\s>]/.test(text)) {
+      return { provider: 'garmin', format, ...parseTcx(text) };
+    }
+    return {
+      error: 'UNSUPPORTED_FORMAT',
+      message:
+        '无法识别的XML文件，请上传 Apple 健康的 export.xml 或 Garmin TCX 文件',
+    };
+  }
+
+  if (format === 'json') {
+    try {
+      return {
+        provider: 'google_fit',
+        format,
+        ...parseGoogleFitData(JSON.parse(text)),
+      };
+    } catch {
+      return { error: 'INVALID_FILE', message: 'JSON文件格式无效' };
+    }
+  }
+
+  return {
+    error: 'UNSUPPORTED_FORMAT',
+    message: `只支持以下文件类型: ${HEALTH_IMPORT_EXTENSIONS.join(', ')}`,
+  };
+};
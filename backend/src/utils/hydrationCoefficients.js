@@ -0,0 +1,168 @@
+import db from '../config/database.js';
+import * as SystemConfigModel from '../models/systemConfig.model.js';
+import * as CoefficientModel from '../models/hydrationCoefficient.model.js';
+import { businessLogger, errorLogger } from './logger.js';
+
+/**
+ * 饮品补水系数
+ *
+ * 有效补水量 = 饮水量 × 饮品类型的补水系数。系统默认系数保存在
+ * system_configs.hydration_coefficients 中，用户可以按饮品类型单独覆盖。
+ * 目标完成情况统一按有效补水量计算，统计接口同时返回原始饮水量。
+ */
+
+// hydration_records.drink_type 支持的饮品类型
+export const DRINK_TYPES = [
+  'water',
+  'tea',
+  'coffee',
+  'juice',
+  'sports_drink',
+  'soda',
+  'alcohol',
+  'other',
+];
+
+// 系统配置缺失时使用的默认系数
+export const DEFAULT_HYDRATION_COEFFICIENTS = {
+  water: 1.0,
+  tea: 0.9,
+  coffee: 0.8,
+  juice: 0.9,
+  sports_drink: 1.0,
+  soda: 0.85,
+  alcohol: 0.3,
+  other: 0.9,
+};
+
+// 系数允许范围
+export const MIN_COEFFICIENT = 0;
+export const MAX_COEFFICIENT = 1.5;
+
+const SYSTEM_CONFIG_KEY = 'hydration_coefficients';
+const SYSTEM_CACHE_KEY = 'config:hydration_coefficients';
+const SYSTEM_CACHE_TTL = 600;
+
+// 判断系数是否有效
+export const isValidCoefficient = value =>
+  typeof value === 'number' &&
+  Number.isFinite(value) &&
+  value >= MIN_COEFFICIENT &&
+  value <= MAX_COEFFICIENT;
+
+// 依次叠加多层系数配置，忽略未知饮品类型和无效值
+export const mergeCoefficients = (...layers) => {
+  const merged = { ...DEFAULT_HYDRATION_COEFFICIENTS };
+
+  for (const layer of layers) {
+    for (const [drinkType, value] of Object.entries(layer || {})) {
+      const coefficient = Number(value);
+      if (DRINK_TYPES.includes(drinkType) && isValidCoefficient(coefficient)) {
+        merged[drinkType] = coefficient;
+      }
+    }
+  }
+
+  return merged;
+};
+
+// 计算单条记录的有效补水量
+export const calculateEffectiveAmount = (amount, drinkType, coefficients) => {
+  const coefficient = coefficients[drinkType] ?? coefficients.other ?? 1;
+  return Math.round(Number(amount) * coefficient);
+};
+
+/**
+ * 生成计算有效补水量的 SQL 表达式
+ *
+ * 饮品类型来自固定列表、系数已校验为数字，因此直接内联到 SQL 中。
+ *
+ * @param {Object} coefficients mergeCoefficients 的结果
+ * @param {string} alias hydration_records 表别名
+ * @returns {string} 例如 (hr.amount * CASE hr.drink_type WHEN 'water' THEN 1 ... END)
+ */
+export const effectiveAmountSql = (coefficients, alias = '') => {
+  const prefix = alias ? `${alias}.` : '';
+  const cases = DRINK_TYPES.map(
+    drinkType => `WHEN '${drinkType}' THEN ${Number(coefficients[drinkType])}`
+  ).join(' ');
+
+  return `(${prefix}amount * CASE ${prefix}drink_type ${cases} ELSE ${Number(
+    coefficients.other
+  )} END)`;
+};
+
+class HydrationCoefficientService {
+  constructor(options = {}) {
+    this.configModel = options.configModel || SystemConfigModel;
+    this.model = options.model || CoefficientModel;
+    this.cache = options.cache || db;
+  }
+
+  // 获取系统默认系数（缓存10分钟）
+  async getSystemCoefficients() {
+    const cached = await this.cache.getCache(SYSTEM_CACHE_KEY);
+    if (cached) {
+      return cached;
+    }
+
+    let configured = null;
+    try {
+      configured = await this.configModel.getSystemConfig(SYSTEM_CONFIG_KEY);
+    } catch (error) {
+      errorLogger.database(error, 'get_hydration_coefficients', {});
+    }
+
+    const coefficients = mergeCoefficients(configured);
+    await this.cache.setCache(SYSTEM_CACHE_KEY, coefficients, SYSTEM_CACHE_TTL);
+    return coefficients;
+  }
+
+  // 获取用户的系数配置：系统默认值、用户覆盖值和最终生效值
+  async getUserCoefficients(userId) {
+    const [system, overrideRows] = await Promise.all([
+      this.getSystemCoefficients(),
+      this.model.getUserOverrides(userId),
+    ]);
+
+    const overrides = overrideRows.reduce((obj, row) => {
+      obj[row.drink_type] = Number(row.coefficient);
+      return obj;
+    }, {});
+
+    return {
+      defaults: system,
+      overrides,
+      coefficients: mergeCoefficients(system, overrides),
+    };
+  }
+
+  // 获取用户最终生效的系数
+  async getForUser(userId) {
+    const { coefficients } = await this.getUserCoefficients(userId);
+    return coefficients;
+  }
+
+  // 更新用户覆盖值；值为 null 时恢复系统默认
+  async updateUserOverrides(userId, changes) {
+    for (const [drinkType, value] of Object.entries(changes)) {
+      if (value === null) {
+        await this.model.deleteUserOverride(userId, drinkType);
+      } else {
+        await this.model.upsertUserOverride(userId, drinkType, value);
+      }
+    }
+
+    businessLogger.userAction(userId, 'hydration_coefficients_updated', {
+      changes,
+    });
+
+    return await this.getUserCoefficients(userId);
+  }
+}
+
+// 创建单例实例
+const hydrationCoefficients = new HydrationCoefficientService();
+
+export { HydrationCoefficientService };
+export default hydrationCoefficients;
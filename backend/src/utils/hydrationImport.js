@@ -0,0 +1,521 @@
+import path from 'path';
+import moment from 'moment-timezone';
+import { validationResult } from 'express-validator';
+import * as HydrationModel from '../models/hydration.model.js';
+import * as ImportJobModel from '../models/importJob.model.js';
+import { getUserGoalContext } from '../models/goal.model.js';
+import { importRecordRowValidation } from '../validators/hydration.validators.js';
+import streakService from './streakService.js';
+import achievementEngine from './achievementEngine.js';
+import recordHistory from './recordHistory.js';
+import { businessLogger, errorLogger } from './logger.js';
+import { resolveTimezone, getLocalDate } from './userTime.js';
+import config from '../config/index.js';
+
+/**
+ * 饮水记录批量导入
+ *
+ * 支持 CSV 和 JSON 文件。列名按常见名称自动识别，也可以通过 mapping 指定；
+ * 每一行都使用 hydration.validators.js 中的规则验证，与已有记录（以及文件中的其他行）
+ * 饮水时间、饮水量和类型都相同的行视为重复跳过。导入在后台执行，进度保存在 import_jobs 表中。
+ */
+
+export const IMPORT_FORMATS = ['csv', 'json'];
+
+// 饮水量单位换算为毫升
+export const IMPORT_UNITS = { ml: 1, l: 1000, oz: 29.5735 };
+
+// 可导入的字段及常见列名
+export const IMPORT_COLUMN_ALIASES = {
+  amount: ['amount', 'volume', 'ml', 'quantity', 'water', '饮水量', '水量'],
+  recordedAt: [
+    'recordedat',
+    'date',
+    'datetime',
+    'time',
+    'timestamp',
+    'createdat',
+    '记录时间',
+    '时间',
+    '日期',
+  ],
+  drinkType: ['drinktype', 'type', 'category', '饮品类型', '类型'],
+  drinkName: ['drinkname', 'drink', 'name', 'beverage', '饮品名称', '饮品'],
+  location: ['location', 'place', '地点'],
+  activityContext: ['activitycontext', 'activity', 'context', '场景'],
+  temperature: ['temperature', 'temp', '温度'],
+};
+
+// 每批处理的行数
+const CHUNK_SIZE = 500;
+
+// 任务中最多保存的逐行错误数
+const MAX_ROW_ERRORS = 100;
+
+// 不带时区的时间按用户时区解析
+const DATE_FORMATS = [
+  moment.ISO_8601,
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DD HH:mm',
+  'YYYY/MM/DD HH:mm:ss',
+  'YYYY/MM/DD HH:mm',
+  'MM/DD/YYYY HH:mm:ss',
+  'MM/DD/YYYY HH:mm',
+  'MM/DD/YYYY h:mm A',
+  'YYYY-MM-DD',
+  'YYYY/MM/DD',
+];
+
+// 列名归一化：忽略大小写、空格、下划线、连字符和括号中的单位
+const normalizeHeader = header =>
+  String(header)
+    .toLowerCase()
+    .replace(/\(.*?\)|（.*?）/g, '')
+    .replace(/[\s_-]+/g, '');
+
+/**
+ * 解析 CSV 文本（支持引号转义，自动识别逗号、分号和制表符分隔）
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = text => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.slice(0, content.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // 忽略空行
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * 解析导入文件为行对象
+ *
+ * @param {Buffer} buffer 文件内容
+ * @param {string} format csv 或 json
+ * @returns {{ headers: string[], rows: Object[], firstRowNumber: number } | { error: string, message: string }}
+ */
+export const parseImportFile = (buffer, format) => {
+  const text = buffer.toString('utf8');
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch {
+      return { error: 'INVALID_FILE', message: 'JSON文件格式无效' };
+    }
+
+    const rows = Array.isArray(data) ? data : data?.records;
+    if (
+      !Array.isArray(rows) ||
+      rows.some(row => !row || typeof row !== 'object')
+    ) {
+      return {
+        error: 'INVALID_FILE',
+        message: 'JSON文件必须是记录数组，或包含 records 数组的对象',
+      };
+    }
+
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return { headers, rows, firstRowNumber: 1 };
+  }
+
+  const [headers = [], ...lines] = parseCsv(text);
+  const trimmedHeaders = headers.map(header => header.trim());
+  const rows = lines.map(cells =>
+    trimmedHeaders.reduce((row, header, index) => {
+      row[header] = cells[index];
+      return row;
+    }, {})
+  );
+
+  // CSV 第1行是表头
+  return { headers: trimmedHeaders, rows, firstRowNumber: 2 };
+};
+
+/**
+ * 确定每个导入字段对应的列
+ *
+ * @param {string[]} headers 文件中的列名
+ * @param {Object} mapping 用户指定的映射 { 字段: 列名 }
+ * @returns {{ mapping: Object } | { error: string, message: string }}
+ */
+export const resolveColumnMapping = (headers, mapping = {}) => {
+  const unknown = Object.keys(mapping).filter(
+    field => !IMPORT_COLUMN_ALIASES[field]
+  );
+  if (unknown.length > 0) {
+    return {
+      error: 'INVALID_MAPPING',
+      message: `不支持导入的字段: ${unknown.join(', ')}`,
+    };
+  }
+
+  const resolved = {};
+
+  for (const [field, aliases] of Object.entries(IMPORT_COLUMN_ALIASES)) {
+    if (mapping[field]) {
+      if (!headers.includes(mapping[field])) {
+        return {
+          error: 'COLUMN_NOT_FOUND',
+          message: `文件中没有列"${mapping[field]}"`,
+        };
+      }
+      resolved[field] = mapping[field];
+      continue;
+    }
+
+    const header = headers.find(candidate =>
+      aliases.includes(normalizeHeader(candidate))
+    );
+    if (header) {
+      resolved[field] = header;
+    }
+  }
+
+  const missing = ['amount', 'recordedAt'].filter(field => !resolved[field]);
+  if (missing.length > 0) {
+    return {
+      error: 'MISSING_COLUMNS',
+      message: `无法识别必需的列: ${missing.join(', ')}，请通过 mapping 指定`,
+    };
+  }
+
+  return { mapping: resolved };
+};
+
+// 解析时间：支持 Unix 时间戳（秒或毫秒）和常见日期格式
+const parseRecordedAt = (value, timezone) => {
+  if (typeof value === 'number' || /^\d{9,13}$/.test(String(value).trim())) {
+    const timestamp = Number(value);
+    return moment(timestamp < 1e11 ? timestamp * 1000 : timestamp);
+  }
+  // 非严格模式，允许月、日、小时不补零
+  return moment.tz(String(value).trim(), DATE_FORMATS, timezone);
+};
+
+/**
+ * 将一行数据按列映射转换为记录请求字段
+ *
+ * @param {Object} raw 文件中的一行
+ * @param {Object} mapping resolveColumnMapping 的结果
+ * @param {Object} options { unit, timezone }
+ * @returns {Object} 与 POST /hydration 请求体相同的字段
+ */
+export const mapImportRow = (raw, mapping, { unit = 'ml', timezone }) => {
+  const body = {};
+
+  for (const [field, column] of Object.entries(mapping)) {
+    const value = raw[column];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      continue;
+    }
+    body[field] = typeof value === 'string' ? value.trim() : value;
+  }
+
+  if (body.amount !== undefined) {
+    const amount = Number(String(body.amount).replace(',', '.'));
+    body.amount = Number.isFinite(amount)
+      ? Math.round(amount * IMPORT_UNITS[unit])
+      : body.amount;
+  }
+
+  if (body.recordedAt !== undefined) {
+    const recordedAt = parseRecordedAt(body.recordedAt, timezone);
+    // 无法解析的时间保留原值，由验证规则报告错误
+    if (recordedAt.isValid()) {
+      body.recordedAt = recordedAt.toISOString();
+    }
+  }
+
+  for (const field of ['drinkType', 'activityContext', 'temperature']) {
+    if (typeof body[field] === 'string') {
+      body[field] = body[field].toLowerCase().replace(/\s+/g, '_');
+    }
+  }
+
+  return body;
+};
+
+// 使用记录验证规则验证一行
+export const validateImportRow = async body => {
+  const req = { body };
+  for (const chain of importRecordRowValidation) {
+    await chain.run(req);
+  }
+
+  return validationResult(req)
+    .array()
+    .map(error => ({ field: error.path, message: error.msg }));
+};
+
+// 去重用的记录指纹
+const fingerprint = (recordedAt, amount, drinkType) =>
+  `${moment(recordedAt).format('YYYY-MM-DD HH:mm:ss')}|${Number(amount)}|${drinkType}`;
+
+class HydrationImportService {
+  constructor(options = {}) {
+    this.hydrationModel = options.hydrationModel || HydrationModel;
+    this.jobModel = options.jobModel || ImportJobModel;
+    this.recordHistory = options.recordHistory || recordHistory;
+  }
+
+  /**
+   * 创建导入任务并在后台执行
+   *
+   * @param {number} userId
+   * @param {Object} file multer 上传的文件
+   * @param {Object} options { format, mapping, unit, timezone }
+   * @returns {Promise<{ jobId: number, totalRows: number } | { error: string, message: string }>}
+   */
+  async start(userId, file, options = {}) {
+    const format =
+      options.format || path.extname(file.originalname).slice(1).toLowerCase();
+    if (!IMPORT_FORMATS.includes(format)) {
+      return {
+        error: 'UNSUPPORTED_FORMAT',
+        message: '只支持 CSV 和 JSON 文件',
+      };
+    }
+
+    const parsed = parseImportFile(file.buffer, format);
+    if (parsed.error) {
+      return parsed;
+    }
+
+    if (parsed.rows.length === 0) {
+      return { error: 'EMPTY_FILE', message: '文件中没有可导入的记录' };
+    }
+
+    if (parsed.rows.length > config.business.maxImportRows) {
+      return {
+        error: 'TOO_MANY_ROWS',
+        message: `单个文件最多导入${config.business.maxImportRows}条记录`,
+      };
+    }
+
+    const resolved = resolveColumnMapping(parsed.headers, options.mapping);
+    if (resolved.error) {
+      return resolved;
+    }
+
+    const user = await getUserGoalContext(userId);
+    const jobOptions = {
+      mapping: resolved.mapping,
+      unit: options.unit || 'ml',
+      timezone: resolveTimezone(options.timezone, user?.timezone),
+    };
+
+    const jobId = await this.jobModel.createImportJob(userId, {
+      file_name: file.originalname,
+      file_format: format,
+      options: jobOptions,
+    });
+
+    businessLogger.userAction(userId, 'start_import', {
+      jobId,
+      format,
+      rows: parsed.rows.length,
+    });
+
+    // 在后台执行导入，进度通过任务状态查询
+    setImmediate(() => {
+      this.run(jobId, userId, parsed, jobOptions).catch(error => {
+        errorLogger.database(error, 'run_import_job', { jobId, userId });
+      });
+    });
+
+    return { jobId, totalRows: parsed.rows.length };
+  }
+
+  // 执行导入任务
+  async run(jobId, userId, parsed, options) {
+    const { rows, firstRowNumber } = parsed;
+    const progress = {
+      processed_rows: 0,
+      imported_rows: 0,
+      duplicate_rows: 0,
+      failed_rows: 0,
+    };
+    const rowErrors = [];
+    const seen = new Set();
+    const affectedDates = new Set();
+
+    await this.jobModel.updateImportJob(jobId, {
+      status: 'processing',
+      total_rows: rows.length,
+      started_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+    });
+
+    try {
+      for (let start = 0; start < rows.length; start += CHUNK_SIZE) {
+        const chunk = rows.slice(start, start + CHUNK_SIZE);
+        const records = [];
+
+        for (const [offset, raw] of chunk.entries()) {
+          const body = mapImportRow(raw, options.mapping, options);
+          const errors = await validateImportRow(body);
+
+          if (errors.length > 0) {
+            progress.failed_rows++;
+            if (rowErrors.length < MAX_ROW_ERRORS) {
+              rowErrors.push({ row: firstRowNumber + start + offset, errors });
+            }
+            continue;
+          }
+
+          records.push({
+            amount: Number(body.amount),
+            drink_type: body.drinkType || 'water',
+            drink_name: body.drinkName || null,
+            recorded_at: moment(body.recordedAt).format('YYYY-MM-DD HH:mm:ss'),
+            location: body.location || null,
+            activity_context: body.activityContext || null,
+            temperature: body.temperature || 'room',
+            source: 'api_import',
+            timezone: options.timezone,
+          });
+        }
+
+        const newRecords = await this.filterDuplicates(userId, records, seen);
+        progress.duplicate_rows += records.length - newRecords.length;
+
+        if (newRecords.length > 0) {
+          const result = await this.hydrationModel.createBatchHydrationRecords(
+            userId,
+            newRecords
+          );
+          await this.recordHistory.logInserted(userId, result, {
+            actorType: 'import',
+            actorId: jobId,
+            source: 'api_import',
+          });
+          newRecords.forEach(record =>
+            affectedDates.add(getLocalDate(record.recorded_at, record.timezone))
+          );
+        }
+
+        progress.imported_rows += newRecords.length;
+        progress.processed_rows += chunk.length;
+        await this.jobModel.updateImportJob(jobId, {
+          ...progress,
+          row_errors: rowErrors,
+        });
+      }
+
+      // 重新计算导入日期的统计、连续达成和成就
+      for (const date of [...affectedDates].sort()) {
+        await this.hydrationModel.updateUserStatistics(userId, date);
+      }
+      if (affectedDates.size > 0) {
+        await streakService.refresh(userId);
+        await achievementEngine.evaluateUser(userId, { added: true });
+      }
+
+      await this.jobModel.updateImportJob(jobId, {
+        status: 'completed',
+        completed_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+      });
+
+      businessLogger.userAction(userId, 'complete_import', {
+        jobId,
+        ...progress,
+      });
+    } catch (error) {
+      errorLogger.database(error, 'import_hydration_records', {
+        jobId,
+        userId,
+      });
+      await this.jobModel.updateImportJob(jobId, {
+        ...progress,
+        row_errors: rowErrors,
+        status: 'failed',
+        error_message: '导入过程中发生错误，已导入的记录会保留',
+        completed_at: moment().format('YYYY-MM-DD HH:mm:ss'),
+      });
+    }
+  }
+
+  // 过滤与已有记录或文件中前面的行重复的记录
+  async filterDuplicates(userId, records, seen) {
+    if (records.length === 0) {
+      return [];
+    }
+
+    const times = records.map(record => record.recorded_at).sort();
+    const existing = await this.hydrationModel.getRecordFingerprints(
+      userId,
+      times[0],
+      times[times.length - 1]
+    );
+    const existingKeys = new Set(
+      existing.map(record =>
+        fingerprint(record.recorded_at, record.amount, record.drink_type)
+      )
+    );
+
+    return records.filter(record => {
+      const key = fingerprint(
+        record.recorded_at,
+        record.amount,
+        record.drink_type
+      );
+      if (existingKeys.has(key) || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+// 创建单例实例
+const hydrationImport = new HydrationImportService();
+
+export { HydrationImportService };
+export default hydrationImport;
@@ -0,0 +1,367 @@
+import moment from 'moment-timezone';
+import * as HydrationModel from '../models/hydration.model.js';
+import * as UserModel from '../models/user.model.js';
+import recordHistory from './recordHistory.js';
+import { resolveTimezone, getLocalDate } from './userTime.js';
+
+/**
+ * 饮水记录离线同步
+ *
+ * 客户端使用自己生成的UUID标识记录，离线时把新增、修改、删除记录到变更日志，
+ * 联网后一次性提交，并通过游标拉取服务端在此之后的变更。
+ *
+ * 冲突按字段以客户端时间"后写入者胜"合并，时间相同时比较字段值，
+ * 保证同一组变更无论以什么顺序到达，结果都一致。记录删除后保留 deleted_at 作为删除标记，
+ * 之后对该记录的任何修改都会被忽略。
+ */
+
+// 可同步的字段：请求字段 => 数据库字段
+export const SYNC_FIELDS = {
+  amount: 'amount',
+  drinkType: 'drink_type',
+  drinkName: 'drink_name',
+  recordedAt: 'recorded_at',
+  location: 'location',
+  activityContext: 'activity_context',
+  temperature: 'temperature',
+};
+
+export const SYNC_OPERATIONS = ['create', 'update', 'delete'];
+
+// 单次同步最多提交的变更数和返回的记录数
+export const MAX_SYNC_CHANGES = 500;
+export const SYNC_PAGE_SIZE = 500;
+
+// 删除标记在 field_versions 中的键
+const DELETED_KEY = '_deleted';
+
+// 将客户端时间（毫秒或ISO字符串）转换为毫秒
+export const toTimestamp = value => {
+  const timestamp =
+    typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isFinite(timestamp) ? timestamp : null;
+};
+
+// 游标格式：<updated_at毫秒>_<记录ID>
+export const encodeCursor = (updatedAt, id = 0) =>
+  `${new Date(updatedAt).getTime()}_${id}`;
+
+export const decodeCursor = cursor => {
+  const match = /^(\d+)_(\d+)$/.exec(String(cursor || ''));
+  if (!match) {
+    return null;
+  }
+
+  return { updatedAt: new Date(Number(match[1])), id: Number(match[2]) };
+};
+
+// 统一字段值格式，便于比较
+const normalizeValue = (column, value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (column === 'amount') {
+    return Number(value);
+  }
+  if (column === 'recorded_at') {
+    return moment.min(moment(value), moment()).format('YYYY-MM-DD HH:mm:ss');
+  }
+  return value;
+};
+
+// 将请求中的记录数据转换为数据库字段
+export const toRecordValues = (data = {}) =>
+  Object.entries(SYNC_FIELDS).reduce((values, [field, column]) => {
+    if (data[field] !== undefined) {
+      values[column] = normalizeValue(column, data[field]);
+    }
+    return values;
+  }, {});
+
+// 字段修改时间相同时比较字段值，保证合并结果与到达顺序无关
+const compareValues = (a, b) => {
+  const left = JSON.stringify(a);
+  const right = JSON.stringify(b);
+  if (left === right) {
+    return 0;
+  }
+  return left > right ? 1 : -1;
+};
+
+// 解析记录的字段修改时间，缺失的字段按记录更新时间计算
+const getFieldVersions = record => {
+  const stored =
+    typeof record.field_versions === 'string'
+      ? JSON.parse(record.field_versions)
+      : record.field_versions || {};
+  const fallback = new Date(record.updated_at || record.created_at).getTime();
+
+  return Object.values(SYNC_FIELDS).reduce(
+    (versions, column) => {
+      versions[column] = Number(stored[column] ?? fallback);
+      return versions;
+    },
+    stored[DELETED_KEY] ? { [DELETED_KEY]: stored[DELETED_KEY] } : {}
+  );
+};
+
+/**
+ * 将一条客户端变更合并到现有记录
+ *
+ * @param {Object|null} record 现有记录（包含已删除的记录）
+ * @param {Object} change { op, clientTimestamp, values }
+ * @returns {{ status: string, values?: Object, field_versions?: Object, deleted?: boolean }}
+ *   status 为 created / updated / deleted / ignored / not_found
+ */
+export const mergeChange = (record, change) => {
+  const timestamp = change.clientTimestamp;
+  const values = change.values || {};
+
+  if (!record) {
+    // 更新操作可能因为新增操作丢失而先到达，包含饮水量时按新增处理
+    if (change.op === 'delete' || values.amount == null) {
+      return { status: 'not_found' };
+    }
+
+    return {
+      status: 'created',
+      values,
+      field_versions: Object.values(SYNC_FIELDS).reduce((versions, column) => {
+        versions[column] = timestamp;
+        return versions;
+      }, {}),
+    };
+  }
+
+  // 删除标记优先，已删除的记录不再接受修改
+  if (record.deleted_at) {
+    return { status: 'ignored' };
+  }
+
+  const versions = getFieldVersions(record);
+
+  if (change.op === 'delete') {
+    return {
+      status: 'deleted',
+      values: {},
+      field_versions: { ...versions, [DELETED_KEY]: timestamp },
+      deleted: true,
+    };
+  }
+
+  const accepted = Object.entries(values).reduce((result, [column, value]) => {
+    const current = normalizeValue(column, record[column]);
+    const wins =
+      timestamp > versions[column] ||
+      (timestamp === versions[column] && compareValues(value, current) > 0);
+
+    if (wins && compareValues(value, current) !== 0) {
+      result[column] = value;
+    }
+    if (wins) {
+      versions[column] = timestamp;
+    }
+    return result;
+  }, {});
+
+  if (Object.keys(accepted).length === 0) {
+    return { status: 'ignored' };
+  }
+
+  return { status: 'updated', values: accepted, field_versions: versions };
+};
+
+// 同步响应中的记录格式
+const toSyncRecord = record => ({
+  id: record.id,
+  client_id: record.client_id,
+  amount: record.amount,
+  drink_type: record.drink_type,
+  drink_name: record.drink_name,
+  drink_id: record.drink_id,
+  caffeine_mg: Number(record.caffeine_mg),
+  sugar_g: Number(record.sugar_g),
+  calories: Number(record.calories),
+  alcohol_units: Number(record.alcohol_units),
+  recorded_at: record.recorded_at,
+  location: record.location,
+  activity_context: record.activity_context,
+  temperature: record.temperature,
+  source: record.source,
+  updated_at: record.updated_at,
+  deleted: !!record.deleted_at,
+  deleted_at: record.deleted_at,
+});
+
+class HydrationSyncService {
+  constructor(options = {}) {
+    this.hydrationModel = options.hydrationModel || HydrationModel;
+    this.userModel = options.userModel || UserModel;
+    this.pageSize = options.pageSize || SYNC_PAGE_SIZE;
+    this.recordHistory = options.recordHistory || recordHistory;
+  }
+
+  /**
+   * 提交客户端变更并拉取服务端变更
+   *
+   * @param {number} userId
+   * @param {Object} payload { since, changes, deviceId, timezone }，timezone 为设备当前所在时区
+   * @returns {Promise<Object>} { results, changes, cursor, has_more, affectedDates, createdRecords }
+   */
+  async sync(
+    userId,
+    { since = null, changes = [], deviceId = null, timezone = null }
+  ) {
+    // 游标取处理变更之前的时间（精确到秒），本次写入的记录会在下次同步时再返回一次
+    const startedAt = moment().startOf('second').toDate();
+
+    const applied = await this.applyChanges(
+      userId,
+      changes,
+      deviceId,
+      timezone
+    );
+    const pulled = await this.pullChanges(userId, since, startedAt);
+
+    return { ...applied, ...pulled };
+  }
+
+  // 按客户端时间顺序合并变更，affectedDates 为受影响记录所在的当地日期
+  async applyChanges(userId, changes, deviceId, timezone = null) {
+    const userTimezone = await this.userModel.getUserTimezone(userId);
+    const deviceTimezone = resolveTimezone(timezone, userTimezone);
+
+    // 客户端时钟可能偏快，时间不能晚于服务器当前时间
+    const now = Date.now();
+    const ordered = changes
+      .map((change, index) => ({
+        op: change.op,
+        clientId: change.clientId.toLowerCase(),
+        clientTimestamp: Math.min(toTimestamp(change.clientTimestamp), now),
+        values: toRecordValues(change.data),
+        index,
+      }))
+      .sort(
+        (a, b) => a.clientTimestamp - b.clientTimestamp || a.index - b.index
+      );
+
+    const clientIds = [...new Set(ordered.map(change => change.clientId))];
+    const existing = await this.hydrationModel.getRecordsByClientIds(
+      userId,
+      clientIds
+    );
+    const records = new Map(
+      existing.map(record => [record.client_id.toLowerCase(), record])
+    );
+
+    const results = [];
+    const affectedDates = new Set();
+    const createdRecords = [];
+
+    for (const change of ordered) {
+      const record = records.get(change.clientId) || null;
+      const merged = mergeChange(record, change);
+      let recordId = record ? record.id : null;
+
+      if (merged.status === 'created') {
+        const recordData = {
+          ...merged.values,
+          client_id: change.clientId,
+          device_id: deviceId,
+          timezone: deviceTimezone,
+          field_versions: merged.field_versions,
+        };
+        recordId = await this.hydrationModel.createSyncedRecord(
+          userId,
+          recordData
+        );
+
+        const created = {
+          ...recordData,
+          id: recordId,
+          drink_type: recordData.drink_type || 'water',
+          recorded_at: recordData.recorded_at || new Date(),
+          updated_at: new Date(),
+          deleted_at: null,
+        };
+        records.set(change.clientId, created);
+        createdRecords.push(created);
+        await this.recordHistory.log(userId, recordId, {
+          action: 'create',
+          after: created,
+          actorType: 'device',
+          actorId: deviceId,
+        });
+        affectedDates.add(getLocalDate(created.recorded_at, deviceTimezone));
+      } else if (merged.status === 'updated' || merged.status === 'deleted') {
+        await this.hydrationModel.updateSyncedRecord(recordId, userId, merged);
+
+        // 修改时间的记录仍按记录原来的时区计算当地日期
+        const recordTimezone = resolveTimezone(record.timezone, userTimezone);
+        affectedDates.add(getLocalDate(record.recorded_at, recordTimezone));
+        if (merged.values.recorded_at) {
+          affectedDates.add(
+            getLocalDate(merged.values.recorded_at, recordTimezone)
+          );
+        }
+
+        const updated = {
+          ...record,
+          ...merged.values,
+          field_versions: merged.field_versions,
+          deleted_at: merged.deleted ? new Date() : record.deleted_at,
+        };
+        records.set(change.clientId, updated);
+        await this.recordHistory.log(userId, recordId, {
+          action: merged.deleted ? 'delete' : 'update',
+          before: record,
+          after: updated,
+          actorType: 'device',
+          actorId: deviceId,
+        });
+      }
+
+      results[change.index] = {
+        client_id: change.clientId,
+        op: change.op,
+        status: merged.status,
+        record_id: recordId,
+      };
+    }
+
+    return {
+      results,
+      affectedDates: [...affectedDates].sort(),
+      createdRecords,
+    };
+  }
+
+  // 拉取游标之后的服务端变更
+  async pullChanges(userId, since, startedAt) {
+    const cursor = since ? decodeCursor(since) : null;
+
+    await this.hydrationModel.assignMissingClientIds(userId);
+    const rows = await this.hydrationModel.getRecordsChangedSince(
+      userId,
+      cursor,
+      this.pageSize
+    );
+
+    const hasMore = rows.length >= this.pageSize;
+    const last = rows[rows.length - 1];
+
+    return {
+      changes: rows.map(toSyncRecord),
+      cursor: hasMore
+        ? encodeCursor(last.updated_at, last.id)
+        : encodeCursor(startedAt),
+      has_more: hasMore,
+    };
+  }
+}
+
+// 创建单例实例
+const hydrationSync = new HydrationSyncService();
+
+export { HydrationSyncService };
+export default hydrationSync;
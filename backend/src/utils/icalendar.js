@@ -0,0 +1,406 @@
+import moment from 'moment-timezone';
+import { resolveTimezone, isValidTimezone } from './userTime.js';
+
+/**
+ * iCalendar (.ics) 解析
+ *
+ * 只解析提醒避开会议需要的部分：VEVENT 的开始/结束时间、重复规则(RRULE)、
+ * 排除日期(EXDATE)和单次修改(RECURRENCE-ID)。
+ * - TZID 需要是 IANA 时区名称，无法识别时使用日历的 X-WR-TIMEZONE 或用户时区；
+ * - 全天事件、标记为空闲(TRANSP:TRANSPARENT)或已取消的事件不算忙碌；
+ * - RRULE 支持 DAILY、WEEKLY(BYDAY)、MONTHLY(BYMONTHDAY)、YEARLY 以及 INTERVAL、COUNT、UNTIL。
+ *
+ * 纯函数实现，可以直接用本地 .ics 文件验证。
+ */
+
+// 单个重复事件最多展开的次数，避免异常规则导致死循环
+const MAX_OCCURRENCES = 5000;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// 折叠行：以空格或制表符开头的行是上一行的延续
+const unfoldLines = text =>
+  String(text)
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '');
+
+// 按分隔符拆分，忽略双引号中的分隔符
+const splitOutsideQuotes = (value, separator) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of value) {
+    if (char === '"') {
+      quoted = !quoted;
+    }
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+// 解析内容行：NAME;PARAM=VALUE:值
+const parseContentLine = line => {
+  const [head, ...rest] = splitOutsideQuotes(line, ':');
+  const [name, ...paramParts] = splitOutsideQuotes(head, ';');
+
+  const params = {};
+  for (const part of paramParts) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      params[part.slice(0, index).toUpperCase()] = part
+        .slice(index + 1)
+        .replace(/^"|"$/g, '');
+    }
+  }
+
+  return { name: name.toUpperCase(), params, value: rest.join(':') };
+};
+
+const unescapeText = value =>
+  value
+    .replace(/\\[nN]/g, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+
+/**
+ * 解析日期或日期时间
+ *
+ * @param {string} value 20240101、20240101T090000 或 20240101T010000Z
+ * @param {Object} params 属性参数（TZID、VALUE）
+ * @param {string} defaultTimezone 浮动时间使用的时区
+ * @returns {{ time: moment.Moment, allDay: boolean }|null}
+ */
+export const parseDateValue = (value, params = {}, defaultTimezone) => {
+  const text = String(value).trim();
+  const timezone = isValidTimezone(params.TZID)
+    ? params.TZID
+    : resolveTimezone(defaultTimezone);
+
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(text)) {
+    const time = moment.tz(text, 'YYYYMMDD', true, timezone);
+    return time.isValid() ? { time, allDay: true } : null;
+  }
+
+  const time = text.endsWith('Z')
+    ? moment.utc(text, 'YYYYMMDD[T]HHmmss[Z]', true).tz(timezone)
+    : moment.tz(text, 'YYYYMMDD[T]HHmmss', true, timezone);
+  return time.isValid() ? { time, allDay: false } : null;
+};
+
+// 解析 DURATION，如 PT1H30M、P1D
+export const parseDuration = value => {
+  const match =
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+      String(value).trim()
+    );
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const duration = moment.duration({
+    weeks: Number(weeks) || 0,
+    days: Number(days) || 0,
+    hours: Number(hours) || 0,
+    minutes: Number(minutes) || 0,
+    seconds: Number(seconds) || 0,
+  });
+  return sign === '-' ? moment.duration(-duration.asMilliseconds()) : duration;
+};
+
+// 解析 RRULE，如 FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20241231T000000Z
+export const parseRecurrenceRule = (value, defaultTimezone) => {
+  const rule = {};
+  for (const part of String(value).split(';')) {
+    const [key, ruleValue] = part.split('=');
+    if (key && ruleValue) {
+      rule[key.toUpperCase()] = ruleValue;
+    }
+  }
+  if (!rule.FREQ) {
+    return null;
+  }
+
+  return {
+    freq: rule.FREQ.toUpperCase(),
+    interval: Math.max(parseInt(rule.INTERVAL, 10) || 1, 1),
+    count: rule.COUNT ? parseInt(rule.COUNT, 10) : null,
+    until: rule.UNTIL
+      ? parseDateValue(rule.UNTIL, {}, defaultTimezone)?.time || null
+      : null,
+    byDay: rule.BYDAY
+      ? rule.BYDAY.split(',')
+          .map(day => WEEKDAY_CODES.indexOf(day.replace(/^[+-]?\d+/, '')))
+          .filter(day => day >= 0)
+      : null,
+    byMonthDay: rule.BYMONTHDAY
+      ? rule.BYMONTHDAY.split(',')
+          .map(day => parseInt(day, 10))
+          .filter(day => day > 0)
+      : null,
+  };
+};
+
+/**
+ * 解析 .ics 文本中的事件
+ *
+ * @param {string} text
+ * @param {Object} options { timezone: 浮动时间使用的时区 }
+ * @returns {{ name: string|null, timezone: string, events: Array }}
+ */
+export const parseCalendar = (text, { timezone } = {}) => {
+  const lines = unfoldLines(text);
+  if (!lines.some(line => line.toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('不是有效的 iCalendar 文件');
+  }
+
+  // 日历默认时区
+  let calendarTimezone = resolveTimezone(timezone);
+  let calendarName = null;
+  for (const line of lines) {
+    const { name, value } = parseContentLine(line);
+    if (name === 'X-WR-TIMEZONE' && isValidTimezone(value.trim())) {
+      calendarTimezone = value.trim();
+    } else if (name === 'X-WR-CALNAME') {
+      calendarName = unescapeText(value);
+    } else if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      break;
+    }
+  }
+
+  const events = [];
+  const stack = [];
+  let raw = null;
+
+  for (const line of lines) {
+    const { name, params, value } = parseContentLine(line);
+
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT') {
+        raw = { exdates: [] };
+      }
+      continue;
+    }
+
+    if (name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && raw) {
+        const event = buildEvent(raw, calendarTimezone);
+        if (event) {
+          events.push(event);
+        }
+        raw = null;
+      }
+      continue;
+    }
+
+    // 只处理 VEVENT 自身的属性（忽略其中的 VALARM 等子组件）
+    if (!raw || stack[stack.length - 1] !== 'VEVENT') {
+      continue;
+    }
+
+    if (name === 'EXDATE') {
+      raw.exdates.push(
+        ...value.split(',').map(item => ({ value: item, params }))
+      );
+    } else {
+      raw[name] = { value, params };
+    }
+  }
+
+  return { name: calendarName, timezone: calendarTimezone, events };
+};
+
+// 由原始属性生成事件，缺少开始时间的事件忽略
+const buildEvent = (raw, timezone) => {
+  if (!raw.DTSTART) {
+    return null;
+  }
+
+  const start = parseDateValue(raw.DTSTART.value, raw.DTSTART.params, timezone);
+  if (!start) {
+    return null;
+  }
+
+  let end = raw.DTEND
+    ? parseDateValue(raw.DTEND.value, raw.DTEND.params, timezone)?.time
+    : null;
+  if (!end && raw.DURATION) {
+    const duration = parseDuration(raw.DURATION.value);
+    end = duration ? start.time.clone().add(duration) : null;
+  }
+  if (!end) {
+    // 没有结束时间：全天事件持续一天，其他事件视为时间点
+    end = start.time.clone().add(start.allDay ? 1 : 0, 'days');
+  }
+
+  const eventTimezone = start.time.tz() || timezone;
+
+  return {
+    uid: raw.UID ? raw.UID.value.trim() : null,
+    summary: raw.SUMMARY ? unescapeText(raw.SUMMARY.value) : null,
+    start: start.time,
+    end,
+    allDay: start.allDay,
+    timezone: eventTimezone,
+    transparent:
+      (raw.TRANSP?.value || '').trim().toUpperCase() === 'TRANSPARENT',
+    cancelled: (raw.STATUS?.value || '').trim().toUpperCase() === 'CANCELLED',
+    rrule: raw.RRULE
+      ? parseRecurrenceRule(raw.RRULE.value, eventTimezone)
+      : null,
+    exdates: raw.exdates
+      .map(item => parseDateValue(item.value, item.params, eventTimezone))
+      .filter(Boolean)
+      .map(item => item.time.valueOf()),
+    recurrenceId: raw['RECURRENCE-ID']
+      ? parseDateValue(
+          raw['RECURRENCE-ID'].value,
+          raw['RECURRENCE-ID'].params,
+          eventTimezone
+        )?.time.valueOf() || null
+      : null,
+  };
+};
+
+// 按当地时间生成重复事件的每次开始时间（保持墙上时间，夏令时切换后时间不变）
+function* iterateOccurrences(event, to) {
+  const { start, rrule } = event;
+  if (!rrule) {
+    yield start;
+    return;
+  }
+
+  const time = {
+    hour: start.hour(),
+    minute: start.minute(),
+    second: start.second(),
+  };
+  const atTime = day => day.clone().set(time);
+  const withinLimit = occurrence =>
+    !occurrence.isAfter(to) &&
+    (!rrule.until || !occurrence.isAfter(rrule.until));
+
+  let emitted = 0;
+  const emit = function* (candidates) {
+    for (const occurrence of candidates) {
+      if (occurrence.isBefore(start)) {
+        continue;
+      }
+      if (!withinLimit(occurrence)) {
+        return false;
+      }
+      yield occurrence;
+      emitted += 1;
+      if (
+        (rrule.count && emitted >= rrule.count) ||
+        emitted >= MAX_OCCURRENCES
+      ) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  const firstDay = start.clone().startOf('day');
+
+  for (let period = 0; period < MAX_OCCURRENCES; period++) {
+    let candidates;
+    const step = period * rrule.interval;
+
+    if (rrule.freq === 'DAILY') {
+      candidates = [atTime(firstDay.clone().add(step, 'days'))];
+    } else if (rrule.freq === 'WEEKLY') {
+      const weekStart = firstDay.clone().startOf('isoWeek').add(step, 'weeks');
+      const days = rrule.byDay?.length ? rrule.byDay : [start.day()];
+      candidates = days
+        .map(day => atTime(weekStart.clone().isoWeekday(day === 0 ? 7 : day)))
+        .sort((a, b) => a.valueOf() - b.valueOf());
+    } else if (rrule.freq === 'MONTHLY') {
+      const month = firstDay.clone().startOf('month').add(step, 'months');
+      const days = rrule.byMonthDay?.length ? rrule.byMonthDay : [start.date()];
+      candidates = [...days]
+        .sort((a, b) => a - b)
+        .filter(day => day <= month.daysInMonth())
+        .map(day => atTime(month.clone().date(day)));
+    } else if (rrule.freq === 'YEARLY') {
+      const day = firstDay.clone().add(step, 'years');
+      // 2月29日只在闰年重复
+      candidates = day.date() === start.date() ? [atTime(day)] : [];
+    } else {
+      // 不支持的重复频率只保留第一次
+      yield start;
+      return;
+    }
+
+    if (!(yield* emit(candidates))) {
+      return;
+    }
+  }
+}
+
+/**
+ * 展开时间范围内的忙碌时间段
+ *
+ * @param {Array} events parseCalendar 返回的事件
+ * @param {Object} range { from, to }
+ * @returns {Array<{ uid: string|null, summary: string|null, start: Date, end: Date }>} 按开始时间排序
+ */
+export const expandBusyBlocks = (events, { from, to }) => {
+  const rangeStart = moment(from);
+  const rangeEnd = moment(to);
+  const blocks = [];
+
+  const isBusy = event =>
+    !event.allDay && !event.transparent && !event.cancelled;
+  const addBlock = (event, start, end) => {
+    if (end.isAfter(rangeStart) && start.isBefore(rangeEnd) && end > start) {
+      blocks.push({
+        uid: event.uid,
+        summary: event.summary,
+        start: start.toDate(),
+        end: end.toDate(),
+      });
+    }
+  };
+
+  // 单次修改的事件替换重复事件中对应的那一次
+  const overrides = events.filter(event => event.recurrenceId);
+  const overridden = new Set(
+    overrides.map(event => `${event.uid}|${event.recurrenceId}`)
+  );
+
+  for (const event of events) {
+    if (event.recurrenceId) {
+      if (isBusy(event)) {
+        addBlock(event, event.start, event.end);
+      }
+      continue;
+    }
+    if (!isBusy(event)) {
+      continue;
+    }
+
+    const duration = event.end.diff(event.start);
+    const exdates = new Set(event.exdates);
+
+    for (const occurrence of iterateOccurrences(event, rangeEnd)) {
+      const key = occurrence.valueOf();
+      if (exdates.has(key) || overridden.has(`${event.uid}|${key}`)) {
+        continue;
+      }
+      addBlock(event, occurrence, occurrence.clone().add(duration, 'ms'));
+    }
+  }
+
+  return blocks.sort((a, b) => a.start - b.start);
+};
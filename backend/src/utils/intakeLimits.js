@@ -0,0 +1,277 @@
+import moment from 'moment-timezone';
+import * as UserModel from '../models/user.model.js';
+import * as HydrationModel from '../models/hydration.model.js';
+import { getUserDevices } from '../models/reminder.model.js';
+import pushNotificationService from './pushNotification.js';
+import { getRecordIntake } from './drinkNutrition.js';
+import { businessLogger, errorLogger } from './logger.js';
+import { resolveTimezone, getLocalDate, getLocalToday } from './userTime.js';
+
+/**
+ * 咖啡因和酒精摄入限制
+ *
+ * 每日摄入量按记录汇总（使用饮品目录的记录取保存的值，其余按饮品类型估算），
+ * 新记录使当日摄入从未超限变为超限，或在睡前不宜摄入咖啡因的时段内记录咖啡因时推送提醒。
+ */
+
+// 计算单项限制的使用情况
+const buildLimit = (consumed, limit, precision) => {
+  const factor = 10 ** precision;
+  const round = value => Math.round(value * factor) / factor;
+
+  return {
+    consumed: round(consumed),
+    limit,
+    remaining: round(Math.max(0, limit - consumed)),
+    percentage: limit > 0 ? Math.round((consumed / limit) * 1000) / 10 : 0,
+    exceeded: consumed > limit,
+  };
+};
+
+/**
+ * 汇总今日的咖啡因和酒精限制使用情况
+ *
+ * @param {Object} totals { caffeine_mg, alcohol_units }
+ * @param {Object} settings getIntakeLimitSettings 的结果
+ * @returns {{ caffeine: Object, alcohol: Object }}
+ */
+export const evaluateLimits = (totals, settings) => {
+  const caffeine = buildLimit(
+    totals.caffeine_mg,
+    settings.daily_caffeine_limit_mg,
+    1
+  );
+  const alcohol = buildLimit(
+    totals.alcohol_units,
+    settings.daily_alcohol_limit_units,
+    2
+  );
+
+  return {
+    caffeine: {
+      consumed_mg: caffeine.consumed,
+      limit_mg: caffeine.limit,
+      remaining_mg: caffeine.remaining,
+      percentage: caffeine.percentage,
+      exceeded: caffeine.exceeded,
+    },
+    alcohol: {
+      consumed_units: alcohol.consumed,
+      limit_units: alcohol.limit,
+      remaining_units: alcohol.remaining,
+      percentage: alcohol.percentage,
+      exceeded: alcohol.exceeded,
+    },
+  };
+};
+
+// 将 HH:mm:ss 设置到指定日期上
+const atTime = (day, time) => {
+  const [hour, minute] = String(time).split(':').map(Number);
+  return day.clone().set({ hour, minute, second: 0, millisecond: 0 });
+};
+
+/**
+ * 判断某个时间是否处于睡前不宜摄入咖啡因的时段
+ *
+ * 时段为下一次入睡前 caffeine_cutoff_hours 小时到入睡，以及入睡后到起床之间。
+ *
+ * @param {Object} settings 包含 sleep_time、wake_up_time、caffeine_cutoff_hours、timezone
+ * @param {Date|string} at 判断的时间
+ * @returns {{ sleep_time: string, cutoff_time: string, cutoff_hours: number, in_window: boolean }}
+ */
+export const getCaffeineCutoff = (settings, at = new Date()) => {
+  const local = moment.tz(at, resolveTimezone(settings.timezone));
+  const sleepTime = settings.sleep_time || '23:00:00';
+  const wakeTime = settings.wake_up_time || '07:00:00';
+  const cutoffHours = Number(settings.caffeine_cutoff_hours) || 0;
+
+  // 下一次入睡时间
+  const nextSleep = atTime(local.clone().startOf('day'), sleepTime);
+  if (nextSleep.isBefore(local)) {
+    nextSleep.add(1, 'day');
+  }
+  const cutoff = nextSleep.clone().subtract(cutoffHours * 60, 'minutes');
+
+  // 最近一次入睡后是否还没到起床时间
+  const lastSleep = nextSleep.clone().subtract(1, 'day');
+  const wakeAfterLastSleep = atTime(lastSleep.clone().startOf('day'), wakeTime);
+  if (!wakeAfterLastSleep.isAfter(lastSleep)) {
+    wakeAfterLastSleep.add(1, 'day');
+  }
+  const asleep = local.isBefore(wakeAfterLastSleep);
+
+  return {
+    sleep_time: nextSleep.format('HH:mm'),
+    cutoff_time: cutoff.format('HH:mm'),
+    cutoff_hours: cutoffHours,
+    in_window: cutoffHours > 0 && (!local.isBefore(cutoff) || asleep),
+  };
+};
+
+/**
+ * 根据新记录判断需要发出的提醒
+ *
+ * @param {Object} context { totals: 记录后的今日合计, added: 新记录的摄入合计, settings, recordedAt }
+ * @returns {Array<{ type: string, message: string }>}
+ */
+export const detectWarnings = ({ totals, added, settings, recordedAt }) => {
+  const warnings = [];
+  const caffeineLimit = settings.daily_caffeine_limit_mg;
+  const alcoholLimit = settings.daily_alcohol_limit_units;
+
+  // 只在本次记录使当日合计越过限制时提醒一次
+  const crossed = (after, delta, limit) =>
+    delta > 0 && after > limit && after - delta <= limit;
+
+  if (crossed(totals.caffeine_mg, added.caffeine_mg, caffeineLimit)) {
+    warnings.push({
+      type: 'caffeine_limit',
+      message: `今日咖啡因已摄入约${Math.round(totals.caffeine_mg)}mg，超过了${caffeineLimit}mg的上限`,
+    });
+  }
+
+  if (crossed(totals.alcohol_units, added.alcohol_units, alcoholLimit)) {
+    warnings.push({
+      type: 'alcohol_limit',
+      message: `今日饮酒约${totals.alcohol_units}个标准单位，超过了${alcoholLimit}单位的上限`,
+    });
+  }
+
+  if (added.caffeine_mg > 0) {
+    const cutoff = getCaffeineCutoff(settings, recordedAt);
+    if (cutoff.in_window) {
+      warnings.push({
+        type: 'caffeine_before_sleep',
+        message: `距离${cutoff.sleep_time}入睡不足${cutoff.cutoff_hours}小时，咖啡因可能影响睡眠`,
+      });
+    }
+  }
+
+  return warnings;
+};
+
+class IntakeLimitService {
+  constructor(options = {}) {
+    this.userModel = options.userModel || UserModel;
+    this.hydrationModel = options.hydrationModel || HydrationModel;
+    this.transport = options.transport || pushNotificationService;
+  }
+
+  // 获取今日限制使用情况（today-progress 的 limits 字段），timezone 为设备当前所在时区
+  async getTodayLimits(userId, now = new Date(), timezone = null) {
+    const [settings, totals] = await Promise.all([
+      this.userModel.getIntakeLimitSettings(userId),
+      this.hydrationModel.getTodayIntakeTotals(userId, timezone),
+    ]);
+
+    if (!settings) {
+      return null;
+    }
+
+    return {
+      ...evaluateLimits(totals, settings),
+      caffeine_cutoff: getCaffeineCutoff(
+        { ...settings, timezone: resolveTimezone(timezone, settings.timezone) },
+        now
+      ),
+      warnings_enabled: settings.limit_warnings_enabled,
+    };
+  }
+
+  // 新增记录后检查限制并推送提醒，失败时不影响主流程
+  async checkRecords(userId, records) {
+    if (records.length === 0) {
+      return [];
+    }
+
+    try {
+      const settings = await this.userModel.getIntakeLimitSettings(userId);
+      if (!settings) {
+        return [];
+      }
+
+      // 记录按各自的时区计算当地日期，"今天"按最新一条记录的时区（设备当前所在时区）计算
+      const localRecords = records.map(record => ({
+        ...record,
+        timezone: resolveTimezone(record.timezone, settings.timezone),
+      }));
+      const latest = localRecords.reduce((a, b) =>
+        moment(a.recorded_at).isAfter(b.recorded_at) ? a : b
+      );
+      const today = getLocalToday(latest.timezone);
+      const todayRecords = localRecords.filter(
+        record => getLocalDate(record.recorded_at, record.timezone) === today
+      );
+      if (todayRecords.length === 0) {
+        return [];
+      }
+
+      const added = todayRecords.reduce(
+        (sum, record) => {
+          const intake = getRecordIntake(record);
+          sum.caffeine_mg += intake.caffeine_mg;
+          sum.alcohol_units += intake.alcohol_units;
+          return sum;
+        },
+        { caffeine_mg: 0, alcohol_units: 0 }
+      );
+      if (added.caffeine_mg === 0 && added.alcohol_units === 0) {
+        return [];
+      }
+
+      const totals = await this.hydrationModel.getTodayIntakeTotals(
+        userId,
+        latest.timezone
+      );
+
+      const warnings = detectWarnings({
+        totals,
+        added,
+        settings: { ...settings, timezone: latest.timezone },
+        recordedAt: latest.recorded_at,
+      });
+
+      if (warnings.length > 0) {
+        businessLogger.userAction(userId, 'intake_limit_warning', {
+          types: warnings.map(warning => warning.type),
+          totals,
+        });
+
+        if (settings.limit_warnings_enabled) {
+          await this.notify(userId, warnings);
+        }
+      }
+
+      return warnings;
+    } catch (error) {
+      errorLogger.database(error, 'check_intake_limits', { userId });
+      return [];
+    }
+  }
+
+  // 推送摄入提醒
+  async notify(userId, warnings) {
+    try {
+      const devices = await getUserDevices(userId);
+
+      for (const warning of warnings) {
+        for (const device of devices) {
+          await this.transport.sendIntakeWarningNotification(
+            device.push_token,
+            { userId, ...warning },
+            device.platform || 'android'
+          );
+        }
+      }
+    } catch (error) {
+      errorLogger.external('intake_warning_notification', error, { userId });
+    }
+  }
+}
+
+// 创建单例实例
+const intakeLimits = new IntakeLimitService();
+
+export { IntakeLimitService };
+export default intakeLimits;
@@ -343,13 +343,19 @@ class PushNotificationService {
     achievementData,
     platform = 'android'
   ) {
+    // 解锁成就时使用成就名称和解锁文案
     const payload = {
-      title: '🎯 目标达成！',
-      body: `恭喜！您已连续${achievementData.streak}天达成饮水目标`,
+      title: achievementData.name
+        ? `🏆 解锁成就：${achievementData.name}`
+        : '🎯 目标达成！',
+      body:
+        achievementData.message ||
+        `恭喜！您已连续${achievementData.streak}天达成饮水目标`,
       imageUrl: achievementData.imageUrl,
       data: {
         type: 'goal_achievement',
         streak: achievementData.streak?.toString() || '0',
+        achievementId: achievementData.achievementId?.toString() || '',
         userId: achievementData.userId?.toString() || '',
         timestamp: new Date().toISOString(),
       },
@@ -358,6 +364,32 @@ class PushNotificationService {
     return await this.sendNotification(token, payload, platform);
   }
 
+  // 发送咖啡因/酒精摄入提醒
+  async sendIntakeWarningNotification(
+    token,
+    warningData,
+    platform = 'android'
+  ) {
+    const titles = {
+      caffeine_limit: '☕ 今日咖啡因已超量',
+      alcohol_limit: '🍺 今日饮酒已超量',
+      caffeine_before_sleep: '🌙 临近睡觉时间',
+    };
+
+    const payload = {
+      title: titles[warningData.type] || '⚠️ 摄入提醒',
+      body: warningData.message,
+      data: {
+        type: 'intake_warning',
+        warningType: warningData.type,
+        userId: warningData.userId?.toString() || '',
+        timestamp: new Date().toISOString(),
+      },
+    };
+
+    return await this.sendNotification(token, payload, platform);
+  }
+
   // 发送健康建议通知
   async sendHealthTipNotification(token, tipData, platform = 'android') {
     const payload = {
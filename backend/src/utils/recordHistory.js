@@ -0,0 +1,324 @@
+import moment from 'moment-timezone';
+import * as HydrationModel from '../models/hydration.model.js';
+import * as RecordRevisionModel from '../models/recordRevision.model.js';
+import achievementEngine from './achievementEngine.js';
+import streakService from './streakService.js';
+import { businessLogger, errorLogger } from './logger.js';
+import config from '../config/index.js';
+
+/**
+ * 饮水记录修改历史
+ *
+ * 记录的新增、修改、删除都会保存修改前后的字段快照和操作来源（用户、设备同步、导入）。
+ * 撤销时把记录恢复到某次变更之前的状态，恢复本身也作为一次变更保存，
+ * 被撤销的变更标记 reverted_by，连续撤销时依次回退更早的变更。
+ */
+
+// 修改历史中保存的记录字段
+export const SNAPSHOT_FIELDS = [
+  'amount',
+  'drink_type',
+  'drink_name',
+  'drink_id',
+  'caffeine_mg',
+  'sugar_g',
+  'calories',
+  'alcohol_units',
+  'recorded_at',
+  'location',
+  'activity_context',
+  'temperature',
+];
+
+const NUMERIC_FIELDS = [
+  'amount',
+  'caffeine_mg',
+  'sugar_g',
+  'calories',
+  'alcohol_units',
+];
+
+/**
+ * 生成记录字段快照，已删除或不存在的记录返回 null
+ *
+ * @param {Object|null} record
+ * @returns {Object|null}
+ */
+export const toSnapshot = record => {
+  if (!record || record.deleted_at) {
+    return null;
+  }
+
+  return SNAPSHOT_FIELDS.reduce((snapshot, field) => {
+    const value = record[field];
+    if (value === undefined) {
+      return snapshot;
+    }
+
+    if (value === null) {
+      snapshot[field] = null;
+    } else if (field === 'recorded_at') {
+      snapshot[field] = moment(value).format('YYYY-MM-DD HH:mm:ss');
+    } else if (NUMERIC_FIELDS.includes(field)) {
+      snapshot[field] = Number(value);
+    } else {
+      snapshot[field] = value;
+    }
+    return snapshot;
+  }, {});
+};
+
+// 比较两个快照中发生变化的字段
+export const getChangedFields = (before, after) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  return [...fields].filter(
+    field =>
+      JSON.stringify(before?.[field] ?? null) !==
+      JSON.stringify(after?.[field] ?? null)
+  );
+};
+
+// 接口返回的修改记录格式
+const formatRevision = revision => ({
+  id: revision.id,
+  record_id: revision.record_id,
+  action: revision.action,
+  before: revision.before_values,
+  after: revision.after_values,
+  changed_fields: getChangedFields(
+    revision.before_values,
+    revision.after_values
+  ),
+  actor: { type: revision.actor_type, id: revision.actor_id },
+  reverted: !!revision.reverted_by,
+  reverted_by: revision.reverted_by,
+  created_at: revision.created_at,
+});
+
+// 接口返回的记录格式（包含删除状态）
+const formatRecord = record => ({
+  id: record.id,
+  ...toSnapshot({ ...record, deleted_at: null }),
+  source: record.source,
+  deleted: !!record.deleted_at,
+  updated_at: record.updated_at,
+});
+
+class RecordHistoryService {
+  constructor(options = {}) {
+    this.hydrationModel = options.hydrationModel || HydrationModel;
+    this.revisionModel = options.revisionModel || RecordRevisionModel;
+    this.undoWindow = options.undoWindow || config.business.recordUndoWindow;
+  }
+
+  /**
+   * 保存一次记录变更
+   *
+   * 记录已经写入，保存历史失败只记录日志，不影响本次操作
+   *
+   * @param {number} userId
+   * @param {number} recordId
+   * @param {Object} change { action, before, after, actorType, actorId }
+   * @returns {Promise<number|null>} 修改记录ID，没有变化时返回 null
+   */
+  async log(
+    userId,
+    recordId,
+    { action, before = null, after = null, actorType = 'user', actorId = null }
+  ) {
+    const beforeValues = toSnapshot(before);
+    const afterValues = toSnapshot(after);
+
+    if (
+      action === 'update' &&
+      getChangedFields(beforeValues, afterValues).length === 0
+    ) {
+      return null;
+    }
+
+    try {
+      return await this.revisionModel.createRevision({
+        recordId,
+        userId,
+        action,
+        before: beforeValues,
+        after: afterValues,
+        actorType,
+        actorId,
+      });
+    } catch (error) {
+      errorLogger.database(error, 'create_record_revision', {
+        userId,
+        recordId,
+        action,
+      });
+      return null;
+    }
+  }
+
+  // 保存批量插入记录的新增历史
+  async logInserted(userId, insertResult, actor) {
+    try {
+      return await this.revisionModel.createRevisionsForInsertedRecords(
+        userId,
+        insertResult.insertId,
+        insertResult.affectedRows,
+        actor
+      );
+    } catch (error) {
+      errorLogger.database(error, 'create_record_revisions', {
+        userId,
+        actorType: actor.actorType,
+      });
+      return 0;
+    }
+  }
+
+  // 获取记录及其修改历史
+  async getHistory(userId, recordId) {
+    const record = await this.hydrationModel.getHydrationRecordWithDeleted(
+      recordId,
+      userId
+    );
+    if (!record) {
+      return { error: 'RECORD_NOT_FOUND', message: '饮水记录不存在' };
+    }
+
+    const revisions = await this.revisionModel.getRecordRevisions(
+      recordId,
+      userId
+    );
+
+    return {
+      record: formatRecord(record),
+      revisions: revisions.map(formatRevision),
+    };
+  }
+
+  /**
+   * 将记录恢复到某次变更之前的状态
+   *
+   * @param {number} userId
+   * @param {number} recordId
+   * @param {Object} options { revisionId, actorType, actorId }，不指定 revisionId 时撤销该记录最近一次变更
+   * @returns {Promise<Object>} 恢复结果或 { error, message }
+   */
+  async restore(
+    userId,
+    recordId,
+    { revisionId = null, actorType = 'user', actorId = null } = {}
+  ) {
+    const record = await this.hydrationModel.getHydrationRecordWithDeleted(
+      recordId,
+      userId
+    );
+    if (!record) {
+      return { error: 'RECORD_NOT_FOUND', message: '饮水记录不存在' };
+    }
+
+    const revision = revisionId
+      ? await this.revisionModel.getRevisionById(revisionId, userId)
+      : await this.revisionModel.getLatestRecordRevision(recordId, userId);
+
+    if (!revision || Number(revision.record_id) !== Number(recordId)) {
+      return revisionId
+        ? { error: 'REVISION_NOT_FOUND', message: '修改记录不存在' }
+        : { error: 'NOTHING_TO_RESTORE', message: '该记录没有可恢复的修改' };
+    }
+
+    if (revision.reverted_by) {
+      return {
+        error: 'REVISION_ALREADY_REVERTED',
+        message: '该修改已被撤销',
+      };
+    }
+
+    return await this.revert(userId, record, revision, { actorType, actorId });
+  }
+
+  // 撤销用户在时间窗口内最近一次变更
+  async undo(userId, { actorType = 'user', actorId = null } = {}) {
+    const revision = await this.revisionModel.getLatestUndoableRevision(
+      userId,
+      this.undoWindow
+    );
+    if (!revision) {
+      return {
+        error: 'NOTHING_TO_UNDO',
+        message: `没有${Math.round(this.undoWindow / 60)}分钟内可撤销的修改`,
+      };
+    }
+
+    const record = await this.hydrationModel.getHydrationRecordWithDeleted(
+      revision.record_id,
+      userId
+    );
+    if (!record) {
+      return { error: 'RECORD_NOT_FOUND', message: '饮水记录不存在' };
+    }
+
+    return await this.revert(userId, record, revision, { actorType, actorId });
+  }
+
+  // 恢复到变更前的状态：新增的记录被删除，删除的记录被恢复，修改的字段改回原值
+  async revert(userId, record, revision, actor) {
+    const current = toSnapshot(record);
+    const target = revision.before_values;
+
+    await this.hydrationModel.restoreHydrationRecord(record.id, userId, target);
+
+    const revertId = await this.revisionModel.createRevision({
+      recordId: record.id,
+      userId,
+      action: 'restore',
+      before: current,
+      after: target && { ...current, ...target },
+      ...actor,
+    });
+    await this.revisionModel.markRevisionReverted(revision.id, revertId);
+
+    const restored = await this.hydrationModel.getHydrationRecordWithDeleted(
+      record.id,
+      userId
+    );
+
+    // 重新计算恢复前后所在当地日期的统计、连续达成和成就
+    const achievements = await this.refresh(userId, [
+      record.local_date,
+      restored.local_date,
+    ]);
+
+    businessLogger.userAction(userId, 'revert_record_change', {
+      recordId: record.id,
+      revisionId: revision.id,
+      revertId,
+    });
+
+    return {
+      record: formatRecord(restored),
+      reverted: formatRevision(revision),
+      revision_id: revertId,
+      achievements,
+    };
+  }
+
+  // 重新计算受影响日期的统计信息
+  async refresh(userId, dates) {
+    for (const date of [...new Set(dates)].sort()) {
+      await this.hydrationModel.updateUserStatistics(userId, date);
+    }
+
+    await streakService.refresh(userId);
+    return await achievementEngine.evaluateUser(userId);
+  }
+}
+
+// 创建单例实例
+const recordHistory = new RecordHistoryService();
+
+export { RecordHistoryService };
+export default recordHistory;
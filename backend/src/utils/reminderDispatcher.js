@@ -0,0 +1,352 @@
+import { hostname } from 'node:os';
+import { randomUUID } from 'node:crypto';
+import moment from 'moment-timezone';
+import config from '../config/index.js';
+import * as ReminderModel from '../models/reminder.model.js';
+import * as CalendarModel from '../models/calendar.model.js';
+import pushNotificationService from './pushNotification.js';
+import { getDndResumeTime } from './doNotDisturb.js';
+import { fitReminderTime } from './reminderWindow.js';
+import { planAroundMeetings } from './calendarBusy.js';
+import { logger, businessLogger, errorLogger } from './logger.js';
+
+// 设备是否开启了安静模式（设备设置中的 quiet_mode，设置无法解析时视为未开启）
+const isQuietDevice = device => {
+  try {
+    const settings =
+      typeof device.settings === 'string'
+        ? JSON.parse(device.settings)
+        : device.settings;
+    return Boolean(settings && settings.quiet_mode);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 选择接收提醒的设备
+ *
+ * 跳过开启安静模式的设备；用户选择只推送到主设备（delivery_target = primary_only）时，
+ * 只发送到主设备，没有可用的主设备时不发送到其他设备，提醒记为失败（NO_DEVICES）。
+ *
+ * @param {Array<Object>} devices 可以接收推送的设备
+ * @param {string} deliveryTarget all_devices / primary_only
+ * @returns {Array<Object>}
+ */
+export const selectReminderDevices = (devices, deliveryTarget) => {
+  const available = devices.filter(device => !isQuietDevice(device));
+  if (deliveryTarget !== 'primary_only') {
+    return available;
+  }
+
+  return available.filter(device => device.is_primary);
+};
+
+/**
+ * 提醒派发器
+ *
+ * 认领 reminder_logs 中已到期的 scheduled 提醒，推送到用户的可用设备（见 selectReminderDevices），
+ * 根据结果更新为 sent / failed，失败时按指数退避重试，并安排下一次提醒。
+ * 到期时用户处于免打扰、暂停期间或正在开会的提醒推迟到可以提醒的时间，不会发送。
+ * 认领通过单条 UPDATE 完成，多个服务进程同时运行时同一提醒只会被发送一次。
+ */
+class ReminderDispatcher {
+  constructor(options = {}) {
+    // 推送通道，需实现 sendHydrationReminder(token, reminderData, platform)
+    this.transport = options.transport || pushNotificationService;
+    this.model = options.model || ReminderModel;
+    this.calendarModel = options.calendarModel || CalendarModel;
+    this.workerId =
+      options.workerId ||
+      `${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+    this.batchSize = options.batchSize || config.reminderDispatch.batchSize;
+    this.maxAttempts =
+      options.maxAttempts || config.reminderDispatch.maxAttempts;
+    this.retryBaseSeconds =
+      options.retryBaseSeconds || config.reminderDispatch.retryBaseSeconds;
+    this.lockTimeoutMinutes =
+      options.lockTimeoutMinutes || config.reminderDispatch.lockTimeoutMinutes;
+    this.isDispatching = false;
+    this.lastRunAt = null;
+  }
+
+  // 替换推送通道（测试时可注入假的推送实现）
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // 派发所有到期的提醒
+  async dispatchDue() {
+    // 上一轮还未结束时跳过，避免同一进程内重叠执行
+    if (this.isDispatching) {
+      logger.warn('上一轮提醒派发尚未完成，跳过本轮');
+      return null;
+    }
+
+    this.isDispatching = true;
+    const summary = {
+      claimed: 0,
+      sent: 0,
+      deferred: 0,
+      retried: 0,
+      failed: 0,
+    };
+
+    try {
+      const released = await this.model.releaseStaleReminderClaims(
+        this.lockTimeoutMinutes
+      );
+      if (released > 0) {
+        logger.warn(`释放了 ${released} 条认领超时的提醒`);
+      }
+
+      const reminders = await this.model.claimDueReminders(
+        this.workerId,
+        this.batchSize
+      );
+      summary.claimed = reminders.length;
+
+      for (const reminder of reminders) {
+        const outcome = await this.deliver(reminder);
+        summary[outcome] += 1;
+      }
+
+      if (summary.claimed > 0) {
+        businessLogger.systemEvent('reminders_dispatched', {
+          workerId: this.workerId,
+          ...summary,
+        });
+      }
+
+      return summary;
+    } finally {
+      this.lastRunAt = new Date();
+      this.isDispatching = false;
+    }
+  }
+
+  // 发送单条已认领的提醒，返回 sent / deferred / retried / failed
+  async deliver(reminder) {
+    const attempts = (reminder.attempts || 0) + 1;
+
+    try {
+      // 安排提醒后用户可能修改了免打扰设置、暂停了提醒或日历中新增了会议
+      const settings = await this.model.getUserReminderSettings(
+        reminder.user_id
+      );
+      const deferral =
+        settings && (await this.getDeferral(reminder.user_id, settings));
+      if (deferral) {
+        const resumeAt = deferral.resume_at;
+        if (!resumeAt) {
+          await this.model.markReminderFailed(
+            reminder.id,
+            attempts,
+            'NO_REMINDER_WINDOW'
+          );
+          await this.scheduleFollowUp(reminder.user_id);
+          return 'failed';
+        }
+
+        await this.model.deferReminder(reminder.id, resumeAt);
+        return 'deferred';
+      }
+
+      const devices = selectReminderDevices(
+        await this.model.getUserDevices(reminder.user_id),
+        settings && settings.delivery_target
+      );
+
+      if (devices.length === 0) {
+        await this.model.markReminderFailed(
+          reminder.id,
+          attempts,
+          'NO_DEVICES'
+        );
+        await this.scheduleFollowUp(reminder.user_id);
+        return 'failed';
+      }
+
+      const results = [];
+      for (const device of devices) {
+        const result = await this.transport.sendHydrationReminder(
+          device.push_token,
+          {
+            message: reminder.message,
+            reminderId: reminder.id,
+            userId: reminder.user_id,
+          },
+          device.platform || 'android'
+        );
+
+        // 令牌已失效的设备不再参与推送
+        if (result.shouldRemoveToken) {
+          await this.model.disableDevicePush(device.id);
+        }
+
+        results.push({ deviceId: device.id, ...result });
+      }
+
+      const delivered = results.filter(result => result.success);
+
+      if (delivered.length > 0) {
+        await this.model.markReminderSent(reminder.id, attempts, {
+          delivered_devices: delivered.map(result => result.deviceId),
+          failed_devices: results.length - delivered.length,
+        });
+        await this.scheduleFollowUp(reminder.user_id);
+        return 'sent';
+      }
+
+      const lastError = results[results.length - 1].error || 'PUSH_FAILED';
+      return await this.handleFailure(reminder, attempts, lastError);
+    } catch (error) {
+      errorLogger.external('reminder_dispatch', error, {
+        reminderId: reminder.id,
+        userId: reminder.user_id,
+      });
+      return await this.handleFailure(reminder, attempts, error.message);
+    }
+  }
+
+  /**
+   * 当前是否需要推迟发送
+   *
+   * @returns {Promise<{ resume_at: moment.Moment|null, reason: string }|null>}
+   *   不需要推迟时返回 null，resume_at 为 null 表示找不到可以提醒的时间
+   */
+  async getDeferral(userId, settings) {
+    const now = new Date();
+
+    const dnd = getDndResumeTime(settings, now);
+    if (dnd) {
+      // 免打扰结束后还需要在提醒时间段内
+      return {
+        resume_at: fitReminderTime(settings, dnd.resume_at),
+        reason: dnd.reason,
+      };
+    }
+
+    if (
+      settings.consider_calendar === false ||
+      settings.consider_calendar === 0
+    ) {
+      return null;
+    }
+
+    const blocks = await this.calendarModel.getBusyBlocks(
+      userId,
+      now,
+      moment(now).add(2, 'days').toDate()
+    );
+    if (blocks.length === 0) {
+      return null;
+    }
+
+    // 正在开会时推迟到会议结束后
+    const planned = planAroundMeetings(settings, moment(now), blocks, { now });
+    if (!planned) {
+      return { resume_at: null, reason: 'calendar' };
+    }
+    return planned.calendar
+      ? { resume_at: planned.at, reason: 'calendar' }
+      : null;
+  }
+
+  // 处理发送失败：未超过最大次数时退避重试，否则标记为失败
+  async handleFailure(reminder, attempts, errorMessage) {
+    if (attempts < this.maxAttempts) {
+      const nextAttemptAt = moment()
+        .add(this.getRetryDelaySeconds(attempts), 'seconds')
+        .format('YYYY-MM-DD HH:mm:ss');
+
+      await this.model.markReminderRetry(
+        reminder.id,
+        attempts,
+        nextAttemptAt,
+        errorMessage
+      );
+      return 'retried';
+    }
+
+    await this.model.markReminderFailed(reminder.id, attempts, errorMessage);
+    await this.scheduleFollowUp(reminder.user_id);
+    return 'failed';
+  }
+
+  // 指数退避：base, base*2, base*4 ...
+  getRetryDelaySeconds(attempts) {
+    return this.retryBaseSeconds * 2 ** (attempts - 1);
+  }
+
+  // 提醒处理完成后立即安排下一次提醒
+  async scheduleFollowUp(userId) {
+    try {
+      if (await this.model.hasPendingReminder(userId)) {
+        return null;
+      }
+
+      return await this.model.scheduleNextReminder(userId);
+    } catch (error) {
+      errorLogger.database(error, 'schedule_follow_up_reminder', { userId });
+      return null;
+    }
+  }
+
+  /**
+   * 为开启了提醒但没有待发送提醒的用户安排提醒
+   *
+   * 新注册用户和派发器停止期间断开的提醒链在这里补上，之后由 scheduleFollowUp 接续。
+   *
+   * @returns {Promise<{ checked: number, scheduled: number }>}
+   */
+  async seedMissingReminders() {
+    const summary = { checked: 0, scheduled: 0 };
+    let afterUserId = 0;
+
+    for (;;) {
+      const userIds = await this.model.getUsersWithoutPendingReminder(
+        afterUserId,
+        this.batchSize
+      );
+
+      for (const userId of userIds) {
+        summary.checked += 1;
+        if (await this.scheduleFollowUp(userId)) {
+          summary.scheduled += 1;
+        }
+      }
+
+      if (userIds.length < this.batchSize) {
+        break;
+      }
+      afterUserId = userIds[userIds.length - 1];
+    }
+
+    if (summary.scheduled > 0) {
+      businessLogger.systemEvent('reminders_seeded', {
+        workerId: this.workerId,
+        ...summary,
+      });
+    }
+
+    return summary;
+  }
+
+  // 获取派发器状态
+  getStatus() {
+    return {
+      workerId: this.workerId,
+      isDispatching: this.isDispatching,
+      lastRunAt: this.lastRunAt,
+      batchSize: this.batchSize,
+      maxAttempts: this.maxAttempts,
+    };
+  }
+}
+
+// 创建单例实例
+const reminderDispatcher = new ReminderDispatcher();
+
+export { ReminderDispatcher };
+export default reminderDispatcher;
@@ -0,0 +1,259 @@
+import moment from 'moment-timezone';
+import config from '../config/index.js';
+import { resolveTimezone, atLocalTime } from './userTime.js';
+import { getDndResumeTime } from './doNotDisturb.js';
+
+/**
+ * 提醒时间段
+ *
+ * 每天的提醒时间段按以下优先级确定，按用户当前时区的当地时间计算：
+ * 1. 日期例外(date_exceptions)：节假日等指定日期关闭提醒、使用自定义时间段或按周末安排；
+ * 2. 按星期设置(weekly_schedule)：如周三使用不同的时间段；
+ * 3. 周末使用 weekend_start_time ~ weekend_end_time，工作日使用 start_time ~ end_time，
+ *    weekend_enabled / weekday_enabled 关闭时当天不提醒。
+ *
+ * 开启倒时差模式(jet_lag_mode)后切换时区时，时间段先保持在原时区的作息，
+ * 之后每天向新时区调整 jetLagShiftPerDay 分钟，直到与新时区的设置一致。
+ *
+ * 纯函数实现，数据库查询由 reminder.model.js 负责。
+ */
+
+// 按星期设置的键名，下标与 moment.day() 一致
+export const WEEKDAYS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+
+// 查找下一个提醒时间段时最多向后查找的天数（覆盖较长的假期）
+const MAX_LOOKAHEAD_DAYS = 366;
+
+const isWeekend = day => day.day() === 0 || day.day() === 6;
+
+// 没有设置的布尔字段按开启处理
+const isEnabled = value => value === undefined || value === null || !!value;
+
+// 周末或工作日的默认时间段
+const getDefaultSchedule = (settings, weekend) =>
+  weekend
+    ? {
+        enabled: isEnabled(settings.weekend_enabled),
+        start_time: settings.weekend_start_time || settings.start_time,
+        end_time: settings.weekend_end_time || settings.end_time,
+        source: 'weekend',
+      }
+    : {
+        enabled: isEnabled(settings.weekday_enabled),
+        start_time: settings.start_time,
+        end_time: settings.end_time,
+        source: 'weekday',
+      };
+
+/**
+ * 某个当地日期的提醒时间段设置
+ *
+ * @param {Object} settings 提醒设置
+ * @param {moment.Moment} day 用户时区内的日期
+ * @returns {{ enabled: boolean, start_time: string, end_time: string, source: string, name?: string }}
+ */
+export const getDaySchedule = (settings, day) => {
+  const date = day.format('YYYY-MM-DD');
+  const exception = (settings.date_exceptions || []).find(
+    item => item.date === date
+  );
+
+  if (exception) {
+    // 没有指定时间段的例外日期（如节假日）按周末安排
+    const base = getDefaultSchedule(settings, true);
+    const custom = !!(exception.start_time && exception.end_time);
+    const enabled =
+      exception.enabled === undefined || exception.enabled === null
+        ? custom || base.enabled
+        : !!exception.enabled;
+    return {
+      enabled,
+      start_time: custom ? exception.start_time : base.start_time,
+      end_time: custom ? exception.end_time : base.end_time,
+      source: 'exception',
+      name: exception.name || null,
+    };
+  }
+
+  const weekly = settings.weekly_schedule?.[WEEKDAYS[day.day()]];
+  const base = getDefaultSchedule(settings, isWeekend(day));
+  if (weekly) {
+    return {
+      enabled: isEnabled(weekly.enabled),
+      start_time: weekly.start_time || base.start_time,
+      end_time: weekly.end_time || base.end_time,
+      source: 'weekly',
+    };
+  }
+
+  return base;
+};
+
+// 两个时区在某一时刻的时差(分钟)，取绝对值最小的方向（跨日期变更线时不会调整将近一整天）
+export const getTimezoneOffsetDiff = (
+  fromTimezone,
+  toTimezone,
+  at = new Date()
+) => {
+  let diff =
+    moment.tz(at, resolveTimezone(toTimezone)).utcOffset() -
+    moment.tz(at, resolveTimezone(fromTimezone)).utcOffset();
+
+  if (diff > 720) {
+    diff -= 1440;
+  } else if (diff <= -720) {
+    diff += 1440;
+  }
+  return diff;
+};
+
+/**
+ * 倒时差调整进度
+ *
+ * @param {Object} settings 提醒设置，包含 timezone、jet_lag_mode、previous_timezone、timezone_changed_at
+ * @param {Object} options { shiftPerDay }
+ * @returns {Object|null} 未开启或没有切换过时区时返回 null
+ */
+export const getJetLagPlan = (
+  settings,
+  { shiftPerDay = config.business.jetLagShiftPerDay } = {}
+) => {
+  if (
+    !settings?.jet_lag_mode ||
+    !settings.previous_timezone ||
+    !settings.timezone_changed_at
+  ) {
+    return null;
+  }
+
+  const timezone = resolveTimezone(settings.timezone);
+  const changedAt = moment(settings.timezone_changed_at);
+  const offsetMinutes = getTimezoneOffsetDiff(
+    settings.previous_timezone,
+    timezone,
+    changedAt.toDate()
+  );
+  if (offsetMinutes === 0) {
+    return null;
+  }
+
+  const adjustDays = Math.ceil(Math.abs(offsetMinutes) / shiftPerDay);
+  const startDate = changedAt.clone().tz(timezone).startOf('day');
+
+  return {
+    from: settings.previous_timezone,
+    to: timezone,
+    offset_minutes: offsetMinutes,
+    shift_per_day: shiftPerDay,
+    adjust_days: adjustDays,
+    start_date: startDate.format('YYYY-MM-DD'),
+    end_date: startDate.clone().add(adjustDays, 'days').format('YYYY-MM-DD'),
+  };
+};
+
+// 某个当地日期的提醒时间段需要相对设置平移的分钟数（切换当天平移整个时差，之后逐日减少）
+export const getJetLagShift = (plan, day) => {
+  if (!plan) {
+    return 0;
+  }
+
+  const elapsedDays = Math.max(
+    0,
+    moment
+      .utc(day.format('YYYY-MM-DD'))
+      .diff(moment.utc(plan.start_date), 'days')
+  );
+  const remaining = Math.max(
+    0,
+    Math.abs(plan.offset_minutes) - elapsedDays * plan.shift_per_day
+  );
+
+  return Math.sign(plan.offset_minutes) * remaining;
+};
+
+/**
+ * 当前所在或下一个提醒时间段
+ *
+ * 结束时间早于开始时间时（如平移后跨午夜）时间段延续到第二天，关闭提醒的日期跳过
+ *
+ * @param {Object} settings 提醒设置，包含时间段、按星期设置、日期例外、timezone 和倒时差字段
+ * @param {moment.Moment|Date|string} at
+ * @param {Object} options { shiftPerDay }
+ * @returns {{ start: moment.Moment, end: moment.Moment, shift_minutes: number, date: string, source: string }|null}
+ *   一年内都没有需要提醒的日期时返回 null
+ */
+export const getReminderWindow = (settings, at, options = {}) => {
+  const timezone = resolveTimezone(settings.timezone);
+  const current = moment.tz(at, timezone);
+  const plan = getJetLagPlan(settings, options);
+  let window = null;
+
+  // 平移后的时间段可能从前一天开始
+  for (let offset = -1; offset <= MAX_LOOKAHEAD_DAYS && !window; offset++) {
+    const day = current.clone().startOf('day').add(offset, 'days');
+    const schedule = getDaySchedule(settings, day);
+    if (!schedule.enabled) {
+      continue;
+    }
+
+    const shift = getJetLagShift(plan, day);
+    const start = atLocalTime(day, schedule.start_time).add(shift, 'minutes');
+    const end = atLocalTime(day, schedule.end_time).add(shift, 'minutes');
+    if (!end.isAfter(start)) {
+      end.add(1, 'day');
+    }
+
+    if (end.isAfter(current)) {
+      window = {
+        start,
+        end,
+        shift_minutes: shift,
+        date: day.format('YYYY-MM-DD'),
+        source: schedule.source,
+      };
+    }
+  }
+
+  return window;
+};
+
+/**
+ * 把计划的提醒时间调整到提醒时间段内，并避开免打扰和暂停期间
+ *
+ * 不在时间段内时顺延到下一个时间段的开始时间，处于免打扰时顺延到免打扰结束
+ *
+ * @param {Object} settings 提醒设置
+ * @param {moment.Moment|Date|string} at 计划的提醒时间
+ * @param {Object} options { shiftPerDay }
+ * @returns {moment.Moment|null} 找不到可以提醒的时间时返回 null
+ */
+export const fitReminderTime = (settings, at, options = {}) => {
+  let current = moment.tz(at, resolveTimezone(settings.timezone));
+
+  // 顺延后可能落入下一个免打扰时间段，交替检查直到两者都满足
+  for (let i = 0; i < 10; i++) {
+    const window = getReminderWindow(settings, current, options);
+    if (!window) {
+      return null;
+    }
+    if (current.isBefore(window.start)) {
+      current = window.start;
+    }
+
+    const dnd = getDndResumeTime(settings, current);
+    if (!dnd) {
+      return current;
+    }
+    current = dnd.resume_at;
+  }
+
+  return null;
+};
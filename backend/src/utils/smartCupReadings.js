@@ -0,0 +1,156 @@
+import moment from 'moment-timezone';
+import { v5 as uuidv5 } from 'uuid';
+
+/**
+ * 智能水杯读数
+ *
+ * 水杯上报两类读数：sip 为水杯自己检测到的一口饮水量(ml)，weight 为杯子当前称重(g)。
+ * 称重下降视为饮水（1g 按 1ml 计算），上升视为续杯，只更新重量基线；
+ * 传感器抖动和一次下降过多（倒掉或拿起杯子）的变化都会忽略。
+ * 间隔不超过 SESSION_GAP_MINUTES 的饮水合并为一次饮水，每次饮水保存为一条饮水记录。
+ *
+ * 记录的 client_id 由设备ID和饮水开始时间生成，同一批读数重复上报时不会重复记录。
+ *
+ * 纯函数实现，数据库读写由 deviceService.js 负责。
+ */
+
+export const READING_TYPES = ['sip', 'weight'];
+
+// 单次上报最多的读数数量
+export const MAX_READINGS_PER_BATCH = 500;
+
+// 合并为一次饮水的最大间隔（分钟）
+export const SESSION_GAP_MINUTES = 10;
+
+// 小于该值的称重变化视为传感器抖动(g)
+const WEIGHT_NOISE_G = 5;
+
+// 一次下降超过该值视为倒掉而不是喝掉(g)
+const MAX_WEIGHT_DROP_G = 500;
+
+// 小于该值的饮水不保存记录(ml)
+const MIN_SESSION_ML = 10;
+
+// 早于该天数的读数视为设备时钟错误，不保存记录
+const MAX_READING_AGE_DAYS = 30;
+
+// 生成记录 client_id 的命名空间
+const CLIENT_ID_NAMESPACE = '6f1d3c52-8a4e-4b7f-9c21-5e0a7d9b3f64';
+
+/**
+ * 把读数转换为饮水事件
+ *
+ * 读数按时间排序，不晚于上次处理时间的读数视为重复上报，设备时钟超前的读数按当前时间处理，
+ * 时间早于 MAX_READING_AGE_DAYS 天的读数忽略。
+ *
+ * @param {Array<Object>} readings [{ type, amount_ml, weight_g, recorded_at }]
+ * @param {Object} state { lastReadingAt, lastWeightG, maxAmount } 上次处理到的时间、重量基线和单次饮水上限
+ * @returns {{ events: Array<{ amount: number, at: Date }>, lastReadingAt: Date|null, lastWeightG: number|null, skipped: number, ignored: number }}
+ */
+export const extractIntakeEvents = (readings, state = {}) => {
+  const now = Date.now();
+  const oldest = now - MAX_READING_AGE_DAYS * 24 * 3600 * 1000;
+  const since = state.lastReadingAt
+    ? new Date(state.lastReadingAt).getTime()
+    : null;
+  let lastWeightG = state.lastWeightG ?? null;
+  let lastReadingAt = since;
+  let skipped = 0;
+  let ignored = 0;
+  const events = [];
+
+  const ordered = readings
+    .map((reading, index) => ({
+      ...reading,
+      at: Math.min(new Date(reading.recorded_at).getTime(), now),
+      index,
+    }))
+    .sort((a, b) => a.at - b.at || a.index - b.index);
+
+  for (const reading of ordered) {
+    if (since !== null && reading.at <= since) {
+      skipped++;
+      continue;
+    }
+    if (reading.at < oldest) {
+      ignored++;
+      continue;
+    }
+    lastReadingAt = reading.at;
+
+    if (reading.type === 'sip') {
+      const amount = Math.round(Number(reading.amount_ml));
+      if (amount > 0 && amount <= state.maxAmount) {
+        events.push({ amount, at: new Date(reading.at) });
+      } else {
+        ignored++;
+      }
+      continue;
+    }
+
+    const weight = Math.round(Number(reading.weight_g));
+    const drop = lastWeightG === null ? 0 : lastWeightG - weight;
+
+    if (Math.abs(drop) < WEIGHT_NOISE_G) {
+      // 抖动不更新基线，避免多次小幅下降累积后被漏掉
+      if (lastWeightG === null) {
+        lastWeightG = weight;
+      }
+      continue;
+    }
+
+    if (drop > Math.min(MAX_WEIGHT_DROP_G, state.maxAmount)) {
+      ignored++;
+    } else if (drop > 0) {
+      events.push({ amount: drop, at: new Date(reading.at) });
+    }
+    lastWeightG = weight;
+  }
+
+  return {
+    events,
+    lastReadingAt: lastReadingAt === null ? null : new Date(lastReadingAt),
+    lastWeightG,
+    skipped,
+    ignored,
+  };
+};
+
+/**
+ * 把间隔较短的饮水事件合并为一次饮水，合并后超过单次上限时另起一次
+ *
+ * @param {Array<{ amount: number, at: Date }>} events 按时间排序的饮水事件
+ * @param {number} maxAmount 单次饮水上限(ml)
+ * @returns {Array<{ amount: number, started_at: Date, ended_at: Date, readings: number }>}
+ */
+export const groupDrinkingSessions = (events, maxAmount) => {
+  const sessions = [];
+  let current = null;
+
+  for (const event of events) {
+    const withinGap =
+      current &&
+      event.at - current.ended_at <= SESSION_GAP_MINUTES * 60 * 1000 &&
+      current.amount + event.amount <= maxAmount;
+
+    if (withinGap) {
+      current.amount += event.amount;
+      current.ended_at = event.at;
+      current.readings++;
+    } else {
+      current = {
+        amount: event.amount,
+        started_at: event.at,
+        ended_at: event.at,
+        readings: 1,
+      };
+      sessions.push(current);
+    }
+  }
+
+  return sessions.filter(session => session.amount >= MIN_SESSION_ML);
+};
+
+// 按设备ID和饮水开始时间生成记录的 client_id
+export const sessionClientId = (deviceId, startedAt) =>
+  uuidv5(`${deviceId}:${moment(startedAt).toISOString()}`, CLIENT_ID_NAMESPACE);
@@ -0,0 +1,230 @@
+import moment from 'moment-timezone';
+import config from '../config/index.js';
+import { DEFAULT_TIMEZONE, atLocalTime } from './userTime.js';
+
+/**
+ * 智能自适应提醒调度
+ *
+ * 纯函数实现：相同的输入总是得到相同的提醒时间，便于用固定数据做单元测试。
+ * 数据库查询由 reminder.model.js 中的 getAdaptiveReminderContext 负责。
+ */
+
+// 没有历史数据时假设的单次饮水量(ml)
+export const DEFAULT_SIP_AMOUNT = 250;
+
+// 计算响应率至少需要的已发送提醒数
+export const MIN_RESPONSE_SAMPLE = 5;
+
+// 根据历史小时分布估算单次饮水量
+const estimateSipAmount = hourlyPattern => {
+  const totals = hourlyPattern.reduce(
+    (acc, item) => {
+      acc.records += Number(item.record_count) || 0;
+      acc.amount += Number(item.total_amount) || 0;
+      return acc;
+    },
+    { records: 0, amount: 0 }
+  );
+
+  if (totals.records === 0) {
+    return DEFAULT_SIP_AMOUNT;
+  }
+
+  return Math.round(totals.amount / totals.records);
+};
+
+// 计算某个小时相对于日均活跃小时的饮水活跃度
+const getHourActivity = (hourlyPattern, hour) => {
+  const activeHours = hourlyPattern.filter(item => item.record_count > 0);
+  if (activeHours.length === 0) {
+    return null;
+  }
+
+  const average =
+    activeHours.reduce((sum, item) => sum + item.record_count, 0) /
+    activeHours.length;
+  const current = hourlyPattern.find(item => item.hour === hour);
+
+  return (current?.record_count || 0) / average;
+};
+
+/**
+ * 计算下一次智能提醒时间
+ *
+ * @param {Object} input
+ * @param {string|Date} input.now 当前时间
+ * @param {string} input.timezone 用户时区
+ * @param {number} input.dailyGoal 每日目标(ml)
+ * @param {number} input.todayIntake 今日已摄入(ml)
+ * @param {string} input.wakeUpTime 起床时间 HH:mm:ss
+ * @param {string} input.sleepTime 睡觉时间 HH:mm:ss
+ * @param {Array} input.hourlyPattern getHourlyPattern 的结果
+ * @param {Object} input.responseStats 最近提醒的 { sent, responded }
+ * @param {string|Date|null} input.lastDrinkAt 最后一次饮水时间
+ * @returns {{ next_reminder_at: string, interval_minutes: number, reasoning: Array }}
+ */
+export const calculateAdaptiveReminder = input => {
+  const {
+    now,
+    timezone = DEFAULT_TIMEZONE,
+    dailyGoal = config.business.defaultDailyGoal,
+    todayIntake = 0,
+    wakeUpTime = '07:00:00',
+    sleepTime = '23:00:00',
+    hourlyPattern = [],
+    responseStats = { sent: 0, responded: 0 },
+    lastDrinkAt = null,
+    minInterval = config.business.reminderMinInterval,
+    maxInterval = config.business.reminderMaxInterval,
+  } = input;
+
+  const current = moment.tz(now, timezone);
+  const reasoning = [];
+
+  // 下一次睡觉时刻；处于睡眠时段内(含跨午夜)时即为当前时刻
+  const wakeToday = atLocalTime(current, wakeUpTime);
+  let sleepAt = atLocalTime(current, sleepTime);
+  const isAsleep = sleepAt.isAfter(wakeToday)
+    ? current.isSameOrAfter(sleepAt) || current.isBefore(wakeToday)
+    : current.isSameOrAfter(sleepAt) && current.isBefore(wakeToday);
+
+  if (isAsleep) {
+    sleepAt = current.clone();
+  } else if (sleepAt.isSameOrBefore(current)) {
+    sleepAt = sleepAt.add(1, 'day');
+  }
+  const minutesUntilSleep = sleepAt.diff(current, 'minutes');
+
+  const nextWakeUp = () => {
+    let wake = atLocalTime(current, wakeUpTime);
+    if (wake.isSameOrBefore(current)) {
+      wake = wake.add(1, 'day');
+    }
+    return wake;
+  };
+
+  // 距离睡觉时间太近，推迟到下次起床后
+  if (minutesUntilSleep < minInterval) {
+    const wakeAt = nextWakeUp();
+    reasoning.push({
+      factor: 'sleep_window',
+      value: minutesUntilSleep,
+      effect: 'defer_to_wake_up',
+      description: `距离睡觉时间仅剩${minutesUntilSleep}分钟，提醒推迟到起床后`,
+    });
+
+    return {
+      next_reminder_at: wakeAt.format(),
+      interval_minutes: wakeAt.diff(current, 'minutes'),
+      reasoning,
+    };
+  }
+
+  const remaining = Math.max(0, dailyGoal - todayIntake);
+  let interval;
+
+  if (remaining === 0) {
+    interval = maxInterval;
+    reasoning.push({
+      factor: 'remaining_goal',
+      value: 0,
+      effect: 'max_interval',
+      description: '今日目标已完成，使用最长提醒间隔',
+    });
+  } else {
+    const sipAmount = estimateSipAmount(hourlyPattern);
+    const sipsNeeded = Math.max(1, Math.ceil(remaining / sipAmount));
+    interval = minutesUntilSleep / sipsNeeded;
+
+    reasoning.push({
+      factor: 'remaining_goal',
+      value: remaining,
+      effect: 'base_interval',
+      description: `还需${remaining}ml，按每次约${sipAmount}ml需饮水${sipsNeeded}次，距离睡觉${Math.round(
+        minutesUntilSleep / 60
+      )}小时`,
+    });
+  }
+
+  // 历史习惯：用户在该时段本来就常喝水时放宽间隔，很少喝水时收紧间隔
+  const candidateHour = current
+    .clone()
+    .add(Math.round(interval), 'minutes')
+    .hour();
+  const activity = getHourActivity(hourlyPattern, candidateHour);
+  if (activity !== null && remaining > 0) {
+    if (activity >= 1.5) {
+      interval *= 1.25;
+      reasoning.push({
+        factor: 'hourly_pattern',
+        value: Math.round(activity * 100) / 100,
+        effect: 'extend',
+        description: `${candidateHour}点通常会主动饮水，适当延后提醒`,
+      });
+    } else if (activity < 0.5) {
+      interval *= 0.85;
+      reasoning.push({
+        factor: 'hourly_pattern',
+        value: Math.round(activity * 100) / 100,
+        effect: 'shorten',
+        description: `${candidateHour}点很少饮水，适当提前提醒`,
+      });
+    }
+  }
+
+  // 提醒响应率：长期不响应时降低频率，避免打扰
+  if (responseStats.sent >= MIN_RESPONSE_SAMPLE) {
+    const responseRate = responseStats.responded / responseStats.sent;
+    if (responseRate < 0.3) {
+      interval *= 1.3;
+      reasoning.push({
+        factor: 'response_rate',
+        value: Math.round(responseRate * 100) / 100,
+        effect: 'extend',
+        description: '最近的提醒响应率较低，降低提醒频率',
+      });
+    } else if (responseRate > 0.7) {
+      reasoning.push({
+        factor: 'response_rate',
+        value: Math.round(responseRate * 100) / 100,
+        effect: 'keep',
+        description: '最近的提醒响应良好，保持当前频率',
+      });
+    }
+  }
+
+  interval = Math.round(Math.min(maxInterval, Math.max(minInterval, interval)));
+
+  // 以最后一次饮水时间为基准，刚喝过水时不会马上提醒
+  let nextAt = current.clone().add(interval, 'minutes');
+  if (lastDrinkAt) {
+    const lastDrink = moment.tz(lastDrinkAt, timezone);
+    const fromLastDrink = lastDrink.clone().add(interval, 'minutes');
+    const earliest = current.clone().add(minInterval, 'minutes');
+
+    nextAt = moment.max(fromLastDrink, earliest);
+    reasoning.push({
+      factor: 'last_drink',
+      value: current.diff(lastDrink, 'minutes'),
+      effect: 'anchor',
+      description: `上次饮水在${current.diff(lastDrink, 'minutes')}分钟前，以此为基准计算`,
+    });
+  }
+
+  // 超过睡觉时间则推迟到下次起床后
+  if (nextAt.isAfter(sleepAt)) {
+    nextAt = nextWakeUp();
+    reasoning.push({
+      factor: 'sleep_window',
+      value: minutesUntilSleep,
+      effect: 'defer_to_wake_up',
+      description: '下一次提醒将晚于睡觉时间，推迟到起床后',
+    });
+  }
+
+  return {
+    next_reminder_at: nextAt.format(),
+    interval_minutes: nextAt.diff(current, 'minutes'),
+    reasoning,
+  };
+};
@@ -0,0 +1,345 @@
+import moment from 'moment-timezone';
+import config from '../config/index.js';
+import * as GoalModel from '../models/goal.model.js';
+import { errorLogger } from './logger.js';
+import {
+  resolveTimezone,
+  getLocalToday,
+  getLocalDayRange,
+} from './userTime.js';
+import hydrationCoefficients, {
+  calculateEffectiveAmount,
+} from './hydrationCoefficients.js';
+
+/**
+ * 目标连续达成服务
+ *
+ * 每次都根据 hydration_records 从目标开始日期完整重算，按用户时区划分自然日，
+ * 因此补录、修改历史记录或删除记录都能正确地中断或修复连续天数。
+ * 每日饮水量按补水系数折算为有效补水量后再与目标比较。
+ * 当前周期(今天/本周/本月)尚未达成时视为进行中，不会中断连续记录。
+ */
+
+// 最多回溯的天数
+export const MAX_LOOKBACK_DAYS = 730;
+
+// 各目标类型的连续统计单位
+const PERIOD_UNITS = {
+  daily_water: 'day',
+  weekly_consistency: 'week',
+  monthly_average: 'month',
+};
+
+// 按记录的当地日期汇总每日饮水量（没有当地日期时按用户时区计算）；传入补水系数时汇总有效补水量
+export const buildDailyTotals = (records, timezone, coefficients = null) => {
+  const totals = new Map();
+
+  for (const record of records) {
+    const date =
+      record.local_date ||
+      moment.tz(record.recorded_at, timezone).format('YYYY-MM-DD');
+    const amount = coefficients
+      ? calculateEffectiveAmount(record.amount, record.drink_type, coefficients)
+      : Number(record.amount);
+    totals.set(date, (totals.get(date) || 0) + amount);
+  }
+
+  return totals;
+};
+
+// 日期所属周期的标识
+const getPeriodKey = (date, unit) => {
+  if (unit === 'week') {
+    return moment(date).format('GGGG-[W]WW');
+  }
+  if (unit === 'month') {
+    return date.slice(0, 7);
+  }
+  return date;
+};
+
+// 判断周期是否达成
+const isPeriodAchieved = (period, goal, unit) => {
+  if (unit === 'week') {
+    // 目标开始或结束的不完整周按实际天数折算
+    const required = Math.min(goal.target_value, period.days.length);
+    return period.achievedDays >= required;
+  }
+  if (unit === 'month') {
+    return period.total / period.days.length >= goal.target_value;
+  }
+  return period.achievedDays === 1;
+};
+
+// 从周期列表计算当前和最佳连续数
+const countStreaks = periods => {
+  let best = 0;
+  let run = 0;
+
+  periods.forEach((period, index) => {
+    const isLast = index === periods.length - 1;
+
+    if (period.achieved) {
+      run += 1;
+      best = Math.max(best, run);
+    } else if (!(isLast && period.inProgress)) {
+      run = 0;
+    }
+  });
+
+  return { current: run, best };
+};
+
+/**
+ * 计算一个目标的连续达成情况
+ *
+ * @param {Object} goal user_goals 记录（start_date/end_date 为 YYYY-MM-DD）
+ * @param {Map} dailyTotals buildDailyTotals 的结果
+ * @param {Object} options { today: 'YYYY-MM-DD', dailyGoal: 每日目标(ml) }
+ * @returns {Object|null} 不支持的目标类型返回 null
+ */
+export const evaluateGoalStreak = (goal, dailyTotals, options) => {
+  const unit = PERIOD_UNITS[goal.goal_type];
+  if (!unit) {
+    return null;
+  }
+
+  const { today, dailyGoal } = options;
+  const lookbackStart = moment(today)
+    .subtract(MAX_LOOKBACK_DAYS, 'days')
+    .format('YYYY-MM-DD');
+  const start = moment.max(moment(goal.start_date), moment(lookbackStart));
+  const end =
+    goal.end_date && goal.end_date < today
+      ? moment(goal.end_date)
+      : moment(today);
+
+  // 每日达成阈值：每周坚持类目标使用用户每日目标，其余使用目标值
+  const dayThreshold =
+    unit === 'week'
+      ? dailyGoal || config.business.defaultDailyGoal
+      : goal.target_value;
+
+  const history = [];
+  const periods = [];
+
+  for (
+    const cursor = start.clone();
+    cursor.isSameOrBefore(end, 'day');
+    cursor.add(1, 'day')
+  ) {
+    const date = cursor.format('YYYY-MM-DD');
+    const total = dailyTotals.get(date) || 0;
+    const achieved = total >= dayThreshold;
+    history.push({ date, total, target: dayThreshold, achieved });
+
+    const key = getPeriodKey(date, unit);
+    let period = periods[periods.length - 1];
+    if (!period || period.key !== key) {
+      period = { key, days: [], total: 0, achievedDays: 0 };
+      periods.push(period);
+    }
+    period.days.push(date);
+    period.total += total;
+    period.achievedDays += achieved ? 1 : 0;
+  }
+
+  const todayKey = getPeriodKey(today, unit);
+  const summarizedPeriods = periods.map(period => ({
+    key: period.key,
+    start_date: period.days[0],
+    end_date: period.days[period.days.length - 1],
+    total: period.total,
+    achieved_days: period.achievedDays,
+    average: Math.round(period.total / period.days.length),
+    achieved: isPeriodAchieved(period, goal, unit),
+    inProgress: period.key === todayKey,
+  }));
+
+  const { current, best } = countStreaks(summarizedPeriods);
+  const latest = summarizedPeriods[summarizedPeriods.length - 1];
+
+  return {
+    unit,
+    current_streak: current,
+    best_streak: best,
+    total_achieved_days: history.filter(day => day.achieved).length,
+    is_achieved: Boolean(latest?.achieved),
+    history,
+    periods: summarizedPeriods.map(({ inProgress, ...period }) => ({
+      ...period,
+      in_progress: inProgress,
+    })),
+  };
+};
+
+/**
+ * 汇总目标的当前进度
+ *
+ * @param {Object} goal user_goals 记录
+ * @param {Object|null} streak evaluateGoalStreak 的结果
+ * @returns {Object|null} 自定义目标无法自动计算，返回 null
+ */
+export const summarizeGoalProgress = (goal, streak) => {
+  if (!streak) {
+    return null;
+  }
+
+  const latest = streak.periods[streak.periods.length - 1];
+  if (!latest) {
+    return null;
+  }
+
+  // 每日目标看当天饮水量，每周坚持看本周达标天数，月均目标看本月日均饮水量
+  const currentByUnit = {
+    day: latest.total,
+    week: latest.achieved_days,
+    month: latest.average,
+  };
+  const current = currentByUnit[streak.unit];
+
+  const progress = {
+    period: latest.key,
+    current,
+    target: goal.target_value,
+    percentage: Math.min(
+      100,
+      Math.round((current / goal.target_value) * 1000) / 10
+    ),
+    achieved: latest.achieved,
+    current_streak: streak.current_streak,
+    best_streak: streak.best_streak,
+    total_achieved_days: streak.total_achieved_days,
+  };
+
+  // 有期限的挑战目标额外返回整体完成情况
+  if (goal.end_date) {
+    const totalDays =
+      moment(goal.end_date).diff(moment(goal.start_date), 'days') + 1;
+    progress.challenge = {
+      total_days: totalDays,
+      elapsed_days: streak.history.length,
+      achieved_periods: streak.periods.filter(period => period.achieved).length,
+      total_periods: streak.periods.length,
+    };
+  }
+
+  return progress;
+};
+
+class StreakService {
+  constructor(options = {}) {
+    this.model = options.model || GoalModel;
+    this.coefficients = options.coefficients || hydrationCoefficients;
+  }
+
+  // 计算指定目标的连续达成情况（不保存）
+  async evaluateGoals(userId, goals, now = new Date()) {
+    const user = await this.model.getUserGoalContext(userId);
+    const timezone = resolveTimezone(user?.timezone);
+    const today = getLocalToday(timezone, now);
+
+    if (!user || goals.length === 0) {
+      return { timezone, today, results: [] };
+    }
+
+    const earliest = goals.reduce(
+      (min, goal) => (goal.start_date < min ? goal.start_date : min),
+      today
+    );
+    const rangeStart = moment.max(
+      moment(earliest),
+      moment(today).subtract(MAX_LOOKBACK_DAYS, 'days')
+    );
+
+    // 按记录时的当地日期查询，跨时区旅行前的记录仍属于原来的日期
+    const [records, coefficients] = await Promise.all([
+      this.model.getRecordsInRange(
+        userId,
+        ...getLocalDayRange(rangeStart.format('YYYY-MM-DD'), today)
+      ),
+      this.coefficients.getForUser(userId),
+    ]);
+    const dailyTotals = buildDailyTotals(records, timezone, coefficients);
+
+    const results = goals.map(goal => ({
+      goal,
+      streak: evaluateGoalStreak(goal, dailyTotals, {
+        today,
+        dailyGoal: user.daily_water_goal,
+      }),
+    }));
+
+    return { timezone, today, results };
+  }
+
+  // 重新计算用户所有启用目标的连续达成情况并保存
+  async recomputeUser(userId, now = new Date()) {
+    const goals = await this.model.getActiveGoals(userId);
+    const { timezone, today, results } = await this.evaluateGoals(
+      userId,
+      goals,
+      now
+    );
+
+    const saved = [];
+    for (const { goal, streak } of results) {
+      if (!streak) {
+        continue;
+      }
+
+      // 首次达成时记录达成时间，未达成时清空
+      let achievedAt = null;
+      if (streak.is_achieved) {
+        achievedAt =
+          goal.is_achieved && goal.achieved_at
+            ? goal.achieved_at
+            : moment().format('YYYY-MM-DD HH:mm:ss');
+      }
+
+      await this.model.updateGoalProgress(goal.id, {
+        ...streak,
+        achieved_at: achievedAt,
+      });
+
+      saved.push({ goal, streak, timezone, today });
+    }
+
+    return saved;
+  }
+
+  // 停用已过结束日期的目标，停用前先保存最终统计；userId 为空时处理所有用户
+  async expireEndedGoals(userId = null, now = new Date()) {
+    const candidates = await this.model.getExpiringGoals(userId);
+    const expired = candidates.filter(
+      goal => goal.end_date < getLocalToday(resolveTimezone(goal.timezone), now)
+    );
+
+    const userIds = [...new Set(expired.map(goal => goal.user_id))];
+    for (const id of userIds) {
+      await this.recomputeUser(id, now);
+    }
+
+    for (const goal of expired) {
+      await this.model.deactivateGoal(goal.id);
+    }
+
+    return expired.length;
+  }
+
+  // 记录变更后刷新连续达成情况，失败时不影响主流程
+  async refresh(userId) {
+    try {
+      return await this.recomputeUser(userId);
+    } catch (error) {
+      errorLogger.database(error, 'recompute_goal_streaks', { userId });
+      return [];
+    }
+  }
+}
+
+// 创建单例实例
+const streakService = new StreakService();
+
+export { StreakService };
+export default streakService;
@@ -0,0 +1,121 @@
+import * as UserModel from '../models/user.model.js';
+import * as ReminderModel from '../models/reminder.model.js';
+import db from '../config/database.js';
+import { getJetLagPlan } from './reminderWindow.js';
+import { isValidTimezone } from './userTime.js';
+import { businessLogger, errorLogger } from './logger.js';
+
+/**
+ * 用户时区切换
+ *
+ * 时区可以由用户手动设置，也可以根据设备上报的时区（请求头 X-Timezone、注册推送设备）自动切换。
+ * 切换后取消尚未派发的提醒，按新时区重新安排；开启倒时差模式时提醒时间段逐日向新时区调整。
+ */
+
+class TimezoneChangeService {
+  constructor(options = {}) {
+    this.userModel = options.userModel || UserModel;
+    this.reminderModel = options.reminderModel || ReminderModel;
+  }
+
+  /**
+   * 根据设备上报的时区自动切换（用户关闭自动检测时忽略）
+   *
+   * 在请求处理之外异步调用，失败时只记录日志
+   *
+   * @param {number} userId
+   * @param {string} timezone 设备当前时区
+   * @param {string} source 来源：header、device
+   * @returns {Promise<Object|null>} 切换结果，没有切换时返回 null
+   */
+  async detect(userId, timezone, source) {
+    if (!isValidTimezone(timezone)) {
+      return null;
+    }
+
+    try {
+      const current = await this.userModel.getTimezoneSettings(userId);
+      if (
+        !current ||
+        !current.timezone_auto_detect ||
+        current.timezone === timezone
+      ) {
+        return null;
+      }
+
+      return await this.change(userId, timezone, { source });
+    } catch (error) {
+      errorLogger.database(error, 'detect_timezone', { userId, timezone });
+      return null;
+    }
+  }
+
+  /**
+   * 切换用户时区并重新安排提醒
+   *
+   * @param {number} userId
+   * @param {string} timezone 新时区
+   * @param {Object} options { source, jetLagMode, autoDetect }，未传入的设置保持不变
+   * @returns {Promise<Object>} 切换结果或 { error, message }
+   */
+  async change(
+    userId,
+    timezone,
+    { source = 'manual', jetLagMode, autoDetect } = {}
+  ) {
+    const current = await this.userModel.getTimezoneSettings(userId);
+    if (!current) {
+      return { error: 'USER_NOT_FOUND', message: '用户不存在' };
+    }
+
+    const previousTimezone = current.timezone;
+    const changed = previousTimezone !== timezone;
+
+    if (changed || autoDetect !== undefined) {
+      await this.userModel.updateUserTimezone(userId, timezone, autoDetect);
+      // 认证中间件缓存了用户信息（包含时区）
+      await db.deleteCache(`user:${userId}`);
+    }
+
+    await this.reminderModel.recordTimezoneChange(userId, {
+      previousTimezone: changed ? previousTimezone : null,
+      jetLagMode,
+    });
+
+    // 时区或倒时差设置变化后重新安排提醒
+    const reminders =
+      changed || jetLagMode !== undefined
+        ? await this.replan(userId)
+        : { cancelled: 0, next_reminder_id: null };
+
+    if (changed) {
+      businessLogger.userAction(userId, 'timezone_changed', {
+        from: previousTimezone,
+        to: timezone,
+        source,
+      });
+    }
+
+    const settings = await this.reminderModel.getUserReminderSettings(userId);
+
+    return {
+      changed,
+      timezone,
+      previous_timezone: changed ? previousTimezone : null,
+      source,
+      reminders,
+      jet_lag: getJetLagPlan(settings),
+    };
+  }
+
+  // 取消尚未派发的提醒并按新的时区安排下一次提醒
+  async replan(userId) {
+    return await this.reminderModel.rescheduleReminders(userId);
+  }
+}
+
+// 创建单例实例
+const timezoneChange = new TimezoneChangeService();
+
+export { TimezoneChangeService };
+export default timezoneChange;
@@ -0,0 +1,93 @@
+import moment from 'moment-timezone';
+
+/**
+ * 用户当地时间
+ *
+ * 数据库中的时间按服务器时区保存。饮水记录写入时同时保存记录所在时区(timezone)
+ * 和当地时间(local_recorded_at)，"今天"、"最近N天"、按小时分布等统计都按当地时间计算：
+ * - 用户跨时区旅行后，之前的记录仍属于记录时的当地日期，新记录按新时区计算；
+ * - 当地日期范围按墙上时间 [当天 00:00, 次日 00:00) 查询，夏令时切换当天(23或25小时)也不会错位。
+ *
+ * 没有当地时间的表（如提醒记录）使用 getLocalDayBounds 把当地日期转换为绝对时间范围。
+ */
+
+export const DEFAULT_TIMEZONE = 'Asia/Shanghai';
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+const DATETIME_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+// 判断是否为有效的 IANA 时区名称
+export const isValidTimezone = timezone =>
+  typeof timezone === 'string' && moment.tz.zone(timezone) !== null;
+
+// 依次取第一个有效的时区，都无效时使用默认时区
+export const resolveTimezone = (...candidates) =>
+  candidates.find(isValidTimezone) || DEFAULT_TIMEZONE;
+
+// 转换为时区内的当地时间（数据库 DATETIME 格式）
+export const toLocalTime = (time, timezone) =>
+  moment(time).tz(resolveTimezone(timezone)).format(DATETIME_FORMAT);
+
+// 时间在时区内的当地日期
+export const getLocalDate = (time, timezone) =>
+  moment(time).tz(resolveTimezone(timezone)).format(DATE_FORMAT);
+
+// 时区内的今天
+export const getLocalToday = (timezone, now = new Date()) =>
+  getLocalDate(now, timezone);
+
+// 日期加减天数（纯日历计算，与时区无关）
+export const addDays = (date, days) =>
+  moment.utc(date, DATE_FORMAT).add(days, 'days').format(DATE_FORMAT);
+
+/**
+ * 当地日期范围对应的 local_recorded_at 查询参数
+ *
+ * @param {string} startDate YYYY-MM-DD
+ * @param {string} endDate YYYY-MM-DD（包含）
+ * @returns {string[]} [开始时间, 结束时间)，配合 localRangeSql 使用
+ */
+export const getLocalDayRange = (startDate, endDate = startDate) => [
+  `${startDate} 00:00:00`,
+  `${addDays(endDate, 1)} 00:00:00`,
+];
+
+// 最近 days 天（含今天往前 days 天）的当地日期范围
+export const getRecentDates = (timezone, days, now = new Date()) => {
+  const endDate = getLocalToday(timezone, now);
+  return { startDate: addDays(endDate, -days), endDate };
+};
+
+/**
+ * 当地日期对应的绝对时间范围（用于没有当地时间字段的表）
+ *
+ * @param {string} date YYYY-MM-DD
+ * @param {string} timezone
+ * @returns {{ start: Date, end: Date }} [start, end)
+ */
+export const getLocalDayBounds = (date, timezone) => {
+  const start = moment.tz(date, DATE_FORMAT, resolveTimezone(timezone));
+  return {
+    start: start.toDate(),
+    end: start.clone().add(1, 'day').startOf('day').toDate(),
+  };
+};
+
+// HH:mm:ss 在 day 所在当地日期的时刻（夏令时跳过的时刻顺延）
+export const atLocalTime = (day, time) => {
+  const [hour = 0, minute = 0, second = 0] = String(time)
+    .split(':')
+    .map(part => parseInt(part, 10));
+
+  return day.clone().set({ hour, minute, second, millisecond: 0 });
+};
+
+// 按当地时间范围查询饮水记录的条件
+export const localRangeSql = (alias = '') => {
+  const prefix = alias ? `${alias}.` : '';
+  return `${prefix}local_recorded_at >= ? AND ${prefix}local_recorded_at < ?`;
+};
+
+// 饮水记录的当地日期
+export const localDateSql = (alias = '') =>
+  `DATE_FORMAT(${alias ? `${alias}.` : ''}local_recorded_at, '%Y-%m-%d')`;
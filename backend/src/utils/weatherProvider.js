@@ -0,0 +1,146 @@
+import axios from 'axios';
+import fs from 'fs';
+import moment from 'moment-timezone';
+import config from '../config/index.js';
+
+/**
+ * 天气数据提供方
+ *
+ * 所有提供方都实现 getCurrentWeather({ latitude, longitude })，返回统一格式的天气快照：
+ * { temperature, temperature_max, humidity, observed_at, provider }，温度单位为摄氏度，湿度为百分比。
+ *
+ * - fixture: 读取本地固定数据，用于开发和测试，不访问网络
+ * - http: 调用 Open-Meteo 兼容的天气接口
+ */
+
+// 没有匹配的固定数据时使用的天气（气温适中，不触发调整）
+const DEFAULT_FIXTURE = { temperature: 22, temperature_max: 25, humidity: 50 };
+
+// 固定数据匹配的最大经纬度距离(度)
+const FIXTURE_MATCH_DEGREES = 1;
+
+const toNumber = value =>
+  value === null || value === undefined || value === '' ? null : Number(value);
+
+// 统一天气快照格式
+const toSnapshot = (data, provider) => ({
+  temperature: toNumber(data.temperature),
+  temperature_max: toNumber(data.temperature_max ?? data.temperature),
+  humidity: toNumber(data.humidity),
+  observed_at: data.observed_at || new Date().toISOString(),
+  provider,
+});
+
+/**
+ * 本地固定数据
+ *
+ * fixtures 格式: { default: {...}, locations: [{ latitude, longitude, temperature, temperature_max, humidity }] }，
+ * 按最近的坐标匹配，可以通过 options.fixtures 传入或从 WEATHER_FIXTURE_PATH 读取 JSON 文件。
+ */
+export class FixtureWeatherProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.fixtures =
+      options.fixtures ||
+      FixtureWeatherProvider.load(
+        options.fixturePath ?? config.weather.fixturePath
+      );
+  }
+
+  static load(fixturePath) {
+    if (!fixturePath) {
+      return { default: DEFAULT_FIXTURE, locations: [] };
+    }
+    return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  }
+
+  async getCurrentWeather({ latitude, longitude }) {
+    const nearest = (this.fixtures.locations || [])
+      .map(item => ({
+        item,
+        distance: Math.hypot(
+          Number(item.latitude) - latitude,
+          Number(item.longitude) - longitude
+        ),
+      }))
+      .filter(({ distance }) => distance <= FIXTURE_MATCH_DEGREES)
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    return toSnapshot(
+      nearest?.item || this.fixtures.default || DEFAULT_FIXTURE,
+      this.name
+    );
+  }
+}
+
+// Open-Meteo 兼容的天气接口
+export class HttpWeatherProvider {
+  constructor(options = {}) {
+    this.name = 'http';
+    this.apiUrl = options.apiUrl || config.weather.apiUrl;
+    this.apiKey = options.apiKey ?? config.weather.apiKey;
+    this.timeout = options.timeout || config.weather.timeout;
+    this.httpClient = options.httpClient || axios;
+  }
+
+  async getCurrentWeather({ latitude, longitude }) {
+    const params = {
+      latitude,
+      longitude,
+      current: 'temperature_2m,relative_humidity_2m',
+      daily: 'temperature_2m_max',
+      timezone: 'auto',
+      forecast_days: 1,
+    };
+    if (this.apiKey) {
+      params.apikey = this.apiKey;
+    }
+
+    const { data } = await this.httpClient.get(this.apiUrl, {
+      params,
+      timeout: this.timeout,
+    });
+
+    if (!data?.current || data.current.temperature_2m === undefined) {
+      throw new Error('天气接口返回的数据格式无效');
+    }
+
+    return toSnapshot(
+      {
+        temperature: data.current.temperature_2m,
+        temperature_max: data.daily?.temperature_2m_max?.[0],
+        humidity: data.current.relative_humidity_2m,
+        // 接口返回的是当地时间，按 utc_offset_seconds 换算
+        observed_at: data.current.time
+          ? moment
+              .utc(data.current.time)
+              .subtract(data.utc_offset_seconds || 0, 'seconds')
+              .toISOString()
+          : null,
+      },
+      this.name
+    );
+  }
+}
+
+const PROVIDERS = {
+  fixture: FixtureWeatherProvider,
+  http: HttpWeatherProvider,
+};
+
+/**
+ * 按名称创建天气数据提供方
+ *
+ * @param {string} name fixture 或 http，默认使用 WEATHER_PROVIDER 配置
+ * @param {Object} options 传给提供方构造函数的参数
+ */
+export const createWeatherProvider = (
+  name = config.weather.provider,
+  options = {}
+) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`不支持的天气数据提供方: ${name}`);
+  }
+  return new Provider(options);
+};
@@ -0,0 +1,209 @@
+import db from '../config/database.js';
+import config from '../config/index.js';
+import * as UserModel from '../models/user.model.js';
+import { createWeatherProvider } from './weatherProvider.js';
+import { errorLogger } from './logger.js';
+
+/**
+ * 天气调整
+ *
+ * 开启了 consider_weather 并设置了所在地的用户，按当天的体感温度（高温高湿时按酷热指数计算）
+ * 提高当天的有效饮水目标，并缩短提醒间隔。天气快照按坐标缓存，天气服务不可用时不做调整。
+ */
+
+// 体感温度达到 min_feels_like 时的调整，从高到低匹配
+export const WEATHER_LEVELS = [
+  {
+    level: 'extreme_heat',
+    min_feels_like: 40,
+    goal_bonus_ml: 750,
+    interval_factor: 0.6,
+    label: '极端高温',
+  },
+  {
+    level: 'very_hot',
+    min_feels_like: 35,
+    goal_bonus_ml: 500,
+    interval_factor: 0.7,
+    label: '炎热',
+  },
+  {
+    level: 'hot',
+    min_feels_like: 30,
+    goal_bonus_ml: 300,
+    interval_factor: 0.8,
+    label: '较热',
+  },
+  {
+    level: 'warm',
+    min_feels_like: 27,
+    goal_bonus_ml: 150,
+    interval_factor: 0.9,
+    label: '温暖',
+  },
+];
+
+// 缓存键按坐标保留两位小数（约1公里）
+const cacheKey = (latitude, longitude) =>
+  `weather:${Number(latitude).toFixed(2)},${Number(longitude).toFixed(2)}`;
+
+/**
+ * 计算体感温度(℃)
+ *
+ * 气温不低于27℃且湿度不低于40%时使用美国国家气象局的酷热指数公式，否则为气温本身。
+ *
+ * @param {number} temperature 气温(℃)
+ * @param {number|null} humidity 相对湿度(%)
+ * @returns {number}
+ */
+export const calculateFeelsLike = (temperature, humidity) => {
+  if (temperature < 27 || humidity === null || humidity < 40) {
+    return temperature;
+  }
+
+  const t = (temperature * 9) / 5 + 32;
+  const r = humidity;
+  const heatIndex =
+    -42.379 +
+    2.04901523 * t +
+    10.14333127 * r -
+    0.22475541 * t * r -
+    0.00683783 * t * t -
+    0.05481717 * r * r +
+    0.00122874 * t * t * r +
+    0.00085282 * t * r * r -
+    0.00000199 * t * t * r * r;
+
+  return Math.max(
+    temperature,
+    Math.round((((heatIndex - 32) * 5) / 9) * 10) / 10
+  );
+};
+
+/**
+ * 根据天气快照计算当天的调整
+ *
+ * 使用当前气温和当天最高气温中较高的一个，白天最热的时段同样需要提前补水。
+ *
+ * @param {Object} weather getCurrentWeather 返回的天气快照
+ * @returns {{ level: string, feels_like: number, goal_bonus_ml: number, interval_factor: number, description: string }}
+ */
+export const calculateWeatherAdjustment = weather => {
+  const temperature = Math.max(
+    weather.temperature ?? -Infinity,
+    weather.temperature_max ?? -Infinity
+  );
+  const feelsLike = calculateFeelsLike(temperature, weather.humidity);
+  const match = WEATHER_LEVELS.find(item => feelsLike >= item.min_feels_like);
+
+  if (!match) {
+    return {
+      level: 'normal',
+      feels_like: feelsLike,
+      goal_bonus_ml: 0,
+      interval_factor: 1,
+      description: '天气适宜，不调整目标',
+    };
+  }
+
+  return {
+    level: match.level,
+    feels_like: feelsLike,
+    goal_bonus_ml: match.goal_bonus_ml,
+    interval_factor: match.interval_factor,
+    description: `体感温度${feelsLike}℃（${match.label}），今日目标增加${match.goal_bonus_ml}ml，提醒间隔缩短${Math.round((1 - match.interval_factor) * 100)}%`,
+  };
+};
+
+/**
+ * 按天气调整提醒间隔，不低于最小提醒间隔
+ *
+ * @param {number} intervalMinutes
+ * @param {Object|null} adjustment getAdjustment 的结果
+ * @returns {number}
+ */
+export const adjustReminderInterval = (
+  intervalMinutes,
+  adjustment,
+  minInterval = config.business.reminderMinInterval
+) => {
+  if (!adjustment || adjustment.interval_factor >= 1) {
+    return intervalMinutes;
+  }
+  return Math.max(
+    Math.min(minInterval, intervalMinutes),
+    Math.round(intervalMinutes * adjustment.interval_factor)
+  );
+};
+
+class WeatherService {
+  constructor(options = {}) {
+    this.provider = options.provider || createWeatherProvider();
+    this.userModel = options.userModel || UserModel;
+    this.cache = options.cache || db;
+    this.cacheTTL = options.cacheTTL || config.weather.cacheTTL;
+  }
+
+  // 获取坐标处的天气快照（缓存 cacheTTL 秒）
+  async getWeather(latitude, longitude) {
+    const key = cacheKey(latitude, longitude);
+    const cached = await this.cache.getCache(key);
+    if (cached) {
+      return cached;
+    }
+
+    const weather = await this.provider.getCurrentWeather({
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+    });
+    await this.cache.setCache(key, weather, this.cacheTTL);
+    return weather;
+  }
+
+  /**
+   * 计算用户当天的天气调整
+   *
+   * @param {Object} profile { latitude, longitude, consider_weather }
+   * @returns {Promise<Object|null>} { weather, level, feels_like, goal_bonus_ml, interval_factor, description }，
+   *   未开启、没有所在地或天气服务不可用时返回 null
+   */
+  async getAdjustment(profile) {
+    if (
+      !profile?.consider_weather ||
+      profile.latitude === null ||
+      profile.latitude === undefined ||
+      profile.longitude === null ||
+      profile.longitude === undefined
+    ) {
+      return null;
+    }
+
+    try {
+      const weather = await this.getWeather(
+        profile.latitude,
+        profile.longitude
+      );
+      return { weather, ...calculateWeatherAdjustment(weather) };
+    } catch (error) {
+      // 日志中只保留大致位置（一位小数，约10公里）
+      errorLogger.external(`weather_${this.provider.name}`, error, {
+        latitude: Number(Number(profile.latitude).toFixed(1)),
+        longitude: Number(Number(profile.longitude).toFixed(1)),
+      });
+      return null;
+    }
+  }
+
+  // 按用户 ID 查询所在地和设置后计算天气调整
+  async getUserAdjustment(userId) {
+    return await this.getAdjustment(
+      await this.userModel.getWeatherProfile(userId)
+    );
+  }
+}
+
+// 创建单例实例
+const weatherService = new WeatherService();
+
+export { WeatherService };
+export default weatherService;
@@ -0,0 +1,234 @@
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import { constants } from 'buffer';
+
+/**
+ * ZIP 文件生成（deflate 压缩，文件名使用 UTF-8 编码）
+ */
+
+// CRC-32 查找表
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+export const crc32 = buffer => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// 转换为 DOS 格式的日期和时间
+const toDosDateTime = date => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+/**
+ * 压缩单个文件
+ *
+ * @returns {{ local: Buffer, central: Buffer }} 本地文件头和数据、中央目录记录
+ */
+const encodeEntry = (entry, offset, { time, date }) => {
+  const name = Buffer.from(entry.name, 'utf8');
+  const data = Buffer.isBuffer(entry.data)
+    ? entry.data
+    : Buffer.from(entry.data, 'utf8');
+  const compressed = zlib.deflateRawSync(data);
+  const checksum = crc32(data);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4); // 解压所需版本
+  local.writeUInt16LE(0x0800, 6); // 文件名为 UTF-8
+  local.writeUInt16LE(8, 8); // deflate
+  local.writeUInt16LE(time, 10);
+  local.writeUInt16LE(date, 12);
+  local.writeUInt32LE(checksum, 14);
+  local.writeUInt32LE(compressed.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(name.length, 26);
+  local.writeUInt16LE(0, 28);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(20, 4); // 创建版本
+  central.writeUInt16LE(20, 6);
+  central.writeUInt16LE(0x0800, 8);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt16LE(time, 12);
+  central.writeUInt16LE(date, 14);
+  central.writeUInt32LE(checksum, 16);
+  central.writeUInt32LE(compressed.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(name.length, 28);
+  central.writeUInt32LE(offset, 42);
+
+  return {
+    local: Buffer.concat([local, name, compressed]),
+    central: Buffer.concat([central, name]),
+  };
+};
+
+// 中央目录结束记录
+const encodeEnd = (entryCount, centralLength, centralOffset) => {
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entryCount, 8);
+  end.writeUInt16LE(entryCount, 10);
+  end.writeUInt32LE(centralLength, 12);
+  end.writeUInt32LE(centralOffset, 16);
+  return end;
+};
+
+/**
+ * 生成 ZIP 文件
+ *
+ * @param {Array<{ name: string, data: Buffer|string }>} entries 文件列表
+ * @param {Date} modifiedAt 文件修改时间
+ * @returns {Buffer}
+ */
+export const createZip = (entries, modifiedAt = new Date()) => {
+  const dosTime = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const { local, central } = encodeEntry(entry, offset, dosTime);
+    localParts.push(local);
+    centralParts.push(central);
+    offset += local.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = encodeEnd(entries.length, centralDirectory.length, offset);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * 逐个写入文件生成 ZIP 文件，内存中只保留当前文件和中央目录（不支持 ZIP64，总大小不能超过 4GB）
+ *
+ * @param {string} filePath 输出路径
+ * @param {AsyncIterable<{ name: string, data: Buffer|string }>|Iterable} entries 文件列表，可以按需生成
+ * @param {Date} modifiedAt 文件修改时间
+ * @returns {Promise<number>} ZIP 文件大小(字节)
+ */
+export const writeZip = async (filePath, entries, modifiedAt = new Date()) => {
+  const dosTime = toDosDateTime(modifiedAt);
+  const centralParts = [];
+  let offset = 0;
+
+  const file = await fs.open(filePath, 'w');
+  try {
+    for await (const entry of entries) {
+      const { local, central } = encodeEntry(entry, offset, dosTime);
+      await file.write(local);
+      centralParts.push(central);
+      offset += local.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = encodeEnd(centralParts.length, centralDirectory.length, offset);
+    await file.write(Buffer.concat([centralDirectory, end]));
+
+    return offset + centralDirectory.length + end.length;
+  } finally {
+    await file.close();
+  }
+};
+
+/**
+ * 读取 ZIP 文件中第一个符合条件的文件（只支持不压缩和 deflate，不支持 ZIP64）
+ *
+ * @param {Buffer} buffer ZIP 文件内容
+ * @param {Function} predicate (name) => boolean
+ * @param {Object} options { maxSize } 解压后的最大大小(字节)
+ * @returns {{ name: string, data: Buffer } | null} 不是 ZIP 文件、文件被截断或没有符合条件的文件时返回 null
+ * @throws {RangeError} 文件解压后超过 maxSize
+ * @throws {Error} 压缩数据损坏
+ */
+export const readZipEntry = (
+  buffer,
+  predicate,
+  { maxSize = constants.MAX_LENGTH } = {}
+) => {
+  // 中央目录结束记录在文件末尾，后面最多有 65535 字节的注释
+  let end = -1;
+  for (
+    let i = buffer.length - 22;
+    i >= Math.max(0, buffer.length - 65557);
+    i--
+  ) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    return null;
+  }
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < entryCount; i++) {
+    // 中央目录记录超出文件范围说明文件被截断或已损坏
+    if (offset + 46 > end || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      return null;
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!predicate(name) || ![0, 8].includes(method)) {
+      continue;
+    }
+
+    if (localOffset + 30 > buffer.length) {
+      return null;
+    }
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    if (dataStart + compressedSize > buffer.length) {
+      return null;
+    }
+
+    // 先按中央目录中记录的大小检查，解压时再限制输出大小，防止记录的大小与实际不符
+    if (size > maxSize || (method === 0 && compressedSize > maxSize)) {
+      throw new RangeError(`ZIP文件中的 ${name} 解压后超过${maxSize}字节`);
+    }
+
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    return {
+      name,
+      data:
+        method === 8
+          ? zlib.inflateRawSync(data, { maxOutputLength: maxSize })
+          : data,
+    };
+  }
+
+  return null;
+};
@@ -0,0 +1,73 @@
+import { body, query } from 'express-validator';
+import {
+  intRangeValidation,
+  enumValidation,
+  stringLengthValidation,
+  paginationValidation,
+  dateRangeValidation,
+  idValidation,
+} from './common.validators.js';
+import { recordTimezoneValidation } from './hydration.validators.js';
+import {
+  ACTIVITY_TYPES,
+  ACTIVITY_INTENSITIES,
+  ACTIVITY_SOURCES,
+} from '../utils/activityHydration.js';
+
+/**
+ * 运动记录相关验证器
+ */
+
+// 最多可以提前多少天记录计划中的运动
+const MAX_FUTURE_DAYS = 7;
+
+// 添加运动记录验证
+export const createActivityValidation = [
+  ...enumValidation('type', Object.keys(ACTIVITY_TYPES), true),
+
+  body('startedAt')
+    .notEmpty()
+    .withMessage('startedAt不能为空')
+    .isISO8601()
+    .withMessage('startedAt必须是有效的日期时间格式')
+    .custom(value => {
+      const maxDate = new Date(Date.now() + MAX_FUTURE_DAYS * 24 * 3600 * 1000);
+      if (new Date(value) > maxDate) {
+        throw new Error(`只能记录${MAX_FUTURE_DAYS}天内计划的运动`);
+      }
+      return true;
+    }),
+
+  // 时长（分钟），最长24小时
+  ...intRangeValidation('durationMinutes', 1, 1440, true),
+
+  ...enumValidation('intensity', ACTIVITY_INTENSITIES, false),
+  ...enumValidation('source', ACTIVITY_SOURCES, false),
+  ...stringLengthValidation('externalId', 1, 100),
+  ...stringLengthValidation('notes', 0, 255),
+
+  // 运动时所在时区，不传时使用用户设置的时区
+  ...recordTimezoneValidation('timezone'),
+];
+
+// 运动记录列表查询验证
+export const getActivitiesValidation = [
+  ...paginationValidation,
+  ...dateRangeValidation,
+  query('type')
+    .optional()
+    .isIn(Object.keys(ACTIVITY_TYPES))
+    .withMessage('运动类型无效'),
+  query('source').optional().isIn(ACTIVITY_SOURCES).withMessage('运动来源无效'),
+];
+
+// 运动记录ID验证
+export const activityIdValidation = idValidation('activityId');
+
+// 健康数据导入验证（multipart 表单字段）
+export const importHealthDataValidation = [
+  ...recordTimezoneValidation('timezone'),
+];
+
+// 导入任务ID验证
+export const healthImportJobIdValidation = idValidation('jobId');
@@ -0,0 +1,111 @@
+import { body, param } from 'express-validator';
+import {
+  enumValidation,
+  stringLengthValidation,
+  requiredStringValidation,
+  arrayValidation,
+  intRangeValidation,
+  booleanValidation,
+  idValidation,
+} from './common.validators.js';
+import { PAIRABLE_DEVICE_TYPES } from '../utils/deviceService.js';
+import {
+  READING_TYPES,
+  MAX_READINGS_PER_BATCH,
+} from '../utils/smartCupReadings.js';
+
+/**
+ * 设备相关验证器
+ */
+
+// 设备配置 JSON 的最大长度
+const MAX_DEVICE_SETTINGS_LENGTH = 2000;
+
+// 设备ID：设备自己的硬件标识（序列号、MAC 等）
+const deviceIdRule = field =>
+  field
+    .isString()
+    .isLength({ min: 4, max: 100 })
+    .withMessage('设备ID长度必须在4-100字符之间')
+    .matches(/^[A-Za-z0-9._:-]+$/)
+    .withMessage('设备ID只能包含字母、数字和 . _ : -');
+
+// 生成配对码验证
+export const createPairingCodeValidation = [
+  ...enumValidation('deviceType', PAIRABLE_DEVICE_TYPES, false),
+  ...stringLengthValidation('deviceName', 1, 100),
+];
+
+// 设备配对验证
+export const pairDeviceValidation = [
+  ...requiredStringValidation('pairingCode', 6, 20),
+  deviceIdRule(body('deviceId').notEmpty().withMessage('deviceId不能为空')),
+  ...stringLengthValidation('deviceName', 1, 100),
+  ...stringLengthValidation('firmwareVersion', 1, 50),
+];
+
+// 设备上报读数验证
+export const deviceReadingsValidation = [
+  deviceIdRule(param('deviceId')),
+
+  ...arrayValidation('readings', 0, MAX_READINGS_PER_BATCH, true),
+  body('readings.*.type')
+    .isIn(READING_TYPES)
+    .withMessage(`读数类型必须是以下值之一: ${READING_TYPES.join(', ')}`),
+  body('readings.*.recordedAt')
+    .isISO8601()
+    .withMessage('recordedAt必须是有效的日期时间格式'),
+  // sip 读数需要饮水量(ml)，weight 读数需要当前称重(g)
+  body('readings.*').custom(reading => {
+    const [field, max] =
+      reading.type === 'sip' ? ['amountMl', 5000] : ['weightG', 10000];
+    const value = Number(reading[field]);
+    if (
+      reading[field] === undefined ||
+      !Number.isFinite(value) ||
+      value < 0 ||
+      value > max
+    ) {
+      throw new Error(`${field}必须是0-${max}之间的数字`);
+    }
+    return true;
+  }),
+
+  // 设备状态
+  ...intRangeValidation('battery.level', 0, 100),
+  ...booleanValidation('battery.charging'),
+  ...stringLengthValidation('firmwareVersion', 1, 50),
+];
+
+// 设备记录ID验证
+export const deviceRecordIdValidation = idValidation('id');
+
+// 更新设备验证
+export const updateDeviceValidation = [
+  ...idValidation('id'),
+  ...stringLengthValidation('deviceName', 1, 100),
+  ...booleanValidation('isPrimary'),
+  ...booleanValidation('pushEnabled'),
+
+  // 设备配置整体替换，null 表示清空
+  body('settings')
+    .optional()
+    .custom(value => {
+      if (value === null) {
+        return true;
+      }
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('settings必须是对象');
+      }
+      if (JSON.stringify(value).length > MAX_DEVICE_SETTINGS_LENGTH) {
+        throw new Error(`settings不能超过${MAX_DEVICE_SETTINGS_LENGTH}字符`);
+      }
+      if (
+        value.quiet_mode !== undefined &&
+        typeof value.quiet_mode !== 'boolean'
+      ) {
+        throw new Error('settings.quiet_mode必须是布尔值');
+      }
+      return true;
+    }),
+];
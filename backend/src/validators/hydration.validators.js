@@ -9,9 +9,27 @@ import {
   dateRangeValidation,
   periodValidation,
   timezoneValidation,
-  recordIdValidation
+  recordIdValidation,
+  idValidation,
+  intRangeValidation,
+  requiredStringValidation,
+  booleanValidation,
+  jsonValidation
 } from './common.validators.js';
 import config from '../config/index.js';
+import { isValidTimezone } from '../utils/userTime.js';
+import {
+  DRINK_TYPES,
+  MIN_COEFFICIENT,
+  MAX_COEFFICIENT,
+  isValidCoefficient,
+} from '../utils/hydrationCoefficients.js';
+import {
+  SYNC_OPERATIONS,
+  MAX_SYNC_CHANGES,
+  toTimestamp,
+  decodeCursor,
+} from '../utils/hydrationSync.js';
 
 /**
  * 饮水记录相关验证器
@@ -45,12 +63,32 @@ export const sourceValidation = (fieldName = 'source', required = false) => [
   ...enumValidation(fieldName, ['manual', 'auto', 'reminder', 'batch_import'], required),
 ];
 
+// 记录所在时区验证（IANA 时区名称，如 Asia/Shanghai）
+export const recordTimezoneValidation = (fieldName = 'timezone') => [
+  body(fieldName)
+    .optional()
+    .custom(value => {
+      if (!isValidTimezone(value)) {
+        throw new Error('时区无效');
+      }
+      return true;
+    }),
+];
+
 // 添加饮水记录验证
 export const addRecordValidation = [
-  // 必填字段
-  ...hydrationAmountValidation('amount', true),
+  // 饮水量：使用饮品目录时可省略，默认取饮品的默认容量
+  body('amount')
+    .if(body('drinkId').not().exists())
+    .notEmpty()
+    .withMessage('amount不能为空'),
+  ...hydrationAmountValidation('amount', false),
   
   // 可选字段
+  body('drinkId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('drinkId必须是大于0的整数'),
   ...drinkTypeValidation('drinkType', false),
   ...stringLengthValidation('drinkName', 0, 50),
   ...stringLengthValidation('location', 0, 100),
@@ -58,6 +96,8 @@ export const addRecordValidation = [
   ...temperatureValidation('temperature', false),
   ...sourceValidation('source', false),
   ...stringLengthValidation('deviceId', 0, 50),
+  // 设备当前所在时区，不传时使用用户设置的时区
+  ...recordTimezoneValidation('timezone'),
   
   // 记录时间验证
   body('recordedAt')
@@ -168,6 +208,13 @@ export const addBatchRecordsValidation = [
     .optional()
     .isIn(['cold', 'room', 'warm', 'hot'])
     .withMessage('温度选项无效'),
+  
+  body('records.*.device_id')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('设备标识长度不能超过100字符'),
+  
+  ...recordTimezoneValidation('records.*.timezone'),
 ];
 
 // 获取记录列表验证
@@ -223,6 +270,182 @@ export const getTodayProgressValidation = [
     .withMessage('includeRecords必须是布尔值'),
 ];
 
+// 饮品ID验证
+export const drinkIdValidation = idValidation('drinkId');
+
+// 饮品目录查询验证
+export const getDrinksValidation = [
+  query('drinkType')
+    .optional()
+    .isIn(DRINK_TYPES)
+    .withMessage(`drinkType必须是以下值之一: ${DRINK_TYPES.join(', ')}`),
+];
+
+// 饮品营养信息验证
+const drinkNutritionValidation = [
+  ...stringLengthValidation('icon', 0, 100),
+  ...numberRangeValidation('caffeineMg', 0, 1000, false),
+  ...numberRangeValidation('sugarG', 0, 500, false),
+  ...intRangeValidation('calories', 0, 5000, false),
+  ...numberRangeValidation('alcoholAbv', 0, 100, false),
+];
+
+// 创建饮品验证
+export const createDrinkValidation = [
+  ...requiredStringValidation('name', 1, 100),
+  ...enumValidation('drinkType', DRINK_TYPES, false),
+  ...intRangeValidation(
+    'defaultVolume',
+    config.business?.minRecordAmount || 10,
+    config.business?.maxRecordAmount || 5000,
+    true
+  ),
+  ...drinkNutritionValidation,
+];
+
+// 更新饮品验证
+export const updateDrinkValidation = [
+  ...drinkIdValidation,
+  ...stringLengthValidation('name', 1, 100),
+  ...enumValidation('drinkType', DRINK_TYPES, false),
+  ...intRangeValidation(
+    'defaultVolume',
+    config.business?.minRecordAmount || 10,
+    config.business?.maxRecordAmount || 5000,
+    false
+  ),
+  ...drinkNutritionValidation,
+];
+
+// 摄入限制更新验证
+export const updateIntakeLimitsValidation = [
+  ...intRangeValidation('dailyCaffeineLimitMg', 0, 2000, false),
+  ...numberRangeValidation('dailyAlcoholLimitUnits', 0, 50, false),
+  ...numberRangeValidation('caffeineCutoffHours', 0, 12, false),
+  ...booleanValidation('limitWarningsEnabled', false),
+];
+
+// 离线同步验证
+export const syncRecordsValidation = [
+  body('since')
+    .optional({ nullable: true })
+    .custom(value => {
+      if (!decodeCursor(value)) {
+        throw new Error('since游标格式无效');
+      }
+      return true;
+    }),
+  ...stringLengthValidation('deviceId', 0, 100),
+  ...recordTimezoneValidation('timezone'),
+  ...arrayValidation('changes', 0, MAX_SYNC_CHANGES, false),
+  ...enumValidation('changes.*.op', SYNC_OPERATIONS, true),
+  body('changes.*.clientId')
+    .isUUID()
+    .withMessage('clientId必须是UUID'),
+  body('changes.*.clientTimestamp')
+    .custom(value => {
+      if (value === undefined || value === null || toTimestamp(value) === null) {
+        throw new Error('clientTimestamp必须是毫秒时间戳或ISO8601时间');
+      }
+      return true;
+    }),
+  body('changes.*.data')
+    .optional()
+    .isObject()
+    .withMessage('data必须是对象'),
+  ...hydrationAmountValidation('changes.*.data.amount', false),
+  ...enumValidation('changes.*.data.drinkType', DRINK_TYPES, false),
+  ...stringLengthValidation('changes.*.data.drinkName', 0, 50),
+  // 离线记录可能早于普通接口允许的时间范围，晚于服务器时间时按服务器时间保存
+  body('changes.*.data.recordedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('recordedAt必须是有效的日期时间格式'),
+  ...stringLengthValidation('changes.*.data.location', 0, 100),
+  ...enumValidation('changes.*.data.activityContext', [
+    'work', 'exercise', 'meal', 'wake_up', 'before_sleep', 'break', 'other'
+  ], false),
+  ...enumValidation('changes.*.data.temperature', [
+    'hot', 'warm', 'room', 'cold', 'iced'
+  ], false),
+];
+
+// 导入文件中单行记录的验证（由导入服务逐行执行）
+export const importRecordRowValidation = [
+  ...hydrationAmountValidation('amount', true),
+  ...enumValidation('drinkType', DRINK_TYPES, false),
+  ...stringLengthValidation('drinkName', 0, 50),
+  // 导入历史记录不限制最早时间
+  body('recordedAt')
+    .notEmpty()
+    .withMessage('recordedAt不能为空')
+    .bail()
+    .isISO8601()
+    .withMessage('recordedAt无法识别为日期时间')
+    .bail()
+    .custom(value => {
+      if (new Date(value) > new Date()) {
+        throw new Error('记录时间不能是未来时间');
+      }
+      return true;
+    }),
+  ...stringLengthValidation('location', 0, 100),
+  ...enumValidation('activityContext', [
+    'work', 'exercise', 'meal', 'wake_up', 'before_sleep', 'break', 'other'
+  ], false),
+  ...enumValidation('temperature', [
+    'hot', 'warm', 'room', 'cold', 'iced'
+  ], false),
+];
+
+// 导入文件验证（multipart 表单字段）
+export const importRecordsValidation = [
+  ...enumValidation('format', ['csv', 'json'], false),
+  ...enumValidation('unit', ['ml', 'l', 'oz'], false),
+  // 列映射 { 字段: 列名 }，字段和列名由导入服务检查
+  ...jsonValidation('mapping', false),
+  ...recordTimezoneValidation('timezone'),
+];
+
+// 导入任务ID验证
+export const importJobIdValidation = idValidation('jobId');
+
+// 恢复饮水记录验证
+export const restoreRecordValidation = [
+  ...idValidation('recordId'),
+
+  body('revisionId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('修改记录ID必须是正整数')
+    .toInt(),
+];
+
+// 补水系数更新验证
+export const updateCoefficientsValidation = [
+  body('coefficients')
+    .isObject()
+    .withMessage('coefficients必须是对象')
+    .custom(value => {
+      const entries = Object.entries(value);
+      if (entries.length === 0) {
+        throw new Error('至少需要设置一种饮品的系数');
+      }
+
+      for (const [drinkType, coefficient] of entries) {
+        if (!DRINK_TYPES.includes(drinkType)) {
+          throw new Error(`不支持的饮品类型: ${drinkType}`);
+        }
+        if (coefficient !== null && !isValidCoefficient(coefficient)) {
+          throw new Error(
+            `${drinkType} 的系数必须在${MIN_COEFFICIENT}-${MAX_COEFFICIENT}之间，或为null以恢复默认值`
+          );
+        }
+      }
+      return true;
+    }),
+];
+
 // 记录搜索验证
 export const searchRecordsValidation = [
   ...paginationValidation,
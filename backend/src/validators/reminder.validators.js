@@ -1,4 +1,6 @@
 import { body, query } from 'express-validator';
+import { isValidTimezone } from '../utils/userTime.js';
+import { WEEKDAYS } from '../utils/reminderWindow.js';
 import { 
   timeFormatValidation,
   intRangeValidation,
@@ -9,7 +11,8 @@ import {
   paginationValidation,
   dateRangeValidation,
   periodValidation,
-  reminderIdValidation
+  reminderIdValidation,
+  idValidation
 } from './common.validators.js';
 
 /**
@@ -71,6 +74,103 @@ export const intensityLevelValidation = [
   ...enumValidation('intensity_level', ['low', 'medium', 'high'], false),
 ];
 
+const TIME_REGEX = /^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
+
+// 按星期设置的提醒时间段验证，null 表示清除
+export const weeklyScheduleValidation = [
+  body('weekly_schedule')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('weekly_schedule必须是对象')
+    .custom(value => {
+      const invalidDays = Object.keys(value).filter(day => !WEEKDAYS.includes(day));
+      if (invalidDays.length > 0) {
+        throw new Error(`无效的星期: ${invalidDays.join(', ')}`);
+      }
+      return true;
+    }),
+  
+  body('weekly_schedule.*.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled必须是布尔值'),
+  
+  body(['weekly_schedule.*.start_time', 'weekly_schedule.*.end_time'])
+    .optional()
+    .matches(TIME_REGEX)
+    .withMessage('时间格式无效，请使用 HH:mm 或 HH:mm:ss 格式'),
+];
+
+// 节假日等日期例外验证，null 表示清除
+export const dateExceptionsValidation = [
+  body('date_exceptions')
+    .optional({ nullable: true })
+    .isArray({ max: 100 })
+    .withMessage('date_exceptions最多包含100个日期')
+    .custom(value => {
+      const dates = value.map(item => item?.date);
+      if (new Set(dates).size !== dates.length) {
+        throw new Error('date_exceptions中的日期不能重复');
+      }
+      return true;
+    }),
+  
+  body('date_exceptions.*.date')
+    .notEmpty()
+    .withMessage('日期不能为空')
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('日期格式无效，请使用 YYYY-MM-DD 格式'),
+  
+  body('date_exceptions.*.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled必须是布尔值'),
+  
+  body(['date_exceptions.*.start_time', 'date_exceptions.*.end_time'])
+    .optional()
+    .matches(TIME_REGEX)
+    .withMessage('时间格式无效，请使用 HH:mm 或 HH:mm:ss 格式'),
+  
+  body('date_exceptions.*')
+    .custom(item => {
+      if (!item || typeof item !== 'object') {
+        throw new Error('日期例外必须是对象');
+      }
+      if (!item.start_time !== !item.end_time) {
+        throw new Error('自定义时间段需要同时设置开始和结束时间');
+      }
+      return true;
+    }),
+  
+  body('date_exceptions.*.name')
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('名称不能超过50个字符'),
+];
+
+// 其他免打扰时间段验证，null 表示清除
+export const dndWindowsValidation = [
+  body('dnd_windows')
+    .optional({ nullable: true })
+    .isArray({ max: 10 })
+    .withMessage('dnd_windows最多包含10个时间段'),
+  
+  body(['dnd_windows.*.start_time', 'dnd_windows.*.end_time'])
+    .notEmpty()
+    .withMessage('免打扰时间段需要设置开始和结束时间')
+    .matches(TIME_REGEX)
+    .withMessage('时间格式无效，请使用 HH:mm 或 HH:mm:ss 格式'),
+  
+  body('dnd_windows.*')
+    .custom(window => {
+      if (window?.start_time && window.start_time === window.end_time) {
+        throw new Error('免打扰开始和结束时间不能相同');
+      }
+      return true;
+    }),
+];
+
 // 提醒设置更新验证
 export const updateReminderSettingsValidation = [
   ...reminderEnabledValidation,
@@ -78,15 +178,33 @@ export const updateReminderSettingsValidation = [
   // 时间验证
   ...timeFormatValidation('start_time', false),
   ...timeFormatValidation('end_time', false),
-  ...timeFormatValidation('quiet_hours_start', false),
-  ...timeFormatValidation('quiet_hours_end', false),
   
   // 间隔验证
   ...reminderIntervalValidation,
   
+  // 工作日/周末
+  ...booleanValidation('weekday_enabled', false),
+  ...booleanValidation('weekend_enabled', false),
+  ...timeFormatValidation('weekend_start_time', false),
+  ...timeFormatValidation('weekend_end_time', false),
+  ...weeklyScheduleValidation,
+  ...dateExceptionsValidation,
+  
+  // 免打扰
+  ...booleanValidation('do_not_disturb_enabled', false),
+  ...timeFormatValidation('dnd_start_time', false),
+  ...timeFormatValidation('dnd_end_time', false),
+  ...dndWindowsValidation,
+  
+  // 提醒策略
+  ...enumValidation('strategy_type', ['fixed_interval', 'smart_adaptive', 'activity_based', 'custom'], false),
+  ...booleanValidation('consider_activity', false),
+  
   // 其他设置
+  ...booleanValidation('consider_calendar', false),
+  ...booleanValidation('consider_weather', false),
+  ...enumValidation('delivery_target', ['all_devices', 'primary_only'], false),
   ...booleanValidation('smart_reminders', false),
-  ...booleanValidation('weekend_enabled', false),
   ...reminderTypesValidation,
   ...intensityLevelValidation,
   
@@ -114,13 +232,13 @@ export const updateReminderSettingsValidation = [
       return true;
     }),
   
-  // 免打扰时间验证
-  body(['quiet_hours_start', 'quiet_hours_end'])
+  // 免打扰时间验证（结束时间早于开始时间表示跨午夜）
+  body(['dnd_start_time', 'dnd_end_time'])
     .custom((value, { req }) => {
-      const quietStart = req.body.quiet_hours_start;
-      const quietEnd = req.body.quiet_hours_end;
+      const dndStart = req.body.dnd_start_time;
+      const dndEnd = req.body.dnd_end_time;
       
-      if (quietStart && quietEnd && quietStart === quietEnd) {
+      if (dndStart && dndEnd && dndStart === dndEnd) {
         throw new Error('免打扰开始和结束时间不能相同');
       }
       
@@ -128,6 +246,31 @@ export const updateReminderSettingsValidation = [
     }),
 ];
 
+// 添加日历验证（multipart 表单中的布尔值和数字都是字符串）
+export const addCalendarValidation = [
+  body('url')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('日历订阅地址不能超过1000个字符')
+    .matches(/^(https?|webcals?):\/\//i)
+    .withMessage('日历订阅地址必须以 http://、https:// 或 webcal:// 开头'),
+  
+  ...stringLengthValidation('name', 1, 100),
+];
+
+// 日历ID验证
+export const calendarIdValidation = idValidation('calendarId');
+
+// 暂停提醒验证
+export const pauseRemindersValidation = [
+  body('hours')
+    .notEmpty()
+    .withMessage('暂停时长不能为空')
+    .isFloat({ min: 0.25, max: 72 })
+    .withMessage('暂停时长必须在0.25-72小时之间'),
+];
+
 // 提醒历史查询验证
 export const getReminderHistoryValidation = [
   ...paginationValidation,
@@ -246,6 +389,23 @@ export const updateDeviceTokenValidation = [
     .optional()
     .matches(/^\d+\.\d+\.\d+$/)
     .withMessage('应用版本格式无效，应为 x.y.z 格式'),
+
+  body('deviceId')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('设备ID长度必须在1-255字符之间'),
+
+  body('deviceName')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('设备名称长度必须在1-100字符之间'),
+
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('时区格式无效'),
 ];
 
 // 禁用设备验证
@@ -1,4 +1,4 @@
-import { body } from 'express-validator';
+import { body, query, param } from 'express-validator';
 import { 
   stringLengthValidation,
   enumValidation,
@@ -6,9 +6,12 @@ import {
   booleanValidation,
   periodValidation,
   timezoneValidation,
-  paginationValidation
+  paginationValidation,
+  dateRangeValidation,
+  idValidation
 } from './common.validators.js';
 import { passwordValidation } from './auth.validators.js';
+import { isValidTimezone } from '../utils/userTime.js';
 
 /**
  * 用户管理相关验证器
@@ -82,8 +85,51 @@ export const updateProfileValidation = [
     .withMessage('语言代码长度无效')
     .matches(/^[a-z]{2}(-[A-Z]{2})?$/)
     .withMessage('语言代码格式无效，例如: zh-CN'),
+
+  // 资料变更时是否自动应用推荐目标
+  ...booleanValidation('autoAdjustGoal', false),
+
+  // 所在地（用于按天气调整），经纬度需要同时设置，传 null 清除
+  body('latitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('纬度必须在-90到90之间')
+    .toFloat()
+    .custom((value, { req }) => {
+      if (req.body.longitude === undefined) {
+        throw new Error('纬度和经度需要同时设置');
+      }
+      return true;
+    }),
+  body('longitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('经度必须在-180到180之间')
+    .toFloat()
+    .custom((value, { req }) => {
+      if (req.body.latitude === undefined) {
+        throw new Error('纬度和经度需要同时设置');
+      }
+      return true;
+    }),
+  body('locationName')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('所在地名称不能超过100个字符'),
 ];
 
+// 推荐目标查询验证
+export const goalRecommendationValidation = [
+  query('exerciseMinutes')
+    .optional()
+    .isInt({ min: 0, max: 600 })
+    .withMessage('运动时长必须在0-600分钟之间'),
+];
+
+// 体重历史查询验证
+export const weightHistoryValidation = [...dateRangeValidation];
+
 // 饮水目标更新验证
 export const updateWaterGoalValidation = [
   body('goalValue')
@@ -102,6 +148,22 @@ export const updateWaterGoalValidation = [
   ...enumValidation('goalType', ['daily', 'weekly', 'custom'], false),
 ];
 
+// 时区切换验证
+export const updateTimezoneValidation = [
+  body('timezone')
+    .notEmpty()
+    .withMessage('时区不能为空')
+    .bail()
+    .custom(value => {
+      if (!isValidTimezone(value)) {
+        throw new Error('时区无效，例如: Asia/Shanghai');
+      }
+      return true;
+    }),
+  ...booleanValidation('jetLagMode', false),
+  ...booleanValidation('autoDetect', false),
+];
+
 // 修改密码验证
 export const changePasswordValidation = [
   body('currentPassword')
@@ -133,6 +195,120 @@ export const avatarUploadValidation = [
     .withMessage('头像URL长度不能超过500字符'),
 ];
 
+// 成就展示设置更新验证
+export const updateAchievementValidation = [
+  ...idValidation('id'),
+  ...booleanValidation('isDisplayed'),
+  ...booleanValidation('isFavorite'),
+];
+
+// 目标连续达成查询验证
+export const goalStreakValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('天数必须在1-365之间'),
+];
+
+// 目标值范围（每周坚持类目标为每周达标天数）
+const validateGoalTarget = (value, goalType) => {
+  if (goalType === 'weekly_consistency' && (value < 1 || value > 7)) {
+    throw new Error('每周坚持目标的天数必须在1-7之间');
+  }
+  if (
+    ['daily_water', 'monthly_average'].includes(goalType) &&
+    (value < 500 || value > 8000)
+  ) {
+    throw new Error('饮水目标必须在500-8000ml之间');
+  }
+  return true;
+};
+
+// 目标ID验证
+export const goalIdValidation = [
+  param('goalId')
+    .isInt({ min: 1 })
+    .withMessage('目标ID必须是大于0的整数'),
+];
+
+// 目标列表查询验证
+export const goalListValidation = [
+  query('status')
+    .optional()
+    .isIn(['active', 'history', 'all'])
+    .withMessage('状态必须是 active, history 或 all'),
+];
+
+// 创建目标验证
+export const createGoalValidation = [
+  body('goalType')
+    .notEmpty()
+    .withMessage('目标类型不能为空')
+    .isIn(['daily_water', 'weekly_consistency', 'monthly_average', 'custom'])
+    .withMessage('目标类型无效'),
+
+  body('targetValue')
+    .notEmpty()
+    .withMessage('目标值不能为空')
+    .isInt({ min: 1 })
+    .withMessage('目标值必须是正整数')
+    .toInt()
+    .custom((value, { req }) => validateGoalTarget(value, req.body.goalType)),
+
+  ...stringLengthValidation('targetUnit', 1, 20),
+
+  body('startDate')
+    .optional()
+    .isDate()
+    .withMessage('开始日期格式无效'),
+
+  body('endDate')
+    .optional({ nullable: true })
+    .isDate()
+    .withMessage('结束日期格式无效')
+    .custom((endDate, { req }) => {
+      if (endDate && req.body.startDate && endDate < req.body.startDate) {
+        throw new Error('结束日期不能早于开始日期');
+      }
+      return true;
+    }),
+
+  ...booleanValidation('reminderEnabled'),
+  ...booleanValidation('celebrationEnabled'),
+];
+
+// 更新目标验证（目标类型不可修改）
+export const updateGoalValidation = [
+  ...goalIdValidation,
+
+  body('goalType')
+    .not()
+    .exists()
+    .withMessage('目标类型不能修改'),
+
+  body('targetValue')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('目标值必须是正整数')
+    .toInt(),
+
+  ...stringLengthValidation('targetUnit', 1, 20),
+
+  body('startDate')
+    .optional()
+    .isDate()
+    .withMessage('开始日期格式无效'),
+
+  body('endDate')
+    .optional({ nullable: true })
+    .isDate()
+    .withMessage('结束日期格式无效'),
+
+  ...booleanValidation('isActive'),
+  ...booleanValidation('reminderEnabled'),
+  ...booleanValidation('celebrationEnabled'),
+];
+
 // 用户统计查询验证
 export const userStatisticsValidation = [
   ...periodValidation,
@@ -170,6 +346,21 @@ export const dataExportValidation = [
     .withMessage('日期范围必须在1-365天之间'),
 ];
 
+// 导出任务ID验证
+export const exportJobIdValidation = idValidation('jobId');
+
+// 导出文件下载链接验证
+export const exportDownloadValidation = [
+  ...idValidation('jobId'),
+  query('expires')
+    .isInt({ min: 1 })
+    .withMessage('下载链接无效'),
+  query('signature')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('下载链接无效'),
+];
+
 // 删除账户验证
 export const deleteAccountValidation = [
   body('password')
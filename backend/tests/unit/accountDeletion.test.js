@@ -0,0 +1,147 @@
+import moment from 'moment-timezone';
+import AuthService from '../../src/utils/auth.js';
+import { AccountDeletionService } from '../../src/utils/accountDeletion.js';
+
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  businessLogger: { userAction: jest.fn(), systemEvent: jest.fn() },
+  errorLogger: { database: jest.fn(), external: jest.fn() },
+}));
+jest.mock('../../src/config/database.js', () => ({}));
+jest.mock('../../src/utils/auth.js', () => ({
+  __esModule: true,
+  default: { removeAllUserSessions: jest.fn().mockResolvedValue(true) },
+}));
+
+const createService = (overrides = {}) => {
+  const userModel = {
+    scheduleAccountDeletion: jest.fn().mockResolvedValue(1),
+    cancelAccountDeletion: jest.fn().mockResolvedValue(1),
+    scheduleLegacyDeletions: jest.fn().mockResolvedValue(0),
+    getAccountsDueForPurge: jest.fn().mockResolvedValue([]),
+    purgeUserData: jest.fn().mockResolvedValue({ users: 1 }),
+    ...overrides.userModel,
+  };
+  const exportJobModel = {
+    getUserExportFiles: jest.fn().mockResolvedValue([]),
+  };
+  const appLogModel = { createAuditLog: jest.fn().mockResolvedValue(1) };
+
+  const service = new AccountDeletionService({
+    userModel,
+    exportJobModel,
+    appLogModel,
+    graceDays: 30,
+  });
+  return { service, userModel, appLogModel };
+};
+
+const actions = appLogModel =>
+  appLogModel.createAuditLog.mock.calls.map(([log]) => log.action);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('AccountDeletionService.schedule', () => {
+  it('schedules the purge after the grace period and ends all sessions', async () => {
+    const { service, userModel, appLogModel } = createService();
+
+    const scheduledFor = await service.schedule(7, { reason: 'privacy' });
+
+    expect(
+      Math.abs(moment(scheduledFor).diff(moment().add(30, 'days'), 'seconds'))
+    ).toBeLessThan(5);
+    expect(userModel.scheduleAccountDeletion).toHaveBeenCalledWith(
+      7,
+      scheduledFor
+    );
+    expect(AuthService.removeAllUserSessions).toHaveBeenCalledWith(7);
+    expect(appLogModel.createAuditLog.mock.calls[0][0]).toMatchObject({
+      userId: 7,
+      action: 'account_deletion_requested',
+      metadata: { reason: 'privacy' },
+    });
+  });
+
+  it('records the cancellation', async () => {
+    const { service, userModel, appLogModel } = createService();
+
+    await service.cancel(7);
+
+    expect(userModel.cancelAccountDeletion).toHaveBeenCalledWith(7);
+    expect(actions(appLogModel)).toEqual(['account_deletion_cancelled']);
+  });
+});
+
+describe('AccountDeletionService.purgeDueAccounts', () => {
+  it('purges every due account and keeps going after a failure', async () => {
+    const { service, userModel, appLogModel } = createService({
+      userModel: {
+        getAccountsDueForPurge: jest.fn().mockResolvedValue([
+          { id: 1, deletion_scheduled_for: new Date() },
+          { id: 2, deletion_scheduled_for: new Date() },
+          { id: 3, deletion_scheduled_for: new Date() },
+        ]),
+        purgeUserData: jest
+          .fn()
+          .mockResolvedValueOnce({ users: 1 })
+          .mockRejectedValueOnce(new Error('lock wait timeout'))
+          .mockResolvedValueOnce({ users: 1 }),
+      },
+    });
+
+    await expect(service.purgeDueAccounts()).resolves.toBe(2);
+
+    expect(userModel.purgeUserData).toHaveBeenCalledTimes(3);
+    expect(actions(appLogModel)).toEqual(['account_purged', 'account_purged']);
+  });
+
+  it('gives soft-deleted accounts a fresh grace period instead of purging them', async () => {
+    const { service, userModel } = createService({
+      userModel: { scheduleLegacyDeletions: jest.fn().mockResolvedValue(2) },
+    });
+
+    await expect(service.purgeDueAccounts()).resolves.toBe(0);
+
+    const [scheduledFor] = userModel.scheduleLegacyDeletions.mock.calls[0];
+    expect(
+      Math.abs(moment(scheduledFor).diff(moment().add(30, 'days'), 'seconds'))
+    ).toBeLessThan(5);
+    expect(userModel.getAccountsDueForPurge).toHaveBeenCalledWith(50);
+    expect(userModel.purgeUserData).not.toHaveBeenCalled();
+  });
+
+  it('keeps personal data out of the purge audit log', async () => {
+    const { service, appLogModel } = createService();
+
+    await service.purgeAccount({
+      id: 1,
+      avatar_url: 'https://example.com/me.png',
+      deletion_requested_at: new Date('2024-03-01T00:00:00Z'),
+      deletion_scheduled_for: new Date('2024-03-31T00:00:00Z'),
+    });
+
+    const [log] = appLogModel.createAuditLog.mock.calls[0];
+    expect(log.userId).toBeUndefined();
+    expect(log.metadata).toMatchObject({
+      user_id: 1,
+      deleted_rows: { users: 1 },
+      avatar_removed: null,
+    });
+  });
+});
+
+describe('AccountDeletionService.removeAvatar', () => {
+  it('only removes avatars stored by the app', async () => {
+    const { service } = createService();
+
+    await expect(service.removeAvatar(null)).resolves.toBeNull();
+    await expect(
+      service.removeAvatar('https://lh3.googleusercontent.com/a/photo.jpg')
+    ).resolves.toBeNull();
+    await expect(
+      service.removeAvatar('/uploads/avatars/missing.png')
+    ).resolves.toBe(true);
+  });
+});
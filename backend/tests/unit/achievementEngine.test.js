@@ -0,0 +1,266 @@
+import moment from 'moment-timezone';
+import {
+  AchievementEngine,
+  buildDailySummaries,
+  evaluateCriteria,
+  getSeasonWindow,
+} from '../../src/utils/achievementEngine.js';
+
+jest.mock('../../src/utils/logger.js', () => ({
+  errorLogger: { database: jest.fn(), external: jest.fn() },
+}));
+jest.mock('../../src/config/database.js', () => ({}));
+jest.mock('../../src/utils/pushNotification.js', () => ({}));
+
+const WINTER = { months: [12, 1, 2] };
+
+// 每天一条记录，饮水量相同
+const dailyActivity = (dates, amount = 2000, drinkType = 'water') =>
+  dates.map(date => ({
+    date,
+    total_amount: amount,
+    record_count: 1,
+    drink_type: drinkType,
+    hour: 9,
+  }));
+
+const dateRange = (start, count) =>
+  Array.from({ length: count }, (_, i) =>
+    moment(start).add(i, 'days').format('YYYY-MM-DD')
+  );
+
+describe('getSeasonWindow', () => {
+  it('starts a winter season in the previous December', () => {
+    expect(getSeasonWindow(WINTER.months, moment('2025-01-20'))).toEqual({
+      start: '2024-12-01',
+      end: '2025-03-01',
+    });
+  });
+
+  it('starts a winter season in the current December', () => {
+    expect(getSeasonWindow(WINTER.months, moment('2024-12-05'))).toEqual({
+      start: '2024-12-01',
+      end: '2025-03-01',
+    });
+  });
+
+  it('uses the most recent season outside of it', () => {
+    expect(getSeasonWindow([6, 7, 8], moment('2024-11-10'))).toEqual({
+      start: '2024-06-01',
+      end: '2024-09-01',
+    });
+    expect(getSeasonWindow(WINTER.months, moment('2024-05-10'))).toEqual({
+      start: '2023-12-01',
+      end: '2024-03-01',
+    });
+  });
+
+  it('returns null without months', () => {
+    expect(getSeasonWindow([], moment('2024-05-10'))).toBeNull();
+  });
+});
+
+describe('evaluateCriteria', () => {
+  const context = { dailyGoal: 2000, now: new Date(2025, 0, 20) };
+
+  it('counts December days toward a winter season in January', () => {
+    const days = buildDailySummaries(
+      dailyActivity([
+        ...dateRange('2024-12-20', 6),
+        ...dateRange('2025-01-10', 4),
+      ])
+    );
+
+    const result = evaluateCriteria(
+      { season: WINTER, achieved_days: 10 },
+      days,
+      context
+    );
+
+    expect(result.available).toBe(true);
+    expect(result.met).toBe(true);
+    expect(result.rules).toEqual([
+      { rule: 'achieved_days', current: 10, target: 10, met: true },
+    ]);
+  });
+
+  it('ignores days from the previous winter', () => {
+    const days = buildDailySummaries(
+      dailyActivity([
+        ...dateRange('2024-01-05', 8),
+        ...dateRange('2025-01-10', 4),
+      ])
+    );
+
+    const result = evaluateCriteria(
+      { season: WINTER, achieved_days: 10 },
+      days,
+      context
+    );
+
+    expect(result.met).toBe(false);
+    expect(result.progress).toBe(0.4);
+  });
+
+  it('is unavailable outside of the season', () => {
+    const days = buildDailySummaries(
+      dailyActivity(dateRange('2024-07-01', 3), 3000)
+    );
+
+    const result = evaluateCriteria(
+      { season: { months: [6, 7, 8] }, daily_amount: 2500 },
+      days,
+      { dailyGoal: 2000, now: new Date(2024, 9, 1) }
+    );
+
+    expect(result.available).toBe(false);
+    expect(result.met).toBe(false);
+    expect(result.rules[0].current).toBe(3000);
+  });
+
+  it('counts only the days that reach the goal', () => {
+    const days = buildDailySummaries([
+      ...dailyActivity(['2025-01-10', '2025-01-11'], 2000),
+      ...dailyActivity(['2025-01-12'], 1500),
+    ]);
+
+    const result = evaluateCriteria({ achieved_days: 3 }, days, context);
+    expect(result.rules[0].current).toBe(2);
+  });
+
+  it('counts only data after the last award for repeatable achievements', () => {
+    const days = buildDailySummaries(
+      dailyActivity(dateRange('2025-01-01', 10))
+    );
+
+    const result = evaluateCriteria(
+      { season: WINTER, achieved_days: 10 },
+      days,
+      { ...context, since: '2025-01-05' }
+    );
+
+    expect(result.rules[0].current).toBe(5);
+  });
+});
+
+describe('AchievementEngine.evaluateUser', () => {
+  const STREAK = {
+    id: 1,
+    name: '一周坚持',
+    criteria: { consecutive_days: 7 },
+    is_repeatable: 0,
+  };
+  const SUMMER = {
+    id: 2,
+    name: '夏日补水',
+    criteria: { season: { months: [6, 7, 8] }, achieved_days: 30 },
+    is_repeatable: 1,
+  };
+
+  const createEngine = ({ achievements = [STREAK], earned = [], goal }) => {
+    const model = {
+      getActiveAchievements: jest.fn().mockResolvedValue(achievements),
+      getUserAchievementRecords: jest.fn().mockResolvedValue(earned),
+      getUserDailyActivity: jest
+        .fn()
+        .mockResolvedValue(dailyActivity(dateRange('2024-05-01', 7))),
+      getUserDailyGoal: jest.fn().mockResolvedValue({ daily_water_goal: goal }),
+      awardAchievement: jest.fn().mockResolvedValue(10),
+      revokeAchievement: jest.fn().mockResolvedValue(1),
+    };
+    const cache = {
+      getCache: jest.fn().mockResolvedValue(null),
+      setCache: jest.fn().mockResolvedValue(true),
+    };
+    const engine = new AchievementEngine({ model, cache, transport: {} });
+    engine.notifyUnlock = jest.fn();
+    return { engine, model, cache };
+  };
+
+  it('stores the daily goal with a new award', async () => {
+    const { engine, model, cache } = createEngine({ goal: 2000 });
+
+    const result = await engine.evaluateUser(7);
+
+    expect(result.unlocked.map(item => item.id)).toEqual([1]);
+    expect(model.awardAchievement).toHaveBeenCalledWith(
+      7,
+      STREAK,
+      expect.objectContaining({ daily_goal: 2000 })
+    );
+    expect(cache.setCache).toHaveBeenCalledWith(
+      'achievements:active',
+      [STREAK],
+      600
+    );
+  });
+
+  it('keeps awards when the daily goal is raised later', async () => {
+    const { engine, model } = createEngine({
+      goal: 3000,
+      earned: [
+        {
+          id: 5,
+          achievement_id: 1,
+          earned_at: '2024-05-07 20:00:00',
+          progress_data: JSON.stringify({ rules: [], daily_goal: 2000 }),
+        },
+      ],
+    });
+
+    const result = await engine.evaluateUser(7);
+
+    expect(result.revoked).toEqual([]);
+    expect(model.revokeAchievement).not.toHaveBeenCalled();
+  });
+
+  it('revokes awards that edits made invalid', async () => {
+    const { engine, model } = createEngine({
+      goal: 2000,
+      earned: [
+        {
+          id: 5,
+          achievement_id: 1,
+          earned_at: '2024-05-07 20:00:00',
+          progress_data: { rules: [], daily_goal: 2500 },
+        },
+      ],
+    });
+
+    const result = await engine.evaluateUser(7);
+
+    expect(result.revoked).toEqual([{ id: 1, name: '一周坚持' }]);
+    expect(model.revokeAchievement).toHaveBeenCalledWith(7, 5);
+  });
+
+  it('skips earned achievements and history when records were only added', async () => {
+    const { engine, model, cache } = createEngine({
+      goal: 2000,
+      earned: [{ id: 5, achievement_id: 1, earned_at: '2024-05-07 20:00:00' }],
+    });
+    cache.getCache.mockResolvedValue([STREAK]);
+
+    const result = await engine.evaluateUser(7, { added: true });
+
+    expect(result).toEqual({ unlocked: [], revoked: [] });
+    expect(model.getActiveAchievements).not.toHaveBeenCalled();
+    expect(model.getUserDailyActivity).not.toHaveBeenCalled();
+  });
+
+  it('loads only the data needed by repeatable and seasonal achievements', async () => {
+    const summer = getSeasonWindow([6, 7, 8], moment());
+    const awardedOn = moment(summer.start).add(10, 'days').format('YYYY-MM-DD');
+    const { engine, model } = createEngine({
+      goal: 2000,
+      achievements: [STREAK, SUMMER],
+      earned: [
+        { id: 5, achievement_id: 1, earned_at: '2024-05-07 20:00:00' },
+        { id: 6, achievement_id: 2, earned_at: `${awardedOn} 20:00:00` },
+      ],
+    });
+
+    await engine.evaluateUser(7, { added: true });
+
+    expect(model.getUserDailyActivity).toHaveBeenCalledWith(7, awardedOn);
+  });
+});
@@ -0,0 +1,144 @@
+import moment from 'moment-timezone';
+import {
+  estimateSweatLoss,
+  calculateGoalBonus,
+  isActivityAware,
+  planWorkoutPrompts,
+} from '../../src/utils/activityHydration.js';
+
+const TIMEZONE = 'Asia/Shanghai';
+
+const at = time => moment.tz(time, TIMEZONE).toDate();
+
+const localTime = value => moment(value).tz(TIMEZONE).format('HH:mm');
+
+// 10:00 开始跑步一小时，估计出汗 840ml
+const RUN = {
+  activity_type: 'running',
+  intensity: 'moderate',
+  started_at: at('2024-03-10 10:00'),
+  duration_minutes: 60,
+  estimated_sweat_loss_ml: 840,
+};
+
+const summary = prompts =>
+  prompts.map(prompt => [prompt.phase, localTime(prompt.at), prompt.amount_ml]);
+
+describe('estimateSweatLoss', () => {
+  it('scales the hourly sweat rate by activity type and duration', () => {
+    // 700 * 1.2
+    expect(
+      estimateSweatLoss({
+        activityType: 'running',
+        durationMinutes: 60,
+        intensity: 'moderate',
+      })
+    ).toBe(840);
+    // 400 * 0.5 * 0.5
+    expect(
+      estimateSweatLoss({
+        activityType: 'walking',
+        durationMinutes: 30,
+        intensity: 'low',
+      })
+    ).toBe(100);
+  });
+
+  it('adjusts for body weight within limits', () => {
+    const run = { activityType: 'running', durationMinutes: 60 };
+
+    expect(estimateSweatLoss({ ...run, weight: 84 })).toBe(1010);
+    expect(estimateSweatLoss({ ...run, weight: 140 })).toBe(1340);
+    expect(estimateSweatLoss({ ...run, weight: 35 })).toBe(500);
+  });
+
+  it('falls back to a generic activity at moderate intensity', () => {
+    // 700 * 0.8 / 2
+    expect(
+      estimateSweatLoss({
+        activityType: 'dancing',
+        durationMinutes: 30,
+        intensity: 'extreme',
+      })
+    ).toBe(280);
+  });
+});
+
+describe('calculateGoalBonus', () => {
+  it('adds a quarter on top of the sweat loss', () => {
+    expect(calculateGoalBonus(840)).toBe(1050);
+    expect(calculateGoalBonus(100)).toBe(150);
+    expect(calculateGoalBonus(0)).toBe(0);
+  });
+});
+
+describe('isActivityAware', () => {
+  it('follows the strategy and the consider_activity flag', () => {
+    expect(isActivityAware(null)).toBe(false);
+    expect(isActivityAware({})).toBe(true);
+    expect(isActivityAware({ consider_activity: 1 })).toBe(true);
+    expect(isActivityAware({ consider_activity: 0 })).toBe(false);
+    expect(isActivityAware({ consider_activity: false })).toBe(false);
+    expect(
+      isActivityAware({
+        strategy_type: 'activity_based',
+        consider_activity: 0,
+      })
+    ).toBe(true);
+  });
+});
+
+describe('planWorkoutPrompts', () => {
+  it('plans prompts before, during and after a future workout', () => {
+    const prompts = planWorkoutPrompts(RUN, { now: at('2024-03-10 09:00') });
+
+    // 运动中每 20 分钟 280ml，限制为 250ml；运动后补充 1050 - 500
+    expect(summary(prompts)).toEqual([
+      ['pre', '09:30', 400],
+      ['mid', '10:20', 250],
+      ['mid', '10:40', 250],
+      ['post', '11:00', 550],
+    ]);
+    expect(prompts[0].message).toContain('跑步');
+  });
+
+  it('skips prompts that are already in the past', () => {
+    const prompts = planWorkoutPrompts(RUN, { now: at('2024-03-10 10:30') });
+
+    expect(summary(prompts)).toEqual([
+      ['mid', '10:40', 250],
+      ['post', '11:00', 550],
+    ]);
+  });
+
+  it('sends the post-workout prompt right away for a recently logged workout', () => {
+    const prompts = planWorkoutPrompts(RUN, { now: at('2024-03-10 11:30') });
+
+    expect(summary(prompts)).toEqual([['post', '11:30', 550]]);
+  });
+
+  it('plans nothing for a workout that ended long ago', () => {
+    expect(planWorkoutPrompts(RUN, { now: at('2024-03-10 14:00') })).toEqual(
+      []
+    );
+  });
+
+  it('skips mid-workout prompts for short workouts', () => {
+    const prompts = planWorkoutPrompts(
+      {
+        activity_type: 'walking',
+        intensity: 'low',
+        started_at: at('2024-03-10 10:00'),
+        duration_minutes: 30,
+        estimated_sweat_loss_ml: 100,
+      },
+      { now: at('2024-03-10 09:00') }
+    );
+
+    // 运动后至少补充 200ml
+    expect(summary(prompts)).toEqual([
+      ['pre', '09:30', 250],
+      ['post', '10:30', 200],
+    ]);
+  });
+});
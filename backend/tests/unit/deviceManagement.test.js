@@ -0,0 +1,169 @@
+import * as DeviceModel from '../../src/models/device.model.js';
+import AuthService from '../../src/utils/auth.js';
+import {
+  getDevices,
+  updateDevice,
+  deleteDevice,
+} from '../../src/controllers/device.controller.js';
+import { selectReminderDevices } from '../../src/utils/reminderDispatcher.js';
+
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  businessLogger: { userAction: jest.fn(), systemEvent: jest.fn() },
+  errorLogger: { api: jest.fn(), database: jest.fn(), external: jest.fn() },
+}));
+jest.mock('../../src/config/database.js', () => ({}));
+jest.mock('../../src/utils/pushNotification.js', () => ({}));
+jest.mock('../../src/models/hydration.model.js', () => ({}));
+jest.mock('../../src/utils/deviceService.js', () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock('../../src/models/device.model.js', () => ({
+  getUserDevices: jest.fn(),
+  getDeviceById: jest.fn(),
+  updateDevice: jest.fn(),
+  deleteDevice: jest.fn().mockResolvedValue(1),
+}));
+jest.mock('../../src/utils/auth.js', () => ({
+  __esModule: true,
+  default: { removeDeviceSessions: jest.fn().mockResolvedValue(2) },
+}));
+
+const PHONE = {
+  id: 11,
+  device_type: 'mobile',
+  has_push_token: 1,
+  push_enabled: 1,
+  is_primary: 1,
+  is_active: 1,
+  battery_charging: null,
+  settings: null,
+};
+
+const createResponse = () => {
+  const res = { statusCode: 200, body: undefined };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const call = async (handler, req) => {
+  const res = createResponse();
+  await handler({ user: { id: 7 }, params: {}, body: {}, ...req }, res);
+  return res;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('selectReminderDevices', () => {
+  const devices = [
+    { id: 11, is_primary: 1, settings: '{"quiet_mode":true}' },
+    { id: 12, is_primary: 0, settings: null },
+    { id: 13, is_primary: 0, settings: { quiet_mode: false } },
+  ];
+
+  it('skips devices in quiet mode', () => {
+    expect(
+      selectReminderDevices(devices, 'all_devices').map(device => device.id)
+    ).toEqual([12, 13]);
+  });
+
+  it('treats settings that cannot be parsed as not quiet', () => {
+    expect(
+      selectReminderDevices([{ id: 14, is_primary: 0, settings: '{quiet' }])
+    ).toHaveLength(1);
+  });
+
+  it('only uses an available primary device for primary_only', () => {
+    expect(selectReminderDevices(devices, 'primary_only')).toEqual([]);
+    expect(
+      selectReminderDevices(
+        [{ ...devices[0], settings: null }, ...devices.slice(1)],
+        'primary_only'
+      ).map(device => device.id)
+    ).toEqual([11]);
+  });
+});
+
+describe('device controller', () => {
+  it('lists devices and marks the one of the current session', async () => {
+    DeviceModel.getUserDevices.mockResolvedValue([
+      PHONE,
+      { ...PHONE, id: 12, is_primary: 0, push_enabled: 0 },
+    ]);
+
+    const res = await call(getDevices, { session: { device_id: 12 } });
+
+    expect(res.body.data.devices).toEqual([
+      expect.objectContaining({
+        id: 11,
+        is_primary: true,
+        has_push_token: true,
+        settings: {},
+        is_current: false,
+      }),
+      expect.objectContaining({
+        id: 12,
+        is_primary: false,
+        push_enabled: false,
+        is_current: true,
+      }),
+    ]);
+  });
+
+  it('does not update devices of other users', async () => {
+    DeviceModel.getDeviceById.mockResolvedValue(null);
+
+    const res = await call(updateDevice, {
+      params: { id: '11' },
+      body: { isPrimary: true },
+    });
+
+    expect(res.statusCode).toBe(404);
+    expect(DeviceModel.getDeviceById).toHaveBeenCalledWith(11, 7);
+    expect(DeviceModel.updateDevice).not.toHaveBeenCalled();
+  });
+
+  it('passes only the changed fields to the model', async () => {
+    DeviceModel.getDeviceById.mockResolvedValue(PHONE);
+    DeviceModel.updateDevice.mockResolvedValue(1);
+
+    const res = await call(updateDevice, {
+      params: { id: '11' },
+      body: { deviceName: '工作手机' },
+    });
+
+    expect(res.body.success).toBe(true);
+    expect(DeviceModel.updateDevice).toHaveBeenCalledWith(11, 7, {
+      device_name: '工作手机',
+      is_primary: undefined,
+      push_enabled: undefined,
+      settings: undefined,
+    });
+  });
+
+  it('revokes the sessions signed in on a deleted device', async () => {
+    DeviceModel.getDeviceById.mockResolvedValue(PHONE);
+
+    const res = await call(deleteDevice, {
+      params: { id: '11' },
+      session: { device_id: 11 },
+    });
+
+    expect(AuthService.removeDeviceSessions).toHaveBeenCalledWith(7, 11);
+    expect(DeviceModel.deleteDevice).toHaveBeenCalledWith(11, 7);
+    expect(res.body.data).toEqual({
+      revoked_sessions: 2,
+      current_session_revoked: true,
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { findOne, update, create } from '../../src/models/base.model.js';
+import { updateDeviceToken } from '../../src/models/reminder.model.js';
+
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  businessLogger: { userAction: jest.fn(), systemEvent: jest.fn() },
+  errorLogger: { database: jest.fn(), external: jest.fn() },
+}));
+jest.mock('../../src/config/database.js', () => ({}));
+jest.mock('../../src/utils/pushNotification.js', () => ({}));
+jest.mock('../../src/models/base.model.js', () => ({
+  findOne: jest.fn(),
+  create: jest.fn().mockResolvedValue({ insertId: 30 }),
+  update: jest.fn().mockResolvedValue(1),
+}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('updateDeviceToken', () => {
+  it('does not take over a device of another user', async () => {
+    findOne.mockResolvedValueOnce({ id: 11, user_id: 8 });
+
+    await expect(
+      updateDeviceToken(7, 'token-a', 'mobile', { deviceId: 'cup-01' })
+    ).resolves.toBeNull();
+    expect(update).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('updates the token of a device the user owns', async () => {
+    findOne.mockResolvedValueOnce({ id: 11, user_id: 7 });
+
+    await expect(
+      updateDeviceToken(7, 'token-b', 'mobile', { deviceId: 'phone-01' })
+    ).resolves.toBe(11);
+    expect(update).toHaveBeenCalledWith(
+      'user_devices',
+      expect.objectContaining({ user_id: 7, push_token: 'token-b' }),
+      { id: 11 }
+    );
+  });
+
+  it('registers a new device for an unknown token', async () => {
+    findOne.mockResolvedValue(null);
+
+    await expect(updateDeviceToken(7, 'token-c', 'web')).resolves.toBe(30);
+    expect(create).toHaveBeenCalledWith(
+      'user_devices',
+      expect.objectContaining({
+        user_id: 7,
+        device_id: expect.stringMatching(/^push_[0-9a-f]{32}$/),
+        device_type: 'other',
+      })
+    );
+  });
+});
@@ -0,0 +1,122 @@
+import moment from 'moment-timezone';
+import {
+  getDndWindows,
+  getDndResumeTime,
+  isInDoNotDisturb,
+} from '../../src/utils/doNotDisturb.js';
+
+const TIMEZONE = 'Asia/Shanghai';
+
+const at = time => moment.tz(time, TIMEZONE).toDate();
+
+const localTime = value =>
+  moment(value).tz(TIMEZONE).format('YYYY-MM-DD HH:mm');
+
+const SETTINGS = {
+  timezone: TIMEZONE,
+  do_not_disturb_enabled: true,
+  dnd_start_time: '22:00:00',
+  dnd_end_time: '07:00:00',
+  dnd_windows: [{ start_time: '12:00:00', end_time: '13:30:00' }],
+};
+
+describe('getDndWindows', () => {
+  it('combines the main window with the extra windows', () => {
+    expect(getDndWindows(SETTINGS)).toEqual([
+      { start_time: '22:00:00', end_time: '07:00:00' },
+      { start_time: '12:00:00', end_time: '13:30:00' },
+    ]);
+  });
+
+  it('returns nothing when do-not-disturb is off', () => {
+    expect(
+      getDndWindows({ ...SETTINGS, do_not_disturb_enabled: false })
+    ).toEqual([]);
+    expect(getDndWindows(null)).toEqual([]);
+  });
+
+  it('skips incomplete and empty windows', () => {
+    expect(
+      getDndWindows({
+        do_not_disturb_enabled: true,
+        dnd_start_time: null,
+        dnd_end_time: '07:00:00',
+        dnd_windows: [
+          { start_time: '15:00:00' },
+          { start_time: '18:00:00', end_time: '18:00:00' },
+          null,
+        ],
+      })
+    ).toEqual([]);
+  });
+});
+
+describe('getDndResumeTime', () => {
+  it('returns null outside of every window', () => {
+    expect(getDndResumeTime(SETTINGS, at('2024-03-10 10:00'))).toBeNull();
+    expect(isInDoNotDisturb(SETTINGS, at('2024-03-10 10:00'))).toBe(false);
+  });
+
+  it('resumes at the end of a window that crosses midnight', () => {
+    const evening = getDndResumeTime(SETTINGS, at('2024-03-10 23:15'));
+    const morning = getDndResumeTime(SETTINGS, at('2024-03-11 06:59'));
+
+    expect(evening.reason).toBe('do_not_disturb');
+    expect(localTime(evening.resume_at)).toBe('2024-03-11 07:00');
+    expect(localTime(morning.resume_at)).toBe('2024-03-11 07:00');
+  });
+
+  it('treats the start as inside and the end as outside the window', () => {
+    expect(isInDoNotDisturb(SETTINGS, at('2024-03-10 12:00'))).toBe(true);
+    expect(isInDoNotDisturb(SETTINGS, at('2024-03-10 13:30'))).toBe(false);
+  });
+
+  it('follows adjacent windows to the end of the last one', () => {
+    const settings = {
+      ...SETTINGS,
+      dnd_windows: [{ start_time: '07:00:00', end_time: '08:30:00' }],
+    };
+
+    const result = getDndResumeTime(settings, at('2024-03-11 05:00'));
+    expect(localTime(result.resume_at)).toBe('2024-03-11 08:30');
+  });
+
+  it('resumes when a pause ends', () => {
+    const result = getDndResumeTime(
+      { timezone: TIMEZONE, paused_until: at('2024-03-10 18:00') },
+      at('2024-03-10 10:00')
+    );
+
+    expect(result.reason).toBe('paused');
+    expect(localTime(result.resume_at)).toBe('2024-03-10 18:00');
+  });
+
+  it('moves past a window that starts when the pause ends', () => {
+    const result = getDndResumeTime(
+      { ...SETTINGS, paused_until: at('2024-03-10 22:30') },
+      at('2024-03-10 10:00')
+    );
+
+    expect(result.reason).toBe('paused');
+    expect(localTime(result.resume_at)).toBe('2024-03-11 07:00');
+  });
+
+  it('ignores a pause that has already ended', () => {
+    expect(
+      getDndResumeTime(
+        { timezone: TIMEZONE, paused_until: at('2024-03-10 08:00') },
+        at('2024-03-10 10:00')
+      )
+    ).toBeNull();
+  });
+
+  it('uses the user timezone', () => {
+    const settings = { ...SETTINGS, timezone: 'America/New_York' };
+
+    // 上海 11:00 为纽约 23:00（前一天）
+    const result = getDndResumeTime(settings, at('2024-03-10 11:00'));
+    expect(
+      moment(result.resume_at).tz('America/New_York').format('YYYY-MM-DD HH:mm')
+    ).toBe('2024-03-10 07:00');
+  });
+});
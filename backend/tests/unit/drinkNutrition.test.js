@@ -0,0 +1,68 @@
+import {
+  scaleDrinkNutrition,
+  getRecordIntake,
+} from '../../src/utils/drinkNutrition.js';
+
+const LATTE = {
+  default_volume: 350,
+  caffeine_mg: 150,
+  sugar_g: 17,
+  calories: 190,
+  alcohol_abv: 0,
+};
+
+describe('scaleDrinkNutrition', () => {
+  it('scales nutrition to the amount drunk', () => {
+    expect(scaleDrinkNutrition(LATTE, 175)).toEqual({
+      caffeine_mg: 75,
+      sugar_g: 8.5,
+      calories: 95,
+      alcohol_units: 0,
+    });
+  });
+
+  it('converts alcohol by volume into standard units', () => {
+    const wine = { default_volume: 150, alcohol_abv: 12 };
+
+    // 150ml × 12% = 18ml 纯酒精 = 1.8 单位
+    expect(scaleDrinkNutrition(wine, 150).alcohol_units).toBe(1.8);
+  });
+
+  it('treats missing values as zero', () => {
+    expect(scaleDrinkNutrition({ default_volume: null }, 200)).toEqual({
+      caffeine_mg: 0,
+      sugar_g: 0,
+      calories: 0,
+      alcohol_units: 0,
+    });
+  });
+});
+
+describe('getRecordIntake', () => {
+  it('uses the values saved with catalogue drinks', () => {
+    expect(
+      getRecordIntake({
+        drink_id: 3,
+        drink_type: 'coffee',
+        amount: 350,
+        caffeine_mg: '150.0',
+        alcohol_units: null,
+      })
+    ).toEqual({ caffeine_mg: 150, alcohol_units: 0 });
+  });
+
+  it('estimates caffeine and alcohol from the drink type', () => {
+    expect(getRecordIntake({ drink_type: 'coffee', amount: 250 })).toEqual({
+      caffeine_mg: 100,
+      alcohol_units: 0,
+    });
+    expect(getRecordIntake({ drink_type: 'alcohol', amount: 500 })).toEqual({
+      caffeine_mg: 0,
+      alcohol_units: 2.5,
+    });
+    expect(getRecordIntake({ drink_type: 'water', amount: 500 })).toEqual({
+      caffeine_mg: 0,
+      alcohol_units: 0,
+    });
+  });
+});
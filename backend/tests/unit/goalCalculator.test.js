@@ -0,0 +1,75 @@
+import { calculateRecommendedGoal } from '../../src/utils/goalCalculator.js';
+
+const NOW = new Date('2024-03-10T12:00:00Z');
+
+const profile = (overrides = {}) => ({
+  weight: 70,
+  dateOfBirth: '1999-01-01',
+  gender: 'female',
+  activityLevel: 'sedentary',
+  now: NOW,
+  ...overrides,
+});
+
+const factors = result => result.components.map(item => item.factor);
+
+describe('calculateRecommendedGoal', () => {
+  it('uses the ml per kg of the age band', () => {
+    // 30 岁以下 40ml/kg，30-55 岁 35ml/kg，55 岁以上 30ml/kg
+    expect(calculateRecommendedGoal(profile()).recommended_goal).toBe(2800);
+    expect(
+      calculateRecommendedGoal(profile({ dateOfBirth: '1984-01-01' }))
+        .recommended_goal
+    ).toBe(2450);
+    expect(
+      calculateRecommendedGoal(profile({ dateOfBirth: '1960-01-01' }))
+        .recommended_goal
+    ).toBe(2100);
+  });
+
+  it('falls back to the middle band without a date of birth', () => {
+    const result = calculateRecommendedGoal(profile({ dateOfBirth: null }));
+
+    expect(result.recommended_goal).toBe(2450);
+    expect(result.components[0].description).toContain('未填写出生日期');
+  });
+
+  it('adds activity, gender and exercise on top of the base', () => {
+    const result = calculateRecommendedGoal(
+      profile({
+        gender: 'male',
+        activityLevel: 'moderately_active',
+        exerciseMinutes: 30,
+      })
+    );
+
+    // 2800 + 560 + 140 + 240 = 3740，取整到 50ml
+    expect(factors(result)).toEqual([
+      'body_weight',
+      'activity_level',
+      'gender',
+      'exercise',
+    ]);
+    expect(result.components.map(item => item.amount_ml)).toEqual([
+      2800, 560, 140, 240,
+    ]);
+    expect(result.raw_total).toBe(3740);
+    expect(result.recommended_goal).toBe(3750);
+  });
+
+  it('uses the default goal without a weight', () => {
+    const result = calculateRecommendedGoal(profile({ weight: null }));
+
+    expect(factors(result)).toEqual(['default']);
+    expect(result.recommended_goal).toBe(2000);
+  });
+
+  it('keeps the goal within the allowed range', () => {
+    expect(
+      calculateRecommendedGoal(profile({ weight: 250 })).recommended_goal
+    ).toBe(8000);
+    expect(
+      calculateRecommendedGoal(profile({ weight: 10 })).recommended_goal
+    ).toBe(500);
+  });
+});
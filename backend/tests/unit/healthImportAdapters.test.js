@@ -0,0 +1,282 @@
+import {
+  parseAppleHealthExport,
+  parseGoogleFitData,
+  parseTcx,
+  parseFit,
+  parseHealthFile,
+} from '../../src/utils/healthImportAdapters.js';
+import { createZip } from '../../src/utils/zip.js';
+
+// 2024-03-10T00:00:00Z 对应的 FIT 时间
+const FIT_TIME = 1710028800 - 631065600;
+
+const APPLE_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<HealthData locale="zh_CN">
+ <Record type="HKQuantityTypeIdentifierBodyMass" unit="lb" value="154" startDate="2024-03-10 07:40:00 +0800"/>
+ <Record type="HKQuantityTypeIdentifierStepCount" unit="count" value="900" startDate="2024-03-10 07:40:00 +0800"/>
+ <Workout workoutActivityType="HKWorkoutActivityTypeRunning" duration="30.5" durationUnit="min" startDate="2024-03-10 07:00:00 +0800" endDate="2024-03-10 07:30:30 +0800">
+  <MetadataEntry key="HKIndoorWorkout" value="0"/>
+ </Workout>
+ <Workout workoutActivityType="HKWorkoutActivityTypeDance" startDate="2024-03-10 19:00:00 +0800" endDate="2024-03-10 20:00:00 +0800"/>
+</HealthData>`;
+
+const TCX = `<TrainingCenterDatabase>
+ <Activities>
+  <Activity Sport="Biking">
+   <Id>2024-03-10T08:00:00Z</Id>
+   <Lap StartTime="2024-03-10T08:00:00Z"><TotalTimeSeconds>1200</TotalTimeSeconds></Lap>
+   <Lap StartTime="2024-03-10T08:20:00Z"><TotalTimeSeconds>600.5</TotalTimeSeconds></Lap>
+  </Activity>
+ </Activities>
+</TrainingCenterDatabase>`;
+
+// 定义消息：local 类型、全局消息号和字段 [字段号, 字节数, 基本类型]
+const fitDefinition = (localType, globalNumber, fields) => {
+  const buffer = Buffer.alloc(6 + fields.length * 3);
+  buffer.writeUInt8(0x40 | localType, 0);
+  buffer.writeUInt16LE(globalNumber, 3);
+  buffer.writeUInt8(fields.length, 5);
+  fields.forEach((field, i) => {
+    field.forEach((value, j) => buffer.writeUInt8(value, 6 + i * 3 + j));
+  });
+  return buffer;
+};
+
+// 数据消息：按定义的字段顺序写入整数值
+const fitData = (localType, values) => {
+  const buffer = Buffer.alloc(
+    1 + values.reduce((sum, [size]) => sum + size, 0)
+  );
+  buffer.writeUInt8(localType, 0);
+  let offset = 1;
+  for (const [size, value] of values) {
+    buffer.writeUIntLE(value, offset, size);
+    offset += size;
+  }
+  return buffer;
+};
+
+const createFit = records => {
+  const data = Buffer.concat(records);
+  const header = Buffer.alloc(12);
+  header.writeUInt8(12, 0);
+  header.writeUInt8(0x10, 1);
+  header.writeUInt32LE(data.length, 4);
+  header.write('.FIT', 8, 'ascii');
+  return Buffer.concat([header, data]);
+};
+
+const FIT = createFit([
+  // session：timestamp、start_time、total_timer_time、sport
+  fitDefinition(0, 18, [
+    [253, 4, 0x86],
+    [2, 4, 0x86],
+    [8, 4, 0x86],
+    [5, 1, 0x00],
+  ]),
+  fitData(0, [
+    [4, FIT_TIME + 1800],
+    [4, FIT_TIME],
+    [4, 1800000],
+    [1, 1],
+  ]),
+  // weight_scale：timestamp、weight(0.01kg)
+  fitDefinition(1, 30, [
+    [253, 4, 0x86],
+    [0, 2, 0x84],
+  ]),
+  fitData(1, [
+    [4, FIT_TIME + 3600],
+    [2, 7050],
+  ]),
+]);
+
+describe('parseAppleHealthExport', () => {
+  it('reads workouts and body mass records', () => {
+    expect(parseAppleHealthExport(APPLE_XML)).toEqual({
+      activities: [
+        {
+          activity_type: 'running',
+          started_at: '2024-03-09T23:00:00.000Z',
+          duration_minutes: 31,
+          source: 'apple_health',
+          external_id: 'running@2024-03-09T23:00:00.000Z',
+        },
+        {
+          activity_type: 'other',
+          started_at: '2024-03-10T11:00:00.000Z',
+          duration_minutes: 60,
+          source: 'apple_health',
+          external_id: 'other@2024-03-10T11:00:00.000Z',
+        },
+      ],
+      weights: [
+        {
+          weight: 69.85,
+          measured_at: '2024-03-09T23:40:00.000Z',
+          source: 'apple_health',
+        },
+      ],
+    });
+  });
+});
+
+describe('parseGoogleFitData', () => {
+  it('reads Takeout sessions and weight data points', () => {
+    const result = parseGoogleFitData({
+      fitnessActivity: 'biking.road',
+      startTime: '2024-03-10T08:00:00.000Z',
+      endTime: '2024-03-10T09:00:00.000Z',
+      duration: '3600.0s',
+      'Data Points': [
+        {
+          dataTypeName: 'com.google.weight',
+          startTimeNanos: '1710028800000000000',
+          fitValue: [{ value: { fpVal: 70.2 } }],
+        },
+      ],
+    });
+
+    expect(result.activities).toEqual([
+      expect.objectContaining({
+        activity_type: 'cycling',
+        duration_minutes: 60,
+      }),
+    ]);
+    expect(result.weights).toEqual([
+      {
+        weight: 70.2,
+        measured_at: '2024-03-10T00:00:00.000Z',
+        source: 'google_fit',
+      },
+    ]);
+  });
+
+  it('reads REST sessions and keeps their ids', () => {
+    const { activities } = parseGoogleFitData({
+      session: [
+        {
+          id: 'session-1',
+          activityType: 8,
+          startTimeMillis: '1710028800000',
+          endTimeMillis: '1710030600000',
+        },
+      ],
+    });
+
+    expect(activities).toEqual([
+      {
+        activity_type: 'running',
+        started_at: '2024-03-10T00:00:00.000Z',
+        duration_minutes: 30,
+        source: 'google_fit',
+        external_id: 'session-1',
+      },
+    ]);
+  });
+});
+
+describe('parseTcx', () => {
+  it('adds up the laps of each activity', () => {
+    expect(parseTcx(TCX).activities).toEqual([
+      expect.objectContaining({
+        activity_type: 'cycling',
+        started_at: '2024-03-10T08:00:00.000Z',
+        duration_minutes: 30,
+        source: 'garmin',
+      }),
+    ]);
+  });
+});
+
+describe('parseFit', () => {
+  it('reads session and weight scale messages', () => {
+    expect(parseFit(FIT)).toEqual({
+      activities: [
+        expect.objectContaining({
+          activity_type: 'running',
+          started_at: '2024-03-10T00:00:00.000Z',
+          duration_minutes: 30,
+        }),
+      ],
+      weights: [
+        {
+          weight: 70.5,
+          measured_at: '2024-03-10T01:00:00.000Z',
+          source: 'garmin',
+        },
+      ],
+    });
+  });
+
+  it('rejects files that are not FIT or are truncated', () => {
+    expect(parseFit(Buffer.from('not a fit file')).error).toBe('INVALID_FILE');
+
+    const truncated = FIT.subarray(0, FIT.length - 3);
+    truncated.writeUInt32LE(FIT.length, 4);
+    expect(parseFit(truncated).error).toBe('INVALID_FILE');
+  });
+});
+
+describe('parseHealthFile', () => {
+  const file = (originalname, data) => ({
+    originalname,
+    buffer: Buffer.from(data),
+  });
+
+  it('detects the provider from the file', () => {
+    const zip = createZip([
+      { name: 'apple_health_export/export.xml', data: APPLE_XML },
+    ]);
+
+    expect(parseHealthFile(file('export.zip', zip))).toMatchObject({
+      provider: 'apple_health',
+      format: 'zip',
+    });
+    expect(parseHealthFile(file('export.xml', APPLE_XML)).provider).toBe(
+      'apple_health'
+    );
+    expect(parseHealthFile(file('ride.XML', TCX))).toMatchObject({
+      provider: 'garmin',
+      format: 'xml',
+    });
+    expect(parseHealthFile(file('run.fit', FIT)).provider).toBe('garmin');
+  });
+
+  it('reports unsupported and invalid files', () => {
+    expect(parseHealthFile(file('notes.txt', 'hello')).error).toBe(
+      'UNSUPPORTED_FORMAT'
+    );
+    expect(parseHealthFile(file('data.xml', '<gpx></gpx>')).error).toBe(
+      'UNSUPPORTED_FORMAT'
+    );
+    expect(parseHealthFile(file('fit.json', '{')).error).toBe('INVALID_FILE');
+    expect(
+      parseHealthFile(
+        file('export.zip', createZip([{ name: 'readme.txt', data: 'hi' }]))
+      ).error
+    ).toBe('INVALID_FILE');
+  });
+
+  it('rejects damaged zips and exports too large to unzip', () => {
+    const zip = createZip([
+      { name: 'apple_health_export/export.xml', data: APPLE_XML },
+    ]);
+    const damaged = Buffer.from(zip);
+    // 破坏 export.xml 的压缩数据
+    const dataStart = 30 + damaged.readUInt16LE(26) + damaged.readUInt16LE(28);
+    damaged.fill(0xff, dataStart, dataStart + 16);
+
+    expect(
+      parseHealthFile(file('export.zip', zip.subarray(0, zip.length - 30)))
+        .error
+    ).toBe('INVALID_FILE');
+    expect(parseHealthFile(file('export.zip', damaged))).toEqual({
+      error: 'INVALID_FILE',
+      message: 'ZIP文件已损坏',
+    });
+    expect(
+      parseHealthFile(file('export.zip', zip), { maxUnzippedSize: 100 }).error
+    ).toBe('INVALID_FILE');
+  });
+});
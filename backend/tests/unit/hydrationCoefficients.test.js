@@ -0,0 +1,73 @@
+import {
+  DEFAULT_HYDRATION_COEFFICIENTS,
+  isValidCoefficient,
+  mergeCoefficients,
+  calculateEffectiveAmount,
+  effectiveAmountSql,
+} from '../../src/utils/hydrationCoefficients.js';
+
+jest.mock('../../src/utils/logger.js', () => ({
+  businessLogger: { userAction: jest.fn() },
+  errorLogger: { database: jest.fn() },
+}));
+jest.mock('../../src/config/database.js', () => ({}));
+
+describe('isValidCoefficient', () => {
+  it('accepts numbers within the allowed range', () => {
+    expect(isValidCoefficient(0)).toBe(true);
+    expect(isValidCoefficient(1.5)).toBe(true);
+    expect(isValidCoefficient(1.6)).toBe(false);
+    expect(isValidCoefficient(-0.1)).toBe(false);
+    expect(isValidCoefficient(NaN)).toBe(false);
+    expect(isValidCoefficient('0.8')).toBe(false);
+  });
+});
+
+describe('mergeCoefficients', () => {
+  it('applies layers in order over the defaults', () => {
+    const merged = mergeCoefficients({ coffee: 0.7, tea: 0.95 }, { coffee: 1 });
+
+    expect(merged).toEqual({
+      ...DEFAULT_HYDRATION_COEFFICIENTS,
+      coffee: 1,
+      tea: 0.95,
+    });
+  });
+
+  it('ignores unknown drink types and invalid values', () => {
+    const merged = mergeCoefficients(
+      { milkshake: 0.5, coffee: 3, tea: 'abc', juice: '0.7' },
+      null
+    );
+
+    expect(merged).toEqual({ ...DEFAULT_HYDRATION_COEFFICIENTS, juice: 0.7 });
+  });
+});
+
+describe('calculateEffectiveAmount', () => {
+  it('multiplies the amount by the drink coefficient', () => {
+    expect(
+      calculateEffectiveAmount(250, 'coffee', DEFAULT_HYDRATION_COEFFICIENTS)
+    ).toBe(200);
+    expect(
+      calculateEffectiveAmount('333', 'alcohol', DEFAULT_HYDRATION_COEFFICIENTS)
+    ).toBe(100);
+  });
+
+  it('uses the "other" coefficient for unknown drink types', () => {
+    expect(
+      calculateEffectiveAmount(100, 'kombucha', DEFAULT_HYDRATION_COEFFICIENTS)
+    ).toBe(90);
+  });
+});
+
+describe('effectiveAmountSql', () => {
+  it('inlines every coefficient into a CASE expression', () => {
+    const sql = effectiveAmountSql(DEFAULT_HYDRATION_COEFFICIENTS, 'hr');
+
+    expect(sql).toContain('hr.amount * CASE hr.drink_type');
+    expect(sql).toContain("WHEN 'coffee' THEN 0.8");
+    expect(sql).toContain("WHEN 'alcohol' THEN 0.3");
+    expect(sql).toMatch(/ELSE 0\.9 END\)$/);
+  });
+});
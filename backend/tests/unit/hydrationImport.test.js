@@ -0,0 +1,186 @@
+import {
+  parseCsv,
+  parseImportFile,
+  resolveColumnMapping,
+  mapImportRow,
+  validateImportRow,
+} from '../../src/utils/hydrationImport.js';
+
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  businessLogger: { userAction: jest.fn(), info: jest.fn() },
+  errorLogger: { database: jest.fn(), external: jest.fn() },
+}));
+jest.mock('../../src/config/database.js', () => ({}));
+jest.mock('../../src/utils/pushNotification.js', () => ({}));
+
+const TIMEZONE = 'Asia/Shanghai';
+
+describe('parseCsv', () => {
+  it('parses quoted fields, escaped quotes and CRLF line endings', () => {
+    expect(
+      parseCsv('amount,name\r\n250,"Tea, green"\r\n300,"say ""hi"""\r\n')
+    ).toEqual([
+      ['amount', 'name'],
+      ['250', 'Tea, green'],
+      ['300', 'say "hi"'],
+    ]);
+  });
+
+  it('detects semicolon and tab delimiters', () => {
+    expect(parseCsv('amount;time\n250;10:00')).toEqual([
+      ['amount', 'time'],
+      ['250', '10:00'],
+    ]);
+    expect(parseCsv('amount\ttime\n250\t10:00')).toEqual([
+      ['amount', 'time'],
+      ['250', '10:00'],
+    ]);
+  });
+
+  it('strips the BOM and skips empty lines', () => {
+    expect(parseCsv('\uFEFFamount\n\n250\n,\n')).toEqual([['amount'], ['250']]);
+  });
+});
+
+describe('parseImportFile', () => {
+  it('turns CSV lines into rows keyed by header', () => {
+    const result = parseImportFile(
+      Buffer.from(' Amount ,Date\n250,2024-03-10 08:00\n'),
+      'csv'
+    );
+
+    expect(result).toEqual({
+      headers: ['Amount', 'Date'],
+      rows: [{ Amount: '250', Date: '2024-03-10 08:00' }],
+      firstRowNumber: 2,
+    });
+  });
+
+  it('accepts a JSON array or an object with records', () => {
+    const records = [{ amount: 250 }, { amount: 300, type: 'tea' }];
+
+    expect(
+      parseImportFile(Buffer.from(JSON.stringify(records)), 'json')
+    ).toEqual({
+      headers: ['amount', 'type'],
+      rows: records,
+      firstRowNumber: 1,
+    });
+    expect(
+      parseImportFile(Buffer.from(JSON.stringify({ records })), 'json').rows
+    ).toEqual(records);
+  });
+
+  it('rejects invalid JSON files', () => {
+    expect(parseImportFile(Buffer.from('{'), 'json').error).toBe(
+      'INVALID_FILE'
+    );
+    expect(parseImportFile(Buffer.from('[1, 2]'), 'json').error).toBe(
+      'INVALID_FILE'
+    );
+  });
+});
+
+describe('resolveColumnMapping', () => {
+  it('recognises common column names', () => {
+    expect(
+      resolveColumnMapping(['Volume (ml)', 'Created_At', '饮品类型', 'Notes'])
+    ).toEqual({
+      mapping: {
+        amount: 'Volume (ml)',
+        recordedAt: 'Created_At',
+        drinkType: '饮品类型',
+      },
+    });
+  });
+
+  it('prefers the mapping given by the user', () => {
+    expect(
+      resolveColumnMapping(['amount', 'when', 'time'], { recordedAt: 'when' })
+        .mapping.recordedAt
+    ).toBe('when');
+  });
+
+  it('reports unknown fields, missing columns and unrecognised files', () => {
+    expect(resolveColumnMapping(['amount'], { notes: 'x' }).error).toBe(
+      'INVALID_MAPPING'
+    );
+    expect(
+      resolveColumnMapping(['amount', 'date'], { recordedAt: 'when' }).error
+    ).toBe('COLUMN_NOT_FOUND');
+    expect(resolveColumnMapping(['amount', 'notes']).error).toBe(
+      'MISSING_COLUMNS'
+    );
+  });
+});
+
+describe('mapImportRow', () => {
+  const mapping = {
+    amount: 'amount',
+    recordedAt: 'time',
+    drinkType: 'type',
+    location: 'place',
+  };
+
+  it('converts units, times and enum values', () => {
+    expect(
+      mapImportRow(
+        {
+          amount: '8,5',
+          time: '2024-03-10 08:00',
+          type: ' Sports Drink ',
+          place: '',
+        },
+        mapping,
+        { unit: 'oz', timezone: TIMEZONE }
+      )
+    ).toEqual({
+      amount: 251,
+      recordedAt: '2024-03-10T00:00:00.000Z',
+      drinkType: 'sports_drink',
+    });
+  });
+
+  it('accepts Unix timestamps in seconds and milliseconds', () => {
+    const options = { timezone: TIMEZONE };
+
+    expect(
+      mapImportRow({ amount: 250, time: 1710028800 }, mapping, options)
+        .recordedAt
+    ).toBe('2024-03-10T00:00:00.000Z');
+    expect(
+      mapImportRow({ amount: 250, time: '1710028800000' }, mapping, options)
+        .recordedAt
+    ).toBe('2024-03-10T00:00:00.000Z');
+  });
+
+  it('keeps values it cannot parse for validation to report', () => {
+    expect(
+      mapImportRow({ amount: 'lots', time: 'yesterday' }, mapping, {
+        timezone: TIMEZONE,
+      })
+    ).toEqual({ amount: 'lots', recordedAt: 'yesterday' });
+  });
+});
+
+describe('validateImportRow', () => {
+  it('reports invalid fields with the record rules', async () => {
+    const errors = await validateImportRow({
+      amount: 'lots',
+      recordedAt: '2024-03-10T00:00:00.000Z',
+    });
+
+    expect(errors.map(error => error.field)).toEqual(['amount']);
+  });
+
+  it('accepts a valid row', async () => {
+    await expect(
+      validateImportRow({
+        amount: 250,
+        recordedAt: '2024-03-10T00:00:00.000Z',
+        drinkType: 'tea',
+      })
+    ).resolves.toEqual([]);
+  });
+});
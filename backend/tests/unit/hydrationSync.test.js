@@ -0,0 +1,269 @@
+import {
+  HydrationSyncService,
+  mergeChange,
+  toRecordValues,
+  encodeCursor,
+  decodeCursor,
+  toTimestamp,
+} from '../../src/utils/hydrationSync.js';
+
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  businessLogger: { userAction: jest.fn(), info: jest.fn() },
+  errorLogger: { database: jest.fn(), api: jest.fn() },
+}));
+jest.mock('../../src/config/database.js', () => ({}));
+
+const T0 = Date.UTC(2024, 2, 10, 2, 0, 0);
+
+const RECORD = {
+  id: 1,
+  client_id: 'a3bb189e-8bf9-3888-9912-ace4e6543002',
+  amount: 250,
+  drink_type: 'water',
+  drink_name: null,
+  recorded_at: '2024-03-10 10:00:00',
+  location: null,
+  activity_context: null,
+  temperature: null,
+  field_versions: null,
+  updated_at: new Date(T0),
+  created_at: new Date(T0),
+  deleted_at: null,
+};
+
+// 模拟保存合并结果
+const apply = (record, result) => {
+  if (result.status === 'created') {
+    return {
+      ...RECORD,
+      ...result.values,
+      field_versions: result.field_versions,
+    };
+  }
+  if (!['updated', 'deleted'].includes(result.status)) {
+    return record;
+  }
+  return {
+    ...record,
+    ...result.values,
+    field_versions: result.field_versions,
+    deleted_at: result.deleted ? new Date() : record.deleted_at,
+  };
+};
+
+describe('mergeChange', () => {
+  it('creates a record from a create change', () => {
+    const result = mergeChange(null, {
+      op: 'create',
+      clientTimestamp: T0,
+      values: { amount: 300, drink_type: 'tea' },
+    });
+
+    expect(result.status).toBe('created');
+    expect(result.values).toEqual({ amount: 300, drink_type: 'tea' });
+    expect(result.field_versions.amount).toBe(T0);
+    expect(result.field_versions.recorded_at).toBe(T0);
+  });
+
+  it('creates a record from an update that arrives before its create', () => {
+    expect(
+      mergeChange(null, {
+        op: 'update',
+        clientTimestamp: T0,
+        values: { amount: 300 },
+      }).status
+    ).toBe('created');
+  });
+
+  it('reports missing records for deletes and partial updates', () => {
+    expect(mergeChange(null, { op: 'delete', clientTimestamp: T0 })).toEqual({
+      status: 'not_found',
+    });
+    expect(
+      mergeChange(null, {
+        op: 'update',
+        clientTimestamp: T0,
+        values: { drink_type: 'tea' },
+      })
+    ).toEqual({ status: 'not_found' });
+  });
+
+  it('accepts newer field values and keeps the rest', () => {
+    const result = mergeChange(RECORD, {
+      op: 'update',
+      clientTimestamp: T0 + 1000,
+      values: { amount: 500, drink_type: 'water' },
+    });
+
+    expect(result.status).toBe('updated');
+    expect(result.values).toEqual({ amount: 500 });
+    expect(result.field_versions.amount).toBe(T0 + 1000);
+    expect(result.field_versions.location).toBe(T0);
+  });
+
+  it('ignores values older than the stored field version', () => {
+    const record = {
+      ...RECORD,
+      field_versions: JSON.stringify({ amount: T0 + 5000 }),
+    };
+
+    expect(
+      mergeChange(record, {
+        op: 'update',
+        clientTimestamp: T0 + 1000,
+        values: { amount: 500 },
+      })
+    ).toEqual({ status: 'ignored' });
+  });
+
+  it('merges concurrent edits per field', () => {
+    const phone = {
+      op: 'update',
+      clientTimestamp: T0 + 1000,
+      values: { amount: 400 },
+    };
+    const watch = {
+      op: 'update',
+      clientTimestamp: T0 + 2000,
+      values: { drink_type: 'tea' },
+    };
+
+    const afterPhone = apply(RECORD, mergeChange(RECORD, phone));
+    const merged = apply(afterPhone, mergeChange(afterPhone, watch));
+
+    expect(merged.amount).toBe(400);
+    expect(merged.drink_type).toBe('tea');
+  });
+
+  it('gives the same result regardless of arrival order', () => {
+    const changes = [
+      { op: 'update', clientTimestamp: T0 + 1000, values: { amount: 400 } },
+      { op: 'update', clientTimestamp: T0 + 1000, values: { amount: 350 } },
+      { op: 'update', clientTimestamp: T0 + 3000, values: { location: 'gym' } },
+      { op: 'update', clientTimestamp: T0 + 2000, values: { amount: 600 } },
+    ];
+    const run = order =>
+      order.reduce(
+        (record, index) => apply(record, mergeChange(record, changes[index])),
+        RECORD
+      );
+
+    const forward = run([0, 1, 2, 3]);
+    const backward = run([3, 2, 1, 0]);
+    const shuffled = run([1, 3, 0, 2]);
+
+    for (const result of [backward, shuffled]) {
+      expect(result.amount).toBe(forward.amount);
+      expect(result.location).toBe(forward.location);
+    }
+    expect(forward.amount).toBe(600);
+    expect(forward.location).toBe('gym');
+  });
+
+  it('breaks timestamp ties by comparing values', () => {
+    const a = { op: 'update', clientTimestamp: T0, values: { amount: 400 } };
+    const b = { op: 'update', clientTimestamp: T0, values: { amount: 350 } };
+
+    const afterA = apply(RECORD, mergeChange(RECORD, a));
+    const afterB = apply(RECORD, mergeChange(RECORD, b));
+
+    expect(mergeChange(afterA, b)).toEqual({ status: 'ignored' });
+    expect(mergeChange(afterB, a).status).toBe('updated');
+  });
+
+  it('marks the record deleted and ignores later changes', () => {
+    const result = mergeChange(RECORD, {
+      op: 'delete',
+      clientTimestamp: T0 + 1000,
+    });
+
+    expect(result.status).toBe('deleted');
+    expect(result.deleted).toBe(true);
+    expect(result.field_versions._deleted).toBe(T0 + 1000);
+
+    const deleted = apply(RECORD, result);
+    expect(
+      mergeChange(deleted, {
+        op: 'update',
+        clientTimestamp: T0 + 5000,
+        values: { amount: 900 },
+      })
+    ).toEqual({ status: 'ignored' });
+  });
+});
+
+describe('toRecordValues', () => {
+  it('maps request fields to columns and normalizes values', () => {
+    expect(
+      toRecordValues({
+        amount: '250',
+        drinkType: 'coffee',
+        drinkName: '',
+        location: 'office',
+        unknown: 'x',
+      })
+    ).toEqual({
+      amount: 250,
+      drink_type: 'coffee',
+      drink_name: null,
+      location: 'office',
+    });
+  });
+
+  it('clamps future record times to now', () => {
+    const { recorded_at: recordedAt } = toRecordValues({
+      recordedAt: '2999-01-01T00:00:00Z',
+    });
+
+    expect(
+      new Date(recordedAt.replace(' ', 'T')).getTime()
+    ).toBeLessThanOrEqual(Date.now());
+  });
+});
+
+describe('cursor', () => {
+  it('round-trips the update time and record id', () => {
+    const cursor = encodeCursor(new Date(T0), 42);
+
+    expect(cursor).toBe(`${T0}_42`);
+    expect(decodeCursor(cursor)).toEqual({ updatedAt: new Date(T0), id: 42 });
+  });
+
+  it('rejects malformed cursors', () => {
+    expect(decodeCursor('abc')).toBeNull();
+    expect(decodeCursor('')).toBeNull();
+    expect(decodeCursor(undefined)).toBeNull();
+  });
+
+  it('pages through changes made within the same second', async () => {
+    const hydrationModel = {
+      assignMissingClientIds: jest.fn().mockResolvedValue(0),
+      getRecordsChangedSince: jest
+        .fn()
+        .mockResolvedValue([
+          { ...RECORD, id: 9, updated_at: new Date(T0 + 250) },
+        ]),
+    };
+    const service = new HydrationSyncService({ hydrationModel, pageSize: 1 });
+
+    const first = await service.pullChanges(7, null, new Date(T0 + 900));
+    expect(first.cursor).toBe(`${T0 + 250}_9`);
+    expect(first.has_more).toBe(true);
+
+    await service.pullChanges(7, first.cursor, new Date(T0 + 900));
+    expect(hydrationModel.getRecordsChangedSince).toHaveBeenLastCalledWith(
+      7,
+      { updatedAt: new Date(T0 + 250), id: 9 },
+      1
+    );
+  });
+});
+
+describe('toTimestamp', () => {
+  it('accepts milliseconds and ISO strings', () => {
+    expect(toTimestamp(T0)).toBe(T0);
+    expect(toTimestamp(new Date(T0).toISOString())).toBe(T0);
+    expect(toTimestamp('not a date')).toBeNull();
+  });
+});
@@ -0,0 +1,257 @@
+import moment from 'moment-timezone';
+import {
+  parseCalendar,
+  parseDateValue,
+  parseDuration,
+  parseRecurrenceRule,
+  expandBusyBlocks,
+} from '../../src/utils/icalendar.js';
+
+const TIMEZONE = 'Asia/Shanghai';
+
+const ics = (...events) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'X-WR-CALNAME:工作',
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+const localBlocks = blocks =>
+  blocks.map(
+    block =>
+      `${moment(block.start).tz(TIMEZONE).format('YYYY-MM-DD HH:mm')}~${moment(
+        block.end
+      )
+        .tz(TIMEZONE)
+        .format('HH:mm')}`
+  );
+
+const expand = (text, from, to) =>
+  expandBusyBlocks(parseCalendar(text, { timezone: TIMEZONE }).events, {
+    from: moment.tz(from, TIMEZONE).toDate(),
+    to: moment.tz(to, TIMEZONE).toDate(),
+  });
+
+describe('parseDateValue', () => {
+  it('parses UTC, zoned and floating times', () => {
+    expect(parseDateValue('20240311T010000Z', {}, TIMEZONE).time.format()).toBe(
+      '2024-03-11T09:00:00+08:00'
+    );
+    expect(
+      parseDateValue(
+        '20240311T090000',
+        { TZID: 'America/New_York' },
+        TIMEZONE
+      ).time.format()
+    ).toBe('2024-03-11T09:00:00-04:00');
+    expect(parseDateValue('20240311T090000', {}, TIMEZONE).time.format()).toBe(
+      '2024-03-11T09:00:00+08:00'
+    );
+  });
+
+  it('marks dates as all-day and rejects invalid values', () => {
+    expect(parseDateValue('20240311', {}, TIMEZONE).allDay).toBe(true);
+    expect(parseDateValue('2024-03-11', {}, TIMEZONE)).toBeNull();
+  });
+
+  it('falls back to the default timezone for unknown TZIDs', () => {
+    expect(
+      parseDateValue(
+        '20240311T090000',
+        { TZID: 'China Standard Time' },
+        TIMEZONE
+      ).time.format()
+    ).toBe('2024-03-11T09:00:00+08:00');
+  });
+});
+
+describe('parseDuration', () => {
+  it('parses weeks, days and times', () => {
+    expect(parseDuration('PT1H30M').asMinutes()).toBe(90);
+    expect(parseDuration('P1W2D').asDays()).toBe(9);
+    expect(parseDuration('-PT15M').asMinutes()).toBe(-15);
+    expect(parseDuration('1 hour')).toBeNull();
+  });
+});
+
+describe('parseRecurrenceRule', () => {
+  it('parses frequency, limits and by-rules', () => {
+    const rule = parseRecurrenceRule(
+      'FREQ=WEEKLY;INTERVAL=2;COUNT=5;BYDAY=MO,WE,1FR',
+      TIMEZONE
+    );
+
+    expect(rule).toMatchObject({
+      freq: 'WEEKLY',
+      interval: 2,
+      count: 5,
+      until: null,
+      byDay: [1, 3, 5],
+      byMonthDay: null,
+    });
+  });
+
+  it('returns null without a frequency', () => {
+    expect(parseRecurrenceRule('COUNT=3', TIMEZONE)).toBeNull();
+  });
+});
+
+describe('parseCalendar', () => {
+  it('reads the calendar name, timezone and events', () => {
+    const calendar = parseCalendar(
+      ics([
+        'UID:standup',
+        'SUMMARY:站会\\, 每日',
+        'DTSTART:20240311T093000',
+        'DURATION:PT15M',
+        'BEGIN:VALARM',
+        'TRIGGER:-PT5M',
+        'SUMMARY:忽略',
+        'END:VALARM',
+      ])
+    );
+
+    expect(calendar.name).toBe('工作');
+    expect(calendar.timezone).toBe(TIMEZONE);
+    expect(calendar.events).toHaveLength(1);
+    expect(calendar.events[0]).toMatchObject({
+      uid: 'standup',
+      summary: '站会, 每日',
+      allDay: false,
+    });
+    expect(calendar.events[0].end.format('HH:mm')).toBe('09:45');
+  });
+
+  it('unfolds continuation lines', () => {
+    const calendar = parseCalendar(
+      ics([
+        'UID:long',
+        'SUMMARY:季度',
+        '  规划会',
+        'DTSTART:20240311T140000',
+        'DTEND:20240311T150000',
+      ])
+    );
+
+    expect(calendar.events[0].summary).toBe('季度 规划会');
+  });
+
+  it('rejects files that are not calendars', () => {
+    expect(() => parseCalendar('hello')).toThrow('不是有效的 iCalendar 文件');
+  });
+});
+
+describe('expandBusyBlocks', () => {
+  it('returns single events inside the range', () => {
+    const text = ics(
+      ['UID:a', 'DTSTART:20240311T100000', 'DTEND:20240311T110000'],
+      ['UID:b', 'DTSTART:20240320T100000', 'DTEND:20240320T110000']
+    );
+
+    expect(
+      localBlocks(expand(text, '2024-03-11 00:00', '2024-03-12 00:00'))
+    ).toEqual(['2024-03-11 10:00~11:00']);
+  });
+
+  it('skips all-day, free and cancelled events', () => {
+    const text = ics(
+      ['UID:a', 'DTSTART;VALUE=DATE:20240311'],
+      [
+        'UID:b',
+        'DTSTART:20240311T100000',
+        'DTEND:20240311T110000',
+        'TRANSP:TRANSPARENT',
+      ],
+      [
+        'UID:c',
+        'DTSTART:20240311T140000',
+        'DTEND:20240311T150000',
+        'STATUS:CANCELLED',
+      ]
+    );
+
+    expect(expand(text, '2024-03-11 00:00', '2024-03-12 00:00')).toEqual([]);
+  });
+
+  it('expands weekly events with exceptions and overrides', () => {
+    const text = ics(
+      [
+        'UID:weekly',
+        'DTSTART:20240311T100000',
+        'DTEND:20240311T110000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+        'EXDATE:20240313T100000',
+      ],
+      [
+        'UID:weekly',
+        'RECURRENCE-ID:20240318T100000',
+        'DTSTART:20240318T150000',
+        'DTEND:20240318T160000',
+      ]
+    );
+
+    expect(
+      localBlocks(expand(text, '2024-03-11 00:00', '2024-03-21 00:00'))
+    ).toEqual([
+      '2024-03-11 10:00~11:00',
+      '2024-03-18 15:00~16:00',
+      '2024-03-20 10:00~11:00',
+    ]);
+  });
+
+  it('stops at COUNT and UNTIL', () => {
+    const counted = ics([
+      'UID:count',
+      'DTSTART:20240311T090000',
+      'DTEND:20240311T093000',
+      'RRULE:FREQ=DAILY;COUNT=3',
+    ]);
+    const until = ics([
+      'UID:until',
+      'DTSTART:20240311T090000',
+      'DTEND:20240311T093000',
+      'RRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20240316T000000Z',
+    ]);
+
+    expect(expand(counted, '2024-03-01', '2024-04-01')).toHaveLength(3);
+    expect(localBlocks(expand(until, '2024-03-01', '2024-04-01'))).toEqual([
+      '2024-03-11 09:00~09:30',
+      '2024-03-13 09:00~09:30',
+      '2024-03-15 09:00~09:30',
+    ]);
+  });
+
+  it('keeps the wall-clock time across daylight saving changes', () => {
+    const text = ics([
+      'UID:ny',
+      'DTSTART;TZID=America/New_York:20240308T090000',
+      'DTEND;TZID=America/New_York:20240308T100000',
+      'RRULE:FREQ=DAILY;COUNT=4',
+    ]);
+
+    const blocks = expand(text, '2024-03-01', '2024-04-01');
+    expect(
+      blocks.map(block =>
+        moment(block.start).tz('America/New_York').format('MM-DD HH:mm')
+      )
+    ).toEqual(['03-08 09:00', '03-09 09:00', '03-10 09:00', '03-11 09:00']);
+  });
+
+  it('skips monthly days that do not exist in a month', () => {
+    const text = ics([
+      'UID:monthly',
+      'DTSTART:20240131T090000',
+      'DTEND:20240131T100000',
+      'RRULE:FREQ=MONTHLY',
+    ]);
+
+    expect(
+      localBlocks(expand(text, '2024-01-01', '2024-04-01')).map(block =>
+        block.slice(0, 10)
+      )
+    ).toEqual(['2024-01-31', '2024-03-31']);
+  });
+});
@@ -0,0 +1,195 @@
+import db from '../../src/config/database.js';
+import * as IdempotencyModel from '../../src/models/idempotency.model.js';
+import { idempotency } from '../../src/middlewares/idempotency.js';
+
+jest.mock('../../src/utils/logger.js', () => ({
+  businessLogger: { userAction: jest.fn() },
+  errorLogger: { database: jest.fn() },
+}));
+
+// 内存中的 Redis 缓存
+jest.mock('../../src/config/database.js', () => {
+  const store = new Map();
+  return {
+    __esModule: true,
+    default: {
+      store,
+      available: true,
+      async getCache(key) {
+        return this.available && store.has(key)
+          ? JSON.parse(store.get(key))
+          : null;
+      },
+      async setCache(key, value) {
+        if (!this.available) {
+          return false;
+        }
+        store.set(key, JSON.stringify(value));
+        return true;
+      },
+      async setCacheIfAbsent(key, value) {
+        if (!this.available) {
+          return null;
+        }
+        if (store.has(key)) {
+          return false;
+        }
+        store.set(key, JSON.stringify(value));
+        return true;
+      },
+      async deleteCache(key) {
+        store.delete(key);
+        return true;
+      },
+    },
+  };
+});
+
+jest.mock('../../src/models/idempotency.model.js', () => ({
+  findKey: jest.fn().mockResolvedValue(null),
+  reserveKey: jest.fn().mockResolvedValue(true),
+  completeKey: jest.fn().mockResolvedValue(1),
+  releaseKey: jest.fn().mockResolvedValue(1),
+}));
+
+const createRequest = (key, body = { amount: 250 }) => ({
+  method: 'POST',
+  baseUrl: '/api/v1/hydration',
+  path: '/records',
+  originalUrl: '/api/v1/hydration/records',
+  body,
+  user: { id: 7 },
+  get: name => (name === 'Idempotency-Key' ? key : undefined),
+});
+
+const createResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  return res;
+};
+
+// 执行中间件；next 被调用时按 handler 生成响应
+const run = async (req, handler = null) => {
+  const res = createResponse();
+  const next = jest.fn();
+  await idempotency({ ttl: 3600, lease: 30 })(req, res, next);
+  if (next.mock.calls.length > 0 && handler) {
+    handler(res);
+    // 等待响应保存完成
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return { res, next };
+};
+
+const created = res => res.status(201).json({ success: true, id: 1 });
+
+beforeEach(() => {
+  db.store.clear();
+  db.available = true;
+  jest.clearAllMocks();
+});
+
+describe('idempotency middleware', () => {
+  it('passes requests without a key through', async () => {
+    const { next } = await run(createRequest(undefined));
+
+    expect(next).toHaveBeenCalled();
+    expect(db.store.size).toBe(0);
+  });
+
+  it('rejects empty and overlong keys', async () => {
+    const empty = await run(createRequest(''));
+    const long = await run(createRequest('k'.repeat(256)));
+
+    expect(empty.res.statusCode).toBe(400);
+    expect(long.res.body.error).toBe('INVALID_IDEMPOTENCY_KEY');
+  });
+
+  it('replays the first successful response', async () => {
+    const first = await run(createRequest('key-1'), created);
+    const second = await run(createRequest('key-1'), created);
+
+    expect(first.next).toHaveBeenCalledTimes(1);
+    expect(second.next).not.toHaveBeenCalled();
+    expect(second.res.statusCode).toBe(201);
+    expect(second.res.body).toEqual({ success: true, id: 1 });
+    expect(second.res.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    await run(createRequest('key-1'), created);
+    const { res, next } = await run(createRequest('key-1', { amount: 500 }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error).toBe('IDEMPOTENCY_KEY_MISMATCH');
+  });
+
+  it('rejects a duplicate while the first request is in progress', async () => {
+    await run(createRequest('key-1'));
+    const { res, next } = await run(createRequest('key-1'));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+  });
+
+  it('releases the key when the request fails', async () => {
+    await run(createRequest('key-1'), res =>
+      res.status(400).json({ success: false })
+    );
+    const retry = await run(createRequest('key-1'));
+
+    expect(retry.next).toHaveBeenCalled();
+  });
+
+  it('falls back to MySQL when Redis is unavailable', async () => {
+    db.available = false;
+
+    const { next } = await run(createRequest('key-1'), created);
+
+    expect(next).toHaveBeenCalled();
+    expect(IdempotencyModel.reserveKey).toHaveBeenCalledWith(
+      7,
+      'key-1',
+      expect.objectContaining({ method: 'POST' }),
+      30
+    );
+    expect(IdempotencyModel.completeKey).toHaveBeenCalledWith(
+      7,
+      'key-1',
+      201,
+      { success: true, id: 1 },
+      3600
+    );
+  });
+
+  it('holds the key only for the lease while the request is processing', async () => {
+    const reserve = jest.spyOn(db, 'setCacheIfAbsent');
+    const save = jest.spyOn(db, 'setCache');
+
+    await run(createRequest('key-1'), created);
+
+    expect(reserve).toHaveBeenCalledWith(
+      'idempotency:7:key-1',
+      expect.objectContaining({ status: 'processing' }),
+      30
+    );
+    expect(save).toHaveBeenCalledWith(
+      'idempotency:7:key-1',
+      expect.objectContaining({ status: 'completed' }),
+      3600
+    );
+  });
+});
@@ -0,0 +1,204 @@
+import moment from 'moment-timezone';
+import {
+  IntakeLimitService,
+  evaluateLimits,
+  getCaffeineCutoff,
+  detectWarnings,
+} from '../../src/utils/intakeLimits.js';
+
+jest.mock('../../src/utils/logger.js', () => ({
+  businessLogger: { userAction: jest.fn() },
+  errorLogger: { database: jest.fn(), external: jest.fn() },
+}));
+jest.mock('../../src/config/database.js', () => ({}));
+jest.mock('../../src/utils/pushNotification.js', () => ({}));
+
+const TIMEZONE = 'Asia/Shanghai';
+
+const at = time => moment.tz(time, TIMEZONE).toDate();
+
+const SETTINGS = {
+  timezone: TIMEZONE,
+  sleep_time: '23:00:00',
+  wake_up_time: '07:00:00',
+  caffeine_cutoff_hours: 6,
+  daily_caffeine_limit_mg: 400,
+  daily_alcohol_limit_units: 2,
+};
+
+const types = warnings => warnings.map(warning => warning.type);
+
+describe('evaluateLimits', () => {
+  it('reports consumption against both limits', () => {
+    expect(
+      evaluateLimits({ caffeine_mg: 300.04, alcohol_units: 2.5 }, SETTINGS)
+    ).toEqual({
+      caffeine: {
+        consumed_mg: 300,
+        limit_mg: 400,
+        remaining_mg: 100,
+        percentage: 75,
+        exceeded: false,
+      },
+      alcohol: {
+        consumed_units: 2.5,
+        limit_units: 2,
+        remaining_units: 0,
+        percentage: 125,
+        exceeded: true,
+      },
+    });
+  });
+
+  it('handles a zero limit', () => {
+    const { alcohol } = evaluateLimits(
+      { caffeine_mg: 0, alcohol_units: 1 },
+      { ...SETTINGS, daily_alcohol_limit_units: 0 }
+    );
+
+    expect(alcohol.percentage).toBe(0);
+    expect(alcohol.exceeded).toBe(true);
+  });
+});
+
+describe('getCaffeineCutoff', () => {
+  it('starts the window the configured hours before sleep', () => {
+    expect(getCaffeineCutoff(SETTINGS, at('2024-03-10 16:30'))).toEqual({
+      sleep_time: '23:00',
+      cutoff_time: '17:00',
+      cutoff_hours: 6,
+      in_window: false,
+    });
+    expect(getCaffeineCutoff(SETTINGS, at('2024-03-10 17:00')).in_window).toBe(
+      true
+    );
+  });
+
+  it('stays in the window until wake-up', () => {
+    expect(getCaffeineCutoff(SETTINGS, at('2024-03-11 02:00')).in_window).toBe(
+      true
+    );
+    expect(getCaffeineCutoff(SETTINGS, at('2024-03-11 07:30')).in_window).toBe(
+      false
+    );
+  });
+
+  it('handles a sleep time after midnight', () => {
+    const settings = {
+      ...SETTINGS,
+      sleep_time: '01:00:00',
+      wake_up_time: '09:00:00',
+    };
+
+    expect(getCaffeineCutoff(settings, at('2024-03-10 18:30')).in_window).toBe(
+      false
+    );
+    expect(getCaffeineCutoff(settings, at('2024-03-10 23:30'))).toMatchObject({
+      sleep_time: '01:00',
+      cutoff_time: '19:00',
+      in_window: true,
+    });
+    expect(getCaffeineCutoff(settings, at('2024-03-11 03:00')).in_window).toBe(
+      true
+    );
+  });
+
+  it('is never in the window without cutoff hours', () => {
+    expect(
+      getCaffeineCutoff(
+        { ...SETTINGS, caffeine_cutoff_hours: 0 },
+        at('2024-03-10 22:30')
+      ).in_window
+    ).toBe(false);
+  });
+});
+
+describe('detectWarnings', () => {
+  const noon = at('2024-03-10 12:00');
+
+  it('warns once when a record crosses the daily limit', () => {
+    const crossing = detectWarnings({
+      totals: { caffeine_mg: 450, alcohol_units: 0 },
+      added: { caffeine_mg: 100, alcohol_units: 0 },
+      settings: SETTINGS,
+      recordedAt: noon,
+    });
+    const alreadyOver = detectWarnings({
+      totals: { caffeine_mg: 550, alcohol_units: 0 },
+      added: { caffeine_mg: 100, alcohol_units: 0 },
+      settings: SETTINGS,
+      recordedAt: noon,
+    });
+
+    expect(types(crossing)).toEqual(['caffeine_limit']);
+    expect(crossing[0].message).toContain('450mg');
+    expect(alreadyOver).toEqual([]);
+  });
+
+  it('warns about alcohol over the limit', () => {
+    const warnings = detectWarnings({
+      totals: { caffeine_mg: 0, alcohol_units: 2.5 },
+      added: { caffeine_mg: 0, alcohol_units: 1 },
+      settings: SETTINGS,
+      recordedAt: noon,
+    });
+
+    expect(types(warnings)).toEqual(['alcohol_limit']);
+  });
+
+  it('warns about caffeine close to bedtime', () => {
+    const warnings = detectWarnings({
+      totals: { caffeine_mg: 80, alcohol_units: 0 },
+      added: { caffeine_mg: 80, alcohol_units: 0 },
+      settings: SETTINGS,
+      recordedAt: at('2024-03-10 20:00'),
+    });
+
+    expect(types(warnings)).toEqual(['caffeine_before_sleep']);
+    expect(warnings[0].message).toContain('23:00');
+  });
+});
+
+describe('IntakeLimitService.checkRecords', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('uses the time zone each record was made in', async () => {
+    // 洛杉矶 3月10日 13:00，上海已是 3月11日
+    jest.useFakeTimers({
+      now: new Date('2024-03-10T20:00:00Z'),
+      doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'],
+    });
+    const hydrationModel = {
+      getTodayIntakeTotals: jest
+        .fn()
+        .mockResolvedValue({ caffeine_mg: 450, alcohol_units: 0 }),
+    };
+    const service = new IntakeLimitService({
+      userModel: {
+        getIntakeLimitSettings: jest
+          .fn()
+          .mockResolvedValue({ ...SETTINGS, limit_warnings_enabled: false }),
+      },
+      hydrationModel,
+    });
+
+    const warnings = await service.checkRecords(7, [
+      {
+        amount: 250,
+        drink_type: 'coffee',
+        drink_id: 3,
+        caffeine_mg: 100,
+        recorded_at: new Date('2024-03-10T15:00:00Z'),
+        timezone: 'America/Los_Angeles',
+      },
+    ]);
+
+    expect(types(warnings)).toEqual(['caffeine_limit']);
+    expect(hydrationModel.getTodayIntakeTotals).toHaveBeenCalledWith(
+      7,
+      'America/Los_Angeles'
+    );
+  });
+});
@@ -0,0 +1,178 @@
+import {
+  toSnapshot,
+  getChangedFields,
+  RecordHistoryService,
+} from '../../src/utils/recordHistory.js';
+
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  businessLogger: { userAction: jest.fn() },
+  errorLogger: { database: jest.fn(), external: jest.fn() },
+}));
+jest.mock('../../src/config/database.js', () => ({}));
+jest.mock('../../src/utils/pushNotification.js', () => ({}));
+
+const RECORD = {
+  id: 5,
+  user_id: 7,
+  amount: '250',
+  drink_type: 'tea',
+  drink_name: null,
+  caffeine_mg: '20.5',
+  recorded_at: '2024-03-10 08:00:00',
+  location: 'office',
+  source: 'manual',
+  deleted_at: null,
+};
+
+const createService = ({ record = RECORD, revisions = {} } = {}) => {
+  const hydrationModel = {
+    getHydrationRecordWithDeleted: jest.fn().mockResolvedValue(record),
+  };
+  const revisionModel = {
+    createRevision: jest.fn().mockResolvedValue(40),
+    getRevisionById: jest.fn().mockResolvedValue(revisions.byId || null),
+    getLatestRecordRevision: jest
+      .fn()
+      .mockResolvedValue(revisions.latest || null),
+    getLatestUndoableRevision: jest
+      .fn()
+      .mockResolvedValue(revisions.undoable || null),
+  };
+
+  const service = new RecordHistoryService({
+    hydrationModel,
+    revisionModel,
+    undoWindow: 600,
+  });
+  return { service, revisionModel };
+};
+
+describe('toSnapshot', () => {
+  it('keeps the tracked fields and normalizes numbers', () => {
+    expect(toSnapshot(RECORD)).toEqual({
+      amount: 250,
+      drink_type: 'tea',
+      drink_name: null,
+      caffeine_mg: 20.5,
+      recorded_at: '2024-03-10 08:00:00',
+      location: 'office',
+    });
+  });
+
+  it('returns null for missing and deleted records', () => {
+    expect(toSnapshot(null)).toBeNull();
+    expect(toSnapshot({ ...RECORD, deleted_at: new Date() })).toBeNull();
+  });
+});
+
+describe('getChangedFields', () => {
+  it('lists the fields whose values differ', () => {
+    const before = toSnapshot(RECORD);
+    const after = { ...before, amount: 300, location: null };
+
+    expect(getChangedFields(before, after)).toEqual(['amount', 'location']);
+  });
+
+  it('treats a missing snapshot as all fields changed', () => {
+    expect(getChangedFields(null, { amount: 250, drink_name: null })).toEqual([
+      'amount',
+    ]);
+  });
+});
+
+describe('RecordHistoryService.log', () => {
+  it('skips updates that change nothing', async () => {
+    const { service, revisionModel } = createService();
+
+    await expect(
+      service.log(7, 5, {
+        action: 'update',
+        before: RECORD,
+        after: { ...RECORD, amount: 250 },
+      })
+    ).resolves.toBeNull();
+    expect(revisionModel.createRevision).not.toHaveBeenCalled();
+  });
+
+  it('saves before and after snapshots with the actor', async () => {
+    const { service, revisionModel } = createService();
+
+    await expect(
+      service.log(7, 5, {
+        action: 'update',
+        before: RECORD,
+        after: { ...RECORD, amount: 300 },
+        actorType: 'sync',
+        actorId: 'phone',
+      })
+    ).resolves.toBe(40);
+    expect(revisionModel.createRevision).toHaveBeenCalledWith(
+      expect.objectContaining({
+        recordId: 5,
+        action: 'update',
+        before: expect.objectContaining({ amount: 250 }),
+        after: expect.objectContaining({ amount: 300 }),
+        actorType: 'sync',
+        actorId: 'phone',
+      })
+    );
+  });
+
+  it('does not fail the request when saving history fails', async () => {
+    const { service, revisionModel } = createService();
+    revisionModel.createRevision.mockRejectedValue(new Error('deadlock'));
+
+    await expect(
+      service.log(7, 5, { action: 'delete', before: RECORD })
+    ).resolves.toBeNull();
+  });
+});
+
+describe('RecordHistoryService.restore', () => {
+  it('reports a missing record', async () => {
+    const { service } = createService({ record: null });
+
+    await expect(service.restore(7, 5)).resolves.toMatchObject({
+      error: 'RECORD_NOT_FOUND',
+    });
+  });
+
+  it('reports when there is nothing to restore', async () => {
+    const { service } = createService();
+
+    await expect(service.restore(7, 5)).resolves.toMatchObject({
+      error: 'NOTHING_TO_RESTORE',
+    });
+  });
+
+  it('rejects revisions of another record', async () => {
+    const { service } = createService({
+      revisions: { byId: { id: 30, record_id: 6 } },
+    });
+
+    await expect(
+      service.restore(7, 5, { revisionId: 30 })
+    ).resolves.toMatchObject({ error: 'REVISION_NOT_FOUND' });
+  });
+
+  it('rejects revisions that were already reverted', async () => {
+    const { service } = createService({
+      revisions: { latest: { id: 30, record_id: 5, reverted_by: 31 } },
+    });
+
+    await expect(service.restore(7, 5)).resolves.toMatchObject({
+      error: 'REVISION_ALREADY_REVERTED',
+    });
+  });
+});
+
+describe('RecordHistoryService.undo', () => {
+  it('reports when nothing was changed within the undo window', async () => {
+    const { service } = createService();
+
+    const result = await service.undo(7);
+    expect(result.error).toBe('NOTHING_TO_UNDO');
+    expect(result.message).toContain('10分钟');
+  });
+});
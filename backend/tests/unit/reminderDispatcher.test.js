@@ -0,0 +1,322 @@
+import moment from 'moment-timezone';
+import { ReminderDispatcher } from '../../src/utils/reminderDispatcher.js';
+
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  businessLogger: { systemEvent: jest.fn(), userAction: jest.fn() },
+  errorLogger: { external: jest.fn(), database: jest.fn() },
+}));
+jest.mock('../../src/config/database.js', () => ({}));
+jest.mock('../../src/utils/pushNotification.js', () => ({}));
+
+// 全天都可以提醒的设置
+const SETTINGS = {
+  id: 1,
+  is_enabled: true,
+  timezone: 'Asia/Shanghai',
+  start_time: '00:00:00',
+  end_time: '23:59:59',
+  weekday_enabled: true,
+  weekend_enabled: true,
+  consider_calendar: false,
+  delivery_target: 'all_devices',
+};
+
+const DEVICES = [
+  { id: 11, push_token: 'token-a', platform: 'ios', is_primary: true },
+  { id: 12, push_token: 'token-b', platform: 'android', is_primary: false },
+];
+
+const REMINDER = { id: 100, user_id: 7, message: '该喝水了', attempts: 0 };
+
+const createModel = (overrides = {}) => ({
+  getUserReminderSettings: jest.fn().mockResolvedValue(SETTINGS),
+  getUserDevices: jest.fn().mockResolvedValue(DEVICES),
+  deferReminder: jest.fn().mockResolvedValue(1),
+  markReminderSent: jest.fn().mockResolvedValue(1),
+  markReminderRetry: jest.fn().mockResolvedValue(1),
+  markReminderFailed: jest.fn().mockResolvedValue(1),
+  disableDevicePush: jest.fn().mockResolvedValue(1),
+  hasPendingReminder: jest.fn().mockResolvedValue(false),
+  scheduleNextReminder: jest.fn().mockResolvedValue(200),
+  releaseStaleReminderClaims: jest.fn().mockResolvedValue(0),
+  claimDueReminders: jest.fn().mockResolvedValue([]),
+  getUsersWithoutPendingReminder: jest.fn().mockResolvedValue([]),
+  ...overrides,
+});
+
+// 假的推送通道，按令牌返回预设结果并记录发送过的提醒
+const createTransport = (results = {}) => {
+  const sent = [];
+  return {
+    sent,
+    sendHydrationReminder: jest.fn(async (token, data, platform) => {
+      sent.push({ token, data, platform });
+      return results[token] || { success: true };
+    }),
+  };
+};
+
+const createDispatcher = (model, transport) =>
+  new ReminderDispatcher({
+    model,
+    transport,
+    calendarModel: { getBusyBlocks: jest.fn().mockResolvedValue([]) },
+    workerId: 'test-worker',
+    batchSize: 2,
+    maxAttempts: 3,
+    retryBaseSeconds: 60,
+    lockTimeoutMinutes: 10,
+  });
+
+describe('ReminderDispatcher.deliver', () => {
+  it('sends to every device and schedules the next reminder', async () => {
+    const model = createModel();
+    const transport = createTransport();
+    const dispatcher = createDispatcher(model, transport);
+
+    await expect(dispatcher.deliver(REMINDER)).resolves.toBe('sent');
+
+    expect(transport.sent.map(item => item.token)).toEqual([
+      'token-a',
+      'token-b',
+    ]);
+    expect(transport.sent[0].data).toEqual({
+      message: '该喝水了',
+      reminderId: 100,
+      userId: 7,
+    });
+    expect(model.markReminderSent).toHaveBeenCalledWith(100, 1, {
+      delivered_devices: [11, 12],
+      failed_devices: 0,
+    });
+    expect(model.scheduleNextReminder).toHaveBeenCalledWith(7);
+  });
+
+  it('disables devices whose token is no longer valid', async () => {
+    const model = createModel();
+    const transport = createTransport({
+      'token-b': {
+        success: false,
+        error: 'INVALID_TOKEN',
+        shouldRemoveToken: true,
+      },
+    });
+    const dispatcher = createDispatcher(model, transport);
+
+    await expect(dispatcher.deliver(REMINDER)).resolves.toBe('sent');
+
+    expect(model.disableDevicePush).toHaveBeenCalledWith(12);
+    expect(model.markReminderSent).toHaveBeenCalledWith(100, 1, {
+      delivered_devices: [11],
+      failed_devices: 1,
+    });
+  });
+
+  it('retries with exponential backoff while attempts remain', async () => {
+    const model = createModel();
+    const transport = createTransport({
+      'token-a': { success: false, error: 'UNAVAILABLE' },
+      'token-b': { success: false, error: 'UNAVAILABLE' },
+    });
+    const dispatcher = createDispatcher(model, transport);
+
+    await expect(
+      dispatcher.deliver({ ...REMINDER, attempts: 1 })
+    ).resolves.toBe('retried');
+
+    const [id, attempts, nextAttemptAt, error] =
+      model.markReminderRetry.mock.calls[0];
+    expect([id, attempts, error]).toEqual([100, 2, 'UNAVAILABLE']);
+    const delay = moment(nextAttemptAt).diff(moment(), 'seconds');
+    expect(delay).toBeGreaterThanOrEqual(115);
+    expect(delay).toBeLessThanOrEqual(120);
+    expect(model.scheduleNextReminder).not.toHaveBeenCalled();
+  });
+
+  it('marks the reminder failed after the last attempt', async () => {
+    const model = createModel();
+    const transport = createTransport({
+      'token-a': { success: false, error: 'UNAVAILABLE' },
+      'token-b': { success: false, error: 'UNAVAILABLE' },
+    });
+    const dispatcher = createDispatcher(model, transport);
+
+    await expect(
+      dispatcher.deliver({ ...REMINDER, attempts: 2 })
+    ).resolves.toBe('failed');
+
+    expect(model.markReminderFailed).toHaveBeenCalledWith(
+      100,
+      3,
+      'UNAVAILABLE'
+    );
+    expect(model.scheduleNextReminder).toHaveBeenCalledWith(7);
+  });
+
+  it('retries when the transport throws', async () => {
+    const model = createModel();
+    const transport = {
+      sendHydrationReminder: jest.fn().mockRejectedValue(new Error('timeout')),
+    };
+    const dispatcher = createDispatcher(model, transport);
+
+    await expect(dispatcher.deliver(REMINDER)).resolves.toBe('retried');
+    expect(model.markReminderRetry.mock.calls[0][3]).toBe('timeout');
+  });
+
+  it('fails without sending when the user has no devices', async () => {
+    const model = createModel({
+      getUserDevices: jest.fn().mockResolvedValue([]),
+    });
+    const transport = createTransport();
+    const dispatcher = createDispatcher(model, transport);
+
+    await expect(dispatcher.deliver(REMINDER)).resolves.toBe('failed');
+
+    expect(transport.sendHydrationReminder).not.toHaveBeenCalled();
+    expect(model.markReminderFailed).toHaveBeenCalledWith(100, 1, 'NO_DEVICES');
+    expect(model.scheduleNextReminder).toHaveBeenCalledWith(7);
+  });
+
+  it('skips devices in quiet mode', async () => {
+    const model = createModel({
+      getUserDevices: jest
+        .fn()
+        .mockResolvedValue([
+          { ...DEVICES[0], settings: '{"quiet_mode":true}' },
+          DEVICES[1],
+        ]),
+    });
+    const transport = createTransport();
+    const dispatcher = createDispatcher(model, transport);
+
+    await expect(dispatcher.deliver(REMINDER)).resolves.toBe('sent');
+    expect(transport.sent.map(item => item.token)).toEqual(['token-b']);
+  });
+
+  it('sends only to the primary device when primary_only is set', async () => {
+    const model = createModel({
+      getUserReminderSettings: jest
+        .fn()
+        .mockResolvedValue({ ...SETTINGS, delivery_target: 'primary_only' }),
+    });
+    const transport = createTransport();
+    const dispatcher = createDispatcher(model, transport);
+
+    await expect(dispatcher.deliver(REMINDER)).resolves.toBe('sent');
+    expect(transport.sent.map(item => item.token)).toEqual(['token-a']);
+  });
+
+  it('does not fall back to other devices when the primary is quiet', async () => {
+    const model = createModel({
+      getUserReminderSettings: jest
+        .fn()
+        .mockResolvedValue({ ...SETTINGS, delivery_target: 'primary_only' }),
+      getUserDevices: jest
+        .fn()
+        .mockResolvedValue([
+          { ...DEVICES[0], settings: { quiet_mode: true } },
+          DEVICES[1],
+        ]),
+    });
+    const transport = createTransport();
+    const dispatcher = createDispatcher(model, transport);
+
+    await expect(dispatcher.deliver(REMINDER)).resolves.toBe('failed');
+
+    expect(transport.sendHydrationReminder).not.toHaveBeenCalled();
+    expect(model.markReminderFailed).toHaveBeenCalledWith(100, 1, 'NO_DEVICES');
+    expect(model.scheduleNextReminder).toHaveBeenCalledWith(7);
+  });
+
+  it('defers reminders while reminders are paused', async () => {
+    const pausedUntil = moment().add(1, 'day').startOf('hour');
+    const model = createModel({
+      getUserReminderSettings: jest.fn().mockResolvedValue({
+        ...SETTINGS,
+        paused_until: pausedUntil.toDate(),
+      }),
+    });
+    const transport = createTransport();
+    const dispatcher = createDispatcher(model, transport);
+
+    await expect(dispatcher.deliver(REMINDER)).resolves.toBe('deferred');
+
+    expect(transport.sendHydrationReminder).not.toHaveBeenCalled();
+    const [id, resumeAt] = model.deferReminder.mock.calls[0];
+    expect(id).toBe(100);
+    expect(moment(resumeAt).valueOf()).toBe(pausedUntil.valueOf());
+  });
+
+  it('fails and schedules the next reminder when no window is left', async () => {
+    const model = createModel();
+    const transport = createTransport();
+    const dispatcher = createDispatcher(model, transport);
+    dispatcher.getDeferral = jest
+      .fn()
+      .mockResolvedValue({ resume_at: null, reason: 'paused' });
+
+    await expect(dispatcher.deliver(REMINDER)).resolves.toBe('failed');
+
+    expect(transport.sendHydrationReminder).not.toHaveBeenCalled();
+    expect(model.markReminderFailed).toHaveBeenCalledWith(
+      100,
+      1,
+      'NO_REMINDER_WINDOW'
+    );
+    expect(model.scheduleNextReminder).toHaveBeenCalledWith(7);
+  });
+});
+
+describe('ReminderDispatcher.dispatchDue', () => {
+  it('delivers every claimed reminder and summarizes the outcomes', async () => {
+    const model = createModel({
+      claimDueReminders: jest
+        .fn()
+        .mockResolvedValue([REMINDER, { ...REMINDER, id: 101, user_id: 8 }]),
+      getUserDevices: jest
+        .fn()
+        .mockResolvedValueOnce(DEVICES)
+        .mockResolvedValueOnce([]),
+    });
+    const dispatcher = createDispatcher(model, createTransport());
+
+    await expect(dispatcher.dispatchDue()).resolves.toEqual({
+      claimed: 2,
+      sent: 1,
+      deferred: 0,
+      retried: 0,
+      failed: 1,
+    });
+    expect(model.claimDueReminders).toHaveBeenCalledWith('test-worker', 2);
+    expect(dispatcher.isDispatching).toBe(false);
+  });
+});
+
+describe('ReminderDispatcher.seedMissingReminders', () => {
+  it('schedules reminders for enabled users without a pending reminder', async () => {
+    const model = createModel({
+      getUsersWithoutPendingReminder: jest
+        .fn()
+        .mockResolvedValueOnce([3, 5])
+        .mockResolvedValueOnce([9]),
+      scheduleNextReminder: jest
+        .fn()
+        .mockResolvedValueOnce(301)
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(302),
+    });
+    const dispatcher = createDispatcher(model, createTransport());
+
+    await expect(dispatcher.seedMissingReminders()).resolves.toEqual({
+      checked: 3,
+      scheduled: 2,
+    });
+    expect(model.getUsersWithoutPendingReminder.mock.calls).toEqual([
+      [0, 2],
+      [5, 2],
+    ]);
+    expect(model.scheduleNextReminder.mock.calls).toEqual([[3], [5], [9]]);
+  });
+});
@@ -0,0 +1,135 @@
+import moment from 'moment-timezone';
+import {
+  getDaySchedule,
+  getTimezoneOffsetDiff,
+  getJetLagPlan,
+  getJetLagShift,
+  getReminderWindow,
+} from '../../src/utils/reminderWindow.js';
+
+const TIMEZONE = 'Asia/Tokyo';
+
+const day = date => moment.tz(date, TIMEZONE);
+
+describe('getDaySchedule', () => {
+  const settings = {
+    start_time: '08:00:00',
+    end_time: '22:00:00',
+    weekend_start_time: '09:00:00',
+    weekend_end_time: '21:00:00',
+    weekly_schedule: { wednesday: { start_time: '10:00:00' } },
+    date_exceptions: [
+      { date: '2024-03-08', name: '妇女节' },
+      { date: '2024-03-11', enabled: false },
+      { date: '2024-03-12', start_time: '12:00:00', end_time: '18:00:00' },
+    ],
+  };
+
+  it('uses the weekday and weekend schedules', () => {
+    expect(getDaySchedule(settings, day('2024-03-07'))).toEqual({
+      enabled: true,
+      start_time: '08:00:00',
+      end_time: '22:00:00',
+      source: 'weekday',
+    });
+    expect(getDaySchedule(settings, day('2024-03-09'))).toMatchObject({
+      start_time: '09:00:00',
+      end_time: '21:00:00',
+      source: 'weekend',
+    });
+  });
+
+  it('lets the weekly schedule override single fields', () => {
+    expect(getDaySchedule(settings, day('2024-03-06'))).toEqual({
+      enabled: true,
+      start_time: '10:00:00',
+      end_time: '22:00:00',
+      source: 'weekly',
+    });
+  });
+
+  it('treats date exceptions as holidays, days off or custom hours', () => {
+    expect(getDaySchedule(settings, day('2024-03-08'))).toEqual({
+      enabled: true,
+      start_time: '09:00:00',
+      end_time: '21:00:00',
+      source: 'exception',
+      name: '妇女节',
+    });
+    expect(getDaySchedule(settings, day('2024-03-11')).enabled).toBe(false);
+    expect(getDaySchedule(settings, day('2024-03-12'))).toMatchObject({
+      enabled: true,
+      start_time: '12:00:00',
+      end_time: '18:00:00',
+    });
+  });
+
+  it('keeps a holiday off when weekend reminders are off', () => {
+    const schedule = getDaySchedule(
+      { ...settings, weekend_enabled: 0 },
+      day('2024-03-08')
+    );
+
+    expect(schedule.enabled).toBe(false);
+  });
+});
+
+describe('jet lag mode', () => {
+  const settings = {
+    timezone: TIMEZONE,
+    start_time: '08:00:00',
+    end_time: '22:00:00',
+    jet_lag_mode: 1,
+    previous_timezone: 'Europe/London',
+    timezone_changed_at: new Date('2024-03-05T12:00:00Z'),
+  };
+  const options = { shiftPerDay: 60 };
+
+  it('takes the shorter way across the date line', () => {
+    expect(
+      getTimezoneOffsetDiff(
+        'Pacific/Auckland',
+        'Pacific/Honolulu',
+        new Date('2024-03-05')
+      )
+    ).toBe(60);
+    expect(
+      getTimezoneOffsetDiff('Europe/London', TIMEZONE, new Date('2024-03-05'))
+    ).toBe(540);
+  });
+
+  it('plans one step per day until the offset is covered', () => {
+    expect(getJetLagPlan(settings, options)).toEqual({
+      from: 'Europe/London',
+      to: TIMEZONE,
+      offset_minutes: 540,
+      shift_per_day: 60,
+      adjust_days: 9,
+      start_date: '2024-03-05',
+      end_date: '2024-03-14',
+    });
+    expect(getJetLagPlan({ ...settings, jet_lag_mode: 0 }, options)).toBeNull();
+  });
+
+  it('shifts the whole offset on the first day and less each day after', () => {
+    const plan = getJetLagPlan(settings, options);
+
+    expect(getJetLagShift(plan, day('2024-03-05'))).toBe(540);
+    expect(getJetLagShift(plan, day('2024-03-07'))).toBe(420);
+    expect(getJetLagShift(plan, day('2024-03-20'))).toBe(0);
+    expect(getJetLagShift(null, day('2024-03-07'))).toBe(0);
+  });
+
+  it('moves the reminder window and lets it run past midnight', () => {
+    const window = getReminderWindow(
+      settings,
+      moment.tz('2024-03-07 12:00', TIMEZONE),
+      options
+    );
+
+    expect(window.start.format()).toBe('2024-03-07T15:00:00+09:00');
+    expect(window.end.format()).toBe('2024-03-08T05:00:00+09:00');
+    expect(window.shift_minutes).toBe(420);
+    expect(window.date).toBe('2024-03-07');
+  });
+});
@@ -0,0 +1,178 @@
+import {
+  extractIntakeEvents,
+  groupDrinkingSessions,
+  sessionClientId,
+  SESSION_GAP_MINUTES,
+} from '../../src/utils/smartCupReadings.js';
+
+const MAX_AMOUNT = 2000;
+
+// 以一小时前为起点，保证读数在有效期内
+const BASE = Date.now() - 3600 * 1000;
+
+const at = minutes => new Date(BASE + minutes * 60 * 1000);
+
+const weight = (minutes, grams) => ({
+  type: 'weight',
+  weight_g: grams,
+  recorded_at: at(minutes).toISOString(),
+});
+
+const sip = (minutes, amount) => ({
+  type: 'sip',
+  amount_ml: amount,
+  recorded_at: at(minutes).toISOString(),
+});
+
+const amounts = result => result.events.map(event => event.amount);
+
+describe('extractIntakeEvents', () => {
+  it('turns weight drops into intake and refills into a new baseline', () => {
+    const result = extractIntakeEvents(
+      [weight(0, 800), weight(1, 650), weight(2, 900), weight(3, 700)],
+      { maxAmount: MAX_AMOUNT }
+    );
+
+    expect(amounts(result)).toEqual([150, 200]);
+    expect(result.lastWeightG).toBe(700);
+    expect(result.lastReadingAt).toEqual(at(3));
+  });
+
+  it('continues from the stored weight baseline', () => {
+    const result = extractIntakeEvents([weight(0, 600)], {
+      maxAmount: MAX_AMOUNT,
+      lastWeightG: 800,
+    });
+
+    expect(amounts(result)).toEqual([200]);
+  });
+
+  it('sorts readings by time before comparing weights', () => {
+    const result = extractIntakeEvents(
+      [weight(2, 500), weight(0, 800), weight(1, 700)],
+      { maxAmount: MAX_AMOUNT }
+    );
+
+    expect(amounts(result)).toEqual([100, 200]);
+  });
+
+  it('keeps the baseline through sensor noise so small drops add up', () => {
+    const result = extractIntakeEvents(
+      [weight(0, 800), weight(1, 797), weight(2, 794), weight(3, 791)],
+      { maxAmount: MAX_AMOUNT }
+    );
+
+    // 单次下降 3g 视为抖动，累计到 6g 时计为饮水
+    expect(amounts(result)).toEqual([6]);
+    expect(result.lastWeightG).toBe(794);
+  });
+
+  it('ignores drops that look like pouring the cup out', () => {
+    const result = extractIntakeEvents([weight(0, 900), weight(1, 100)], {
+      maxAmount: MAX_AMOUNT,
+    });
+
+    expect(result.events).toEqual([]);
+    expect(result.ignored).toBe(1);
+    expect(result.lastWeightG).toBe(100);
+  });
+
+  it('accepts sips within the single drink limit', () => {
+    const result = extractIntakeEvents([sip(0, 30.4), sip(1, 0), sip(2, 600)], {
+      maxAmount: 500,
+    });
+
+    expect(amounts(result)).toEqual([30]);
+    expect(result.ignored).toBe(2);
+  });
+
+  it('skips readings already processed', () => {
+    const result = extractIntakeEvents([sip(0, 30), sip(5, 40)], {
+      maxAmount: MAX_AMOUNT,
+      lastReadingAt: at(0),
+    });
+
+    expect(amounts(result)).toEqual([40]);
+    expect(result.skipped).toBe(1);
+  });
+
+  it('ignores readings older than the allowed age', () => {
+    const old = {
+      type: 'sip',
+      amount_ml: 30,
+      recorded_at: new Date(Date.now() - 40 * 24 * 3600 * 1000).toISOString(),
+    };
+
+    const result = extractIntakeEvents([old], { maxAmount: MAX_AMOUNT });
+    expect(result.events).toEqual([]);
+    expect(result.ignored).toBe(1);
+    expect(result.lastReadingAt).toBeNull();
+  });
+
+  it('clamps readings from the future to now', () => {
+    const future = {
+      type: 'sip',
+      amount_ml: 30,
+      recorded_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+    };
+
+    const result = extractIntakeEvents([future], { maxAmount: MAX_AMOUNT });
+    expect(result.events[0].at.getTime()).toBeLessThanOrEqual(Date.now());
+  });
+});
+
+describe('groupDrinkingSessions', () => {
+  it('merges events within the session gap', () => {
+    const sessions = groupDrinkingSessions(
+      [
+        { amount: 50, at: at(0) },
+        { amount: 60, at: at(SESSION_GAP_MINUTES) },
+        { amount: 70, at: at(SESSION_GAP_MINUTES * 2 + 1) },
+      ],
+      MAX_AMOUNT
+    );
+
+    expect(sessions).toEqual([
+      {
+        amount: 110,
+        started_at: at(0),
+        ended_at: at(SESSION_GAP_MINUTES),
+        readings: 2,
+      },
+      {
+        amount: 70,
+        started_at: at(SESSION_GAP_MINUTES * 2 + 1),
+        ended_at: at(SESSION_GAP_MINUTES * 2 + 1),
+        readings: 1,
+      },
+    ]);
+  });
+
+  it('starts a new session once the single drink limit is reached', () => {
+    const sessions = groupDrinkingSessions(
+      [
+        { amount: 300, at: at(0) },
+        { amount: 300, at: at(1) },
+      ],
+      500
+    );
+
+    expect(sessions.map(session => session.amount)).toEqual([300, 300]);
+  });
+
+  it('drops sessions that are too small to record', () => {
+    expect(
+      groupDrinkingSessions([{ amount: 6, at: at(0) }], MAX_AMOUNT)
+    ).toEqual([]);
+  });
+});
+
+describe('sessionClientId', () => {
+  it('is stable for the same device and start time', () => {
+    expect(sessionClientId(7, at(0))).toBe(
+      sessionClientId(7, at(0).toISOString())
+    );
+    expect(sessionClientId(7, at(0))).not.toBe(sessionClientId(8, at(0)));
+    expect(sessionClientId(7, at(0))).not.toBe(sessionClientId(7, at(1)));
+  });
+});
@@ -0,0 +1,200 @@
+import moment from 'moment-timezone';
+import { calculateAdaptiveReminder } from '../../src/utils/smartScheduler.js';
+
+const TIMEZONE = 'Asia/Shanghai';
+
+// 10:00 起算，距离 23:00 睡觉还有 780 分钟
+const baseInput = (overrides = {}) => ({
+  now: moment.tz('2024-03-10 10:00', TIMEZONE).toDate(),
+  timezone: TIMEZONE,
+  dailyGoal: 2000,
+  todayIntake: 0,
+  wakeUpTime: '07:00:00',
+  sleepTime: '23:00:00',
+  minInterval: 30,
+  maxInterval: 180,
+  ...overrides,
+});
+
+const localTime = result =>
+  moment.tz(result.next_reminder_at, TIMEZONE).format('YYYY-MM-DD HH:mm');
+
+const factors = result => result.reasoning.map(item => item.factor);
+
+describe('calculateAdaptiveReminder', () => {
+  it('spreads the remaining goal over the time until sleep', () => {
+    // 2000ml / 250ml = 8 次，780 / 8 = 97.5 分钟
+    const result = calculateAdaptiveReminder(baseInput());
+
+    expect(result.interval_minutes).toBe(98);
+    expect(localTime(result)).toBe('2024-03-10 11:38');
+    expect(factors(result)).toEqual(['remaining_goal']);
+    expect(result.reasoning[0]).toMatchObject({
+      value: 2000,
+      effect: 'base_interval',
+    });
+  });
+
+  it('uses the longest interval once the goal is reached', () => {
+    const result = calculateAdaptiveReminder(baseInput({ todayIntake: 2500 }));
+
+    expect(result.interval_minutes).toBe(180);
+    expect(result.reasoning[0]).toMatchObject({
+      factor: 'remaining_goal',
+      effect: 'max_interval',
+    });
+  });
+
+  it('clamps the interval to the minimum', () => {
+    const result = calculateAdaptiveReminder(baseInput({ dailyGoal: 10000 }));
+
+    expect(result.interval_minutes).toBe(30);
+  });
+
+  it('defers to wake-up time when sleep is too close', () => {
+    const result = calculateAdaptiveReminder(
+      baseInput({ now: moment.tz('2024-03-10 22:45', TIMEZONE).toDate() })
+    );
+
+    expect(localTime(result)).toBe('2024-03-11 07:00');
+    expect(result.reasoning[0]).toMatchObject({
+      factor: 'sleep_window',
+      value: 15,
+      effect: 'defer_to_wake_up',
+    });
+  });
+
+  it('treats the time after midnight as sleep', () => {
+    const result = calculateAdaptiveReminder(
+      baseInput({ now: moment.tz('2024-03-11 01:00', TIMEZONE).toDate() })
+    );
+
+    expect(localTime(result)).toBe('2024-03-11 07:00');
+    expect(result.interval_minutes).toBe(360);
+  });
+
+  it('handles a sleep window that starts after midnight', () => {
+    const input = baseInput({
+      now: moment.tz('2024-03-10 23:30', TIMEZONE).toDate(),
+      wakeUpTime: '09:00:00',
+      sleepTime: '01:00:00',
+    });
+
+    // 距离 01:00 还有 90 分钟，不会推迟到起床后
+    const result = calculateAdaptiveReminder(input);
+    expect(factors(result)).not.toContain('sleep_window');
+    expect(result.interval_minutes).toBe(30);
+  });
+
+  it('defers past the sleep time to the next wake-up', () => {
+    const result = calculateAdaptiveReminder(
+      baseInput({
+        now: moment.tz('2024-03-10 22:20', TIMEZONE).toDate(),
+        todayIntake: 1900,
+        responseStats: { sent: 10, responded: 1 },
+      })
+    );
+
+    // 40 * 1.3 = 52 分钟，晚于 23:00
+    expect(localTime(result)).toBe('2024-03-11 07:00');
+    expect(factors(result)).toEqual([
+      'remaining_goal',
+      'response_rate',
+      'sleep_window',
+    ]);
+  });
+
+  it('extends the interval before hours the user usually drinks', () => {
+    const hourlyPattern = [
+      { hour: 11, record_count: 6, total_amount: 1500 },
+      { hour: 15, record_count: 2, total_amount: 500 },
+    ];
+
+    const result = calculateAdaptiveReminder(baseInput({ hourlyPattern }));
+
+    // 97.5 * 1.25
+    expect(result.interval_minutes).toBe(122);
+    expect(result.reasoning[1]).toMatchObject({
+      factor: 'hourly_pattern',
+      value: 1.5,
+      effect: 'extend',
+    });
+  });
+
+  it('shortens the interval before hours the user rarely drinks', () => {
+    const hourlyPattern = [
+      { hour: 11, record_count: 1, total_amount: 250 },
+      { hour: 15, record_count: 7, total_amount: 1750 },
+    ];
+
+    const result = calculateAdaptiveReminder(baseInput({ hourlyPattern }));
+
+    // 97.5 * 0.85
+    expect(result.interval_minutes).toBe(83);
+    expect(result.reasoning[1]).toMatchObject({ effect: 'shorten' });
+  });
+
+  it('estimates the sip size from the hourly pattern', () => {
+    const hourlyPattern = [
+      { hour: 8, record_count: 4, total_amount: 2000 },
+      { hour: 13, record_count: 4, total_amount: 2000 },
+    ];
+
+    // 每次约 500ml，需要 4 次，780 / 4 = 195，超过最长间隔
+    const result = calculateAdaptiveReminder(baseInput({ hourlyPattern }));
+    expect(result.interval_minutes).toBe(180);
+  });
+
+  it('reduces frequency when reminders are mostly ignored', () => {
+    const result = calculateAdaptiveReminder(
+      baseInput({ responseStats: { sent: 10, responded: 1 } })
+    );
+
+    // 97.5 * 1.3
+    expect(result.interval_minutes).toBe(127);
+    expect(result.reasoning[1]).toMatchObject({
+      factor: 'response_rate',
+      value: 0.1,
+      effect: 'extend',
+    });
+  });
+
+  it('ignores the response rate below the minimum sample', () => {
+    const result = calculateAdaptiveReminder(
+      baseInput({ responseStats: { sent: 4, responded: 0 } })
+    );
+
+    expect(result.interval_minutes).toBe(98);
+    expect(factors(result)).not.toContain('response_rate');
+  });
+
+  it('anchors the next reminder to the last drink', () => {
+    const result = calculateAdaptiveReminder(
+      baseInput({
+        lastDrinkAt: moment.tz('2024-03-10 09:50', TIMEZONE).toDate(),
+      })
+    );
+
+    expect(localTime(result)).toBe('2024-03-10 11:28');
+    expect(result.reasoning[1]).toMatchObject({
+      factor: 'last_drink',
+      value: 10,
+    });
+  });
+
+  it('waits at least the minimum interval after an old last drink', () => {
+    const result = calculateAdaptiveReminder(
+      baseInput({
+        lastDrinkAt: moment.tz('2024-03-10 06:00', TIMEZONE).toDate(),
+      })
+    );
+
+    expect(localTime(result)).toBe('2024-03-10 10:30');
+  });
+
+  it('returns the same result for the same input', () => {
+    expect(calculateAdaptiveReminder(baseInput())).toEqual(
+      calculateAdaptiveReminder(baseInput())
+    );
+  });
+});
@@ -0,0 +1,227 @@
+import moment from 'moment-timezone';
+import {
+  buildDailyTotals,
+  evaluateGoalStreak,
+  summarizeGoalProgress,
+} from '../../src/utils/streakService.js';
+
+jest.mock('../../src/utils/logger.js', () => ({
+  businessLogger: { userAction: jest.fn(), info: jest.fn() },
+  errorLogger: { database: jest.fn(), external: jest.fn() },
+}));
+jest.mock('../../src/config/database.js', () => ({}));
+
+const TIMEZONE = 'Asia/Shanghai';
+
+const dateRange = (start, count) =>
+  Array.from({ length: count }, (_, i) =>
+    moment(start).add(i, 'days').format('YYYY-MM-DD')
+  );
+
+// 每天的饮水量相同
+const totalsFor = (dates, amount = 2000) =>
+  new Map(dates.map(date => [date, amount]));
+
+const DAILY_GOAL = {
+  goal_type: 'daily_water',
+  target_value: 2000,
+  start_date: '2024-03-01',
+  end_date: null,
+};
+
+describe('buildDailyTotals', () => {
+  it('sums records by day in the user timezone', () => {
+    const totals = buildDailyTotals(
+      [
+        { amount: 300, recorded_at: '2024-03-10T15:30:00Z' },
+        { amount: 200, recorded_at: '2024-03-10T16:30:00Z' },
+        { amount: 250, recorded_at: '2024-03-11T01:00:00Z' },
+      ],
+      TIMEZONE
+    );
+
+    // 16:30 UTC 已经是上海的第二天
+    expect(Object.fromEntries(totals)).toEqual({
+      '2024-03-10': 300,
+      '2024-03-11': 450,
+    });
+  });
+
+  it('sums effective intake when coefficients are given', () => {
+    const totals = buildDailyTotals(
+      [
+        {
+          amount: 500,
+          drink_type: 'water',
+          recorded_at: '2024-03-10T02:00:00Z',
+        },
+        {
+          amount: 300,
+          drink_type: 'coffee',
+          recorded_at: '2024-03-10T03:00:00Z',
+        },
+      ],
+      TIMEZONE,
+      { water: 1, coffee: 0.8, other: 0.9 }
+    );
+
+    expect(totals.get('2024-03-10')).toBe(740);
+  });
+
+  it('uses the local date stored with the record', () => {
+    const totals = buildDailyTotals(
+      [
+        {
+          amount: 300,
+          recorded_at: '2024-03-10T15:30:00Z',
+          local_date: '2024-03-10',
+        },
+      ],
+      'America/New_York'
+    );
+
+    expect([...totals.keys()]).toEqual(['2024-03-10']);
+  });
+});
+
+describe('evaluateGoalStreak', () => {
+  it('counts consecutive days and keeps today in progress', () => {
+    const totals = totalsFor([
+      ...dateRange('2024-03-01', 5),
+      ...dateRange('2024-03-07', 3),
+    ]);
+    totals.set('2024-03-10', 800);
+
+    const result = evaluateGoalStreak(DAILY_GOAL, totals, {
+      today: '2024-03-10',
+    });
+
+    expect(result.unit).toBe('day');
+    expect(result.current_streak).toBe(3);
+    expect(result.best_streak).toBe(5);
+    expect(result.total_achieved_days).toBe(8);
+    expect(result.is_achieved).toBe(false);
+    expect(result.history).toHaveLength(10);
+  });
+
+  it('breaks the streak when yesterday was missed', () => {
+    const totals = totalsFor(dateRange('2024-03-01', 8));
+
+    const result = evaluateGoalStreak(DAILY_GOAL, totals, {
+      today: '2024-03-10',
+    });
+
+    expect(result.current_streak).toBe(0);
+    expect(result.best_streak).toBe(8);
+  });
+
+  it('stops at the goal end date', () => {
+    const result = evaluateGoalStreak(
+      { ...DAILY_GOAL, end_date: '2024-03-05' },
+      totalsFor(dateRange('2024-03-01', 10)),
+      { today: '2024-03-10' }
+    );
+
+    expect(result.history).toHaveLength(5);
+    expect(result.current_streak).toBe(5);
+    expect(result.is_achieved).toBe(true);
+  });
+
+  it('counts weeks that reach the required number of days', () => {
+    const goal = {
+      goal_type: 'weekly_consistency',
+      target_value: 5,
+      start_date: '2024-03-04',
+      end_date: null,
+    };
+    // 3月4日和11日为周一；第二周只有 4 天达标
+    const totals = totalsFor([
+      ...dateRange('2024-03-04', 5),
+      ...dateRange('2024-03-11', 4),
+      '2024-03-18',
+    ]);
+
+    const result = evaluateGoalStreak(goal, totals, {
+      today: '2024-03-19',
+      dailyGoal: 2000,
+    });
+
+    expect(result.unit).toBe('week');
+    expect(result.periods.map(period => period.achieved)).toEqual([
+      true,
+      false,
+      false,
+    ]);
+    expect(result.periods[2].in_progress).toBe(true);
+    expect(result.current_streak).toBe(0);
+    expect(result.best_streak).toBe(1);
+  });
+
+  it('compares the monthly average with the target', () => {
+    const goal = {
+      goal_type: 'monthly_average',
+      target_value: 1500,
+      start_date: '2024-02-01',
+      end_date: null,
+    };
+    const totals = totalsFor(dateRange('2024-02-01', 29), 1600);
+
+    const result = evaluateGoalStreak(goal, totals, { today: '2024-03-02' });
+
+    expect(result.periods[0]).toMatchObject({
+      key: '2024-02',
+      average: 1600,
+      achieved: true,
+    });
+    expect(result.current_streak).toBe(1);
+  });
+
+  it('returns null for goals it cannot evaluate', () => {
+    expect(
+      evaluateGoalStreak({ ...DAILY_GOAL, goal_type: 'custom' }, new Map(), {
+        today: '2024-03-10',
+      })
+    ).toBeNull();
+  });
+});
+
+describe('summarizeGoalProgress', () => {
+  it('reports the current period against the target', () => {
+    const totals = totalsFor(dateRange('2024-03-01', 9));
+    totals.set('2024-03-10', 1500);
+    const streak = evaluateGoalStreak(DAILY_GOAL, totals, {
+      today: '2024-03-10',
+    });
+
+    expect(summarizeGoalProgress(DAILY_GOAL, streak)).toEqual({
+      period: '2024-03-10',
+      current: 1500,
+      target: 2000,
+      percentage: 75,
+      achieved: false,
+      current_streak: 9,
+      best_streak: 9,
+      total_achieved_days: 9,
+    });
+  });
+
+  it('adds overall progress for challenges with an end date', () => {
+    const goal = { ...DAILY_GOAL, end_date: '2024-03-30' };
+    const streak = evaluateGoalStreak(
+      goal,
+      totalsFor(dateRange('2024-03-01', 4)),
+      { today: '2024-03-05' }
+    );
+
+    expect(summarizeGoalProgress(goal, streak).challenge).toEqual({
+      total_days: 30,
+      elapsed_days: 5,
+      achieved_periods: 4,
+      total_periods: 5,
+    });
+  });
+
+  it('returns null without a streak', () => {
+    expect(summarizeGoalProgress(DAILY_GOAL, null)).toBeNull();
+  });
+});
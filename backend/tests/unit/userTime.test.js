@@ -0,0 +1,72 @@
+import moment from 'moment-timezone';
+import {
+  DEFAULT_TIMEZONE,
+  resolveTimezone,
+  toLocalTime,
+  getLocalDate,
+  getLocalToday,
+  addDays,
+  getLocalDayRange,
+  getRecentDates,
+  getLocalDayBounds,
+  atLocalTime,
+  localRangeSql,
+} from '../../src/utils/userTime.js';
+
+describe('resolveTimezone', () => {
+  it('uses the first valid timezone', () => {
+    expect(resolveTimezone(null, 'Mars/Base', 'Europe/London')).toBe(
+      'Europe/London'
+    );
+    expect(resolveTimezone(undefined, '')).toBe(DEFAULT_TIMEZONE);
+  });
+});
+
+describe('local dates', () => {
+  const instant = new Date('2024-03-10T20:30:00Z');
+
+  it('converts an instant to the local wall time of the timezone', () => {
+    expect(toLocalTime(instant, 'Asia/Shanghai')).toBe('2024-03-11 04:30:00');
+    expect(getLocalDate(instant, 'America/New_York')).toBe('2024-03-10');
+    expect(getLocalToday('Asia/Tokyo', instant)).toBe('2024-03-11');
+  });
+
+  it('adds calendar days across month and DST boundaries', () => {
+    expect(addDays('2024-02-28', 2)).toBe('2024-03-01');
+    expect(addDays('2024-03-31', -1)).toBe('2024-03-30');
+  });
+
+  it('builds half-open ranges of local days', () => {
+    expect(getLocalDayRange('2024-03-10')).toEqual([
+      '2024-03-10 00:00:00',
+      '2024-03-11 00:00:00',
+    ]);
+    expect(getRecentDates('Asia/Shanghai', 7, instant)).toEqual({
+      startDate: '2024-03-04',
+      endDate: '2024-03-11',
+    });
+    expect(localRangeSql('hr')).toBe(
+      'hr.local_recorded_at >= ? AND hr.local_recorded_at < ?'
+    );
+  });
+});
+
+describe('getLocalDayBounds', () => {
+  it('covers 23 hours on the day clocks go forward', () => {
+    const { start, end } = getLocalDayBounds('2024-03-10', 'America/New_York');
+
+    expect(start.toISOString()).toBe('2024-03-10T05:00:00.000Z');
+    expect(end.toISOString()).toBe('2024-03-11T04:00:00.000Z');
+  });
+});
+
+describe('atLocalTime', () => {
+  it('sets the wall time on the given day', () => {
+    const day = moment.tz('2024-03-10', 'Asia/Shanghai');
+
+    expect(atLocalTime(day, '22:15:30').format()).toBe(
+      '2024-03-10T22:15:30+08:00'
+    );
+    expect(day.format('HH:mm')).toBe('00:00');
+  });
+});
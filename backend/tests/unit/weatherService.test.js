@@ -0,0 +1,119 @@
+import { errorLogger } from '../../src/utils/logger.js';
+import {
+  calculateFeelsLike,
+  calculateWeatherAdjustment,
+  adjustReminderInterval,
+  WeatherService,
+} from '../../src/utils/weatherService.js';
+
+jest.mock('../../src/utils/logger.js', () => ({
+  errorLogger: { database: jest.fn(), external: jest.fn() },
+}));
+jest.mock('../../src/config/database.js', () => ({}));
+
+const createService = provider => {
+  const store = new Map();
+  const cache = {
+    getCache: jest.fn(async key => store.get(key) || null),
+    setCache: jest.fn(async (key, value) => store.set(key, value)),
+  };
+  const service = new WeatherService({ provider, cache, cacheTTL: 1800 });
+  return { service, cache };
+};
+
+const PROFILE = { consider_weather: 1, latitude: 31.2304, longitude: 121.4737 };
+
+describe('calculateFeelsLike', () => {
+  it('uses the heat index when it is hot and humid', () => {
+    expect(calculateFeelsLike(32, 70)).toBeGreaterThan(40);
+    expect(calculateFeelsLike(32, 30)).toBe(32);
+    expect(calculateFeelsLike(25, 90)).toBe(25);
+    expect(calculateFeelsLike(32, null)).toBe(32);
+  });
+});
+
+describe('calculateWeatherAdjustment', () => {
+  it('matches the hottest level reached during the day', () => {
+    expect(
+      calculateWeatherAdjustment({
+        temperature: 26,
+        temperature_max: 31,
+        humidity: 20,
+      })
+    ).toMatchObject({
+      level: 'hot',
+      feels_like: 31,
+      goal_bonus_ml: 300,
+      interval_factor: 0.8,
+    });
+  });
+
+  it('does not adjust in mild weather', () => {
+    expect(
+      calculateWeatherAdjustment({ temperature: 18, humidity: 80 })
+    ).toMatchObject({ level: 'normal', goal_bonus_ml: 0, interval_factor: 1 });
+  });
+});
+
+describe('adjustReminderInterval', () => {
+  it('shortens the interval but not below the minimum', () => {
+    expect(adjustReminderInterval(60, { interval_factor: 0.8 }, 30)).toBe(48);
+    expect(adjustReminderInterval(40, { interval_factor: 0.6 }, 30)).toBe(30);
+    expect(adjustReminderInterval(20, { interval_factor: 0.6 }, 30)).toBe(20);
+    expect(adjustReminderInterval(60, null, 30)).toBe(60);
+  });
+});
+
+describe('WeatherService.getAdjustment', () => {
+  it('caches the weather by rounded coordinates', async () => {
+    const provider = {
+      name: 'test',
+      getCurrentWeather: jest
+        .fn()
+        .mockResolvedValue({ temperature: 36, humidity: 20 }),
+    };
+    const { service, cache } = createService(provider);
+
+    const first = await service.getAdjustment(PROFILE);
+    await service.getAdjustment({ ...PROFILE, latitude: 31.2311 });
+
+    expect(first).toMatchObject({
+      level: 'very_hot',
+      weather: { temperature: 36 },
+    });
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(1);
+    expect(cache.setCache).toHaveBeenCalledWith(
+      'weather:31.23,121.47',
+      { temperature: 36, humidity: 20 },
+      1800
+    );
+  });
+
+  it('skips users without a location or with the option off', async () => {
+    const provider = { name: 'test', getCurrentWeather: jest.fn() };
+    const { service } = createService(provider);
+
+    await expect(
+      service.getAdjustment({ ...PROFILE, consider_weather: 0 })
+    ).resolves.toBeNull();
+    await expect(
+      service.getAdjustment({ ...PROFILE, latitude: null })
+    ).resolves.toBeNull();
+    expect(provider.getCurrentWeather).not.toHaveBeenCalled();
+  });
+
+  it('returns no adjustment when the provider fails', async () => {
+    const provider = {
+      name: 'test',
+      getCurrentWeather: jest.fn().mockRejectedValue(new Error('timeout')),
+    };
+    const { service } = createService(provider);
+
+    await expect(service.getAdjustment(PROFILE)).resolves.toBeNull();
+    expect(errorLogger.external).toHaveBeenCalledWith(
+      'weather_test',
+      expect.any(Error),
+      { latitude: 31.2, longitude: 121.5 }
+    );
+  });
+});
@@ -0,0 +1,162 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import {
+  crc32,
+  createZip,
+  writeZip,
+  readZipEntry,
+} from '../../src/utils/zip.js';
+
+const MODIFIED_AT = new Date(2024, 0, 15, 10, 30, 20);
+
+const ENTRIES = [
+  { name: 'manifest.json', data: '{"user_id":1}' },
+  { name: 'csv/饮水记录.csv', data: '\uFEFFid,amount\r\n1,250\r\n' },
+  { name: 'raw.bin', data: Buffer.from([0, 1, 2, 255]) },
+];
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  it('round-trips every entry through readZipEntry', () => {
+    const archive = createZip(ENTRIES, MODIFIED_AT);
+
+    for (const entry of ENTRIES) {
+      const found = readZipEntry(archive, name => name === entry.name);
+      expect(found.name).toBe(entry.name);
+      expect(found.data.equals(Buffer.from(entry.data))).toBe(true);
+    }
+  });
+
+  it('writes a valid end of central directory record', () => {
+    const archive = createZip(ENTRIES, MODIFIED_AT);
+    const end = archive.length - 22;
+
+    expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+    expect(archive.readUInt16LE(end + 10)).toBe(ENTRIES.length);
+    expect(
+      archive.readUInt32LE(end + 16) + archive.readUInt32LE(end + 12)
+    ).toBe(end);
+  });
+
+  it('flags file names as UTF-8 and stores the DOS timestamp', () => {
+    const archive = createZip([ENTRIES[1]], MODIFIED_AT);
+
+    expect(archive.readUInt16LE(6) & 0x0800).toBe(0x0800);
+    expect(archive.readUInt16LE(10)).toBe((10 << 11) | (30 << 5) | 10);
+    expect(archive.readUInt16LE(12)).toBe(((2024 - 1980) << 9) | (1 << 5) | 15);
+  });
+});
+
+describe('writeZip', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zip-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('writes the same archive as createZip from an async iterable', async () => {
+    async function* entries() {
+      for (const entry of ENTRIES) {
+        yield entry;
+      }
+    }
+    const filePath = path.join(dir, 'export.zip');
+
+    const size = await writeZip(filePath, entries(), MODIFIED_AT);
+    const written = await fs.readFile(filePath);
+
+    expect(size).toBe(written.length);
+    expect(written.equals(createZip(ENTRIES, MODIFIED_AT))).toBe(true);
+  });
+
+  it('closes the file when an entry fails', async () => {
+    async function* entries() {
+      yield ENTRIES[0];
+      throw new Error('query failed');
+    }
+
+    await expect(
+      writeZip(path.join(dir, 'broken.zip'), entries(), MODIFIED_AT)
+    ).rejects.toThrow('query failed');
+  });
+});
+
+describe('readZipEntry', () => {
+  it('reads stored (uncompressed) entries', () => {
+    const data = Buffer.from('hello');
+    const archive = createZip([{ name: 'a.txt', data }], MODIFIED_AT);
+    // 改写为不压缩的条目
+    const stored = Buffer.concat([
+      archive.subarray(0, 30 + 5),
+      data,
+      archive.subarray(30 + 5 + zlib.deflateRawSync(data).length),
+    ]);
+    stored.writeUInt16LE(0, 8);
+    stored.writeUInt32LE(data.length, 18);
+    const central = stored.length - 22 - 46 - 5;
+    stored.writeUInt16LE(0, central + 10);
+    stored.writeUInt32LE(data.length, central + 20);
+    stored.writeUInt32LE(central, stored.length - 22 + 16);
+
+    expect(readZipEntry(stored, () => true).data.toString()).toBe('hello');
+  });
+
+  it('returns null when no entry matches or the data is not a zip', () => {
+    const archive = createZip(ENTRIES, MODIFIED_AT);
+
+    expect(readZipEntry(archive, name => name === 'missing.txt')).toBeNull();
+    expect(
+      readZipEntry(Buffer.from('not a zip file at all'), () => true)
+    ).toBeNull();
+  });
+
+  it('returns null for truncated or malformed archives', () => {
+    const archive = createZip(ENTRIES, MODIFIED_AT);
+    const end = archive.length - 22;
+    const centralOffset = archive.readUInt32LE(end + 16);
+
+    // 中央目录偏移超出文件范围
+    const badOffset = Buffer.from(archive);
+    badOffset.writeUInt32LE(archive.length + 100, end + 16);
+    // 本地文件头偏移超出文件范围
+    const badLocal = Buffer.from(archive);
+    badLocal.writeUInt32LE(archive.length, centralOffset + 42);
+    // 只保留中央目录结束记录
+    const truncated = archive.subarray(end);
+
+    for (const buffer of [badOffset, badLocal, truncated]) {
+      expect(readZipEntry(buffer, () => true)).toBeNull();
+    }
+  });
+
+  it('refuses entries larger than maxSize', () => {
+    const data = Buffer.alloc(4096, 'a');
+    const archive = createZip([{ name: 'big.txt', data }], MODIFIED_AT);
+
+    expect(() => readZipEntry(archive, () => true, { maxSize: 1024 })).toThrow(
+      expect.objectContaining({ name: 'RangeError' })
+    );
+    expect(
+      readZipEntry(archive, () => true, { maxSize: 4096 }).data.length
+    ).toBe(4096);
+
+    // 中央目录中记录的大小与实际不符时，解压时仍然限制输出大小
+    const forged = Buffer.from(archive);
+    forged.writeUInt32LE(10, forged.readUInt32LE(forged.length - 6) + 24);
+    expect(() => readZipEntry(forged, () => true, { maxSize: 1024 })).toThrow(
+      expect.objectContaining({ name: 'RangeError' })
+    );
+  });
+});
@@ -0,0 +1,18 @@
+import { ApiClient } from './client'
+import { ApiResponse, SyncRequest, SyncResponse } from './types'
+
+// 饮水记录API服务
+export class HydrationApi {
+  // 离线同步：提交本地变更并拉取服务端变更
+  static async sync(data: SyncRequest): Promise<ApiResponse<SyncResponse>> {
+    try {
+      const response = await ApiClient.post<SyncResponse>('/hydration/sync', data)
+      return response
+    } catch (error) {
+      console.error('同步饮水记录失败:', error)
+      throw error
+    }
+  }
+}
+
+export default HydrationApi
@@ -111,4 +111,58 @@ export interface TodayProgress {
     nextReminderTime?: string
     suggestedAmount?: number
   }
-}
\ No newline at end of file
+}
+// 离线同步类型
+export type SyncOperation = 'create' | 'update' | 'delete'
+
+export interface SyncRecordData {
+  amount?: number
+  drinkType?: HydrationRecord['drinkType']
+  drinkName?: string
+  recordedAt?: string
+  location?: string
+  activityContext?: HydrationRecord['activityContext']
+  temperature?: HydrationRecord['temperature']
+}
+
+export interface SyncChange {
+  op: SyncOperation
+  clientId: string
+  clientTimestamp: number
+  data?: SyncRecordData
+}
+
+export interface SyncRequest {
+  since: string | null
+  deviceId?: string
+  changes: SyncChange[]
+}
+
+export interface SyncResult {
+  client_id: string
+  op: SyncOperation
+  status: 'created' | 'updated' | 'deleted' | 'ignored' | 'not_found'
+  record_id: number | null
+}
+
+export interface SyncedRecord {
+  id: number
+  client_id: string
+  amount: number
+  drink_type: HydrationRecord['drinkType']
+  drink_name?: string
+  recorded_at: string
+  location?: string
+  activity_context?: HydrationRecord['activityContext']
+  temperature?: HydrationRecord['temperature']
+  source: string
+  updated_at: string
+  deleted: boolean
+}
+
+export interface SyncResponse {
+  results: SyncResult[]
+  changes: SyncedRecord[]
+  cursor: string
+  has_more: boolean
+}
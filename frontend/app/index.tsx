@@ -3,6 +3,7 @@ import { ScrollView, StyleSheet, SafeAreaView, View, Text, ActivityIndicator, Al
 import { useRouter } from 'expo-router';
 import { WaterProgress, WaterInput, WaterHistory } from '../components/WaterTracking';
 import { useAuthStore } from '../store/authStore';
+import { startWaterSync } from '../store/waterStore';
 import { Button } from '../components/UI/Button';
 
 export default function Index() {
@@ -24,6 +25,14 @@ export default function Index() {
     }
   }, [isAuthenticated, isLoading, router, isMounted]);
 
+  // 登录后启动饮水记录离线同步
+  useEffect(() => {
+    if (!isAuthenticated) {
+      return;
+    }
+    return startWaterSync();
+  }, [isAuthenticated]);
+
   const handleLogout = async () => {
     Alert.alert(
       '确认登出',
@@ -3,6 +3,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage'
 import { User, LoginRequest, RegisterRequest, ApiResponse, LoginResponse, RegisterResponse } from '../api/types'
 import { AuthApi } from '../api/auth'
 import { TokenManager, ApiErrorHandler } from '../api/client'
+import { useWaterStore } from './waterStore'
 
 // 认证状态接口
 interface AuthState {
@@ -184,6 +185,7 @@ export const useAuthStore = create<AuthState>((set, get) => ({
       // 清除本地数据
       await TokenManager.clearTokens()
       await UserStorage.clear()
+      await useWaterStore.getState().clearLocalData()
 
       // 更新状态
       set({
@@ -1,22 +1,61 @@
 import { create } from 'zustand'
+import { AppState, AppStateStatus } from 'react-native'
+import AsyncStorage from '@react-native-async-storage/async-storage'
+import { HydrationApi } from '../api/hydration'
+import { TokenManager, ApiErrorHandler } from '../api/client'
+import { SyncChange, SyncRecordData, SyncedRecord } from '../api/types'
 
 export interface WaterRecord {
-  id: string
+  id: string // 客户端生成的UUID，对应服务端的 client_id
+  serverId?: number
   amount: number
   timestamp: number
+  drinkType?: SyncRecordData['drinkType']
 }
 
+export type WaterRecordChanges = Partial<Pick<WaterRecord, 'amount' | 'timestamp' | 'drinkType'>>
+
 interface WaterState {
   dailyGoal: number
   todayIntake: number
   records: WaterRecord[]
+
+  // 离线同步状态
+  pendingChanges: SyncChange[]
+  syncCursor: string | null
+  isSyncing: boolean
+  lastSyncedAt: number | null
+  syncError: string | null
+
   addWater: (amount: number) => void
+  updateRecord: (id: string, changes: WaterRecordChanges) => void
+  deleteRecord: (id: string) => void
   setDailyGoal: (goal: number) => void
   getTodayRecords: () => WaterRecord[]
   resetDay: () => void
+
+  // 同步方法
+  loadFromStorage: () => Promise<void>
+  sync: () => Promise<void>
+  clearLocalData: () => Promise<void>
 }
 
-const generateId = () => Math.random().toString(36).substr(2, 9)
+// 存储键
+const WATER_DATA_KEY = 'water_data'
+
+// 单次同步最多提交的变更数（与服务端限制一致）
+const MAX_SYNC_CHANGES = 500
+
+// 有未同步的变更时的重试间隔
+const SYNC_RETRY_INTERVAL = 30 * 1000
+
+// 生成UUID v4
+const generateId = (): string =>
+  'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = (Math.random() * 16) | 0
+    const value = char === 'x' ? random : (random & 0x3) | 0x8
+    return value.toString(16)
+  })
 
 const isToday = (timestamp: number): boolean => {
   const today = new Date()
@@ -28,36 +67,297 @@ const isToday = (timestamp: number): boolean => {
   )
 }
 
-export const useWaterStore = create<WaterState>((set, get) => ({
-  dailyGoal: 2000, // 2000ml default
-  todayIntake: 0,
-  records: [],
-  
-  addWater: (amount: number) => {
-    const newRecord: WaterRecord = {
-      id: generateId(),
-      amount,
-      timestamp: Date.now()
+const calculateTodayIntake = (records: WaterRecord[]): number =>
+  records
+    .filter(record => isToday(record.timestamp))
+    .reduce((sum, record) => sum + record.amount, 0)
+
+const sortRecords = (records: WaterRecord[]): WaterRecord[] =>
+  [...records].sort((a, b) => a.timestamp - b.timestamp)
+
+// 本地记录字段转换为同步数据
+const toSyncData = (changes: WaterRecordChanges): SyncRecordData => {
+  const data: SyncRecordData = {}
+  if (changes.amount !== undefined) data.amount = changes.amount
+  if (changes.timestamp !== undefined) data.recordedAt = new Date(changes.timestamp).toISOString()
+  if (changes.drinkType !== undefined) data.drinkType = changes.drinkType
+  return data
+}
+
+// 同步数据转换为本地记录字段
+const fromSyncData = (data: SyncRecordData = {}): WaterRecordChanges => {
+  const changes: WaterRecordChanges = {}
+  if (data.amount !== undefined) changes.amount = data.amount
+  if (data.recordedAt !== undefined) changes.timestamp = new Date(data.recordedAt).getTime()
+  if (data.drinkType !== undefined) changes.drinkType = data.drinkType
+  return changes
+}
+
+const fromSyncedRecord = (record: SyncedRecord): WaterRecord => ({
+  id: record.client_id.toLowerCase(),
+  serverId: record.id,
+  amount: record.amount,
+  timestamp: new Date(record.recorded_at).getTime(),
+  drinkType: record.drink_type,
+})
+
+// 将变更应用到本地记录
+const applyChanges = (records: WaterRecord[], changes: SyncChange[]): WaterRecord[] => {
+  const recordMap = new Map(records.map(record => [record.id, record]))
+
+  changes.forEach(change => {
+    if (change.op === 'delete') {
+      recordMap.delete(change.clientId)
+      return
+    }
+
+    const current = recordMap.get(change.clientId)
+    const updated = { ...current, ...fromSyncData(change.data), id: change.clientId }
+    if (updated.amount !== undefined && updated.timestamp !== undefined) {
+      recordMap.set(change.clientId, updated as WaterRecord)
     }
-    
+  })
+
+  return sortRecords([...recordMap.values()])
+}
+
+// 合并服务端返回的变更，仍在队列中的本地修改优先显示
+const mergeServerChanges = (
+  records: WaterRecord[],
+  serverChanges: SyncedRecord[],
+  pendingChanges: SyncChange[]
+): WaterRecord[] => {
+  const recordMap = new Map(records.map(record => [record.id, record]))
+
+  serverChanges.forEach(serverRecord => {
+    const id = serverRecord.client_id.toLowerCase()
+    if (serverRecord.deleted) {
+      recordMap.delete(id)
+    } else {
+      recordMap.set(id, fromSyncedRecord(serverRecord))
+    }
+  })
+
+  return applyChanges([...recordMap.values()], pendingChanges)
+}
+
+// 饮水数据持久化
+const WaterStorage = {
+  async save(state: WaterState): Promise<void> {
+    try {
+      const { dailyGoal, records, pendingChanges, syncCursor } = state
+      await AsyncStorage.setItem(
+        WATER_DATA_KEY,
+        JSON.stringify({ dailyGoal, records, pendingChanges, syncCursor })
+      )
+    } catch (error) {
+      console.error('保存饮水数据失败:', error)
+    }
+  },
+
+  async load(): Promise<Pick<WaterState, 'dailyGoal' | 'records' | 'pendingChanges' | 'syncCursor'> | null> {
+    try {
+      const data = await AsyncStorage.getItem(WATER_DATA_KEY)
+      return data ? JSON.parse(data) : null
+    } catch (error) {
+      console.error('加载饮水数据失败:', error)
+      return null
+    }
+  },
+
+  async clear(): Promise<void> {
+    try {
+      await AsyncStorage.removeItem(WATER_DATA_KEY)
+    } catch (error) {
+      console.error('清除饮水数据失败:', error)
+    }
+  },
+}
+
+export const useWaterStore = create<WaterState>((set, get) => {
+  // 记录本地变更：立即更新界面，加入同步队列，并尝试同步
+  const queueChange = (change: SyncChange) => {
     set((state) => {
-      const newRecords = [...state.records, newRecord]
-      const todayRecords = newRecords.filter(record => isToday(record.timestamp))
-      const todayIntake = todayRecords.reduce((sum, record) => sum + record.amount, 0)
-      
+      const records = applyChanges(state.records, [change])
       return {
-        records: newRecords,
-        todayIntake
+        records,
+        todayIntake: calculateTodayIntake(records),
+        pendingChanges: [...state.pendingChanges, change],
       }
     })
-  },
-  
-  setDailyGoal: (goal: number) => set({ dailyGoal: goal }),
-  
-  getTodayRecords: () => {
-    const { records } = get()
-    return records.filter(record => isToday(record.timestamp))
-  },
-  
-  resetDay: () => set({ todayIntake: 0, records: [] })
-}))
\ No newline at end of file
+
+    WaterStorage.save(get())
+    get().sync()
+  }
+
+  return {
+    dailyGoal: 2000, // 2000ml default
+    todayIntake: 0,
+    records: [],
+
+    pendingChanges: [],
+    syncCursor: null,
+    isSyncing: false,
+    lastSyncedAt: null,
+    syncError: null,
+
+    addWater: (amount: number) => {
+      const timestamp = Date.now()
+      queueChange({
+        op: 'create',
+        clientId: generateId(),
+        clientTimestamp: timestamp,
+        data: toSyncData({ amount, timestamp, drinkType: 'water' }),
+      })
+    },
+
+    updateRecord: (id: string, changes: WaterRecordChanges) => {
+      queueChange({
+        op: 'update',
+        clientId: id,
+        clientTimestamp: Date.now(),
+        data: toSyncData(changes),
+      })
+    },
+
+    deleteRecord: (id: string) => {
+      queueChange({
+        op: 'delete',
+        clientId: id,
+        clientTimestamp: Date.now(),
+      })
+    },
+
+    setDailyGoal: (goal: number) => {
+      set({ dailyGoal: goal })
+      WaterStorage.save(get())
+    },
+
+    getTodayRecords: () => {
+      const { records } = get()
+      return records.filter(record => isToday(record.timestamp))
+    },
+
+    // 只清空本地显示，不会删除服务端记录
+    resetDay: () => {
+      set({ todayIntake: 0, records: [] })
+      WaterStorage.save(get())
+    },
+
+    // 加载本地保存的数据，与加载前产生的变更合并
+    loadFromStorage: async () => {
+      const saved = await WaterStorage.load()
+      if (!saved) {
+        return
+      }
+
+      set((state) => {
+        const pendingChanges = [...(saved.pendingChanges || []), ...state.pendingChanges]
+        const records = applyChanges(saved.records || [], state.pendingChanges)
+        return {
+          dailyGoal: saved.dailyGoal || state.dailyGoal,
+          records,
+          todayIntake: calculateTodayIntake(records),
+          pendingChanges,
+          syncCursor: saved.syncCursor ?? state.syncCursor,
+        }
+      })
+    },
+
+    // 提交队列中的变更并拉取服务端变更，失败时保留队列等待重试
+    sync: async () => {
+      if (get().isSyncing) {
+        return
+      }
+
+      const hasTokens = await TokenManager.hasTokens()
+      if (!hasTokens) {
+        return
+      }
+
+      set({ isSyncing: true, syncError: null })
+      let batch: SyncChange[] = []
+
+      try {
+        let hasMore = true
+        while (hasMore) {
+          batch = get().pendingChanges.slice(0, MAX_SYNC_CHANGES)
+
+          const response = await HydrationApi.sync({
+            since: get().syncCursor,
+            changes: batch,
+          })
+
+          if (!response.success || !response.data) {
+            throw new Error(response.message || '同步失败')
+          }
+
+          const { changes, cursor, has_more } = response.data
+          set((state) => {
+            const pendingChanges = state.pendingChanges.slice(batch.length)
+            const records = mergeServerChanges(state.records, changes, pendingChanges)
+            return {
+              records,
+              todayIntake: calculateTodayIntake(records),
+              pendingChanges,
+              syncCursor: cursor,
+            }
+          })
+          await WaterStorage.save(get())
+
+          hasMore = has_more || get().pendingChanges.length > 0
+        }
+
+        set({ isSyncing: false, lastSyncedAt: Date.now() })
+      } catch (error: any) {
+        // 数据被服务端拒绝时丢弃这批变更，避免队列一直无法同步；网络错误时保留，联网后重试
+        if (error.response?.status === 400 && batch.length > 0) {
+          console.error('同步数据无效，已丢弃:', error.response.data)
+          set((state) => ({ pendingChanges: state.pendingChanges.slice(batch.length) }))
+          await WaterStorage.save(get())
+        }
+
+        set({
+          isSyncing: false,
+          syncError: ApiErrorHandler.getErrorMessage(error),
+        })
+      }
+    },
+
+    // 清除本地饮水数据（登出时调用）
+    clearLocalData: async () => {
+      await WaterStorage.clear()
+      set({
+        todayIntake: 0,
+        records: [],
+        pendingChanges: [],
+        syncCursor: null,
+        lastSyncedAt: null,
+        syncError: null,
+      })
+    },
+  }
+})
+
+// 启动离线同步：加载本地数据后同步，回到前台时和队列非空时定时重试
+export const startWaterSync = (): (() => void) => {
+  const { loadFromStorage } = useWaterStore.getState()
+  loadFromStorage().then(() => useWaterStore.getState().sync())
+
+  const subscription = AppState.addEventListener('change', (status: AppStateStatus) => {
+    if (status === 'active') {
+      useWaterStore.getState().sync()
+    }
+  })
+
+  const timer = setInterval(() => {
+    if (useWaterStore.getState().pendingChanges.length > 0) {
+      useWaterStore.getState().sync()
+    }
+  }, SYNC_RETRY_INTERVAL)
+
+  return () => {
+    subscription.remove()
+    clearInterval(timer)
+  }
+}